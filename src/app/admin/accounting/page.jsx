@@ -3,7 +3,7 @@
 
 import React, { useEffect, useState } from "react";
 import Link from "next/link";
-import { FiDownload, FiCheckSquare, FiX } from "react-icons/fi";
+import { FiDownload, FiCheckSquare, FiX, FiShield } from "react-icons/fi";
 
 // small helper to format currency (client-side)
 function fmtCurrency(n) {
@@ -35,6 +35,11 @@ export default function AdminAccountingPage() {
   const [orderDetails, setOrderDetails] = useState(null);
   const [orderError, setOrderError] = useState("");
 
+  // balance integrity state
+  const [integrity, setIntegrity] = useState(null);
+  const [integrityLoading, setIntegrityLoading] = useState(false);
+  const [correctingId, setCorrectingId] = useState(null);
+
   async function load() {
     setLoading(true);
     try {
@@ -102,6 +107,62 @@ export default function AdminAccountingPage() {
     }
   }
 
+  async function checkIntegrity() {
+    setIntegrityLoading(true);
+    try {
+      const res = await fetch("/api/admin/accounting/integrity", { cache: "no-store" });
+      const body = await res.json();
+      if (!body.ok) throw new Error(body.error || "Integrity check failed");
+      setIntegrity(body.report);
+    } catch (err) {
+      alert(err.message || "Integrity check failed");
+    } finally {
+      setIntegrityLoading(false);
+    }
+  }
+
+  async function postCorrection(row) {
+    if (
+      !confirm(
+        `Post a correcting adjustment of ${fmtCurrency(row.difference)} for ${row.name}? ` +
+          "User.balance stays as is; the transaction history is brought in line with it."
+      )
+    )
+      return;
+    setCorrectingId(row.userId);
+    try {
+      const res = await fetch("/api/admin/accounting/integrity", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action: "correct", userId: row.userId }),
+      });
+      const body = await res.json();
+      if (!body.ok) throw new Error(body.error || "Correction failed");
+      await Promise.all([checkIntegrity(), load()]);
+    } catch (err) {
+      alert(err.message || "Correction failed");
+    } finally {
+      setCorrectingId(null);
+    }
+  }
+
+  async function backfillJournal() {
+    if (!confirm("Post journal entries for transactions that have none?")) return;
+    try {
+      const res = await fetch("/api/admin/accounting/integrity", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action: "backfill" }),
+      });
+      const body = await res.json();
+      if (!body.ok) throw new Error(body.error || "Backfill failed");
+      alert(`Posted ${body.posted} journal entries.`);
+      await checkIntegrity();
+    } catch (err) {
+      alert(err.message || "Backfill failed");
+    }
+  }
+
   function exportCsv() {
     const params = new URLSearchParams();
     if (qUser) params.set("user", qUser);
@@ -167,9 +228,101 @@ export default function AdminAccountingPage() {
           >
             <FiCheckSquare /> Mark reconciled
           </button>
+          <button
+            onClick={checkIntegrity}
+            disabled={integrityLoading}
+            className="inline-flex items-center gap-2 bg-slate-700 hover:bg-slate-600 text-slate-100 px-3 py-2 rounded"
+          >
+            <FiShield /> {integrityLoading ? "Checking…" : "Check balances"}
+          </button>
         </div>
       </div>
 
+      {integrity && (
+        <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+          <div className="flex items-start justify-between gap-3 mb-3">
+            <div>
+              <h2 className="text-lg font-semibold text-slate-100">Balance integrity</h2>
+              <p className="text-xs text-slate-400">
+                Checked {integrity.usersChecked} users at{" "}
+                {new Date(integrity.checkedAt).toLocaleString()} —{" "}
+                {integrity.mismatches} mismatch(es), {integrity.unjournaled}{" "}
+                transaction(s) without journal entries.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {integrity.unjournaled > 0 && (
+                <button
+                  onClick={backfillJournal}
+                  className="px-3 py-1 rounded bg-slate-700 text-slate-200 text-sm"
+                >
+                  Backfill journal
+                </button>
+              )}
+              <button
+                onClick={() => setIntegrity(null)}
+                className="p-2 rounded hover:bg-slate-700"
+                aria-label="Close"
+              >
+                <FiX />
+              </button>
+            </div>
+          </div>
+
+          {integrity.rows.length === 0 ? (
+            <div className="text-sm text-emerald-300">
+              All balances match the transaction history and the ledger.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full table-auto text-sm">
+                <thead className="text-left text-slate-300">
+                  <tr>
+                    <th className="p-2">User</th>
+                    <th className="p-2">Balance</th>
+                    <th className="p-2">Replayed</th>
+                    <th className="p-2">Ledger</th>
+                    <th className="p-2">Difference</th>
+                    <th className="p-2">Txs</th>
+                    <th className="p-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {integrity.rows.map((r) => (
+                    <tr key={r.userId} className="border-t border-slate-700">
+                      <td className="p-2">
+                        {r.name}{" "}
+                        <span className="text-xs text-slate-400">
+                          ({r.regNumber || r.role})
+                        </span>
+                      </td>
+                      <td className="p-2">{fmtCurrency(r.balance)}</td>
+                      <td className="p-2">{fmtCurrency(r.replayed)}</td>
+                      <td className="p-2">{fmtCurrency(r.ledger)}</td>
+                      <td className={`p-2 ${r.difference ? "text-red-400" : "text-amber-300"}`}>
+                        {fmtCurrency(r.difference || r.ledgerDifference)}
+                      </td>
+                      <td className="p-2">{r.txCount}</td>
+                      <td className="p-2 text-right">
+                        {r.difference !== 0 && (
+                          <button
+                            onClick={() => postCorrection(r)}
+                            disabled={correctingId === r.userId}
+                            className="px-2 py-1 rounded bg-amber-500 text-black"
+                          >
+                            {correctingId === r.userId ? "Posting…" : "Post correction"}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
         <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-3">
           <input
@@ -2,7 +2,7 @@
 
 import React, { useEffect, useState, useRef } from "react";
 import { useSession, signIn } from "next-auth/react";
-import { FiShoppingCart, FiCopy, FiInfo } from "react-icons/fi";
+import { FiShoppingCart, FiCopy, FiInfo, FiPrinter } from "react-icons/fi";
 
 export default function AdminExternalOrderPage() {
   const { data: session, status } = useSession();
@@ -525,6 +525,18 @@ export default function AdminExternalOrderPage() {
                         >
                           <FiCopy /> Copy
                         </button>
+                        <button
+                          type="button"
+                          onClick={() =>
+                            window.open(
+                              `/api/canteen/orders/${result.order._id}/ticket?format=html&kind=receipt&print=1`,
+                              "_blank"
+                            )
+                          }
+                          className="px-3 py-2 rounded bg-slate-700 flex items-center gap-2"
+                        >
+                          <FiPrinter /> Print receipt
+                        </button>
                         <div className="text-sm text-slate-400">
                           Order id: {result.order._id}
                         </div>
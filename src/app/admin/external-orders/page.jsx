@@ -18,6 +18,7 @@ import {
   FiCheckCircle,
   FiClock,
   FiAlertCircle,
+  FiPrinter,
 } from "react-icons/fi";
 
 // small helper to format currency (client-side)
@@ -461,6 +462,16 @@ export default function AdminAccountingPage() {
                       <div className="text-sm text-slate-300 max-w-xs truncate">
                         {t.note}
                       </div>
+                      {t.relatedOrder?.id && (
+                        <a
+                          href={`/api/canteen/orders/${t.relatedOrder.id}/ticket?format=pdf&kind=receipt`}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="inline-flex items-center gap-1 text-xs text-cyan-300 hover:text-cyan-200 mt-1"
+                        >
+                          <FiPrinter size={12} /> Receipt {t.relatedOrder.code}
+                        </a>
+                      )}
                     </td>
                     <td className="p-3">
                       {t.meta?.reconciled ? (
@@ -5,7 +5,7 @@ import Link from 'next/link';
 import { usePathname, useRouter } from 'next/navigation';
 import Sidebar from '../components/admin/Sidebar';
 import AdminHeader from '../components/admin/AdminHeader';
-import { useSession } from 'next-auth/react';
+import { signOut, useSession } from 'next-auth/react';
 
 export default function ClientAdminLayout({ children }) {
     const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
@@ -14,6 +14,13 @@ export default function ClientAdminLayout({ children }) {
     const router = useRouter();
     const { data: session, status } = useSession();
     const role = String(session?.user?.role || '').toLowerCase();
+    // Staff roles must set up two-factor sign-in before anything else (the APIs refuse them until then)
+    const setupTwoFactor = !!session?.user?.twoFactorSetupRequired;
+    // 2FA is set up but this session skipped it (signed in before it was required): sign in again with a code
+    const twoFactorSignIn =
+        (role === 'admin' || role === 'inventory') && !setupTwoFactor && !session?.user?.twoFactorVerified;
+    const onTwoFactorPage = pathname === '/admin/two-factor';
+    const onInventoryPage = pathname === '/admin/inventory' || pathname.startsWith('/admin/inventory/');
 
     useEffect(() => {
         const checkMobile = () => {
@@ -41,16 +48,25 @@ export default function ClientAdminLayout({ children }) {
             return;
         }
 
-        if (role === 'inventory') {
-            const ok = pathname === '/admin/inventory' || pathname.startsWith('/admin/inventory/');
-            if (!ok) router.replace('/admin/inventory');
+        if (role !== 'admin' && role !== 'inventory') {
+            router.replace('/');
             return;
         }
 
-        if (role !== 'admin') {
-            router.replace('/');
+        if (twoFactorSignIn) {
+            signOut({ callbackUrl: '/' });
+            return;
+        }
+
+        if (setupTwoFactor) {
+            if (!onTwoFactorPage) router.replace('/admin/two-factor');
+            return;
+        }
+
+        if (role === 'inventory' && !onInventoryPage && !onTwoFactorPage) {
+            router.replace('/admin/inventory');
         }
-    }, [pathname, role, router, status]);
+    }, [onInventoryPage, onTwoFactorPage, role, router, setupTwoFactor, status, twoFactorSignIn]);
 
     const toggleSidebar = () => {
         setSidebarCollapsed(!sidebarCollapsed);
@@ -58,9 +74,10 @@ export default function ClientAdminLayout({ children }) {
 
     const canRender =
         status === 'authenticated' &&
-        (role === 'admin' ||
-            (role === 'inventory' &&
-                (pathname === '/admin/inventory' || pathname.startsWith('/admin/inventory/'))));
+        !twoFactorSignIn &&
+        (setupTwoFactor
+            ? (role === 'admin' || role === 'inventory') && onTwoFactorPage
+            : role === 'admin' || (role === 'inventory' && (onInventoryPage || onTwoFactorPage)));
 
     if (!canRender) {
         return (
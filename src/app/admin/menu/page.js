@@ -19,6 +19,8 @@ import {
     FiChevronDown,
     FiFilter
 } from 'react-icons/fi';
+import ModifierGroupsEditor from '@/app/components/admin/ModifierGroupsEditor';
+import BundleEditor from '@/app/components/admin/BundleEditor';
 
 function emptyProduct() {
     return {
@@ -31,6 +33,8 @@ function emptyProduct() {
         imageUrl: '',
         tags: [],
         allergens: [],
+        modifierGroups: [],
+        bundle: null,
         notes: ''
     };
 }
@@ -49,6 +53,8 @@ function normalizeProductForm(p) {
         imageUrl: merged.imageUrl ?? '',
         tags: Array.isArray(merged.tags) ? merged.tags : [],
         allergens: Array.isArray(merged.allergens) ? merged.allergens : [],
+        modifierGroups: Array.isArray(merged.modifierGroups) ? merged.modifierGroups : [],
+        bundle: merged.bundle || null,
         notes: merged.notes ?? ''
     };
 }
@@ -66,6 +72,8 @@ function buildProductPayload(form) {
         imageUrl: String(f.imageUrl || '').trim(),
         tags: Array.isArray(f.tags) ? f.tags : [],
         allergens: Array.isArray(f.allergens) ? f.allergens : [],
+        modifierGroups: f.modifierGroups,
+        bundle: f.bundle,
         notes: String(f.notes || '')
     };
 }
@@ -600,6 +608,25 @@ export default function AdminMenuPage() {
                                 />
                             </div>
 
+                            <div className="space-y-2 md:col-span-2">
+                                <label className="text-sm text-slate-300">Options (sizes, extras, substitutions)</label>
+                                <ModifierGroupsEditor
+                                    value={form.modifierGroups}
+                                    onChange={groups => setField('modifierGroups', groups)}
+                                />
+                            </div>
+
+                            {menuType === 'ordinary' && (
+                                <div className="space-y-2 md:col-span-2">
+                                    <label className="text-sm text-slate-300">Combo contents (leave empty for a regular item)</label>
+                                    <BundleEditor
+                                        value={form.bundle}
+                                        selfId={editing?._id || null}
+                                        onChange={bundle => setField('bundle', bundle)}
+                                    />
+                                </div>
+                            )}
+
                             <div className="flex items-center gap-2 md:col-span-2">
                                 <input
                                     type="checkbox"
@@ -0,0 +1,210 @@
+// app/admin/permissions/page.jsx
+"use client";
+
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { FiRefreshCw, FiRotateCcw, FiSave } from "react-icons/fi";
+
+/*
+  Permissions
+  - which staff role may do what in the admin / IT / canteen APIs (lib/permissions.js)
+  - tick boxes per role and save; every route checks the mapping through withPermission (lib/routeAuth.js)
+  - admins always keep "Edit this permission mapping" so the page cannot lock everyone out
+*/
+
+const LOCKED = { admin: ["permissions.manage"] };
+
+export default function AdminPermissionsPage() {
+  const [permissions, setPermissions] = useState({});
+  const [roles, setRoles] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({});
+  const [saved, setSaved] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/admin/permissions", { cache: "no-store" });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Failed to load permissions");
+      setPermissions(body.permissions || {});
+      setRoles(body.roles || []);
+      setMapping(body.mapping || {});
+      setSaved(body.mapping || {});
+      setDefaults(body.defaults || {});
+    } catch (err) {
+      setError(err.message || "Failed to load permissions");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // permission keys grouped for display: [[group, [key]]]
+  const groups = useMemo(() => {
+    const byGroup = new Map();
+    for (const [key, p] of Object.entries(permissions)) {
+      byGroup.set(p.group, [...(byGroup.get(p.group) || []), key]);
+    }
+    return [...byGroup];
+  }, [permissions]);
+
+  const dirty = roles.some(
+    (r) =>
+      JSON.stringify([...(mapping[r] || [])].sort()) !==
+      JSON.stringify([...(saved[r] || [])].sort())
+  );
+
+  function toggle(role, key) {
+    if (LOCKED[role]?.includes(key)) return;
+    setMessage(null);
+    setMapping((prev) => {
+      const list = prev[role] || [];
+      return {
+        ...prev,
+        [role]: list.includes(key) ? list.filter((k) => k !== key) : [...list, key],
+      };
+    });
+  }
+
+  function resetRole(role) {
+    setMessage(null);
+    setMapping((prev) => ({ ...prev, [role]: [...(defaults[role] || [])] }));
+  }
+
+  async function save() {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await fetch("/api/admin/permissions", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ roles: mapping }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      setMapping(body.mapping || {});
+      setSaved(body.mapping || {});
+      setMessage("Permissions saved. They apply to the next request of each user.");
+    } catch (err) {
+      setError(err.message || "Save failed");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="space-y-6 p-4">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-100">Permissions</h1>
+          <p className="text-sm text-slate-300">
+            What each staff role may do. Denied requests are recorded in the
+            audit log.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={load}
+            disabled={loading}
+            className="inline-flex items-center gap-2 px-3 py-2 rounded bg-slate-700 text-slate-100 disabled:opacity-60"
+          >
+            <FiRefreshCw /> Reload
+          </button>
+          <button
+            onClick={save}
+            disabled={saving || !dirty}
+            className="inline-flex items-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+          >
+            <FiSave /> {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded bg-red-900/40 border border-red-800 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 rounded bg-emerald-900/30 border border-emerald-800 text-emerald-200 text-sm">
+          {message}
+        </div>
+      )}
+
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-4 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-400">
+              <th className="py-2 pr-4 font-medium">Permission</th>
+              {roles.map((role) => (
+                <th key={role} className="py-2 px-3 font-medium text-center">
+                  <div className="capitalize text-slate-100">{role}</div>
+                  <button
+                    onClick={() => resetRole(role)}
+                    className="mt-1 inline-flex items-center gap-1 text-xs text-slate-400 hover:text-slate-200"
+                    title="Back to the default permissions of this role"
+                  >
+                    <FiRotateCcw size={12} /> Defaults
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(([group, keys]) => (
+              <React.Fragment key={group}>
+                <tr>
+                  <td
+                    colSpan={roles.length + 1}
+                    className="pt-4 pb-1 text-xs uppercase tracking-wide text-slate-400"
+                  >
+                    {group}
+                  </td>
+                </tr>
+                {keys.map((key) => (
+                  <tr key={key} className="border-t border-slate-700">
+                    <td className="py-2 pr-4">
+                      <div className="text-slate-100">{permissions[key].label}</div>
+                      <div className="text-xs text-slate-500">{key}</div>
+                    </td>
+                    {roles.map((role) => {
+                      const locked = LOCKED[role]?.includes(key);
+                      return (
+                        <td key={role} className="py-2 px-3 text-center">
+                          <input
+                            type="checkbox"
+                            checked={(mapping[role] || []).includes(key)}
+                            disabled={locked}
+                            onChange={() => toggle(role, key)}
+                            title={locked ? "Admins always keep this permission" : undefined}
+                            className="h-4 w-4 accent-cyan-500"
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+            {!groups.length && !loading && (
+              <tr>
+                <td colSpan={roles.length + 1} className="py-4 text-slate-400">
+                  No permissions loaded.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,10 @@
 // app/admin/refund/page.jsx
 "use client";
 
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { useSession } from "next-auth/react";
-import { FiSearch, FiCreditCard, FiInfo } from "react-icons/fi";
+import { FiSearch, FiCreditCard, FiInfo, FiList } from "react-icons/fi";
+import { idempotencyKeyFor } from "@/lib/idempotencyKey";
 
 export default function AdminRefundPage() {
   const { data: session, status } = useSession();
@@ -15,8 +16,49 @@ export default function AdminRefundPage() {
   const [note, setNote] = useState("");
   const [busy, setBusy] = useState(false);
   const [message, setMessage] = useState(null);
+  // line refunds: lines of the related order and the qty to refund per line index
+  const [order, setOrder] = useState(null);
+  const [lineQty, setLineQty] = useState({});
+  const [loadingOrder, setLoadingOrder] = useState(false);
+
+  const selectedLines = Object.entries(lineQty)
+    .filter(([, qty]) => qty > 0)
+    .map(([index, qty]) => ({ index: Number(index), qty }));
+  const lineAmount = selectedLines.reduce(
+    (sum, l) => sum + Number(order?.items?.[l.index]?.price || 0) * l.qty,
+    0
+  );
+
+  // one Idempotency-Key per distinct submission; a retry of the same payload reuses it
+  const idemRef = useRef(null);
+
+  async function loadOrderLines() {
+    const id = relatedOrderId.trim();
+    if (!id) return;
+    setLoadingOrder(true);
+    try {
+      const res = await fetch(`/api/admin/orders/${encodeURIComponent(id)}`, {
+        credentials: "same-origin",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.ok) {
+        alert(body.error || "Order not found");
+        return;
+      }
+      setOrder(body.order);
+      setLineQty({});
+      if (!userIdOrReg && body.order.regNumber) setUserIdOrReg(body.order.regNumber);
+    } catch (err) {
+      alert(String(err?.message || err));
+    } finally {
+      setLoadingOrder(false);
+    }
+  }
 
   function validate() {
+    if (selectedLines.length) return null;
+    // an order is refunded by its lines so no unit is refunded twice
+    if (relatedOrderId.trim()) return 'Choose the units to refund under "Refund items"';
     if (!userIdOrReg) return "Enter student reg number or user id";
     const a = Number(amount);
     if (!a || isNaN(a) || a <= 0) return "Enter a positive amount";
@@ -34,20 +76,27 @@ export default function AdminRefundPage() {
 
     setBusy(true);
     try {
-      // If you use next-auth include admin ID from session; otherwise pass null and ensure server authenticates
-      const adminId = session?.user?.id || null;
-
+      // the server records the signed-in admin as the refunder
+      const payload = selectedLines.length
+        ? {
+            userIdOrReg: userIdOrReg.trim() || null,
+            note: note.trim(),
+            relatedOrderId: relatedOrderId.trim(),
+            lines: selectedLines,
+          }
+        : {
+            userIdOrReg: userIdOrReg.trim(),
+            amount: Number(amount),
+            note: note.trim(),
+          };
       const res = await fetch("/api/admin/refund", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKeyFor(idemRef, payload),
+        },
         credentials: "same-origin",
-        body: JSON.stringify({
-          adminId,
-          userIdOrReg: userIdOrReg.trim(),
-          amount: Number(amount),
-          note: note.trim(),
-          relatedOrderId: relatedOrderId.trim() || null,
-        }),
+        body: JSON.stringify(payload),
       });
 
       const body = await res.json();
@@ -56,16 +105,19 @@ export default function AdminRefundPage() {
       } else {
         setMessage({
           type: "success",
-          text: `Refunded ${Number(amount)} to ${String(
+          text: `Refunded ${Number(body.amount ?? amount)} to ${String(
             userIdOrReg
           )} successfully`,
         });
         // optionally show returned user/tx details
         console.log("refund result", body);
         // reset form (optional)
+        idemRef.current = null;
         setAmount("");
         setRelatedOrderId("");
         setNote("");
+        setOrder(null);
+        setLineQty({});
       }
     } catch (err) {
       setMessage({ type: "error", text: String(err?.message || err) });
@@ -118,11 +170,11 @@ export default function AdminRefundPage() {
           <div>
             <label className="text-xs text-slate-400 mb-1 block">Amount</label>
             <input
-              value={amount}
+              value={selectedLines.length ? lineAmount.toFixed(2) : amount}
               onChange={(e) => setAmount(e.target.value)}
               placeholder="e.g. 1500"
-              className="w-full p-3 bg-slate-900 rounded text-slate-100"
-              disabled={busy || loadingSession}
+              className="w-full p-3 bg-slate-900 rounded text-slate-100 disabled:opacity-60"
+              disabled={busy || loadingSession || selectedLines.length > 0}
               inputMode="decimal"
             />
             <div className="text-xs text-slate-500 mt-1">
@@ -135,13 +187,72 @@ export default function AdminRefundPage() {
             <label className="text-xs text-slate-400 mb-1 block">
               Related order ID (optional)
             </label>
-            <input
-              value={relatedOrderId}
-              onChange={(e) => setRelatedOrderId(e.target.value)}
-              placeholder="Order ID, e.g. 64a1f2..."
-              className="w-full p-3 bg-slate-900 rounded text-slate-100"
-              disabled={busy || loadingSession}
-            />
+            <div className="flex gap-2">
+              <input
+                value={relatedOrderId}
+                onChange={(e) => {
+                  setRelatedOrderId(e.target.value);
+                  setOrder(null);
+                  setLineQty({});
+                }}
+                placeholder="Order ID, e.g. 64a1f2..."
+                className="flex-1 p-3 bg-slate-900 rounded text-slate-100"
+                disabled={busy || loadingSession}
+              />
+              <button
+                type="button"
+                onClick={loadOrderLines}
+                disabled={!relatedOrderId.trim() || loadingOrder}
+                className="px-3 py-2 rounded bg-slate-700 text-slate-200 inline-flex items-center gap-2 disabled:opacity-60"
+              >
+                <FiList /> {loadingOrder ? "Loading…" : "Refund items"}
+              </button>
+            </div>
+            {order && (
+              <div className="mt-3 bg-slate-900 rounded p-3">
+                <div className="text-xs text-slate-400 mb-2">
+                  Order {order.code} · {order.status} — choose the units to
+                  refund; the amount follows the prices charged.
+                </div>
+                <ul className="divide-y divide-slate-800 text-sm">
+                  {(order.items || []).map((it, index) => {
+                    const left = Number(it.qty || 0) - Number(it.refundedQty || 0);
+                    return (
+                      <li
+                        key={index}
+                        className="py-2 flex items-center justify-between gap-3"
+                      >
+                        <span>
+                          {it.name} × {it.qty} @ {Number(it.price || 0).toFixed(2)}
+                          {Number(it.refundedQty || 0) > 0 && (
+                            <span className="ml-2 text-xs text-amber-300">
+                              {it.refundedQty} refunded
+                            </span>
+                          )}
+                        </span>
+                        <input
+                          type="number"
+                          min="0"
+                          max={left}
+                          value={lineQty[index] || 0}
+                          disabled={left <= 0 || busy}
+                          onChange={(e) =>
+                            setLineQty((prev) => ({
+                              ...prev,
+                              [index]: Math.min(
+                                left,
+                                Math.max(0, parseInt(e.target.value, 10) || 0)
+                              ),
+                            }))
+                          }
+                          className="w-16 p-1 bg-slate-800 rounded text-slate-100 text-right disabled:opacity-50"
+                        />
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
           </div>
 
           <div>
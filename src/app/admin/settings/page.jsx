@@ -11,6 +11,7 @@ import {
   FiToggleLeft,
   FiToggleRight,
 } from "react-icons/fi";
+import { DEFAULT_TIMEZONE } from "@/lib/schedule";
 
 /**
  * ValueEditor
@@ -130,6 +131,30 @@ function Modal({ open, title, onClose, children, footer }) {
   );
 }
 
+const CALENDAR_TYPE_LABELS = {
+  term: "Term",
+  holiday: "Holiday",
+  closure: "Closure",
+  extra_day: "Extra day",
+};
+
+const CALENDAR_TYPE_STYLES = {
+  term: "bg-slate-600 text-slate-100",
+  holiday: "bg-amber-500 text-black",
+  closure: "bg-red-600 text-white",
+  extra_day: "bg-emerald-400 text-black",
+};
+
+const EMPTY_CALENDAR_FORM = {
+  type: "holiday",
+  name: "",
+  startDate: "",
+  endDate: "",
+  scope: "all",
+  windows: [],
+  notes: "",
+};
+
 export default function AdminSettingsPage() {
   const [settings, setSettings] = useState([]);
   const [windows, setWindows] = useState([]);
@@ -144,6 +169,29 @@ export default function AdminSettingsPage() {
     "Special orders can only be collected during lunchtime."
   );
   const [savingSpecialOrders, setSavingSpecialOrders] = useState(false);
+  const [spendingDaily, setSpendingDaily] = useState("");
+  const [spendingWeekly, setSpendingWeekly] = useState("");
+  const [schoolTimezone, setSchoolTimezone] = useState("");
+  const [savingSpending, setSavingSpending] = useState(false);
+  const [lowBalanceThreshold, setLowBalanceThreshold] = useState("");
+  const [notifyChannels, setNotifyChannels] = useState([]);
+  const [savingNotifications, setSavingNotifications] = useState(false);
+  const [counterPrinter, setCounterPrinter] = useState({
+    host: "",
+    port: 9100,
+    autoPrint: false,
+  });
+  const [savingPrinting, setSavingPrinting] = useState(false);
+  const [preorderChargeMode, setPreorderChargeMode] = useState("placement");
+  const [preorderMaxDays, setPreorderMaxDays] = useState("7");
+  const [subscriptionLeadHours, setSubscriptionLeadHours] = useState("12");
+  const [savingPreorders, setSavingPreorders] = useState(false);
+  const [cancelCutoff, setCancelCutoff] = useState("10");
+  const [savingCancellation, setSavingCancellation] = useState(false);
+  const [calendarEntries, setCalendarEntries] = useState([]);
+  const [legacyHolidays, setLegacyHolidays] = useState([]);
+  const [calendarForm, setCalendarForm] = useState(EMPTY_CALENDAR_FORM);
+  const [savingCalendar, setSavingCalendar] = useState(false);
 
   // Settings modal state
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
@@ -186,14 +234,16 @@ export default function AdminSettingsPage() {
   async function loadAll() {
     setLoading(true);
     try {
-      const [sRes, wRes, swRes] = await Promise.all([
+      const [sRes, wRes, swRes, cRes] = await Promise.all([
         fetch("/api/admin/settings", { cache: "no-store" }),
         fetch("/api/admin/ordering-windows", { cache: "no-store" }),
         fetch("/api/admin/special-ordering-windows", { cache: "no-store" }),
+        fetch("/api/admin/calendar", { cache: "no-store" }),
       ]);
       const sBody = await sRes.json();
       const wBody = await wRes.json();
       const swBody = await swRes.json();
+      const cBody = await cRes.json().catch(() => ({}));
       if (!sBody.ok) throw new Error(sBody.error || "Failed to load settings");
       if (!wBody.ok) throw new Error(wBody.error || "Failed to load windows");
       if (!swBody.ok)
@@ -202,6 +252,8 @@ export default function AdminSettingsPage() {
       setSettings(nextSettings);
       setWindows(wBody.windows || []);
       setSpecialWindows(swBody.windows || []);
+      setCalendarEntries(cBody.ok ? cBody.entries || [] : []);
+      setLegacyHolidays(cBody.ok ? cBody.legacyHolidays || [] : []);
 
       const getSetting = (key) =>
         nextSettings.find((s) => s.key === key)?.value;
@@ -225,6 +277,50 @@ export default function AdminSettingsPage() {
       if (bannerNoteRaw !== undefined && bannerNoteRaw !== null) {
         setSpecialOrdersBannerNote(String(bannerNoteRaw));
       }
+
+      const limitText = (v) =>
+        v === null || v === undefined || v === "" ? "" : String(v);
+      setSpendingDaily(limitText(getSetting("spendingLimits.daily")));
+      setSpendingWeekly(limitText(getSetting("spendingLimits.weekly")));
+      setSchoolTimezone(limitText(getSetting("school.timezone")));
+      // falls back to the key guardians' alerts used before notifications existed
+      setLowBalanceThreshold(
+        limitText(
+          getSetting("notifications.lowBalanceThreshold") ??
+            getSetting("guardian.lowBalanceThreshold")
+        )
+      );
+      const channels = getSetting("notifications.channels");
+      setNotifyChannels(Array.isArray(channels) ? channels : []);
+      const printer = getSetting("printing.counterPrinter");
+      setCounterPrinter({
+        host: printer?.host || "",
+        port: printer?.port || 9100,
+        autoPrint: !!printer?.autoPrint,
+      });
+      setPreorderChargeMode(
+        getSetting("preorders.chargeMode") === "window_open"
+          ? "window_open"
+          : "placement"
+      );
+      const maxDays = getSetting("preorders.maxDaysAhead");
+      setPreorderMaxDays(
+        maxDays === null || maxDays === undefined || maxDays === ""
+          ? "7"
+          : String(maxDays)
+      );
+      const cutoff = getSetting("orders.cancelCutoffMinutes");
+      setCancelCutoff(
+        cutoff === null || cutoff === undefined || cutoff === ""
+          ? "10"
+          : String(cutoff)
+      );
+      const leadHours = getSetting("subscriptions.leadHours");
+      setSubscriptionLeadHours(
+        leadHours === null || leadHours === undefined || leadHours === ""
+          ? "12"
+          : String(leadHours)
+      );
     } catch (err) {
       alert(err.message || "Failed to load settings");
     } finally {
@@ -439,6 +535,14 @@ export default function AdminSettingsPage() {
       allowedProductIds: w.allowedProductIds || [],
       priority: w.priority || 0,
       description: w.description || "",
+      pickupSlots: {
+        enabled: !!w.pickupSlots?.enabled,
+        slotMinutes: w.pickupSlots?.slotMinutes ?? 10,
+        maxOrders: w.pickupSlots?.maxOrders ?? "",
+        maxPrepMinutes: w.pickupSlots?.maxPrepMinutes ?? "",
+        startTime: w.pickupSlots?.startTime || "",
+        endTime: w.pickupSlots?.endTime || "",
+      },
     });
     setIsWindowOpen(true);
   }
@@ -456,6 +560,13 @@ export default function AdminSettingsPage() {
     });
   }
 
+  function setPickupSlots(patch) {
+    setWindowEditForm((f) => ({
+      ...f,
+      pickupSlots: { ...(f.pickupSlots || { slotMinutes: 10 }), ...patch },
+    }));
+  }
+
   function toggleDay(form, day) {
     const s = new Set(form.daysOfWeek || []);
     if (s.has(day)) s.delete(day);
@@ -652,6 +763,290 @@ export default function AdminSettingsPage() {
     }
   }
 
+  async function saveSpendingSettings() {
+    const toLimit = (v) => (String(v).trim() === "" ? null : Number(v));
+    const daily = toLimit(spendingDaily);
+    const weekly = toLimit(spendingWeekly);
+    for (const v of [daily, weekly]) {
+      if (v !== null && (!Number.isFinite(v) || v < 0)) {
+        alert("Limits must be blank or a non-negative number");
+        return;
+      }
+    }
+    setSavingSpending(true);
+    try {
+      const payload = {
+        settings: [
+          {
+            key: "spendingLimits.daily",
+            value: daily,
+            description:
+              "Default daily spending cap per student (blank = no cap)",
+          },
+          {
+            key: "spendingLimits.weekly",
+            value: weekly,
+            description:
+              "Default weekly spending cap per student (blank = no cap)",
+          },
+          {
+            key: "school.timezone",
+            value: schoolTimezone.trim() || DEFAULT_TIMEZONE,
+            description:
+              "IANA timezone used for school days (e.g. Africa/Harare)",
+          },
+        ],
+      };
+      const res = await fetch("/api/admin/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Save failed");
+    } finally {
+      setSavingSpending(false);
+    }
+  }
+
+  async function saveNotificationSettings() {
+    const raw = String(lowBalanceThreshold).trim();
+    const threshold = raw === "" ? null : Number(raw);
+    if (threshold !== null && (!Number.isFinite(threshold) || threshold < 0)) {
+      alert("Threshold must be blank or a non-negative number");
+      return;
+    }
+    setSavingNotifications(true);
+    try {
+      const payload = {
+        settings: [
+          {
+            key: "notifications.lowBalanceThreshold",
+            value: threshold,
+            description:
+              "Balance below which students (and guardians without their own threshold) are notified",
+          },
+          {
+            key: "notifications.channels",
+            value: notifyChannels,
+            description:
+              "Channels used in addition to in-app notifications (email, sms)",
+          },
+        ],
+      };
+      const res = await fetch("/api/admin/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Save failed");
+    } finally {
+      setSavingNotifications(false);
+    }
+  }
+
+  async function savePrintingSettings() {
+    const port = Number(counterPrinter.port);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      alert("Port must be a number between 1 and 65535");
+      return;
+    }
+    setSavingPrinting(true);
+    try {
+      const payload = {
+        settings: [
+          {
+            key: "printing.counterPrinter",
+            value: {
+              host: counterPrinter.host.trim(),
+              port,
+              autoPrint: counterPrinter.autoPrint,
+            },
+            description:
+              "ESC/POS printer at the counter: unassigned kitchen lines and external-order receipts",
+          },
+        ],
+      };
+      const res = await fetch("/api/admin/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Save failed");
+    } finally {
+      setSavingPrinting(false);
+    }
+  }
+
+  async function savePreorderSettings() {
+    const maxDays = Number(preorderMaxDays);
+    if (!Number.isInteger(maxDays) || maxDays < 0 || maxDays > 60) {
+      alert("Days ahead must be a whole number between 0 and 60");
+      return;
+    }
+    const leadHours = Number(subscriptionLeadHours);
+    if (!Number.isFinite(leadHours) || leadHours < 0 || leadHours > 168) {
+      alert("Recurring order lead time must be between 0 and 168 hours");
+      return;
+    }
+    setSavingPreorders(true);
+    try {
+      const payload = {
+        settings: [
+          {
+            key: "preorders.chargeMode",
+            value: preorderChargeMode,
+            description:
+              "When pre-orders are charged: placement or window_open",
+          },
+          {
+            key: "preorders.maxDaysAhead",
+            value: maxDays,
+            description: "How many days ahead students can pre-order",
+          },
+          {
+            key: "subscriptions.leadHours",
+            value: leadHours,
+            description:
+              "Hours before a window opens that recurring orders are placed",
+          },
+        ],
+      };
+      const res = await fetch("/api/admin/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Save failed");
+    } finally {
+      setSavingPreorders(false);
+    }
+  }
+
+  async function saveCancellationSettings() {
+    const minutes = Number(cancelCutoff);
+    if (!Number.isFinite(minutes) || minutes < 0 || minutes > 1440) {
+      alert("Cancellation cutoff must be between 0 and 1440 minutes");
+      return;
+    }
+    setSavingCancellation(true);
+    try {
+      const res = await fetch("/api/admin/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          settings: [
+            {
+              key: "orders.cancelCutoffMinutes",
+              value: minutes,
+              description:
+                "Minutes after placing during which students can cancel (0 = off)",
+            },
+          ],
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Save failed");
+    } finally {
+      setSavingCancellation(false);
+    }
+  }
+
+  // -----------------------
+  // School calendar
+  // -----------------------
+  async function createCalendarEntry() {
+    if (!calendarForm.name.trim()) return alert("Name required");
+    if (!calendarForm.startDate) return alert("Start date required");
+    setSavingCalendar(true);
+    try {
+      const res = await fetch("/api/admin/calendar", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...calendarForm,
+          endDate: calendarForm.endDate || calendarForm.startDate,
+          windows: calendarForm.type === "term" ? [] : calendarForm.windows,
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Create failed");
+      setCalendarForm(EMPTY_CALENDAR_FORM);
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Create failed");
+    } finally {
+      setSavingCalendar(false);
+    }
+  }
+
+  async function deleteCalendarEntry(id) {
+    if (!confirm("Delete calendar entry?")) return;
+    try {
+      const res = await fetch(`/api/admin/calendar/${id}`, {
+        method: "DELETE",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Delete failed");
+      await loadAll();
+    } catch (err) {
+      alert(err.message || "Delete failed");
+    }
+  }
+
+  function toggleCalendarWindow(id) {
+    setCalendarForm((f) => ({
+      ...f,
+      windows: f.windows.includes(id)
+        ? f.windows.filter((w) => w !== id)
+        : [...f.windows, id],
+    }));
+  }
+
+  // windows a calendar entry can target, for the scope picked in the form
+  const calendarWindowChoices = [
+    ...(calendarForm.scope !== "special"
+      ? windows.map((w) => ({ id: String(w._id), name: w.name }))
+      : []),
+    ...(calendarForm.scope !== "ordinary"
+      ? specialWindows.map((w) => ({
+          id: String(w._id),
+          name: `${w.name} (special)`,
+        }))
+      : []),
+  ];
+  const windowNameOf = (id) =>
+    calendarWindowChoices.find((w) => w.id === String(id))?.name ||
+    [...windows, ...specialWindows].find((w) => String(w._id) === String(id))
+      ?.name ||
+    "Removed window";
+
+  function toggleNotifyChannel(channel) {
+    setNotifyChannels((prev) =>
+      prev.includes(channel)
+        ? prev.filter((c) => c !== channel)
+        : [...prev, channel]
+    );
+  }
+
   return (
     <div className="space-y-6 p-4">
       <div className="flex items-center justify-between">
@@ -703,6 +1098,228 @@ export default function AdminSettingsPage() {
             </div>
           </div>
 
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+            <div className="text-slate-100 font-semibold mb-2">
+              Spending limits
+            </div>
+            <div className="text-xs text-slate-400 mb-2">
+              School-wide default caps on student orders. Leave blank for no
+              cap; per-student limits are set on the Students page.
+            </div>
+            <div className="mb-2">
+              <label className="text-xs text-slate-400">Daily limit</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={spendingDaily}
+                onChange={(e) => setSpendingDaily(e.target.value)}
+                className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                placeholder="No cap"
+              />
+            </div>
+            <div className="mb-2">
+              <label className="text-xs text-slate-400">Weekly limit</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={spendingWeekly}
+                onChange={(e) => setSpendingWeekly(e.target.value)}
+                className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                placeholder="No cap"
+              />
+            </div>
+            <div className="mb-2">
+              <label className="text-xs text-slate-400">School timezone</label>
+              <input
+                value={schoolTimezone}
+                onChange={(e) => setSchoolTimezone(e.target.value)}
+                className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                placeholder={DEFAULT_TIMEZONE}
+              />
+            </div>
+            <button
+              onClick={saveSpendingSettings}
+              disabled={savingSpending}
+              className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              <FiSave /> {savingSpending ? "Saving..." : "Save"}
+            </button>
+          </div>
+
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+            <div className="text-slate-100 font-semibold mb-2">
+              Notifications
+            </div>
+            <div className="text-xs text-slate-400 mb-2">
+              In-app notifications are always on. Extra channels use the
+              transport configured on the server (file sink by default).
+            </div>
+            <div className="mb-2">
+              <label className="text-xs text-slate-400">
+                Low-balance threshold
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={lowBalanceThreshold}
+                onChange={(e) => setLowBalanceThreshold(e.target.value)}
+                className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                placeholder="Default (5.00)"
+              />
+            </div>
+            <div className="mb-3 space-y-1">
+              {[
+                ["email", "Email"],
+                ["sms", "SMS"],
+              ].map(([channel, label]) => (
+                <label
+                  key={channel}
+                  className="flex items-center gap-2 text-sm text-slate-300"
+                >
+                  <input
+                    type="checkbox"
+                    checked={notifyChannels.includes(channel)}
+                    onChange={() => toggleNotifyChannel(channel)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={saveNotificationSettings}
+              disabled={savingNotifications}
+              className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              <FiSave /> {savingNotifications ? "Saving..." : "Save"}
+            </button>
+          </div>
+
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+            <div className="text-slate-100 font-semibold mb-2">
+              Counter printer
+            </div>
+            <div className="text-xs text-slate-400 mb-2">
+              Raw ESC/POS over TCP. Leave the host blank to write tickets to
+              the server&apos;s print outbox. Station printers are set on the
+              Prep Stations page.
+            </div>
+            <div className="grid grid-cols-3 gap-2 mb-2">
+              <input
+                value={counterPrinter.host}
+                onChange={(e) =>
+                  setCounterPrinter((p) => ({ ...p, host: e.target.value }))
+                }
+                className="col-span-2 p-2 bg-slate-900 rounded text-slate-100"
+                placeholder="Host, e.g. 192.168.1.60"
+              />
+              <input
+                type="number"
+                value={counterPrinter.port}
+                onChange={(e) =>
+                  setCounterPrinter((p) => ({ ...p, port: e.target.value }))
+                }
+                className="p-2 bg-slate-900 rounded text-slate-100"
+                placeholder="9100"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-300 mb-3">
+              <input
+                type="checkbox"
+                checked={counterPrinter.autoPrint}
+                onChange={(e) =>
+                  setCounterPrinter((p) => ({
+                    ...p,
+                    autoPrint: e.target.checked,
+                  }))
+                }
+              />
+              Print automatically on new orders
+            </label>
+            <button
+              onClick={savePrintingSettings}
+              disabled={savingPrinting}
+              className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              <FiSave /> {savingPrinting ? "Saving..." : "Save"}
+            </button>
+          </div>
+
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+            <div className="text-slate-100 font-semibold mb-2">Pre-orders</div>
+            <div className="text-xs text-slate-400 mb-2">
+              Students can order for a later window today or a future day.
+              Pre-orders reach the canteen board on their day.
+            </div>
+            <label className="block text-xs text-slate-400 mb-1">
+              Charge students
+            </label>
+            <select
+              value={preorderChargeMode}
+              onChange={(e) => setPreorderChargeMode(e.target.value)}
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-2"
+            >
+              <option value="placement">When they place the pre-order</option>
+              <option value="window_open">When the window opens</option>
+            </select>
+            <label className="block text-xs text-slate-400 mb-1">
+              Days ahead allowed
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={preorderMaxDays}
+              onChange={(e) => setPreorderMaxDays(e.target.value)}
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-2"
+            />
+            <label className="block text-xs text-slate-400 mb-1">
+              Place recurring orders (hours before the window)
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="168"
+              value={subscriptionLeadHours}
+              onChange={(e) => setSubscriptionLeadHours(e.target.value)}
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-3"
+            />
+            <button
+              onClick={savePreorderSettings}
+              disabled={savingPreorders}
+              className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              <FiSave /> {savingPreorders ? "Saving..." : "Save"}
+            </button>
+          </div>
+
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+            <div className="text-slate-100 font-semibold mb-2">
+              Order cancellation
+            </div>
+            <div className="text-xs text-slate-400 mb-2">
+              Students can cancel their own orders before the kitchen starts,
+              for this many minutes after placing them (0 turns it off). The
+              total is refunded and stock restored.
+            </div>
+            <input
+              type="number"
+              min="0"
+              max="1440"
+              value={cancelCutoff}
+              onChange={(e) => setCancelCutoff(e.target.value)}
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-3"
+            />
+            <button
+              onClick={saveCancellationSettings}
+              disabled={savingCancellation}
+              className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              <FiSave /> {savingCancellation ? "Saving..." : "Save"}
+            </button>
+          </div>
+
           <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
             <div className="text-slate-100 font-semibold mb-2">Quick info</div>
             <div className="text-sm text-slate-300">
@@ -867,6 +1484,11 @@ export default function AdminSettingsPage() {
                         <span className="text-xs text-slate-400">
                           tz:{w.timezone}
                         </span>
+                        {w.pickupSlots?.enabled && (
+                          <span className="text-xs text-slate-400 ml-2">
+                            • {w.pickupSlots.slotMinutes}-min pickup slots
+                          </span>
+                        )}
                       </div>
                     </div>
 
@@ -1163,6 +1785,184 @@ export default function AdminSettingsPage() {
         </div>
       </div>
 
+      {/* School calendar */}
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+        <h2 className="font-semibold text-slate-100 mb-1">School calendar</h2>
+        <div className="text-xs text-slate-400 mb-3">
+          Terms, holidays, closures and extra days on top of the weekly
+          ordering windows. Once a term exists, days outside every term are a
+          break. Closures beat everything; extra days open a window on a day it
+          does not normally run. Dates are read in each window&apos;s timezone.
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="col-span-2 space-y-2">
+            {calendarEntries.map((e) => (
+              <div
+                key={e._id}
+                className="flex items-start justify-between gap-3 bg-slate-700 p-3 rounded"
+              >
+                <div className="flex-1">
+                  <div className="flex items-center gap-2">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${
+                        CALENDAR_TYPE_STYLES[e.type] || ""
+                      }`}
+                    >
+                      {CALENDAR_TYPE_LABELS[e.type] || e.type}
+                    </span>
+                    <span className="text-slate-100 font-medium">
+                      {e.name}
+                    </span>
+                  </div>
+                  <div className="text-sm text-slate-300 mt-1">
+                    {e.startDate}
+                    {e.endDate && e.endDate !== e.startDate
+                      ? ` → ${e.endDate}`
+                      : ""}
+                    {e.scope && e.scope !== "all"
+                      ? ` · ${e.scope} windows only`
+                      : ""}
+                    {e.windows?.length
+                      ? ` · ${e.windows.map(windowNameOf).join(", ")}`
+                      : ""}
+                  </div>
+                  {e.notes ? (
+                    <div className="text-xs text-slate-400 mt-1">{e.notes}</div>
+                  ) : null}
+                </div>
+                <button
+                  onClick={() => deleteCalendarEntry(e._id)}
+                  className="p-2 rounded hover:bg-red-700"
+                >
+                  <FiTrash2 />
+                </button>
+              </div>
+            ))}
+            {calendarEntries.length === 0 && (
+              <div className="text-sm text-slate-400">
+                No calendar entries. Windows follow their weekly schedule.
+              </div>
+            )}
+            {legacyHolidays.length > 0 && (
+              <div className="text-xs text-slate-400">
+                Also closed (legacy setting school.holidays):{" "}
+                {legacyHolidays.join(", ")}
+              </div>
+            )}
+          </div>
+
+          <div className="col-span-1 bg-slate-900/50 border border-slate-700 rounded-lg p-3">
+            <div className="text-sm font-semibold text-slate-100 mb-2">
+              Add entry
+            </div>
+            <select
+              value={calendarForm.type}
+              onChange={(e) =>
+                setCalendarForm((f) => ({ ...f, type: e.target.value }))
+              }
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-2"
+            >
+              {Object.entries(CALENDAR_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              value={calendarForm.name}
+              onChange={(e) =>
+                setCalendarForm((f) => ({ ...f, name: e.target.value }))
+              }
+              placeholder="e.g. Term 1, Heroes Day, Water outage"
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-2"
+            />
+            <div className="grid grid-cols-2 gap-2 mb-2">
+              <div>
+                <label className="text-xs text-slate-400">From</label>
+                <input
+                  type="date"
+                  value={calendarForm.startDate}
+                  onChange={(e) =>
+                    setCalendarForm((f) => ({
+                      ...f,
+                      startDate: e.target.value,
+                    }))
+                  }
+                  className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-slate-400">To</label>
+                <input
+                  type="date"
+                  value={calendarForm.endDate}
+                  min={calendarForm.startDate || undefined}
+                  onChange={(e) =>
+                    setCalendarForm((f) => ({ ...f, endDate: e.target.value }))
+                  }
+                  className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                />
+              </div>
+            </div>
+            <label className="text-xs text-slate-400">Applies to</label>
+            <select
+              value={calendarForm.scope}
+              onChange={(e) =>
+                setCalendarForm((f) => ({
+                  ...f,
+                  scope: e.target.value,
+                  windows: [],
+                }))
+              }
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-2"
+            >
+              <option value="all">All windows</option>
+              <option value="ordinary">Ordinary windows</option>
+              <option value="special">Special windows</option>
+            </select>
+            {calendarForm.type !== "term" &&
+              calendarWindowChoices.length > 0 && (
+                <div className="mb-2">
+                  <div className="text-xs text-slate-400 mb-1">
+                    Only these windows (none ticked = every window)
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {calendarWindowChoices.map((w) => (
+                      <button
+                        key={w.id}
+                        onClick={() => toggleCalendarWindow(w.id)}
+                        className={`px-2 py-1 rounded text-xs ${
+                          calendarForm.windows.includes(w.id)
+                            ? "bg-red-600 text-white"
+                            : "bg-slate-700 text-slate-200"
+                        }`}
+                      >
+                        {w.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            <input
+              value={calendarForm.notes}
+              onChange={(e) =>
+                setCalendarForm((f) => ({ ...f, notes: e.target.value }))
+              }
+              placeholder="Notes (optional, staff only)"
+              className="w-full p-2 bg-slate-900 rounded text-slate-100 mb-3"
+            />
+            <button
+              onClick={createCalendarEntry}
+              disabled={savingCalendar}
+              className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              <FiPlus /> {savingCalendar ? "Saving..." : "Add to calendar"}
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Settings Modal */}
       <Modal
         open={isSettingsOpen}
@@ -1371,6 +2171,39 @@ export default function AdminSettingsPage() {
             }
           />
         </div>
+
+        <div className="border-t border-slate-700 pt-3">
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input
+              type="checkbox"
+              checked={!!windowEditForm.pickupSlots?.enabled}
+              onChange={(e) => setPickupSlots({ enabled: e.target.checked })}
+            />
+            Pickup slots (students choose a slot at checkout)
+          </label>
+          {windowEditForm.pickupSlots?.enabled && (
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              {[
+                ["slotMinutes", "Slot length (minutes)", "number"],
+                ["maxOrders", "Max orders per slot", "number"],
+                ["maxPrepMinutes", "Max prep minutes per slot", "number"],
+                ["startTime", "Pickup from (blank = window start)", "time"],
+                ["endTime", "Pickup until (blank = window end)", "time"],
+              ].map(([field, label, type]) => (
+                <div key={field}>
+                  <label className="text-xs text-slate-400">{label}</label>
+                  <input
+                    type={type}
+                    min={type === "number" ? "1" : undefined}
+                    className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                    value={windowEditForm.pickupSlots?.[field] ?? ""}
+                    onChange={(e) => setPickupSlots({ [field]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
       </Modal>
 
       {/* Special Window Modal */}
@@ -0,0 +1,378 @@
+// app/admin/stations/page.jsx
+"use client";
+
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { FiPlus, FiSave, FiTrash2, FiRefreshCw, FiSearch } from "react-icons/fi";
+
+/*
+  Prep stations
+  - create / rename / deactivate / delete kitchen prep stations
+  - assign menu and special products to a station; each order line follows its product's station
+    and shows up on that station's kitchen display (/canteen?station=...)
+  - optional ESC/POS ticket printer per station, with automatic kitchen tickets for new orders
+*/
+
+const emptyPrinter = { host: "", port: 9100, autoPrint: false };
+const emptyForm = { name: "", description: "", location: "", active: true, printer: emptyPrinter };
+
+export default function AdminStationsPage() {
+  const [stations, setStations] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [specialProducts, setSpecialProducts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [assigned, setAssigned] = useState(new Set());
+  const [assignedSpecial, setAssignedSpecial] = useState(new Set());
+  const [search, setSearch] = useState("");
+
+  const [newStation, setNewStation] = useState(emptyForm);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [stRes, pRes, spRes] = await Promise.all([
+        fetch("/api/admin/prep-stations", { cache: "no-store" }),
+        fetch("/api/admin/products", { cache: "no-store" }),
+        fetch("/api/admin/special-products", { cache: "no-store" }),
+      ]);
+      const [stBody, pBody, spBody] = await Promise.all([
+        stRes.json(),
+        pRes.json(),
+        spRes.json(),
+      ]);
+      if (!stBody.ok) throw new Error(stBody.error || "Failed to load stations");
+      setStations(stBody.stations || []);
+      setProducts(pBody?.ok ? pBody.products || [] : []);
+      setSpecialProducts(spBody?.ok ? spBody.products || [] : []);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Failed to load");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const stationName = useMemo(() => {
+    const m = new Map(stations.map((s) => [String(s._id), s.name]));
+    return (id) => (id ? m.get(String(id)) || "Deleted station" : null);
+  }, [stations]);
+
+  function select(station) {
+    setSelectedId(station._id);
+    setForm({
+      name: station.name || "",
+      description: station.description || "",
+      location: station.location || "",
+      active: station.active !== false,
+      printer: { ...emptyPrinter, ...(station.printer || {}) },
+    });
+    const id = String(station._id);
+    setAssigned(new Set(products.filter((p) => String(p.prepStation || "") === id).map((p) => String(p._id))));
+    setAssignedSpecial(
+      new Set(specialProducts.filter((p) => String(p.prepStation || "") === id).map((p) => String(p._id)))
+    );
+  }
+
+  async function createStation(e) {
+    e.preventDefault();
+    if (!newStation.name.trim()) return alert("Name is required");
+    setBusy(true);
+    try {
+      const res = await fetch("/api/admin/prep-stations", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(newStation),
+      });
+      const body = await res.json();
+      if (!body.ok) throw new Error(body.error || "Create failed");
+      setNewStation(emptyForm);
+      await load();
+    } catch (err) {
+      alert(err.message || "Create failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveStation() {
+    if (!selectedId) return;
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/admin/prep-stations/${selectedId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...form,
+          productIds: [...assigned],
+          specialProductIds: [...assignedSpecial],
+        }),
+      });
+      const body = await res.json();
+      if (!body.ok) throw new Error(body.error || "Save failed");
+      await load();
+    } catch (err) {
+      alert(err.message || "Save failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function deleteStation(station) {
+    if (!confirm(`Delete "${station.name}"? Its products become unassigned.`)) return;
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/admin/prep-stations/${station._id}`, { method: "DELETE" });
+      const body = await res.json();
+      if (!body.ok) throw new Error(body.error || "Delete failed");
+      if (selectedId === station._id) setSelectedId(null);
+      await load();
+    } catch (err) {
+      alert(err.message || "Delete failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const toggle = (setter) => (id) =>
+    setter((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const matches = (p) => !search || String(p.name || "").toLowerCase().includes(search.toLowerCase());
+
+  function renderProductList(title, list, selected, onToggle) {
+    const shown = list.filter(matches);
+    return (
+      <div>
+        <div className="text-xs uppercase tracking-wide text-slate-400 mb-2">
+          {title} ({selected.size} assigned)
+        </div>
+        {shown.length === 0 ? (
+          <div className="text-sm text-slate-500">No products.</div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 max-h-72 overflow-y-auto pr-1">
+            {shown.map((p) => {
+              const id = String(p._id);
+              const current = String(p.prepStation || "");
+              const elsewhere = current && current !== String(selectedId) && !selected.has(id);
+              return (
+                <label
+                  key={id}
+                  className="flex items-center gap-2 px-2 py-1 rounded hover:bg-slate-700/40 text-sm text-slate-200"
+                >
+                  <input type="checkbox" checked={selected.has(id)} onChange={() => onToggle(id)} />
+                  <span className="truncate">{p.name}</span>
+                  {elsewhere && (
+                    <span className="ml-auto text-[11px] text-slate-500 truncate">
+                      {stationName(current)}
+                    </span>
+                  )}
+                </label>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const selected = stations.find((s) => s._id === selectedId) || null;
+
+  return (
+    <div className="min-h-screen p-6 bg-slate-900 text-slate-100">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-semibold">Prep stations</h1>
+            <p className="text-sm text-slate-400 mt-1">
+              Each station gets its own kitchen display showing only the order lines for its products.
+            </p>
+          </div>
+          <button
+            onClick={load}
+            disabled={loading}
+            className="px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 text-slate-200 flex items-center gap-2"
+          >
+            <FiRefreshCw className={loading ? "animate-spin" : ""} /> Refresh
+          </button>
+        </div>
+
+        {error && <div className="p-3 rounded bg-red-900 text-red-200">{error}</div>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-4">
+            <form onSubmit={createStation} className="bg-slate-800 border border-slate-700 rounded-xl p-4 space-y-2">
+              <div className="text-sm font-medium">New station</div>
+              <input
+                value={newStation.name}
+                onChange={(e) => setNewStation((s) => ({ ...s, name: e.target.value }))}
+                placeholder="Name, e.g. Grill"
+                className="w-full p-2 bg-slate-900 rounded text-slate-100"
+              />
+              <input
+                value={newStation.location}
+                onChange={(e) => setNewStation((s) => ({ ...s, location: e.target.value }))}
+                placeholder="Location (optional)"
+                className="w-full p-2 bg-slate-900 rounded text-slate-100"
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-3 py-2 rounded bg-cyan-600 hover:bg-cyan-500 text-white text-sm flex items-center gap-2 disabled:opacity-60"
+              >
+                <FiPlus /> Add station
+              </button>
+            </form>
+
+            <div className="bg-slate-800 border border-slate-700 rounded-xl divide-y divide-slate-700">
+              {stations.length === 0 ? (
+                <div className="p-4 text-sm text-slate-400">No prep stations yet.</div>
+              ) : (
+                stations.map((s) => (
+                  <div
+                    key={s._id}
+                    className={`p-3 flex items-center gap-3 cursor-pointer ${
+                      selectedId === s._id ? "bg-slate-700/60" : "hover:bg-slate-700/30"
+                    }`}
+                    onClick={() => select(s)}
+                  >
+                    <div className="min-w-0 flex-1">
+                      <div className="text-sm font-medium truncate">
+                        {s.name}
+                        {s.active === false && <span className="ml-2 text-xs text-slate-500">(inactive)</span>}
+                      </div>
+                      <div className="text-xs text-slate-400">
+                        {s.productCount} products · {s.specialProductCount} special
+                        {s.location ? ` · ${s.location}` : ""}
+                      </div>
+                    </div>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteStation(s);
+                      }}
+                      disabled={busy}
+                      className="p-2 rounded text-red-300 hover:bg-red-900/30"
+                      aria-label={`Delete ${s.name}`}
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div className="lg:col-span-2">
+            {!selected ? (
+              <div className="bg-slate-800 border border-slate-700 rounded-xl p-6 text-sm text-slate-400">
+                Select a station to edit it and assign products.
+              </div>
+            ) : (
+              <div className="bg-slate-800 border border-slate-700 rounded-xl p-4 space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs text-slate-400 mb-1 block">Name</label>
+                    <input
+                      value={form.name}
+                      onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+                      className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs text-slate-400 mb-1 block">Location</label>
+                    <input
+                      value={form.location}
+                      onChange={(e) => setForm((f) => ({ ...f, location: e.target.value }))}
+                      className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                    />
+                  </div>
+                  <div className="sm:col-span-2">
+                    <label className="text-xs text-slate-400 mb-1 block">Description</label>
+                    <input
+                      value={form.description}
+                      onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))}
+                      className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-200">
+                    <input
+                      type="checkbox"
+                      checked={form.active}
+                      onChange={(e) => setForm((f) => ({ ...f, active: e.target.checked }))}
+                    />
+                    Active (listed on the kitchen display)
+                  </label>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                  <div className="sm:col-span-2">
+                    <label className="text-xs text-slate-400 mb-1 block">Ticket printer host</label>
+                    <input
+                      value={form.printer.host}
+                      onChange={(e) => setForm((f) => ({ ...f, printer: { ...f.printer, host: e.target.value } }))}
+                      placeholder="e.g. 192.168.1.50 (blank = print outbox)"
+                      className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs text-slate-400 mb-1 block">Port</label>
+                    <input
+                      type="number"
+                      value={form.printer.port}
+                      onChange={(e) => setForm((f) => ({ ...f, printer: { ...f.printer, port: e.target.value } }))}
+                      className="w-full p-2 bg-slate-900 rounded text-slate-100"
+                    />
+                  </div>
+                  <label className="sm:col-span-3 flex items-center gap-2 text-sm text-slate-200">
+                    <input
+                      type="checkbox"
+                      checked={form.printer.autoPrint}
+                      onChange={(e) => setForm((f) => ({ ...f, printer: { ...f.printer, autoPrint: e.target.checked } }))}
+                    />
+                    Print a kitchen ticket automatically for every new order with lines for this station
+                  </label>
+                </div>
+
+                <div className="flex items-center gap-2 bg-slate-900 rounded px-2">
+                  <FiSearch className="text-slate-500" />
+                  <input
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Filter products"
+                    className="flex-1 p-2 bg-transparent text-slate-100 outline-none"
+                  />
+                </div>
+
+                {renderProductList("Menu products", products, assigned, toggle(setAssigned))}
+                {renderProductList("Special products", specialProducts, assignedSpecial, toggle(setAssignedSpecial))}
+
+                <div className="flex justify-end">
+                  <button
+                    onClick={saveStation}
+                    disabled={busy}
+                    className="px-4 py-2 rounded bg-emerald-500 text-black font-medium flex items-center gap-2 disabled:opacity-60"
+                  >
+                    <FiSave /> {busy ? "Saving…" : "Save station"}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
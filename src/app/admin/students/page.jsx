@@ -11,6 +11,7 @@ import {
   FiTrash2,
   FiPlus,
   FiSave,
+  FiSliders,
 } from "react-icons/fi";
 
 export default function AdminStudentsPage() {
@@ -37,6 +38,23 @@ export default function AdminStudentsPage() {
   const [addProductId, setAddProductId] = useState("");
   const [addQty, setAddQty] = useState(1);
 
+  // Spending limits State
+  const [limitsStudent, setLimitsStudent] = useState(null);
+  const [limitsForm, setLimitsForm] = useState({
+    daily: "",
+    weekly: "",
+    allergens: "",
+    restrictions: "",
+    hideConflicts: false,
+  });
+  const [limitsAllowance, setLimitsAllowance] = useState(null);
+  const [savingLimits, setSavingLimits] = useState(false);
+
+  // Dietary overrides (admins only): AuditLog entries letting a student order a conflicting product
+  const [dietOverrides, setDietOverrides] = useState([]);
+  const [overrideForm, setOverrideForm] = useState({ productId: "", reason: "", hours: 24 });
+  const isAdmin = session?.user?.role === "admin";
+
   useEffect(() => {
     fetchStudents();
   }, [page, search, sortBy, sortOrder, statusFilter, balanceFilter]);
@@ -279,6 +297,120 @@ export default function AdminStudentsPage() {
     }
   }
 
+  async function openLimits(student) {
+    setLimitsStudent(student);
+    setLimitsAllowance(null);
+    setDietOverrides([]);
+    setOverrideForm({ productId: "", reason: "", hours: 24 });
+    setLimitsForm({
+      daily: student.spendingLimits?.daily ?? "",
+      weekly: student.spendingLimits?.weekly ?? "",
+      allergens: "",
+      restrictions: "",
+      hideConflicts: false,
+    });
+    if (isAdmin) fetchProducts(true);
+    try {
+      const res = await fetch(`/api/admin/students/${student._id}`);
+      const data = await res.json();
+      if (data.ok) {
+        setLimitsAllowance(data.spending);
+        setDietOverrides(data.dietaryOverrides || []);
+        const diet = data.student?.dietaryProfile || {};
+        setLimitsForm((f) => ({
+          ...f,
+          allergens: (diet.allergens || []).join(", "),
+          restrictions: (diet.restrictions || []).join(", "),
+          hideConflicts: !!diet.hideConflicts,
+        }));
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function addOverride() {
+    if (!limitsStudent || !overrideForm.productId) return;
+    try {
+      const res = await fetch(`/api/admin/students/${limitsStudent._id}/dietary-overrides`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(overrideForm),
+      });
+      const data = await res.json();
+      if (!data.ok) return alert(data.error || "Failed to add override");
+      setDietOverrides((prev) => [data.override, ...prev]);
+      setOverrideForm({ productId: "", reason: "", hours: 24 });
+    } catch (err) {
+      console.error(err);
+      alert("Error adding override");
+    }
+  }
+
+  async function revokeOverride(overrideId) {
+    if (!limitsStudent || !confirm("Revoke this dietary override?")) return;
+    try {
+      const res = await fetch(
+        `/api/admin/students/${limitsStudent._id}/dietary-overrides?overrideId=${overrideId}`,
+        { method: "DELETE" }
+      );
+      const data = await res.json();
+      if (!data.ok) return alert(data.error || "Failed to revoke override");
+      setDietOverrides((prev) => prev.filter((o) => String(o.id) !== String(overrideId)));
+    } catch (err) {
+      console.error(err);
+      alert("Error revoking override");
+    }
+  }
+
+  function closeLimits() {
+    setLimitsStudent(null);
+    setLimitsAllowance(null);
+  }
+
+  async function saveLimits() {
+    if (!limitsStudent) return;
+    setSavingLimits(true);
+    try {
+      const res = await fetch(`/api/admin/students/${limitsStudent._id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          spendingLimits: {
+            daily: limitsForm.daily === "" ? null : Number(limitsForm.daily),
+            weekly: limitsForm.weekly === "" ? null : Number(limitsForm.weekly),
+          },
+          dietaryProfile: {
+            allergens: limitsForm.allergens,
+            restrictions: limitsForm.restrictions,
+            hideConflicts: limitsForm.hideConflicts,
+          },
+        }),
+      });
+      const data = await res.json();
+      if (data.ok) {
+        closeLimits();
+        fetchStudents();
+      } else {
+        alert(data.error || "Failed to save limits");
+      }
+    } catch (err) {
+      console.error(err);
+      alert("Error saving limits");
+    } finally {
+      setSavingLimits(false);
+    }
+  }
+
+  function describeLimits(limits) {
+    const parts = [];
+    if (limits?.daily !== null && limits?.daily !== undefined)
+      parts.push(`${fmt(limits.daily)}/day`);
+    if (limits?.weekly !== null && limits?.weekly !== undefined)
+      parts.push(`${fmt(limits.weekly)}/week`);
+    return parts.length ? parts.join(" · ") : "School default";
+  }
+
   function calculateEditTotal() {
     return editItems.reduce((sum, item) => sum + item.price * item.qty, 0);
   }
@@ -445,19 +577,20 @@ export default function AdminStudentsPage() {
                   >
                     Balance {renderSortIcon("balance")}
                   </th>
+                  <th className="p-4">Limits</th>
                   <th className="p-4 text-center">Actions</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-slate-700">
                 {loading ? (
                   <tr>
-                    <td colSpan="5" className="p-8 text-center text-slate-400">
+                    <td colSpan="6" className="p-8 text-center text-slate-400">
                       Loading...
                     </td>
                   </tr>
                 ) : students.length === 0 ? (
                   <tr>
-                    <td colSpan="5" className="p-8 text-center text-slate-400">
+                    <td colSpan="6" className="p-8 text-center text-slate-400">
                       No students found.
                     </td>
                   </tr>
@@ -479,13 +612,24 @@ export default function AdminStudentsPage() {
                       >
                         {fmt(s.balance)}
                       </td>
+                      <td className="p-4 text-slate-400 text-xs">
+                        {describeLimits(s.spendingLimits)}
+                      </td>
                       <td className="p-4 text-center">
-                        <button
-                          onClick={() => handleViewStatement(s)}
-                          className="px-3 py-1 bg-cyan-900/30 text-cyan-400 rounded hover:bg-cyan-900/50 transition-colors text-xs flex items-center gap-1 mx-auto"
-                        >
-                          <FiFileText /> Statement
-                        </button>
+                        <div className="flex items-center justify-center gap-2">
+                          <button
+                            onClick={() => handleViewStatement(s)}
+                            className="px-3 py-1 bg-cyan-900/30 text-cyan-400 rounded hover:bg-cyan-900/50 transition-colors text-xs flex items-center gap-1"
+                          >
+                            <FiFileText /> Statement
+                          </button>
+                          <button
+                            onClick={() => openLimits(s)}
+                            className="px-3 py-1 bg-slate-700 text-slate-200 rounded hover:bg-slate-600 transition-colors text-xs flex items-center gap-1"
+                          >
+                            <FiSliders /> Limits
+                          </button>
+                        </div>
                       </td>
                     </tr>
                   ))
@@ -815,6 +959,179 @@ export default function AdminStudentsPage() {
           </div>
         </div>
       )}
+
+      {/* Spending Limits Modal */}
+      {limitsStudent && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/70 backdrop-blur-sm">
+          <div className="bg-slate-800 rounded-xl border border-slate-700 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-2xl">
+            <div className="p-4 border-b border-slate-700 flex items-center justify-between bg-slate-900/50 rounded-t-xl">
+              <div>
+                <h3 className="text-lg font-bold text-slate-100">
+                  Spending limits & diet
+                </h3>
+                <p className="text-sm text-slate-400">
+                  {limitsStudent.name} • {limitsStudent.regNumber}
+                </p>
+              </div>
+              <button
+                onClick={closeLimits}
+                className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white transition-colors"
+              >
+                <FiX size={20} />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {[
+                ["daily", "Daily limit", "Spent today"],
+                ["weekly", "Weekly limit", "Spent this week"],
+              ].map(([period, label, spentLabel]) => (
+                <div key={period}>
+                  <label className="text-xs text-slate-400">{label}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={limitsForm[period]}
+                    onChange={(e) =>
+                      setLimitsForm((f) => ({ ...f, [period]: e.target.value }))
+                    }
+                    placeholder="Blank = school default"
+                    className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-slate-200 focus:outline-none focus:border-cyan-500"
+                  />
+                  {limitsAllowance?.[period] && (
+                    <div className="mt-1 text-xs text-slate-500">
+                      {spentLabel}: {fmt(limitsAllowance[period].spent)}
+                      {limitsAllowance[period].limit !== null &&
+                        ` of ${fmt(limitsAllowance[period].limit)} (${
+                          limitsAllowance[period].source === "school"
+                            ? "school default"
+                            : "student limit"
+                        })`}
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              <div className="pt-2 border-t border-slate-700 space-y-3">
+                {[
+                  ["allergens", "Allergens", "e.g. peanuts, milk"],
+                  ["restrictions", "Dietary restrictions (products must be tagged)", "e.g. vegetarian, halal"],
+                ].map(([field, label, placeholder]) => (
+                  <div key={field}>
+                    <label className="text-xs text-slate-400">{label}</label>
+                    <input
+                      value={limitsForm[field]}
+                      onChange={(e) =>
+                        setLimitsForm((f) => ({ ...f, [field]: e.target.value }))
+                      }
+                      placeholder={placeholder}
+                      className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-slate-200 focus:outline-none focus:border-cyan-500"
+                    />
+                  </div>
+                ))}
+                <label className="flex items-center gap-2 text-sm text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={limitsForm.hideConflicts}
+                    onChange={(e) =>
+                      setLimitsForm((f) => ({ ...f, hideConflicts: e.target.checked }))
+                    }
+                  />
+                  Hide conflicting items from the student menu
+                </label>
+              </div>
+
+              <div className="pt-2 border-t border-slate-700 space-y-2">
+                <div className="text-xs text-slate-400">Dietary overrides</div>
+                {dietOverrides.length === 0 && (
+                  <div className="text-sm text-slate-500">None active.</div>
+                )}
+                {dietOverrides.map((o) => (
+                  <div key={o.id} className="flex items-start justify-between gap-2 text-sm">
+                    <div>
+                      <div className="text-slate-200">{o.productName}</div>
+                      <div className="text-xs text-slate-500">
+                        {o.reason} · until {new Date(o.expiresAt).toLocaleString()}
+                      </div>
+                    </div>
+                    {isAdmin && (
+                      <button
+                        onClick={() => revokeOverride(o.id)}
+                        className="p-1 text-slate-400 hover:text-red-400"
+                        title="Revoke override"
+                      >
+                        <FiTrash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {isAdmin && (
+                  <div className="space-y-2">
+                    <select
+                      value={overrideForm.productId}
+                      onChange={(e) =>
+                        setOverrideForm((f) => ({ ...f, productId: e.target.value }))
+                      }
+                      className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-slate-200 text-sm"
+                    >
+                      <option value="">Allow a product…</option>
+                      {products.map((p) => (
+                        <option key={p._id} value={p._id}>
+                          {p.name}
+                        </option>
+                      ))}
+                    </select>
+                    <div className="flex gap-2">
+                      <input
+                        value={overrideForm.reason}
+                        onChange={(e) =>
+                          setOverrideForm((f) => ({ ...f, reason: e.target.value }))
+                        }
+                        placeholder="Reason (required)"
+                        className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-slate-200 text-sm"
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={overrideForm.hours}
+                        onChange={(e) =>
+                          setOverrideForm((f) => ({ ...f, hours: e.target.value }))
+                        }
+                        title="Hours"
+                        className="w-20 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-slate-200 text-sm"
+                      />
+                      <button
+                        onClick={addOverride}
+                        disabled={!overrideForm.productId || !overrideForm.reason.trim()}
+                        className="px-3 py-2 rounded-lg bg-slate-700 text-slate-200 text-sm disabled:opacity-50"
+                      >
+                        <FiPlus />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="p-4 border-t border-slate-700 bg-slate-900/50 rounded-b-xl flex justify-end gap-3">
+              <button
+                onClick={closeLimits}
+                className="px-4 py-2 rounded-lg text-slate-300 hover:bg-slate-700 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveLimits}
+                disabled={savingLimits}
+                className="px-6 py-2 bg-cyan-600 hover:bg-cyan-500 text-white rounded-lg font-medium flex items-center gap-2 disabled:opacity-50"
+              >
+                <FiSave /> {savingLimits ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,7 +1,7 @@
 // app/(admin)/funds/page.jsx
 "use client";
 
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { useSession, signIn } from "next-auth/react";
 import {
   FiPlusCircle,
@@ -9,6 +9,7 @@ import {
   FiSearch,
   FiAlertCircle,
 } from "react-icons/fi";
+import { idempotencyKeyFor } from "@/lib/idempotencyKey";
 
 export default function AdminFundsPage() {
   const { data: session, status } = useSession();
@@ -18,6 +19,9 @@ export default function AdminFundsPage() {
   const [note, setNote] = useState("");
   const [allowNegative, setAllowNegative] = useState(false);
   const [loading, setLoading] = useState(false);
+
+  // one Idempotency-Key per distinct submission; a retry of the same payload reuses it
+  const idemRef = useRef(null);
   const [resultMsg, setResultMsg] = useState(null);
   const [error, setError] = useState(null);
   const [userAfter, setUserAfter] = useState(null);
@@ -90,7 +94,10 @@ export default function AdminFundsPage() {
       const res = await fetch(endpoint, {
         method: "POST",
         credentials: "include",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKeyFor(idemRef, { endpoint, ...body }),
+        },
         body: JSON.stringify(body),
       });
 
@@ -108,6 +115,7 @@ export default function AdminFundsPage() {
           )} — New balance: ${fmt(data.user?.balance ?? 0)}`
         );
         // reset amount/note optionally
+        idemRef.current = null;
         setAmount("");
         setNote("");
       }
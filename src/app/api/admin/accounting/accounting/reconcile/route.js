@@ -2,20 +2,22 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase, Transaction, AuditLog } from '@/models/allModels';
 import mongoose from 'mongoose';
+import { withPermission } from '@/lib/routeAuth.js';
 
 /**
  * POST: /api/admin/accounting/reconcile
- * Body: { transactionIds: [id, ...], note: 'counted cash', actor: adminId? }
+ * Body: { transactionIds: [id, ...], note: 'counted cash' }
  *
- * This sets meta.reconciled = true and meta.reconciledAt / reconciledBy (if actor provided)
+ * This sets meta.reconciled = true and meta.reconciledAt / reconciledBy (the signed-in user)
  * Also creates an AuditLog entry for the reconciliation action.
  */
 
-export async function POST(req) {
+export const POST = withPermission('accounting.reconcile', async (req, context, { user }) => {
     try {
         await connectToDatabase();
         const body = await req.json();
-        const { transactionIds = [], note = '', actor = null } = body;
+        const { transactionIds = [], note = '' } = body;
+        const actor = user._id;
 
         if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
             return NextResponse.json({ ok: false, error: 'transactionIds required' }, { status: 400 });
@@ -37,7 +39,7 @@ export async function POST(req) {
         // audit
         try {
             await AuditLog.create({
-                actor: actor || null,
+                actor,
                 action: 'accounting_reconcile',
                 collectionName: 'transactions',
                 documentId: null,
@@ -52,4 +54,4 @@ export async function POST(req) {
         console.error('POST /api/admin/accounting/reconcile error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
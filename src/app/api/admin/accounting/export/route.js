@@ -2,6 +2,7 @@
 
 import { connectToDatabase, Transaction, User } from '@/models/allModels';
 import mongoose from 'mongoose';
+import { withPermission } from '@/lib/routeAuth.js';
 
 /**
  * GET: /api/admin/accounting/export
@@ -18,7 +19,7 @@ function escapeCsv(value = '') {
     return s;
 }
 
-export async function GET(req) {
+export const GET = withPermission('accounting.view', async (req) => {
     try {
         await connectToDatabase();
         const url = new URL(req.url);
@@ -100,4 +101,4 @@ export async function GET(req) {
         console.error('GET /api/admin/accounting/export error', err);
         return new Response(JSON.stringify({ ok: false, error: err.message }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
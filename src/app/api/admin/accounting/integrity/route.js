@@ -0,0 +1,63 @@
+// app/api/admin/accounting/integrity/route.js
+import { NextResponse } from "next/server";
+import {
+    checkBalanceIntegrity,
+    replayUserTransactions,
+    postCorrectingAdjustment,
+    backfillJournalEntries,
+} from "@/lib/ledger.js";
+import { withPermission } from "@/lib/routeAuth.js";
+
+/**
+ * GET /api/admin/accounting/integrity?userId=&all=1
+ * - Replays every Transaction per user and reports users whose User.balance disagrees with the replay or the ledger.
+ * - With userId the per-transaction replay timeline is included.
+ */
+export const GET = withPermission("accounting.view", async (req) => {
+    try {
+        const url = new URL(req.url);
+        const userId = url.searchParams.get("userId") || null;
+        const includeOk = url.searchParams.get("all") === "1";
+
+        const report = await checkBalanceIntegrity({ userId, includeOk: includeOk || !!userId });
+        const replay = userId ? await replayUserTransactions(userId) : null;
+
+        return NextResponse.json({ ok: true, report, replay }, { status: 200, headers: { "Cache-Control": "no-store" } });
+    } catch (err) {
+        console.error("GET /api/admin/accounting/integrity error", err);
+        const status = /Invalid userId/i.test(err?.message || "") ? 400 : 500;
+        return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status });
+    }
+});
+
+/**
+ * POST /api/admin/accounting/integrity
+ * Body:
+ *  - { action: "correct", userId, note? } -> posts a correcting adjustment so the history matches User.balance
+ *  - { action: "backfill" }               -> posts journal entries for transactions that have none
+ */
+export const POST = withPermission("accounting.reconcile", async (req, context, { user }) => {
+    try {
+        const actorId = user._id;
+        const body = await req.json().catch(() => ({}));
+        const action = String(body.action || "").toLowerCase();
+
+        if (action === "correct") {
+            if (!body.userId) return NextResponse.json({ ok: false, error: "userId required" }, { status: 400 });
+            const result = await postCorrectingAdjustment(body.userId, { actorId, note: body.note || "" });
+            return NextResponse.json({ ok: true, ...result }, { status: 200 });
+        }
+
+        if (action === "backfill") {
+            const result = await backfillJournalEntries({ actorId });
+            return NextResponse.json({ ok: true, ...result }, { status: 200 });
+        }
+
+        return NextResponse.json({ ok: false, error: "Unsupported action" }, { status: 400 });
+    } catch (err) {
+        console.error("POST /api/admin/accounting/integrity error", err);
+        const msg = err?.message || "Server error";
+        const status = /Invalid userId|No mismatch/i.test(msg) ? 400 : /not found/i.test(msg) ? 404 : 500;
+        return NextResponse.json({ ok: false, error: msg }, { status });
+    }
+});
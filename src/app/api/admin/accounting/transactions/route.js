@@ -3,6 +3,7 @@ import { NextResponse } from 'next/server';
 
 import mongoose from 'mongoose';
 import { connectToDatabase, Transaction, User, SpecialOrder } from '@/models/allModels';
+import { withPermission } from '@/lib/routeAuth.js';
 ;
 
 /**
@@ -17,10 +18,10 @@ import { connectToDatabase, Transaction, User, SpecialOrder } from '@/models/all
  *
  * Returns { ok: true, total, transactions: [...] }
  *
- * NOTE: Add session/role check to restrict to admin/accounting users.
+ * Needs accounting.view.
  */
 
-export async function GET(req) {
+export const GET = withPermission('accounting.view', async (req) => {
     try {
         await connectToDatabase();
 
@@ -104,4 +105,4 @@ export async function GET(req) {
         console.error('GET /api/admin/accounting/transactions error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
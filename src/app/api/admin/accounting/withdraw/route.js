@@ -1,86 +1,56 @@
 // app/api/admin/accounting/withdraw/route.js
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connectToDatabase, User, Transaction, AuditLog } from "@/models/allModels.js";
-import { getToken } from "next-auth/jwt";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { connectToDatabase, User, Transaction, AuditLog, notifyLowBalance } from "@/models/allModels.js";
+import { getIdempotencyKey, isDuplicateKeyError, requestFingerprint, assertSameRequest, IDEMPOTENCY_REPLAY_HEADER } from "@/lib/idempotency.js";
+import { withPermission } from "@/lib/routeAuth.js";
 
-/** Resolve session-like object (uses getToken like other routess) */
-async function getSessionLike(req) {
-    try {
-        const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
-        console.log("NEXTAUTH_SECRET present?", !!secret);
-
-        // Debug headers (do not print secrets)
-        try {
-            console.log("Request method/url:", req.method, req.url || "(no url)");
-            console.log("Incoming cookie header:", req.headers?.get("cookie"));
-            console.log("Incoming Authorization header present?", !!req.headers?.get("authorization"));
-        } catch (hdrErr) {
-            console.warn("Could not read request headers:", hdrErr?.message || hdrErr);
-        }
-
-        const cookieName =
-            process.env.NODE_ENV === "production"
-                ? "__Secure-next-auth.session-token"
-                : "next-auth.session-token";
-
-        // Ask getToken to consider secure cookie names in production and use explicit cookieName
-        const token = await getToken({
-            req,
-            secret,
-            secureCookie: process.env.NODE_ENV === "production",
-            cookieName,
-        }).catch((e) => {
-            console.warn("getToken threw:", e?.message || e);
-            return null;
-        });
-
-        if (token) {
-            console.log("getToken -> token found. token.user present?", !!token.user);
-            if (token.user) {
-                console.log("token.user summary:", {
-                    id: token.user.id || token.user.sub,
-                    email: token.user.email,
-                    role: token.user.role,
-                });
-            } else {
-                console.log("token summary (no user field):", { sub: token.sub, name: token.name, email: token.email });
-            }
-            return { user: token.user || token };
-        }
-
-        console.log("getToken -> no token returned");
-    } catch (err) {
-        console.warn("getSessionLike unexpected error:", err?.message || err);
-    }
-    return null;
-}
 /**
  * POST body: { userIdOrReg, amount, note?, allowNegative? }
  * Creates a negative Transaction (type: 'adjustment') and updates user.balance atomically.
  * Uses transactions when available; falls back to atomic $inc when not.
+ * An Idempotency-Key header makes retries return the original withdrawal instead of debiting twice.
  */
-export async function POST(req) {
+export const POST = withPermission("accounting.withdraw", async (req, context, { user: staff }) => {
     try {
         await connectToDatabase();
 
-        const session = await getSessionLike(req);
-        if (!session || !session.user) {
-            return NextResponse.json({ ok: false, error: "Not authenticated" }, { status: 401 });
-        }
-
-        const allowedRoles = ["admin", "it"];
-        if (!allowedRoles.includes((session.user.role || "").toLowerCase())) {
-            return NextResponse.json({ ok: false, error: "Forbidden" }, { status: 403 });
-        }
-
         const body = await req.json().catch(() => ({}));
         const { userIdOrReg, amount, note, allowNegative = false } = body || {};
         const amt = Number(amount || 0);
         if (!userIdOrReg) return NextResponse.json({ ok: false, error: "userIdOrReg required" }, { status: 400 });
         if (!amt || isNaN(amt) || amt <= 0) return NextResponse.json({ ok: false, error: "amount must be > 0" }, { status: 400 });
 
+        const { key: idempotencyKey, error: idemError } = getIdempotencyKey(req);
+        if (idemError) return NextResponse.json({ ok: false, error: idemError }, { status: 400 });
+
+        const fingerprint = idempotencyKey
+            ? requestFingerprint({ op: "withdraw", userIdOrReg: String(userIdOrReg), amount: amt, allowNegative: !!allowNegative })
+            : null;
+        const idem = idempotencyKey ? { idempotencyKey } : {};
+        const txMeta = { kind: "withdrawal", ...(idempotencyKey ? { idempotencyFingerprint: fingerprint } : {}) };
+
+        // answer a repeated Idempotency-Key with the withdrawal it originally produced
+        const replayResponse = async () => {
+            if (!idempotencyKey) return null;
+            const prior = await Transaction.findOne({ idempotencyKey });
+            if (!prior) return null;
+            try {
+                assertSameRequest(prior, fingerprint);
+            } catch (mismatch) {
+                return NextResponse.json({ ok: false, error: mismatch.message }, { status: 422 });
+            }
+            const priorUser = await User.findById(prior.user).select("name regNumber").lean();
+            return NextResponse.json({
+                ok: true,
+                user: { id: String(prior.user), name: priorUser?.name, regNumber: priorUser?.regNumber, balance: prior.balanceAfter },
+                tx: prior
+            }, { status: 200, headers: { [IDEMPOTENCY_REPLAY_HEADER]: "true" } });
+        };
+
+        const replay = await replayResponse();
+        if (replay) return replay;
+
         // Try transactional approach first
         let sessionDb = null;
         try {
@@ -116,13 +86,15 @@ export async function POST(req) {
                 balanceBefore: before,
                 balanceAfter: after,
                 relatedOrder: null,
-                createdBy: session.user.id || session.user.sub || null,
-                note: note || `Withdrawn by admin ${session.user.name || session.user.email}`
+                createdBy: staff._id,
+                note: note || `Withdrawn by admin ${staff.name || staff.email}`,
+                ...idem,
+                meta: txMeta
             }], { session: sessionDb });
 
             // audit log
             await AuditLog.create([{
-                actor: session.user.id || session.user.sub || null,
+                actor: staff._id,
                 action: 'withdraw_user',
                 collectionName: 'users',
                 documentId: user._id,
@@ -133,6 +105,8 @@ export async function POST(req) {
             await sessionDb.commitTransaction();
             sessionDb.endSession();
 
+            await notifyLowBalance(user, before, after);
+
             return NextResponse.json({
                 ok: true,
                 user: { id: user._id?.toString?.(), name: user.name, regNumber: user.regNumber, balance: user.balance },
@@ -148,6 +122,12 @@ export async function POST(req) {
                 } catch (e) { /* ignore cleanup errors */ }
             }
 
+            // a concurrent retry with the same Idempotency-Key committed first; ours was rolled back
+            if (idempotencyKey && isDuplicateKeyError(err)) {
+                const raced = await replayResponse();
+                if (raced) return raced;
+            }
+
             // Detect transaction-not-allowed (standalone mongod) and fallback
             const isTransactionNotSupported =
                 err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(String(err.message || '')));
@@ -177,6 +157,29 @@ export async function POST(req) {
                     return NextResponse.json({ ok: false, error: "Insufficient balance (set allowNegative to override)" }, { status: 400 });
                 }
 
+                // create transaction record first (not in a session) so a duplicate Idempotency-Key stops before the debit
+                let txDoc;
+                try {
+                    txDoc = await Transaction.create({
+                        user: user._id,
+                        type: 'adjustment',
+                        amount: -Math.abs(amt),
+                        balanceBefore: before,
+                        balanceAfter: after,
+                        relatedOrder: null,
+                        createdBy: staff._id,
+                        note: note || `Withdrawn by admin ${staff.name || staff.email}`,
+                        ...idem,
+                        meta: txMeta
+                    });
+                } catch (createErr) {
+                    if (idempotencyKey && isDuplicateKeyError(createErr)) {
+                        const raced = await replayResponse();
+                        if (raced) return raced;
+                    }
+                    throw createErr;
+                }
+
                 // atomically decrement balance
                 const updated = await User.findOneAndUpdate(
                     { _id: user._id },
@@ -184,31 +187,29 @@ export async function POST(req) {
                     { new: true }
                 );
 
-                // create transaction record (best-effort, not in a session)
-                const txDoc = await Transaction.create({
-                    user: updated._id,
-                    type: 'adjustment',
-                    amount: -Math.abs(amt),
-                    balanceBefore: before,
-                    balanceAfter: updated.balance,
-                    relatedOrder: null,
-                    createdBy: session.user.id || session.user.sub || null,
-                    note: note || `Withdrawn by admin ${session.user.name || session.user.email}`
-                });
+                // record the balances actually observed around the $inc
+                txDoc.balanceBefore = Number(updated.balance) + Math.abs(amt);
+                txDoc.balanceAfter = Number(updated.balance);
+                await Transaction.updateOne(
+                    { _id: txDoc._id },
+                    { $set: { balanceBefore: txDoc.balanceBefore, balanceAfter: txDoc.balanceAfter } }
+                );
 
                 // audit log (best-effort)
                 try {
                     await AuditLog.create({
-                        actor: session.user.id || session.user.sub || null,
+                        actor: staff._id,
                         action: 'withdraw_user',
                         collectionName: 'users',
                         documentId: updated._id,
-                        changes: { amount: -amt, before, after: updated.balance, note },
+                        changes: { amount: -amt, before: txDoc.balanceBefore, after: updated.balance, note },
                     });
                 } catch (e) {
                     console.warn("Audit log failed in withdraw fallback:", e?.message || e);
                 }
 
+                await notifyLowBalance(updated, txDoc.balanceBefore, txDoc.balanceAfter);
+
                 return NextResponse.json({
                     ok: true,
                     user: { id: updated._id?.toString?.(), name: updated.name, regNumber: updated.regNumber, balance: updated.balance },
@@ -224,4 +225,4 @@ export async function POST(req) {
         console.error("POST /api/admin/accounting/withdraw error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
-}
+});
@@ -0,0 +1,58 @@
+// app/api/admin/calendar/[id]/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase, CalendarEntry, AuditLog } from '@/models/allModels';
+import { normalizeCalendarEntry } from '@/lib/schoolCalendar.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+/**
+ * PUT: replace a school calendar entry (same body as POST /api/admin/calendar)
+ * DELETE: remove it
+ */
+
+export const PUT = withPermission('settings.edit', async (req, { params }, { user }) => {
+    try {
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(String(id))) {
+            return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+        }
+        await connectToDatabase();
+        const body = await req.json().catch(() => ({}));
+        const { entry, error } = normalizeCalendarEntry(body);
+        if (error) return NextResponse.json({ ok: false, error }, { status: 400 });
+
+        const before = await CalendarEntry.findById(id).lean();
+        if (!before) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+        const doc = await CalendarEntry.findByIdAndUpdate(id, { $set: entry }, { new: true }).lean();
+
+        try {
+            await AuditLog.create({ actor: user._id, action: 'calendar_entry_update', collectionName: 'calendarentries', documentId: doc._id, changes: { before, after: doc } });
+        } catch (e) { console.warn('Audit log failed', e); }
+
+        return NextResponse.json({ ok: true, entry: doc });
+    } catch (err) {
+        console.error('PUT /api/admin/calendar/[id] error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+export const DELETE = withPermission('settings.edit', async (req, { params }, { user }) => {
+    try {
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(String(id))) {
+            return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+        }
+        await connectToDatabase();
+        const doc = await CalendarEntry.findByIdAndDelete(id).lean();
+        if (!doc) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+
+        try {
+            await AuditLog.create({ actor: user._id, action: 'calendar_entry_delete', collectionName: 'calendarentries', documentId: doc._id, changes: { deleted: doc } });
+        } catch (e) { console.warn('Audit log failed', e); }
+
+        return NextResponse.json({ ok: true });
+    } catch (err) {
+        console.error('DELETE /api/admin/calendar/[id] error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
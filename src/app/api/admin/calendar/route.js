@@ -0,0 +1,55 @@
+// app/api/admin/calendar/route.js
+import { NextResponse } from 'next/server';
+import { connectToDatabase, CalendarEntry, Setting, AuditLog } from '@/models/allModels';
+import { LEGACY_HOLIDAYS_KEY, legacyHolidayEntries, normalizeCalendarEntry } from '@/lib/schoolCalendar.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+/**
+ * GET: the school calendar (lib/schoolCalendar.js) -> { ok, entries, legacyHolidays: [YYYY-MM-DD] }
+ *      ?from=YYYY-MM-DD leaves out entries that ended before that date (terms are always listed)
+ * POST: add an entry
+ *
+ * Body for POST:
+ * { type: 'term' | 'holiday' | 'closure' | 'extra_day', name, startDate, endDate?, scope?: 'all' | 'ordinary' | 'special',
+ *   windows?: [windowId], notes? }
+ */
+
+export const GET = withPermission('settings.view', async (req) => {
+    try {
+        await connectToDatabase();
+        const from = new URL(req.url).searchParams.get('from');
+        const query = from ? { $or: [{ endDate: { $gte: from } }, { type: 'term' }] } : {};
+        const [entries, legacy] = await Promise.all([
+            CalendarEntry.find(query).sort({ startDate: 1, type: 1 }).lean(),
+            Setting.findOne({ key: LEGACY_HOLIDAYS_KEY }).lean()
+        ]);
+        return NextResponse.json({
+            ok: true,
+            entries,
+            legacyHolidays: legacyHolidayEntries(legacy?.value).map(e => e.startDate)
+        });
+    } catch (err) {
+        console.error('GET /api/admin/calendar error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+export const POST = withPermission('settings.edit', async (req, context, { user }) => {
+    try {
+        await connectToDatabase();
+        const body = await req.json().catch(() => ({}));
+        const { entry, error } = normalizeCalendarEntry(body);
+        if (error) return NextResponse.json({ ok: false, error }, { status: 400 });
+
+        const doc = await CalendarEntry.create({ ...entry, createdBy: user._id });
+
+        try {
+            await AuditLog.create({ actor: user._id, action: 'calendar_entry_create', collectionName: 'calendarentries', documentId: doc._id, changes: { created: doc } });
+        } catch (e) { console.warn('Audit log failed', e); }
+
+        return NextResponse.json({ ok: true, entry: doc });
+    } catch (err) {
+        console.error('POST /api/admin/calendar error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
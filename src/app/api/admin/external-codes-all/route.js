@@ -1,19 +1,11 @@
 // app/api/admin/external-codes-all/route.js
-// Admin-only: return recent ExternalCode documents (populated with order and issuedBy)
+// Return recent ExternalCode documents (populated with order and issuedBy)
 import { NextResponse } from "next/server";
-import { getServerSession } from "next-auth/next";
-// adjust this path if your NextAuth route file is elsewhere
-import { authOptions } from "../../auth/[...nextauth]/route";
 import { connectToDatabase, ExternalCode, SpecialOrder } from "../../../../models/allModels.js";
+import { withPermission } from "../../../../lib/routeAuth.js";
 
-export async function GET(req) {
+export const GET = withPermission("external_codes.manage", async (req) => {
     try {
-        // admin session check
-        const session = await getServerSession(authOptions);
-        if (!session || !session.user || session.user.role !== "admin") {
-            return NextResponse.json({ ok: false, error: "Unauthorized" }, { status: 401 });
-        }
-
         await connectToDatabase();
 
         const url = new URL(req.url);
@@ -69,4 +61,4 @@ export async function GET(req) {
         console.error("external-codes-all GET error:", err?.message || err);
         return NextResponse.json({ ok: false, error: String(err?.message || err) }, { status: 500 });
     }
-}
+});
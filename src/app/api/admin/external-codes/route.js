@@ -1,6 +1,7 @@
 // app/api/admin/external-codes/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, ExternalCode, Order } from '../../../../models/allModels.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 /**
  * GET /api/admin/external-codes
@@ -13,7 +14,7 @@ import { connectToDatabase, ExternalCode, Order } from '../../../../models/allMo
  * { ok: true, codes: [ { code, value, issuedToName, orderId, issuedAt, expiresAt, used } ] }
  */
 
-export async function GET(req) {
+export const GET = withPermission('external_codes.manage', async (req) => {
     try {
         await connectToDatabase();
         const url = new URL(req.url);
@@ -56,4 +57,4 @@ export async function GET(req) {
         console.error('GET /api/admin/external-codes error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
@@ -1,8 +1,5 @@
 // app/api/admin/external-order/route.js
 import { NextResponse } from "next/server";
-import { getServerSession } from "next-auth/next";
-// adjust this relative path if your NextAuth route is in a different location
-import { authOptions } from "../../auth/[...nextauth]/route";
 import {
     connectToDatabase,
     Product,
@@ -14,6 +11,10 @@ import {
     placeOrderAtomic,
     Order, // Import Order explicitly if needed for code generation
 } from "../../../../models/allModels.js";
+import { ORDER_EVENTS, publishOrderEvent } from "../../../../lib/orderEvents.js";
+import { printOrderTickets } from "../../../../lib/printing.js";
+import { resolveModifiers } from "../../../../lib/modifiers.js";
+import { withPermission } from "../../../../lib/routeAuth.js";
 
 /**
  * POST /api/admin/external-order
@@ -22,14 +23,8 @@ import {
  * Returns:
  *  { ok: true, order, pickupCode: <order.code>, externalCode: <externalCodeDoc> }
  */
-export async function POST(req) {
+export const POST = withPermission("orders.manage", async (req, context, { user }) => {
     try {
-        // auth: admin only
-        const session = await getServerSession(authOptions);
-        if (!session || !session.user || session.user.role !== "admin") {
-            return NextResponse.json({ ok: false, error: "Unauthorized" }, { status: 401 });
-        }
-
         const body = await req.json().catch(() => ({}));
         const {
             items = [],
@@ -63,15 +58,20 @@ export async function POST(req) {
                 const p = productMap.get(it.productId);
                 if (!p) throw new Error(`Product not found: ${it.productId}`);
                 const qty = Math.max(1, Number(it.qty || 1));
-                const price = p.price;
+                const mods = resolveModifiers(p, it.modifiers);
+                const price = Math.round((Number(p.price || 0) + mods.priceDelta) * 100) / 100;
                 total += price * qty;
                 return {
                     product: p._id,
                     name: p.name,
                     price,
                     qty,
+                    modifiers: mods.modifiers,
+                    ...(mods.label ? { label: mods.label } : {}),
                     notes: it.notes || '',
                     allergens: p.allergens || [],
+
+                    prepStation: p.prepStation || null,
                     preparedCount: 0
                 };
             });
@@ -89,7 +89,7 @@ export async function POST(req) {
                 // SpecialOrder schema doesn't have 'external' field explicitly but we can use meta or implied by user=null
                 meta: { 
                     external: true, 
-                    issuedByAdminId: session.user.id,
+                    issuedByAdminId: user._id,
                     issuedToName 
                 },
                 remarks: note
@@ -101,14 +101,14 @@ export async function POST(req) {
                 type: 'external',
                 amount: total,
                 relatedOrder: null, // Cannot ref SpecialOrder directly if strict, use meta
-                createdBy: session.user.id,
+                createdBy: user._id,
                 note: `External Special Order ${code}`,
                 meta: { specialOrderId: specialOrder._id }
             });
 
             // 5. Audit Log
             await AuditLog.create({
-                actor: session.user.id,
+                actor: user._id,
                 action: 'place_special_order_external',
                 collectionName: 'specialorders',
                 documentId: specialOrder._id,
@@ -126,7 +126,7 @@ export async function POST(req) {
                 value: null,
                 order: null, // Not a regular order
                 issuedToName: issuedToName || null,
-                issuedBy: session.user.id,
+                issuedBy: user._id,
                 expiresAt,
                 used: false,
                 meta: { 
@@ -136,6 +136,9 @@ export async function POST(req) {
                 },
             });
 
+            publishOrderEvent(ORDER_EVENTS.created, specialOrder, { isSpecial: true });
+            printOrderTickets(specialOrder, { isSpecial: true }); // background, never throws
+
             return NextResponse.json(
                 { ok: true, order: specialOrder, pickupCode: specialOrder.code, externalCode: extDoc },
                 { status: 201 }
@@ -152,11 +155,11 @@ export async function POST(req) {
 
         // Create the order (external: true). placeOrderAtomic will create Order.code internally.
         const orderRes = await placeOrderAtomic(null, {
-            items: items.map((it) => ({ productId: it.productId, qty: it.qty || 1, notes: it.notes || "" })),
+            items: items.map((it) => ({ productId: it.productId, qty: it.qty || 1, notes: it.notes || "", modifiers: it.modifiers || [], bundleChoices: it.bundleChoices || [] })),
             prepStationId,
             orderingWindowId,
             external: true,
-            issuedByAdminId: session.user.id,
+            issuedByAdminId: user._id,
         }, { trustBalanceCheck: false });
 
         if (!orderRes || !orderRes.ok || !orderRes.order) {
@@ -175,18 +178,20 @@ export async function POST(req) {
             value: null,
             order: order._id || order.id || order._doc?._id || null,
             issuedToName: issuedToName || null,
-            issuedBy: session.user.id,
+            issuedBy: user._id,
             expiresAt,
             used: false,
             meta: { note },
         });
 
+        printOrderTickets(order); // background, never throws
+
         return NextResponse.json(
             { ok: true, order, pickupCode: order.code, externalCode: extDoc },
             { status: 201 }
         );
     } catch (err) {
         console.error("external-order error", err?.message || err);
-        return NextResponse.json({ ok: false, error: String(err?.message || err) }, { status: 500 });
+        return NextResponse.json({ ok: false, error: String(err?.message || err) }, { status: err?.status === 400 ? 400 : 500 });
     }
-}
+});
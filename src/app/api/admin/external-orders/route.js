@@ -1,6 +1,7 @@
 // app/api/admin/external-orders/route.js
 import { AuditLog, connectToDatabase, ExternalCode, placeOrderAtomic } from '@/models/allModels';
 import { NextResponse } from 'next/server';
+import { withPermission } from '@/lib/routeAuth.js';
 
 
 /**
@@ -9,19 +10,19 @@ import { NextResponse } from 'next/server';
  * {
  *   items: [ { productId: "<id>", qty: 1, notes: "" }, ... ],
  *   issuedToName: "Visitor name",
- *   expiresInMinutes: 120,
- *   actor: "<adminId>" // optional, use session to derive in production
+ *   expiresInMinutes: 120
  * }
  *
  * Response:
  * { ok: true, order, externalCode }
  */
-export async function POST(req) {
+export const POST = withPermission('orders.manage', async (req, context, { user }) => {
     try {
         await connectToDatabase();
 
         const body = await req.json();
-        const { items = [], issuedToName = '', expiresInMinutes = 120, actor = null } = body;
+        const { items = [], issuedToName = '', expiresInMinutes = 120 } = body;
+        const actor = user._id;
 
         if (!Array.isArray(items) || items.length === 0) {
             return NextResponse.json({ ok: false, error: 'No items provided' }, { status: 400 });
@@ -29,11 +30,11 @@ export async function POST(req) {
 
         // Build order payload expected by placeOrderAtomic
         const orderPayload = {
-            items: items.map(it => ({ productId: it.productId, qty: Number(it.qty || 1), notes: it.notes || '' })),
+            items: items.map(it => ({ productId: it.productId, qty: Number(it.qty || 1), notes: it.notes || '', modifiers: it.modifiers || [], bundleChoices: it.bundleChoices || [] })),
             prepStationId: body.prepStationId || null,
             orderingWindowId: body.orderingWindowId || null,
             external: true,
-            issuedByAdminId: actor || null
+            issuedByAdminId: actor
         };
 
         // Create external order atomically (placeOrderAtomic will create Order and not deduct any user balance because external=true)
@@ -44,7 +45,7 @@ export async function POST(req) {
             prefix: 'EX-',
             value: placed?.order?.total || null,
             order: placed.order._id,
-            issuedBy: actor || null,
+            issuedBy: actor,
             expiresInMinutes: Number(expiresInMinutes || 120),
             meta: { issuedToName: issuedToName || '' }
         });
@@ -52,7 +53,7 @@ export async function POST(req) {
         // Audit
         try {
             await AuditLog.create({
-                actor: actor || null,
+                actor,
                 action: 'external_order_create',
                 collectionName: 'orders',
                 documentId: placed.order._id,
@@ -66,6 +67,6 @@ export async function POST(req) {
         return NextResponse.json({ ok: true, order: placed.order, externalCode: exDoc });
     } catch (err) {
         console.error('POST /api/admin/external-orders error', err);
-        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+        return NextResponse.json({ ok: false, error: err.message }, { status: err?.status === 400 ? 400 : 500 });
     }
-}
+});
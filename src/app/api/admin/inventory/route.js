@@ -2,33 +2,7 @@ export const runtime = "nodejs";
 
 import { NextResponse } from "next/server";
 import { connectToDatabase, Product, Inventory, AuditLog } from "@/models/allModels.js";
-import { getToken } from "next-auth/jwt";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
-
-/**
- * Helper to obtain a session-like object using next-auth jwt helper (works server-side)
- */
-async function getSessionLike(req) {
-    try {
-        const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
-        const cookieName = process.env.NODE_ENV === "production"
-            ? "__Secure-next-auth.session-token"
-            : "next-auth.session-token";
-
-        const token = await getToken({
-            req,
-            secret,
-            secureCookie: process.env.NODE_ENV === "production",
-            cookieName,
-        }).catch(() => null);
-
-        if (!token) return null;
-        return { user: token.user || token };
-    } catch (err) {
-        console.warn("getSessionLike error:", err?.message || err);
-        return null;
-    }
-}
+import { withPermission } from "@/lib/routeAuth.js";
 
 /**
  * GET:
@@ -39,14 +13,9 @@ async function getSessionLike(req) {
  * New: automatically creates a single Inventory row with quantity:0 (location: "Main")
  * for any product that currently has no inventory rows. Uses atomic upsert to avoid races.
  */
-export async function GET(req) {
+export const GET = withPermission("inventory.view", async (req) => {
     try {
         await connectToDatabase();
-        const session = await getSessionLike(req);
-        const role = String(session?.user?.role || "").toLowerCase();
-        if (!session || !session.user || !["admin", "inventory"].includes(role)) {
-            return NextResponse.json({ ok: false, error: "Not authorized" }, { status: 401 });
-        }
 
         const url = new URL(req.url);
         const productId = url.searchParams.get("productId") || null;
@@ -118,17 +87,12 @@ export async function GET(req) {
         console.error("GET /api/admin/inventory error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
-}
+});
 
 /* rest of file (POST, PATCH, DELETE) unchanged - keep your existing logic for create/update/delete */
-export async function POST(req) {
+export const POST = withPermission("inventory.adjust", async (req, context, { user }) => {
     try {
         await connectToDatabase();
-        const session = await getSessionLike(req);
-        const role = String(session?.user?.role || "").toLowerCase();
-        if (!session || !session.user || !["admin", "inventory"].includes(role)) {
-            return NextResponse.json({ ok: false, error: "Not authorized" }, { status: 401 });
-        }
 
         const body = await req.json().catch(() => ({}));
         const { productId, quantity = 0, location = "Main", lowStockThreshold = 0, active = true } = body || {};
@@ -151,7 +115,7 @@ export async function POST(req) {
             // audit
             try {
                 await AuditLog.create({
-                    actor: session.user.id || session.user.sub || null,
+                    actor: user._id,
                     action: "inventory_update",
                     collectionName: "inventories",
                     documentId: saved._id,
@@ -173,7 +137,7 @@ export async function POST(req) {
             // audit
             try {
                 await AuditLog.create({
-                    actor: session.user.id || session.user.sub || null,
+                    actor: user._id,
                     action: "inventory_create",
                     collectionName: "inventories",
                     documentId: saved._id,
@@ -191,16 +155,11 @@ export async function POST(req) {
         console.error("POST /api/admin/inventory error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
-}
+});
 
-export async function PATCH(req) {
+export const PATCH = withPermission("inventory.adjust", async (req, context, { user }) => {
     try {
         await connectToDatabase();
-        const session = await getSessionLike(req);
-        const role = String(session?.user?.role || "").toLowerCase();
-        if (!session || !session.user || !["admin", "inventory"].includes(role)) {
-            return NextResponse.json({ ok: false, error: "Not authorized" }, { status: 401 });
-        }
 
         const body = await req.json().catch(() => ({}));
         const { inventoryId, quantity, location, lowStockThreshold, active } = body || {};
@@ -219,7 +178,7 @@ export async function PATCH(req) {
 
         try {
             await AuditLog.create({
-                actor: session.user.id || session.user.sub || null,
+                actor: user._id,
                 action: "inventory_update",
                 collectionName: "inventories",
                 documentId: saved._id,
@@ -234,16 +193,11 @@ export async function PATCH(req) {
         console.error("PATCH /api/admin/inventory error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
-}
+});
 
-export async function DELETE(req) {
+export const DELETE = withPermission("inventory.adjust", async (req, context, { user }) => {
     try {
         await connectToDatabase();
-        const session = await getSessionLike(req);
-        const role = String(session?.user?.role || "").toLowerCase();
-        if (!session || !session.user || !["admin", "inventory"].includes(role)) {
-            return NextResponse.json({ ok: false, error: "Not authorized" }, { status: 401 });
-        }
 
         const body = await req.json().catch(() => ({}));
         const { inventoryId } = body || {};
@@ -256,7 +210,7 @@ export async function DELETE(req) {
 
         try {
             await AuditLog.create({
-                actor: session.user.id || session.user.sub || null,
+                actor: user._id,
                 action: "inventory_delete",
                 collectionName: "inventories",
                 documentId: inv._id,
@@ -269,4 +223,4 @@ export async function DELETE(req) {
         console.error("DELETE /api/admin/inventory error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
-}
+});
@@ -3,8 +3,10 @@ import { NextResponse } from 'next/server';
 
 import mongoose from 'mongoose';
 import { AuditLog, connectToDatabase, OrderingWindow } from '@/models/allModels';
+import { normalizePickupSlots } from '@/lib/pickupSlots.js';
+import { withPermission } from '@/lib/routeAuth.js';
 
-export async function GET(req, { params }) {
+export const GET = withPermission('settings.view', async (req, { params }) => {
     try {
         await connectToDatabase();
 
@@ -23,9 +25,9 @@ export async function GET(req, { params }) {
         console.error('GET /api/admin/ordering-windows/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function PUT(req, { params }) {
+export const PUT = withPermission('settings.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
 
@@ -52,13 +54,18 @@ export async function PUT(req, { params }) {
         for (const f of fields) {
             if (typeof body[f] !== 'undefined') allowed[f] = body[f];
         }
+        if (typeof body.pickupSlots !== 'undefined') {
+            const { pickupSlots, error } = normalizePickupSlots(body.pickupSlots);
+            if (error) return NextResponse.json({ ok: false, error }, { status: 400 });
+            allowed.pickupSlots = pickupSlots;
+        }
 
         const before = await OrderingWindow.findById(id).lean();
         const doc = await OrderingWindow.findByIdAndUpdate(id, { $set: allowed }, { new: true }).lean();
 
         try {
             await AuditLog.create({
-                actor: body.actor || null,
+                actor: user._id,
                 action: 'ordering_window_update',
                 collectionName: 'orderingwindows',
                 documentId: doc._id,
@@ -73,9 +80,9 @@ export async function PUT(req, { params }) {
         console.error('PUT /api/admin/ordering-windows/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function DELETE(req, { params }) {
+export const DELETE = withPermission('settings.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
 
@@ -91,7 +98,7 @@ export async function DELETE(req, { params }) {
 
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'ordering_window_delete',
                 collectionName: 'orderingwindows',
                 documentId: id,
@@ -106,4 +113,4 @@ export async function DELETE(req, { params }) {
         console.error('DELETE /api/admin/ordering-windows/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
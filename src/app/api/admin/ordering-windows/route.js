@@ -1,16 +1,19 @@
 // app/api/admin/ordering-windows/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, OrderingWindow, AuditLog } from '../../../../models/allModels.js';
+import { normalizePickupSlots } from '@/lib/pickupSlots.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 /**
  * GET: list ordering windows
  * POST: create an ordering window
  *
  * Body for POST:
- * { name, daysOfWeek: [0..6], startTime: "07:30", endTime: "10:00", active:true, allowedProductIds:[], timezone }
+ * { name, daysOfWeek: [0..6], startTime: "07:30", endTime: "10:00", active:true, allowedProductIds:[], timezone,
+ *   pickupSlots?: { enabled, slotMinutes, maxOrders, maxPrepMinutes, startTime, endTime } }
  */
 
-export async function GET() {
+export const GET = withPermission('settings.view', async () => {
     try {
         await connectToDatabase();
         const docs = await OrderingWindow.find().sort({ priority: -1, startTime: 1 }).lean();
@@ -19,9 +22,9 @@ export async function GET() {
         console.error('GET /api/admin/ordering-windows error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function POST(req) {
+export const POST = withPermission('settings.edit', async (req, context, { user }) => {
     try {
         await connectToDatabase();
         const body = await req.json();
@@ -29,6 +32,11 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: 'Missing required fields (name, startTime, endTime)' }, { status: 400 });
         }
 
+        const { pickupSlots, error: slotError } = normalizePickupSlots(body.pickupSlots);
+        if (slotError) {
+            return NextResponse.json({ ok: false, error: slotError }, { status: 400 });
+        }
+
         const doc = await OrderingWindow.create({
             name: body.name,
             daysOfWeek: Array.isArray(body.daysOfWeek) ? body.daysOfWeek : [],
@@ -38,11 +46,12 @@ export async function POST(req) {
             allowedProductIds: Array.isArray(body.allowedProductIds) ? body.allowedProductIds : [],
             priority: typeof body.priority === 'number' ? body.priority : 0,
             timezone: body.timezone || 'Africa/Harare',
-            description: body.description || ''
+            description: body.description || '',
+            pickupSlots
         });
 
         try {
-            await AuditLog.create({ actor: body.actor || null, action: 'ordering_window_create', collectionName: 'orderingwindows', documentId: doc._id, changes: { created: doc } });
+            await AuditLog.create({ actor: user._id, action: 'ordering_window_create', collectionName: 'orderingwindows', documentId: doc._id, changes: { created: doc } });
         } catch (e) { console.warn('Audit log failed', e); }
 
         return NextResponse.json({ ok: true, window: doc });
@@ -50,4 +59,4 @@ export async function POST(req) {
         console.error('POST /api/admin/ordering-windows error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
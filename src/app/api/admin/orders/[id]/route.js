@@ -1,14 +1,14 @@
 import { NextResponse } from "next/server";
 import { connectToDatabase, Order, SpecialOrder, Product, Inventory, User, Transaction, AuditLog } from "@/models/allModels";
 import mongoose from "mongoose";
-import { getServerSession } from "next-auth/next";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { withPermission } from "@/lib/routeAuth.js";
+import { bundleProductIds, priceOrderLine, stockLines } from "@/lib/bundles.js";
 
 /**
  * GET /api/admin/orders/:id
  * Returns detailed order doc for admin UI (populated minimal user + prepStation).
  */
-export async function GET(req, { params }) {
+export const GET = withPermission("orders.manage", async (req, { params }) => {
     try {
         await connectToDatabase();
         const { id } = params || {};
@@ -70,14 +70,17 @@ export async function GET(req, { params }) {
         console.error("GET /api/admin/orders/:id error", err);
         return NextResponse.json({ ok: false, error: String(err?.message || err) }, { status: 500 });
     }
-}
+});
 
 /**
  * PATCH /api/admin/orders/:id
  * Updates an order's items, recalculates total, adjusts user balance, and updates inventory.
  * Payload: { items: [{ productId, qty }] }
+ * - A line kept from the order (same product) keeps its charged price, modifiers, bundle components and label;
+ *   added lines are priced like a new order line (lib/bundles.js).
+ * - Orders with refunded units are refused: the rebuilt lines would lose their refundedQty.
  */
-export async function PATCH(req, { params }) {
+export const PATCH = withPermission("orders.manage", async (req, { params }, { user: staff }) => {
     try {
         await connectToDatabase();
         const { id } = params || {};
@@ -85,11 +88,7 @@ export async function PATCH(req, { params }) {
             return NextResponse.json({ ok: false, error: "Invalid order id" }, { status: 400 });
         }
 
-        const session = await getServerSession(authOptions);
-        const adminId = session?.user?.id;
-        if (!adminId) { // Basic auth check, assume middleware handles role
-            // Note: In a real app, verify admin role here
-        }
+        const adminId = staff._id;
 
         const body = await req.json();
         const newItemsRaw = body.items;
@@ -113,6 +112,9 @@ export async function PATCH(req, { params }) {
         if (order.status === 'collected' || order.status === 'cancelled' || order.status === 'refunded') {
             return NextResponse.json({ ok: false, error: `Cannot edit order with status: ${order.status}` }, { status: 400 });
         }
+        if ((order.items || []).some(it => Number(it.refundedQty || 0) > 0)) {
+            return NextResponse.json({ ok: false, error: "Order has refunded items and can no longer be edited" }, { status: 409 });
+        }
 
         // 2. Process New Items & Calculate New Total
         // We need to fetch product details for new items to get prices
@@ -125,9 +127,14 @@ export async function PATCH(req, { params }) {
         }
 
         const productMap = new Map(products.map(p => [p._id.toString(), p]));
+        const componentIds = products.flatMap(bundleProductIds).filter(pid => !productMap.has(pid));
+        if (componentIds.length) {
+            for (const c of await Product.find({ _id: { $in: componentIds } })) productMap.set(c._id.toString(), c);
+        }
 
         const newItems = [];
         let newTotal = 0;
+        const unmatched = [...(order.items || [])];
 
         for (const raw of newItemsRaw) {
             const p = productMap.get(String(raw.productId));
@@ -135,15 +142,32 @@ export async function PATCH(req, { params }) {
                 return NextResponse.json({ ok: false, error: `Product not found: ${raw.productId}` }, { status: 400 });
             }
             const qty = Math.max(1, parseInt(raw.qty || 1));
-            const price = p.price; // Use current price
-            newTotal += price * qty;
+            const keptAt = unmatched.findIndex(it => String(it.product) === String(p._id));
+            let line;
+            if (keptAt >= 0) {
+                const [old] = unmatched.splice(keptAt, 1);
+                const kept = typeof old.toObject === "function" ? old.toObject() : old;
+                line = { price: kept.price, modifiers: kept.modifiers || [], components: kept.components || [], label: kept.label || null, allergens: kept.allergens || [] };
+            } else {
+                try {
+                    line = priceOrderLine(p, raw, productMap);
+                } catch (lineErr) {
+                    if (lineErr?.status) return NextResponse.json({ ok: false, error: lineErr.message }, { status: lineErr.status });
+                    throw lineErr;
+                }
+            }
+            newTotal += line.price * qty;
             newItems.push({
                 product: p._id,
                 name: p.name,
-                price: price,
+                price: line.price,
                 qty: qty,
+                modifiers: line.modifiers,
+                ...(line.components.length ? { components: line.components } : {}),
+                ...(line.label ? { label: line.label } : {}),
                 notes: raw.notes || '',
-                allergens: p.allergens || [],
+                allergens: line.allergens,
+                prepStation: p.prepStation || null,
                 preparedCount: 0 // Reset prepared count on edit
             });
         }
@@ -175,15 +199,15 @@ export async function PATCH(req, { params }) {
         // Inventory Diff (Only for regular orders)
         const inventoryAdjustments = [];
         if (!isSpecial) {
-            // Map: productId -> qty
+            // Map: productId -> qty (bundle lines count their components)
             const oldQtyMap = new Map();
-            oldItems.forEach(it => {
+            oldItems.flatMap(it => stockLines(it)).forEach(it => {
                 const pid = String(it.product);
                 oldQtyMap.set(pid, (oldQtyMap.get(pid) || 0) + it.qty);
             });
 
             const newQtyMap = new Map();
-            newItems.forEach(it => {
+            newItems.flatMap(it => stockLines(it)).forEach(it => {
                 const pid = String(it.product);
                 newQtyMap.set(pid, (newQtyMap.get(pid) || 0) + it.qty);
             });
@@ -293,4 +317,4 @@ export async function PATCH(req, { params }) {
         console.error("PATCH /api/admin/orders/:id error", err);
         return NextResponse.json({ ok: false, error: String(err?.message || err) }, { status: 500 });
     }
-}
+});
@@ -0,0 +1,56 @@
+// app/api/admin/permissions/route.js
+import { NextResponse } from 'next/server';
+import { Setting, AuditLog } from '@/models/allModels';
+import { PERMISSIONS, PERMISSION_ROLES_KEY, STAFF_ROLES, DEFAULT_ROLE_PERMISSIONS, normalizeRolePermissions } from '@/lib/permissions.js';
+import { withPermission, getRolePermissions, clearPermissionCache } from '@/lib/routeAuth.js';
+
+/**
+ * GET: the permission registry and the role mapping (lib/permissions.js)
+ *   -> { ok, permissions: { key: { group, label } }, roles: [role], mapping: { role: [permission] }, defaults }
+ * PUT: replace the mapping for some or all roles
+ *
+ * Body for PUT:
+ * { roles: { admin?: [permission], it?: [...], canteen?: [...], inventory?: [...] } }   (missing roles keep theirs)
+ */
+
+export const GET = withPermission('permissions.manage', async () => {
+    try {
+        return NextResponse.json({
+            ok: true,
+            permissions: PERMISSIONS,
+            roles: STAFF_ROLES,
+            mapping: await getRolePermissions({ fresh: true }),
+            defaults: DEFAULT_ROLE_PERMISSIONS
+        });
+    } catch (err) {
+        console.error('GET /api/admin/permissions error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+export const PUT = withPermission('permissions.manage', async (req, context, { user }) => {
+    try {
+        const body = await req.json().catch(() => ({}));
+        const { roles, error } = normalizeRolePermissions(body?.roles);
+        if (error) return NextResponse.json({ ok: false, error }, { status: 400 });
+
+        const before = await getRolePermissions({ fresh: true });
+        const value = { ...before, ...roles };
+        await Setting.findOneAndUpdate(
+            { key: PERMISSION_ROLES_KEY },
+            { $set: { value, description: 'Role -> permissions mapping (lib/permissions.js); edit on /admin/permissions' } },
+            { upsert: true }
+        );
+        clearPermissionCache();
+        const mapping = await getRolePermissions({ fresh: true });
+
+        try {
+            await AuditLog.create({ actor: user._id, action: 'permissions_update', collectionName: 'settings', changes: { before, after: mapping } });
+        } catch (e) { console.warn('Audit log failed', e); }
+
+        return NextResponse.json({ ok: true, mapping });
+    } catch (err) {
+        console.error('PUT /api/admin/permissions error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
@@ -0,0 +1,139 @@
+// app/api/admin/prep-stations/[id]/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase, PrepStation, Product, SpecialProduct, AuditLog } from '@/models/allModels';
+import { normalizePrinter } from '@/lib/printing.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+/**
+ * GET: one prep station with the ids of the products / special products assigned to it
+ * PATCH: update fields and/or replace the assignment
+ *   { name, description, location, active, printer: { host, port, autoPrint }, productIds: [], specialProductIds: [] }
+ *   productIds / specialProductIds are the full list for this station: listed products move here, others are unassigned
+ * DELETE: remove the station; its products become unassigned
+ */
+
+const validIds = (arr) => (Array.isArray(arr) ? arr.map(String).filter(id => mongoose.Types.ObjectId.isValid(id)) : null);
+
+/* Makes `ids` exactly the set of Model docs assigned to the station; returns { assigned, unassigned } counts */
+async function replaceAssignment(Model, stationId, ids) {
+    const unassigned = await Model.updateMany({ prepStation: stationId, _id: { $nin: ids } }, { $set: { prepStation: null } });
+    const assigned = ids.length ? await Model.updateMany({ _id: { $in: ids } }, { $set: { prepStation: stationId } }) : { modifiedCount: 0 };
+    return { assigned: assigned.modifiedCount || 0, unassigned: unassigned.modifiedCount || 0 };
+}
+
+export const GET = withPermission('stations.manage', async (req, { params }) => {
+    try {
+        await connectToDatabase();
+
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return NextResponse.json({ ok: false, error: 'Invalid id' }, { status: 400 });
+        }
+
+        const station = await PrepStation.findById(id).lean();
+        if (!station) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+
+        const [products, specials] = await Promise.all([
+            Product.find({ prepStation: id }).select('_id').lean(),
+            SpecialProduct.find({ prepStation: id }).select('_id').lean()
+        ]);
+
+        return NextResponse.json({
+            ok: true,
+            station,
+            productIds: products.map(p => String(p._id)),
+            specialProductIds: specials.map(p => String(p._id))
+        });
+    } catch (err) {
+        console.error('GET /api/admin/prep-stations/[id] error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+export const PATCH = withPermission('stations.manage', async (req, { params }, { user }) => {
+    try {
+        await connectToDatabase();
+
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return NextResponse.json({ ok: false, error: 'Invalid id' }, { status: 400 });
+        }
+
+        const body = await req.json().catch(() => ({}));
+        const before = await PrepStation.findById(id).lean();
+        if (!before) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+
+        const allowed = {};
+        for (const f of ['name', 'description', 'location', 'active']) {
+            if (typeof body[f] !== 'undefined') allowed[f] = body[f];
+        }
+        if (body.printer && typeof body.printer === 'object') allowed.printer = normalizePrinter(body.printer);
+        if ('name' in allowed) {
+            allowed.name = String(allowed.name || '').trim();
+            if (!allowed.name) return NextResponse.json({ ok: false, error: 'Name cannot be empty' }, { status: 400 });
+        }
+
+        const station = Object.keys(allowed).length
+            ? await PrepStation.findByIdAndUpdate(id, { $set: allowed }, { new: true }).lean()
+            : before;
+
+        const assignment = {};
+        const productIds = validIds(body.productIds);
+        const specialProductIds = validIds(body.specialProductIds);
+        if (productIds) assignment.products = await replaceAssignment(Product, id, productIds);
+        if (specialProductIds) assignment.specialProducts = await replaceAssignment(SpecialProduct, id, specialProductIds);
+
+        try {
+            await AuditLog.create({
+                actor: user._id,
+                action: 'prep_station_update',
+                collectionName: 'prepstations',
+                documentId: station._id,
+                changes: { before, after: station, productIds, specialProductIds }
+            });
+        } catch (e) {
+            console.warn('Audit log failed', e);
+        }
+
+        return NextResponse.json({ ok: true, station, assignment });
+    } catch (err) {
+        console.error('PATCH /api/admin/prep-stations/[id] error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+export const DELETE = withPermission('stations.manage', async (req, { params }, { user }) => {
+    try {
+        await connectToDatabase();
+
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return NextResponse.json({ ok: false, error: 'Invalid id' }, { status: 400 });
+        }
+
+        const doc = await PrepStation.findByIdAndDelete(id).lean();
+        if (!doc) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
+
+        // open order lines keep the old station id; the kitchen display shows them under "Unassigned"
+        await Product.updateMany({ prepStation: id }, { $set: { prepStation: null } });
+        await SpecialProduct.updateMany({ prepStation: id }, { $set: { prepStation: null } });
+
+        try {
+            await AuditLog.create({
+                actor: user._id,
+                action: 'prep_station_delete',
+                collectionName: 'prepstations',
+                documentId: id,
+                changes: { deleted: doc }
+            });
+        } catch (e) {
+            console.warn('Audit log failed', e);
+        }
+
+        return NextResponse.json({ ok: true });
+    } catch (err) {
+        console.error('DELETE /api/admin/prep-stations/[id] error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
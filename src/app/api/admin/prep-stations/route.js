@@ -0,0 +1,68 @@
+// app/api/admin/prep-stations/route.js
+import { NextResponse } from 'next/server';
+import { connectToDatabase, PrepStation, Product, SpecialProduct, AuditLog } from '@/models/allModels';
+import { normalizePrinter } from '@/lib/printing.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+/**
+ * GET: list prep stations with the number of products / special products assigned to each
+ * POST: create a prep station
+ *
+ * Body for POST:
+ * { name, description, location, active, printer: { host, port, autoPrint } }
+ */
+
+export const GET = withPermission('stations.manage', async () => {
+    try {
+        await connectToDatabase();
+        const [stations, productCounts, specialCounts] = await Promise.all([
+            PrepStation.find().sort({ name: 1 }).lean(),
+            Product.aggregate([{ $match: { prepStation: { $ne: null } } }, { $group: { _id: '$prepStation', n: { $sum: 1 } } }]),
+            SpecialProduct.aggregate([{ $match: { prepStation: { $ne: null } } }, { $group: { _id: '$prepStation', n: { $sum: 1 } } }])
+        ]);
+        const countOf = (rows, id) => rows.find(r => String(r._id) === String(id))?.n || 0;
+
+        return NextResponse.json({
+            ok: true,
+            stations: stations.map(s => ({
+                ...s,
+                productCount: countOf(productCounts, s._id),
+                specialProductCount: countOf(specialCounts, s._id)
+            }))
+        });
+    } catch (err) {
+        console.error('GET /api/admin/prep-stations error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+export const POST = withPermission('stations.manage', async (req, context, { user }) => {
+    try {
+        await connectToDatabase();
+        const body = await req.json().catch(() => ({}));
+        const name = String(body.name || '').trim();
+        if (!name) {
+            return NextResponse.json({ ok: false, error: 'Missing required field (name)' }, { status: 400 });
+        }
+        if (await PrepStation.exists({ name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') })) {
+            return NextResponse.json({ ok: false, error: 'A prep station with this name already exists' }, { status: 409 });
+        }
+
+        const doc = await PrepStation.create({
+            name,
+            description: body.description || '',
+            location: body.location || '',
+            active: typeof body.active === 'boolean' ? body.active : true,
+            printer: normalizePrinter(body.printer)
+        });
+
+        try {
+            await AuditLog.create({ actor: user._id, action: 'prep_station_create', collectionName: 'prepstations', documentId: doc._id, changes: { created: doc } });
+        } catch (e) { console.warn('Audit log failed', e); }
+
+        return NextResponse.json({ ok: true, station: doc });
+    } catch (err) {
+        console.error('POST /api/admin/prep-stations error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
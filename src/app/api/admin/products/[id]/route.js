@@ -3,8 +3,11 @@ import { NextResponse } from 'next/server';
 
 import mongoose from 'mongoose';
 import { AuditLog, connectToDatabase, Product } from '@/models/allModels';
+import { normalizeModifierGroups } from '@/lib/modifiers.js';
+import { normalizeBundle, bundleProductIds, isBundle } from '@/lib/bundles.js';
+import { withPermission } from '@/lib/routeAuth.js';
 
-export async function GET(req, { params }) {
+export const GET = withPermission(['menu.edit', 'stations.manage', 'students.edit'], async (req, { params }) => {
     try {
         await connectToDatabase();
         const { id } = params;
@@ -17,9 +20,9 @@ export async function GET(req, { params }) {
         console.error('GET /api/admin/products/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function PUT(req, { params }) {
+export const PUT = withPermission('menu.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
         const { id } = params;
@@ -31,6 +34,23 @@ export async function PUT(req, { params }) {
         for (const k of allowed) {
             if (typeof body[k] !== 'undefined') updates[k] = body[k];
         }
+        if (typeof body.modifierGroups !== 'undefined') {
+            const modifiers = normalizeModifierGroups(body.modifierGroups);
+            if (modifiers.error) return NextResponse.json({ ok: false, error: modifiers.error }, { status: 400 });
+            updates.modifierGroups = modifiers.groups;
+        }
+        if (typeof body.bundle !== 'undefined') {
+            const bundle = normalizeBundle(body.bundle);
+            if (bundle.error) return NextResponse.json({ ok: false, error: bundle.error }, { status: 400 });
+            if (bundle.bundle) {
+                const ids = bundleProductIds(bundle);
+                const refs = await Product.find({ _id: { $in: ids } }).select('bundle').lean();
+                if (ids.includes(String(id)) || refs.length !== ids.length || refs.some(isBundle)) {
+                    return NextResponse.json({ ok: false, error: 'Bundle components must be existing products that are not bundles themselves' }, { status: 400 });
+                }
+            }
+            updates.bundle = bundle.bundle;
+        }
 
         const before = await Product.findById(id).lean();
         if (!before) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
@@ -41,7 +61,7 @@ export async function PUT(req, { params }) {
         // Audit log
         try {
             await AuditLog.create({
-                actor: body._actor || null,
+                actor: user._id,
                 action: 'menu_update',
                 collectionName: 'products',
                 documentId: id,
@@ -54,9 +74,9 @@ export async function PUT(req, { params }) {
         console.error('PUT /api/admin/products/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function DELETE(req, { params }) {
+export const DELETE = withPermission('menu.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
         const { id } = params;
@@ -67,7 +87,7 @@ export async function DELETE(req, { params }) {
 
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'menu_delete',
                 collectionName: 'products',
                 documentId: id,
@@ -80,4 +100,4 @@ export async function DELETE(req, { params }) {
         console.error('DELETE /api/admin/products/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
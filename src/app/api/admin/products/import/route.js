@@ -1,6 +1,7 @@
 // app/api/admin/products/import/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, Product, AuditLog } from '@/models/allModels';
+import { withPermission } from '@/lib/routeAuth.js';
 
 /**
  * Accepts:
@@ -23,7 +24,7 @@ function parseCSV(csvText) {
     return rows;
 }
 
-export async function POST(req) {
+export const POST = withPermission('menu.edit', async (req, context, { user }) => {
     try {
         await connectToDatabase();
 
@@ -75,7 +76,7 @@ export async function POST(req) {
         // Audit log for bulk import
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'menu_bulk_import',
                 collectionName: 'products',
                 documentId: null,
@@ -88,4 +89,4 @@ export async function POST(req) {
         console.error('POST /api/admin/products/import error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
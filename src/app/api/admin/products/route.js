@@ -1,15 +1,18 @@
 // app/api/admin/products/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, Product, AuditLog, Inventory } from '../../../../models/allModels.js';
+import { normalizeModifierGroups } from '../../../../lib/modifiers.js';
+import { normalizeBundle, bundleProductIds, isBundle } from '../../../../lib/bundles.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 /**
  * GET: list products (query params: search, category, available)
  * POST: create product (body: product fields)
  *
- * NOTE: Add auth/role-checks here (NextAuth/session) to restrict to admin/it roles.
+ * Listing needs menu.edit (or stations.manage / students.edit, whose pages pick products); writes need menu.edit.
  */
 
-export async function GET(req) {
+export const GET = withPermission(['menu.edit', 'stations.manage', 'students.edit'], async (req) => {
     try {
         await connectToDatabase();
 
@@ -51,9 +54,9 @@ export async function GET(req) {
         console.error('GET /api/admin/products error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function POST(req) {
+export const POST = withPermission('menu.edit', async (req, context, { user }) => {
     try {
         await connectToDatabase();
         const body = await req.json();
@@ -63,6 +66,22 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: 'Missing required fields: name, price (number)' }, { status: 400 });
         }
 
+        const modifiers = normalizeModifierGroups(body.modifierGroups);
+        if (modifiers.error) {
+            return NextResponse.json({ ok: false, error: modifiers.error }, { status: 400 });
+        }
+        const bundle = normalizeBundle(body.bundle);
+        if (bundle.error) {
+            return NextResponse.json({ ok: false, error: bundle.error }, { status: 400 });
+        }
+        if (bundle.bundle) {
+            const ids = bundleProductIds(bundle);
+            const refs = await Product.find({ _id: { $in: ids } }).select('bundle').lean();
+            if (refs.length !== ids.length || refs.some(isBundle)) {
+                return NextResponse.json({ ok: false, error: 'Bundle components must be existing products that are not bundles themselves' }, { status: 400 });
+            }
+        }
+
         const doc = await Product.create({
             name: body.name,
             sku: body.sku || null,
@@ -75,14 +94,16 @@ export async function POST(req) {
             imageUrl: body.imageUrl || '',
             tags: Array.isArray(body.tags) ? body.tags : [],
             allergens: Array.isArray(body.allergens) ? body.allergens : [],
+            modifierGroups: modifiers.groups,
+            bundle: bundle.bundle,
             notes: body.notes || '',
             metadata: body.metadata || {}
         });
 
-        // Audit log (actor should be set to admin user id — integrate session to populate).
+        // Audit log
         try {
             await AuditLog.create({
-                actor: body._actor || null,
+                actor: user._id,
                 action: 'menu_create',
                 collectionName: 'products',
                 documentId: doc._id,
@@ -97,4 +118,4 @@ export async function POST(req) {
         console.error('POST /api/admin/products error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
@@ -1,24 +1,62 @@
 // src/app/api/admin/refund/route.js
 import { NextResponse } from 'next/server';
 import mongoose from 'mongoose';
-import { connectToDatabase, User, Transaction, AuditLog, Order, Inventory } from '../../../../models/allModels.js';
+import { connectToDatabase, User, Transaction, AuditLog, notifyBalancePosted, refundOrderLinesAtomic } from '../../../../models/allModels.js';
+import { getIdempotencyKey, isDuplicateKeyError, requestFingerprint, assertSameRequest, IDEMPOTENCY_REPLAY_HEADER } from '../../../../lib/idempotency.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 /**
  * POST /api/admin/refund
- * Body: { adminId, userIdOrReg, amount, note?, relatedOrderId? }
+ * Body: { userIdOrReg, amount, note? } — a manual wallet credit not tied to an order;
+ * the signed-in user is recorded as the refunding admin
  *
- * Behavior additions:
- * - If relatedOrderId resolves to an Order and that order contains inventory meta
- *   (order.meta.inventoryChanges), the route will restore inventory quantities by
- *   incrementing the Inventory documents that were previously decremented.
- * - It sets order.meta.inventoryRestored = true after successful restore to avoid double-restores.
  * - Works transactionally when MongoDB replica-set is available; falls back to best-effort updates otherwise.
+ * - Honours an Idempotency-Key header: a retry returns the original refund instead of crediting twice.
+ *
+ * Order refunds: Body { relatedOrderId, lines: [{ index, qty }], userIdOrReg?, note? }
+ * - amount is ignored; it is computed from the stored line prices (refundOrderLinesAtomic in allModels.js).
+ * - Only the refunded units are restocked and each line's refundedQty is tracked, so nothing is refunded twice.
+ * - Works for ordinary and special orders; the order becomes 'refunded' once every line is.
+ * - relatedOrderId without lines is refused: an amount alone could refund units already refunded.
  */
-export async function POST(req) {
+export const POST = withPermission('accounting.refund', async (req, context, { user: staff }) => {
     try {
         const body = await req.json();
-        const { adminId = null, userIdOrReg, amount, note = '', relatedOrderId = null } = body;
+        const { userIdOrReg, amount, note = '', relatedOrderId = null } = body;
+        const adminId = staff._id;
+
+        if (Array.isArray(body.lines) && body.lines.length) {
+            const { key, error } = getIdempotencyKey(req);
+            if (error) return NextResponse.json({ ok: false, error }, { status: 400 });
+            try {
+                const result = await refundOrderLinesAtomic(relatedOrderId, body.lines, {
+                    actorId: adminId,
+                    note,
+                    userIdOrReg: userIdOrReg || null,
+                    idempotencyKey: key
+                });
+                const user = await User.findById(result.tx.user).lean();
+                return NextResponse.json(
+                    {
+                        ok: true,
+                        user: user ? { ...user, balance: result.tx.balanceAfter } : null,
+                        tx: result.tx,
+                        amount: result.amount,
+                        lines: result.lines,
+                        order: { id: String(result.order._id), code: result.order.code, status: result.order.status, items: result.order.items },
+                        inventoryRestored: result.inventoryRestored
+                    },
+                    { headers: result.replayed ? { [IDEMPOTENCY_REPLAY_HEADER]: 'true' } : undefined }
+                );
+            } catch (lineErr) {
+                if (lineErr?.status) return NextResponse.json({ ok: false, error: lineErr.message }, { status: lineErr.status });
+                throw lineErr;
+            }
+        }
 
+        if (relatedOrderId) {
+            return NextResponse.json({ ok: false, error: 'Choose the order lines to refund; an amount alone is only for refunds not tied to an order' }, { status: 400 });
+        }
         if (!userIdOrReg) {
             return NextResponse.json({ ok: false, error: 'userIdOrReg is required' }, { status: 400 });
         }
@@ -27,8 +65,39 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: 'Amount must be a positive number' }, { status: 400 });
         }
 
+        const { key: idempotencyKey, error: idemError } = getIdempotencyKey(req);
+        if (idemError) {
+            return NextResponse.json({ ok: false, error: idemError }, { status: 400 });
+        }
+
         await connectToDatabase();
 
+        const fingerprint = idempotencyKey
+            ? requestFingerprint({ op: 'refund', userIdOrReg: String(userIdOrReg), amount: numericAmount })
+            : null;
+        const idem = idempotencyKey ? { idempotencyKey } : {};
+        const idemMeta = idempotencyKey ? { idempotencyFingerprint: fingerprint } : {};
+
+        // answer a repeated Idempotency-Key with the refund it originally produced
+        const replayResponse = async () => {
+            if (!idempotencyKey) return null;
+            const prior = await Transaction.findOne({ idempotencyKey });
+            if (!prior) return null;
+            try {
+                assertSameRequest(prior, fingerprint);
+            } catch (mismatch) {
+                return NextResponse.json({ ok: false, error: mismatch.message }, { status: 422 });
+            }
+            const priorUser = await User.findById(prior.user).lean();
+            return NextResponse.json(
+                { ok: true, user: { ...priorUser, balance: prior.balanceAfter }, tx: prior },
+                { headers: { [IDEMPOTENCY_REPLAY_HEADER]: 'true' } }
+            );
+        };
+
+        const replay = await replayResponse();
+        if (replay) return replay;
+
         // attempt transactional path
         let session = null;
         try {
@@ -44,117 +113,40 @@ export async function POST(req) {
             }
             if (!user) throw new Error('User not found');
 
-            // resolve related order (ObjectId or code)
-            let relatedOrderDoc = null;
-            if (relatedOrderId) {
-                if (mongoose.Types.ObjectId.isValid(String(relatedOrderId))) {
-                    relatedOrderDoc = await Order.findById(String(relatedOrderId)).session(session);
-                }
-                if (!relatedOrderDoc) {
-                    relatedOrderDoc = await Order.findOne({ code: String(relatedOrderId) }).session(session);
-                }
-            }
-
-            // If we have an order and it hasn't had inventory restored yet, attempt to restore
-            const restoredInventoryEntries = [];
-            if (relatedOrderDoc) {
-                // only attempt if not already restored
-                const alreadyRestored = !!(relatedOrderDoc.meta && relatedOrderDoc.meta.inventoryRestored);
-                if (!alreadyRestored) {
-                    // Prefer to use inventoryChanges metadata (recorded at order time)
-                    const invChanges = relatedOrderDoc.meta?.inventoryChanges;
-                    if (Array.isArray(invChanges) && invChanges.length > 0) {
-                        for (const ch of invChanges) {
-                            try {
-                                if (!ch.inventoryId || !ch.qtyTaken) continue;
-                                // increment the inventory doc back by qtyTaken
-                                const updatedInv = await Inventory.findOneAndUpdate(
-                                    { _id: ch.inventoryId, active: true },
-                                    { $inc: { quantity: Number(ch.qtyTaken) } },
-                                    { new: true, session }
-                                );
-                                restoredInventoryEntries.push({
-                                    inventoryId: ch.inventoryId,
-                                    product: ch.product,
-                                    qtyRestored: Number(ch.qtyTaken),
-                                    ok: !!updatedInv
-                                });
-                            } catch (e) {
-                                // propagate up to abort transaction (we are in transactional path)
-                                throw new Error(`Failed to restore inventory ${String(ch.inventoryId)}: ${e?.message || e}`);
-                            }
-                        }
-                    } else {
-                        // No explicit inventoryChanges metadata — attempt a conservative best-effort restore:
-                        // For each order item increment the largest active inventory doc for that product by item.qty
-                        for (const it of (relatedOrderDoc.items || [])) {
-                            const needed = Number(it.qty || 0);
-                            if (!needed) continue;
-                            // find a single inventory doc to increment (prefer largest) — this is a heuristic
-                            const doc = await Inventory.findOne({ product: it.product, active: true }).sort({ quantity: -1 }).session(session);
-                            if (!doc) {
-                                throw new Error(`No inventory document found to restore product ${String(it.product)}`);
-                            }
-                            const updatedInv = await Inventory.findOneAndUpdate(
-                                { _id: doc._id, active: true },
-                                { $inc: { quantity: needed } },
-                                { new: true, session }
-                            );
-                            restoredInventoryEntries.push({
-                                inventoryId: doc._id,
-                                product: it.product,
-                                qtyRestored: needed,
-                                ok: !!updatedInv
-                            });
-                        }
-                    }
-
-                    // mark order as refunded-related inventory restored
-                    relatedOrderDoc.meta = relatedOrderDoc.meta || {};
-                    relatedOrderDoc.meta.inventoryRestored = true;
-                    // optionally update order status to 'refunded' (only if you want)
-                    relatedOrderDoc.status = relatedOrderDoc.status === 'cancelled' ? relatedOrderDoc.status : 'refunded';
-                    await relatedOrderDoc.save({ session });
-                }
-            }
-
             // perform balance update on user
             const before = Number(user.balance || 0);
             const after = before + numericAmount;
             user.balance = after;
             await user.save({ session });
 
-            // create transaction record (attach order._id if we have it)
             const txPayload = {
                 user: user._id,
                 type: 'refund',
                 amount: numericAmount,
                 balanceBefore: before,
                 balanceAfter: after,
-                relatedOrder: relatedOrderDoc ? relatedOrderDoc._id : null,
+                relatedOrder: null,
                 createdBy: adminId || null,
-                note: note || `Refund - ${relatedOrderDoc ? `Order ${String(relatedOrderDoc._id)}` : 'manual refund'}`
+                note: note || 'Refund - manual refund',
+                ...idem,
+                meta: { ...idemMeta }
             };
             const txArr = await Transaction.create([txPayload], { session });
 
-            // audit log: include original provided relatedOrderId (string) and inventory restore details
-            const auditChanges = { amount: numericAmount, before, after, note };
-            if (relatedOrderDoc) auditChanges.relatedOrder = relatedOrderDoc._id;
-            else if (relatedOrderId) auditChanges.relatedOrderProvided = String(relatedOrderId);
-            if (restoredInventoryEntries.length) auditChanges.inventoryRestored = restoredInventoryEntries;
-
             await AuditLog.create([{
                 actor: adminId || null,
                 action: 'refund_user',
                 collectionName: 'users',
                 documentId: user._id,
-                changes: auditChanges
+                changes: { amount: numericAmount, before, after, note }
             }], { session });
 
             await session.commitTransaction();
             session.endSession();
 
-            return NextResponse.json({ ok: true, user: user.toObject(), tx: txArr[0], inventoryRestored: restoredInventoryEntries });
+            await notifyBalancePosted(user, txArr[0]);
+
+            return NextResponse.json({ ok: true, user: user.toObject(), tx: txArr[0] });
         } catch (err) {
             // abort transaction if started
             if (session) {
@@ -164,6 +156,12 @@ export async function POST(req) {
                 } catch (e) { /* ignore */ }
             }
 
+            // a concurrent retry with the same Idempotency-Key committed first; ours was rolled back
+            if (idempotencyKey && isDuplicateKeyError(err)) {
+                const raced = await replayResponse();
+                if (raced) return raced;
+            }
+
             // detect "transactions not supported" error
             const isTransactionNotSupported =
                 err && (
@@ -188,117 +186,61 @@ export async function POST(req) {
                 }
                 if (!user) throw new Error('User not found');
 
-                // resolve related order best-effort
-                let relatedOrderDoc = null;
-                if (relatedOrderId) {
-                    if (mongoose.Types.ObjectId.isValid(String(relatedOrderId))) {
-                        relatedOrderDoc = await Order.findById(String(relatedOrderId));
-                    }
-                    if (!relatedOrderDoc) {
-                        relatedOrderDoc = await Order.findOne({ code: String(relatedOrderId) });
-                    }
-                }
-
-                const restoredInventoryEntries = [];
-                if (relatedOrderDoc) {
-                    const alreadyRestored = !!(relatedOrderDoc.meta && relatedOrderDoc.meta.inventoryRestored);
-                    if (!alreadyRestored) {
-                        const invChanges = relatedOrderDoc.meta?.inventoryChanges;
-                        if (Array.isArray(invChanges) && invChanges.length > 0) {
-                            for (const ch of invChanges) {
-                                try {
-                                    if (!ch.inventoryId || !ch.qtyTaken) continue;
-                                    // best-effort atomic increment on inventory doc
-                                    const updatedInv = await Inventory.findOneAndUpdate(
-                                        { _id: ch.inventoryId, active: true },
-                                        { $inc: { quantity: Number(ch.qtyTaken) } },
-                                        { new: true }
-                                    );
-                                    restoredInventoryEntries.push({
-                                        inventoryId: ch.inventoryId,
-                                        product: ch.product,
-                                        qtyRestored: Number(ch.qtyTaken),
-                                        ok: !!updatedInv
-                                    });
-                                } catch (e) {
-                                    // best-effort: continue to next
-                                    console.warn('Inventory restore partial failure (fallback):', e?.message || e);
-                                }
-                            }
-                        } else {
-                            // fallback heuristic: increment top inventory docs per item
-                            for (const it of (relatedOrderDoc.items || [])) {
-                                const needed = Number(it.qty || 0);
-                                if (!needed) continue;
-                                const doc = await Inventory.findOne({ product: it.product, active: true }).sort({ quantity: -1 });
-                                if (!doc) {
-                                    console.warn(`No inventory document found to restore product ${String(it.product)} (fallback)`);
-                                    continue;
-                                }
-                                const updatedInv = await Inventory.findOneAndUpdate(
-                                    { _id: doc._id, active: true },
-                                    { $inc: { quantity: needed } },
-                                    { new: true }
-                                );
-                                restoredInventoryEntries.push({
-                                    inventoryId: doc._id,
-                                    product: it.product,
-                                    qtyRestored: needed,
-                                    ok: !!updatedInv
-                                });
-                            }
-                        }
-
-                        // mark order meta as restored (best-effort)
-                        try {
-                            relatedOrderDoc.meta = relatedOrderDoc.meta || {};
-                            relatedOrderDoc.meta.inventoryRestored = true;
-                            relatedOrderDoc.status = relatedOrderDoc.status === 'cancelled' ? relatedOrderDoc.status : 'refunded';
-                            await relatedOrderDoc.save();
-                        } catch (e) {
-                            console.warn('Failed to mark order inventoryRestored (fallback):', e?.message || e);
-                        }
+                // write the refund Transaction first so a duplicate Idempotency-Key stops before the balance moves
+                const before = Number(user.balance || 0);
+                let txDoc;
+                try {
+                    txDoc = await Transaction.create({
+                        user: user._id,
+                        type: 'refund',
+                        amount: numericAmount,
+                        balanceBefore: before,
+                        balanceAfter: before + numericAmount,
+                        relatedOrder: null,
+                        createdBy: adminId || null,
+                        note: note || 'Refund (fallback) - manual refund',
+                        ...idem,
+                        meta: { ...idemMeta }
+                    });
+                } catch (createErr) {
+                    if (idempotencyKey && isDuplicateKeyError(createErr)) {
+                        const raced = await replayResponse();
+                        if (raced) return raced;
                     }
+                    throw createErr;
                 }
 
                 // update user balance (atomic $inc)
-                const before = Number(user.balance || 0);
                 const updatedUser = await User.findOneAndUpdate(
                     { _id: user._id },
                     { $inc: { balance: numericAmount } },
                     { new: true }
                 );
 
-                const txDoc = await Transaction.create({
-                    user: updatedUser._id,
-                    type: 'refund',
-                    amount: numericAmount,
-                    balanceBefore: before,
-                    balanceAfter: Number(updatedUser.balance),
-                    relatedOrder: relatedOrderDoc ? relatedOrderDoc._id : null,
-                    createdBy: adminId || null,
-                    note: note || `Refund (fallback) - ${relatedOrderDoc ? `Order ${String(relatedOrderDoc._id)}` : 'manual refund'}`
-                });
+                // record the balances actually observed around the $inc
+                txDoc.balanceBefore = Number(updatedUser.balance) - numericAmount;
+                txDoc.balanceAfter = Number(updatedUser.balance);
+                await Transaction.updateOne(
+                    { _id: txDoc._id },
+                    { $set: { balanceBefore: txDoc.balanceBefore, balanceAfter: txDoc.balanceAfter } }
+                );
 
                 // Best-effort audit log
-                const auditChanges = { amount: numericAmount, before, after: Number(updatedUser.balance), note, fallback: true };
-                if (relatedOrderDoc) auditChanges.relatedOrder = relatedOrderDoc._id;
-                else if (relatedOrderId) auditChanges.relatedOrderProvided = String(relatedOrderId);
-                if (restoredInventoryEntries.length) auditChanges.inventoryRestored = restoredInventoryEntries;
-
                 try {
                     await AuditLog.create({
                         actor: adminId || null,
                         action: 'refund_user',
                         collectionName: 'users',
                         documentId: updatedUser._id,
-                        changes: auditChanges
+                        changes: { amount: numericAmount, before: txDoc.balanceBefore, after: Number(updatedUser.balance), note, fallback: true }
                     });
                 } catch (e) {
                     console.warn('AuditLog creation failed in refund fallback:', e?.message || e);
                 }
 
-                return NextResponse.json({ ok: true, user: updatedUser.toObject(), tx: txDoc, inventoryRestored: restoredInventoryEntries });
+                await notifyBalancePosted(updatedUser, txDoc);
+
+                return NextResponse.json({ ok: true, user: updatedUser.toObject(), tx: txDoc });
             } catch (fallbackErr) {
                 console.error('Refund fallback error:', fallbackErr);
                 throw fallbackErr || err;
@@ -308,4 +250,4 @@ export async function POST(req) {
         console.error('POST /api/admin/refund error', err);
         return NextResponse.json({ ok: false, error: String(err?.message || err) }, { status: 500 });
     }
-}
+});
@@ -2,6 +2,7 @@
 export const runtime = "nodejs";
 
 import { connectToDatabase, Order, Product, Inventory, SpecialOrder, SpecialProduct } from "@/models/allModels.js";
+import { withPermission } from "@/lib/routeAuth.js";
 
 /**
  * GET /api/admin/reports/sales
@@ -45,7 +46,7 @@ function endOfWeek(d) {
     return e;
 }
 
-export async function GET(req) {
+export const GET = withPermission("reports.view", async (req) => {
     try {
         await connectToDatabase();
 
@@ -116,7 +117,21 @@ export async function GET(req) {
         const groupsMap = new Map();
 
         // helper to process an order item into a bucket
+        // bundle lines are reported per component: units = component qty × line qty, revenue = allocated share
         function processItemIntoBucket(bucket, it) {
+            if (Array.isArray(it?.components) && it.components.length) {
+                const lineQty = Number(it.qty || 1);
+                for (const c of it.components) {
+                    const units = Number(c.qty || 1) * lineQty;
+                    processItemIntoBucket(bucket, {
+                        product: c.product,
+                        name: c.name,
+                        qty: units,
+                        price: units ? (Number(c.amount || 0) * lineQty) / units : 0
+                    });
+                }
+                return;
+            }
             const qty = Number(it?.qty || 1);
             let prod = null;
             if (it?.product) prod = productById.get(String(it.product));
@@ -292,7 +307,7 @@ export async function GET(req) {
             for (const o of os) {
                 const present = new Set();
                 if (Array.isArray(o.items)) {
-                    for (const it of o.items) {
+                    for (const it of o.items.flatMap(line => (line?.components?.length ? line.components : [line]))) {
                         let prod = null;
                         if (it?.product) prod = productById.get(String(it.product));
                         if (!prod && it?.name) prod = productByName.get(String(it.name).toLowerCase());
@@ -506,4 +521,4 @@ export async function GET(req) {
             { status: 500, headers: { "Content-Type": "application/json" } }
         );
     }
-}
+});
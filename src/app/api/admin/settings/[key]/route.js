@@ -1,19 +1,26 @@
 // app/api/admin/settings/[key]/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, Setting, AuditLog } from '@/models/allModels';
+import { withPermission } from '@/lib/routeAuth.js';
+import { PERMISSION_ROLES_KEY } from '@/lib/permissions.js';
 
 /**
  * GET /api/admin/settings/[key]  -> returns setting
- * PUT /api/admin/settings/[key]  -> update setting { value, description?, editable? , actor? }
+ * PUT /api/admin/settings/[key]  -> update setting { value, description?, editable? }
  * DELETE /api/admin/settings/[key] -> remove setting
  *
- * NOTE: Add session/role checks.
+ * GET needs settings.view, PUT / DELETE settings.edit (lib/permissions.js); "permissions.roles" is changed
+ * through /api/admin/permissions only.
  */
 
-export async function GET(req, { params }) {
+const protectedKey = (key) => key === PERMISSION_ROLES_KEY
+    ? NextResponse.json({ ok: false, error: 'Edit permissions on the Permissions page' }, { status: 400 })
+    : null;
+
+export const GET = withPermission('settings.view', async (req, { params }) => {
     try {
         await connectToDatabase();
-        const { key } = params;
+        const { key } = await params;
         const doc = await Setting.findOne({ key }).lean();
         if (!doc) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
         return NextResponse.json({ ok: true, setting: { key: doc.key, value: doc.value, description: doc.description, editable: doc.editable } });
@@ -21,12 +28,14 @@ export async function GET(req, { params }) {
         console.error('GET /api/admin/settings/[key] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function PUT(req, { params }) {
+export const PUT = withPermission('settings.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
-        const { key } = params;
+        const { key } = await params;
+        const blocked = protectedKey(key);
+        if (blocked) return blocked;
         const body = await req.json();
         const allow = {};
         if (typeof body.value !== 'undefined') allow.value = body.value;
@@ -39,7 +48,7 @@ export async function PUT(req, { params }) {
         // Audit
         try {
             await AuditLog.create({
-                actor: body.actor || null,
+                actor: user._id,
                 action: 'setting_update',
                 collectionName: 'settings',
                 documentId: null,
@@ -52,19 +61,21 @@ export async function PUT(req, { params }) {
         console.error('PUT /api/admin/settings/[key] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function DELETE(req, { params }) {
+export const DELETE = withPermission('settings.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
-        const { key } = params;
+        const { key } = await params;
+        const blocked = protectedKey(key);
+        if (blocked) return blocked;
         const doc = await Setting.findOneAndDelete({ key }).lean();
         if (!doc) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
 
         // Audit
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'setting_delete',
                 collectionName: 'settings',
                 documentId: null,
@@ -77,4 +88,4 @@ export async function DELETE(req, { params }) {
         console.error('DELETE /api/admin/settings/[key] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
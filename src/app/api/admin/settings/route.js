@@ -1,15 +1,18 @@
 // app/api/admin/settings/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, Setting } from '../../../../models/allModels.js';
+import { withPermission } from '@/lib/routeAuth.js';
+import { PERMISSION_ROLES_KEY } from '@/lib/permissions.js';
 
 /**
  * GET  -> list all settings as { key, value, description, editable }
  * POST -> bulk upsert settings: body { settings: [ { key, value, description?, editable? }, ... ] }
  *
- * NOTE: Add session/role checks (admin/accounting) in production.
+ * GET needs settings.view, POST settings.edit (lib/permissions.js). The role mapping ("permissions.roles") is
+ * read-only here — it is edited through /api/admin/permissions.
  */
 
-export async function GET() {
+export const GET = withPermission('settings.view', async () => {
     try {
         await connectToDatabase();
         const docs = await Setting.find().lean();
@@ -19,9 +22,9 @@ export async function GET() {
         console.error('GET /api/admin/settings error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function POST(req) {
+export const POST = withPermission('settings.edit', async (req, context, { user }) => {
     try {
         await connectToDatabase();
         const body = await req.json();
@@ -37,6 +40,10 @@ export async function POST(req) {
                 results.push({ key: null, ok: false, error: 'Missing key' });
                 continue;
             }
+            if (it.key === PERMISSION_ROLES_KEY) {
+                results.push({ key: it.key, ok: false, error: 'Edit permissions on the Permissions page' });
+                continue;
+            }
             // upsert
             const doc = await Setting.findOneAndUpdate(
                 { key: it.key },
@@ -51,4 +58,4 @@ export async function POST(req) {
         console.error('POST /api/admin/settings error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
 import mongoose from 'mongoose';
 import { AuditLog, connectToDatabase, SpecialOrderingWindow } from '@/models/allModels';
+import { withPermission } from '@/lib/routeAuth.js';
 
-export async function GET(req, { params }) {
+export const GET = withPermission(['settings.view', 'orders.manage'], async (req, { params }) => {
     try {
         await connectToDatabase();
         const { id } = await params;
@@ -19,9 +20,9 @@ export async function GET(req, { params }) {
         console.error('GET /api/admin/special-ordering-windows/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function PUT(req, { params }) {
+export const PUT = withPermission('settings.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
         const { id } = await params;
@@ -52,7 +53,7 @@ export async function PUT(req, { params }) {
 
         try {
             await AuditLog.create({
-                actor: body.actor || null,
+                actor: user._id,
                 action: 'special_ordering_window_update',
                 collectionName: 'specialorderingwindows',
                 documentId: doc._id,
@@ -66,9 +67,9 @@ export async function PUT(req, { params }) {
         console.error('PUT /api/admin/special-ordering-windows/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function DELETE(req, { params }) {
+export const DELETE = withPermission('settings.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
         const { id } = await params;
@@ -82,7 +83,7 @@ export async function DELETE(req, { params }) {
 
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'special_ordering_window_delete',
                 collectionName: 'specialorderingwindows',
                 documentId: id,
@@ -96,5 +97,5 @@ export async function DELETE(req, { params }) {
         console.error('DELETE /api/admin/special-ordering-windows/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
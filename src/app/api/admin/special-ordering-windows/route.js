@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase, SpecialOrderingWindow, AuditLog } from '../../../../models/allModels.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
-export async function GET() {
+export const GET = withPermission(['settings.view', 'orders.manage'], async () => {
     try {
         await connectToDatabase();
         const docs = await SpecialOrderingWindow.find().sort({ priority: -1, startTime: 1 }).lean();
@@ -10,9 +11,9 @@ export async function GET() {
         console.error('GET /api/admin/special-ordering-windows error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function POST(req) {
+export const POST = withPermission('settings.edit', async (req, context, { user }) => {
     try {
         await connectToDatabase();
         const body = await req.json();
@@ -33,7 +34,7 @@ export async function POST(req) {
         });
 
         try {
-            await AuditLog.create({ actor: body.actor || null, action: 'special_ordering_window_create', collectionName: 'specialorderingwindows', documentId: doc._id, changes: { created: doc } });
+            await AuditLog.create({ actor: user._id, action: 'special_ordering_window_create', collectionName: 'specialorderingwindows', documentId: doc._id, changes: { created: doc } });
         } catch (e) {
         }
 
@@ -42,5 +43,5 @@ export async function POST(req) {
         console.error('POST /api/admin/special-ordering-windows error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
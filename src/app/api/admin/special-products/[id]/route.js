@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
 import mongoose from 'mongoose';
 import { AuditLog, connectToDatabase, SpecialProduct } from '@/models/allModels';
+import { normalizeModifierGroups } from '@/lib/modifiers.js';
+import { withPermission } from '@/lib/routeAuth.js';
 
-export async function GET(req, { params }) {
+export const GET = withPermission(['menu.edit', 'stations.manage', 'students.edit', 'orders.manage'], async (req, { params }) => {
     try {
         await connectToDatabase();
         const { id } = params;
@@ -15,9 +17,9 @@ export async function GET(req, { params }) {
         console.error('GET /api/admin/special-products/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function PUT(req, { params }) {
+export const PUT = withPermission('menu.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
         const { id } = params;
@@ -29,6 +31,11 @@ export async function PUT(req, { params }) {
         for (const k of allowed) {
             if (typeof body[k] !== 'undefined') updates[k] = body[k];
         }
+        if (typeof body.modifierGroups !== 'undefined') {
+            const modifiers = normalizeModifierGroups(body.modifierGroups);
+            if (modifiers.error) return NextResponse.json({ ok: false, error: modifiers.error }, { status: 400 });
+            updates.modifierGroups = modifiers.groups;
+        }
 
         const before = await SpecialProduct.findById(id).lean();
         if (!before) return NextResponse.json({ ok: false, error: 'Not found' }, { status: 404 });
@@ -38,7 +45,7 @@ export async function PUT(req, { params }) {
 
         try {
             await AuditLog.create({
-                actor: body._actor || null,
+                actor: user._id,
                 action: 'special_menu_update',
                 collectionName: 'specialproducts',
                 documentId: id,
@@ -52,9 +59,9 @@ export async function PUT(req, { params }) {
         console.error('PUT /api/admin/special-products/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function DELETE(req, { params }) {
+export const DELETE = withPermission('menu.edit', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
         const { id } = params;
@@ -65,7 +72,7 @@ export async function DELETE(req, { params }) {
 
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'special_menu_delete',
                 collectionName: 'specialproducts',
                 documentId: id,
@@ -79,5 +86,5 @@ export async function DELETE(req, { params }) {
         console.error('DELETE /api/admin/special-products/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase, SpecialProduct, SpecialOrderingWindow, AuditLog } from '../../../../models/allModels.js';
+import { normalizeModifierGroups } from '../../../../lib/modifiers.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
-export async function GET(req) {
+export const GET = withPermission(['menu.edit', 'stations.manage', 'students.edit', 'orders.manage'], async (req) => {
     try {
         await connectToDatabase();
 
@@ -28,9 +30,9 @@ export async function GET(req) {
         console.error('GET /api/admin/special-products error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
-export async function POST(req) {
+export const POST = withPermission('menu.edit', async (req, context, { user }) => {
     try {
         await connectToDatabase();
         const body = await req.json();
@@ -39,6 +41,11 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: 'Missing required fields: name, category, price (number)' }, { status: 400 });
         }
 
+        const modifiers = normalizeModifierGroups(body.modifierGroups);
+        if (modifiers.error) {
+            return NextResponse.json({ ok: false, error: modifiers.error }, { status: 400 });
+        }
+
         const doc = await SpecialProduct.create({
             name: body.name,
             sku: body.sku || null,
@@ -51,6 +58,7 @@ export async function POST(req) {
             imageUrl: body.imageUrl || '',
             tags: Array.isArray(body.tags) ? body.tags : [],
             allergens: Array.isArray(body.allergens) ? body.allergens : [],
+            modifierGroups: modifiers.groups,
             notes: body.notes || '',
             metadata: body.metadata || {}
         });
@@ -78,7 +86,7 @@ export async function POST(req) {
 
         try {
             await AuditLog.create({
-                actor: body._actor || null,
+                actor: user._id,
                 action: 'special_menu_create',
                 collectionName: 'specialproducts',
                 documentId: doc._id,
@@ -92,5 +100,5 @@ export async function POST(req) {
         console.error('POST /api/admin/special-products error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
 
@@ -1,8 +1,7 @@
 // app/api/admin/stats/route.js
 import { NextResponse } from 'next/server';
-import { connectToDatabase, Order, Transaction, User, ExternalCode } from '../../../../models/allModels.js';
-
-const LOW_BALANCE_THRESHOLD = Number(process.env.LOW_BALANCE_THRESHOLD) || 50;
+import { connectToDatabase, Order, Transaction, User, ExternalCode, getLowBalanceThreshold } from '../../../../models/allModels.js';
+import { withPermission } from '@/lib/routeAuth.js';
 
 async function computeStats() {
     await connectToDatabase();
@@ -25,7 +24,7 @@ async function computeStats() {
     const activeOrders = await Order.countDocuments({ status: { $in: ['placed', 'preparing', 'ready'] } });
 
     // Low balance alerts (students below threshold)
-    const lowBalanceAlerts = await User.countDocuments({ role: 'student', balance: { $lt: LOW_BALANCE_THRESHOLD } });
+    const lowBalanceAlerts = await User.countDocuments({ role: 'student', balance: { $lt: await getLowBalanceThreshold() } });
 
     // Pending external codes (unused and not expired)
     const now = new Date();
@@ -40,7 +39,7 @@ async function computeStats() {
     return { todaysRevenueValue, activeOrders, lowBalanceAlerts, pendingExternalCodes };
 }
 
-export async function GET() {
+export const GET = withPermission('reports.view', async () => {
     try {
         const stats = await computeStats();
         return NextResponse.json({ ok: true, stats }, { status: 200, headers: { 'Cache-Control': 'no-store' } });
@@ -48,4 +47,4 @@ export async function GET() {
         console.error('Failed to compute admin stats:', err);
         return NextResponse.json({ ok: false, error: err.message || 'Unknown error' }, { status: 500 });
     }
-}
+});
@@ -0,0 +1,146 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase, User, Product, SpecialProduct, AuditLog, activeDietaryOverrides } from '@/models/allModels';
+import { DIETARY_OVERRIDE_ACTION, MAX_OVERRIDE_HOURS, overrideHours, productDietaryConflicts } from '@/lib/dietary.js';
+import { bundleProductIds } from '@/lib/bundles.js';
+import { withPermission } from '@/lib/routeAuth.js';
+import { clientIp } from '@/lib/clientIp.js';
+
+async function findStudent(id) {
+    if (mongoose.Types.ObjectId.isValid(String(id))) {
+        const byId = await User.findById(String(id));
+        if (byId) return byId;
+    }
+    return User.findOne({ regNumber: id });
+}
+
+const describe = (entry) => ({ id: entry._id, actor: entry.actor, ...entry.changes, createdAt: entry.createdAt });
+
+/**
+ * GET /api/admin/students/:id/dietary-overrides
+ * Active overrides (AuditLog action 'dietary_override', not expired or revoked), newest first.
+ */
+export const GET = withPermission('students.view', async (req, { params }) => {
+    try {
+        await connectToDatabase();
+        const { id } = await params;
+        const student = await findStudent(id);
+        if (!student) {
+            return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+        }
+
+        const overrides = await activeDietaryOverrides(student._id);
+        return NextResponse.json({ ok: true, overrides: [...overrides.values()].map(describe) });
+    } catch (err) {
+        console.error('GET /api/admin/students/:id/dietary-overrides error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+/**
+ * POST /api/admin/students/:id/dietary-overrides
+ * body: { productId, reason, hours? } — lets the student order that product (or special product) despite
+ * their dietary profile until the override expires (default 24h). The AuditLog entry is the override.
+ */
+export const POST = withPermission('dietary.override', async (req, { params }, { user }) => {
+    try {
+        await connectToDatabase();
+        const { id } = await params;
+        const body = await req.json().catch(() => ({}));
+        const productId = String(body?.productId || '');
+        const reason = String(body?.reason || '').trim();
+        const hours = overrideHours(body?.hours);
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return NextResponse.json({ ok: false, error: 'productId required' }, { status: 400 });
+        }
+        if (!reason) {
+            return NextResponse.json({ ok: false, error: 'A reason is required for a dietary override' }, { status: 400 });
+        }
+        if (hours === null) {
+            return NextResponse.json({ ok: false, error: `hours must be between 0 and ${MAX_OVERRIDE_HOURS}` }, { status: 400 });
+        }
+
+        const student = await findStudent(id);
+        if (!student) {
+            return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+        }
+
+        const product = (await Product.findById(productId).lean()) || (await SpecialProduct.findById(productId).lean());
+        if (!product) {
+            return NextResponse.json({ ok: false, error: 'Product not found' }, { status: 404 });
+        }
+        const componentIds = bundleProductIds(product);
+        const components = componentIds.length ? await Product.find({ _id: { $in: componentIds } }).lean() : [];
+        const conflicts = productDietaryConflicts(student.dietaryProfile, product, new Map(components.map(c => [String(c._id), c])));
+
+        const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+        const entry = await AuditLog.create({
+            actor: user._id,
+            action: DIETARY_OVERRIDE_ACTION,
+            collectionName: 'users',
+            documentId: student._id,
+            changes: {
+                product: product._id,
+                productName: product.name,
+                conflicts,
+                reason,
+                expiresAt,
+                revokedAt: null
+            },
+            ip: clientIp(req.headers),
+            userAgent: req.headers.get('user-agent') || null
+        });
+
+        return NextResponse.json({ ok: true, override: describe(entry.toObject()) }, { status: 201 });
+    } catch (err) {
+        console.error('POST /api/admin/students/:id/dietary-overrides error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+/**
+ * DELETE /api/admin/students/:id/dietary-overrides?overrideId=...
+ * Revokes an override early: the entry is stamped revokedAt / revokedBy and the revocation is logged.
+ */
+export const DELETE = withPermission('dietary.override', async (req, { params }, { user }) => {
+    try {
+        await connectToDatabase();
+        const { id } = await params;
+        const overrideId = new URL(req.url).searchParams.get('overrideId') || '';
+        if (!mongoose.Types.ObjectId.isValid(overrideId)) {
+            return NextResponse.json({ ok: false, error: 'overrideId required' }, { status: 400 });
+        }
+
+        const student = await findStudent(id);
+        if (!student) {
+            return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+        }
+
+        const now = new Date();
+        const revoked = await AuditLog.findOneAndUpdate(
+            { _id: overrideId, action: DIETARY_OVERRIDE_ACTION, documentId: student._id, 'changes.revokedAt': null },
+            { $set: { 'changes.revokedAt': now, 'changes.revokedBy': user._id } },
+            { new: true }
+        );
+        if (!revoked) {
+            return NextResponse.json({ ok: false, error: 'Override not found or already revoked' }, { status: 404 });
+        }
+
+        try {
+            await AuditLog.create({
+                actor: user._id,
+                action: 'revoke_dietary_override',
+                collectionName: 'auditlogs',
+                documentId: revoked._id,
+                changes: { student: student._id, product: revoked.changes?.product, productName: revoked.changes?.productName }
+            });
+        } catch (e) {
+            console.warn('Audit log failed for dietary override revocation:', e?.message || e);
+        }
+
+        return NextResponse.json({ ok: true });
+    } catch (err) {
+        console.error('DELETE /api/admin/students/:id/dietary-overrides error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
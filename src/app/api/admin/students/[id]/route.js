@@ -0,0 +1,130 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase, User, AuditLog, getSpendingAllowance, activeDietaryOverrides } from '@/models/allModels';
+import { applySpendingLimitsPatch } from '@/lib/spendingLimits.js';
+import { normalizeDietaryProfile, dietaryProfileSnapshot } from '@/lib/dietary.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+async function findStudent(id) {
+    if (mongoose.Types.ObjectId.isValid(String(id))) {
+        const byId = await User.findById(String(id));
+        if (byId) return byId;
+    }
+    return User.findOne({ regNumber: id });
+}
+
+/**
+ * GET /api/admin/students/:id  (id = user id or reg number)
+ * Returns the student with their spending limits, current allowance, dietary profile and active dietary overrides.
+ */
+export const GET = withPermission('students.view', async (req, { params }) => {
+    try {
+        await connectToDatabase();
+        const { id } = await params;
+        const student = await findStudent(id);
+        if (!student) {
+            return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+        }
+
+        const [spending, overrides] = await Promise.all([
+            getSpendingAllowance(student),
+            activeDietaryOverrides(student._id)
+        ]);
+        return NextResponse.json({
+            ok: true,
+            student: {
+                _id: student._id,
+                name: student.name,
+                regNumber: student.regNumber,
+                balance: student.balance,
+                isActive: student.isActive,
+                spendingLimits: {
+                    daily: student.spendingLimits?.daily ?? null,
+                    weekly: student.spendingLimits?.weekly ?? null
+                },
+                dietaryProfile: dietaryProfileSnapshot(student.dietaryProfile)
+            },
+            spending,
+            dietaryOverrides: [...overrides.values()].map(o => ({ id: o._id, ...o.changes, createdAt: o.createdAt }))
+        });
+    } catch (err) {
+        console.error('GET /api/admin/students/:id error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
+
+/**
+ * PATCH /api/admin/students/:id
+ * body: { spendingLimits?: { daily?, weekly? }, dietaryProfile?: { allergens, restrictions, hideConflicts } | null }
+ * — a null or "" cap clears it (the school default applies again); a null dietaryProfile clears the profile.
+ */
+export const PATCH = withPermission('students.edit', async (req, { params }, { user }) => {
+    try {
+        await connectToDatabase();
+        const { id } = await params;
+        const body = await req.json().catch(() => ({}));
+        const limits = body?.spendingLimits;
+        const hasLimits = !!limits && typeof limits === 'object';
+        const hasDiet = body?.dietaryProfile !== undefined;
+        if (!hasLimits && !hasDiet) {
+            return NextResponse.json({ ok: false, error: 'spendingLimits or dietaryProfile required' }, { status: 400 });
+        }
+
+        const student = await findStudent(id);
+        if (!student) {
+            return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+        }
+
+        const audits = [];
+        if (hasLimits) {
+            const before = {
+                daily: student.spendingLimits?.daily ?? null,
+                weekly: student.spendingLimits?.weekly ?? null
+            };
+            const { limits: next, error } = applySpendingLimitsPatch(before, limits);
+            if (error) {
+                return NextResponse.json({ ok: false, error }, { status: 400 });
+            }
+            student.spendingLimits = next;
+            audits.push({ action: 'update_spending_limits', changes: { before, after: next } });
+        }
+
+        if (hasDiet) {
+            const { profile, error } = normalizeDietaryProfile(body.dietaryProfile);
+            if (error) {
+                return NextResponse.json({ ok: false, error }, { status: 400 });
+            }
+            const before = dietaryProfileSnapshot(student.dietaryProfile);
+            student.dietaryProfile = { ...profile, updatedBy: user._id, updatedAt: new Date() };
+            audits.push({ action: 'update_dietary_profile', changes: { before, after: dietaryProfileSnapshot(student.dietaryProfile) } });
+        }
+
+        await student.save();
+
+        try {
+            await AuditLog.create(audits.map(a => ({
+                actor: user._id,
+                action: a.action,
+                collectionName: 'users',
+                documentId: student._id,
+                changes: a.changes
+            })));
+        } catch (e) {
+            console.warn('Audit log failed for student update:', e?.message || e);
+        }
+
+        const spending = await getSpendingAllowance(student);
+        return NextResponse.json({
+            ok: true,
+            spendingLimits: {
+                daily: student.spendingLimits?.daily ?? null,
+                weekly: student.spendingLimits?.weekly ?? null
+            },
+            dietaryProfile: dietaryProfileSnapshot(student.dietaryProfile),
+            spending
+        });
+    } catch (err) {
+        console.error('PATCH /api/admin/students/:id error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
@@ -1,17 +1,9 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase, User } from '@/models/allModels';
-import { getServerSession } from 'next-auth/next';
-import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { withPermission } from '@/lib/routeAuth.js';
 
-export async function GET(req) {
+export const GET = withPermission('students.view', async (req) => {
     try {
-        const session = await getServerSession(authOptions);
-        const role = session?.user?.role || '';
-
-        if (!session || !['admin', 'accounting', 'it'].includes(role)) {
-            return NextResponse.json({ ok: false, error: 'Unauthorized' }, { status: 401 });
-        }
-
         await connectToDatabase();
         const url = new URL(req.url);
         const search = url.searchParams.get('search') || '';
@@ -61,7 +53,7 @@ export async function GET(req) {
 
         const total = await User.countDocuments(query);
         const students = await User.find(query)
-            .select('name regNumber email balance isActive createdAt')
+            .select('name regNumber email balance isActive spendingLimits createdAt')
             .sort(sort)
             .skip(skip)
             .limit(limit)
@@ -76,6 +68,10 @@ export async function GET(req) {
                 email: s.email,
                 balance: s.balance,
                 isActive: s.isActive,
+                spendingLimits: {
+                    daily: s.spendingLimits?.daily ?? null,
+                    weekly: s.spendingLimits?.weekly ?? null
+                },
                 createdAt: s.createdAt
             })),
             total,
@@ -86,4 +82,4 @@ export async function GET(req) {
         console.error('GET /api/admin/students error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
-}
+});
@@ -3,6 +3,13 @@ import NextAuth from "next-auth";
 import CredentialsProvider from "next-auth/providers/credentials";
 import { connectToDatabase, User } from "../../../../models/allModels.js";
 import bcrypt from "bcrypt";
+import { TWO_FACTOR_REQUIRED, TWO_FACTOR_INVALID, twoFactorRequired, verifySecondFactor } from "../../../../lib/twoFactor.js";
+import { GENERIC_SIGN_IN_ERROR, throttleMessage } from "../../../../lib/loginThrottle.js";
+import { clientIp } from "../../../../lib/clientIp.js";
+import { checkSignIn, recordSignIn } from "../../../../lib/signInGuard.js";
+
+// Compared against when no account matches, so unknown identifiers take as long as wrong passwords
+const NO_ACCOUNT_HASH = "$2b$10$GjUI/VfpelGU8YPUBL4Gmu5REkM0Cdy8z80O.VdH7gChYKoSNJLUS";
 
 const nextAuthSecret = String(process.env.NEXTAUTH_SECRET || "").trim();
 if (!nextAuthSecret) {
@@ -11,6 +18,14 @@ if (!nextAuthSecret) {
 
 /**
  * Define authOptions here and export it once.
+ * - Every attempt is recorded (lib/signInGuard.js) and failures are throttled per account and per IP: a progressive
+ *   delay, then a temporary lockout. Unknown identifiers and wrong passwords get the same generic error.
+ * - Accounts with two-factor sign-in on need a second step: without `otp` authorize() fails with TwoFactorRequired
+ *   (the login page then asks for the code and signs in again with it), a wrong code fails with TwoFactorInvalid.
+ * - token.user.twoFactorSetupRequired marks staff whose role needs 2FA but who have not set it up; the setup page
+ *   calls update() afterwards and the flag is re-read from the database.
+ * - token.user.twoFactorVerified is set when this session passed the second factor: a code at sign-in, or 2FA
+ *   switched on (with a code) after signing in. withPermission (lib/routeAuth.js) requires it for TWO_FACTOR_ROLES.
  */
 export const authOptions = {
     providers: [
@@ -20,8 +35,9 @@ export const authOptions = {
             credentials: {
                 email: { label: "Email or RegNumber", type: "text", placeholder: "admin@..." },
                 password: { label: "Password", type: "password" },
+                otp: { label: "Authentication code", type: "text" },
             },
-            async authorize(credentials) {
+            async authorize(credentials, req) {
                 try {
                     await connectToDatabase();
                 } catch (err) {
@@ -37,6 +53,9 @@ export const authOptions = {
                     throw new Error("Email/RegNumber and password are required");
                 }
 
+                const ip = clientIp(req?.headers);
+                const userAgent = req?.headers?.["user-agent"] || null;
+
                 const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
                 const identifierRegex = new RegExp(`^${escapeRegex(identifier)}$`, "i");
 
@@ -44,19 +63,36 @@ export const authOptions = {
                     $or: [{ email: identifierRegex }, { regNumber: identifierRegex }],
                 }).lean();
 
-                if (!user) {
-                    throw new Error("No user found for that Email/RegNumber");
+                const attempt = { userId: user?._id || null, identifier, ip, userAgent };
+                const gate = await checkSignIn(attempt);
+                if (!gate.ok) {
+                    await recordSignIn({ ...attempt, outcome: gate.outcome });
+                    throw new Error(throttleMessage(gate));
                 }
 
-                const hash = user.passwordHash || user.password;
-                if (!hash) {
-                    throw new Error("User has no password set");
+                const hash = user?.passwordHash || user?.password;
+                const match = await bcrypt.compare(rawPassword, hash || NO_ACCOUNT_HASH);
+                if (!user || !hash || !match) {
+                    const reason = !user ? "unknown_identifier" : !hash ? "no_password" : "wrong_password";
+                    await recordSignIn({ ...attempt, outcome: "failed", reason });
+                    throw new Error(GENERIC_SIGN_IN_ERROR);
                 }
 
-                const match = await bcrypt.compare(rawPassword, hash);
-                if (!match) {
-                    throw new Error("Incorrect password");
+                let method = "password";
+                if (user.twoFactor?.enabled) {
+                    const otp = String(credentials?.otp || "").trim();
+                    if (!otp) {
+                        await recordSignIn({ ...attempt, outcome: "two_factor_required" });
+                        throw new Error(TWO_FACTOR_REQUIRED);
+                    }
+                    const check = await verifySecondFactor(user._id, otp, { ip, userAgent });
+                    if (!check.ok) {
+                        await recordSignIn({ ...attempt, outcome: "two_factor_failed" });
+                        throw new Error(TWO_FACTOR_INVALID);
+                    }
+                    method = check.method === "recovery" ? "recovery_code" : "totp";
                 }
+                await recordSignIn({ ...attempt, outcome: "success", reason: method });
 
                 return {
                     id: user._id.toString(),
@@ -65,6 +101,8 @@ export const authOptions = {
                     role: user.role,
                     regNumber: user.regNumber || null,
                     balance: typeof user.balance === "number" ? user.balance : 0,
+                    twoFactorSetupRequired: twoFactorRequired(user.role) && !user.twoFactor?.enabled,
+                    twoFactorVerified: method !== "password",
                 };
             },
         }),
@@ -76,7 +114,7 @@ export const authOptions = {
     },
 
     callbacks: {
-        async jwt({ token, user }) {
+        async jwt({ token, user, trigger }) {
             if (user) {
                 token.user = {
                     id: user.id,
@@ -85,8 +123,24 @@ export const authOptions = {
                     role: user.role,
                     regNumber: user.regNumber,
                     balance: typeof user.balance === "number" ? user.balance : 0,
+                    twoFactorSetupRequired: !!user.twoFactorSetupRequired,
+                    twoFactorVerified: !!user.twoFactorVerified,
+                    signedInAt: Date.now(),
                 };
             }
+            // update() from the client: re-read the 2FA state rather than trusting the request
+            if (trigger === "update" && token.user?.id) {
+                await connectToDatabase();
+                const fresh = await User.findById(token.user.id).select("role twoFactor.enabled twoFactor.enabledAt").lean();
+                if (fresh) {
+                    const enabled = !!fresh.twoFactor?.enabled;
+                    token.user.twoFactorSetupRequired = twoFactorRequired(fresh.role) && !enabled;
+                    // enrolling confirms a code, so 2FA turned on during this session counts as passing it
+                    const enabledAt = fresh.twoFactor?.enabledAt ? new Date(fresh.twoFactor.enabledAt).getTime() : 0;
+                    token.user.twoFactorVerified = enabled
+                        && (!!token.user.twoFactorVerified || enabledAt >= Number(token.user.signedInAt || Infinity));
+                }
+            }
             return token;
         },
 
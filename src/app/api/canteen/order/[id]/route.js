@@ -1,74 +1,14 @@
 // app/api/canteen/order/[id]/route.js
 import { NextResponse } from 'next/server';
 import { connectToDatabase, Order, AuditLog } from '@/models/allModels.js';
-import { getServerSession } from 'next-auth/next';
-import { getToken } from 'next-auth/jwt';
-import { authOptions } from '@/app/api/auth/[...nextauth]/route';
 import mongoose from 'mongoose';
+import { withPermission } from '@/lib/routeAuth.js';
 
-/**
- * Resolve session-like object from request (prefer getToken).
- */
-async function getSessionLike(req) {
-    try {
-        const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
-        console.log("NEXTAUTH_SECRET present?", !!secret);
-
-        // Debug headers (do not print secrets)
-        try {
-            console.log("Request method/url:", req.method, req.url || "(no url)");
-            console.log("Incoming cookie header:", req.headers?.get("cookie"));
-            console.log("Incoming Authorization header present?", !!req.headers?.get("authorization"));
-        } catch (hdrErr) {
-            console.warn("Could not read request headers:", hdrErr?.message || hdrErr);
-        }
-
-        const cookieName =
-            process.env.NODE_ENV === "production"
-                ? "__Secure-next-auth.session-token"
-                : "next-auth.session-token";
-
-        // Ask getToken to consider secure cookie names in production and use explicit cookieName
-        const token = await getToken({
-            req,
-            secret,
-            secureCookie: process.env.NODE_ENV === "production",
-            cookieName,
-        }).catch((e) => {
-            console.warn("getToken threw:", e?.message || e);
-            return null;
-        });
-
-        if (token) {
-            console.log("getToken -> token found. token.user present?", !!token.user);
-            if (token.user) {
-                console.log("token.user summary:", {
-                    id: token.user.id || token.user.sub,
-                    email: token.user.email,
-                    role: token.user.role,
-                });
-            } else {
-                console.log("token summary (no user field):", { sub: token.sub, name: token.name, email: token.email });
-            }
-            return { user: token.user || token };
-        }
-
-        console.log("getToken -> no token returned");
-    } catch (err) {
-        console.warn("getSessionLike unexpected error:", err?.message || err);
-    }
-    return null;
-}
-
-
-export async function PATCH(req, { params }) {
+export const PATCH = withPermission('orders.kitchen', async (req, { params }, { user }) => {
     try {
         await connectToDatabase();
 
-        const session = await getSessionLike(req);
-        if (!session) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-
-        const userId = session?.user?.id || null;
+        const userId = user._id;
 
         const id = params?.id;
         if (!id || !/^[0-9a-fA-F]{24}$/.test(String(id))) {
@@ -162,4 +102,4 @@ export async function PATCH(req, { params }) {
         console.error('PATCH /api/canteen/order/[id] error', err);
         return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
     }
-}
+});
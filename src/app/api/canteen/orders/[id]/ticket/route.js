@@ -0,0 +1,103 @@
+// app/api/canteen/orders/[id]/ticket/route.js
+export const runtime = 'nodejs';
+
+import { NextResponse } from 'next/server';
+import { connectToDatabase, PrepStation, UNASSIGNED_STATION } from '@/models/allModels.js';
+import { TICKET_KINDS, TICKET_FORMATS, renderEscPos, renderHtml, renderPdf } from '@/lib/tickets.js';
+import { findOrderById, orderTicket, sendToPrinter, getCounterPrinter, normalizePrinter } from '@/lib/printing.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+/**
+ * Kitchen tickets / receipts for one order (Order or SpecialOrder), for canteen and admin staff
+ *  GET  ?format=pdf|html|escpos&kind=receipt|kitchen&station=<prepStationId>|unassigned&print=1
+ *       -> the rendered ticket (print=1 makes the HTML page open the print dialog)
+ *  POST { kind, station } -> sends the ESC/POS ticket to the station printer (kitchen) or the counter printer
+ */
+
+function readOptions(source) {
+    const kind = String(source.kind || 'receipt').toLowerCase();
+    const station = source.station ? String(source.station) : null;
+    if (!TICKET_KINDS.includes(kind)) return { error: `kind must be one of ${TICKET_KINDS.join(', ')}` };
+    return { kind, station };
+}
+
+export const GET = withPermission(['orders.kitchen', 'orders.manage'], async (req, { params }) => {
+    try {
+        await connectToDatabase();
+
+        const { id } = await params;
+        const url = new URL(req.url);
+        const format = String(url.searchParams.get('format') || 'pdf').toLowerCase();
+        if (!TICKET_FORMATS.includes(format)) {
+            return NextResponse.json({ ok: false, error: `format must be one of ${TICKET_FORMATS.join(', ')}` }, { status: 400 });
+        }
+        const opts = readOptions(Object.fromEntries(url.searchParams));
+        if (opts.error) return NextResponse.json({ ok: false, error: opts.error }, { status: 400 });
+
+        const { order, isSpecial } = await findOrderById(id);
+        if (!order) return NextResponse.json({ ok: false, error: 'Order not found' }, { status: 404 });
+
+        const ticket = await orderTicket(order, { isSpecial, kind: opts.kind, stationId: opts.station });
+        const name = `${ticket.code || 'order'}-${ticket.kind}`;
+
+        if (format === 'html') {
+            const html = await renderHtml(ticket, { autoPrint: url.searchParams.get('print') === '1' });
+            return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' } });
+        }
+        if (format === 'escpos') {
+            return new Response(renderEscPos(ticket), {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Disposition': `attachment; filename="${name}.bin"`,
+                    'Cache-Control': 'no-store'
+                }
+            });
+        }
+        return new Response(renderPdf(ticket), {
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `inline; filename="${name}.pdf"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (err) {
+        console.error('GET /api/canteen/orders/[id]/ticket error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+});
+
+export const POST = withPermission(['orders.kitchen', 'orders.manage'], async (req, { params }) => {
+    try {
+        await connectToDatabase();
+
+        const { id } = await params;
+        const body = await req.json().catch(() => ({}));
+        const opts = readOptions(body);
+        if (opts.error) return NextResponse.json({ ok: false, error: opts.error }, { status: 400 });
+
+        const { order, isSpecial } = await findOrderById(id);
+        if (!order) return NextResponse.json({ ok: false, error: 'Order not found' }, { status: 404 });
+
+        // kitchen tickets for a station go to that station's printer; everything else to the counter printer
+        let printer = null;
+        let target = 'counter';
+        if (opts.kind === 'kitchen' && opts.station && opts.station !== UNASSIGNED_STATION) {
+            const station = await PrepStation.findById(opts.station).lean().catch(() => null);
+            if (!station) return NextResponse.json({ ok: false, error: 'Prep station not found' }, { status: 404 });
+            printer = normalizePrinter(station.printer);
+            target = station.name;
+        } else {
+            printer = await getCounterPrinter();
+        }
+
+        const ticket = await orderTicket(order, { isSpecial, kind: opts.kind, stationId: opts.station });
+        const result = await sendToPrinter(printer, renderEscPos(ticket), { label: `${ticket.code}-${ticket.kind}-${target}` });
+        if (!result.ok) {
+            return NextResponse.json({ ok: false, error: `Printing on ${target} failed: ${result.error}` }, { status: 502 });
+        }
+        return NextResponse.json({ ok: true, target, note: result.note });
+    } catch (err) {
+        console.error('POST /api/canteen/orders/[id]/ticket error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+});
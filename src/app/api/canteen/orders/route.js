@@ -1,90 +1,68 @@
 // app/api/canteen/orders/route.js
 import { NextResponse } from 'next/server';
-import { connectToDatabase, Order, SpecialOrder } from '@/models/allModels.js';
-import { getServerSession } from 'next-auth/next';
-import { getToken } from 'next-auth/jwt';
-import { authOptions } from '@/app/api/auth/[...nextauth]/route';
-
-/**
- * Resolve session-like object from request (prefer getToken).
- */
-async function getSessionLike(req) {
-    try {
-        const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
-        console.log("NEXTAUTH_SECRET present?", !!secret);
-
-        // Debug headers (do not print secrets)
-        try {
-            console.log("Request method/url:", req.method, req.url || "(no url)");
-            console.log("Incoming cookie header:", req.headers?.get("cookie"));
-            console.log("Incoming Authorization header present?", !!req.headers?.get("authorization"));
-        } catch (hdrErr) {
-            console.warn("Could not read request headers:", hdrErr?.message || hdrErr);
-        }
-
-        const cookieName =
-            process.env.NODE_ENV === "production"
-                ? "__Secure-next-auth.session-token"
-                : "next-auth.session-token";
-
-        // Ask getToken to consider secure cookie names in production and use explicit cookieName
-        const token = await getToken({
-            req,
-            secret,
-            secureCookie: process.env.NODE_ENV === "production",
-            cookieName,
-        }).catch((e) => {
-            console.warn("getToken threw:", e?.message || e);
-            return null;
-        });
-
-        if (token) {
-            console.log("getToken -> token found. token.user present?", !!token.user);
-            if (token.user) {
-                console.log("token.user summary:", {
-                    id: token.user.id || token.user.sub,
-                    email: token.user.email,
-                    role: token.user.role,
-                });
-            } else {
-                console.log("token summary (no user field):", { sub: token.sub, name: token.name, email: token.email });
-            }
-            return { user: token.user || token };
-        }
-
-        console.log("getToken -> no token returned");
-    } catch (err) {
-        console.warn("getSessionLike unexpected error:", err?.message || err);
-    }
-    return null;
+import mongoose from 'mongoose';
+import { connectToDatabase, Order, SpecialOrder, PrepStation, UNASSIGNED_STATION, itemStationKey, stationProgress } from '@/models/allModels.js';
+import { releaseScheduledOrdersSoon } from '@/lib/preorders.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+/* Orders with a pickup slot first, earliest slot first; then oldest first */
+function bySlotThenCreated(a, b) {
+    const sa = a.pickupSlot?.start ? new Date(a.pickupSlot.start).getTime() : Infinity;
+    const sb = b.pickupSlot?.start ? new Date(b.pickupSlot.start).getTime() : Infinity;
+    if (sa !== sb) return sa < sb ? -1 : 1;
+    return new Date(a.createdAt) - new Date(b.createdAt);
 }
 
-export async function GET(req) {
+export const GET = withPermission('orders.kitchen', async (req) => {
     try {
         await connectToDatabase();
 
-        const session = await getSessionLike(req);
-        if (!session) {
-            return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-        }
+        // pre-orders due today join the board here ('scheduled' orders are never listed)
+        await releaseScheduledOrdersSoon();
 
         // allow optional status filter or two modes (grouped or flat)
         const url = new URL(req.url);
         const statusFilter = url.searchParams.get('status'); // e.g. placed, preparing, ready
         const limit = Math.min(500, Math.max(20, parseInt(url.searchParams.get('limit') || '200', 10)));
 
-        const baseQuery = {}; // can be extended (e.g. prepStation filter) later
+        // ?station=<prepStationId>|unassigned -> kitchen display for one station: only orders with lines
+        // for that station, items trimmed to those lines, plus progress of every station on the order
+        const stationParam = url.searchParams.get('station') || '';
+        if (stationParam && stationParam !== UNASSIGNED_STATION && !mongoose.Types.ObjectId.isValid(stationParam)) {
+            return NextResponse.json({ ok: false, error: 'Invalid station' }, { status: 400 });
+        }
+
+        const stations = await PrepStation.find().sort({ name: 1 }).lean();
+        const knownStations = new Set(stations.map(st => String(st._id)));
+
+        const baseQuery = {};
+        if (stationParam && stationParam !== UNASSIGNED_STATION) {
+            baseQuery['items.prepStation'] = new mongoose.Types.ObjectId(stationParam);
+        }
+
+        const forStation = (arr) => {
+            if (!stationParam) return arr;
+            return arr
+                .map(o => ({ ...o, items: (o.items || []).filter(it => itemStationKey(it, knownStations) === stationParam) }))
+                .filter(o => o.items.length > 0);
+        };
+        const withProgress = (o, full) => ({ ...o, stationProgress: stationProgress(full, knownStations) });
+        const stationView = (arr) => {
+            const byId = new Map(arr.map(o => [String(o._id), o]));
+            return forStation(arr).map(o => withProgress(o, byId.get(String(o._id))));
+        };
+        const stationList = stations.map(st => ({ id: String(st._id), name: st.name, active: st.active !== false }));
 
         // If status provided, return flat list filtered by that status
         if (statusFilter) {
-            const ordersStd = await Order.find({ ...baseQuery, status: statusFilter })
+            const ordersStd = stationView(await Order.find({ ...baseQuery, status: statusFilter })
                 .sort({ createdAt: 1 })
                 .limit(limit)
-                .lean();
-            const ordersSpec = await SpecialOrder.find({ ...baseQuery, status: statusFilter })
+                .lean());
+            const ordersSpec = stationView(await SpecialOrder.find({ ...baseQuery, status: statusFilter })
                 .sort({ createdAt: 1 })
                 .limit(limit)
-                .lean();
+                .lean());
 
             const normalize = (o) => ({
                 id: o._id?.toString ? o._id.toString() : o._id,
@@ -96,22 +74,22 @@ export async function GET(req) {
                 createdAt: o.createdAt,
                 orderingWindow: o.orderingWindow || null,
                 prepStation: o.prepStation || null,
+                stationProgress: o.stationProgress || [],
+                pickupSlot: o.pickupSlot || null,
                 meta: o.meta || {},
             });
-            const normalized = [...ordersStd.map(normalize), ...ordersSpec.map(normalize)].sort(
-                (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
-            );
+            const normalized = [...ordersStd.map(normalize), ...ordersSpec.map(normalize)].sort(bySlotThenCreated);
 
-            return NextResponse.json({ ok: true, orders: normalized }, { status: 200 });
+            return NextResponse.json({ ok: true, orders: normalized, stations: stationList }, { status: 200 });
         }
 
         // otherwise return grouped summary for canteen dashboard
-        const placedStd = await Order.find({ ...baseQuery, status: 'placed' }).sort({ createdAt: 1 }).limit(limit).lean();
-        const preparingStd = await Order.find({ ...baseQuery, status: 'preparing' }).sort({ createdAt: 1 }).limit(limit).lean();
-        const readyStd = await Order.find({ ...baseQuery, status: 'ready' }).sort({ createdAt: 1 }).limit(limit).lean();
-        const placedSpec = await SpecialOrder.find({ ...baseQuery, status: 'placed' }).sort({ createdAt: 1 }).limit(limit).lean();
-        const preparingSpec = await SpecialOrder.find({ ...baseQuery, status: 'preparing' }).sort({ createdAt: 1 }).limit(limit).lean();
-        const readySpec = await SpecialOrder.find({ ...baseQuery, status: 'ready' }).sort({ createdAt: 1 }).limit(limit).lean();
+        const placedStd = stationView(await Order.find({ ...baseQuery, status: 'placed' }).sort({ createdAt: 1 }).limit(limit).lean());
+        const preparingStd = stationView(await Order.find({ ...baseQuery, status: 'preparing' }).sort({ createdAt: 1 }).limit(limit).lean());
+        const readyStd = stationView(await Order.find({ ...baseQuery, status: 'ready' }).sort({ createdAt: 1 }).limit(limit).lean());
+        const placedSpec = stationView(await SpecialOrder.find({ ...baseQuery, status: 'placed' }).sort({ createdAt: 1 }).limit(limit).lean());
+        const preparingSpec = stationView(await SpecialOrder.find({ ...baseQuery, status: 'preparing' }).sort({ createdAt: 1 }).limit(limit).lean());
+        const readySpec = stationView(await SpecialOrder.find({ ...baseQuery, status: 'ready' }).sort({ createdAt: 1 }).limit(limit).lean());
 
         const map = (arr) => arr.map(o => ({
             id: o._id?.toString ? o._id.toString() : o._id,
@@ -123,15 +101,19 @@ export async function GET(req) {
             createdAt: o.createdAt,
             orderingWindow: o.orderingWindow || null,
             prepStation: o.prepStation || null,
+            stationProgress: o.stationProgress || [],
+            pickupSlot: o.pickupSlot || null,
             meta: o.meta || {},
         }));
 
         return NextResponse.json({
             ok: true,
+            station: stationParam || null,
+            stations: stationList,
             groups: {
-                placed: [...map(placedStd), ...map(placedSpec)].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
-                preparing: [...map(preparingStd), ...map(preparingSpec)].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
-                ready: [...map(readyStd), ...map(readySpec)].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                placed: [...map(placedStd), ...map(placedSpec)].sort(bySlotThenCreated),
+                preparing: [...map(preparingStd), ...map(preparingSpec)].sort(bySlotThenCreated),
+                ready: [...map(readyStd), ...map(readySpec)].sort(bySlotThenCreated)
             },
             counts: {
                 placed: (placedStd.length + placedSpec.length),
@@ -143,4 +125,4 @@ export async function GET(req) {
         console.error('GET /api/canteen/orders error', err);
         return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
     }
-}
+});
@@ -3,33 +3,9 @@ export const runtime = "nodejs";
 
 import { NextResponse } from "next/server";
 import { connectToDatabase, Order, SpecialOrder, ExternalCode, AuditLog, User } from "@/models/allModels.js";
-import { getToken } from "next-auth/jwt";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
-
-/**
- * Helper to obtain a session-like object using next-auth jwt helper (works server-side)
- */
-async function getSessionLike(req) {
-    try {
-        const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
-        const cookieName = process.env.NODE_ENV === "production"
-            ? "__Secure-next-auth.session-token"
-            : "next-auth.session-token";
-
-        const token = await getToken({
-            req,
-            secret,
-            secureCookie: process.env.NODE_ENV === "production",
-            cookieName,
-        }).catch(() => null);
-
-        if (!token) return null;
-        return { user: token.user || token };
-    } catch (err) {
-        console.warn("getSessionLike error:", err?.message || err);
-        return null;
-    }
-}
+import { ORDER_EVENTS, publishOrderEvent } from "@/lib/orderEvents.js";
+import { verifyPickupQr } from "@/lib/pickupQr.js";
+import { withPermission } from "@/lib/routeAuth.js";
 
 /**
  * GET
@@ -39,11 +15,9 @@ async function getSessionLike(req) {
  *    - If no date provided -> return all uncollected orders (preparing|ready) regardless of date.
  *    - If `q` provided -> filter by student name (searches user.name, regNumber, meta.issuedToName).
  */
-export async function GET(req) {
+export const GET = withPermission("orders.kitchen", async (req) => {
     try {
         await connectToDatabase();
-        const session = await getSessionLike(req);
-        if (!session) return NextResponse.json({ ok: false, error: "Not authenticated" }, { status: 401 });
 
         const url = new URL(req.url);
         const code = (url.searchParams.get("code") || "").trim();
@@ -233,29 +207,49 @@ export async function GET(req) {
         console.error("GET /api/canteen/process error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
+});
+
+/* Statuses an order can be collected from */
+const COLLECTABLE_STATUSES = ["ready", "preparing"];
+
+function alreadyCollected(order) {
+    const when = order.collectedAt ? ` at ${new Date(order.collectedAt).toLocaleString()}` : "";
+    return NextResponse.json({ ok: false, error: `Order ${order.code} was already collected${when}`, reason: "already_collected" }, { status: 409 });
 }
 
 /**
  * POST
  * Accepts:
+ *  - { qr }       -> signed pickup QR from the student dashboard / receipt (lib/pickupQr.js); rejected when
+ *                    the signature does not verify or does not match the order
  *  - { orderId }  -> mark by id (preferred for the new UI)
  *  - or fallback to old behaviour: { code, regNumber }
  *
  * Will mark order.status = "collected", set collectedAt, collectedByRegNumber (if available),
  * and mark ExternalCode used when necessary. Writes an AuditLog.
+ * The status flip is conditional, so two tills scanning the same code collect it once; the other gets 409.
  */
-export async function POST(req) {
+export const POST = withPermission("orders.kitchen", async (req, context, { user }) => {
     try {
         await connectToDatabase();
-        const session = await getSessionLike(req);
-        if (!session || !session.user) return NextResponse.json({ ok: false, error: "Not authenticated" }, { status: 401 });
 
         const body = await req.json().catch(() => ({}));
-        const { orderId, code, regNumber } = body || {};
+        const { orderId, code, regNumber, qr } = body || {};
 
         let order = null;
         let isSpecial = false;
-        if (orderId) {
+        if (qr) {
+            const verified = verifyPickupQr(qr);
+            if (!verified.ok) {
+                return NextResponse.json({ ok: false, error: verified.reason, reason: "invalid_qr" }, { status: 403 });
+            }
+            isSpecial = verified.isSpecial;
+            order = await (isSpecial ? SpecialOrder : Order).findById(verified.id);
+            if (!order) return NextResponse.json({ ok: false, error: "Order not found" }, { status: 404 });
+            if (order.code !== verified.code) {
+                return NextResponse.json({ ok: false, error: "QR code does not match this order", reason: "invalid_qr" }, { status: 403 });
+            }
+        } else if (orderId) {
             order = await Order.findById(orderId);
             if (!order) {
                 const sp = await SpecialOrder.findById(orderId);
@@ -279,18 +273,35 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: "Order pickup code expired" }, { status: 410 });
         }
 
+        if (order.status === "collected") return alreadyCollected(order);
+
         // only allow collecting when order is 'ready' or 'preparing'
-        if (order.status !== "ready" && order.status !== "preparing") {
+        if (!COLLECTABLE_STATUSES.includes(order.status)) {
             return NextResponse.json({ ok: false, error: `Order cannot be collected in status: ${order.status}` }, { status: 409 });
         }
 
-        // mark collected
-        order.status = "collected";
-        if (regNumber) order.collectedByRegNumber = regNumber;
-        const actorId = session.user.id || session.user.sub || null;
-        order.collectedAt = order.collectedAt || new Date();
-        order.collectedByOperator = actorId;
-        await order.save();
+        // mark collected, only if no one else did since we read it
+        const actorId = user._id;
+        const OrderModel = isSpecial ? SpecialOrder : Order;
+        const collected = await OrderModel.findOneAndUpdate(
+            { _id: order._id, status: { $in: COLLECTABLE_STATUSES } },
+            {
+                $set: {
+                    status: "collected",
+                    collectedAt: order.collectedAt || new Date(),
+                    collectedByOperator: actorId,
+                    ...(regNumber ? { collectedByRegNumber: regNumber } : {})
+                }
+            },
+            { new: true }
+        );
+        if (!collected) {
+            const current = await OrderModel.findById(order._id).select("code status collectedAt").lean();
+            if (!current || current.status === "collected") return alreadyCollected(current || order);
+            return NextResponse.json({ ok: false, error: `Order cannot be collected in status: ${current.status}` }, { status: 409 });
+        }
+        order = collected;
+        publishOrderEvent(ORDER_EVENTS.collected, order, { isSpecial });
 
         // If external, mark ExternalCode used if present
         let issuedToName = null;
@@ -333,6 +344,11 @@ export async function POST(req) {
             ok: true,
             message: "Order marked collected",
             orderId: order._id,
+            code: order.code,
+            isSpecial,
+            items: order.items || [],
+            total: order.total,
+            regNumber: order.regNumber || null,
             collectedAt: order.collectedAt,
             issuedToName,
         }, { status: 200 });
@@ -340,4 +356,4 @@ export async function POST(req) {
         console.error("POST /api/canteen/process error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
     }
-}
+});
@@ -1,86 +1,29 @@
 import { NextResponse } from "next/server";
-import { connectToDatabase, Order, SpecialOrder } from "@/models/allModels.js";
-import { getServerSession } from "next-auth/next";
-import { getToken } from "next-auth/jwt";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
-
-/**
- * Resolve a session-like object from request robustly.
- */
-async function resolveSession(req) {
-    try {
-        const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
-        console.log("NEXTAUTH_SECRET present?", !!secret);
-
-        // Debug headers (do not print secrets)
-        try {
-            console.log("Request method/url:", req.method, req.url || "(no url)");
-            console.log("Incoming cookie header:", req.headers?.get("cookie"));
-            console.log("Incoming Authorization header present?", !!req.headers?.get("authorization"));
-        } catch (hdrErr) {
-            console.warn("Could not read request headers:", hdrErr?.message || hdrErr);
-        }
-
-        const cookieName =
-            process.env.NODE_ENV === "production"
-                ? "__Secure-next-auth.session-token"
-                : "next-auth.session-token";
-
-        // Ask getToken to consider secure cookie names in production and use explicit cookieName
-        const token = await getToken({
-            req,
-            secret,
-            secureCookie: process.env.NODE_ENV === "production",
-            cookieName,
-        }).catch((e) => {
-            console.warn("getToken threw:", e?.message || e);
-            return null;
-        });
-
-        if (token) {
-            console.log("getToken -> token found. token.user present?", !!token.user);
-            if (token.user) {
-                console.log("token.user summary:", {
-                    id: token.user.id || token.user.sub,
-                    email: token.user.email,
-                    role: token.user.role,
-                });
-            } else {
-                console.log("token summary (no user field):", { sub: token.sub, name: token.name, email: token.email });
-            }
-            return { user: token.user || token };
-        }
-
-        console.log("getToken -> no token returned");
-    } catch (err) {
-        console.warn("getSessionLike unexpected error:", err?.message || err);
-    }
-    return null;
-}
+import mongoose from "mongoose";
+import { connectToDatabase, Order, SpecialOrder, PrepStation, notifyOrderReady, UNASSIGNED_STATION, itemStationKey } from "@/models/allModels.js";
+import { ORDER_EVENTS, publishOrderEvent } from "@/lib/orderEvents.js";
+import { itemLabel } from "@/lib/modifiers.js";
+import { kitchenQty, kitchenStatus, preparedQty } from "@/lib/queueEta.js";
+import { withPermission } from "@/lib/routeAuth.js";
 
 function escapeRegExp(s = "") {
     return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-export async function POST(req) {
+export const POST = withPermission("orders.kitchen", async (req) => {
     try {
-        const session = await resolveSession(req);
-        if (!session || !session.user) {
-            return NextResponse.json({ ok: false, error: "Not authenticated" }, { status: 401 });
-        }
-
-        // Authorize roles
-        const role = session.user?.role;
-        if (role && !["canteen", "admin", "it"].includes(role)) {
-            return NextResponse.json({ ok: false, error: "Forbidden (insufficient role)" }, { status: 403 });
-        }
-
         const body = await req.json().catch(() => ({}));
         const productName = (body.productName || "").trim();
         console.log(productName);
 
         const action = (body.action || "prepare").trim().toLowerCase();
 
+        // optional: only touch lines of this prep station (per-station kitchen display)
+        const stationId = body.stationId ? String(body.stationId) : null;
+        if (stationId && stationId !== UNASSIGNED_STATION && !mongoose.Types.ObjectId.isValid(stationId)) {
+            return NextResponse.json({ ok: false, error: "Invalid stationId" }, { status: 400 });
+        }
+
         if (!productName) {
             return NextResponse.json({ ok: false, error: "Missing productName" }, { status: 400 });
         }
@@ -90,14 +33,34 @@ export async function POST(req) {
 
         await connectToDatabase();
 
-        // Helpers
-        const computeTotalQty = (order) => {
-            if (!order || !Array.isArray(order.items)) return 0;
-            return order.items.reduce((s, it) => s + (Number(it.qty || 0)), 0);
-        };
-
-        // Find candidate orders containing the product (oldest-first for prepare, newest-first for unprepare)
+        // Find candidate orders containing the product (oldest-first for prepare, newest-first for unprepare).
+        // productName is the board's line key: the product name, or its label ("Burger (Large, Cheese)") when
+        // modifiers were chosen — lines are matched on itemLabel() so each combination is prepared on its own.
         const regex = new RegExp(`^${escapeRegExp(productName)}$`, "i");
+        const lineQuery = { $or: [{ "items.label": { $regex: regex } }, { "items.name": { $regex: regex } }] };
+
+        const knownStations = stationId
+            ? new Set((await PrepStation.find().select("_id").lean()).map(st => String(st._id)))
+            : null;
+        const stationQuery = stationId && stationId !== UNASSIGNED_STATION
+            ? { "items.prepStation": new mongoose.Types.ObjectId(stationId) }
+            : {};
+        const matchesLine = (it) =>
+            itemLabel(it).toLowerCase() === productName.toLowerCase() &&
+            (!stationId || itemStationKey(it, knownStations) === stationId);
+        const orderSummary = (orderDoc) => ({
+            id: orderDoc._id.toString(),
+            status: orderDoc.status,
+            preparedCount: orderDoc.meta.preparedCount,
+            items: orderDoc.items.map(it => ({
+                name: it.name,
+                label: itemLabel(it),
+                qty: it.qty,
+                refundedQty: Number(it.refundedQty || 0),
+                preparedCount: Number(it.preparedCount || it.prepared || 0),
+                prepStation: it.prepStation ? String(it.prepStation) : null,
+            })),
+        });
 
         console.log(regex);
 
@@ -105,7 +68,8 @@ export async function POST(req) {
             const tryPrepareOnModel = async (Model) => {
                 const candidateOrders = await Model.find({
                     status: { $in: ["placed", "preparing"] },
-                    "items.name": { $regex: regex },
+                    ...lineQuery,
+                    ...stationQuery,
                 })
                     .sort({ createdAt: 1 })
                     .limit(200)
@@ -115,48 +79,37 @@ export async function POST(req) {
                     const orderDoc = await Model.findById(oRaw._id);
                     if (!orderDoc) continue;
 
-                    const totalQty = computeTotalQty(orderDoc);
                     orderDoc.items = orderDoc.items || [];
 
-                    const itemIndex = orderDoc.items.findIndex(
-                        (it) => String(it.name || "").toLowerCase() === productName.toLowerCase()
-                    );
+                    const itemIndex = orderDoc.items.findIndex(matchesLine);
                     if (itemIndex === -1) continue;
 
+                    // refunded units are not owed to the kitchen (kitchenQty)
                     const item = orderDoc.items[itemIndex];
-                    const itemQty = Number(item.qty || 0);
-                    const itemPrepared = Math.max(0, Number(item.preparedCount || item.prepared || 0));
-
-                    if (itemPrepared >= itemQty) continue;
-
-                    const overallPrepared = Number(orderDoc.meta?.preparedCount || 0);
-                    if (overallPrepared >= totalQty) continue;
+                    const itemPrepared = preparedQty(item);
+                    if (itemPrepared >= kitchenQty(item)) continue;
 
+                    const wasReady = orderDoc.status === "ready";
                     orderDoc.items[itemIndex].preparedCount = itemPrepared + 1;
 
-                    const newOverallPrepared = orderDoc.items.reduce((s, it) => s + (Number(it.preparedCount || it.prepared || 0)), 0);
                     orderDoc.meta = orderDoc.meta || {};
-                    orderDoc.meta.preparedCount = newOverallPrepared;
-
-                    if (newOverallPrepared >= totalQty) {
-                        orderDoc.status = "ready";
-                    } else if (newOverallPrepared > 0) {
-                        orderDoc.status = "preparing";
-                    } else {
-                        orderDoc.status = "placed";
-                    }
+                    orderDoc.meta.preparedCount = orderDoc.items.reduce((s, it) => s + preparedQty(it), 0);
+
+                    // ready only once every owed unit is prepared, i.e. every prep station has finished its part
+                    orderDoc.status = kitchenStatus(orderDoc.items);
 
                     await orderDoc.save();
 
-                    return NextResponse.json({
-                        ok: true,
-                        order: {
-                            id: orderDoc._id.toString(),
-                            status: orderDoc.status,
-                            preparedCount: orderDoc.meta.preparedCount,
-                            items: orderDoc.items.map(it => ({ name: it.name, qty: it.qty, preparedCount: Number(it.preparedCount || it.prepared || 0) })),
-                        },
-                    }, { status: 200 });
+                    const isSpecial = Model === SpecialOrder;
+                    publishOrderEvent(ORDER_EVENTS.itemPrepared, orderDoc, { isSpecial, item: itemLabel(item) });
+
+                    // last unit prepared -> tell the student (best-effort, never throws)
+                    if (orderDoc.status === "ready" && !wasReady) {
+                        publishOrderEvent(ORDER_EVENTS.ready, orderDoc, { isSpecial });
+                        await notifyOrderReady(orderDoc, { isSpecial });
+                    }
+
+                    return NextResponse.json({ ok: true, order: orderSummary(orderDoc) }, { status: 200 });
                 }
                 return null;
             };
@@ -175,7 +128,8 @@ export async function POST(req) {
             const tryUnprepareOnModel = async (Model) => {
                 const candidateOrders = await Model.find({
                     status: { $in: ["ready", "preparing", "placed"] },
-                    "items.name": { $regex: regex },
+                    ...lineQuery,
+                    ...stationQuery,
                     "meta.preparedCount": { $gt: 0 },
                 })
                     .sort({ createdAt: -1 })
@@ -188,41 +142,23 @@ export async function POST(req) {
 
                     orderDoc.items = orderDoc.items || [];
 
-                    const itemIndex = orderDoc.items.findIndex(
-                        (it) => String(it.name || "").toLowerCase() === productName.toLowerCase()
-                    );
+                    const itemIndex = orderDoc.items.findIndex(matchesLine);
                     if (itemIndex === -1) continue;
 
                     const item = orderDoc.items[itemIndex];
-                    const itemPrepared = Math.max(0, Number(item.preparedCount || item.prepared || 0));
+                    const itemPrepared = preparedQty(item);
                     if (itemPrepared <= 0) continue;
 
-                    orderDoc.items[itemIndex].preparedCount = Math.max(0, itemPrepared - 1);
+                    orderDoc.items[itemIndex].preparedCount = itemPrepared - 1;
 
-                    const newOverallPrepared = orderDoc.items.reduce((s, it) => s + (Number(it.preparedCount || it.prepared || 0)), 0);
                     orderDoc.meta = orderDoc.meta || {};
-                    orderDoc.meta.preparedCount = newOverallPrepared;
-
-                    const totalQty = computeTotalQty(orderDoc);
-                    if (newOverallPrepared >= totalQty) {
-                        orderDoc.status = "ready";
-                    } else if (newOverallPrepared > 0) {
-                        orderDoc.status = "preparing";
-                    } else {
-                        orderDoc.status = "placed";
-                    }
+                    orderDoc.meta.preparedCount = orderDoc.items.reduce((s, it) => s + preparedQty(it), 0);
+                    orderDoc.status = kitchenStatus(orderDoc.items);
 
                     await orderDoc.save();
+                    publishOrderEvent(ORDER_EVENTS.itemUnprepared, orderDoc, { isSpecial: Model === SpecialOrder, item: itemLabel(item) });
 
-                    return NextResponse.json({
-                        ok: true,
-                        order: {
-                            id: orderDoc._id.toString(),
-                            status: orderDoc.status,
-                            preparedCount: orderDoc.meta.preparedCount,
-                            items: orderDoc.items.map(it => ({ name: it.name, qty: it.qty, preparedCount: Number(it.preparedCount || it.prepared || 0) })),
-                        },
-                    }, { status: 200 });
+                    return NextResponse.json({ ok: true, order: orderSummary(orderDoc) }, { status: 200 });
                 }
                 return null;
             };
@@ -242,4 +178,4 @@ export async function POST(req) {
         console.error("/api/canteen/product/prepare error", err);
         return NextResponse.json({ ok: false, error: err?.message || "Server error" }, { status: 500 });
     }
-}
+});
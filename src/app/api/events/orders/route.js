@@ -0,0 +1,86 @@
+// app/api/events/orders/route.js
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+import { withSignedInUser } from '@/lib/routeAuth.js';
+import {
+    subscribeOrderEvents,
+    orderEventsSince,
+    canSubscribeOrderEvents,
+    canSeeOrderEvent,
+    queueChangeFor,
+    formatSseEvent
+} from '@/lib/orderEvents.js';
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * GET /api/events/orders  (text/event-stream)
+ * Pushes order.created / order.item_prepared / order.item_unprepared / order.ready / order.collected / order.cancelled.
+ * Canteen, admin, IT and inventory staff receive every order; students only their own, plus an anonymous
+ * queue.changed whenever another order moves (their queue estimates changed).
+ * Honours Last-Event-ID so a reconnecting EventSource catches up on missed events.
+ * Staff roles that need two-factor sign-in must have passed it (withSignedInUser).
+ */
+export const GET = withSignedInUser(async (req, context, { user }) => {
+    const viewer = { id: String(user._id), role: user.role || null, regNumber: user.regNumber || null };
+    if (!canSubscribeOrderEvents(viewer)) {
+        return new Response(JSON.stringify({ ok: false, error: 'Forbidden' }), {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const encoder = new TextEncoder();
+    let cleanup = () => {};
+
+    const stream = new ReadableStream({
+        start(controller) {
+            let closed = false;
+            const send = (text) => {
+                if (closed) return;
+                try {
+                    controller.enqueue(encoder.encode(text));
+                } catch (e) {
+                    cleanup();
+                }
+            };
+
+            // ask the browser to wait 3s before reconnecting, then replay anything missed
+            send('retry: 3000\n\n');
+            const forward = (event) => {
+                if (canSeeOrderEvent(viewer, event)) {
+                    send(formatSseEvent(event));
+                    return;
+                }
+                const nudge = queueChangeFor(viewer, event);
+                if (nudge) send(formatSseEvent(nudge));
+            };
+            orderEventsSince(req.headers.get('last-event-id')).forEach(forward);
+
+            const unsubscribe = subscribeOrderEvents(forward);
+            const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+
+            cleanup = () => {
+                if (closed) return;
+                closed = true;
+                clearInterval(heartbeat);
+                unsubscribe();
+                try { controller.close(); } catch (e) { /* already closed */ }
+            };
+            req.signal?.addEventListener('abort', cleanup);
+        },
+        cancel() {
+            cleanup();
+        }
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        }
+    });
+});
@@ -0,0 +1,26 @@
+// app/api/guardian/notifications/route.js
+import { NextResponse } from 'next/server';
+import { Notification } from '@/models/allModels.js';
+import { requireGuardian } from '@/lib/guardians.js';
+
+/**
+ * GET /api/guardian/notifications?limit=20
+ * Newest in-app notifications for the signed-in guardian (low-balance alerts etc).
+ */
+export async function GET(req) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const url = new URL(req.url);
+        const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit') || '20', 10)));
+        const notifications = await Notification.find({ user: guardian._id, channel: 'in-app' })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+        return NextResponse.json({ ok: true, notifications });
+    } catch (err) {
+        console.error('GET /api/guardian/notifications error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
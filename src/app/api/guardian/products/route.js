@@ -0,0 +1,28 @@
+// app/api/guardian/products/route.js
+import { NextResponse } from 'next/server';
+import { Product, SpecialProduct } from '@/models/allModels.js';
+import { requireGuardian } from '@/lib/guardians.js';
+
+/**
+ * GET /api/guardian/products
+ * Menu and special products a guardian can block: { ok, products: [{ id, name, category, price, isSpecial }] }
+ */
+export async function GET(req) {
+    try {
+        const { error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const [products, specials] = await Promise.all([
+            Product.find({}).sort({ category: 1, name: 1 }).select('name category price').lean(),
+            SpecialProduct.find({}).sort({ category: 1, name: 1 }).select('name category price').lean()
+        ]);
+        const shape = (p, isSpecial) => ({ id: String(p._id), name: p.name, category: p.category || null, price: p.price, isSpecial });
+        return NextResponse.json({
+            ok: true,
+            products: [...products.map(p => shape(p, false)), ...specials.map(p => shape(p, true))]
+        });
+    } catch (err) {
+        console.error('GET /api/guardian/products error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,44 @@
+// app/api/guardian/settings/route.js
+import { NextResponse } from 'next/server';
+import { User, getLowBalanceThreshold } from '@/models/allModels.js';
+import { requireGuardian } from '@/lib/guardians.js';
+
+/**
+ * GET /api/guardian/settings -> { ok, lowBalanceThreshold, schoolDefault }
+ * PUT /api/guardian/settings  body: { lowBalanceThreshold: number | null }  (null = use the school default)
+ */
+export async function GET(req) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const schoolDefault = await getLowBalanceThreshold();
+        return NextResponse.json({ ok: true, lowBalanceThreshold: guardian.lowBalanceThreshold ?? null, schoolDefault });
+    } catch (err) {
+        console.error('GET /api/guardian/settings error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function PUT(req) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const body = await req.json().catch(() => ({}));
+        const raw = body?.lowBalanceThreshold;
+        let threshold = null;
+        if (raw !== null && raw !== undefined && raw !== '') {
+            threshold = Number(raw);
+            if (!Number.isFinite(threshold) || threshold < 0) {
+                return NextResponse.json({ ok: false, error: 'lowBalanceThreshold must be a non-negative number' }, { status: 400 });
+            }
+        }
+
+        await User.updateOne({ _id: guardian._id }, { $set: { lowBalanceThreshold: threshold } });
+        return NextResponse.json({ ok: true, lowBalanceThreshold: threshold });
+    } catch (err) {
+        console.error('PUT /api/guardian/settings error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
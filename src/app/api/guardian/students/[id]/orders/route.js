@@ -0,0 +1,26 @@
+// app/api/guardian/students/[id]/orders/route.js
+import { NextResponse } from 'next/server';
+import { requireGuardian, findLinkedStudent, recentOrders } from '@/lib/guardians.js';
+
+/**
+ * GET /api/guardian/students/:id/orders?limit=20
+ * Recent ordinary and special orders of a linked child, newest first.
+ */
+export async function GET(req, { params }) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const { id } = await params;
+        const student = await findLinkedStudent(guardian, id);
+        if (!student) return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+
+        const url = new URL(req.url);
+        const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit') || '20', 10)));
+        const orders = await recentOrders(student._id, { limit });
+        return NextResponse.json({ ok: true, orders });
+    } catch (err) {
+        console.error('GET /api/guardian/students/:id/orders error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,105 @@
+// app/api/guardian/students/[id]/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { AuditLog, Product, SpecialProduct } from '@/models/allModels.js';
+import { requireGuardian, findLinkedStudent, summarizeStudent } from '@/lib/guardians.js';
+import { applySpendingLimitsPatch } from '@/lib/spendingLimits.js';
+import { normalizeDietaryProfile, dietaryProfileSnapshot } from '@/lib/dietary.js';
+
+/**
+ * GET /api/guardian/students/:id  (id = student id or reg number; must be linked)
+ */
+export async function GET(req, { params }) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const { id } = await params;
+        const student = await findLinkedStudent(guardian, id);
+        if (!student) return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+
+        return NextResponse.json({ ok: true, student: await summarizeStudent(student, { orders: 10 }) });
+    } catch (err) {
+        console.error('GET /api/guardian/students/:id error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+/**
+ * PATCH /api/guardian/students/:id
+ * body: { spendingLimits?: { daily?, weekly? }, blockedProducts?: [productId | specialProductId],
+ *         dietaryProfile?: { allergens, restrictions, hideConflicts } | null }
+ */
+export async function PATCH(req, { params }) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const { id } = await params;
+        const student = await findLinkedStudent(guardian, id);
+        if (!student) return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+
+        const body = await req.json().catch(() => ({}));
+        const changes = {};
+
+        if (body?.spendingLimits && typeof body.spendingLimits === 'object') {
+            const before = {
+                daily: student.spendingLimits?.daily ?? null,
+                weekly: student.spendingLimits?.weekly ?? null
+            };
+            const { limits, error: limitError } = applySpendingLimitsPatch(before, body.spendingLimits);
+            if (limitError) return NextResponse.json({ ok: false, error: limitError }, { status: 400 });
+            student.spendingLimits = limits;
+            changes.spendingLimits = { before, after: limits };
+        }
+
+        if (Array.isArray(body?.blockedProducts)) {
+            const ids = [...new Set(body.blockedProducts.map(String))];
+            if (ids.some(pid => !mongoose.Types.ObjectId.isValid(pid))) {
+                return NextResponse.json({ ok: false, error: 'blockedProducts must be product ids' }, { status: 400 });
+            }
+            const [products, specials] = await Promise.all([
+                Product.find({ _id: { $in: ids } }).select('_id').lean(),
+                SpecialProduct.find({ _id: { $in: ids } }).select('_id').lean()
+            ]);
+            const known = new Set([...products, ...specials].map(p => String(p._id)));
+            const unknown = ids.filter(pid => !known.has(pid));
+            if (unknown.length) {
+                return NextResponse.json({ ok: false, error: `Unknown product(s): ${unknown.join(', ')}` }, { status: 400 });
+            }
+            changes.blockedProducts = { before: (student.blockedProducts || []).map(String), after: ids };
+            student.blockedProducts = ids;
+        }
+
+        if (body?.dietaryProfile !== undefined) {
+            const { profile, error: dietError } = normalizeDietaryProfile(body.dietaryProfile);
+            if (dietError) return NextResponse.json({ ok: false, error: dietError }, { status: 400 });
+            const before = dietaryProfileSnapshot(student.dietaryProfile);
+            student.dietaryProfile = { ...profile, updatedBy: guardian._id, updatedAt: new Date() };
+            changes.dietaryProfile = { before, after: dietaryProfileSnapshot(student.dietaryProfile) };
+        }
+
+        if (!Object.keys(changes).length) {
+            return NextResponse.json({ ok: false, error: 'Nothing to update' }, { status: 400 });
+        }
+
+        await student.save();
+
+        try {
+            await AuditLog.create({
+                actor: guardian._id,
+                action: 'guardian_update_controls',
+                collectionName: 'users',
+                documentId: student._id,
+                changes
+            });
+        } catch (e) {
+            console.warn('Audit log failed for guardian update:', e?.message || e);
+        }
+
+        return NextResponse.json({ ok: true, student: await summarizeStudent(student) });
+    } catch (err) {
+        console.error('PATCH /api/guardian/students/:id error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,29 @@
+// app/api/guardian/students/[id]/statement/route.js
+import { NextResponse } from 'next/server';
+import { requireGuardian, findLinkedStudent } from '@/lib/guardians.js';
+import { buildStatement } from '@/lib/statement.js';
+
+/**
+ * GET /api/guardian/students/:id/statement?limit=200&since=ISO
+ * Same payload as /api/student/statement, for a linked child.
+ */
+export async function GET(req, { params }) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const { id } = await params;
+        const student = await findLinkedStudent(guardian, id);
+        if (!student) return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+
+        const url = new URL(req.url);
+        const limit = Math.min(500, Math.max(1, parseInt(url.searchParams.get('limit') || '200', 10)));
+        const since = url.searchParams.get('since') || null;
+
+        const { transactions, summary } = await buildStatement(student._id, { limit, since });
+        return NextResponse.json({ ok: true, transactions, summary }, { status: 200 });
+    } catch (err) {
+        console.error('GET /api/guardian/students/:id/statement error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,48 @@
+// app/api/guardian/students/[id]/subscriptions/[subId]/route.js
+import { NextResponse } from 'next/server';
+import { requireGuardian, findLinkedStudent } from '@/lib/guardians.js';
+import { findStudentSubscription, saveSubscription, deleteSubscription } from '@/lib/subscriptions.js';
+
+/**
+ * One recurring order of a linked student
+ *  PATCH  { name?, items?, daysOfWeek?, orderingWindowId?, status?: 'active' | 'paused' } -> { ok, subscription }
+ *  DELETE -> { ok }
+ */
+async function resolve(req, params) {
+    const { guardian, error, status } = await requireGuardian(req);
+    if (error) return { error, status };
+    const { id, subId } = await params;
+    const student = await findLinkedStudent(guardian, id);
+    if (!student) return { error: 'Student not found', status: 404 };
+    const subscription = await findStudentSubscription(student._id, subId);
+    if (!subscription) return { error: 'Subscription not found', status: 404 };
+    return { guardian, student, subscription };
+}
+
+export async function PATCH(req, { params }) {
+    try {
+        const { guardian, student, subscription, error, status } = await resolve(req, params);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const body = await req.json().catch(() => ({}));
+        const saved = await saveSubscription({ student, actor: guardian, body, subscription });
+        if (saved.error) return NextResponse.json({ ok: false, error: saved.error }, { status: saved.status });
+        return NextResponse.json({ ok: true, subscription: saved.subscription });
+    } catch (err) {
+        console.error('PATCH /api/guardian/students/:id/subscriptions/:subId error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function DELETE(req, { params }) {
+    try {
+        const { guardian, subscription, error, status } = await resolve(req, params);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        await deleteSubscription(subscription, guardian);
+        return NextResponse.json({ ok: true });
+    } catch (err) {
+        console.error('DELETE /api/guardian/students/:id/subscriptions/:subId error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
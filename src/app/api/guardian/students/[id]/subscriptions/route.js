@@ -0,0 +1,44 @@
+// app/api/guardian/students/[id]/subscriptions/route.js
+import { NextResponse } from 'next/server';
+import { requireGuardian, findLinkedStudent } from '@/lib/guardians.js';
+import { listSubscriptions, saveSubscription } from '@/lib/subscriptions.js';
+
+/**
+ * Recurring orders of a linked student (lib/subscriptions.js)
+ *  GET  -> { ok, subscriptions }
+ *  POST { name?, items: [{ productId, qty }], daysOfWeek: [0..6], orderingWindowId } -> { ok, subscription }
+ */
+export async function GET(req, { params }) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const { id } = await params;
+        const student = await findLinkedStudent(guardian, id);
+        if (!student) return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+
+        return NextResponse.json({ ok: true, subscriptions: await listSubscriptions(student._id) });
+    } catch (err) {
+        console.error('GET /api/guardian/students/:id/subscriptions error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function POST(req, { params }) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const { id } = await params;
+        const student = await findLinkedStudent(guardian, id);
+        if (!student) return NextResponse.json({ ok: false, error: 'Student not found' }, { status: 404 });
+
+        const body = await req.json().catch(() => ({}));
+        const saved = await saveSubscription({ student, actor: guardian, body });
+        if (saved.error) return NextResponse.json({ ok: false, error: saved.error }, { status: saved.status });
+        return NextResponse.json({ ok: true, subscription: saved.subscription }, { status: 201 });
+    } catch (err) {
+        console.error('POST /api/guardian/students/:id/subscriptions error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,34 @@
+// app/api/guardian/students/route.js
+import { NextResponse } from 'next/server';
+import { User } from '@/models/allModels.js';
+import { requireGuardian, summarizeStudent } from '@/lib/guardians.js';
+
+/**
+ * GET /api/guardian/students
+ * Returns the signed-in guardian and a summary per linked child:
+ * { ok, guardian: { id, name, lowBalanceThreshold }, students: [{ id, name, regNumber, balance, spendingLimits, blockedProducts, spending, recentOrders }] }
+ */
+export async function GET(req) {
+    try {
+        const { guardian, error, status } = await requireGuardian(req);
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+
+        const students = await User.find({ _id: { $in: guardian.guardianOf || [] }, role: 'student' })
+            .sort({ name: 1 })
+            .lean();
+        const summaries = await Promise.all(students.map(s => summarizeStudent(s)));
+
+        return NextResponse.json({
+            ok: true,
+            guardian: {
+                id: String(guardian._id),
+                name: guardian.name,
+                lowBalanceThreshold: guardian.lowBalanceThreshold ?? null
+            },
+            students: summaries
+        });
+    } catch (err) {
+        console.error('GET /api/guardian/students error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,38 @@
+// app/api/it/backups/restore/route.js
+export const runtime = 'nodejs';
+
+import { restoreBackup } from '@/lib/backup.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * POST /api/it/backups/restore
+ * Body JSON: { file, dryRun = true, confirm }
+ *  - dryRun: returns per-collection archived/current counts without writing anything
+ *  - a real restore requires confirm === "RESTORE" and takes a safety backup first
+ */
+export const POST = withPermission('system.backup', async (req, context, { user }) => {
+    try {
+        const body = await req.json().catch(() => ({}));
+        const file = String(body.file || '').trim();
+        const dryRun = body.dryRun !== false;
+        if (!file) return json({ ok: false, error: 'file required' }, 400);
+        if (!dryRun && body.confirm !== 'RESTORE') {
+            return json({ ok: false, error: 'Type RESTORE to confirm a restore' }, 400);
+        }
+
+        const result = await restoreBackup(file, { dryRun, actorId: user._id });
+        return json({ ok: true, result });
+    } catch (err) {
+        console.error('POST /api/it/backups/restore error', err);
+        const msg = err?.message || String(err);
+        if (err?.code === 'ENOENT') return json({ ok: false, error: 'Backup not found' }, 404);
+        if (/Invalid backup file name|checksum mismatch|Not a River|newer than supported/i.test(msg)) {
+            return json({ ok: false, error: msg }, 400);
+        }
+        return json({ ok: false, error: msg }, 500);
+    }
+});
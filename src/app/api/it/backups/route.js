@@ -0,0 +1,56 @@
+// app/api/it/backups/route.js
+export const runtime = 'nodejs';
+
+import { connectToDatabase, AuditLog } from '@/models/allModels.js';
+import { listBackups, getRetentionPolicy, setRetentionPolicy, applyRetention, getBackupDir } from '@/lib/backup.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * GET /api/it/backups
+ * Returns: { ok, dir, backups: [{ file, version, createdAt, reason, size, checksum }], retention: { keepLast, maxAgeDays } }
+ */
+export const GET = withPermission('system.backup', async (req) => {
+    try {
+        const [backups, retention] = await Promise.all([listBackups(), getRetentionPolicy()]);
+        return json({ ok: true, dir: getBackupDir(), backups, retention });
+    } catch (err) {
+        console.error('GET /api/it/backups error', err);
+        return json({ ok: false, error: err.message || String(err) }, 500);
+    }
+});
+
+/**
+ * PUT /api/it/backups
+ * Body JSON: { keepLast, maxAgeDays }
+ * Updates the retention policy and prunes archives immediately.
+ */
+export const PUT = withPermission('system.backup', async (req, context, { user }) => {
+    try {
+        await connectToDatabase();
+        const body = await req.json().catch(() => ({}));
+        const before = await getRetentionPolicy();
+        const retention = await setRetentionPolicy({ keepLast: body.keepLast, maxAgeDays: body.maxAgeDays });
+        const removed = await applyRetention(retention);
+
+        try {
+            await AuditLog.create({
+                actor: user._id,
+                action: 'backup_retention_update',
+                collectionName: 'settings',
+                changes: { before, after: retention },
+                meta: { removed }
+            });
+        } catch (e) {
+            console.warn('Audit create failed for retention update:', e?.message || e);
+        }
+
+        return json({ ok: true, retention, removed });
+    } catch (err) {
+        console.error('PUT /api/it/backups error', err);
+        return json({ ok: false, error: err.message || String(err) }, 500);
+    }
+});
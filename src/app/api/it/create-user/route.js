@@ -4,6 +4,7 @@ export const runtime = 'nodejs';
 import { connectToDatabase, User, AuditLog } from '../../../../models/allModels.js';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 const SALT_ROUNDS = 10;
 
@@ -14,14 +15,15 @@ const SALT_ROUNDS = 10;
  *   name: string (required),
  *   email?: string,
  *   regNumber?: string,   // required for student
- *   role?: 'student'|'admin'|'it'|'canteen'|'external',
- *   isActive?: boolean
+ *   role?: 'student'|'admin'|'it'|'canteen'|'external'|'guardian',
+ *   isActive?: boolean,
+ *   studentRegNumbers?: string[] | string   // guardian only: students to link (comma-separated string accepted)
  * }
  *
  * Response:
  * { ok: true, user: {...}, tempPassword: '...' }
  */
-export async function POST(req) {
+export const POST = withPermission('users.manage', async (req, context, { user }) => {
     try {
         await connectToDatabase();
 
@@ -30,7 +32,7 @@ export async function POST(req) {
             return new Response(JSON.stringify({ ok: false, error: 'Invalid JSON body' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
         }
 
-        const { name, email, regNumber, role = 'student', isActive = true } = body;
+        const { name, email, regNumber, role = 'student', isActive = true, studentRegNumbers = [] } = body;
 
         if (!name || typeof name !== 'string' || !name.trim()) {
             return new Response(JSON.stringify({ ok: false, error: 'Name is required' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
@@ -45,6 +47,25 @@ export async function POST(req) {
             }
         }
 
+        // Guardians sign in with their email and are linked to existing students
+        let linkedStudents = [];
+        if (roleStr === 'guardian') {
+            if (!email || !String(email).trim()) {
+                return new Response(JSON.stringify({ ok: false, error: 'email is required for guardian accounts' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+            }
+            const regs = (Array.isArray(studentRegNumbers) ? studentRegNumbers : String(studentRegNumbers || '').split(','))
+                .map(r => String(r).trim())
+                .filter(Boolean);
+            if (regs.length) {
+                linkedStudents = await User.find({ regNumber: { $in: regs }, role: 'student' }).select('_id regNumber').lean();
+                const found = new Set(linkedStudents.map(s => s.regNumber));
+                const missing = regs.filter(r => !found.has(r));
+                if (missing.length) {
+                    return new Response(JSON.stringify({ ok: false, error: `Unknown student reg number(s): ${missing.join(', ')}` }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+                }
+            }
+        }
+
         // Check for existing user by email or regNumber
         const queryOr = [];
         if (email) queryOr.push({ email });
@@ -82,6 +103,9 @@ export async function POST(req) {
             userDoc.regNumber = String(regNumber).trim();
             // require password change on next login is reasonable for students
             userDoc.requirePasswordReset = true;
+        } else if (roleStr === 'guardian') {
+            userDoc.guardianOf = linkedStudents.map(s => s._id);
+            userDoc.requirePasswordReset = true;
         } else {
             userDoc.requirePasswordReset = true; // also force temp password change for admins/it/canteen
         }
@@ -92,11 +116,11 @@ export async function POST(req) {
         // Best-effort audit log
         try {
             await AuditLog.create({
-                actor: null,
+                actor: user._id,
                 action: 'it_create_user',
                 collectionName: 'users',
                 documentId: created._id,
-                changes: { role: roleStr, email: created.email, regNumber: created.regNumber },
+                changes: { role: roleStr, email: created.email, regNumber: created.regNumber, guardianOf: linkedStudents.map(s => s.regNumber) },
                 meta: { via: 'api/it/create-user' }
             });
         } catch (e) {
@@ -110,6 +134,7 @@ export async function POST(req) {
             email: created.email || null,
             role: created.role,
             regNumber: created.regNumber || null,
+            guardianOf: (created.guardianOf || []).map(String),
             isActive: created.isActive,
             createdAt: created.createdAt,
             updatedAt: created.updatedAt
@@ -120,4 +145,4 @@ export async function POST(req) {
         console.error('create-user error', err);
         return new Response(JSON.stringify({ ok: false, error: err.message || String(err) }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
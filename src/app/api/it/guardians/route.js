@@ -0,0 +1,80 @@
+// app/api/it/guardians/route.js
+export const runtime = 'nodejs';
+
+import { connectToDatabase, User } from '@/models/allModels.js';
+import { setGuardianLink } from '@/lib/guardians.js';
+import { withPermission } from '@/lib/routeAuth.js';
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * GET /api/it/guardians?search=
+ * Returns: { ok, guardians: [{ _id, name, email, isActive, students: [{ _id, name, regNumber }] }] }
+ */
+export const GET = withPermission('users.manage', async (req) => {
+    try {
+        await connectToDatabase();
+        const url = new URL(req.url);
+        const search = (url.searchParams.get('search') || '').trim();
+        const query = { role: 'guardian' };
+        if (search) {
+            const rx = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            query.$or = [{ name: rx }, { email: rx }];
+        }
+
+        const guardians = await User.find(query)
+            .sort({ name: 1 })
+            .limit(100)
+            .select('name email isActive guardianOf')
+            .populate({ path: 'guardianOf', select: 'name regNumber' })
+            .lean();
+
+        return json({
+            ok: true,
+            guardians: guardians.map(g => ({
+                _id: String(g._id),
+                name: g.name,
+                email: g.email || null,
+                isActive: g.isActive,
+                students: (g.guardianOf || []).filter(Boolean).map(s => ({ _id: String(s._id), name: s.name, regNumber: s.regNumber }))
+            }))
+        });
+    } catch (err) {
+        console.error('GET /api/it/guardians error', err);
+        return json({ ok: false, error: err.message || String(err) }, 500);
+    }
+});
+
+/**
+ * POST /api/it/guardians
+ * Body JSON: { guardianId (id or email), regNumber (or student id), action: 'link' | 'unlink' }
+ */
+export const POST = withPermission('users.manage', async (req, context, { user }) => {
+    try {
+        const body = await req.json().catch(() => ({}));
+        const { guardianId, regNumber, action = 'link' } = body || {};
+        if (!guardianId || !regNumber) return json({ ok: false, error: 'guardianId and regNumber are required' }, 400);
+        if (!['link', 'unlink'].includes(action)) return json({ ok: false, error: 'action must be link or unlink' }, 400);
+
+        try {
+            const { guardian, student } = await setGuardianLink(guardianId, regNumber, {
+                link: action === 'link',
+                actorId: user._id
+            });
+            return json({
+                ok: true,
+                guardianId: String(guardian._id),
+                student: { _id: String(student._id), name: student.name, regNumber: student.regNumber },
+                linked: (guardian.guardianOf || []).map(String)
+            });
+        } catch (linkErr) {
+            if (/not found/i.test(linkErr?.message || '')) return json({ ok: false, error: linkErr.message }, 404);
+            throw linkErr;
+        }
+    } catch (err) {
+        console.error('POST /api/it/guardians error', err);
+        return json({ ok: false, error: err.message || String(err) }, 500);
+    }
+});
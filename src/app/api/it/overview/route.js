@@ -1,7 +1,8 @@
 // app/api/it/overview/route.js
 import { connectToDatabase, User, Product, PrepStation, OrderingWindow, Order, Setting } from '../../../../models/allModels.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
-export async function GET() {
+export const GET = withPermission('system.overview', async () => {
     try {
         await connectToDatabase();
 
@@ -23,12 +24,17 @@ export async function GET() {
             // ignore
         }
 
+        // lastBackup is written by lib/backup.js as { at, file, size, checksum }
+        const lastBackupAt = lastBackup && typeof lastBackup === 'object' && !(lastBackup instanceof Date) ? lastBackup.at : lastBackup;
+        const backupAgeMs = lastBackupAt ? Date.now() - new Date(lastBackupAt).getTime() : null;
+
         const health = {
             db: 'ok',
             uptimeSec: Math.floor(process.uptime()),
             lastPing: new Date(),
-            lastBackup: lastBackup || null,
-            backupStatus: lastBackup ? 'ok' : 'unknown'
+            lastBackup: lastBackupAt || null,
+            lastBackupFile: lastBackup?.file || null,
+            backupStatus: backupAgeMs === null ? 'unknown' : (backupAgeMs > 48 * 60 * 60 * 1000 ? 'stale' : 'ok')
         };
 
         return new Response(JSON.stringify({
@@ -40,4 +46,4 @@ export async function GET() {
         console.error('IT overview error', err);
         return new Response(JSON.stringify({ ok: false, error: err.message || String(err) }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
@@ -1,10 +1,13 @@
 // app/api/it/recent-users/route.js
 import { connectToDatabase, User } from '../../../../models/allModels.js';
+import { withPermission } from '../../../../lib/routeAuth.js';
+import { accountLockMap } from '../../../../lib/signInGuard.js';
 
 /**
  * GET /api/it/recent-users?limit=12
+ * Each user carries lockedUntil when failed sign-ins have locked the account.
  */
-export async function GET(req) {
+export const GET = withPermission('users.manage', async (req) => {
     try {
         await connectToDatabase();
         const url = new URL(req.url);
@@ -13,12 +16,14 @@ export async function GET(req) {
         const users = await User.find({})
             .sort({ createdAt: -1 })
             .limit(limit)
-            .select('name email regNumber role isActive createdAt')
+            .select('name email regNumber role isActive createdAt twoFactor.enabled')
             .lean();
+        const locks = await accountLockMap(users.map(u => String(u._id)));
+        for (const u of users) u.lockedUntil = locks[String(u._id)] || null;
 
         return new Response(JSON.stringify({ ok: true, users }), { status: 200, headers: { 'Content-Type': 'application/json' } });
     } catch (err) {
         console.error('recent-users error', err);
         return new Response(JSON.stringify({ ok: false, error: err.message || String(err) }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
@@ -2,6 +2,7 @@
 import { connectToDatabase, User, AuditLog } from '../../../../models/allModels.js';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 /**
  * POST /api/it/reset-password
@@ -9,7 +10,7 @@ import crypto from 'crypto';
  *
  * Returns: { ok, tempPassword, message }
  */
-export async function POST(req) {
+export const POST = withPermission('users.reset_password', async (req, context, { user: staff }) => {
     try {
         const body = await req.json();
         const identifier = (body.emailOrReg || '').trim();
@@ -41,7 +42,7 @@ export async function POST(req) {
         // audit log (best-effort)
         try {
             await AuditLog.create({
-                actor: null,
+                actor: staff._id,
                 action: 'reset_password',
                 collectionName: 'users',
                 documentId: user._id,
@@ -58,4 +59,4 @@ export async function POST(req) {
         console.error('reset-password error', err);
         return new Response(JSON.stringify({ ok: false, error: err.message || String(err) }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
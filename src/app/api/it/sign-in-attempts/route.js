@@ -0,0 +1,31 @@
+// app/api/it/sign-in-attempts/route.js
+export const runtime = 'nodejs';
+
+import { NextResponse } from 'next/server';
+import { withPermission } from '@/lib/routeAuth.js';
+import { listSignInAttempts, lockedAccounts } from '@/lib/signInGuard.js';
+
+/**
+ * GET /api/it/sign-in-attempts?outcome=failed&q=st2025&limit=50&before=<iso>
+ * -> { ok, attempts, locked }
+ * attempts: newest first with the matched account; q matches the typed identifier or the start of the IP.
+ * locked: accounts locked right now after failed sign-ins ({ user, lockedUntil, lockouts }).
+ */
+export const GET = withPermission('users.view_sign_ins', async (req) => {
+    try {
+        const url = new URL(req.url);
+        const [attempts, locked] = await Promise.all([
+            listSignInAttempts({
+                outcome: url.searchParams.get('outcome') || null,
+                q: url.searchParams.get('q') || '',
+                limit: url.searchParams.get('limit') || 50,
+                before: url.searchParams.get('before') || null
+            }),
+            lockedAccounts()
+        ]);
+        return NextResponse.json({ ok: true, attempts, locked });
+    } catch (err) {
+        console.error('GET /api/it/sign-in-attempts error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
@@ -1,6 +1,7 @@
 // app/api/it/upload-users/route.js
 import { connectToDatabase, User, AuditLog } from '../../../../models/allModels.js';
 import bcrypt from 'bcrypt';
+import { withPermission } from '../../../../lib/routeAuth.js';
 
 /**
  * POST /api/it/upload-users
@@ -13,7 +14,7 @@ import bcrypt from 'bcrypt';
  */
 export const runtime = 'nodejs';
 
-export async function POST(req) {
+export const POST = withPermission('users.manage', async (req, context, { user }) => {
     try {
         await connectToDatabase();
 
@@ -120,7 +121,7 @@ export async function POST(req) {
                 // audit (best-effort)
                 try {
                     await AuditLog.create({
-                        actor: null,
+                        actor: user._id,
                         action: 'it_create_user',
                         collectionName: 'users',
                         documentId: createdDoc._id,
@@ -141,4 +142,4 @@ export async function POST(req) {
         console.error('upload-users error', err);
         return new Response(JSON.stringify({ ok: false, error: err.message || String(err) }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
@@ -2,11 +2,12 @@
 export const runtime = 'nodejs';
 
 import { connectToDatabase, User, AuditLog } from '@/models/allModels';
+import { withPermission } from '@/lib/routeAuth.js';
 
 /**
  * POST /api/it/users/:id/deactivate
  */
-export async function POST(req, { params }) {
+export const POST = withPermission('users.manage', async (req, { params }, { user: staff }) => {
     try {
         await connectToDatabase();
 
@@ -40,7 +41,7 @@ export async function POST(req, { params }) {
         // Best-effort audit log
         try {
             await AuditLog.create({
-                actor: null, // fill with IT user id if session available
+                actor: staff._id,
                 action: 'deactivate_user',
                 collectionName: 'users',
                 documentId: user._id,
@@ -62,4 +63,4 @@ export async function POST(req, { params }) {
             headers: { 'Content-Type': 'application/json' }
         });
     }
-}
+});
@@ -0,0 +1,41 @@
+// app/api/it/users/[id]/reset-two-factor/route.js
+export const runtime = 'nodejs';
+
+import mongoose from 'mongoose';
+import { NextResponse } from 'next/server';
+import { withPermission } from '@/lib/routeAuth.js';
+import { TwoFactorError, resetTwoFactor } from '@/lib/twoFactor.js';
+import { clientIp } from '@/lib/clientIp.js';
+
+/**
+ * POST /api/it/users/:id/reset-two-factor
+ * Body JSON (optional): { reason }
+ * Clears the user's two-factor secret and recovery codes (lost phone); staff roles must set it up again.
+ * Written to the AuditLog as 'two_factor_reset'.
+ */
+export const POST = withPermission('users.reset_two_factor', async (req, { params }, { user: staff }) => {
+    try {
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(String(id))) {
+            return NextResponse.json({ ok: false, error: 'User id required' }, { status: 400 });
+        }
+        const body = await req.json().catch(() => ({}));
+        const { wasEnabled } = await resetTwoFactor(id, {
+            actorId: staff._id,
+            ip: clientIp(req.headers),
+            userAgent: req.headers.get('user-agent') || null,
+            reason: String(body?.reason || '').slice(0, 200)
+        });
+        return NextResponse.json({
+            ok: true,
+            wasEnabled,
+            message: wasEnabled ? 'Two-factor authentication reset' : 'Two-factor authentication was not on'
+        });
+    } catch (err) {
+        if (err instanceof TwoFactorError) {
+            return NextResponse.json({ ok: false, error: err.message }, { status: err.status });
+        }
+        console.error('POST /api/it/users/[id]/reset-two-factor error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
@@ -0,0 +1,36 @@
+// app/api/it/users/[id]/unlock/route.js
+export const runtime = 'nodejs';
+
+import mongoose from 'mongoose';
+import { NextResponse } from 'next/server';
+import { withPermission } from '@/lib/routeAuth.js';
+import { unlockAccount } from '@/lib/signInGuard.js';
+import { clientIp } from '@/lib/clientIp.js';
+
+/**
+ * POST /api/it/users/:id/unlock
+ * Clears the account's failed sign-ins and lockout so the user can sign in again straight away.
+ * Written to the AuditLog as 'sign_in_unlock'.
+ */
+export const POST = withPermission('users.unlock', async (req, { params }, { user: staff }) => {
+    try {
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(String(id))) {
+            return NextResponse.json({ ok: false, error: 'User id required' }, { status: 400 });
+        }
+        const result = await unlockAccount(id, {
+            actorId: staff._id,
+            ip: clientIp(req.headers),
+            userAgent: req.headers.get('user-agent') || null
+        });
+        if (!result) return NextResponse.json({ ok: false, error: 'User not found' }, { status: 404 });
+        return NextResponse.json({
+            ok: true,
+            wasLocked: result.wasLocked,
+            message: result.wasLocked ? 'Account unlocked' : 'Account was not locked; failed attempts cleared'
+        });
+    } catch (err) {
+        console.error('POST /api/it/users/[id]/unlock error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+});
@@ -0,0 +1,65 @@
+// app/api/notifications/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase, Notification } from '@/models/allModels.js';
+import { withSignedInUser } from '@/lib/routeAuth.js';
+
+/**
+ * In-app notification drawer for the signed-in user (any role)
+ *  GET   /api/notifications?limit=20&unread=1 -> { ok, notifications, unreadCount }
+ *  PATCH /api/notifications  body: { ids: [id] } | { all: true }, optional read: false to mark unread
+ * Staff roles that need two-factor sign-in must have passed it (withSignedInUser).
+ */
+export const GET = withSignedInUser(async (req, context, { user }) => {
+    const userId = String(user._id);
+    try {
+        await connectToDatabase();
+
+        const url = new URL(req.url);
+        const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit') || '20', 10) || 20));
+        const unreadOnly = url.searchParams.get('unread') === '1';
+
+        const base = { user: userId, channel: 'in-app' };
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(unreadOnly ? { ...base, read: { $ne: true } } : base)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .select('type title body read readAt meta createdAt')
+                .lean(),
+            Notification.countDocuments({ ...base, read: { $ne: true } })
+        ]);
+
+        return NextResponse.json({ ok: true, notifications, unreadCount });
+    } catch (err) {
+        console.error('GET /api/notifications error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+});
+
+export const PATCH = withSignedInUser(async (req, context, { user }) => {
+    const userId = String(user._id);
+    try {
+        await connectToDatabase();
+
+        const body = await req.json().catch(() => ({}));
+        const read = body?.read !== false;
+        const query = { user: userId, channel: 'in-app' };
+        if (!body?.all) {
+            const ids = Array.isArray(body?.ids) ? body.ids.map(String) : [];
+            if (!ids.length || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+                return NextResponse.json({ ok: false, error: 'ids (notification ids) or all: true required' }, { status: 400 });
+            }
+            query._id = { $in: ids };
+        }
+
+        const result = await Notification.updateMany(query, read
+            ? { $set: { read: true, readAt: new Date() } }
+            : { $set: { read: false }, $unset: { readAt: 1 } });
+        const unreadCount = await Notification.countDocuments({ user: userId, channel: 'in-app', read: { $ne: true } });
+
+        return NextResponse.json({ ok: true, updated: result.modifiedCount || 0, unreadCount });
+    } catch (err) {
+        console.error('PATCH /api/notifications error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+});
@@ -1,13 +1,31 @@
 // app/api/ordering-windows/route.js
-import { connectToDatabase, OrderingWindow } from '@/models/allModels';
+import { connectToDatabase, OrderingWindow, getSchoolCalendar } from '@/models/allModels';
 import { NextResponse } from 'next/server';
+import { upcomingCalendar } from '@/lib/schoolCalendar.js';
+import { windowStatus } from '@/lib/schedule.js';
 
+/**
+ * GET /api/ordering-windows
+ * Every ordering window with its schedule right now (lib/schedule.js, in the window's timezone):
+ *   schedule: { open, opensAt, closesAt, nextOpensAt, nextClosesAt }
+ *   calendarToday: { date, status: 'normal' | 'closed' | 'extra', reason } from the school calendar — closed means
+ *   no ordering today, extra means open despite daysOfWeek
+ * plus the calendar entries of the coming weeks and serverTime, so the page can re-check with the same module.
+ */
 export async function GET(req) {
     try {
         await connectToDatabase();
         // Return active ordering windows (client will check if a window is currently active)
-        const windows = await OrderingWindow.find({}).sort({ priority: -1, startTime: 1 }).lean();
-        return NextResponse.json({ ok: true, windows });
+        const [docs, calendar] = await Promise.all([
+            OrderingWindow.find({}).sort({ priority: -1, startTime: 1 }).lean(),
+            getSchoolCalendar()
+        ]);
+        const now = new Date();
+        const windows = docs.map(w => {
+            const { calendarToday, ...schedule } = windowStatus(w, { now, calendar, scope: 'ordinary' });
+            return { ...w, schedule, calendarToday };
+        });
+        return NextResponse.json({ ok: true, windows, calendar: upcomingCalendar(calendar, now), serverTime: now.toISOString() });
     } catch (err) {
         console.error('GET /api/ordering-windows error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
@@ -1,10 +1,26 @@
 import { NextResponse } from 'next/server';
-import { connectToDatabase, SpecialOrderingWindow, Setting } from '@/models/allModels';
+import { connectToDatabase, SpecialOrderingWindow, Setting, getSchoolCalendar } from '@/models/allModels';
+import { upcomingCalendar } from '@/lib/schoolCalendar.js';
+import { windowStatus } from '@/lib/schedule.js';
+
+/**
+ * GET /api/special-ordering-windows
+ * Special ordering windows (each with schedule and calendarToday, like /api/ordering-windows),
+ * the coming weeks' calendar entries and the special-orders banner settings.
+ */
 
 export async function GET() {
     try {
         await connectToDatabase();
-        const windows = await SpecialOrderingWindow.find({}).sort({ priority: -1, startTime: 1 }).lean();
+        const [docs, calendar] = await Promise.all([
+            SpecialOrderingWindow.find({}).sort({ priority: -1, startTime: 1 }).lean(),
+            getSchoolCalendar()
+        ]);
+        const now = new Date();
+        const windows = docs.map(w => {
+            const { calendarToday, ...schedule } = windowStatus(w, { now, calendar, scope: 'special' });
+            return { ...w, schedule, calendarToday };
+        });
 
         const keys = [
             'specialOrders.enabled',
@@ -39,7 +55,7 @@ export async function GET() {
                     : String(bannerNoteRaw),
         };
 
-        return NextResponse.json({ ok: true, windows, specialOrders });
+        return NextResponse.json({ ok: true, windows, calendar: upcomingCalendar(calendar, now), specialOrders, serverTime: now.toISOString() });
     } catch (err) {
         console.error('GET /api/special-ordering-windows error', err);
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
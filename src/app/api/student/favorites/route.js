@@ -0,0 +1,101 @@
+// app/api/student/favorites/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { connectToDatabase, User, Product } from '@/models/allModels.js';
+
+const MAX_FAVORITES = 50;
+
+/**
+ * /api/student/favorites — the student's starred products (User.favorites)
+ * GET                      -> { ok, favorites: [productId], products: [{ _id, name, price, available }] }
+ * POST   { productId }     -> star a product (idempotent)
+ * DELETE ?productId=...    -> unstar it
+ * POST / DELETE return { ok, favorites }.
+ */
+async function getStudent(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName = process.env.NODE_ENV === 'production'
+        ? '__Secure-next-auth.session-token'
+        : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch(() => null);
+    const sessionUser = token?.user || token;
+    const devReg = new URL(req.url).searchParams.get('regNumber');
+    const idOrReg = sessionUser?.id || sessionUser?.regNumber || devReg || null;
+    if (!idOrReg) return null;
+    await connectToDatabase();
+    return /^[0-9a-fA-F]{24}$/.test(String(idOrReg))
+        ? User.findById(idOrReg).select('_id favorites').lean()
+        : User.findOne({ regNumber: idOrReg }).select('_id favorites').lean();
+}
+
+const favoriteIds = (user) => (user?.favorites || []).map(String);
+
+export async function GET(req) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const favorites = favoriteIds(student);
+        const products = favorites.length
+            ? await Product.find({ _id: { $in: favorites } }).select('name price available').lean()
+            : [];
+        return NextResponse.json({ ok: true, favorites, products });
+    } catch (err) {
+        console.error('GET /api/student/favorites error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function POST(req) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const body = await req.json().catch(() => ({}));
+        const productId = String(body?.productId || '');
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return NextResponse.json({ ok: false, error: 'productId is required' }, { status: 400 });
+        }
+        if (!(await Product.exists({ _id: productId }))) {
+            return NextResponse.json({ ok: false, error: 'Product not found' }, { status: 404 });
+        }
+        const current = favoriteIds(student);
+        if (!current.includes(productId) && current.length >= MAX_FAVORITES) {
+            return NextResponse.json({ ok: false, error: `At most ${MAX_FAVORITES} favorites` }, { status: 400 });
+        }
+        const updated = await User.findByIdAndUpdate(
+            student._id,
+            { $addToSet: { favorites: productId } },
+            { new: true }
+        ).select('favorites').lean();
+        return NextResponse.json({ ok: true, favorites: favoriteIds(updated) });
+    } catch (err) {
+        console.error('POST /api/student/favorites error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function DELETE(req) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const productId = new URL(req.url).searchParams.get('productId') || '';
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return NextResponse.json({ ok: false, error: 'productId is required' }, { status: 400 });
+        }
+        const updated = await User.findByIdAndUpdate(
+            student._id,
+            { $pull: { favorites: productId } },
+            { new: true }
+        ).select('favorites').lean();
+        return NextResponse.json({ ok: true, favorites: favoriteIds(updated) });
+    } catch (err) {
+        console.error('DELETE /api/student/favorites error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -1,6 +1,7 @@
 // app/api/student/me/route.js
 import { NextResponse } from 'next/server';
-import { connectToDatabase, User } from '@/models/allModels.js';
+import { connectToDatabase, User, Order, SpecialOrder, getSpendingAllowance, getQueueEstimates } from '@/models/allModels.js';
+import { QUEUE_STATUSES } from '@/lib/queueEta.js';
 // next-auth helpers
 import { getServerSession } from 'next-auth/next';
 import { getToken } from 'next-auth/jwt';
@@ -96,12 +97,39 @@ export async function GET(req) {
             return NextResponse.json({ ok: false, error: 'User not found' }, { status: 404 });
         }
 
+        let spending = null;
+        try {
+            spending = await getSpendingAllowance(user);
+        } catch (e) {
+            console.warn('Could not compute spending allowance:', e?.message || e);
+        }
+
+        // the student's orders in the kitchen queue, soonest first
+        let queue = [];
+        try {
+            const mine = { user: user._id, status: { $in: QUEUE_STATUSES } };
+            const [own, ownSpecial] = await Promise.all([
+                Order.find(mine).select('code status').lean(),
+                SpecialOrder.find(mine).select('code status').lean()
+            ]);
+            if (own.length || ownSpecial.length) {
+                const estimates = await getQueueEstimates();
+                queue = [...own, ...ownSpecial]
+                    .map(o => ({ id: String(o._id), code: o.code, status: o.status, ...estimates.get(String(o._id)) }))
+                    .sort((a, b) => (a.position || 0) - (b.position || 0));
+            }
+        } catch (e) {
+            console.warn('Could not estimate the order queue:', e?.message || e);
+        }
+
         const profile = {
             id: user._id?.toString ? user._id.toString() : user._id,
             name: user.name,
             regNumber: user.regNumber || null,
             balance: typeof user.balance === 'number' ? user.balance : (user.balance || 0),
-            favorites: user.favorites || []
+            favorites: user.favorites || [],
+            spending,
+            queue
         };
 
         return NextResponse.json({ ok: true, profile }, { status: 200 });
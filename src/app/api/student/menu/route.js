@@ -1,14 +1,45 @@
 // app/api/student/menu/route.js  (updated API route)
 import { NextResponse } from "next/server";
-import { connectToDatabase, Product, Inventory } from "@/models/allModels.js";
+import { getToken } from "next-auth/jwt";
+import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { connectToDatabase, Product, Inventory, User, activeDietaryOverrides } from "@/models/allModels.js";
+import { bundleProductIds, isBundle } from "@/lib/bundles.js";
+import { hasDietaryProfile, productDietaryConflicts, dietaryProfileSnapshot } from "@/lib/dietary.js";
 
+// signed-in student (or ?regNumber= in dev); the menu is also served to anonymous visitors
+async function getStudent(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName = process.env.NODE_ENV === "production"
+        ? "__Secure-next-auth.session-token"
+        : "next-auth.session-token";
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === "production",
+        cookieName
+    }).catch(() => null);
+    const sessionUser = token?.user || token;
+    const devReg = new URL(req.url).searchParams.get("regNumber");
+    const idOrReg = sessionUser?.id || sessionUser?.regNumber || devReg || null;
+    if (!idOrReg) return null;
+    return /^[0-9a-fA-F]{24}$/.test(String(idOrReg))
+        ? User.findById(idOrReg).select("dietaryProfile").lean()
+        : User.findOne({ regNumber: idOrReg }).select("dietaryProfile").lean();
+}
+
+/**
+ * GET /api/student/menu
+ * Available products with stock, bundle contents and — for a student with a dietary profile — dietaryConflicts
+ * (reasons) and dietaryOverride per product. Conflicting products are left out when the profile has hideConflicts
+ * (unless an admin override lets the student order them).
+ */
 export async function GET(req) {
     try {
         await connectToDatabase();
 
         // Return available products sorted by category/name
         const products = await Product.find({ available: true })
-            .select("name category price prepTimeMinutes imageUrl allergens notes metadata")
+            .select("name category price prepTimeMinutes imageUrl tags allergens modifierGroups bundle notes metadata")
             .sort({ category: 1, name: 1 })
             .lean();
 
@@ -37,7 +68,49 @@ export async function GET(req) {
             })
         );
 
-        return NextResponse.json({ ok: true, products: enriched }, { status: 200 });
+        // Bundles: describe each component / slot option (name, price, availability) so the cart can show and
+        // preview them, and derive stock from the fixed components (a combo is out when one of them is).
+        const byId = new Map(enriched.map(p => [String(p._id), p]));
+        const missing = [...new Set(products.flatMap(bundleProductIds))].filter(id => !byId.has(id));
+        if (missing.length) {
+            const others = await Product.find({ _id: { $in: missing } }).select("name price tags allergens").lean();
+            for (const o of others) byId.set(String(o._id), { ...o, available: false, stock: null });
+        }
+        const describe = (id) => {
+            const c = byId.get(String(id));
+            return { name: c?.name || "Unavailable item", price: c?.price ?? 0, allergens: c?.allergens || [], available: !!c && c.available !== false };
+        };
+        const withBundles = enriched.map((p) => {
+            if (!isBundle(p)) return p;
+            const components = (p.bundle.components || []).map(c => ({ ...c, product: String(c.product), ...describe(c.product) }));
+            const slots = (p.bundle.slots || []).map(sl => ({
+                ...sl,
+                options: (sl.options || []).map(o => ({ ...o, product: String(o.product), ...describe(o.product) }))
+            }));
+            const limits = components
+                .map(c => byId.get(c.product))
+                .map((c, i) => (c?.available === false || !c ? 0 : typeof c.stock === "number" ? Math.floor(c.stock / components[i].qty) : null))
+                .filter(n => n !== null);
+            const stock = limits.length ? Math.min(...limits) : null;
+            const lowStockHurry = components.some(c => byId.get(c.product)?.lowStockHurry);
+            return { ...p, bundle: { components, slots }, stock, lowStockHurry };
+        });
+
+        // Dietary profile: flag conflicting products (judged on the stored bundle, before it was described above)
+        const student = await getStudent(req);
+        const profile = student?.dietaryProfile;
+        if (!hasDietaryProfile(profile)) {
+            return NextResponse.json({ ok: true, products: withBundles }, { status: 200 });
+        }
+        const overrides = await activeDietaryOverrides(student._id);
+        const flagged = withBundles
+            .map((p, i) => {
+                const dietaryConflicts = productDietaryConflicts(profile, enriched[i], byId);
+                return { ...p, dietaryConflicts, dietaryOverride: dietaryConflicts.length > 0 && overrides.has(String(p._id)) };
+            })
+            .filter(p => !(profile.hideConflicts && p.dietaryConflicts.length && !p.dietaryOverride));
+
+        return NextResponse.json({ ok: true, products: flagged, dietaryProfile: dietaryProfileSnapshot(profile) }, { status: 200 });
     } catch (err) {
         console.error("GET /api/student/menu error", err);
         return NextResponse.json({ ok: false, error: err.message || "Server error" }, { status: 500 });
@@ -5,6 +5,13 @@ import {
     Product,
     OrderingWindow,
     placeOrderAtomic,
+    assertWithinSpendingLimits,
+    assertProductsAllowed,
+    assertDietaryAllowed,
+    reservePickupSlot,
+    releasePickupSlot,
+    getSchoolCalendar,
+    notifyLowBalance,
     User,
     Order,
     Transaction,
@@ -13,6 +20,14 @@ import {
 import { getServerSession } from 'next-auth/next';
 import { getToken } from 'next-auth/jwt';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { getIdempotencyKey, isDuplicateKeyError, orderFingerprint, assertSameRequest, IDEMPOTENCY_REPLAY_HEADER } from '@/lib/idempotency.js';
+import { ORDER_EVENTS, publishOrderEvent } from '@/lib/orderEvents.js';
+import { printOrderTickets } from '@/lib/printing.js';
+import { getPreorderSettings, validatePreorderTarget, preorderSchedule } from '@/lib/preorders.js';
+import { getCancelCutoffMinutes, cancellableUntil } from '@/lib/orderCancellation.js';
+import { bundleProductIds, priceOrderLine } from '@/lib/bundles.js';
+import { slotsEnabled, findSlot, slotCapacity, orderPrepMinutes } from '@/lib/pickupSlots.js';
+import { nextOpening, openWindows, windowCalendarToday, windowStatus } from '@/lib/schedule.js';
 
 /**
  * Try to obtain a session-like object for route handlers.
@@ -71,47 +86,6 @@ async function getSessionLike(req) {
     return null;
 }
 
-/**
- * Return local time parts { hhmm: 'HH:MM', day: 0..6 } for a given IANA timezone.
- * Uses Intl.DateTimeFormat.formatToParts to reliably get hour/minute and weekday in that tz.
- */
-function getLocalTimeParts(timezone) {
-    const now = new Date();
-    const fmt = new Intl.DateTimeFormat('en-GB', {
-        timeZone: timezone || 'UTC',
-        hour12: false,
-        hour: '2-digit',
-        minute: '2-digit',
-        weekday: 'short',
-    });
-    const parts = fmt.formatToParts(now);
-    const hour = parts.find(p => p.type === 'hour')?.value || '00';
-    const minute = parts.find(p => p.type === 'minute')?.value || '00';
-    const weekday = parts.find(p => p.type === 'weekday')?.value || 'Sun';
-
-    // map short weekday names returned in English to numeric JS getDay values (0 = Sun .. 6 = Sat)
-    const weekdayMap = {
-        Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6,
-        'Sun.': 0, 'Mon.': 1, 'Tue.': 2, 'Wed.': 3, 'Thu.': 4, 'Fri.': 5, 'Sat.': 6
-    };
-    const dayNum = weekdayMap[weekday] ?? now.getDay();
-
-    return { hhmm: `${hour}:${minute}`, day: dayNum };
-}
-
-/**
- * Normalize stored days array into JS day numbers 0..6.
- * Accepts arrays where Sunday might be stored as 7 (map 7 -> 0).
- */
-function normalizeDaysOfWeek(days) {
-    if (!Array.isArray(days)) return [];
-    return days.map(d => {
-        const n = Number(d);
-        if (Number.isNaN(n)) return null;
-        return n === 7 ? 0 : n; // map 7 -> 0 (Sunday) if necessary
-    }).filter(d => d !== null);
-}
-
 export async function POST(req) {
     try {
         await connectToDatabase();
@@ -127,11 +101,22 @@ export async function POST(req) {
         const body = await req.json().catch(() => ({}));
         const items = Array.isArray(body.items) ? body.items : [];
         const prepStationId = body.prepStationId || null;
+        // pickupSlot: start of the chosen slot (ISO instant or "HH:MM") when the window takes pickup slots (lib/pickupSlots.js)
+        const pickupSlotStart = body.pickupSlot ? String(body.pickupSlot) : null;
+        // pre-order: { scheduledDate: 'YYYY-MM-DD', orderingWindowId } targets that window on that day (lib/preorders.js)
+        const preorder = body.scheduledDate
+            ? { date: String(body.scheduledDate), windowId: body.orderingWindowId ? String(body.orderingWindowId) : null }
+            : null;
 
         if (!items.length) {
             return NextResponse.json({ ok: false, error: 'No items in order' }, { status: 400 });
         }
 
+        const { key: idempotencyKey, error: idemError } = getIdempotencyKey(req);
+        if (idemError) {
+            return NextResponse.json({ ok: false, error: idemError }, { status: 400 });
+        }
+
         let userIdOrReg = session?.user?.id || session?.user?.regNumber || body?.regNumber || null;
         if (!userIdOrReg && devReg) userIdOrReg = devReg;
 
@@ -140,50 +125,40 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: 'Not authenticated (no user). Provide a session or regNumber.' }, { status: 401 });
         }
 
-        // --- ordering window check (timezone-aware & supports overnight windows) ---
+        // --- ordering window check (each window in its own timezone, overnight windows included) ---
         const windows = await OrderingWindow.find({ active: true }).lean();
+        // school calendar: holidays / closures / breaks close a window for the day, extra days open it (lib/schoolCalendar.js)
+        const calendar = await getSchoolCalendar();
 
         const nowUtc = new Date();
-        const anyActive = (windows || []).some(w => {
-            const tz = (w.timezone && typeof w.timezone === 'string') ? w.timezone : 'UTC';
-            const { hhmm, day } = getLocalTimeParts(tz);
-
-            const days = normalizeDaysOfWeek(w.daysOfWeek || []);
-            // debug per-window
-            console.debug(`[ordering window check] window="${w.name}" tz=${tz} local=${hhmm} day=${day} start=${w.startTime} end=${w.endTime} days=${JSON.stringify(days)}`);
-
-            if (days.length && !days.includes(day)) {
-                return false;
-            }
-
-            const start = w.startTime || null;
-            const end = w.endTime || null;
+        // highest priority first (lib/schedule.js)
+        const activeWindows = openWindows(windows || [], { now: nowUtc, calendar, scope: 'ordinary' });
+        const anyActive = activeWindows.length > 0;
+        // the open window an ordinary order belongs to
+        const openWindow = activeWindows[0] || null;
 
-            if (start && end) {
-                // normal case: start <= end (same-day)
-                if (start <= end) {
-                    if (hhmm < start || hhmm > end) return false;
-                } else {
-                    // overnight window, e.g., start=22:00 end=06:00 -> active if hhmm >= start OR hhmm <= end
-                    if (!(hhmm >= start || hhmm <= end)) return false;
-                }
-            } else if (start) {
-                if (hhmm < start) return false;
-            } else if (end) {
-                if (hhmm > end) return false;
-            }
-            return true;
-        });
-
-        if (!anyActive) {
+        if (!preorder && !anyActive) {
             console.warn('[/api/student/order] Ordering closed: no active ordering window (checked at UTC', nowUtc.toISOString(), ')');
-            return NextResponse.json({ ok: false, error: 'Ordering is currently closed (no active ordering window).' }, { status: 403 });
+            const closedDay = (windows || []).map(w => windowCalendarToday(calendar, w, { scope: 'ordinary', now: nowUtc }))
+                .find(c => c.status === 'closed');
+            const error = closedDay
+                ? `Ordering is closed today (${closedDay.reason}).`
+                : 'Ordering is currently closed (no active ordering window).';
+            const next = nextOpening(windows || [], { now: nowUtc, calendar, scope: 'ordinary' });
+            return NextResponse.json({
+                ok: false,
+                error,
+                nextOpening: next ? { windowId: next.window._id, name: next.window.name, opensAt: next.opensAt } : null
+            }, { status: 403 });
         }
 
         // --- validate products ---
         const productIds = items.map(it => it.productId);
         const products = await Product.find({ _id: { $in: productIds }, available: true }).lean();
         const productMap = new Map(products.map(p => [String(p._id), p]));
+        const componentIds = products.flatMap(bundleProductIds).filter(id => !productMap.has(id));
+        const components = componentIds.length ? await Product.find({ _id: { $in: componentIds } }).lean() : [];
+        const componentMap = new Map([...productMap, ...components.map(p => [String(p._id), p])]);
 
         const normalizedItems = [];
         for (const it of items) {
@@ -193,17 +168,85 @@ export async function POST(req) {
                 return NextResponse.json({ ok: false, error: `Product not found or unavailable: ${pid}` }, { status: 400 });
             }
             const qty = Math.max(1, parseInt(it.qty || 1, 10));
-            normalizedItems.push({ productId: pid, qty });
+            const modifiers = Array.isArray(it.modifiers) ? it.modifiers : [];
+            const bundleChoices = Array.isArray(it.bundleChoices) ? it.bundleChoices : [];
+            try {
+                priceOrderLine(product, { modifiers, bundleChoices }, componentMap);
+            } catch (lineErr) {
+                return NextResponse.json({ ok: false, error: lineErr.message }, { status: lineErr.status || 400 });
+            }
+            normalizedItems.push({ productId: pid, qty, modifiers, bundleChoices });
+        }
+
+        // --- pre-order target: a later window today or a window on a future day ---
+        let orderingWindowId = null;
+        let schedule = null;
+        if (preorder) {
+            const target = (windows || []).find(w => String(w._id) === preorder.windowId);
+            const settings = await getPreorderSettings();
+            const check = validatePreorderTarget({ window: target, date: preorder.date, products, maxDaysAhead: settings.maxDaysAhead, calendar });
+            if (!check.ok) {
+                return NextResponse.json({ ok: false, error: check.error }, { status: 400 });
+            }
+            orderingWindowId = target._id;
+            // a window that is open right now is an ordinary order (schedule stays null)
+            schedule = preorderSchedule(check, settings);
+        }
+
+        // --- pickup slot: required when the window is split into slots; capacity is booked with the order ---
+        let pickupSlot = null;
+        const slotWindow = preorder ? (windows || []).find(w => String(w._id) === preorder.windowId) : openWindow;
+        if (slotsEnabled(slotWindow)) {
+            // an overnight window serves the day it opened on, also after midnight
+            const serviceDate = preorder ? preorder.date : windowStatus(slotWindow, { now: nowUtc, calendar, horizonDays: 0 }).date;
+            if (!pickupSlotStart) {
+                return NextResponse.json({ ok: false, error: `Choose a pickup slot for ${slotWindow.name}` }, { status: 400 });
+            }
+            const slot = findSlot(slotWindow, serviceDate, pickupSlotStart);
+            if (!slot) {
+                return NextResponse.json({ ok: false, error: 'Unknown pickup slot' }, { status: 400 });
+            }
+            if (slot.end <= nowUtc) {
+                return NextResponse.json({ ok: false, error: `The ${slot.label} pickup slot has already passed` }, { status: 400 });
+            }
+            pickupSlot = { window: slotWindow._id, serviceDate, ...slot, ...slotCapacity(slotWindow) };
+            orderingWindowId = orderingWindowId || slotWindow._id;
         }
 
         const orderPayload = {
             items: normalizedItems,
             prepStationId: prepStationId || null,
-            orderingWindowId: null,
+            orderingWindowId,
             external: false,
-            issuedByAdminId: null
+            issuedByAdminId: null,
+            idempotencyKey,
+            schedule,
+            pickupSlot
         };
 
+        const cancelCutoff = await getCancelCutoffMinutes();
+        const orderResponse = (orderDoc, replayed = false) => NextResponse.json({
+            ok: true,
+            order: {
+                id: orderDoc._id?.toString ? orderDoc._id.toString() : orderDoc._id,
+                code: orderDoc.code,
+                total: orderDoc.total,
+                items: orderDoc.items,
+                status: orderDoc.status,
+                scheduledFor: orderDoc.scheduledFor || null,
+                pickupSlot: orderDoc.pickupSlot || null,
+                serviceDate: orderDoc.serviceDate || null,
+                chargeStatus: orderDoc.chargeStatus || 'charged',
+                cancellableUntil: cancellableUntil(orderDoc, cancelCutoff)
+            }
+        }, { status: 201, headers: replayed ? { [IDEMPOTENCY_REPLAY_HEADER]: 'true' } : undefined });
+
+        // SpendingLimitError / ProductBlockedError -> 403 (allowance tells the client what is left)
+        const spendingLimitResponse = (limitErr) => NextResponse.json(
+            { ok: false, error: limitErr.message, allowance: limitErr.allowance || null, conflicts: limitErr.conflicts || null },
+            { status: 403 }
+        );
+
         // 1) Try the transactional helper (preferred)
         try {
             const result = await placeOrderAtomic(userIdOrReg, orderPayload, { trustBalanceCheck: true });
@@ -211,18 +254,21 @@ export async function POST(req) {
                 return NextResponse.json({ ok: false, error: 'Failed to place order' }, { status: 500 });
             }
 
-            const returnedOrder = result.order;
-            return NextResponse.json({
-                ok: true,
-                order: {
-                    id: returnedOrder._id?.toString ? returnedOrder._id.toString() : returnedOrder._id,
-                    code: returnedOrder.code,
-                    total: returnedOrder.total,
-                    items: returnedOrder.items
-                }
-            }, { status: 201 });
+            // kitchen tickets print in the background; the student does not wait on a printer
+            // (held pre-orders print when they are released)
+            if (!result.replayed && result.order.status !== 'scheduled') printOrderTickets(result.order);
+            return orderResponse(result.order, !!result.replayed);
         } catch (err) {
             const msg = err?.message || '';
+            if (err?.name === 'IdempotencyMismatchError') {
+                return NextResponse.json({ ok: false, error: msg }, { status: 422 });
+            }
+            if (['SpendingLimitError', 'ProductBlockedError', 'DietaryConflictError'].includes(err?.name)) {
+                return spendingLimitResponse(err);
+            }
+            if (err?.name === 'PickupSlotError') {
+                return NextResponse.json({ ok: false, error: msg }, { status: err.status || 409 });
+            }
             const illegalOperation = err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(msg));
             if (!illegalOperation) {
                 console.error('placeOrderAtomic error (non-transactional):', err);
@@ -234,6 +280,9 @@ export async function POST(req) {
 
             // --- FALLBACK: non-transactional flow implemented in the route (best-effort) ---
             console.warn('placeOrderAtomic failed due to lack of transactions. Using non-transactional fallback.');
+            if (schedule) {
+                return NextResponse.json({ ok: false, error: 'Pre-orders are unavailable right now; please try again.' }, { status: 503 });
+            }
 
             // load user (non-transactional)
             let user = null;
@@ -246,23 +295,64 @@ export async function POST(req) {
                 return NextResponse.json({ ok: false, error: 'User not found' }, { status: 404 });
             }
 
+            // the fingerprint placeOrderAtomic stores, so a retry matches whichever path created the order
+            const fingerprint = idempotencyKey ? orderFingerprint(userIdOrReg, orderPayload) : null;
+            if (idempotencyKey) {
+                const prior = await Order.findOne({ idempotencyKey });
+                if (prior) {
+                    try {
+                        assertSameRequest(prior, fingerprint);
+                    } catch (mismatch) {
+                        return NextResponse.json({ ok: false, error: mismatch.message }, { status: 422 });
+                    }
+                    return orderResponse(prior, true);
+                }
+            }
+
             // compute products & total (we already loaded products above, reuse)
             let total = 0;
             const orderItems = normalizedItems.map(it => {
                 const p = productMap.get(it.productId);
                 const qty = it.qty;
-                const price = p.price;
+                const line = priceOrderLine(p, it, componentMap);
+                const price = line.price;
                 total += price * qty;
                 return {
                     product: p._id,
                     name: p.name,
                     price,
                     qty,
+                    modifiers: line.modifiers,
+                    ...(line.components.length ? { components: line.components } : {}),
+                    ...(line.label ? { label: line.label } : {}),
                     notes: it.notes || '',
-                    allergens: p.allergens || []
+                    allergens: line.allergens,
+
+                    prepStation: p.prepStation || null
                 };
             });
 
+            try {
+                assertProductsAllowed(user, orderItems);
+                await assertDietaryAllowed(user, orderItems, componentMap);
+                await assertWithinSpendingLimits(user, total);
+            } catch (limitErr) {
+                if (['SpendingLimitError', 'ProductBlockedError', 'DietaryConflictError'].includes(limitErr?.name)) return spendingLimitResponse(limitErr);
+                throw limitErr;
+            }
+
+            // pickup slot first: a full slot stops the order before any money moves
+            let bookedSlot = null;
+            if (pickupSlot) {
+                try {
+                    bookedSlot = await reservePickupSlot(pickupSlot, orderPrepMinutes(orderItems, componentMap));
+                } catch (slotErr) {
+                    if (slotErr?.name === 'PickupSlotError') return NextResponse.json({ ok: false, error: slotErr.message }, { status: slotErr.status || 409 });
+                    throw slotErr;
+                }
+            }
+            const releaseSlot = () => (bookedSlot ? releasePickupSlot({ pickupSlot: bookedSlot, meta: {} }).catch(() => {}) : null);
+
             // atomic-ish decrement of balance: findOneAndUpdate with condition balance >= total
             const updatedUser = await User.findOneAndUpdate(
                 { _id: user._id, balance: { $gte: total } },
@@ -271,6 +361,7 @@ export async function POST(req) {
             );
 
             if (!updatedUser) {
+                await releaseSlot();
                 return NextResponse.json({ ok: false, error: 'Insufficient balance' }, { status: 402 });
             }
 
@@ -285,10 +376,12 @@ export async function POST(req) {
                     items: orderItems,
                     total,
                     status: 'placed',
-                    orderingWindow: null,
+                    orderingWindow: orderingWindowId,
+                    pickupSlot: bookedSlot,
                     prepStation: prepStationId || null,
                     external: false,
-                    meta: { issuedByAdminId: null }
+                    ...(idempotencyKey ? { idempotencyKey } : {}),
+                    meta: { issuedByAdminId: null, ...(idempotencyKey ? { idempotencyFingerprint: fingerprint } : {}) }
                 });
 
                 const before = updatedUser.balance + total;
@@ -313,15 +406,11 @@ export async function POST(req) {
                     changes: { total, items: orderItems.map(i => ({ name: i.name, qty: i.qty, price: i.price })) }
                 });
 
-                return NextResponse.json({
-                    ok: true,
-                    order: {
-                        id: orderDoc._id?.toString ? orderDoc._id.toString() : orderDoc._id,
-                        code: orderDoc.code,
-                        total: orderDoc.total,
-                        items: orderDoc.items
-                    }
-                }, { status: 201 });
+                publishOrderEvent(ORDER_EVENTS.created, orderDoc);
+                await notifyLowBalance(updatedUser, before, after);
+                printOrderTickets(orderDoc);
+
+                return orderResponse(orderDoc);
             } catch (createErr) {
                 console.error('Fallback order creation failed, attempting rollback of balance:', createErr);
                 // try to rollback user balance
@@ -331,6 +420,11 @@ export async function POST(req) {
                 } catch (rbErr) {
                     console.error('Rollback failed — manual reconciliation required', rbErr);
                 }
+                if (!orderDoc) await releaseSlot();
+                if (idempotencyKey && !orderDoc && isDuplicateKeyError(createErr)) {
+                    const prior = await Order.findOne({ idempotencyKey });
+                    if (prior) return orderResponse(prior, true);
+                }
                 const ceMsg = createErr?.message || 'Failed to create order in fallback path';
                 return NextResponse.json({ ok: false, error: ceMsg }, { status: 500 });
             }
@@ -338,6 +432,12 @@ export async function POST(req) {
     } catch (err) {
         console.error('POST /api/student/order error (final):', err);
         const msg = err?.message || 'Server error';
+        if (err?.name === 'PickupSlotError') {
+            return NextResponse.json({ ok: false, error: msg }, { status: err.status || 409 });
+        }
+        if (['SpendingLimitError', 'ProductBlockedError', 'DietaryConflictError'].includes(err?.name)) {
+            return NextResponse.json({ ok: false, error: msg, allowance: err.allowance || null, conflicts: err.conflicts || null }, { status: 403 });
+        }
         if (/Insufficient balance/i.test(msg)) {
             return NextResponse.json({ ok: false, error: 'Insufficient balance' }, { status: 402 });
         }
@@ -0,0 +1,86 @@
+// app/api/student/orders/[id]/cancel/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { connectToDatabase, User, Order, SpecialOrder, cancelOrderAtomic } from '@/models/allModels.js';
+import { getCancelCutoffMinutes, cancellableUntil, STUDENT_CANCELLABLE_STATUSES } from '@/lib/orderCancellation.js';
+
+/**
+ * POST /api/student/orders/:id/cancel
+ * Cancels the student's own placed (or scheduled) Order / SpecialOrder within the cutoff (lib/orderCancellation.js).
+ * The charged total goes back to the wallet and the stock back to inventory.
+ * -> { ok, order: { id, code, status, isSpecial }, refunded, balance }
+ */
+async function getStudent(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName = process.env.NODE_ENV === 'production'
+        ? '__Secure-next-auth.session-token'
+        : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch(() => null);
+    const sessionUser = token?.user || token;
+    const devReg = new URL(req.url).searchParams.get('regNumber');
+    const idOrReg = sessionUser?.id || sessionUser?.regNumber || devReg || null;
+    if (!idOrReg) return null;
+    await connectToDatabase();
+    return /^[0-9a-fA-F]{24}$/.test(String(idOrReg))
+        ? User.findById(idOrReg).select('_id').lean()
+        : User.findOne({ regNumber: idOrReg }).select('_id').lean();
+}
+
+export async function POST(req, { params }) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(String(id))) {
+            return NextResponse.json({ ok: false, error: 'Order not found' }, { status: 404 });
+        }
+
+        const mine = { _id: id, user: student._id };
+        let isSpecial = false;
+        let order = await Order.findOne(mine).lean();
+        if (!order) {
+            order = await SpecialOrder.findOne(mine).lean();
+            isSpecial = !!order;
+        }
+        if (!order) return NextResponse.json({ ok: false, error: 'Order not found' }, { status: 404 });
+
+        const cutoff = await getCancelCutoffMinutes();
+        if (!cancellableUntil(order, cutoff)) {
+            const error = !cutoff
+                ? 'Orders cannot be cancelled online — ask at the counter'
+                : STUDENT_CANCELLABLE_STATUSES.includes(order.status)
+                    ? 'The cancellation window for this order has closed'
+                    : `Order is ${order.status} and can no longer be cancelled`;
+            return NextResponse.json({ ok: false, error }, { status: 409 });
+        }
+
+        const result = await cancelOrderAtomic(order._id, {
+            isSpecial,
+            userId: student._id,
+            actorId: student._id,
+            reason: 'Cancelled by student',
+            statuses: STUDENT_CANCELLABLE_STATUSES
+        });
+
+        return NextResponse.json({
+            ok: true,
+            order: { id: String(result.order._id), code: result.order.code, status: result.order.status, isSpecial },
+            refunded: result.refunded,
+            balance: result.tx?.balanceAfter ?? null
+        });
+    } catch (err) {
+        if (err?.name === 'OrderCancelError') {
+            return NextResponse.json({ ok: false, error: err.message }, { status: err.status });
+        }
+        console.error('POST /api/student/orders/:id/cancel error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
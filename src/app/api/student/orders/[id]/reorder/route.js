@@ -0,0 +1,111 @@
+// app/api/student/orders/[id]/reorder/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { connectToDatabase, User, Order, OrderingWindow, Product, Inventory, getSchoolCalendar } from '@/models/allModels.js';
+import { bundleProductIds, stockLines } from '@/lib/bundles.js';
+import { productAvailableInWindow } from '@/lib/preorders.js';
+import { openWindows, weekdayOf, windowStatus } from '@/lib/schedule.js';
+import { reorderLine, reorderTotals } from '@/lib/reorder.js';
+
+/**
+ * GET /api/student/orders/:id/reorder
+ * Checks one of the student's previous orders against the menu now (lib/reorder.js): current prices, availability,
+ * stock and the ordering window open right now. Nothing is placed — the page shows the differences and, once the
+ * student confirms, sends the orderable lines to POST /api/student/order.
+ * -> { ok, order: { id, code, createdAt }, window: { id, name } | null, windowError, lines, previousTotal, total, canOrder }
+ */
+async function getStudent(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName = process.env.NODE_ENV === 'production'
+        ? '__Secure-next-auth.session-token'
+        : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch(() => null);
+    const sessionUser = token?.user || token;
+    const devReg = new URL(req.url).searchParams.get('regNumber');
+    const idOrReg = sessionUser?.id || sessionUser?.regNumber || devReg || null;
+    if (!idOrReg) return null;
+    await connectToDatabase();
+    return /^[0-9a-fA-F]{24}$/.test(String(idOrReg))
+        ? User.findById(idOrReg).select('_id').lean()
+        : User.findOne({ regNumber: idOrReg }).select('_id').lean();
+}
+
+/* product id -> units in stock over active inventory docs; products without inventory docs are untracked (absent) */
+async function stockByProduct(productIds) {
+    const rows = await Inventory.aggregate([
+        { $match: { product: { $in: productIds.map(id => new mongoose.Types.ObjectId(id)) }, active: true } },
+        { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+    ]);
+    return new Map(rows.map(r => [String(r._id), Number(r.quantity || 0)]));
+}
+
+export async function GET(req, { params }) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+        const { id } = await params;
+        if (!mongoose.Types.ObjectId.isValid(String(id))) {
+            return NextResponse.json({ ok: false, error: 'Order not found' }, { status: 404 });
+        }
+        const order = await Order.findOne({ _id: id, user: student._id, external: { $ne: true } }).lean();
+        if (!order) return NextResponse.json({ ok: false, error: 'Order not found' }, { status: 404 });
+
+        const now = new Date();
+        const calendar = await getSchoolCalendar();
+        const window = openWindows(await OrderingWindow.find({ active: true }).lean(), { now, calendar })[0] || null;
+        // weekday of the day the open window started on (an overnight window keeps it after midnight)
+        const weekday = window ? weekdayOf(windowStatus(window, { now, calendar, horizonDays: 0 }).date) : null;
+
+        const lineIds = [...new Set((order.items || []).map(it => String(it.product)).filter(Boolean))];
+        const products = await Product.find({ _id: { $in: lineIds } }).lean();
+        const productMap = new Map(products.map(p => [String(p._id), p]));
+        const componentIds = [...new Set(products.flatMap(bundleProductIds))].filter(pid => !productMap.has(pid));
+        if (componentIds.length) {
+            for (const c of await Product.find({ _id: { $in: componentIds } }).lean()) productMap.set(String(c._id), c);
+        }
+        const stockLeft = await stockByProduct([...productMap.keys()]);
+
+        const lines = (order.items || []).map(it => {
+            const product = productMap.get(String(it.product)) || null;
+            // units of this line the stock still covers (lines of the same product share it)
+            const perUnit = stockLines(it, 1).filter(sl => stockLeft.has(String(sl.product)));
+            const stock = perUnit.length
+                ? Math.min(...perUnit.map(sl => Math.floor(stockLeft.get(String(sl.product)) / (sl.qty || 1))))
+                : null;
+            const line = reorderLine(it, product, {
+                productMap,
+                stock,
+                inWindow: !window || productAvailableInWindow(product, window, weekday)
+            });
+            if (line.orderable) {
+                for (const sl of stockLines(it, line.qty)) {
+                    const key = String(sl.product);
+                    if (stockLeft.has(key)) stockLeft.set(key, stockLeft.get(key) - sl.qty);
+                }
+            }
+            return line;
+        });
+
+        const windowError = window ? null : 'Ordering is currently closed (no active ordering window).';
+        return NextResponse.json({
+            ok: true,
+            order: { id: String(order._id), code: order.code, createdAt: order.createdAt },
+            window: window ? { id: String(window._id), name: window.name } : null,
+            windowError,
+            lines,
+            ...reorderTotals(lines),
+            canOrder: !windowError && lines.some(l => l.orderable)
+        });
+    } catch (err) {
+        console.error('GET /api/student/orders/:id/reorder error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
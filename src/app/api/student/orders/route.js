@@ -1,14 +1,22 @@
 // app/api/student/orders/route.js
 import { NextResponse } from 'next/server';
-import { connectToDatabase, Order, SpecialOrder } from '@/models/allModels.js';
+import { connectToDatabase, Order, SpecialOrder, getQueueEstimates } from '@/models/allModels.js';
 import { getServerSession } from 'next-auth/next';
 import { getToken } from 'next-auth/jwt';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { signPickupQr } from '@/lib/pickupQr.js';
+import { releaseScheduledOrdersSoon } from '@/lib/preorders.js';
+import { getCancelCutoffMinutes, cancellableUntil } from '@/lib/orderCancellation.js';
+import { itemLabel } from '@/lib/modifiers.js';
 
 /**
  * GET /api/student/orders
  * Query: ?limit=50 or ?regNumber=... (dev)
  * Returns recent orders for the authenticated student.
+ * Orders that can still be collected carry pickupQr, the signed payload shown as a QR at the counter.
+ * Pre-orders carry serviceDate / scheduledFor / chargeStatus; due ones are released first (lib/preorders.js).
+ * cancellableUntil is set while the student may still cancel (POST /api/student/orders/:id/cancel).
+ * Placed / preparing orders carry queue: { position, ahead, etaMinutes, readyAt } (lib/queueEta.js), else null.
  */
 async function getSessionLike(req) {
     try {
@@ -75,34 +83,49 @@ export async function GET(req) {
             return NextResponse.json({ ok: false, error: 'Not authenticated (no user)' }, { status: 401 });
         }
 
+        await releaseScheduledOrdersSoon();
+
         const isObjectId = /^[0-9a-fA-F]{24}$/.test(String(userIdOrReg));
         const query = isObjectId ? { user: userIdOrReg } : { regNumber: userIdOrReg };
 
         const ordersStd = await Order.find(query)
-            .select('code status total items createdAt orderingWindow prepStation external')
+            .select('code user status total items createdAt orderingWindow prepStation external scheduledFor serviceDate releaseAt chargeStatus remarks pickupSlot')
             .sort({ createdAt: -1 })
             .limit(limit)
             .lean();
         const ordersSpec = await SpecialOrder.find(query)
-            .select('code status total items createdAt orderingWindow prepStation')
+            .select('code user status total items createdAt orderingWindow prepStation remarks')
             .sort({ createdAt: -1 })
             .limit(limit)
             .lean();
 
+        const cutoff = await getCancelCutoffMinutes();
+        const queue = await getQueueEstimates();
         const normalize = (o, isSpec = false) => ({
             id: o._id?.toString ? o._id.toString() : o._id,
+            isSpecial: isSpec,
             code: o.code,
             status: o.status,
             total: o.total,
             items: (o.items || []).map(it => ({
-                name: it.name,
+                name: itemLabel(it),
                 price: it.price,
                 qty: it.qty
             })),
             createdAt: o.createdAt,
             orderingWindow: o.orderingWindow || null,
             prepStation: o.prepStation || null,
-            external: isSpec ? false : !!o.external
+            external: isSpec ? false : !!o.external,
+            scheduledFor: o.scheduledFor || null,
+            serviceDate: o.serviceDate || null,
+            chargeStatus: o.chargeStatus || 'charged',
+            remarks: o.remarks || null,
+            pickupSlot: isSpec ? null : (o.pickupSlot || null),
+            queue: queue.get(String(o._id)) || null,
+            cancellableUntil: cancellableUntil(o, cutoff),
+            pickupQr: ['placed', 'preparing', 'ready'].includes(o.status)
+                ? signPickupQr({ id: o._id, code: o.code, isSpecial: isSpec })
+                : null
         });
         const merged = [...ordersStd.map(o => normalize(o, false)), ...ordersSpec.map(o => normalize(o, true))]
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -0,0 +1,64 @@
+// app/api/student/pickup-slots/route.js
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase, OrderingWindow, PickupSlotLoad, getSchoolCalendar } from '@/models/allModels.js';
+import { localDate, openWindows, windowStatus, windowTimezone } from '@/lib/schedule.js';
+import { slotsEnabled, windowSlots, slotCapacity, slotAvailability } from '@/lib/pickupSlots.js';
+
+/**
+ * GET /api/student/pickup-slots?windowId=&date=YYYY-MM-DD
+ * - Pickup slots of a window on a date with what is left of each; without windowId the window open right now
+ *   (today). Returns { ok, slotsEnabled: false } when the window takes no slots.
+ * - { ok, window: { id, name }, serviceDate, slotsEnabled, slots: [{ start, end, label, orders, prepMinutes,
+ *   remainingOrders, remainingPrepMinutes, full, past }] }
+ */
+export async function GET(req) {
+    try {
+        await connectToDatabase();
+        const url = new URL(req.url);
+        const windowId = url.searchParams.get('windowId');
+        const now = new Date();
+        const calendar = await getSchoolCalendar();
+
+        let window = null;
+        if (windowId) {
+            if (!mongoose.Types.ObjectId.isValid(windowId)) {
+                return NextResponse.json({ ok: false, error: 'Invalid windowId' }, { status: 400 });
+            }
+            window = await OrderingWindow.findOne({ _id: windowId, active: true }).lean();
+        } else {
+            window = openWindows(await OrderingWindow.find({ active: true }).lean(), { now, calendar })[0] || null;
+        }
+        if (!window) {
+            return NextResponse.json({ ok: true, window: null, slotsEnabled: false, slots: [] });
+        }
+
+        // an overnight window open now still serves the day it opened on
+        const serviceDate = url.searchParams.get('date')
+            || windowStatus(window, { now, calendar, horizonDays: 0 }).date
+            || localDate(now, windowTimezone(window));
+        const summary = { id: String(window._id), name: window.name };
+        if (!slotsEnabled(window)) {
+            return NextResponse.json({ ok: true, window: summary, serviceDate, slotsEnabled: false, slots: [] });
+        }
+
+        const slots = windowSlots(window, serviceDate);
+        if (!slots.length) {
+            return NextResponse.json({ ok: false, error: 'Invalid date (expected YYYY-MM-DD)' }, { status: 400 });
+        }
+        const loads = await PickupSlotLoad.find({ window: window._id, start: { $in: slots.map(s => s.start) } }).lean();
+        const byStart = new Map(loads.map(l => [new Date(l.start).getTime(), l]));
+        const capacity = slotCapacity(window);
+
+        return NextResponse.json({
+            ok: true,
+            window: summary,
+            serviceDate,
+            slotsEnabled: true,
+            slots: slots.map(s => slotAvailability(s, byStart.get(s.start.getTime()), capacity, { now }))
+        });
+    } catch (err) {
+        console.error('GET /api/student/pickup-slots error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -29,7 +29,7 @@ export async function POST(req) {
         if (!items.length) return NextResponse.json({ ok: false, error: 'No items provided' }, { status: 400 });
 
         const orderPayload = {
-            items: items.map(it => ({ productId: it.productId, qty: Number(it.qty || 1), notes: it.notes || '' })),
+            items: items.map(it => ({ productId: it.productId, qty: Number(it.qty || 1), notes: it.notes || '', modifiers: it.modifiers || [], bundleChoices: it.bundleChoices || [] })),
             prepStationId: body.prepStationId || null,
             orderingWindowId: body.orderingWindowId || null,
             external: false,
@@ -55,6 +55,12 @@ export async function POST(req) {
         return NextResponse.json({ ok: true, order: placed.order, tx: placed.tx || null });
     } catch (err) {
         console.error('POST /api/student/place-order error', err);
+        if (['SpendingLimitError', 'ProductBlockedError', 'DietaryConflictError'].includes(err?.name)) {
+            return NextResponse.json({ ok: false, error: err.message, allowance: err.allowance || null, conflicts: err.conflicts || null }, { status: 403 });
+        }
+        if (err?.name === 'ModifierSelectionError' || err?.name === 'BundleSelectionError') {
+            return NextResponse.json({ ok: false, error: err.message }, { status: 400 });
+        }
         return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
     }
 }
@@ -5,7 +5,7 @@ export async function GET() {
     try {
         await connectToDatabase();
         const products = await SpecialProduct.find({ available: true })
-            .select("name category price prepTimeMinutes imageUrl allergens notes metadata")
+            .select("name category price prepTimeMinutes imageUrl allergens modifierGroups notes metadata")
             .sort({ category: 1, name: 1 })
             .lean();
 
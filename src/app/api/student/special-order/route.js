@@ -1,38 +1,13 @@
 import { NextResponse } from 'next/server';
-import { connectToDatabase, SpecialProduct, SpecialOrderingWindow, SpecialOrder, User, Transaction, AuditLog } from '@/models/allModels.js';
+import { connectToDatabase, SpecialProduct, SpecialOrderingWindow, SpecialOrder, User, Transaction, AuditLog, assertWithinSpendingLimits, assertProductsAllowed, assertDietaryAllowed, getSchoolCalendar, notifyLowBalance } from '@/models/allModels.js';
+import { openWindows } from '@/lib/schedule.js';
 import { getToken } from 'next-auth/jwt';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
-
-function getLocalTimeParts(timezone) {
-    const now = new Date();
-    const fmt = new Intl.DateTimeFormat('en-GB', {
-        timeZone: timezone || 'UTC',
-        hour12: false,
-        hour: '2-digit',
-        minute: '2-digit',
-        weekday: 'short',
-    });
-    const parts = fmt.formatToParts(now);
-    const hour = parts.find(p => p.type === 'hour')?.value || '00';
-    const minute = parts.find(p => p.type === 'minute')?.value || '00';
-    const weekday = parts.find(p => p.type === 'weekday')?.value || 'Sun';
-
-    const weekdayMap = {
-        Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6,
-        'Sun.': 0, 'Mon.': 1, 'Tue.': 2, 'Wed.': 3, 'Thu.': 4, 'Fri.': 5, 'Sat.': 6
-    };
-    const dayNum = weekdayMap[weekday] ?? now.getDay();
-    return { hhmm: `${hour}:${minute}`, day: dayNum };
-}
-
-function normalizeDaysOfWeek(days) {
-    if (!Array.isArray(days)) return [];
-    return days.map(d => {
-        const n = Number(d);
-        if (Number.isNaN(n)) return null;
-        return n === 7 ? 0 : n;
-    }).filter(d => d !== null);
-}
+import { getIdempotencyKey, isDuplicateKeyError, requestFingerprint, assertSameRequest, IDEMPOTENCY_REPLAY_HEADER } from '@/lib/idempotency.js';
+import { ORDER_EVENTS, publishOrderEvent } from '@/lib/orderEvents.js';
+import { printOrderTickets } from '@/lib/printing.js';
+import { getCancelCutoffMinutes, cancellableUntil } from '@/lib/orderCancellation.js';
+import { resolveModifiers } from '@/lib/modifiers.js';
 
 async function getSessionLike(req) {
     try {
@@ -73,6 +48,40 @@ export async function POST(req) {
             return NextResponse.json({ ok: false, error: 'Not authenticated (no user). Provide a session or regNumber.' }, { status: 401 });
         }
 
+        const { key: idempotencyKey, error: idemError } = getIdempotencyKey(req);
+        if (idemError) {
+            return NextResponse.json({ ok: false, error: idemError }, { status: 400 });
+        }
+
+        const cancelCutoff = await getCancelCutoffMinutes();
+        const orderResponse = (orderDoc, replayed = false) => NextResponse.json({
+            ok: true,
+            order: {
+                id: orderDoc._id?.toString ? orderDoc._id.toString() : orderDoc._id,
+                code: orderDoc.code,
+                total: orderDoc.total,
+                category: orderDoc.category,
+                items: orderDoc.items,
+                isSpecial: true,
+                cancellableUntil: cancellableUntil(orderDoc, cancelCutoff)
+            }
+        }, { status: 201, headers: replayed ? { [IDEMPOTENCY_REPLAY_HEADER]: 'true' } : undefined });
+
+        const fingerprint = idempotencyKey
+            ? requestFingerprint({ op: 'special-order', userIdOrReg: String(userIdOrReg), items: items.map(it => ({ productId: String(it.productId), qty: Math.max(1, parseInt(it.qty || 1, 10)), modifiers: Array.isArray(it.modifiers) ? it.modifiers : [] })) })
+            : null;
+        if (idempotencyKey) {
+            const prior = await SpecialOrder.findOne({ idempotencyKey });
+            if (prior) {
+                try {
+                    assertSameRequest(prior, fingerprint);
+                } catch (mismatch) {
+                    return NextResponse.json({ ok: false, error: mismatch.message }, { status: 422 });
+                }
+                return orderResponse(prior, true);
+            }
+        }
+
         const productIds = items.map(it => it.productId);
         const products = await SpecialProduct.find({ _id: { $in: productIds }, available: true }).lean();
         const productMap = new Map(products.map(p => [String(p._id), p]));
@@ -86,7 +95,13 @@ export async function POST(req) {
                 return NextResponse.json({ ok: false, error: `Special product not found or unavailable: ${pid}` }, { status: 400 });
             }
             const qty = Math.max(1, parseInt(it.qty || 1, 10));
-            normalizedItems.push({ productId: pid, qty });
+            let mods;
+            try {
+                mods = resolveModifiers(product, it.modifiers);
+            } catch (modErr) {
+                return NextResponse.json({ ok: false, error: modErr.message }, { status: modErr.status || 400 });
+            }
+            normalizedItems.push({ productId: pid, qty, mods });
             categories.add(String(product.category || '').trim());
         }
 
@@ -97,27 +112,9 @@ export async function POST(req) {
         const category = categoryArr[0];
 
         const windows = await SpecialOrderingWindow.find({ active: true, category }).sort({ priority: -1, startTime: 1 }).lean();
-        const anyActive = (windows || []).some(w => {
-            const tz = (w.timezone && typeof w.timezone === 'string') ? w.timezone : 'UTC';
-            const { hhmm, day } = getLocalTimeParts(tz);
-            const days = normalizeDaysOfWeek(w.daysOfWeek || []);
-            if (days.length && !days.includes(day)) return false;
-
-            const start = w.startTime || null;
-            const end = w.endTime || null;
-            if (start && end) {
-                if (start <= end) {
-                    if (hhmm < start || hhmm > end) return false;
-                } else {
-                    if (!(hhmm >= start || hhmm <= end)) return false;
-                }
-            } else if (start) {
-                if (hhmm < start) return false;
-            } else if (end) {
-                if (hhmm > end) return false;
-            }
-            return true;
-        });
+        const calendar = await getSchoolCalendar();
+        // each window in its own timezone; the school calendar closes days or adds extra ones (lib/schedule.js)
+        const anyActive = openWindows(windows || [], { calendar, scope: 'special' }).length > 0;
 
         if (!anyActive) {
             return NextResponse.json({ ok: false, error: 'Special ordering is currently closed for this category.' }, { status: 403 });
@@ -137,18 +134,35 @@ export async function POST(req) {
         const orderItems = normalizedItems.map(it => {
             const p = productMap.get(it.productId);
             const qty = it.qty;
-            const price = p.price;
+            const price = Math.round((Number(p.price || 0) + it.mods.priceDelta) * 100) / 100;
             total += price * qty;
             return {
                 product: p._id,
                 name: p.name,
                 price,
                 qty,
+                modifiers: it.mods.modifiers,
+                ...(it.mods.label ? { label: it.mods.label } : {}),
                 notes: it.notes || '',
-                allergens: p.allergens || []
+                allergens: p.allergens || [],
+
+                prepStation: p.prepStation || null
             };
         });
 
+        // blocked products, dietary profile and daily / weekly spending caps (special orders count towards the same allowance)
+        let dietaryOverrides = [];
+        try {
+            assertProductsAllowed(user, orderItems);
+            dietaryOverrides = await assertDietaryAllowed(user, orderItems, productMap);
+            await assertWithinSpendingLimits(user, total);
+        } catch (limitErr) {
+            if (['SpendingLimitError', 'ProductBlockedError', 'DietaryConflictError'].includes(limitErr?.name)) {
+                return NextResponse.json({ ok: false, error: limitErr.message, allowance: limitErr.allowance || null, conflicts: limitErr.conflicts || null }, { status: 403 });
+            }
+            throw limitErr;
+        }
+
         const updatedUser = await User.findOneAndUpdate(
             { _id: user._id, balance: { $gte: total } },
             { $inc: { balance: -total } },
@@ -160,18 +174,32 @@ export async function POST(req) {
         }
 
         const code = SpecialOrder.generateCode('SP-');
-        const orderDoc = await SpecialOrder.create({
-            code,
-            user: updatedUser._id,
-            regNumber: updatedUser.regNumber || null,
-            category,
-            items: orderItems,
-            total,
-            status: 'placed',
-            orderingWindow: windows?.[0]?._id || null,
-            prepStation: null,
-            meta: { special: true }
-        });
+        let orderDoc;
+        try {
+            orderDoc = await SpecialOrder.create({
+                code,
+                user: updatedUser._id,
+                regNumber: updatedUser.regNumber || null,
+                category,
+                items: orderItems,
+                total,
+                status: 'placed',
+                orderingWindow: windows?.[0]?._id || null,
+                prepStation: null,
+                ...(idempotencyKey ? { idempotencyKey } : {}),
+                meta: { special: true, ...(idempotencyKey ? { idempotencyFingerprint: fingerprint } : {}), ...(dietaryOverrides.length ? { dietaryOverrides } : {}) }
+            });
+        } catch (createErr) {
+            // give the charge back before surfacing the error (or replaying a concurrent duplicate)
+            await User.findByIdAndUpdate(updatedUser._id, { $inc: { balance: total } }).catch((rbErr) => {
+                console.error('Special order rollback failed — manual reconciliation required', rbErr);
+            });
+            if (idempotencyKey && isDuplicateKeyError(createErr)) {
+                const prior = await SpecialOrder.findOne({ idempotencyKey });
+                if (prior) return orderResponse(prior, true);
+            }
+            throw createErr;
+        }
 
         const before = updatedUser.balance + total;
         const after = updatedUser.balance;
@@ -199,16 +227,11 @@ export async function POST(req) {
         } catch (e) {
         }
 
-        return NextResponse.json({
-            ok: true,
-            order: {
-                id: orderDoc._id?.toString ? orderDoc._id.toString() : orderDoc._id,
-                code: orderDoc.code,
-                total: orderDoc.total,
-                category: orderDoc.category,
-                items: orderDoc.items
-            }
-        }, { status: 201 });
+        publishOrderEvent(ORDER_EVENTS.created, orderDoc, { isSpecial: true });
+        await notifyLowBalance(updatedUser, before, after);
+        printOrderTickets(orderDoc, { isSpecial: true }); // background, never throws
+
+        return orderResponse(orderDoc);
     } catch (err) {
         console.error('POST /api/student/special-order error', err);
         const msg = err?.message || '';
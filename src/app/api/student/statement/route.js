@@ -1,6 +1,7 @@
 // app/api/student/statement/route.js
 import { NextResponse } from 'next/server';
-import { connectToDatabase, Transaction, User, Order, SpecialOrder } from '@/models/allModels.js';
+import { connectToDatabase, User } from '@/models/allModels.js';
+import { buildStatement } from '@/lib/statement.js';
 import { getServerSession } from 'next-auth/next';
 import { getToken } from 'next-auth/jwt';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
@@ -100,56 +101,8 @@ export async function GET(req) {
             userObjectId = u._id;
         }
 
-        const query = { user: userObjectId };
-        if (since) {
-            const d = new Date(since);
-            if (!isNaN(d.getTime())) query.createdAt = { $gte: d };
-        }
-
-        // fetch transactions and attach minimal order info
-        const txs = await Transaction.find(query)
-            .sort({ createdAt: -1 })
-            .limit(limit)
-            .populate({ path: 'relatedOrder', select: 'code status total items' })
-            .lean();
-
-        const specialIds = txs.map(t => t?.meta?.specialOrderId).filter(Boolean);
-        let specialMap = {};
-        if (specialIds.length) {
-            const specials = await SpecialOrder.find({ _id: { $in: specialIds } }).select('code status total items').lean();
-            specialMap = Object.fromEntries(specials.map(s => [String(s._id), s]));
-        }
-
-        // compute running balances optionally and normalize
-        const txsOut = txs.map(t => {
-            const rel = t.relatedOrder
-                ? { id: t.relatedOrder._id?.toString ? t.relatedOrder._id.toString() : t.relatedOrder._id, code: t.relatedOrder.code, status: t.relatedOrder.status, total: t.relatedOrder.total, items: t.relatedOrder.items, isSpecial: false }
-                : (t?.meta?.specialOrderId && specialMap[String(t.meta.specialOrderId)]
-                    ? { id: String(t.meta.specialOrderId), code: specialMap[String(t.meta.specialOrderId)].code, status: specialMap[String(t.meta.specialOrderId)].status, total: specialMap[String(t.meta.specialOrderId)].total, items: specialMap[String(t.meta.specialOrderId)].items, isSpecial: true }
-                    : null);
-            return {
-                id: t._id?.toString ? t._id.toString() : t._id,
-                type: t.type,
-                amount: t.amount,
-                balanceBefore: t.balanceBefore,
-                balanceAfter: t.balanceAfter,
-                relatedOrder: rel,
-                note: t.note || '',
-                createdAt: t.createdAt
-            };
-        });
-
-        // Optionally return a small summary: current balance (from last transaction) and totals
-        const currentBalance = txsOut.length ? txsOut[0].balanceAfter : null;
-        const totals = txsOut.reduce((acc, t) => {
-            acc.count += 1;
-            acc.net += Number(t.amount || 0);
-            if (t.type === 'topup') acc.topup += Number(t.amount || 0);
-            if (t.type === 'order') acc.orders += Number(t.amount || 0);
-            return acc;
-        }, { count: 0, net: 0, topup: 0, orders: 0 });
-
-        return NextResponse.json({ ok: true, transactions: txsOut, summary: { currentBalance, totals } }, { status: 200 });
+        const { transactions, summary } = await buildStatement(userObjectId, { limit, since });
+        return NextResponse.json({ ok: true, transactions, summary }, { status: 200 });
     } catch (err) {
         console.error('GET /api/student/statement error', err);
         return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
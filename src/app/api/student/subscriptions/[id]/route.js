@@ -0,0 +1,66 @@
+// app/api/student/subscriptions/[id]/route.js
+import { NextResponse } from 'next/server';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { connectToDatabase, User } from '@/models/allModels.js';
+import { findStudentSubscription, saveSubscription, deleteSubscription } from '@/lib/subscriptions.js';
+
+/**
+ * One recurring order of the signed-in student
+ *  PATCH  { name?, items?, daysOfWeek?, orderingWindowId?, status?: 'active' | 'paused' } -> { ok, subscription }
+ *  DELETE -> { ok }
+ */
+async function getStudent(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName = process.env.NODE_ENV === 'production'
+        ? '__Secure-next-auth.session-token'
+        : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch(() => null);
+    const sessionUser = token?.user || token;
+    const devReg = new URL(req.url).searchParams.get('regNumber');
+    const idOrReg = sessionUser?.id || sessionUser?.regNumber || devReg || null;
+    if (!idOrReg) return null;
+    await connectToDatabase();
+    return /^[0-9a-fA-F]{24}$/.test(String(idOrReg))
+        ? User.findById(idOrReg)
+        : User.findOne({ regNumber: idOrReg });
+}
+
+export async function PATCH(req, { params }) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const { id } = await params;
+        const existing = await findStudentSubscription(student._id, id);
+        if (!existing) return NextResponse.json({ ok: false, error: 'Subscription not found' }, { status: 404 });
+
+        const body = await req.json().catch(() => ({}));
+        const { subscription, error, status } = await saveSubscription({ student, actor: student, body, subscription: existing });
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+        return NextResponse.json({ ok: true, subscription });
+    } catch (err) {
+        console.error('PATCH /api/student/subscriptions/:id error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function DELETE(req, { params }) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const { id } = await params;
+        const existing = await findStudentSubscription(student._id, id);
+        if (!existing) return NextResponse.json({ ok: false, error: 'Subscription not found' }, { status: 404 });
+
+        await deleteSubscription(existing, student);
+        return NextResponse.json({ ok: true });
+    } catch (err) {
+        console.error('DELETE /api/student/subscriptions/:id error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
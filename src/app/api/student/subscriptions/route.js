@@ -0,0 +1,57 @@
+// app/api/student/subscriptions/route.js
+import { NextResponse } from 'next/server';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { connectToDatabase, User } from '@/models/allModels.js';
+import { listSubscriptions, saveSubscription } from '@/lib/subscriptions.js';
+
+/**
+ * Recurring orders of the signed-in student (lib/subscriptions.js)
+ *  GET  -> { ok, subscriptions }
+ *  POST { name?, items: [{ productId, qty }], daysOfWeek: [0..6], orderingWindowId } -> { ok, subscription }
+ */
+async function getStudent(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName = process.env.NODE_ENV === 'production'
+        ? '__Secure-next-auth.session-token'
+        : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch(() => null);
+    const sessionUser = token?.user || token;
+    const devReg = new URL(req.url).searchParams.get('regNumber');
+    const idOrReg = sessionUser?.id || sessionUser?.regNumber || devReg || null;
+    if (!idOrReg) return null;
+    await connectToDatabase();
+    return /^[0-9a-fA-F]{24}$/.test(String(idOrReg))
+        ? User.findById(idOrReg)
+        : User.findOne({ regNumber: idOrReg });
+}
+
+export async function GET(req) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        return NextResponse.json({ ok: true, subscriptions: await listSubscriptions(student._id) });
+    } catch (err) {
+        console.error('GET /api/student/subscriptions error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
+
+export async function POST(req) {
+    try {
+        const student = await getStudent(req);
+        if (!student) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const body = await req.json().catch(() => ({}));
+        const { subscription, error, status } = await saveSubscription({ student, actor: student, body });
+        if (error) return NextResponse.json({ ok: false, error }, { status });
+        return NextResponse.json({ ok: true, subscription }, { status: 201 });
+    } catch (err) {
+        console.error('POST /api/student/subscriptions error', err);
+        return NextResponse.json({ ok: false, error: err.message || 'Server error' }, { status: 500 });
+    }
+}
@@ -3,11 +3,10 @@ export const runtime = 'nodejs';
 
 import { connectToDatabase, User, AuditLog } from '@/models/allModels';
 import bcrypt from 'bcrypt';
-import { getServerSession } from 'next-auth/next';
-// Adjust this path if your NextAuth file with `authOptions` is elsewhere
-import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { withSignedInUser } from '@/lib/routeAuth.js';
 
-export async function POST(req) {
+// any signed-in user changes their own password; staff who need two-factor sign-in must have passed it
+export const POST = withSignedInUser(async (req, context, { user: sessionUser }) => {
     try {
         // parse body
         const { currentPassword = '', newPassword = '' } = await req.json();
@@ -16,16 +15,9 @@ export async function POST(req) {
             return new Response(JSON.stringify({ ok: false, error: 'New password must be at least 8 characters' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
         }
 
-        // get session
-        const session = await getServerSession(authOptions);
-        if (!session?.user?.id) {
-            return new Response(JSON.stringify({ ok: false, error: 'Not authenticated' }), { status: 401, headers: { 'Content-Type': 'application/json' } });
-        }
-
         await connectToDatabase();
 
-        const userId = session.user.id || session.user?.sub || session.user?.id;
-        const user = await User.findById(userId);
+        const user = await User.findById(sessionUser._id);
         if (!user) {
             return new Response(JSON.stringify({ ok: false, error: 'User not found' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
         }
@@ -70,4 +62,4 @@ export async function POST(req) {
         console.error('change-password error', err);
         return new Response(JSON.stringify({ ok: false, error: String(err?.message || err) }), { status: 500, headers: { 'Content-Type': 'application/json' } });
     }
-}
+});
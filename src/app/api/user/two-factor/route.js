@@ -0,0 +1,69 @@
+// app/api/user/two-factor/route.js
+import { NextResponse } from 'next/server';
+import { getRequestUser } from '@/lib/routeAuth.js';
+import { clientIp } from '@/lib/clientIp.js';
+import {
+    TwoFactorError,
+    twoFactorStatus,
+    beginEnrollment,
+    confirmEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+} from '@/lib/twoFactor.js';
+
+/**
+ * Two-factor sign-in for the signed-in user (lib/twoFactor.js)
+ * GET  -> { ok, enabled, required, enabledAt, pending, recoveryCodesLeft }
+ * POST { action: "begin" }                 -> { ok, secret, otpauthUrl, qr }   start (or restart) enrollment
+ *      { action: "enable", code }          -> { ok, recoveryCodes }             confirm with a code from the app
+ *      { action: "recovery_codes", code }  -> { ok, recoveryCodes }             replace the recovery codes
+ *      { action: "disable", code }         -> { ok }                            only for roles where 2FA is optional
+ * Recovery codes are returned once; only their hashes are kept.
+ */
+
+export async function GET(req) {
+    try {
+        const user = await getRequestUser(req);
+        if (!user) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        return NextResponse.json({ ok: true, ...(await twoFactorStatus(user._id)) });
+    } catch (err) {
+        console.error('GET /api/user/two-factor error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: err?.status || 500 });
+    }
+}
+
+export async function POST(req) {
+    try {
+        const user = await getRequestUser(req);
+        if (!user) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+        const body = await req.json().catch(() => ({}));
+        const action = String(body.action || '').toLowerCase();
+        const code = String(body.code || '').trim();
+        const meta = { ip: clientIp(req.headers), userAgent: req.headers.get('user-agent') || null };
+
+        if (action === 'begin') {
+            return NextResponse.json({ ok: true, ...(await beginEnrollment(user._id)) });
+        }
+        if (['enable', 'recovery_codes', 'disable'].includes(action) && !code) {
+            return NextResponse.json({ ok: false, error: 'code required' }, { status: 400 });
+        }
+        if (action === 'enable') {
+            return NextResponse.json({ ok: true, ...(await confirmEnrollment(user._id, code, meta)) });
+        }
+        if (action === 'recovery_codes') {
+            return NextResponse.json({ ok: true, ...(await regenerateRecoveryCodes(user._id, code, meta)) });
+        }
+        if (action === 'disable') {
+            await disableTwoFactor(user._id, code, meta);
+            return NextResponse.json({ ok: true });
+        }
+        return NextResponse.json({ ok: false, error: 'Unsupported action' }, { status: 400 });
+    } catch (err) {
+        if (err instanceof TwoFactorError) {
+            return NextResponse.json({ ok: false, error: err.message }, { status: err.status });
+        }
+        console.error('POST /api/user/two-factor error', err);
+        return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
+    }
+}
@@ -3,6 +3,9 @@
 import React, { useEffect, useState, useCallback, useRef } from "react";
 import { useSession, signIn } from "next-auth/react";
 import ProductCard from "../components/canteen/ProductCard";
+import useOrderEvents from "../components/useOrderEvents";
+import { itemLabel } from "@/lib/modifiers";
+import { kitchenQty, preparedQty } from "@/lib/queueEta";
 import {
   FiRefreshCw,
   FiBox,
@@ -12,6 +15,7 @@ import {
   FiLogIn,
   FiShoppingBag,
   FiCoffee,
+  FiPrinter,
 } from "react-icons/fi";
 
 /*
@@ -20,8 +24,45 @@ import {
   - Tracks optimistic adjustments per-product (applied to server summaries until confirmed)
   - Pauses auto-refresh while prepare/unprepare is pending for that product
   - Uses functional setState to avoid stale closures
+  - Refreshes on live order events (SSE); polling drops to every 30s while the stream is up
+  - Station selector: a prep station only sees (and prepares) its own order lines; remembered per device
+  - Active orders are grouped by pickup slot, earliest slot first (orders without a slot last)
 */
 
+const STATION_STORAGE_KEY = "canteen.station";
+const UNASSIGNED_STATION = "unassigned";
+
+const lineStation = (it, known) => {
+  const id = it?.prepStation ? String(it.prepStation) : "";
+  return id && known.has(id) ? id : UNASSIGNED_STATION;
+};
+
+// same shape as stationProgress() on the server: [{ station, total, prepared, done }]
+function progressOf(items, known) {
+  const m = new Map();
+  for (const it of items || []) {
+    const key = lineStation(it, known);
+    const e = m.get(key) || { station: key, total: 0, prepared: 0 };
+    e.total += kitchenQty(it);
+    e.prepared += preparedQty(it);
+    m.set(key, e);
+  }
+  return [...m.values()].map((e) => ({ ...e, done: e.prepared >= e.total }));
+}
+
+// [{ key, label, orders }] in slot order; the server already sorts orders by slot then age
+function groupBySlot(orders) {
+  const m = new Map();
+  for (const o of orders || []) {
+    const start = o.pickupSlot?.start ? new Date(o.pickupSlot.start).getTime() : Infinity;
+    const key = Number.isFinite(start) ? String(start) : "none";
+    const g = m.get(key) || { key, start, label: o.pickupSlot?.label || null, orders: [] };
+    g.orders.push(o);
+    m.set(key, g);
+  }
+  return [...m.values()].sort((a, b) => a.start - b.start);
+}
+
 export default function CanteenHome() {
   const { data: session, status } = useSession();
   const [groups, setGroups] = useState({
@@ -33,6 +74,23 @@ export default function CanteenHome() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [stations, setStations] = useState([]);
+  const [station, setStation] = useState("");
+
+  useEffect(() => {
+    try {
+      setStation(localStorage.getItem(STATION_STORAGE_KEY) || "");
+    } catch (e) {}
+  }, []);
+
+  const chooseStation = useCallback((value) => {
+    setStation(value);
+    optimisticAdjustmentsRef.current = new Map();
+    try {
+      if (value) localStorage.setItem(STATION_STORAGE_KEY, value);
+      else localStorage.removeItem(STATION_STORAGE_KEY);
+    } catch (e) {}
+  }, []);
 
   // pendingPrepare state + ref (avoids stale closures)
   const [pendingPrepare, setPendingPrepare] = useState(new Set());
@@ -48,6 +106,8 @@ export default function CanteenHome() {
   const fetchingRef = useRef(false);
   const abortRef = useRef(null);
   const mountedRef = useRef(true);
+  const liveRef = useRef(false);
+  const eventRefreshRef = useRef(null);
 
   // helpers to keep ref & state in sync
   const addPending = useCallback((name) => {
@@ -112,7 +172,10 @@ export default function CanteenHome() {
       abortRef.current = ac;
 
       try {
-        const res = await fetch("/api/canteen/orders", {
+        const url = station
+          ? `/api/canteen/orders?station=${encodeURIComponent(station)}`
+          : "/api/canteen/orders";
+        const res = await fetch(url, {
           method: "GET",
           cache: "no-store",
           credentials: "include",
@@ -129,6 +192,13 @@ export default function CanteenHome() {
           setGroups({ placed: [], preparing: [], ready: [] });
           setProductSummary([]);
         } else {
+          const list = body.stations || [];
+          setStations(list);
+          // remembered station was deleted -> back to all stations
+          if (station && station !== UNASSIGNED_STATION && !list.some((st) => st.id === station)) {
+            chooseStation("");
+          }
+
           const newGroups = body.groups || {
             placed: [],
             preparing: [],
@@ -167,14 +237,18 @@ export default function CanteenHome() {
         if (mountedRef.current) setLoading(false);
       }
     },
-    [status]
+    [status, station, chooseStation]
   );
 
   useEffect(() => {
     mountedRef.current = true;
     if (status === "authenticated") fetchGroups({ force: true });
 
+    let ticks = 0;
     const interval = setInterval(() => {
+      ticks += 1;
+      // live stream up -> only a slow safety poll (every 5th tick)
+      if (liveRef.current && ticks % 5 !== 0) return;
       if (status === "authenticated") fetchGroups();
     }, 6000);
 
@@ -186,9 +260,22 @@ export default function CanteenHome() {
         } catch (e) {}
       }
       clearInterval(interval);
+      clearTimeout(eventRefreshRef.current);
     };
   }, [status, fetchGroups]);
 
+  // live order events: coalesce bursts (e.g. several units prepared) into one refresh
+  const onOrderEvent = useCallback(() => {
+    clearTimeout(eventRefreshRef.current);
+    eventRefreshRef.current = setTimeout(() => fetchGroups(), 300);
+  }, [fetchGroups]);
+  const { connected: live } = useOrderEvents(onOrderEvent, {
+    enabled: status === "authenticated",
+  });
+  useEffect(() => {
+    liveRef.current = live;
+  }, [live]);
+
   // compute product summary, preferring per-item preparedCount if present
   const computeProductSummary = useCallback((groupsObj) => {
     const map = new Map();
@@ -216,24 +303,21 @@ export default function CanteenHome() {
       );
       if (hasItemPrepared) {
         for (const it of o.items) {
-          const qty = Number(it.qty || 0);
-          const prepared = Math.max(
-            0,
-            Number(it.preparedCount ?? it.prepared ?? 0)
-          );
-          const unprepared = Math.max(0, qty - prepared);
-          add(it.name || "Unknown", { total: qty, unprepared, ready: 0 });
+          // refunded units are off the board
+          const qty = kitchenQty(it);
+          const unprepared = qty - preparedQty(it);
+          add(itemLabel(it) || "Unknown", { total: qty, unprepared, ready: 0 });
         }
         return;
       }
 
       // Fallback: proportional allocation from order.meta.preparedCount (legacy)
-      const totalQty = o.items.reduce((s, it) => s + Number(it.qty || 0), 0);
+      const totalQty = o.items.reduce((s, it) => s + kitchenQty(it), 0);
       const prepared = Math.max(0, Number(o.meta?.preparedCount || 0));
 
       const allocations = o.items.map((it) => ({
-        name: it.name || "Unknown",
-        qty: Number(it.qty || 0),
+        name: itemLabel(it) || "Unknown",
+        qty: kitchenQty(it),
         alloc: 0,
       }));
 
@@ -274,10 +358,10 @@ export default function CanteenHome() {
     const processReady = (o) => {
       if (!o || !o.items) return;
       for (const it of o.items) {
-        add(it.name || "Unknown", {
-          total: Number(it.qty || 0),
+        add(itemLabel(it) || "Unknown", {
+          total: kitchenQty(it),
           unprepared: 0,
-          ready: Number(it.qty || 0),
+          ready: kitchenQty(it),
         });
       }
     };
@@ -316,23 +400,32 @@ export default function CanteenHome() {
       if (!orderFromServer) return;
 
       const oid = String(orderFromServer.id || orderFromServer._id || "");
+      const known = new Set(stations.map((st) => st.id));
+      const allItems = (orderFromServer.items || []).map((it) => ({
+        name: it.name,
+        label: it.label || null,
+        qty: it.qty,
+        refundedQty: Number(it.refundedQty || 0),
+        prepStation: it.prepStation || null,
+        preparedCount:
+          it.preparedCount !== undefined
+            ? Number(it.preparedCount)
+            : it.prepared !== undefined
+            ? Number(it.prepared)
+            : undefined,
+      }));
       const normalized = {
         id: oid,
         code: orderFromServer.code || orderFromServer.code || null,
         status: orderFromServer.status || null,
-        items: (orderFromServer.items || []).map((it) => ({
-          name: it.name,
-          qty: it.qty,
-          preparedCount:
-            it.preparedCount !== undefined
-              ? Number(it.preparedCount)
-              : it.prepared !== undefined
-              ? Number(it.prepared)
-              : undefined,
-        })),
+        items: station
+          ? allItems.filter((it) => lineStation(it, known) === station)
+          : allItems,
+        stationProgress: progressOf(allItems, known),
         total: orderFromServer.total || orderFromServer.amount || null,
         regNumber: orderFromServer.regNumber || null,
         createdAt: orderFromServer.createdAt || new Date().toISOString(),
+        pickupSlot: orderFromServer.pickupSlot || null,
       };
 
       setGroups((prevGroups) => {
@@ -365,7 +458,7 @@ export default function CanteenHome() {
           // clear optimistic adjustments for items present in the returned order (server authoritative)
           const m = new Map(optimisticAdjustmentsRef.current);
           for (const it of normalized.items || []) {
-            if (m.has(it.name)) m.delete(it.name);
+            if (m.has(itemLabel(it))) m.delete(itemLabel(it));
           }
           optimisticAdjustmentsRef.current = m;
 
@@ -390,7 +483,7 @@ export default function CanteenHome() {
         return merged;
       });
     },
-    [computeProductSummary]
+    [computeProductSummary, station, stations]
   );
 
   // product-level prepare/unprepare: optimistic update + pending guard + merge server order on success
@@ -426,7 +519,7 @@ export default function CanteenHome() {
           method: "POST",
           credentials: "include",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ productName, action }),
+          body: JSON.stringify({ productName, action, stationId: station || undefined }),
         });
 
         const body = await res
@@ -477,6 +570,7 @@ export default function CanteenHome() {
       fetchGroups,
       mergeServerOrderIntoGroups,
       removePending,
+      station,
     ]
   );
 
@@ -533,6 +627,53 @@ export default function CanteenHome() {
     0
   );
   const totalReady = productSummary.reduce((sum, p) => sum + (p.ready || 0), 0);
+  const stationLabel = (id) =>
+    id === UNASSIGNED_STATION
+      ? "Unassigned"
+      : stations.find((st) => st.id === id)?.name || "Station";
+
+  // kitchen ticket for this station's lines (all lines when no station is selected)
+  const openTicket = (o) => {
+    const qs = new URLSearchParams({ format: "html", kind: "kitchen", print: "1" });
+    if (station) qs.set("station", station);
+    window.open(`/api/canteen/orders/${o.id}/ticket?${qs.toString()}`, "_blank");
+  };
+  const ticketButton = (o) => (
+    <button
+      onClick={() => openTicket(o)}
+      className="p-1 rounded text-slate-400 hover:text-slate-100 hover:bg-slate-700"
+      aria-label={`Print ticket ${o.code}`}
+      title="Print kitchen ticket"
+    >
+      <FiPrinter size={14} />
+    </button>
+  );
+
+  // other stations' progress on a shared order (only worth showing when more than one station is involved)
+  const renderStationProgress = (o) =>
+    (o.stationProgress || []).length > 1 && (
+      <div className="flex flex-wrap gap-1 mt-2">
+        {o.stationProgress.map((p) => (
+          <span
+            key={p.station}
+            className={`text-[11px] px-2 py-0.5 rounded-full ${
+              p.done
+                ? "bg-green-900/30 text-green-400"
+                : p.station === station
+                ? "bg-amber-900/30 text-amber-400"
+                : "bg-slate-700 text-slate-300"
+            }`}
+          >
+            {stationLabel(p.station)} {p.prepared}/{p.total}
+          </span>
+        ))}
+      </div>
+    );
+  // preparing before placed inside each pickup slot
+  const activeSlotGroups = groupBySlot([
+    ...(groups.preparing || []),
+    ...(groups.placed || []).slice(0, 6),
+  ]);
   const totalOrders =
     (groups.placed?.length || 0) +
     (groups.preparing?.length || 0) +
@@ -546,9 +687,19 @@ export default function CanteenHome() {
           <div>
             <h1 className="text-2xl md:text-3xl font-bold text-slate-100 flex items-center gap-2">
               <FiShoppingBag className="text-cyan-400" /> Canteen Dashboard
+              {station && (
+                <span className="text-base font-medium text-amber-400">
+                  · {stationLabel(station)}
+                </span>
+              )}
             </h1>
             <p className="text-sm text-slate-300 mt-1">
-              Live order management • Auto-refreshes every 6 seconds
+              Live order management •{" "}
+              {live ? (
+                <span className="text-emerald-400">Live</span>
+              ) : (
+                "Auto-refreshes every 6 seconds"
+              )}
               {lastUpdated && (
                 <span className="text-slate-400">
                   {" "}
@@ -558,6 +709,22 @@ export default function CanteenHome() {
             </p>
           </div>
           <div className="flex gap-3 items-center">
+            <select
+              value={station}
+              onChange={(e) => chooseStation(e.target.value)}
+              className="px-3 py-2 rounded-lg bg-slate-800 text-slate-200 border border-slate-700"
+              aria-label="Prep station"
+            >
+              <option value="">All stations</option>
+              {stations
+                .filter((st) => st.active || st.id === station)
+                .map((st) => (
+                  <option key={st.id} value={st.id}>
+                    {st.name}
+                  </option>
+                ))}
+              <option value={UNASSIGNED_STATION}>Unassigned</option>
+            </select>
             <button
               onClick={() => fetchGroups({ force: true })}
               className="px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 text-slate-200 transition-colors duration-200 flex items-center gap-2"
@@ -693,50 +860,78 @@ export default function CanteenHome() {
                   <p>No active orders</p>
                 </div>
               ) : (
-                <div className="space-y-3">
-                  {(groups.preparing || []).map((o) => (
-                    <div
-                      key={o.id}
-                      className="bg-slate-800/50 p-3 rounded-lg border border-slate-700"
-                    >
-                      <div className="flex justify-between items-center mb-2">
-                        <div className="font-mono text-sm font-medium text-slate-100 bg-slate-700 px-2 py-1 rounded">
-                          {o.code}
+                <div className="space-y-4">
+                  {activeSlotGroups.map((g) => (
+                    <div key={g.key} className="space-y-3">
+                      {g.label ? (
+                        <div className="flex items-center gap-2 text-xs font-medium text-cyan-300">
+                          <FiClock size={12} /> Pickup {g.label}
+                          <span className="text-slate-500">({g.orders.length})</span>
                         </div>
-                        <div className="text-xs text-blue-400 bg-blue-900/30 px-2 py-1 rounded-full">
-                          {o.status}
-                        </div>
-                      </div>
-                      <div className="text-xs text-slate-400">
-                        {o.items?.map((it, idx) => (
+                      ) : (
+                        activeSlotGroups.length > 1 && (
+                          <div className="text-xs font-medium text-slate-400">No pickup slot</div>
+                        )
+                      )}
+                      {g.orders.map((o) =>
+                        o.status === "preparing" ? (
                           <div
-                            key={idx}
-                            className="flex justify-between py-1 border-b border-slate-700/50 last:border-b-0"
+                            key={o.id}
+                            className="bg-slate-800/50 p-3 rounded-lg border border-slate-700"
                           >
-                            <span>{it.name}</span>
-                            <span className="text-slate-300">×{it.qty}</span>
+                            <div className="flex justify-between items-center mb-2">
+                              <div className="font-mono text-sm font-medium text-slate-100 bg-slate-700 px-2 py-1 rounded">
+                                {o.code}
+                              </div>
+                              <div className="flex items-center gap-2">
+                                {ticketButton(o)}
+                                <div className="text-xs text-blue-400 bg-blue-900/30 px-2 py-1 rounded-full">
+                                  {o.status}
+                                </div>
+                              </div>
+                            </div>
+                            <div className="text-xs text-slate-400">
+                              {o.items?.map((it, idx) => (
+                                <div
+                                  key={idx}
+                                  className="flex justify-between py-1 border-b border-slate-700/50 last:border-b-0"
+                                >
+                                  <span>{itemLabel(it)}</span>
+                                  <span className="text-slate-300">
+                                    ×{kitchenQty(it)}
+                                    {Number(it.refundedQty || 0) > 0 && (
+                                      <span className="ml-1 text-xs text-amber-300">({it.refundedQty} refunded)</span>
+                                    )}
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                            {renderStationProgress(o)}
                           </div>
-                        ))}
-                      </div>
-                    </div>
-                  ))}
-
-                  {(groups.placed || []).slice(0, 6).map((o) => (
-                    <div
-                      key={o.id}
-                      className="bg-slate-800/30 p-3 rounded-lg border border-slate-700/50"
-                    >
-                      <div className="flex justify-between items-center mb-2">
-                        <div className="font-mono text-sm text-slate-300">
-                          {o.code}
-                        </div>
-                        <div className="text-xs text-slate-500">{o.status}</div>
-                      </div>
-                      <div className="text-xs text-slate-500 truncate">
-                        {o.items
-                          ?.map((it) => `${it.name}×${it.qty}`)
-                          .join(" · ")}
-                      </div>
+                        ) : (
+                          <div
+                            key={o.id}
+                            className="bg-slate-800/30 p-3 rounded-lg border border-slate-700/50"
+                          >
+                            <div className="flex justify-between items-center mb-2">
+                              <div className="font-mono text-sm text-slate-300">
+                                {o.code}
+                              </div>
+                              <div className="flex items-center gap-2">
+                                {ticketButton(o)}
+                                <div className="text-xs text-slate-500">{o.status}</div>
+                              </div>
+                            </div>
+                            <div className="text-xs text-slate-500 truncate">
+                              {o.items
+                                ?.filter((it) => kitchenQty(it) > 0)
+                                .map((it) => `${itemLabel(it)}×${kitchenQty(it)}`)
+                                .join(" · ")}
+                            </div>
+                            {renderStationProgress(o)}
+                          </div>
+                        )
+                      )}
                     </div>
                   ))}
                 </div>
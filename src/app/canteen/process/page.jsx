@@ -1,9 +1,11 @@
 // app/(canteen)/process/page.jsx
 "use client";
 
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useSession, signIn } from "next-auth/react";
-import { FiCheckCircle, FiAlertCircle, FiLogIn } from "react-icons/fi";
+import { FiCheckCircle, FiAlertCircle, FiLogIn, FiCamera, FiX } from "react-icons/fi";
+import useOrderEvents from "../../components/useOrderEvents";
+import { itemLabel } from "@/lib/modifiers";
 
 /**
  * Canteen Process Page (list by date OR all uncollected)
@@ -12,8 +14,13 @@ import { FiCheckCircle, FiAlertCircle, FiLogIn } from "react-icons/fi";
  * - Toggle "Show all uncollected" to false to use the date picker and load orders for that date.
  * - Search by student name (server-side search that checks user.name, regNumber, or meta.issuedToName).
  * - Click an order to view details and then click "Mark Collected".
+ * - Live order events (SSE) update statuses in place and pull in orders as they start preparing.
+ * - Scan box: a USB scanner in keyboard-wedge mode (types + Enter) or the device camera (BarcodeDetector).
+ *   Signed pickup QRs are collected straight away (the server verifies the signature); plain codes are looked up.
  */
 
+const QR_PREFIX = "RCQ1.";
+
 function money(n) {
   try {
     return new Intl.NumberFormat("en-ZW", {
@@ -35,6 +42,13 @@ export default function ProcessOrderPage() {
   const [loading, setLoading] = useState(false);
   const [processingIds, setProcessingIds] = useState(new Set());
   const [error, setError] = useState("");
+  const [scanValue, setScanValue] = useState("");
+  const [scanResult, setScanResult] = useState(null); // { type: "success" | "error", text }
+  const [scanning, setScanning] = useState(false);
+  const [cameraOn, setCameraOn] = useState(false);
+  const scanInputRef = useRef(null);
+  const videoRef = useRef(null);
+  const cameraRef = useRef({ stream: null, timer: null });
 
   useEffect(() => {
     // auto-load initial set: all uncollected
@@ -42,10 +56,12 @@ export default function ProcessOrderPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  async function loadOrders() {
-    setError("");
-    setSelected(null);
-    setLoading(true);
+  async function loadOrders({ quiet = false } = {}) {
+    if (!quiet) {
+      setError("");
+      setSelected(null);
+      setLoading(true);
+    }
     try {
       const params = new URLSearchParams();
       if (!showAllUncollected) {
@@ -62,6 +78,7 @@ export default function ProcessOrderPage() {
         .json()
         .catch(() => ({ ok: false, error: "Invalid JSON" }));
       if (!res.ok || !body.ok) {
+        if (quiet) return;
         setError(body?.error || `Failed to load (${res.status})`);
         setOrders([]);
       } else {
@@ -69,13 +86,42 @@ export default function ProcessOrderPage() {
       }
     } catch (err) {
       console.error(err);
+      if (quiet) return;
       setError("Network error while loading orders.");
       setOrders([]);
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
     }
   }
 
+  // live updates: patch known orders in place, reload quietly when a new one becomes collectable
+  const { connected: live } = useOrderEvents(
+    (event) => {
+      const o = event?.order;
+      if (!o?.id) return;
+      const known = orders.some((x) => String(x.id || x._id) === o.id);
+      if (known) {
+        const patch = (x) => {
+          if (String(x.id || x._id) !== o.id) return x;
+          const items = (x.items || []).map((it) => {
+            const match = (o.items || []).find((li) => itemLabel(li) === itemLabel(it));
+            return match ? { ...it, preparedCount: match.preparedCount } : it;
+          });
+          const collectedAt =
+            event.type === "order.collected"
+              ? x.collectedAt || event.at
+              : x.collectedAt;
+          return { ...x, status: o.status, items, collectedAt };
+        };
+        setOrders((prev) => prev.map(patch));
+        setSelected((prev) => (prev ? patch(prev) : prev));
+      } else if (["preparing", "ready"].includes(o.status)) {
+        loadOrders({ quiet: true });
+      }
+    },
+    { enabled: status === "authenticated" }
+  );
+
   async function markCollected(orderId) {
     if (!orderId) return;
     setError("");
@@ -139,6 +185,108 @@ export default function ProcessOrderPage() {
     }
   }
 
+  const markLocallyCollected = (orderId, collectedAt) => {
+    const patch = (o) =>
+      String(o.id || o._id) === String(orderId)
+        ? { ...o, status: "collected", collectedAt: collectedAt || new Date().toISOString() }
+        : o;
+    setOrders((prev) => prev.map(patch));
+    setSelected((prev) => (prev ? patch(prev) : prev));
+  };
+
+  async function handleScan(raw) {
+    const value = String(raw || "").trim();
+    if (!value || scanning) return;
+    setScanning(true);
+    setScanResult(null);
+    setError("");
+    try {
+      if (value.startsWith(QR_PREFIX)) {
+        const res = await fetch("/api/canteen/process", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ qr: value }),
+        });
+        const body = await res.json().catch(() => ({ ok: false, error: "Invalid JSON" }));
+        if (!res.ok || !body.ok) {
+          setScanResult({ type: "error", text: body?.error || `Rejected (${res.status})` });
+          return;
+        }
+        markLocallyCollected(body.orderId, body.collectedAt);
+        const items = (body.items || []).map((it) => `${it.qty}× ${itemLabel(it)}`).join(", ");
+        setScanResult({ type: "success", text: `Collected ${body.code}${items ? ` — ${items}` : ""}` });
+        return;
+      }
+
+      // plain pickup code: look it up and let the operator confirm
+      const res = await fetch(`/api/canteen/process?code=${encodeURIComponent(value.toUpperCase())}`, { cache: "no-store" });
+      const body = await res.json().catch(() => ({ ok: false, error: "Invalid JSON" }));
+      if (!res.ok || !body.ok) {
+        setScanResult({ type: "error", text: body?.error || `Not found (${res.status})` });
+        return;
+      }
+      setSelected(body.order);
+      setScanResult({ type: "success", text: `Found ${body.order.code} — check the items and mark it collected` });
+    } catch (err) {
+      console.error(err);
+      setScanResult({ type: "error", text: "Network error while scanning." });
+    } finally {
+      setScanning(false);
+      setScanValue("");
+      scanInputRef.current?.focus();
+    }
+  }
+
+  function stopCamera() {
+    const cam = cameraRef.current;
+    clearInterval(cam.timer);
+    cam.stream?.getTracks().forEach((t) => t.stop());
+    cameraRef.current = { stream: null, timer: null };
+    setCameraOn(false);
+  }
+
+  async function startCamera() {
+    if (typeof window === "undefined" || !("BarcodeDetector" in window) || !navigator.mediaDevices?.getUserMedia) {
+      setScanResult({
+        type: "error",
+        text: "This browser cannot scan with the camera. Use a USB scanner or type the code.",
+      });
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+      const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+      cameraRef.current.stream = stream;
+      setCameraOn(true);
+      // the <video> mounts with cameraOn; attach the stream on the next tick
+      setTimeout(() => {
+        if (!videoRef.current) return;
+        videoRef.current.srcObject = stream;
+        videoRef.current.play().catch(() => null);
+      }, 0);
+      cameraRef.current.timer = setInterval(async () => {
+        const video = videoRef.current;
+        if (!video || video.readyState < 2) return;
+        try {
+          const codes = await detector.detect(video);
+          if (codes.length && codes[0].rawValue) {
+            stopCamera();
+            handleScan(codes[0].rawValue);
+          }
+        } catch (e) {
+          // frame not decodable yet
+        }
+      }, 400);
+    } catch (err) {
+      console.warn("Camera unavailable", err);
+      setScanResult({ type: "error", text: "Camera unavailable or permission denied." });
+      stopCamera();
+    }
+  }
+
+  // release the camera when leaving the page
+  useEffect(() => () => stopCamera(), []);
+
   if (status === "loading") {
     return (
       <div className="min-h-screen bg-slate-900 flex items-center justify-center">
@@ -179,10 +327,60 @@ export default function ProcessOrderPage() {
             Process Collections
           </h1>
           <div className="text-sm text-slate-400">
+            {live && <span className="text-emerald-400 mr-3">● Live</span>}
             Operator: {session?.user?.name || session?.user?.email || "Unknown"}
           </div>
         </div>
 
+        <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+          <label className="text-xs text-slate-400">
+            Scan pickup QR or type code
+          </label>
+          <div className="flex gap-2 mt-1">
+            <input
+              ref={scanInputRef}
+              autoFocus
+              value={scanValue}
+              onChange={(e) => setScanValue(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  handleScan(scanValue);
+                }
+              }}
+              placeholder="Scan with the USB scanner, or type RC-XXXX / SP-XXXX and press Enter"
+              disabled={scanning}
+              className="flex-1 rounded p-2 bg-slate-900 text-slate-100 border border-slate-700 font-mono"
+            />
+            <button
+              onClick={() => (cameraOn ? stopCamera() : startCamera())}
+              className="px-4 py-2 rounded bg-slate-700 hover:bg-slate-600 text-slate-200 flex items-center gap-2"
+            >
+              {cameraOn ? <FiX /> : <FiCamera />} {cameraOn ? "Stop camera" : "Camera"}
+            </button>
+          </div>
+          {cameraOn && (
+            <video
+              ref={videoRef}
+              muted
+              playsInline
+              className="mt-3 w-full max-w-sm rounded border border-slate-700"
+            />
+          )}
+          {scanResult && (
+            <div
+              className={`mt-3 p-3 rounded flex items-center gap-2 ${
+                scanResult.type === "success"
+                  ? "bg-green-900/30 border border-green-800 text-green-200"
+                  : "bg-red-900/30 border border-red-800 text-red-200"
+              }`}
+            >
+              {scanResult.type === "success" ? <FiCheckCircle /> : <FiAlertCircle />}
+              <div>{scanResult.text}</div>
+            </div>
+          )}
+        </div>
+
         <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
           <div className="grid grid-cols-1 md:grid-cols-6 gap-3 mb-3">
             <div className="md:col-span-2">
@@ -352,7 +550,7 @@ export default function ProcessOrderPage() {
                         className="py-2 flex justify-between items-center"
                       >
                         <div>
-                          <div>{it.name}</div>
+                          <div>{itemLabel(it)}</div>
                           {it.notes && (
                             <div className="text-xs text-slate-400">
                               {it.notes}
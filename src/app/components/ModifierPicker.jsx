@@ -0,0 +1,205 @@
+// components/ModifierPicker.jsx
+"use client";
+
+import React, { useState } from "react";
+import { FiX } from "react-icons/fi";
+import { groupLimits } from "@/lib/modifiers";
+import { menuBundleMap, priceOrderLine } from "@/lib/bundles";
+
+function fmtCurrency(n) {
+  try {
+    return new Intl.NumberFormat("en-ZW", {
+      style: "currency",
+      currency: process.env.NEXT_PUBLIC_DEFAULT_CURRENCY || "USD",
+    }).format(Number(n || 0));
+  } catch (e) {
+    return `${n}`;
+  }
+}
+
+function fmtDelta(n) {
+  const v = Number(n || 0);
+  if (!v) return "";
+  return `${v > 0 ? "+" : "−"}${fmtCurrency(Math.abs(v))}`;
+}
+
+/**
+ * Option chooser shown before a product with modifier groups or a combo with pick-one slots goes into the cart.
+ * - onAdd({ modifiers, bundleChoices }): modifiers is { [groupId]: [optionId, ...] }, bundleChoices { [slotId]: productId }
+ * - The price shown is a preview; the order API prices the line again from the product.
+ */
+export default function ModifierPicker({ product, accentButton = "bg-cyan-600 text-white", onAdd, onCancel }) {
+  const groups = product?.modifierGroups || [];
+  const [selections, setSelections] = useState(() => {
+    // preselect the first available option of single-choice required groups
+    const init = {};
+    for (const g of groups) {
+      const { min, max } = groupLimits(g);
+      const first = (g.options || []).find((o) => o.available !== false);
+      if (min === 1 && max === 1 && first) init[String(g._id)] = [String(first._id)];
+    }
+    return init;
+  });
+  const slots = product?.bundle?.slots || [];
+  const included = product?.bundle?.components || [];
+  const [choices, setChoices] = useState(() => {
+    // preselect the first available option of every combo slot
+    const init = {};
+    for (const sl of slots) {
+      const first = (sl.options || []).find((o) => o.available !== false);
+      if (first) init[String(sl._id)] = String(first.product);
+    }
+    return init;
+  });
+
+  function toggle(group, optionId) {
+    const gid = String(group._id);
+    const { max } = groupLimits(group);
+    setSelections((prev) => {
+      const cur = prev[gid] || [];
+      let next;
+      if (cur.includes(optionId)) next = cur.filter((id) => id !== optionId);
+      else if (max === 1) next = [optionId];
+      else if (cur.length >= max) return prev;
+      else next = [...cur, optionId];
+      return { ...prev, [gid]: next };
+    });
+  }
+
+  let unitPrice = Number(product?.price || 0);
+  let problem = "";
+  try {
+    unitPrice = priceOrderLine(
+      product,
+      {
+        modifiers: Object.entries(selections).map(([groupId, optionIds]) => ({ groupId, optionIds })),
+        bundleChoices: Object.entries(choices).map(([slotId, productId]) => ({ slotId, productId })),
+      },
+      menuBundleMap(product)
+    ).price;
+  } catch (err) {
+    problem = err.message;
+  }
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/80 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-5 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold text-slate-100">{product?.name}</h3>
+          <button onClick={onCancel} className="p-1 rounded-md text-slate-400 hover:text-slate-100" title="Close">
+            <FiX size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {included.length > 0 && (
+            <div className="text-sm text-slate-300">
+              Includes: {included.map((c) => `${c.qty > 1 ? `${c.qty}× ` : ""}${c.name}`).join(", ")}
+            </div>
+          )}
+
+          {slots.map((sl) => {
+            const sid = String(sl._id);
+            return (
+              <div key={sid}>
+                <div className="text-sm font-medium text-slate-200">
+                  {sl.name}
+                  <span className="ml-2 text-xs text-slate-400">Choose one</span>
+                </div>
+                <div className="mt-2 space-y-1">
+                  {(sl.options || []).map((o) => {
+                    const pid = String(o.product);
+                    const unavailable = o.available === false;
+                    return (
+                      <label
+                        key={pid}
+                        className={`flex items-center justify-between gap-2 p-2 rounded-lg bg-slate-900/60 text-sm ${
+                          unavailable ? "opacity-50" : "cursor-pointer"
+                        }`}
+                      >
+                        <span className="inline-flex items-center gap-2 text-slate-200">
+                          <input
+                            type="radio"
+                            name={`slot-${sid}`}
+                            checked={choices[sid] === pid}
+                            disabled={unavailable}
+                            onChange={() => setChoices((prev) => ({ ...prev, [sid]: pid }))}
+                          />
+                          {o.name}
+                          {unavailable && <span className="text-xs text-slate-500">(unavailable)</span>}
+                        </span>
+                        <span className="text-xs text-slate-400">{fmtDelta(o.priceDelta)}</span>
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+
+          {groups.map((g) => {
+            const gid = String(g._id);
+            const { min, max } = groupLimits(g);
+            const chosen = selections[gid] || [];
+            return (
+              <div key={gid}>
+                <div className="text-sm font-medium text-slate-200">
+                  {g.name}
+                  <span className="ml-2 text-xs text-slate-400">
+                    {min > 0 ? "Required" : "Optional"}
+                    {max > 1 ? ` · up to ${max}` : ""}
+                  </span>
+                </div>
+                <div className="mt-2 space-y-1">
+                  {(g.options || []).map((o) => {
+                    const oid = String(o._id);
+                    const unavailable = o.available === false;
+                    return (
+                      <label
+                        key={oid}
+                        className={`flex items-center justify-between gap-2 p-2 rounded-lg bg-slate-900/60 text-sm ${
+                          unavailable ? "opacity-50" : "cursor-pointer"
+                        }`}
+                      >
+                        <span className="inline-flex items-center gap-2 text-slate-200">
+                          <input
+                            type={max === 1 ? "radio" : "checkbox"}
+                            name={`mod-${gid}`}
+                            checked={chosen.includes(oid)}
+                            disabled={unavailable}
+                            onChange={() => toggle(g, oid)}
+                          />
+                          {o.name}
+                          {unavailable && <span className="text-xs text-slate-500">(unavailable)</span>}
+                        </span>
+                        <span className="text-xs text-slate-400">{fmtDelta(o.priceDelta)}</span>
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {problem && <div className="mt-4 text-xs text-amber-300">{problem}</div>}
+
+        <div className="mt-5 flex items-center justify-between gap-3">
+          <div className="text-slate-100 font-semibold">{fmtCurrency(unitPrice)}</div>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-3 py-2 rounded-lg border border-slate-700 text-slate-300 text-sm">
+              Cancel
+            </button>
+            <button
+              onClick={() => onAdd({ modifiers: selections, bundleChoices: choices })}
+              disabled={!!problem}
+              className={`px-3 py-2 rounded-lg text-sm ${accentButton} disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              Add to order
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
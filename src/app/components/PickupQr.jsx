@@ -0,0 +1,30 @@
+// components/PickupQr.jsx
+"use client";
+
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+/**
+ * Renders a signed pickup payload (lib/pickupQr.js) as a QR image for the collection counter.
+ */
+export default function PickupQr({ payload, size = 240 }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!payload) {
+      setSrc(null);
+      return;
+    }
+    QRCode.toDataURL(payload, { errorCorrectionLevel: "M", margin: 2, width: size })
+      .then((url) => !cancelled && setSrc(url))
+      .catch((err) => console.warn("QR render failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [payload, size]);
+
+  if (!src) return <div style={{ width: size, height: size }} className="bg-white/10 rounded animate-pulse" />;
+  // eslint-disable-next-line @next/next/no-img-element
+  return <img src={src} width={size} height={size} alt="Pickup QR code" className="rounded bg-white" />;
+}
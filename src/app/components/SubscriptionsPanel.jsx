@@ -0,0 +1,275 @@
+// components/SubscriptionsPanel.jsx
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { FiPause, FiPlay, FiPlus, FiTrash2 } from "react-icons/fi";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function fmtCurrency(n) {
+  try {
+    return new Intl.NumberFormat("en-ZW", {
+      style: "currency",
+      currency: process.env.NEXT_PUBLIC_DEFAULT_CURRENCY || "USD",
+    }).format(Number(n || 0));
+  } catch (e) {
+    return `${n}`;
+  }
+}
+
+const emptyForm = () => ({ name: "", items: {}, daysOfWeek: [1, 2, 3, 4, 5], orderingWindowId: "" });
+
+/**
+ * Recurring orders list + create form, shared by the student page and the guardian dashboard.
+ * - apiBase: subscriptions collection URL (GET/POST; `${apiBase}/${id}` for PATCH/DELETE)
+ * - productsUrl: endpoint returning { products } (menu products; specials are left out)
+ */
+export default function SubscriptionsPanel({ apiBase, productsUrl }) {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [windows, setWindows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  async function load() {
+    setLoading(true);
+    try {
+      const [subRes, prodRes, winRes] = await Promise.all([
+        fetch(apiBase, { cache: "no-store", credentials: "include" }),
+        fetch(productsUrl, { cache: "no-store", credentials: "include" }),
+        fetch("/api/ordering-windows", { cache: "no-store" }),
+      ]);
+      const [subBody, prodBody, winBody] = await Promise.all([
+        subRes.json().catch(() => ({})),
+        prodRes.json().catch(() => ({})),
+        winRes.json().catch(() => ({})),
+      ]);
+      setSubscriptions(subBody.subscriptions || []);
+      setProducts(
+        (prodBody.products || [])
+          .filter((p) => !p.isSpecial)
+          .map((p) => ({ id: String(p._id || p.id), name: p.name, price: p.price }))
+      );
+      setWindows(winBody.windows || []);
+    } catch (err) {
+      console.error("load subscriptions error", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBase, productsUrl]);
+
+  function setQty(productId, qty) {
+    setForm((f) => {
+      const items = { ...f.items };
+      if (qty > 0) items[productId] = qty;
+      else delete items[productId];
+      return { ...f, items };
+    });
+  }
+
+  function toggleDay(day) {
+    setForm((f) => ({
+      ...f,
+      daysOfWeek: f.daysOfWeek.includes(day) ? f.daysOfWeek.filter((d) => d !== day) : [...f.daysOfWeek, day].sort(),
+    }));
+  }
+
+  async function create() {
+    setSaving(true);
+    try {
+      const res = await fetch(apiBase, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          name: form.name,
+          items: Object.entries(form.items).map(([productId, qty]) => ({ productId, qty })),
+          daysOfWeek: form.daysOfWeek,
+          orderingWindowId: form.orderingWindowId,
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.ok) {
+        alert(body.error || "Failed to create subscription");
+        return;
+      }
+      setForm(emptyForm());
+      setShowForm(false);
+      await load();
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function update(sub, patch) {
+    const res = await fetch(`${apiBase}/${sub.id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify(patch),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body.ok) {
+      alert(body.error || "Failed to update subscription");
+      return;
+    }
+    setSubscriptions((prev) => prev.map((s) => (s.id === sub.id ? body.subscription : s)));
+  }
+
+  async function remove(sub) {
+    if (!confirm(`Delete "${sub.name || "subscription"}"?`)) return;
+    const res = await fetch(`${apiBase}/${sub.id}`, { method: "DELETE", credentials: "include" });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body.ok) {
+      alert(body.error || "Failed to delete subscription");
+      return;
+    }
+    setSubscriptions((prev) => prev.filter((s) => s.id !== sub.id));
+  }
+
+  const formTotal = Object.entries(form.items).reduce((sum, [id, qty]) => {
+    const p = products.find((x) => x.id === id);
+    return sum + (p ? Number(p.price || 0) * qty : 0);
+  }, 0);
+
+  if (loading) return <div className="text-slate-400">Loading…</div>;
+
+  return (
+    <div className="space-y-4">
+      {subscriptions.length === 0 ? (
+        <div className="text-sm text-slate-400">No recurring orders yet.</div>
+      ) : (
+        <ul className="space-y-3">
+          {subscriptions.map((s) => (
+            <li key={s.id} className="bg-slate-900 rounded p-3">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="font-semibold text-slate-100">
+                    {s.name || "Recurring order"}
+                    <span
+                      className={`ml-2 text-xs px-2 py-0.5 rounded ${
+                        s.status === "active" ? "bg-emerald-500/20 text-emerald-300" : "bg-amber-500/20 text-amber-300"
+                      }`}
+                    >
+                      {s.status}
+                    </span>
+                  </div>
+                  <div className="text-sm text-slate-300 mt-1">
+                    {s.items.map((it) => `${it.qty}× ${it.name || "item"}`).join(", ")}
+                  </div>
+                  <div className="text-xs text-slate-400 mt-1">
+                    {s.daysOfWeek.map((d) => DAYS[d]).join(", ")} · {s.orderingWindow?.name || "window"}
+                    {s.orderingWindow?.startTime ? ` (${s.orderingWindow.startTime}–${s.orderingWindow.endTime})` : ""}
+                    {s.lastRunDate ? ` · last ordered for ${s.lastRunDate}` : ""}
+                  </div>
+                  {s.status === "paused" && s.pausedReason && (
+                    <div className="text-xs text-amber-300 mt-1">Paused: {s.pausedReason}</div>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => update(s, { status: s.status === "active" ? "paused" : "active" })}
+                    className="p-2 rounded bg-slate-700 text-slate-200"
+                    title={s.status === "active" ? "Pause" : "Resume"}
+                  >
+                    {s.status === "active" ? <FiPause /> : <FiPlay />}
+                  </button>
+                  <button onClick={() => remove(s)} className="p-2 rounded bg-red-600/80 text-white" title="Delete">
+                    <FiTrash2 />
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!showForm ? (
+        <button
+          onClick={() => setShowForm(true)}
+          className="px-3 py-2 rounded bg-cyan-500 text-white text-sm inline-flex items-center gap-2"
+        >
+          <FiPlus /> New recurring order
+        </button>
+      ) : (
+        <div className="bg-slate-900 rounded p-3 space-y-3">
+          <input
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            className="w-full p-2 bg-slate-800 rounded text-slate-100"
+            placeholder="Name (e.g. Weekday lunch)"
+          />
+
+          <div>
+            <label className="text-xs text-slate-400">Ordering window</label>
+            <select
+              value={form.orderingWindowId}
+              onChange={(e) => setForm((f) => ({ ...f, orderingWindowId: e.target.value }))}
+              className="w-full p-2 bg-slate-800 rounded text-slate-100 mt-1"
+            >
+              <option value="">Choose a window…</option>
+              {windows.map((w) => (
+                <option key={w._id} value={w._id}>
+                  {w.name} ({w.startTime}–{w.endTime})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="text-xs text-slate-400">Days</label>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {DAYS.map((label, day) => (
+                <label key={day} className="inline-flex items-center gap-1 text-sm text-slate-200">
+                  <input type="checkbox" checked={form.daysOfWeek.includes(day)} onChange={() => toggleDay(day)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="text-xs text-slate-400">Items</label>
+            <div className="mt-1 max-h-56 overflow-y-auto divide-y divide-slate-800">
+              {products.map((p) => (
+                <div key={p.id} className="flex items-center justify-between py-1 text-sm">
+                  <span className="text-slate-200">
+                    {p.name} <span className="text-slate-400">· {fmtCurrency(p.price)}</span>
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="20"
+                    value={form.items[p.id] || 0}
+                    onChange={(e) => setQty(p.id, Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="w-16 p-1 bg-slate-800 rounded text-slate-100 text-right"
+                  />
+                </div>
+              ))}
+              {products.length === 0 && <div className="text-sm text-slate-500 py-2">No products.</div>}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-slate-300">Per order: {fmtCurrency(formTotal)}</span>
+            <div className="flex gap-2">
+              <button onClick={() => setShowForm(false)} className="px-3 py-2 rounded bg-slate-700 text-sm">
+                Cancel
+              </button>
+              <button onClick={create} disabled={saving} className="px-3 py-2 rounded bg-cyan-500 text-white text-sm">
+                {saving ? "Saving…" : "Create"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+// components/TwoFactorSettings.jsx
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { useSession } from "next-auth/react";
+import { FiShield, FiCopy, FiDownload, FiRefreshCw } from "react-icons/fi";
+
+/**
+ * Two-factor sign-in settings for the signed-in user (/api/user/two-factor, lib/twoFactor.js)
+ * - Setup: scan the QR code (or type the key) into an authenticator app, confirm with a code, keep the recovery codes.
+ * - Afterwards: replace the recovery codes, or turn 2FA off when the role does not require it.
+ * - After setup the session is refreshed so staff pages stop asking for it.
+ */
+export default function TwoFactorSettings() {
+  const { update } = useSession();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null); // { secret, qr }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success'|'error', text }
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch("/api/user/two-factor", { cache: "no-store" });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Failed to load");
+      setStatus(body);
+    } catch (err) {
+      setMessage({ type: "error", text: err.message || "Failed to load" });
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function post(payload) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const res = await fetch("/api/user/two-factor", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(body.error || "Request failed");
+      return body;
+    } catch (err) {
+      setMessage({ type: "error", text: err.message || "Request failed" });
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function begin() {
+    setRecoveryCodes(null);
+    const body = await post({ action: "begin" });
+    if (body) setEnrollment({ secret: body.secret, qr: body.qr });
+  }
+
+  async function enable(e) {
+    e.preventDefault();
+    const body = await post({ action: "enable", code });
+    if (!body) return;
+    setEnrollment(null);
+    setCode("");
+    setRecoveryCodes(body.recoveryCodes);
+    setMessage({ type: "success", text: "Two-factor authentication is on. You will be asked for a code when you sign in." });
+    await update();
+    load();
+  }
+
+  async function newRecoveryCodes(e) {
+    e.preventDefault();
+    const body = await post({ action: "recovery_codes", code });
+    if (!body) return;
+    setCode("");
+    setRecoveryCodes(body.recoveryCodes);
+    setMessage({ type: "success", text: "New recovery codes created. The old ones no longer work." });
+    load();
+  }
+
+  async function disable() {
+    if (!code) {
+      setMessage({ type: "error", text: "Enter a code from your app (or a recovery code) to turn 2FA off" });
+      return;
+    }
+    if (!confirm("Turn off two-factor authentication?")) return;
+    const body = await post({ action: "disable", code });
+    if (!body) return;
+    setCode("");
+    setRecoveryCodes(null);
+    setMessage({ type: "success", text: "Two-factor authentication is off." });
+    load();
+  }
+
+  function copyCodes() {
+    navigator.clipboard?.writeText(recoveryCodes.join("\n")).catch(() => {});
+  }
+
+  function downloadCodes() {
+    const blob = new Blob([`RiverCafe recovery codes\n\n${recoveryCodes.join("\n")}\n`], { type: "text/plain" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "rivercafe-recovery-codes.txt";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  const codeInput = (
+    <input
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="123456"
+      className="w-40 bg-slate-900 border border-slate-600 rounded-md p-2 text-slate-100 tracking-widest"
+    />
+  );
+
+  return (
+    <div className="max-w-xl space-y-4">
+      <div className="flex items-center gap-3">
+        <FiShield size={28} className="text-cyan-400" />
+        <div>
+          <h1 className="text-2xl font-bold text-slate-100">Two-factor authentication</h1>
+          <p className="text-sm text-slate-300">
+            A code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy…) on top of your
+            password.
+          </p>
+        </div>
+      </div>
+
+      {status?.required && !status?.enabled && (
+        <div className="p-3 rounded bg-amber-900/40 border border-amber-700 text-amber-100 text-sm">
+          Your role requires two-factor authentication. Set it up to continue using the staff pages.
+        </div>
+      )}
+
+      {message && (
+        <div
+          className={`p-3 rounded text-sm border ${
+            message.type === "error"
+              ? "bg-red-900/40 border-red-800 text-red-200"
+              : "bg-emerald-900/30 border-emerald-800 text-emerald-200"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="bg-slate-800 border border-slate-700 rounded-xl p-4 space-y-3">
+          <div className="text-slate-100 font-medium">Recovery codes</div>
+          <p className="text-sm text-slate-300">
+            Each code signs you in once if you lose your phone. Keep them somewhere safe — they are not shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-slate-100">
+            {recoveryCodes.map((c) => (
+              <div key={c} className="bg-slate-900 rounded px-2 py-1">{c}</div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={copyCodes} className="inline-flex items-center gap-2 px-3 py-2 rounded bg-slate-700 text-slate-100">
+              <FiCopy /> Copy
+            </button>
+            <button onClick={downloadCodes} className="inline-flex items-center gap-2 px-3 py-2 rounded bg-slate-700 text-slate-100">
+              <FiDownload /> Download
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!status ? (
+        <div className="text-slate-400">Loading…</div>
+      ) : !status.enabled ? (
+        <div className="bg-slate-800 border border-slate-700 rounded-xl p-4 space-y-4">
+          {!enrollment ? (
+            <>
+              <p className="text-sm text-slate-300">Two-factor authentication is off.</p>
+              <button
+                onClick={begin}
+                disabled={busy}
+                className="inline-flex items-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+              >
+                <FiShield /> {busy ? "Starting…" : "Set up"}
+              </button>
+            </>
+          ) : (
+            <form onSubmit={enable} className="space-y-4">
+              <div className="text-sm text-slate-300">1. Scan this QR code with your authenticator app.</div>
+              {/* eslint-disable-next-line @next/next/no-img-element */}
+              <img src={enrollment.qr} width={220} height={220} alt="Authenticator QR code" className="rounded bg-white" />
+              <div className="text-sm text-slate-300">
+                Can&apos;t scan it? Enter this key instead:
+                <div className="mt-1 font-mono text-slate-100 break-all">{enrollment.secret}</div>
+              </div>
+              <div className="text-sm text-slate-300">2. Enter the 6-digit code the app shows.</div>
+              <div className="flex gap-2 items-center">
+                {codeInput}
+                <button
+                  type="submit"
+                  disabled={busy || !code}
+                  className="px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+                >
+                  {busy ? "Checking…" : "Turn on"}
+                </button>
+                <button
+                  type="button"
+                  onClick={begin}
+                  disabled={busy}
+                  className="inline-flex items-center gap-1 px-3 py-2 rounded bg-slate-700 text-slate-100"
+                  title="Get a new key and QR code"
+                >
+                  <FiRefreshCw /> New key
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      ) : (
+        <form onSubmit={newRecoveryCodes} className="bg-slate-800 border border-slate-700 rounded-xl p-4 space-y-4">
+          <div className="text-sm text-slate-300">
+            Two-factor authentication is <span className="text-emerald-300 font-medium">on</span>
+            {status.enabledAt && <> since {new Date(status.enabledAt).toLocaleDateString()}</>}.{" "}
+            {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? "" : "s"} left.
+          </div>
+          <div className="text-sm text-slate-300">Enter a current code from your app to:</div>
+          <div className="flex flex-wrap gap-2 items-center">
+            {codeInput}
+            <button
+              type="submit"
+              disabled={busy || !code}
+              className="px-3 py-2 rounded bg-cyan-500 text-white disabled:opacity-60"
+            >
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={disable}
+                disabled={busy}
+                className="px-3 py-2 rounded bg-red-700 text-white disabled:opacity-60"
+              >
+                Turn off
+              </button>
+            )}
+          </div>
+          {status.required && (
+            <p className="text-xs text-slate-400">
+              Your role requires two-factor authentication. Lost your phone? Sign in with a recovery code or ask IT to
+              reset it.
+            </p>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
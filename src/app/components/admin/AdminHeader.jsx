@@ -3,8 +3,9 @@
 
 import { useSession, signOut } from "next-auth/react";
 import Link from "next/link";
-import { FiSettings, FiLogOut, FiUser, FiBell, FiMenu } from "react-icons/fi";
+import { FiSettings, FiLogOut, FiUser, FiMenu } from "react-icons/fi";
 import { useState, useRef, useEffect } from "react";
+import NotificationBell from "./NotificationBell";
 
 export default function AdminHeader({ toggleSidebar }) {
   const { data: session } = useSession();
@@ -42,10 +43,7 @@ export default function AdminHeader({ toggleSidebar }) {
       </button>
 
       {/* Notifications */}
-      <button className="p-2 rounded-md text-slate-300 hover:text-slate-100 hover:bg-slate-800 transition-colors duration-200 relative">
-        <FiBell size={18} />
-        <span className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full"></span>
-      </button>
+      <NotificationBell />
 
       {/* User dropdown */}
       <div className="relative" ref={dropdownRef}>
@@ -0,0 +1,160 @@
+// components/admin/BundleEditor.jsx
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { FiPlus, FiTrash2 } from "react-icons/fi";
+
+const inputClass =
+  "p-2 bg-slate-900 border border-slate-700 rounded-lg text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-red-500";
+
+const idOf = (v) => String(v?._id ?? v ?? "");
+
+/**
+ * Combo contents for the admin product form: fixed components plus pick-one slots.
+ * - value: product.bundle ({ components, slots }) or null; onChange(bundle | null)
+ * - selfId: the product being edited (left out of the choices); bundles cannot contain bundles
+ */
+export default function BundleEditor({ value, onChange, selfId = null }) {
+  const [products, setProducts] = useState([]);
+  const bundle = value || { components: [], slots: [] };
+  const components = bundle.components || [];
+  const slots = bundle.slots || [];
+
+  useEffect(() => {
+    fetch("/api/admin/products", { cache: "no-store" })
+      .then((r) => r.json())
+      .then((body) =>
+        setProducts(
+          (body.products || []).filter(
+            (p) => String(p._id) !== String(selfId) && !(p.bundle?.components?.length || p.bundle?.slots?.length)
+          )
+        )
+      )
+      .catch(() => setProducts([]));
+  }, [selfId]);
+
+  function emit(next) {
+    const empty = !(next.components || []).length && !(next.slots || []).length;
+    onChange(empty ? null : next);
+  }
+
+  const setComponents = (list) => emit({ ...bundle, components: list });
+  const setSlots = (list) => emit({ ...bundle, slots: list });
+  const updateSlot = (si, patch) => setSlots(slots.map((s, i) => (i === si ? { ...s, ...patch } : s)));
+
+  const productSelect = (current, onPick) => (
+    <select value={idOf(current)} onChange={(e) => onPick(e.target.value)} className={`${inputClass} flex-1`}>
+      <option value="">Choose product…</option>
+      {products.map((p) => (
+        <option key={p._id} value={p._id}>
+          {p.name} ({Number(p.price || 0).toFixed(2)})
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        <div className="text-xs text-slate-400">Always included</div>
+        {components.map((c, ci) => (
+          <div key={ci} className="flex items-center gap-2">
+            {productSelect(c.product, (pid) =>
+              setComponents(components.map((x, i) => (i === ci ? { ...x, product: pid } : x)))
+            )}
+            <input
+              type="number"
+              min="1"
+              value={c.qty ?? 1}
+              onChange={(e) =>
+                setComponents(
+                  components.map((x, i) => (i === ci ? { ...x, qty: Math.max(1, parseInt(e.target.value, 10) || 1) } : x))
+                )
+              }
+              className={`${inputClass} w-16`}
+              title="Quantity"
+            />
+            <button
+              type="button"
+              onClick={() => setComponents(components.filter((_, i) => i !== ci))}
+              className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-700/50"
+              title="Remove component"
+            >
+              <FiTrash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setComponents([...components, { product: "", qty: 1 }])}
+          className="text-xs text-slate-300 inline-flex items-center gap-1 hover:text-slate-100"
+        >
+          <FiPlus /> Add component
+        </button>
+      </div>
+
+      {slots.map((sl, si) => (
+        <div key={sl._id || si} className="bg-slate-900/60 border border-slate-700 rounded-lg p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              value={sl.name}
+              onChange={(e) => updateSlot(si, { name: e.target.value })}
+              placeholder="Choice (e.g. Drink)"
+              className={`${inputClass} flex-1`}
+            />
+            <button
+              type="button"
+              onClick={() => setSlots(slots.filter((_, i) => i !== si))}
+              className="p-2 rounded-lg text-red-400 hover:bg-slate-700/50"
+              title="Remove choice"
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+          {(sl.options || []).map((o, oi) => (
+            <div key={o._id || oi} className="flex items-center gap-2 pl-3">
+              {productSelect(o.product, (pid) =>
+                updateSlot(si, { options: sl.options.map((x, i) => (i === oi ? { ...x, product: pid } : x)) })
+              )}
+              <input
+                type="number"
+                step="0.01"
+                value={o.priceDelta ?? 0}
+                onChange={(e) =>
+                  updateSlot(si, {
+                    options: sl.options.map((x, i) => (i === oi ? { ...x, priceDelta: Number(e.target.value) } : x)),
+                  })
+                }
+                className={`${inputClass} w-24`}
+                title="Price change"
+              />
+              <button
+                type="button"
+                onClick={() => updateSlot(si, { options: sl.options.filter((_, i) => i !== oi) })}
+                className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-700/50"
+                title="Remove option"
+              >
+                <FiTrash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => updateSlot(si, { options: [...(sl.options || []), { product: "", priceDelta: 0 }] })}
+            className="ml-3 text-xs text-slate-300 inline-flex items-center gap-1 hover:text-slate-100"
+          >
+            <FiPlus /> Add option
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => setSlots([...slots, { name: "", options: [{ product: "", priceDelta: 0 }] }])}
+        className="px-3 py-2 rounded-lg border border-slate-700 text-slate-300 text-sm inline-flex items-center gap-2 hover:bg-slate-700/50"
+      >
+        <FiPlus /> Add pick-one choice
+      </button>
+    </div>
+  );
+}
@@ -2,8 +2,9 @@
 
 import { useSession, signOut, signIn } from "next-auth/react";
 import Link from "next/link";
-import { FiSettings, FiLogOut, FiUser, FiBell, FiMenu } from "react-icons/fi";
+import { FiSettings, FiLogOut, FiUser, FiMenu } from "react-icons/fi";
 import { useState, useRef, useEffect } from "react";
+import NotificationBell from "./NotificationBell";
 
 function fmtCurrency(n) {
   try {
@@ -57,10 +58,7 @@ export default function StudentHeader({ toggleSidebar }) {
       </button>
 
       {/* Notifications */}
-      <button className="p-2 rounded-md text-slate-300 hover:text-slate-100 hover:bg-slate-800 transition-colors duration-200 relative">
-        <FiBell size={18} />
-        <span className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full" />
-      </button>
+      <NotificationBell />
 
       {/* If still loading session, show spinner-like placeholder */}
       {loading ? (
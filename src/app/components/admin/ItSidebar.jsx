@@ -14,6 +14,7 @@ import {
   FiChevronLeft,
   FiLogOut,
   FiMenu,
+  FiShield,
 } from "react-icons/fi";
 import { useState, useEffect } from "react";
 import { signOut } from "next-auth/react";
@@ -38,6 +39,7 @@ export default function ItSidebar({ isCollapsed, toggleSidebar, onItemClick }) {
   const items = [
     { href: "/it", label: "Dashboard", icon: <FiHome /> },
     { href: "/it/reset-password", label: "Reset Password", icon: <FiList /> },
+    { href: "/it/two-factor", label: "Two-factor", icon: <FiShield /> },
   ];
 
   return (
@@ -0,0 +1,133 @@
+// components/admin/ModifierGroupsEditor.jsx
+"use client";
+
+import React from "react";
+import { FiPlus, FiTrash2 } from "react-icons/fi";
+
+const inputClass =
+  "p-2 bg-slate-900 border border-slate-700 rounded-lg text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-red-500";
+
+const emptyOption = () => ({ name: "", priceDelta: 0, available: true });
+const emptyGroup = () => ({ name: "", required: false, minSelect: 0, maxSelect: 1, options: [emptyOption()] });
+
+/**
+ * Modifier groups (sizes, extras, substitutions) for the admin product form.
+ * - value: product.modifierGroups; existing _id values are kept so the server keeps option ids stable
+ * - onChange(groups): called with the whole edited array (validated server-side by lib/modifiers.js)
+ */
+export default function ModifierGroupsEditor({ value = [], onChange }) {
+  const groups = Array.isArray(value) ? value : [];
+
+  function updateGroup(gi, patch) {
+    onChange(groups.map((g, i) => (i === gi ? { ...g, ...patch } : g)));
+  }
+
+  function updateOption(gi, oi, patch) {
+    const options = (groups[gi].options || []).map((o, i) => (i === oi ? { ...o, ...patch } : o));
+    updateGroup(gi, { options });
+  }
+
+  return (
+    <div className="space-y-3">
+      {groups.map((g, gi) => (
+        <div key={g._id || gi} className="bg-slate-900/60 border border-slate-700 rounded-lg p-3 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              value={g.name}
+              onChange={(e) => updateGroup(gi, { name: e.target.value })}
+              placeholder="Group (e.g. Size, Extras)"
+              className={`${inputClass} flex-1 min-w-[10rem]`}
+            />
+            <label className="inline-flex items-center gap-1 text-xs text-slate-300">
+              <input
+                type="checkbox"
+                checked={!!g.required}
+                onChange={(e) => updateGroup(gi, { required: e.target.checked })}
+              />
+              Required
+            </label>
+            <label className="inline-flex items-center gap-1 text-xs text-slate-300">
+              Min
+              <input
+                type="number"
+                min="0"
+                value={g.minSelect ?? 0}
+                onChange={(e) => updateGroup(gi, { minSelect: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                className={`${inputClass} w-16`}
+              />
+            </label>
+            <label className="inline-flex items-center gap-1 text-xs text-slate-300">
+              Max
+              <input
+                type="number"
+                min="1"
+                value={g.maxSelect ?? 1}
+                onChange={(e) => updateGroup(gi, { maxSelect: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                className={`${inputClass} w-16`}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() => onChange(groups.filter((_, i) => i !== gi))}
+              className="p-2 rounded-lg text-red-400 hover:bg-slate-700/50"
+              title="Remove group"
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+
+          {(g.options || []).map((o, oi) => (
+            <div key={o._id || oi} className="flex items-center gap-2 pl-3">
+              <input
+                value={o.name}
+                onChange={(e) => updateOption(gi, oi, { name: e.target.value })}
+                placeholder="Option (e.g. Large)"
+                className={`${inputClass} flex-1`}
+              />
+              <input
+                type="number"
+                step="0.01"
+                value={o.priceDelta ?? 0}
+                onChange={(e) => updateOption(gi, oi, { priceDelta: Number(e.target.value) })}
+                className={`${inputClass} w-24`}
+                title="Price change"
+              />
+              <label className="inline-flex items-center gap-1 text-xs text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={o.available !== false}
+                  onChange={(e) => updateOption(gi, oi, { available: e.target.checked })}
+                />
+                Available
+              </label>
+              <button
+                type="button"
+                onClick={() => updateGroup(gi, { options: g.options.filter((_, i) => i !== oi) })}
+                className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-700/50"
+                title="Remove option"
+              >
+                <FiTrash2 size={14} />
+              </button>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => updateGroup(gi, { options: [...(g.options || []), emptyOption()] })}
+            className="ml-3 text-xs text-slate-300 inline-flex items-center gap-1 hover:text-slate-100"
+          >
+            <FiPlus /> Add option
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...groups, emptyGroup()])}
+        className="px-3 py-2 rounded-lg border border-slate-700 text-slate-300 text-sm inline-flex items-center gap-2 hover:bg-slate-700/50"
+      >
+        <FiPlus /> Add modifier group
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+// components/admin/NotificationBell.jsx
+"use client";
+
+import { useSession } from "next-auth/react";
+import { FiBell, FiCheck } from "react-icons/fi";
+import { useState, useRef, useEffect, useCallback } from "react";
+
+const POLL_MS = 30000;
+
+function timeAgo(d) {
+  const secs = Math.max(0, Math.round((Date.now() - new Date(d).getTime()) / 1000));
+  if (secs < 60) return "just now";
+  if (secs < 3600) return `${Math.floor(secs / 60)}m ago`;
+  if (secs < 86400) return `${Math.floor(secs / 3600)}h ago`;
+  return new Date(d).toLocaleDateString();
+}
+
+/**
+ * Header bell with an in-app notification drawer (read / unread).
+ * Polls /api/notifications while signed in; clicking an item marks it read.
+ */
+export default function NotificationBell() {
+  const { status } = useSession();
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const ref = useRef(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch("/api/notifications?limit=20", { cache: "no-store" });
+      if (!res.ok) return;
+      const body = await res.json();
+      if (!body.ok) return;
+      setItems(body.notifications || []);
+      setUnreadCount(body.unreadCount || 0);
+    } catch (e) {
+      // offline / signed out: keep the last state
+    }
+  }, []);
+
+  useEffect(() => {
+    if (status !== "authenticated") return;
+    load();
+    const t = setInterval(load, POLL_MS);
+    return () => clearInterval(t);
+  }, [status, load]);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (ref.current && !ref.current.contains(event.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  async function markRead(payload) {
+    setLoading(true);
+    try {
+      const res = await fetch("/api/notifications", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = await res.json();
+      if (!body.ok) return;
+      setUnreadCount(body.unreadCount || 0);
+      const ids = payload.all ? null : new Set(payload.ids);
+      setItems((prev) => prev.map((n) => (!ids || ids.has(n._id) ? { ...n, read: true } : n)));
+    } catch (e) {
+      console.warn("Failed to update notifications", e);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (status !== "authenticated") return null;
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => {
+          if (!open) load();
+          setOpen(!open);
+        }}
+        className="p-2 rounded-md text-slate-300 hover:text-slate-100 hover:bg-slate-800 transition-colors duration-200 relative"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ""}`}
+      >
+        <FiBell size={18} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 bg-red-500 rounded-full text-[10px] leading-4 text-white text-center">
+            {unreadCount > 9 ? "9+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-slate-800 border border-slate-700 rounded-lg shadow-lg z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-slate-700">
+            <span className="text-sm font-medium text-slate-100">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markRead({ all: true })}
+                disabled={loading}
+                className="text-xs text-cyan-300 hover:text-cyan-200 inline-flex items-center gap-1"
+              >
+                <FiCheck size={12} /> Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {items.length === 0 ? (
+              <div className="px-4 py-6 text-sm text-slate-400 text-center">No notifications yet.</div>
+            ) : (
+              items.map((n) => (
+                <button
+                  key={n._id}
+                  onClick={() => !n.read && markRead({ ids: [n._id] })}
+                  className={`w-full text-left px-4 py-3 border-b border-slate-700/60 hover:bg-slate-700/40 transition-colors duration-150 ${n.read ? "opacity-70" : ""}`}
+                >
+                  <div className="flex items-start gap-2">
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${n.read ? "bg-transparent" : "bg-cyan-400"}`} />
+                    <div className="min-w-0">
+                      <div className="text-sm text-slate-100">{n.title}</div>
+                      {n.body && <div className="text-xs text-slate-400 mt-0.5">{n.body}</div>}
+                      <div className="text-[11px] text-slate-500 mt-1">{timeAgo(n.createdAt)}</div>
+                    </div>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -14,6 +14,7 @@ import {
   FiChevronLeft,
   FiLogOut,
   FiMenu,
+  FiShield,
 } from "react-icons/fi";
 import { useState, useEffect } from "react";
 import { signOut, useSession } from "next-auth/react";
@@ -45,6 +46,7 @@ export default function Sidebar({ isCollapsed, toggleSidebar, onItemClick }) {
       icon: <FiShoppingCart />,
     },
     { href: "/admin/menu", label: "Menu", icon: <FiList /> },
+    { href: "/admin/stations", label: "Prep Stations", icon: <FiList /> },
     { href: "/admin/accounting", label: "Accounting", icon: <FiBarChart /> },
     { href: "/admin/reports/sales", label: "Sales", icon: <FiBarChart /> },
     { href: "/admin/inventory", label: "Inventory", icon: <FiBarChart /> },
@@ -58,15 +60,17 @@ export default function Sidebar({ isCollapsed, toggleSidebar, onItemClick }) {
     { href: "/admin/users", label: "Users", icon: <FiUsers /> },
 
     { href: "/admin/settings", label: "Settings", icon: <FiSettings /> },
+    { href: "/admin/permissions", label: "Permissions", icon: <FiShield /> },
     {
       href: "/admin/reset-password",
       label: "Reset Password",
       icon: <FiList />,
     },
+    { href: "/admin/two-factor", label: "Two-factor", icon: <FiShield /> },
   ];
   const visibleItems =
     role === "inventory"
-      ? items.filter((it) => it.href === "/admin/inventory")
+      ? items.filter((it) => ["/admin/inventory", "/admin/two-factor"].includes(it.href))
       : items;
 
   return (
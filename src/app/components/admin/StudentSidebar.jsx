@@ -14,6 +14,8 @@ import {
   FiChevronLeft,
   FiLogOut,
   FiMenu,
+  FiRepeat,
+  FiShield,
 } from "react-icons/fi";
 import { useState, useEffect } from "react";
 import { signOut } from "next-auth/react";
@@ -42,12 +44,18 @@ export default function Sidebar({ isCollapsed, toggleSidebar, onItemClick }) {
       label: "Orders",
       icon: <FiShoppingCart />,
     },
+    {
+      href: "/student/subscriptions",
+      label: "Recurring Orders",
+      icon: <FiRepeat />,
+    },
     { href: "/student/transactions", label: "Transactions", icon: <FiList /> },
     {
       href: "/student/reset-password",
       label: "Reset Password",
       icon: <FiList />,
     },
+    { href: "/student/two-factor", label: "Two-factor", icon: <FiShield /> },
   ];
 
   return (
@@ -2,6 +2,8 @@
 "use client";
 
 import React from "react";
+import { itemLabel } from "@/lib/modifiers";
+import { kitchenQty } from "@/lib/queueEta";
 
 export default function OrderCard({
   order,
@@ -12,7 +14,7 @@ export default function OrderCard({
 }) {
   // Number of items helper
   const totalItemsCount = (order?.items || []).reduce(
-    (s, it) => s + (Number(it.qty) || 0),
+    (s, it) => s + kitchenQty(it),
     0
   );
 
@@ -47,7 +49,10 @@ export default function OrderCard({
           {order.items?.map((it, i) => (
             <li key={i} className="flex justify-between">
               <span className="truncate">
-                {it.name} ×{it.qty}
+                {itemLabel(it)} ×{kitchenQty(it)}
+                {Number(it.refundedQty || 0) > 0 && (
+                  <span className="ml-1 text-xs text-amber-300">({it.refundedQty} refunded)</span>
+                )}
               </span>
               {/* price intentionally hidden */}
               <span className="text-slate-500 ml-4" aria-hidden="true">
@@ -0,0 +1,53 @@
+// components/useOrderEvents.js
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+
+const EVENT_TYPES = [
+  "order.created",
+  "order.item_prepared",
+  "order.item_unprepared",
+  "order.ready",
+  "order.collected",
+  "order.cancelled",
+  "queue.changed",
+];
+
+/**
+ * useOrderEvents(onEvent, { enabled })
+ * - Subscribes to /api/events/orders (Server-Sent Events) and calls onEvent(event) for each order event.
+ * - EventSource reconnects by itself; `connected` is false while the stream is down so pages can fall back to polling.
+ */
+export default function useOrderEvents(onEvent, { enabled = true } = {}) {
+  const handlerRef = useRef(onEvent);
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled || typeof window === "undefined" || !window.EventSource) return;
+
+    const source = new EventSource("/api/events/orders");
+    const handle = (e) => {
+      try {
+        handlerRef.current?.(JSON.parse(e.data));
+      } catch (err) {
+        console.warn("Bad order event", err);
+      }
+    };
+
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    EVENT_TYPES.forEach((type) => source.addEventListener(type, handle));
+
+    return () => {
+      EVENT_TYPES.forEach((type) => source.removeEventListener(type, handle));
+      source.close();
+      setConnected(false);
+    };
+  }, [enabled]);
+
+  return { connected };
+}
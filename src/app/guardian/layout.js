@@ -0,0 +1,44 @@
+// app/guardian/layout.js
+'use client';
+import { useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import StudentHeader from '../components/admin/StudentHeader';
+
+export default function GuardianLayout({ children }) {
+    const router = useRouter();
+    const { data: session, status } = useSession();
+    const role = String(session?.user?.role || '').toLowerCase();
+
+    useEffect(() => {
+        if (status === 'loading') return;
+        if (status === 'unauthenticated' || role !== 'guardian') {
+            router.replace('/');
+        }
+    }, [role, router, status]);
+
+    if (status !== 'authenticated' || role !== 'guardian') {
+        return (
+            <div className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center">
+                <div className="text-slate-300">Loading...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-slate-900 text-slate-100 flex flex-col">
+            <header className="sticky top-0 z-40 flex items-center justify-between px-4 sm:px-6 py-3 border-b border-slate-800 bg-slate-900/95 backdrop-blur-md">
+                <div>
+                    <h1 className="text-xl font-semibold text-slate-100">Guardian Dashboard</h1>
+                    <p className="text-xs text-red-600">Aspire <span className='text-slate-50'>|</span> Achieve <span className='text-slate-50'>|</span> Succeed</p>
+                </div>
+
+                <StudentHeader toggleSidebar={() => {}} />
+            </header>
+
+            <main className="flex-1 p-4 sm:p-6 overflow-auto">
+                {children}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,403 @@
+// app/guardian/page.js
+'use client';
+import React, { useEffect, useState } from 'react';
+import { FiBell, FiFileText, FiSliders, FiRefreshCw, FiRepeat } from 'react-icons/fi';
+import SubscriptionsPanel from '@/app/components/SubscriptionsPanel';
+
+function fmtCurrency(n) {
+    try {
+        return new Intl.NumberFormat('en-ZW', {
+            style: 'currency',
+            currency: process.env.NEXT_PUBLIC_DEFAULT_CURRENCY || 'USD'
+        }).format(Number(n || 0));
+    } catch (e) {
+        return `${n}`;
+    }
+}
+
+function fmtDate(d) {
+    try {
+        return new Date(d).toLocaleString();
+    } catch (e) {
+        return String(d || '');
+    }
+}
+
+function Modal({ open, title, onClose, children, footer }) {
+    if (!open) return null;
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} aria-hidden />
+            <div className="relative w-full max-w-2xl bg-slate-800 border border-slate-700 rounded-xl p-5 z-10 mx-4 max-h-[90vh] overflow-y-auto">
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-lg font-semibold text-slate-100">{title}</h3>
+                    <button onClick={onClose} className="p-2 rounded hover:bg-slate-700 text-slate-300" aria-label="Close">✕</button>
+                </div>
+                <div className="space-y-4">{children}</div>
+                {footer && <div className="mt-4">{footer}</div>}
+            </div>
+        </div>
+    );
+}
+
+function AllowanceBars({ spending }) {
+    const rows = [['daily', 'Today'], ['weekly', 'This week']].filter(([period]) => spending?.[period]?.limit !== null && spending?.[period]);
+    if (!rows.length) return <div className="text-sm text-slate-400">No spending limit set.</div>;
+    return (
+        <div className="space-y-2 text-sm">
+            {rows.map(([period, label]) => {
+                const a = spending[period];
+                const pct = a.limit > 0 ? Math.min(100, Math.round((a.spent / a.limit) * 100)) : 100;
+                return (
+                    <div key={period}>
+                        <div className="flex justify-between">
+                            <span>{label}</span>
+                            <span className="text-slate-300">{fmtCurrency(a.remaining)} left of {fmtCurrency(a.limit)}</span>
+                        </div>
+                        <div className="mt-1 h-1.5 rounded bg-slate-700">
+                            <div className={`h-1.5 rounded ${pct >= 100 ? 'bg-red-400' : 'bg-cyan-400'}`} style={{ width: `${pct}%` }} />
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default function GuardianHome() {
+    const [students, setStudents] = useState([]);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    // low-balance alert threshold
+    const [threshold, setThreshold] = useState('');
+    const [schoolDefault, setSchoolDefault] = useState(null);
+    const [savingThreshold, setSavingThreshold] = useState(false);
+
+    // statement modal
+    const [statementFor, setStatementFor] = useState(null);
+    const [statement, setStatement] = useState(null);
+
+    // controls modal
+    const [controlsFor, setControlsFor] = useState(null);
+    const [products, setProducts] = useState([]);
+    const [dailyInput, setDailyInput] = useState('');
+    const [weeklyInput, setWeeklyInput] = useState('');
+    const [blocked, setBlocked] = useState([]);
+    const [allergensInput, setAllergensInput] = useState('');
+    const [restrictionsInput, setRestrictionsInput] = useState('');
+    const [hideConflicts, setHideConflicts] = useState(false);
+    const [productFilter, setProductFilter] = useState('');
+    const [savingControls, setSavingControls] = useState(false);
+
+    // recurring orders modal
+    const [subscriptionsFor, setSubscriptionsFor] = useState(null);
+
+    async function load() {
+        setLoading(true);
+        try {
+            const [sRes, nRes, cRes] = await Promise.all([
+                fetch('/api/guardian/students', { cache: 'no-store' }),
+                fetch('/api/guardian/notifications', { cache: 'no-store' }),
+                fetch('/api/guardian/settings', { cache: 'no-store' })
+            ]);
+            const [sBody, nBody, cBody] = await Promise.all([sRes.json(), nRes.json(), cRes.json()]);
+            if (!sBody.ok) throw new Error(sBody.error || 'Failed to load students');
+            setStudents(sBody.students || []);
+            setNotifications(nBody.ok ? (nBody.notifications || []) : []);
+            if (cBody.ok) {
+                setThreshold(cBody.lowBalanceThreshold ?? '');
+                setSchoolDefault(cBody.schoolDefault ?? null);
+            }
+        } catch (err) {
+            console.error('Failed to load guardian dashboard', err);
+            setStudents([]);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => { load(); }, []);
+
+    async function saveThreshold() {
+        setSavingThreshold(true);
+        try {
+            const res = await fetch('/api/guardian/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ lowBalanceThreshold: threshold === '' ? null : threshold })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Save failed');
+            setThreshold(body.lowBalanceThreshold ?? '');
+        } catch (err) {
+            alert(err.message || 'Save failed');
+        } finally {
+            setSavingThreshold(false);
+        }
+    }
+
+    async function openStatement(student) {
+        setStatementFor(student);
+        setStatement(null);
+        try {
+            const res = await fetch(`/api/guardian/students/${student.id}/statement?limit=100`, { cache: 'no-store' });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Failed to load statement');
+            setStatement(body);
+        } catch (err) {
+            alert(err.message || 'Failed to load statement');
+            setStatementFor(null);
+        }
+    }
+
+    async function openControls(student) {
+        setControlsFor(student);
+        setDailyInput(student.spendingLimits?.daily ?? '');
+        setWeeklyInput(student.spendingLimits?.weekly ?? '');
+        setBlocked(student.blockedProducts || []);
+        setAllergensInput((student.dietaryProfile?.allergens || []).join(', '));
+        setRestrictionsInput((student.dietaryProfile?.restrictions || []).join(', '));
+        setHideConflicts(!!student.dietaryProfile?.hideConflicts);
+        setProductFilter('');
+        if (!products.length) {
+            try {
+                const res = await fetch('/api/guardian/products', { cache: 'no-store' });
+                const body = await res.json();
+                if (body.ok) setProducts(body.products || []);
+            } catch (err) {
+                console.warn('Failed to load products', err);
+            }
+        }
+    }
+
+    function toggleBlocked(id) {
+        setBlocked(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+    }
+
+    async function saveControls() {
+        if (!controlsFor) return;
+        setSavingControls(true);
+        try {
+            const res = await fetch(`/api/guardian/students/${controlsFor.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    spendingLimits: { daily: dailyInput, weekly: weeklyInput },
+                    blockedProducts: blocked,
+                    dietaryProfile: { allergens: allergensInput, restrictions: restrictionsInput, hideConflicts }
+                })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Save failed');
+            setStudents(prev => prev.map(s => s.id === body.student.id ? body.student : s));
+            setControlsFor(null);
+        } catch (err) {
+            alert(err.message || 'Save failed');
+        } finally {
+            setSavingControls(false);
+        }
+    }
+
+    const visibleProducts = products.filter(p => !productFilter || p.name.toLowerCase().includes(productFilter.toLowerCase()));
+
+    return (
+        <section className="space-y-6">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-2xl font-semibold">My students</h2>
+                    <div className="text-sm text-slate-400">Balances, spending and recent orders for the students linked to your account.</div>
+                </div>
+                <button onClick={load} className="px-3 py-2 rounded bg-slate-700 text-sm inline-flex items-center gap-2">
+                    <FiRefreshCw /> Refresh
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="text-slate-400">Loading…</div>
+            ) : students.length === 0 ? (
+                <div className="bg-slate-800 p-4 rounded text-slate-400">No students are linked to your account yet. Ask the school IT office to link them.</div>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                    {students.map(s => (
+                        <div key={s.id} className="bg-slate-800 p-4 rounded space-y-3">
+                            <div className="flex items-start justify-between">
+                                <div>
+                                    <div className="text-lg font-medium">{s.name}</div>
+                                    <div className="text-xs text-slate-400 font-mono">{s.regNumber || '—'}</div>
+                                </div>
+                                <div className="text-right">
+                                    <div className="text-xs text-slate-400">Balance</div>
+                                    <div className="text-xl font-semibold">{fmtCurrency(s.balance)}</div>
+                                </div>
+                            </div>
+
+                            <AllowanceBars spending={s.spending} />
+
+                            <div>
+                                <div className="text-sm text-slate-300 mb-1">Recent orders</div>
+                                {s.recentOrders.length === 0 ? (
+                                    <div className="text-sm text-slate-500">No orders yet.</div>
+                                ) : (
+                                    <ul className="divide-y divide-slate-700 text-sm">
+                                        {s.recentOrders.map(o => (
+                                            <li key={o.id} className="py-1 flex justify-between gap-2">
+                                                <span className="truncate">
+                                                    <span className="font-mono text-slate-400 mr-2">{o.code}</span>
+                                                    {o.items.map(it => `${it.qty}× ${it.name}`).join(', ')}
+                                                </span>
+                                                <span className="text-slate-300 whitespace-nowrap">{fmtCurrency(o.total)} · {o.status}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+
+                            <div className="flex gap-2">
+                                <button onClick={() => openStatement(s)} className="px-3 py-2 rounded bg-slate-700 text-sm inline-flex items-center gap-2">
+                                    <FiFileText /> Statement
+                                </button>
+                                <button onClick={() => openControls(s)} className="px-3 py-2 rounded bg-cyan-500 text-white text-sm inline-flex items-center gap-2">
+                                    <FiSliders /> Limits, diet & blocked items
+                                </button>
+                                <button onClick={() => setSubscriptionsFor(s)} className="px-3 py-2 rounded bg-slate-700 text-sm inline-flex items-center gap-2">
+                                    <FiRepeat /> Recurring orders
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                <div className="bg-slate-800 p-4 rounded">
+                    <div className="text-sm text-slate-300">Low-balance alert</div>
+                    <div className="text-xs text-slate-400 mt-1">
+                        You are notified when a balance drops below this amount. Leave empty to use the school default{schoolDefault !== null ? ` (${fmtCurrency(schoolDefault)})` : ''}.
+                    </div>
+                    <div className="mt-3 flex gap-2">
+                        <input type="number" min="0" step="0.01" value={threshold} onChange={(e) => setThreshold(e.target.value)} className="flex-1 p-2 bg-slate-900 rounded text-slate-100" placeholder="School default" />
+                        <button onClick={saveThreshold} disabled={savingThreshold} className="px-3 py-2 rounded bg-cyan-500 text-white text-sm">
+                            {savingThreshold ? 'Saving…' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+
+                <div className="bg-slate-800 p-4 rounded lg:col-span-2">
+                    <div className="text-sm text-slate-300 inline-flex items-center gap-2"><FiBell /> Notifications</div>
+                    {notifications.length === 0 ? (
+                        <div className="mt-2 text-sm text-slate-400">No notifications.</div>
+                    ) : (
+                        <ul className="mt-2 divide-y divide-slate-700 text-sm">
+                            {notifications.map(n => (
+                                <li key={n._id} className="py-2">
+                                    <div className="text-slate-100">{n.title}</div>
+                                    <div className="text-slate-400">{n.body}</div>
+                                    <div className="text-xs text-slate-500">{fmtDate(n.createdAt)}</div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+
+            <Modal open={!!statementFor} title={statementFor ? `Statement — ${statementFor.name}` : ''} onClose={() => setStatementFor(null)}>
+                {!statement ? (
+                    <div className="text-slate-400">Loading…</div>
+                ) : statement.transactions.length === 0 ? (
+                    <div className="text-slate-400">No transactions yet.</div>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-slate-400">
+                                <th className="py-1">Date</th>
+                                <th className="py-1">Type</th>
+                                <th className="py-1 text-right">Amount</th>
+                                <th className="py-1 text-right">Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {statement.transactions.map(t => (
+                                <tr key={t.id} className="border-t border-slate-700">
+                                    <td className="py-1 text-slate-300">{fmtDate(t.createdAt)}</td>
+                                    <td className="py-1">{t.type}{t.relatedOrder ? ` · ${t.relatedOrder.code}` : ''}</td>
+                                    <td className={`py-1 text-right ${t.amount < 0 ? 'text-red-300' : 'text-emerald-300'}`}>{fmtCurrency(t.amount)}</td>
+                                    <td className="py-1 text-right text-slate-300">{fmtCurrency(t.balanceAfter)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </Modal>
+
+            <Modal
+                open={!!controlsFor}
+                title={controlsFor ? `Controls — ${controlsFor.name}` : ''}
+                onClose={() => setControlsFor(null)}
+                footer={
+                    <div className="flex justify-end gap-2">
+                        <button onClick={() => setControlsFor(null)} className="px-3 py-2 rounded bg-slate-700 text-sm">Cancel</button>
+                        <button onClick={saveControls} disabled={savingControls} className="px-3 py-2 rounded bg-cyan-500 text-white text-sm">
+                            {savingControls ? 'Saving…' : 'Save'}
+                        </button>
+                    </div>
+                }
+            >
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="text-xs text-slate-400">Daily limit</label>
+                        <input type="number" min="0" step="0.01" value={dailyInput} onChange={(e) => setDailyInput(e.target.value)} className="w-full p-2 bg-slate-900 rounded text-slate-100 mt-1" placeholder="School default" />
+                    </div>
+                    <div>
+                        <label className="text-xs text-slate-400">Weekly limit</label>
+                        <input type="number" min="0" step="0.01" value={weeklyInput} onChange={(e) => setWeeklyInput(e.target.value)} className="w-full p-2 bg-slate-900 rounded text-slate-100 mt-1" placeholder="School default" />
+                    </div>
+                </div>
+
+                <div className="space-y-2">
+                    <div>
+                        <label className="text-xs text-slate-400">Allergens (comma separated)</label>
+                        <input value={allergensInput} onChange={(e) => setAllergensInput(e.target.value)} className="w-full p-2 bg-slate-900 rounded text-slate-100 mt-1" placeholder="e.g. peanuts, milk" />
+                    </div>
+                    <div>
+                        <label className="text-xs text-slate-400">Dietary restrictions (products must be tagged)</label>
+                        <input value={restrictionsInput} onChange={(e) => setRestrictionsInput(e.target.value)} className="w-full p-2 bg-slate-900 rounded text-slate-100 mt-1" placeholder="e.g. vegetarian, halal" />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-300">
+                        <input type="checkbox" checked={hideConflicts} onChange={(e) => setHideConflicts(e.target.checked)} />
+                        Hide conflicting items from the menu (otherwise they are shown but cannot be ordered)
+                    </label>
+                </div>
+
+                <div>
+                    <div className="flex items-center justify-between">
+                        <label className="text-xs text-slate-400">Blocked items ({blocked.length})</label>
+                        <input value={productFilter} onChange={(e) => setProductFilter(e.target.value)} className="p-1 bg-slate-900 rounded text-slate-100 text-sm" placeholder="Search…" />
+                    </div>
+                    <div className="mt-2 max-h-64 overflow-y-auto divide-y divide-slate-700">
+                        {visibleProducts.map(p => (
+                            <label key={p.id} className="flex items-center justify-between py-1 text-sm cursor-pointer">
+                                <span className="inline-flex items-center gap-2">
+                                    <input type="checkbox" checked={blocked.includes(p.id)} onChange={() => toggleBlocked(p.id)} />
+                                    {p.name}
+                                    {p.isSpecial && <span className="text-xs text-amber-300">special</span>}
+                                </span>
+                                <span className="text-slate-400">{p.category || ''} · {fmtCurrency(p.price)}</span>
+                            </label>
+                        ))}
+                        {visibleProducts.length === 0 && <div className="text-sm text-slate-500 py-2">No products.</div>}
+                    </div>
+                </div>
+            </Modal>
+
+            <Modal open={!!subscriptionsFor} title={subscriptionsFor ? `Recurring orders — ${subscriptionsFor.name}` : ''} onClose={() => setSubscriptionsFor(null)}>
+                {subscriptionsFor && (
+                    <SubscriptionsPanel
+                        apiBase={`/api/guardian/students/${subscriptionsFor.id}/subscriptions`}
+                        productsUrl="/api/guardian/products"
+                    />
+                )}
+            </Modal>
+        </section>
+    );
+}
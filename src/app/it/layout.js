@@ -2,6 +2,8 @@
 'use client';
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
+import { usePathname, useRouter } from 'next/navigation';
+import { signOut, useSession } from 'next-auth/react';
 import Sidebar from '../components/admin/StudentSidebar';
 import StudentHeader from '../components/admin/StudentHeader';
 import ItHeader from '../components/admin/ItHeader';
@@ -11,6 +13,16 @@ import ItSidebar from '../components/admin/ItSidebar';
 export default function ClientAdminLayout({ children }) {
     const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
     const [isMobile, setIsMobile] = useState(false);
+    const pathname = usePathname() || '/it';
+    const router = useRouter();
+    const { data: session } = useSession();
+    // IT must set up two-factor sign-in before anything else (the APIs refuse them until then)
+    const setupTwoFactor = !!session?.user?.twoFactorSetupRequired && pathname !== '/it/two-factor';
+    // 2FA is set up but this session skipped it (signed in before it was required): sign in again with a code
+    const twoFactorSignIn =
+        String(session?.user?.role || '').toLowerCase() === 'it'
+        && !session?.user?.twoFactorSetupRequired
+        && !session?.user?.twoFactorVerified;
 
     useEffect(() => {
         const checkMobile = () => {
@@ -30,6 +42,11 @@ export default function ClientAdminLayout({ children }) {
         };
     }, []);
 
+    useEffect(() => {
+        if (twoFactorSignIn) signOut({ callbackUrl: '/' });
+        else if (setupTwoFactor) router.replace('/it/two-factor');
+    }, [router, setupTwoFactor, twoFactorSignIn]);
+
     const toggleSidebar = () => {
         setSidebarCollapsed(!sidebarCollapsed);
     };
@@ -61,7 +78,7 @@ export default function ClientAdminLayout({ children }) {
 
                 {/* Content */}
                 <main className="flex-1 p-4 sm:p-6 overflow-auto">
-                    {children}
+                    {setupTwoFactor || twoFactorSignIn ? <div className="text-slate-300">Loading...</div> : children}
                 </main>
             </div>
         </div>
@@ -14,6 +14,14 @@ import {
     FiDownload,
     FiClipboard,
     FiPlus,
+    FiArchive,
+    FiRotateCcw,
+    FiUsers,
+    FiLink,
+    FiX,
+    FiShield,
+    FiUnlock,
+    FiLock,
 } from 'react-icons/fi';
 
 /**
@@ -27,8 +35,24 @@ import {
  *  POST /api/it/create-user
  *  POST /api/it/users/:id/deactivate
  *  POST /api/it/users/:id/activate
+ *  POST /api/it/users/:id/reset-two-factor
+ *  POST /api/it/users/:id/unlock
+ *  GET  /api/it/sign-in-attempts
+ *  POST /api/it/trigger-backup
+ *  GET  /api/it/backups
+ *  PUT  /api/it/backups
+ *  POST /api/it/backups/restore
  */
 
+const SIGN_IN_OUTCOME_LABELS = {
+    success: { label: 'Signed in', className: 'text-emerald-300' },
+    failed: { label: 'Failed', className: 'text-red-300' },
+    two_factor_required: { label: 'Asked for 2FA code', className: 'text-slate-300' },
+    two_factor_failed: { label: 'Wrong 2FA code', className: 'text-red-300' },
+    throttled: { label: 'Slowed down', className: 'text-amber-300' },
+    locked: { label: 'Refused (locked)', className: 'text-amber-400' },
+};
+
 function Modal({ open, title, onClose, children, footer }) {
     if (!open) return null;
     return (
@@ -91,13 +115,40 @@ export default function ITHomePage() {
     const [addRegNumber, setAddRegNumber] = useState('');
     const [addRole, setAddRole] = useState('student');
     const [addIsActive, setAddIsActive] = useState(true);
+    const [addStudentRegs, setAddStudentRegs] = useState('');
     const [addLoading, setAddLoading] = useState(false);
     const [addResult, setAddResult] = useState(null);
     const [copiedAdd, setCopiedAdd] = useState(false);
 
+    // Backups
+    const [backups, setBackups] = useState([]);
+    const [retention, setRetention] = useState({ keepLast: '', maxAgeDays: '' });
+    const [backupRunning, setBackupRunning] = useState(false);
+    const [retentionSaving, setRetentionSaving] = useState(false);
+    const [restoreFile, setRestoreFile] = useState(null);
+    const [restorePreview, setRestorePreview] = useState(null);
+    const [restoreConfirm, setRestoreConfirm] = useState('');
+    const [restoreLoading, setRestoreLoading] = useState(false);
+    const [restoreResult, setRestoreResult] = useState(null);
+
+    // Guardians
+    const [guardians, setGuardians] = useState([]);
+    const [linkGuardianId, setLinkGuardianId] = useState('');
+    const [linkRegNumber, setLinkRegNumber] = useState('');
+    const [linkBusy, setLinkBusy] = useState(false);
+
+    // Sign-in attempts and locked accounts
+    const [signIns, setSignIns] = useState([]);
+    const [lockedAccounts, setLockedAccounts] = useState([]);
+    const [signInOutcome, setSignInOutcome] = useState('');
+    const [signInQuery, setSignInQuery] = useState('');
+
     useEffect(() => {
         loadOverview();
         loadRecentUsers();
+        loadBackups();
+        loadGuardians();
+        loadSignIns();
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [refreshKey]);
 
@@ -149,6 +200,75 @@ export default function ITHomePage() {
         }
     }
 
+    async function loadBackups() {
+        try {
+            const res = await fetch('/api/it/backups', { cache: 'no-store' });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Failed to load backups');
+            setBackups(body.backups || []);
+            setRetention({ keepLast: body.retention?.keepLast ?? '', maxAgeDays: body.retention?.maxAgeDays ?? '' });
+        } catch (err) {
+            console.warn('Failed to load backups', err);
+            setBackups([]);
+        }
+    }
+
+    async function loadGuardians() {
+        try {
+            const res = await fetch('/api/it/guardians', { cache: 'no-store' });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Failed to load guardians');
+            setGuardians(body.guardians || []);
+        } catch (err) {
+            console.warn('Failed to load guardians', err);
+            setGuardians([]);
+        }
+    }
+
+    async function loadSignIns(outcome = signInOutcome, q = signInQuery) {
+        try {
+            const params = new URLSearchParams({ limit: '50' });
+            if (outcome) params.set('outcome', outcome);
+            if (q.trim()) params.set('q', q.trim());
+            const res = await fetch(`/api/it/sign-in-attempts?${params}`, { cache: 'no-store' });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Failed to load sign-in attempts');
+            setSignIns(body.attempts || []);
+            setLockedAccounts(body.locked || []);
+        } catch (err) {
+            console.warn('Failed to load sign-in attempts', err);
+            setSignIns([]);
+            setLockedAccounts([]);
+        }
+    }
+
+    async function changeGuardianLink(guardianId, regNumber, action) {
+        if (!guardianId || !String(regNumber || '').trim()) return alert('Choose a guardian and enter a student reg number');
+        setLinkBusy(true);
+        try {
+            const res = await fetch('/api/it/guardians', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ guardianId, regNumber: String(regNumber).trim(), action })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Update failed');
+            if (action === 'link') setLinkRegNumber('');
+            await loadGuardians();
+        } catch (err) {
+            alert(err.message || 'Update failed');
+        } finally {
+            setLinkBusy(false);
+        }
+    }
+
+    function humanSize(bytes) {
+        const n = Number(bytes || 0);
+        if (n < 1024) return `${n} B`;
+        if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+        return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     function humanDate(d) {
         try {
             return new Date(d).toLocaleString();
@@ -232,6 +352,7 @@ export default function ITHomePage() {
     async function submitAddUser() {
         if (!addName.trim()) return alert('Name is required');
         if (addRole === 'student' && !addRegNumber.trim()) return alert('RegNumber is required for students');
+        if (addRole === 'guardian' && !addEmail.trim()) return alert('Email is required for guardians');
 
         setAddLoading(true);
         setAddResult(null);
@@ -243,7 +364,8 @@ export default function ITHomePage() {
                 email: addEmail.trim() || undefined,
                 regNumber: addRole === 'student' ? addRegNumber.trim() : undefined,
                 role: addRole,
-                isActive: !!addIsActive
+                isActive: !!addIsActive,
+                studentRegNumbers: addRole === 'guardian' ? addStudentRegs : undefined
             };
             const res = await fetch('/api/it/create-user', {
                 method: 'POST',
@@ -306,6 +428,125 @@ export default function ITHomePage() {
         }
     }
 
+    // ---------- Quick action: reset two-factor authentication ----------
+    async function resetTwoFactor(u) {
+        const reason = prompt(`Reset two-factor authentication for ${u.name || u.email}? They will have to set it up again.\nReason (optional):`);
+        if (reason === null) return;
+        setActionLoadingId(u._id);
+        try {
+            const res = await fetch(`/api/it/users/${encodeURIComponent(u._id)}/reset-two-factor`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Reset failed');
+            alert(body.message || 'Two-factor authentication reset');
+            setRefreshKey(k => k + 1);
+        } catch (err) {
+            alert(err.message || 'Reset failed');
+        } finally {
+            setActionLoadingId(null);
+        }
+    }
+
+    async function unlockUser(u) {
+        if (!confirm(`Unlock ${u.name || u.email || u.regNumber}? Their failed sign-in attempts are cleared.`)) return;
+        setActionLoadingId(u._id);
+        try {
+            const res = await fetch(`/api/it/users/${encodeURIComponent(u._id)}/unlock`, { method: 'POST' });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Unlock failed');
+            alert(body.message || 'Account unlocked');
+            setRefreshKey(k => k + 1);
+        } catch (err) {
+            alert(err.message || 'Unlock failed');
+        } finally {
+            setActionLoadingId(null);
+        }
+    }
+
+    // ---------- Backups ----------
+    async function runBackup() {
+        setBackupRunning(true);
+        try {
+            const res = await fetch('/api/it/trigger-backup', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason: 'manual' })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Backup failed');
+            alert(body.message || 'Backup complete');
+            setRefreshKey(k => k + 1);
+        } catch (err) {
+            alert(err.message || 'Backup failed');
+        } finally {
+            setBackupRunning(false);
+        }
+    }
+
+    async function saveRetention() {
+        setRetentionSaving(true);
+        try {
+            const res = await fetch('/api/it/backups', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ keepLast: Number(retention.keepLast), maxAgeDays: Number(retention.maxAgeDays) })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Failed to save retention');
+            if (body.removed?.length) alert(`Retention applied — removed ${body.removed.length} old backup(s)`);
+            await loadBackups();
+        } catch (err) {
+            alert(err.message || 'Failed to save retention');
+        } finally {
+            setRetentionSaving(false);
+        }
+    }
+
+    async function openRestore(file) {
+        setRestoreFile(file);
+        setRestorePreview(null);
+        setRestoreResult(null);
+        setRestoreConfirm('');
+        setRestoreLoading(true);
+        try {
+            const res = await fetch('/api/it/backups/restore', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ file, dryRun: true })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Preview failed');
+            setRestorePreview(body.result);
+        } catch (err) {
+            setRestoreResult({ success: false, message: err.message || 'Preview failed' });
+        } finally {
+            setRestoreLoading(false);
+        }
+    }
+
+    async function submitRestore() {
+        if (restoreConfirm !== 'RESTORE') return alert('Type RESTORE to confirm');
+        setRestoreLoading(true);
+        try {
+            const res = await fetch('/api/it/backups/restore', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ file: restoreFile, dryRun: false, confirm: restoreConfirm })
+            });
+            const body = await res.json();
+            if (!body.ok) throw new Error(body.error || 'Restore failed');
+            setRestoreResult({ success: true, message: `Restored ${body.result.file}. Safety backup: ${body.result.safetyBackup}` });
+            setRefreshKey(k => k + 1);
+        } catch (err) {
+            setRestoreResult({ success: false, message: err.message || 'Restore failed' });
+        } finally {
+            setRestoreLoading(false);
+        }
+    }
+
     // ---------- Download CSV template (client-side) ----------
     function downloadTemplate() {
         const header = ['name', 'email', 'role', 'regNumber'];
@@ -457,6 +698,13 @@ export default function ITHomePage() {
                         >
                             <FiRefreshCw /> Refresh health
                         </button>
+                        <button
+                            onClick={runBackup}
+                            disabled={backupRunning}
+                            className="inline-flex items-center gap-2 px-3 py-2 rounded bg-cyan-500 text-white text-sm"
+                        >
+                            <FiArchive /> {backupRunning ? 'Backing up…' : 'Back up now'}
+                        </button>
                     </div>
                 </div>
 
@@ -503,6 +751,193 @@ export default function ITHomePage() {
                 </div>
             </div>
 
+            {/* Backups */}
+            <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+                <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between mb-3 gap-3">
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-100">Backups</h3>
+                        <div className="text-xs text-slate-400">Compressed archives of every collection, newest first.</div>
+                    </div>
+                    <div className="flex flex-wrap items-end gap-2">
+                        <div>
+                            <label className="text-xs text-slate-400">Keep last</label>
+                            <input type="number" min="1" value={retention.keepLast} onChange={(e) => setRetention(r => ({ ...r, keepLast: e.target.value }))} className="w-24 p-2 bg-slate-900 rounded text-slate-100 text-sm block" />
+                        </div>
+                        <div>
+                            <label className="text-xs text-slate-400">Max age (days)</label>
+                            <input type="number" min="1" value={retention.maxAgeDays} onChange={(e) => setRetention(r => ({ ...r, maxAgeDays: e.target.value }))} className="w-24 p-2 bg-slate-900 rounded text-slate-100 text-sm block" />
+                        </div>
+                        <button onClick={saveRetention} disabled={retentionSaving} className="px-3 py-2 rounded bg-slate-700 text-slate-200 text-sm">
+                            {retentionSaving ? 'Saving…' : 'Save retention'}
+                        </button>
+                    </div>
+                </div>
+
+                {backups.length === 0 ? (
+                    <div className="text-sm text-slate-400">No backups yet.</div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs text-slate-400">
+                                <tr>
+                                    <th className="py-2 pr-3">Created</th>
+                                    <th className="py-2 pr-3">File</th>
+                                    <th className="py-2 pr-3">Size</th>
+                                    <th className="py-2 pr-3">SHA-256</th>
+                                    <th className="py-2" />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {backups.map((b) => (
+                                    <tr key={b.file} className="border-t border-slate-700">
+                                        <td className="py-2 pr-3 text-slate-200 whitespace-nowrap">{humanDate(b.createdAt)}</td>
+                                        <td className="py-2 pr-3 text-slate-300 font-mono text-xs break-all">{b.file}</td>
+                                        <td className="py-2 pr-3 text-slate-300 whitespace-nowrap">{humanSize(b.size)}</td>
+                                        <td className="py-2 pr-3 text-slate-400 font-mono text-xs" title={b.checksum || ''}>{b.checksum ? `${b.checksum.slice(0, 12)}…` : '—'}</td>
+                                        <td className="py-2 text-right">
+                                            <button onClick={() => openRestore(b.file)} className="px-2 py-1 rounded bg-amber-500 text-black text-sm inline-flex items-center gap-2">
+                                                <FiRotateCcw /> Restore
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Guardians */}
+            <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+                <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between mb-3 gap-3">
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-100 inline-flex items-center gap-2"><FiUsers /> Guardians</h3>
+                        <div className="text-xs text-slate-400">Parent accounts and the students they can see.</div>
+                    </div>
+                    <div className="flex flex-wrap items-end gap-2">
+                        <select value={linkGuardianId} onChange={(e) => setLinkGuardianId(e.target.value)} className="p-2 bg-slate-900 rounded text-slate-100 text-sm">
+                            <option value="">Select guardian…</option>
+                            {guardians.map(g => <option key={g._id} value={g._id}>{g.name}{g.email ? ` (${g.email})` : ''}</option>)}
+                        </select>
+                        <input value={linkRegNumber} onChange={(e) => setLinkRegNumber(e.target.value)} placeholder="Student reg number" className="p-2 bg-slate-900 rounded text-slate-100 text-sm w-44" />
+                        <button onClick={() => changeGuardianLink(linkGuardianId, linkRegNumber, 'link')} disabled={linkBusy} className="px-3 py-2 rounded bg-cyan-500 text-white text-sm inline-flex items-center gap-2">
+                            <FiLink /> Link
+                        </button>
+                    </div>
+                </div>
+
+                {guardians.length === 0 ? (
+                    <div className="text-sm text-slate-400">No guardian accounts yet. Use “Add user” with the Parent / guardian role.</div>
+                ) : (
+                    <div className="space-y-2">
+                        {guardians.map(g => (
+                            <div key={g._id} className="bg-slate-900/40 rounded p-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                                <div>
+                                    <div className="text-slate-100 font-medium">{g.name} {!g.isActive && <span className="text-xs text-red-400">(inactive)</span>}</div>
+                                    <div className="text-xs text-slate-400">{g.email || '—'}</div>
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    {g.students.length === 0 && <span className="text-xs text-slate-500">No linked students</span>}
+                                    {g.students.map(st => (
+                                        <span key={st._id} className="inline-flex items-center gap-1 px-2 py-1 rounded bg-slate-700 text-xs text-slate-200">
+                                            {st.name} <span className="font-mono text-slate-400">{st.regNumber}</span>
+                                            <button onClick={() => changeGuardianLink(g._id, st.regNumber, 'unlink')} disabled={linkBusy} className="ml-1 text-slate-400 hover:text-red-400" title="Unlink">
+                                                <FiX />
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Sign-in attempts */}
+            <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+                <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between mb-3 gap-3">
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-100 inline-flex items-center gap-2"><FiLock /> Sign-in attempts</h3>
+                        <div className="text-xs text-slate-400">Every sign-in with its IP and outcome, newest first. Accounts lock for a while after repeated failures.</div>
+                    </div>
+                    <div className="flex flex-wrap items-end gap-2">
+                        <select
+                            value={signInOutcome}
+                            onChange={(e) => { setSignInOutcome(e.target.value); loadSignIns(e.target.value, signInQuery); }}
+                            className="p-2 bg-slate-900 rounded text-slate-100 text-sm"
+                        >
+                            <option value="">All outcomes</option>
+                            {Object.entries(SIGN_IN_OUTCOME_LABELS).map(([value, o]) => <option key={value} value={value}>{o.label}</option>)}
+                        </select>
+                        <input
+                            value={signInQuery}
+                            onChange={(e) => setSignInQuery(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') loadSignIns(); }}
+                            placeholder="Email, reg number or IP"
+                            className="p-2 bg-slate-900 rounded text-slate-100 text-sm w-52"
+                        />
+                        <button onClick={() => loadSignIns()} className="px-3 py-2 rounded bg-slate-700 text-slate-200 text-sm inline-flex items-center gap-2">
+                            <FiRefreshCw /> Search
+                        </button>
+                    </div>
+                </div>
+
+                {lockedAccounts.length > 0 && (
+                    <div className="mb-3 space-y-2">
+                        {lockedAccounts.map((l) => (
+                            <div key={l.user._id} className="bg-amber-900/30 border border-amber-800 rounded p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                                <div className="text-sm text-amber-100">
+                                    <span className="font-medium">{l.user.name || l.user.email}</span>{' '}
+                                    <span className="text-amber-200/80">{l.user.regNumber || l.user.email} · {l.user.role}</span>
+                                    <div className="text-xs text-amber-200/70">Locked until {humanDate(l.lockedUntil)}{l.lockouts > 1 ? ` (lockout ${l.lockouts} in a row)` : ''}</div>
+                                </div>
+                                <button
+                                    onClick={() => unlockUser(l.user)}
+                                    disabled={actionLoadingId === l.user._id}
+                                    className="px-3 py-1 rounded bg-amber-600 text-white text-sm inline-flex items-center gap-2 self-start sm:self-auto"
+                                >
+                                    <FiUnlock /> Unlock
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {signIns.length === 0 ? (
+                    <div className="text-sm text-slate-400">No sign-in attempts found.</div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs text-slate-400">
+                                <tr>
+                                    <th className="py-2 pr-3">When</th>
+                                    <th className="py-2 pr-3">Identifier</th>
+                                    <th className="py-2 pr-3">Account</th>
+                                    <th className="py-2 pr-3">Outcome</th>
+                                    <th className="py-2 pr-3">IP</th>
+                                    <th className="py-2">Device</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {signIns.map((a) => {
+                                    const outcome = SIGN_IN_OUTCOME_LABELS[a.outcome] || { label: a.outcome, className: 'text-slate-300' };
+                                    return (
+                                        <tr key={a._id} className="border-t border-slate-700">
+                                            <td className="py-2 pr-3 text-slate-200 whitespace-nowrap">{humanDate(a.createdAt)}</td>
+                                            <td className="py-2 pr-3 text-slate-300 font-mono text-xs break-all">{a.identifier || '—'}</td>
+                                            <td className="py-2 pr-3 text-slate-300">{a.user ? `${a.user.name} (${a.user.role})` : <span className="text-slate-500">no account</span>}</td>
+                                            <td className={`py-2 pr-3 whitespace-nowrap ${outcome.className}`} title={a.reason || ''}>{outcome.label}</td>
+                                            <td className="py-2 pr-3 text-slate-300 font-mono text-xs">{a.ip || '—'}</td>
+                                            <td className="py-2 text-slate-400 text-xs max-w-xs truncate" title={a.userAgent || ''}>{a.userAgent || '—'}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
             {/* Recent users */}
             <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
                 <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-3 gap-3">
@@ -535,6 +970,12 @@ export default function ITHomePage() {
                                             ) : (
                                                 <span className="px-2 py-0.5 rounded bg-red-700 text-red-100 text-[11px]">Inactive</span>
                                             )}
+                                            {u.twoFactor?.enabled && (
+                                                <span className="ml-1 px-2 py-0.5 rounded bg-sky-700 text-sky-100 text-[11px]">2FA on</span>
+                                            )}
+                                            {u.lockedUntil && (
+                                                <span className="ml-1 px-2 py-0.5 rounded bg-amber-600 text-amber-50 text-[11px]" title={`Until ${humanDate(u.lockedUntil)}`}>Locked</span>
+                                            )}
                                         </div>
                                     </div>
 
@@ -545,7 +986,7 @@ export default function ITHomePage() {
 
                                 <div className="mt-3 text-xs text-slate-400">Joined: {humanDate(u.createdAt)}</div>
 
-                                <div className="mt-3 flex gap-2">
+                                <div className="mt-3 flex flex-wrap gap-2">
                                     <button
                                         onClick={() => { setResetIdentifier(u.email || u.regNumber || ''); setIsResetOpen(true); }}
                                         className="px-2 py-1 rounded bg-amber-500 text-black text-sm inline-flex items-center gap-2"
@@ -571,6 +1012,27 @@ export default function ITHomePage() {
                                             <FiCheckCircle /> {actionLoadingId === u._id ? 'Working…' : 'Activate'}
                                         </button>
                                     )}
+
+                                    {u.twoFactor?.enabled && (
+                                        <button
+                                            onClick={() => resetTwoFactor(u)}
+                                            className="px-2 py-1 rounded bg-slate-600 text-white text-sm inline-flex items-center gap-2"
+                                            disabled={actionLoadingId === u._id}
+                                            title="Clear the authenticator app and recovery codes (lost phone)"
+                                        >
+                                            <FiShield /> Reset 2FA
+                                        </button>
+                                    )}
+
+                                    {u.lockedUntil && (
+                                        <button
+                                            onClick={() => unlockUser(u)}
+                                            className="px-2 py-1 rounded bg-amber-600 text-white text-sm inline-flex items-center gap-2"
+                                            disabled={actionLoadingId === u._id}
+                                        >
+                                            <FiUnlock /> Unlock
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         ))}
@@ -634,6 +1096,60 @@ export default function ITHomePage() {
                 )}
             </Modal>
 
+            {/* Restore backup modal */}
+            <Modal
+                open={!!restoreFile}
+                title="Restore backup"
+                onClose={() => { setRestoreFile(null); setRestorePreview(null); setRestoreResult(null); setRestoreConfirm(''); }}
+                footer={
+                    <div className="flex gap-2 justify-end">
+                        <button onClick={() => { setRestoreFile(null); }} className="px-3 py-2 rounded bg-slate-700 text-slate-200">Close</button>
+                        <button onClick={submitRestore} disabled={restoreLoading || !restorePreview || restoreResult?.success} className="px-3 py-2 rounded bg-red-700 text-white">
+                            {restoreLoading ? 'Working…' : 'Restore now'}
+                        </button>
+                    </div>
+                }
+            >
+                <div className="text-xs text-slate-400 font-mono break-all">{restoreFile}</div>
+
+                {restorePreview && (
+                    <>
+                        <div className="text-sm text-slate-300">
+                            Dry run — archive v{restorePreview.version} from {humanDate(restorePreview.createdAt)}.
+                            Checksum {restorePreview.checksumVerified ? 'verified' : 'not available'}.
+                        </div>
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs text-slate-400">
+                                <tr>
+                                    <th className="py-1 pr-3">Collection</th>
+                                    <th className="py-1 pr-3">In backup</th>
+                                    <th className="py-1">Current</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {restorePreview.collections.map((c) => (
+                                    <tr key={c.collection} className="border-t border-slate-700">
+                                        <td className="py-1 pr-3 text-slate-200">{c.collection}{c.skipped ? ' (skipped)' : ''}</td>
+                                        <td className="py-1 pr-3 text-slate-300">{c.archived}</td>
+                                        <td className="py-1 text-slate-300">{c.current ?? '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div>
+                            <label className="text-xs text-slate-400">Restoring replaces all current data (a safety backup is taken first). Type RESTORE to confirm.</label>
+                            <input value={restoreConfirm} onChange={(e) => setRestoreConfirm(e.target.value)} className="w-full p-2 bg-slate-900 rounded text-slate-100 mt-1 font-mono" placeholder="RESTORE" />
+                        </div>
+                    </>
+                )}
+
+                {restoreResult && (
+                    <div className={`p-3 rounded ${restoreResult.success ? 'bg-emerald-900' : 'bg-red-900'}`}>
+                        <div className={`text-sm ${restoreResult.success ? 'text-emerald-200' : 'text-red-200'}`}>{restoreResult.message}</div>
+                    </div>
+                )}
+            </Modal>
+
             {/* Upload users modal */}
             <Modal
                 open={isUploadOpen}
@@ -693,6 +1209,7 @@ export default function ITHomePage() {
                     setAddName('');
                     setAddEmail('');
                     setAddRegNumber('');
+                    setAddStudentRegs('');
                     setAddRole('student');
                     setAddIsActive(true);
                     setAddResult(null);
@@ -726,10 +1243,19 @@ export default function ITHomePage() {
                             <option value="it">IT</option>
                             <option value="canteen">Canteen Operator</option>
                             <option value="external">External (cash)</option>
+                            <option value="guardian">Parent / guardian</option>
                         </select>
                         <div className="text-xs text-slate-500 mt-1">Choose role — password behavior depends on role.</div>
                     </div>
 
+                    {addRole === 'guardian' && (
+                        <div>
+                            <label className="text-xs text-slate-400">Linked students</label>
+                            <input value={addStudentRegs} onChange={(e) => setAddStudentRegs(e.target.value)} className="w-full p-2 bg-slate-900 rounded text-slate-100 mt-1" placeholder="ST2025-003, ST2025-004" />
+                            <div className="text-xs text-slate-400 mt-1">Comma-separated reg numbers. Guardians sign in with their email.</div>
+                        </div>
+                    )}
+
                     {addRole === 'student' && (
                         <div>
                             <label className="text-xs text-slate-400">RegNumber</label>
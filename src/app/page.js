@@ -16,6 +16,9 @@ import { useRouter } from 'next/navigation';
  *  - student -> /(student)
  *  - it -> /(it)
  *  - otherwise -> /
+ *
+ * Two-factor: when the account has it on, the server answers the password with "TwoFactorRequired";
+ * the form then asks for an authenticator (or recovery) code and signs in again with both.
  */
 
 export default function LoginPage() {
@@ -26,6 +29,8 @@ export default function LoginPage() {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [errorMsg, setErrorMsg] = useState('');
+  const [needsOtp, setNeedsOtp] = useState(false);
+  const [otp, setOtp] = useState('');
 
   // mounted flag to avoid mismatches
   const [mounted, setMounted] = useState(false);
@@ -52,6 +57,7 @@ export default function LoginPage() {
     if (r === 'canteen') return '/canteen';
     if (r === 'student') return '/student';
     if (r === 'it') return '/it';
+    if (r === 'guardian') return '/guardian';
     return '/';
   }
 
@@ -64,7 +70,8 @@ export default function LoginPage() {
       const res = await signIn('credentials', {
         redirect: false,
         email: identifier,
-        password
+        password,
+        ...(needsOtp ? { otp } : {})
       });
 
       if (!res) {
@@ -72,6 +79,17 @@ export default function LoginPage() {
         setErrorMsg('Login failed — no response from auth.');
         return;
       }
+      if (res.error === 'TwoFactorRequired') {
+        setLoading(false);
+        setNeedsOtp(true);
+        return;
+      }
+      if (res.error === 'TwoFactorInvalid') {
+        setLoading(false);
+        setOtp('');
+        setErrorMsg('That code is not valid or was already used.');
+        return;
+      }
       if (res.error) {
         setLoading(false);
         setErrorMsg(res.error === 'CredentialsSignin' ? 'Invalid email/regNumber or password.' : String(res.error));
@@ -112,7 +130,10 @@ export default function LoginPage() {
             <input
               required
               value={identifier}
-              onChange={(e) => setIdentifier(e.target.value)}
+              onChange={(e) => {
+                setIdentifier(e.target.value);
+                setNeedsOtp(false);
+              }}
               className="mt-1 block w-full bg-slate-800/60 border border-slate-700 rounded-md p-2 text-slate-100 placeholder-slate-400"
               placeholder="admin@... or ST2025-001"
               autoComplete="username"
@@ -125,13 +146,35 @@ export default function LoginPage() {
               required
               type="password"
               value={password}
-              onChange={(e) => setPassword(e.target.value)}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                setNeedsOtp(false);
+              }}
               className="mt-1 block w-full bg-slate-800/60 border border-slate-700 rounded-md p-2 text-slate-100 placeholder-slate-400"
               placeholder="password"
               autoComplete="current-password"
             />
           </label>
 
+          {needsOtp && (
+            <label className="block">
+              <span className="text-sm text-slate-200">Authentication code</span>
+              <input
+                required
+                autoFocus
+                value={otp}
+                onChange={(e) => setOtp(e.target.value)}
+                className="mt-1 block w-full bg-slate-800/60 border border-slate-700 rounded-md p-2 text-slate-100 placeholder-slate-400 tracking-widest"
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+              />
+              <span className="mt-1 block text-xs text-slate-400">
+                From your authenticator app. Lost your phone? Enter one of your recovery codes instead.
+              </span>
+            </label>
+          )}
+
           {/* show runtime errors only after client mount to avoid SSR/CSR mismatch */}
           {mounted && errorMsg && <div className="text-sm text-red-300">{errorMsg}</div>}
 
@@ -141,7 +184,7 @@ export default function LoginPage() {
                        bg-red-600 hover:bg-red-700 disabled:opacity-60 disabled:cursor-not-allowed"
             disabled={loading}
           >
-            {mounted && loading ? 'Signing in…' : 'Sign in'}
+            {mounted && loading ? 'Signing in…' : needsOtp ? 'Verify' : 'Sign in'}
           </button>
         </form>
 
@@ -1,6 +1,6 @@
 // app/(student)/place-order/page.jsx  (updated StudentOrderPage)
 "use client";
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import Link from "next/link";
 import {
   FiArrowLeft,
@@ -15,7 +15,48 @@ import {
   FiTrash2,
   FiLoader,
   FiX,
+  FiAlertTriangle,
+  FiStar,
+  FiRepeat,
 } from "react-icons/fi";
+import ModifierPicker from "@/app/components/ModifierPicker";
+import { menuBundleMap, priceOrderLine } from "@/lib/bundles";
+import { nextOpening, openWindows, windowRunsOn } from "@/lib/schedule";
+import { idempotencyKeyFor } from "@/lib/idempotencyKey";
+
+// Cart line key: the product id, plus the chosen modifier options and combo slot choices
+// ("productId::groupId=optionId,optionId;@slotId=productId"), so each combination is its own line
+function cartLineKey(productId, { modifiers = {}, bundleChoices = {} } = {}) {
+  const parts = [
+    ...Object.entries(modifiers)
+      .filter(([, ids]) => ids && ids.length)
+      .map(([gid, ids]) => `${gid}=${[...ids].sort().join(",")}`),
+    ...Object.entries(bundleChoices)
+      .filter(([, pid]) => pid)
+      .map(([sid, pid]) => `@${sid}=${pid}`),
+  ].sort();
+  return parts.length ? `${productId}::${parts.join(";")}` : String(productId);
+}
+
+function parseCartLineKey(key) {
+  const [productId, rest = ""] = String(key).split("::");
+  const modifiers = [];
+  const bundleChoices = [];
+  for (const part of rest.split(";").filter(Boolean)) {
+    const [id, value = ""] = part.split("=");
+    if (id.startsWith("@")) bundleChoices.push({ slotId: id.slice(1), productId: value });
+    else modifiers.push({ groupId: id, optionIds: value.split(",").filter(Boolean) });
+  }
+  return { productId, modifiers, bundleChoices };
+}
+
+// YYYY-MM-DD of a date in the browser's timezone, `offsetDays` days later
+function localDateString(offsetDays = 0) {
+  const d = new Date();
+  d.setDate(d.getDate() + offsetDays);
+  const pad = (n) => (n < 10 ? "0" + n : "" + n);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
 
 // Simple currency formatter (falls back to number)
 function fmtCurrency(n) {
@@ -35,7 +76,12 @@ export default function StudentOrderPage() {
   const [loadingMenu, setLoadingMenu] = useState(true);
   const [orderingWindows, setOrderingWindows] = useState([]);
   const [activeWindowNames, setActiveWindowNames] = useState([]);
-  const [cart, setCart] = useState(new Map()); // productId -> qty
+  // school calendar entries of the coming weeks and why ordering is closed today (if it is)
+  const [calendar, setCalendar] = useState([]);
+  const [closedToday, setClosedToday] = useState(null);
+  // { window, opensAt } of the next ordinary window to open while none is open
+  const [nextWindowOpening, setNextWindowOpening] = useState(null);
+  const [cart, setCart] = useState(new Map()); // cart line key -> qty
   const [specialMenu, setSpecialMenu] = useState([]);
   const [loadingSpecialMenu, setLoadingSpecialMenu] = useState(true);
   const [specialOrderingWindows, setSpecialOrderingWindows] = useState([]);
@@ -46,10 +92,26 @@ export default function StudentOrderPage() {
     bannerText: "Try SPECIAL ORDERS today — collect during LUNCHTIME ONLY.",
     bannerNote: "Special orders can only be collected during lunchtime.",
   });
-  const [specialCart, setSpecialCart] = useState(new Map()); // specialProductId -> qty
+  const [specialCart, setSpecialCart] = useState(new Map()); // cart line key -> qty
+  const [picking, setPicking] = useState(null); // product whose options are being chosen
   const [placing, setPlacing] = useState(false);
+  // pre-order: ordinary orders for a later window today or a future day
+  const [orderWhen, setOrderWhen] = useState("now");
+  const [preorderDate, setPreorderDate] = useState(() => localDateString(1));
+  const [preorderWindowId, setPreorderWindowId] = useState("");
   const [orderResult, setOrderResult] = useState(null);
+  // pickup slots of the target window (ordinary orders only; see lib/pickupSlots.js)
+  const [pickupSlots, setPickupSlots] = useState({ enabled: false, slots: [] });
+  const [pickupSlot, setPickupSlot] = useState("");
   const [error, setError] = useState("");
+  // starred products (User.favorites) and recent orders that can be re-run (GET /api/student/orders/:id/reorder)
+  const [favorites, setFavorites] = useState(new Set());
+  const [recentOrders, setRecentOrders] = useState([]);
+  const [reorder, setReorder] = useState(null); // preview of the order being re-run
+  const [reorderLoading, setReorderLoading] = useState("");
+
+  // one Idempotency-Key per distinct submission; a retry of the same cart reuses it
+  const idemRef = useRef(null);
   const [activeCategory, setActiveCategory] = useState("all");
   const isSpecial = orderType === "special";
   const currentMenu = isSpecial ? specialMenu : menu;
@@ -61,6 +123,12 @@ export default function StudentOrderPage() {
     ? activeSpecialWindowNames
     : activeWindowNames;
   const currentCart = isSpecial ? specialCart : cart;
+  const isPreorder = !isSpecial && orderWhen === "later";
+  const preorderWindows = orderingWindows.filter(
+    (w) =>
+      w.active &&
+      windowRunsOn(w, preorderDate, { calendar, scope: "ordinary" }).runs
+  );
   const accentText = isSpecial ? "text-amber-400" : "text-cyan-400";
   const accentRing = isSpecial ? "focus:ring-amber-500" : "focus:ring-cyan-500";
   const accentActivePill = isSpecial
@@ -78,8 +146,125 @@ export default function StudentOrderPage() {
     loadOrderingWindows();
     loadSpecialMenu();
     loadSpecialOrderingWindows();
+    loadFavorites();
+    loadRecentOrders();
   }, []);
 
+  async function loadFavorites() {
+    try {
+      const res = await fetch("/api/student/favorites", {
+        cache: "no-store",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (body.ok) setFavorites(new Set(body.favorites || []));
+    } catch (err) {
+      console.warn("loadFavorites error", err);
+    }
+  }
+
+  async function toggleFavorite(productId) {
+    const starred = favorites.has(productId);
+    // optimistic; the response carries the stored list
+    setFavorites((prev) => {
+      const next = new Set(prev);
+      if (starred) next.delete(productId);
+      else next.add(productId);
+      return next;
+    });
+    try {
+      const res = starred
+        ? await fetch(`/api/student/favorites?productId=${encodeURIComponent(productId)}`, {
+            method: "DELETE",
+            credentials: "include",
+          })
+        : await fetch("/api/student/favorites", {
+            method: "POST",
+            credentials: "include",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ productId }),
+          });
+      const body = await res.json().catch(() => ({}));
+      if (body.ok) setFavorites(new Set(body.favorites || []));
+      else setError(body.error || "Could not update favorites");
+    } catch (err) {
+      console.warn("toggleFavorite error", err);
+      loadFavorites();
+    }
+  }
+
+  async function loadRecentOrders() {
+    try {
+      const res = await fetch("/api/student/orders?limit=10", {
+        cache: "no-store",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) return;
+      setRecentOrders(
+        (body.orders || [])
+          .filter((o) => !o.isSpecial && !o.external && o.status !== "cancelled")
+          .slice(0, 5)
+      );
+    } catch (err) {
+      console.warn("loadRecentOrders error", err);
+    }
+  }
+
+  async function openReorder(orderId) {
+    setError("");
+    setOrderResult(null);
+    setReorderLoading(orderId);
+    try {
+      const res = await fetch(`/api/student/orders/${orderId}/reorder`, {
+        cache: "no-store",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.ok) {
+        setError(body.error || `Could not load that order (${res.status})`);
+        return;
+      }
+      // a reorder is an ordinary order for the window open now
+      setOrderType("ordinary");
+      setOrderWhen("now");
+      setActiveCategory("all");
+      setReorder(body);
+    } catch (err) {
+      console.error("openReorder error", err);
+      setError("Network error while loading that order");
+    } finally {
+      setReorderLoading("");
+    }
+  }
+
+  // cart lines (key -> qty) of the orderable lines of a reorder preview
+  function reorderCart(preview) {
+    const next = new Map();
+    for (const l of preview?.lines || []) {
+      if (!l.orderable || l.qty <= 0) continue;
+      const modifiers = Object.fromEntries((l.modifiers || []).map((m) => [m.groupId, m.optionIds]));
+      const bundleChoices = Object.fromEntries((l.bundleChoices || []).map((c) => [c.slotId, c.productId]));
+      const key = cartLineKey(l.productId, { modifiers, bundleChoices });
+      next.set(key, (next.get(key) || 0) + l.qty);
+    }
+    return next;
+  }
+
+  function reorderToCart() {
+    setCart(reorderCart(reorder));
+    setReorder(null);
+  }
+
+  async function reorderNow() {
+    const lines = [...reorderCart(reorder).entries()].map(([key, qty]) => {
+      const { productId, modifiers, bundleChoices } = parseCartLineKey(key);
+      return { productId, qty, modifiers, bundleChoices };
+    });
+    const placed = await placeOrder(lines);
+    if (placed) setReorder(null);
+  }
+
   useEffect(() => {
     if (orderType === "special" && !specialOrders.enabled) {
       setOrderType("ordinary");
@@ -139,6 +324,38 @@ export default function StudentOrderPage() {
   }
 
   // Use server time (when available) to compute active ordering windows.
+  async function loadPickupSlots() {
+    if (isSpecial || (isPreorder && !preorderWindowId)) {
+      setPickupSlots({ enabled: false, slots: [] });
+      return;
+    }
+    try {
+      const params = isPreorder
+        ? `?${new URLSearchParams({ windowId: preorderWindowId, date: preorderDate })}`
+        : "";
+      const res = await fetch(`/api/student/pickup-slots${params}`, {
+        cache: "no-store",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      const slots = body.ok && body.slotsEnabled ? body.slots || [] : [];
+      setPickupSlots({ enabled: !!(body.ok && body.slotsEnabled), slots });
+      // keep the chosen slot while it is still open, otherwise take the first open one
+      setPickupSlot((prev) => {
+        const open = slots.filter((sl) => !sl.full && !sl.past);
+        return open.some((sl) => sl.start === prev) ? prev : open[0]?.start || "";
+      });
+    } catch (err) {
+      console.error("loadPickupSlots error", err);
+      setPickupSlots({ enabled: false, slots: [] });
+    }
+  }
+
+  useEffect(() => {
+    loadPickupSlots();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isSpecial, isPreorder, preorderWindowId, preorderDate]);
+
   async function loadOrderingWindows() {
     try {
       const res = await fetch("/api/ordering-windows", {
@@ -149,6 +366,7 @@ export default function StudentOrderPage() {
       const body = await res.json().catch(() => ({}));
       const windows = body.windows || [];
       setOrderingWindows(windows);
+      setCalendar(body.calendar || []);
 
       // determine "now" using server date header first
       const serverDateHdr = res.headers.get("date");
@@ -162,26 +380,15 @@ export default function StudentOrderPage() {
       }
       if (isNaN(now?.getTime())) now = new Date();
 
-      const pad = (n) => (n < 10 ? "0" + n : "" + n);
-      const hhmm = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
-      const day = now.getDay();
-
-      const active = windows
-        .filter((w) => {
-          if (!w.active) return false;
-          if (
-            w.daysOfWeek &&
-            w.daysOfWeek.length &&
-            !w.daysOfWeek.includes(day)
-          )
-            return false;
-          if (w.startTime && w.startTime > hhmm) return false;
-          if (w.endTime && hhmm > w.endTime) return false;
-          return true;
-        })
-        .map((w) => w.name);
+      // calendarToday comes from the school calendar: closed days win, extra days ignore daysOfWeek
+      const closed = windows.find((w) => w.active && w.calendarToday?.status === "closed");
+      setClosedToday(closed ? closed.calendarToday.reason : null);
 
+      // same check as POST /api/student/order: each window in its own timezone (lib/schedule.js)
+      const scheduleOptions = { now, calendar: body.calendar || [], scope: "ordinary" };
+      const active = openWindows(windows, scheduleOptions).map((w) => w.name);
       setActiveWindowNames(active);
+      setNextWindowOpening(active.length ? null : nextOpening(windows, scheduleOptions));
     } catch (err) {
       console.error("loadOrderingWindows error", err);
       setOrderingWindows([]);
@@ -217,17 +424,10 @@ export default function StudentOrderPage() {
       }
       if (isNaN(now?.getTime())) now = new Date();
 
-      const pad = (n) => (n < 10 ? "0" + n : "" + n);
-      const hhmm = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
-      const day = now.getDay();
-
-      const active = windows.filter((w) => {
-        if (!w.active) return false;
-        if (w.daysOfWeek && w.daysOfWeek.length && !w.daysOfWeek.includes(day))
-          return false;
-        if (w.startTime && w.startTime > hhmm) return false;
-        if (w.endTime && hhmm > w.endTime) return false;
-        return true;
+      const active = openWindows(windows, {
+        now,
+        calendar: body.calendar || [],
+        scope: "special",
       });
 
       setActiveSpecialWindowNames(active.map((w) => w.name));
@@ -240,53 +440,71 @@ export default function StudentOrderPage() {
     }
   }
 
-  function addQty(productId, delta = 1) {
+  // units of a product in a cart across all of its option combinations, except line `exceptKey`
+  function productQty(cartMap, productId, exceptKey = null) {
+    let n = 0;
+    for (const [key, qty] of cartMap.entries()) {
+      if (key !== exceptKey && parseCartLineKey(key).productId === String(productId)) n += qty;
+    }
+    return n;
+  }
+
+  function addQty(lineKey, delta = 1) {
     const setCartForType = isSpecial ? setSpecialCart : setCart;
     setCartForType((prev) => {
       const next = new Map(prev);
-      const cur = next.get(productId) || 0;
+      const cur = next.get(lineKey) || 0;
       if (!isSpecial) {
-        const p = menu.find((m) => String(m._id || m.id) === String(productId));
+        const productId = parseCartLineKey(lineKey).productId;
+        const p = menu.find((m) => String(m._id || m.id) === productId);
         const stock = p && typeof p.stock === "number" ? Number(p.stock) : null;
         if (stock === 0 && delta > 0) return next;
         let nxt = Math.max(0, cur + delta);
         if (stock !== null && stock !== undefined) {
-          nxt = Math.min(nxt, stock);
+          nxt = Math.min(nxt, Math.max(0, stock - productQty(prev, productId, lineKey)));
         }
-        if (nxt <= 0) next.delete(productId);
-        else next.set(productId, nxt);
+        if (nxt <= 0) next.delete(lineKey);
+        else next.set(lineKey, nxt);
         return next;
       }
 
       const nxt = Math.max(0, cur + delta);
-      if (nxt <= 0) next.delete(productId);
-      else next.set(productId, nxt);
+      if (nxt <= 0) next.delete(lineKey);
+      else next.set(lineKey, nxt);
       return next;
     });
   }
 
-  function setQty(productId, qty) {
+  function setQty(lineKey, qty) {
     const setCartForType = isSpecial ? setSpecialCart : setCart;
     setCartForType((prev) => {
       const next = new Map(prev);
       const q = Math.max(0, Math.floor(qty || 0));
       if (!isSpecial) {
-        const p = menu.find((m) => String(m._id || m.id) === String(productId));
+        const productId = parseCartLineKey(lineKey).productId;
+        const p = menu.find((m) => String(m._id || m.id) === productId);
         const stock = p && typeof p.stock === "number" ? Number(p.stock) : null;
         if (stock === 0 && q > 0) return next;
         const finalQ =
-          stock !== null && stock !== undefined ? Math.min(q, stock) : q;
-        if (finalQ <= 0) next.delete(productId);
-        else next.set(productId, finalQ);
+          stock !== null && stock !== undefined
+            ? Math.min(q, Math.max(0, stock - productQty(prev, productId, lineKey)))
+            : q;
+        if (finalQ <= 0) next.delete(lineKey);
+        else next.set(lineKey, finalQ);
         return next;
       }
 
-      if (q <= 0) next.delete(productId);
-      else next.set(productId, q);
+      if (q <= 0) next.delete(lineKey);
+      else next.set(lineKey, q);
       return next;
     });
   }
 
+  function addWithOptions(product, options) {
+    setPicking(null);
+    addQty(cartLineKey(String(product._id || product.id), options), 1);
+  }
+
   function clearCart() {
     if (isSpecial) setSpecialCart(new Map());
     else setCart(new Map());
@@ -294,10 +512,26 @@ export default function StudentOrderPage() {
 
   function cartItems() {
     const items = [];
-    for (const [pid, qty] of currentCart.entries()) {
-      const p = currentMenu.find((m) => String(m._id || m.id) === String(pid));
+    for (const [key, qty] of currentCart.entries()) {
+      const { productId, modifiers, bundleChoices } = parseCartLineKey(key);
+      const p = currentMenu.find((m) => String(m._id || m.id) === productId);
       if (!p) continue;
-      items.push({ productId: pid, name: p.name, price: p.price, qty });
+      // preview only: the order API prices modifiers and combo choices again from the product
+      let line;
+      try {
+        line = priceOrderLine(p, { modifiers, bundleChoices }, menuBundleMap(p));
+      } catch (e) {
+        continue;
+      }
+      items.push({
+        key,
+        productId,
+        modifiers,
+        bundleChoices,
+        name: line.label || p.name,
+        price: line.price,
+        qty,
+      });
     }
     return items;
   }
@@ -306,24 +540,40 @@ export default function StudentOrderPage() {
     return cartItems().reduce((s, it) => s + (it.price || 0) * it.qty, 0);
   }
 
-  async function placeOrder() {
+  // lines: cart lines to order instead of the cart (a confirmed reorder); resolves true once the order is placed
+  async function placeOrder(lines = null) {
     setError("");
     setOrderResult(null);
 
-    const items = cartItems().map((i) => ({
+    const override = Array.isArray(lines) ? lines : null;
+    const items = (override || cartItems()).map((i) => ({
       productId: i.productId,
       qty: i.qty,
+      ...(i.modifiers.length ? { modifiers: i.modifiers } : {}),
+      ...(i.bundleChoices.length ? { bundleChoices: i.bundleChoices } : {}),
     }));
     if (!items.length) {
       setError("Your cart is empty.");
       return;
     }
 
+    if (isPreorder && !preorderWindowId) {
+      setError("Choose the ordering window for your pre-order.");
+      return;
+    }
+
+    if (pickupSlots.enabled && !pickupSlot) {
+      setError("Choose a pickup slot (all slots may be full — try a later one).");
+      return;
+    }
+
     // Basic client-side check: ensure there's an active ordering window
-    if (!currentActiveWindowNames.length) {
+    if (!isPreorder && !currentActiveWindowNames.length) {
       setError(
         isSpecial
           ? "Special ordering is currently closed (no active window)."
+          : closedToday
+          ? `Ordering is closed today (${closedToday}).`
           : "Ordering is currently closed (no active ordering window)."
       );
       return;
@@ -367,7 +617,12 @@ export default function StudentOrderPage() {
           );
           return;
         }
-        if (stock !== null && it.qty > stock) {
+        const wanted = override
+          ? override
+              .filter((l) => l.productId === String(p._id || p.id))
+              .reduce((n, l) => n + l.qty, 0)
+          : productQty(currentCart, p._id || p.id);
+        if (stock !== null && wanted > stock) {
           setError(
             `Requested quantity for "${p.name}" exceeds available stock.`
           );
@@ -378,13 +633,29 @@ export default function StudentOrderPage() {
 
     setPlacing(true);
     try {
+      const endpoint = isSpecial
+        ? "/api/student/special-order"
+        : "/api/student/order";
+      const slotField =
+        pickupSlots.enabled && pickupSlot ? { pickupSlot } : {};
+      const payload = isPreorder
+        ? {
+            items,
+            scheduledDate: preorderDate,
+            orderingWindowId: preorderWindowId,
+            ...slotField,
+          }
+        : { items, ...slotField };
       const res = await fetch(
-        isSpecial ? "/api/student/special-order" : "/api/student/order",
+        endpoint,
         {
           method: "POST",
           credentials: "include",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ items }),
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": idempotencyKeyFor(idemRef, { endpoint, ...payload }),
+          },
+          body: JSON.stringify(payload),
         }
       );
 
@@ -409,10 +680,14 @@ export default function StudentOrderPage() {
         setOrderResult(
           body.order || { code: body.code, id: body.id, total: body.total }
         );
-        clearCart();
+        idemRef.current = null;
+        if (!override) clearCart();
         // reload menu to refresh stock info
         if (isSpecial) loadSpecialMenu();
         else loadMenu();
+        loadPickupSlots();
+        loadRecentOrders();
+        return true;
       }
     } catch (err) {
       console.error("placeOrder error", err);
@@ -422,6 +697,38 @@ export default function StudentOrderPage() {
     }
   }
 
+  // cancel the order just placed (allowed until cancellableUntil)
+  const [cancelling, setCancelling] = useState(false);
+  async function cancelPlacedOrder() {
+    if (!orderResult?.id) return;
+    if (!confirm(`Cancel order ${orderResult.code}? The amount goes back to your balance.`)) return;
+    setCancelling(true);
+    try {
+      const res = await fetch(`/api/student/orders/${orderResult.id}/cancel`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.ok) {
+        alert(body.error || `Failed to cancel order (${res.status})`);
+        return;
+      }
+      setOrderResult(null);
+      alert(
+        body.refunded > 0
+          ? `Order cancelled — ${fmtCurrency(body.refunded)} refunded to your balance.`
+          : "Order cancelled."
+      );
+      if (body.order?.isSpecial) loadSpecialMenu();
+      else loadMenu();
+    } catch (err) {
+      console.error("cancelPlacedOrder error", err);
+      alert("Network error while cancelling order");
+    } finally {
+      setCancelling(false);
+    }
+  }
+
   // copy order code helper
   async function copyCode(code) {
     try {
@@ -434,8 +741,10 @@ export default function StudentOrderPage() {
   }
 
   // Get unique categories
+  const showFavorites = !isSpecial && favorites.size > 0;
   const categories = [
     "all",
+    ...(showFavorites ? ["favorites"] : []),
     ...new Set(currentMenu.map((item) => item.category).filter(Boolean)),
   ];
 
@@ -443,6 +752,8 @@ export default function StudentOrderPage() {
   const filteredMenu =
     activeCategory === "all"
       ? currentMenu
+      : activeCategory === "favorites"
+      ? currentMenu.filter((item) => favorites.has(String(item._id || item.id)))
       : currentMenu.filter((item) => item.category === activeCategory);
 
   return (
@@ -588,6 +899,68 @@ export default function StudentOrderPage() {
           </div>
         )}
 
+        {/* Pre-order target (ordinary orders only) */}
+        {!isSpecial && (
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4 md:p-5">
+            <div className="flex items-center gap-2 mb-3">
+              <FiCalendar className={accentText} size={18} />
+              <h2 className="font-semibold text-slate-100">When</h2>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {[
+                ["now", "Now"],
+                ["later", "Pre-order"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => {
+                    setOrderWhen(value);
+                    setError("");
+                  }}
+                  className={`px-4 py-2 rounded-lg border transition-colors duration-200 ${
+                    orderWhen === value
+                      ? "bg-cyan-600 border-cyan-500 text-white"
+                      : "bg-slate-900 border-slate-700 text-slate-200 hover:bg-slate-700/50"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+              {isPreorder && (
+                <>
+                  <input
+                    type="date"
+                    value={preorderDate}
+                    min={localDateString(0)}
+                    onChange={(e) => {
+                      setPreorderDate(e.target.value);
+                      setPreorderWindowId("");
+                    }}
+                    className="p-2 rounded-lg bg-slate-900 border border-slate-700 text-slate-100"
+                  />
+                  <select
+                    value={preorderWindowId}
+                    onChange={(e) => setPreorderWindowId(e.target.value)}
+                    className="p-2 rounded-lg bg-slate-900 border border-slate-700 text-slate-100"
+                  >
+                    <option value="">Choose a window…</option>
+                    {preorderWindows.map((w) => (
+                      <option key={w._id || w.id} value={w._id || w.id}>
+                        {w.name} ({w.startTime} — {w.endTime})
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </div>
+            {isPreorder && !preorderWindows.length && (
+              <div className="text-xs text-amber-300 mt-2">
+                No ordering window runs on that day.
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Alerts */}
         {error && (
           <div className="bg-red-900/30 border border-red-800 p-4 rounded-xl flex items-start gap-3">
@@ -622,7 +995,9 @@ export default function StudentOrderPage() {
             <FiCheckCircle className="text-green-400 mt-0.5" size={20} />
             <div className="flex-1">
               <div className="text-green-200 font-medium">
-                Order Placed Successfully!
+                {orderResult.serviceDate
+                  ? `Pre-order placed for ${orderResult.serviceDate}`
+                  : "Order Placed Successfully!"}
               </div>
               <div className="mt-2 text-lg font-semibold text-green-100">
                 Code:{" "}
@@ -632,6 +1007,10 @@ export default function StudentOrderPage() {
               </div>
               <div className="text-sm text-green-200 mt-2">
                 Keep this code — present it at collection.
+                {orderResult.pickupSlot?.label &&
+                  ` Pick up between ${orderResult.pickupSlot.label}.`}
+                {orderResult.chargeStatus === "pending" &&
+                  " Your balance is charged when the ordering window opens."}
               </div>
 
               <div className="mt-3 flex gap-2">
@@ -641,6 +1020,19 @@ export default function StudentOrderPage() {
                 >
                   Copy code
                 </button>
+                {orderResult.cancellableUntil &&
+                  new Date(orderResult.cancellableUntil) > new Date() && (
+                    <button
+                      onClick={cancelPlacedOrder}
+                      disabled={cancelling}
+                      className="px-3 py-2 rounded bg-red-600/80 text-white disabled:opacity-60"
+                      title={`Possible until ${new Date(
+                        orderResult.cancellableUntil
+                      ).toLocaleTimeString()}`}
+                    >
+                      {cancelling ? "Cancelling…" : "Cancel order"}
+                    </button>
+                  )}
                 <button
                   onClick={() => {
                     setOrderResult(null);
@@ -654,6 +1046,32 @@ export default function StudentOrderPage() {
           </div>
         )}
 
+        {!isSpecial && recentOrders.length > 0 && (
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-4">
+            <h3 className="text-sm font-medium text-slate-300 mb-2 flex items-center gap-2">
+              <FiRepeat /> Order again
+            </h3>
+            <div className="flex flex-wrap gap-2">
+              {recentOrders.map((o) => (
+                <button
+                  key={o.id}
+                  onClick={() => openReorder(o.id)}
+                  disabled={!!reorderLoading}
+                  className="px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-left text-sm hover:border-cyan-500 disabled:opacity-60"
+                >
+                  <div className="text-slate-200 truncate max-w-[16rem]">
+                    {o.items.map((it) => `${it.qty}× ${it.name}`).join(", ")}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {new Date(o.createdAt).toLocaleDateString()} · {fmtCurrency(o.total)}
+                    {reorderLoading === o.id && " · checking…"}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Menu Section */}
           <div className="lg:col-span-2">
@@ -676,7 +1094,11 @@ export default function StudentOrderPage() {
                           : "bg-slate-700 text-slate-300 hover:bg-slate-600"
                       }`}
                     >
-                      {category === "all" ? "All Items" : category}
+                      {category === "all"
+                        ? "All Items"
+                        : category === "favorites"
+                        ? "★ Favorites"
+                        : category}
                     </button>
                   ))}
                 </div>
@@ -702,14 +1124,23 @@ export default function StudentOrderPage() {
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 {filteredMenu.map((p) => {
                   const pid = String(p._id || p.id);
-                  const cartQty = currentCart.get(pid) || 0;
+                  const hasOptions =
+                    (p.modifierGroups || []).length > 0 ||
+                    (p.bundle?.slots || []).length > 0;
+                  const cartQty = productQty(currentCart, pid);
                   const stockKnown = typeof p.stock === "number";
                   const stock = stockKnown ? Number(p.stock) : null;
                   const lowHurry = !!p.lowStockHurry;
 
+                  // conflicts with the student's dietary profile block adds unless an admin override is on record
+                  const dietConflicts = p.dietaryConflicts || [];
+                  const dietBlocked = dietConflicts.length > 0 && !p.dietaryOverride;
+
                   // only disable adds when stock === 0
                   const canAdd =
-                    !(stock === 0) && (stock === null || cartQty < stock);
+                    !dietBlocked &&
+                    !(stock === 0) &&
+                    (stock === null || cartQty < stock);
 
                   return (
                     <div
@@ -718,8 +1149,26 @@ export default function StudentOrderPage() {
                     >
                       <div className="flex-1">
                         <div className="flex items-center justify-between gap-2">
-                          <div className="font-medium text-slate-100">
+                          <div className="font-medium text-slate-100 flex items-center gap-2">
                             {p.name}
+                            {!isSpecial && (
+                              <button
+                                type="button"
+                                onClick={() => toggleFavorite(pid)}
+                                className={`p-1 rounded ${
+                                  favorites.has(pid)
+                                    ? "text-amber-400"
+                                    : "text-slate-500 hover:text-slate-300"
+                                }`}
+                                title={favorites.has(pid) ? "Remove from favorites" : "Add to favorites"}
+                                aria-pressed={favorites.has(pid)}
+                              >
+                                <FiStar
+                                  size={14}
+                                  fill={favorites.has(pid) ? "currentColor" : "none"}
+                                />
+                              </button>
+                            )}
                           </div>
                           {lowHurry && (
                             <div className="text-xs px-2 py-0.5 rounded-full bg-red-600 text-white font-semibold">
@@ -728,12 +1177,39 @@ export default function StudentOrderPage() {
                           )}
                         </div>
 
+                        {dietConflicts.length > 0 && (
+                          <div
+                            className={`mt-2 text-xs flex items-start gap-1 ${
+                              dietBlocked ? "text-amber-300" : "text-slate-400"
+                            }`}
+                          >
+                            <FiAlertTriangle className="mt-0.5 shrink-0" />
+                            <span>
+                              {dietBlocked
+                                ? `Not for you: ${dietConflicts.join(", ")}`
+                                : `Allowed by admin override (${dietConflicts.join(", ")})`}
+                            </span>
+                          </div>
+                        )}
+
                         {p.category && (
                           <div className="text-xs text-slate-400 mt-1 bg-slate-700 px-2 py-1 rounded-full inline-block">
                             {p.category}
                           </div>
                         )}
 
+                        {p.bundle && (
+                          <div className="text-xs text-slate-400 mt-2">
+                            Combo:{" "}
+                            {[
+                              ...(p.bundle.components || []).map((c) =>
+                                c.qty > 1 ? `${c.qty}× ${c.name}` : c.name
+                              ),
+                              ...(p.bundle.slots || []).map((sl) => `choice of ${sl.name}`),
+                            ].join(" + ")}
+                          </div>
+                        )}
+
                         <div
                           className={`mt-3 text-lg font-semibold ${accentText}`}
                         >
@@ -741,47 +1217,70 @@ export default function StudentOrderPage() {
                         </div>
                       </div>
 
-                      <div className="mt-4 flex items-center gap-2">
-                        <button
-                          className="p-1.5 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                          onClick={() => addQty(pid, -1)}
-                          disabled={cartQty === 0}
-                          title="Decrease quantity"
-                        >
-                          <FiMinus size={16} />
-                        </button>
-
-                        <input
-                          type="number"
-                          min="0"
-                          value={cartQty}
-                          onChange={(e) => setQty(pid, Number(e.target.value))}
-                          className={`w-14 p-1.5 text-center bg-slate-900 border border-slate-700 rounded-lg text-slate-100 focus:outline-none focus:ring-2 ${accentRing}`}
-                        />
-
-                        <button
-                          className={`p-1.5 rounded-lg ${
-                            canAdd
-                              ? accentButton
-                              : "bg-slate-700 text-slate-400 cursor-not-allowed opacity-60"
-                          } transition-colors duration-200`}
-                          onClick={() => addQty(pid, 1)}
-                          disabled={!canAdd}
-                          title={
-                            stock === 0
-                              ? "Out of stock"
-                              : lowHurry
-                              ? "Low stock — order soon"
-                              : stock !== null
-                              ? cartQty >= stock
-                                ? "Max stock reached"
+                      {hasOptions ? (
+                        <div className="mt-4 flex items-center gap-2">
+                          <button
+                            className={`px-3 py-1.5 rounded-lg text-sm ${
+                              canAdd
+                                ? accentButton
+                                : "bg-slate-700 text-slate-400 cursor-not-allowed opacity-60"
+                            } transition-colors duration-200`}
+                            onClick={() => setPicking(p)}
+                            disabled={!canAdd}
+                          >
+                            Choose options
+                          </button>
+                          {cartQty > 0 && (
+                            <span className="text-xs text-slate-400">
+                              {cartQty} in cart
+                            </span>
+                          )}
+                        </div>
+                      ) : (
+                        <div className="mt-4 flex items-center gap-2">
+                          <button
+                            className="p-1.5 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            onClick={() => addQty(pid, -1)}
+                            disabled={cartQty === 0}
+                            title="Decrease quantity"
+                          >
+                            <FiMinus size={16} />
+                          </button>
+
+                          <input
+                            type="number"
+                            min="0"
+                            value={cartQty}
+                            onChange={(e) => setQty(pid, Number(e.target.value))}
+                            className={`w-14 p-1.5 text-center bg-slate-900 border border-slate-700 rounded-lg text-slate-100 focus:outline-none focus:ring-2 ${accentRing}`}
+                          />
+
+                          <button
+                            className={`p-1.5 rounded-lg ${
+                              canAdd
+                                ? accentButton
+                                : "bg-slate-700 text-slate-400 cursor-not-allowed opacity-60"
+                            } transition-colors duration-200`}
+                            onClick={() => addQty(pid, 1)}
+                            disabled={!canAdd}
+                            title={
+                              dietBlocked
+                                ? "Conflicts with your dietary profile"
+                                : stock === 0
+                                ? "Out of stock"
+                                : lowHurry
+                                ? "Low stock — order soon"
+                                : stock !== null
+                                ? cartQty >= stock
+                                  ? "Max stock reached"
+                                  : "Add"
                                 : "Add"
-                              : "Add"
-                          }
-                        >
-                          <FiPlus size={16} />
-                        </button>
-                      </div>
+                            }
+                          >
+                            <FiPlus size={16} />
+                          </button>
+                        </div>
+                      )}
                     </div>
                   );
                 })}
@@ -820,7 +1319,7 @@ export default function StudentOrderPage() {
                   <div className="max-h-80 overflow-y-auto pr-2">
                     {cartItems().map((it) => (
                       <div
-                        key={it.productId}
+                        key={it.key}
                         className="flex items-center justify-between p-3 bg-slate-900/50 rounded-lg border border-slate-700 mb-2 last:mb-0"
                       >
                         <div className="flex-1">
@@ -836,7 +1335,7 @@ export default function StudentOrderPage() {
                             {fmtCurrency(it.price * it.qty)}
                           </div>
                           <button
-                            onClick={() => setQty(it.productId, 0)}
+                            onClick={() => setQty(it.key, 0)}
                             className="p-1 text-slate-400 hover:text-red-400 transition-colors duration-200"
                             title="Remove item"
                           >
@@ -848,6 +1347,30 @@ export default function StudentOrderPage() {
                   </div>
 
                   <div className="border-t border-slate-700 pt-4">
+                    {pickupSlots.enabled && (
+                      <div className="mb-4">
+                        <label className="text-xs text-slate-400">
+                          Pickup slot
+                        </label>
+                        <select
+                          value={pickupSlot}
+                          onChange={(e) => setPickupSlot(e.target.value)}
+                          className={`w-full mt-1 p-2 bg-slate-900 border border-slate-700 rounded-lg text-slate-100 text-sm focus:outline-none focus:ring-2 ${accentRing}`}
+                        >
+                          <option value="">Choose a pickup time…</option>
+                          {pickupSlots.slots.map((sl) => (
+                            <option
+                              key={sl.start}
+                              value={sl.start}
+                              disabled={sl.full || sl.past}
+                            >
+                              {sl.label}
+                              {sl.past ? " (passed)" : sl.full ? " (full)" : ""}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                     <div className="flex items-center justify-between mb-4">
                       <div className="text-slate-300 font-medium">Total</div>
                       <div className={`text-xl font-bold ${accentText}`}>
@@ -863,8 +1386,11 @@ export default function StudentOrderPage() {
                         <FiTrash2 size={16} /> Clear
                       </button>
                       <button
-                        onClick={placeOrder}
-                        disabled={placing || !currentActiveWindowNames.length}
+                        onClick={() => placeOrder()}
+                        disabled={
+                          placing ||
+                          (!isPreorder && !currentActiveWindowNames.length)
+                        }
                         className={`flex-1 flex items-center justify-center gap-1 px-3 py-2.5 rounded-lg ${accentButton} disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200`}
                       >
                         {placing ? (
@@ -874,7 +1400,8 @@ export default function StudentOrderPage() {
                           </>
                         ) : (
                           <>
-                            <FiCreditCard size={16} /> Place Order
+                            <FiCreditCard size={16} />{" "}
+                            {isPreorder ? "Pre-order" : "Place Order"}
                           </>
                         )}
                       </button>
@@ -884,21 +1411,37 @@ export default function StudentOrderPage() {
               )}
             </div>
 
-            {!currentActiveWindowNames.length && (
+            {!isPreorder && !currentActiveWindowNames.length && (
               <div className="mt-4 p-3 bg-amber-900/30 border border-amber-800 rounded-lg text-amber-200 text-sm">
                 <div className="flex items-center gap-2">
                   <FiClock size={16} />
                   <span>
                     {isSpecial
                       ? "Special ordering is currently closed"
+                      : closedToday
+                      ? `Ordering is closed today — ${closedToday}`
                       : "Ordering is currently closed"}
                   </span>
                 </div>
+                {!isSpecial && nextWindowOpening && (
+                  <div className="mt-1 text-xs text-amber-300/80">
+                    {nextWindowOpening.window.name} opens{" "}
+                    {nextWindowOpening.opensAt.toLocaleString([], {
+                      weekday: "short",
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })}
+                  </div>
+                )}
               </div>
             )}
 
             <div className="mt-4 text-xs text-slate-400">
-              <p>Orders are charged immediately from your account balance.</p>
+              <p>
+                {isPreorder
+                  ? "Pre-orders are charged now or when their window opens, as the canteen has set up."
+                  : "Orders are charged immediately from your account balance."}
+              </p>
               <p className="mt-1">
                 You will receive a single-use pickup code after payment.
               </p>
@@ -906,6 +1449,120 @@ export default function StudentOrderPage() {
           </aside>
         </div>
       </div>
+
+      {reorder && (
+        <div className="fixed inset-0 bg-slate-900/80 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+          <div className="bg-slate-800 border border-slate-700 rounded-xl p-5 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="font-semibold text-slate-100">
+                Order {reorder.order.code} again
+              </h3>
+              <button
+                onClick={() => setReorder(null)}
+                className="p-1 rounded-md text-slate-400 hover:text-slate-100"
+                title="Close"
+              >
+                <FiX size={20} />
+              </button>
+            </div>
+            <div className="text-xs text-slate-400 mb-4">
+              Checked against today&apos;s menu
+              {reorder.window ? ` for ${reorder.window.name}` : ""}.
+            </div>
+
+            <div className="space-y-2">
+              {reorder.lines.map((l, idx) => (
+                <div
+                  key={idx}
+                  className={`p-2 rounded-lg bg-slate-900/60 text-sm ${
+                    l.orderable ? "" : "opacity-60"
+                  }`}
+                >
+                  <div className="flex justify-between gap-2">
+                    <span className={l.orderable ? "text-slate-200" : "text-slate-400 line-through"}>
+                      {l.qty}× {l.name}
+                    </span>
+                    <span className="text-slate-300">
+                      {l.price !== null ? fmtCurrency(l.price * l.qty) : "—"}
+                    </span>
+                  </div>
+                  {l.issues.map((iss) => (
+                    <div
+                      key={iss.type}
+                      className={`mt-1 text-xs flex items-start gap-1 ${
+                        l.orderable ? "text-amber-300" : "text-red-300"
+                      }`}
+                    >
+                      <FiAlertTriangle className="mt-0.5 shrink-0" />
+                      <span>{iss.message}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-4 flex justify-between text-sm">
+              <span className="text-slate-400">
+                Last time {fmtCurrency(reorder.previousTotal)}
+              </span>
+              <span className="font-semibold text-slate-100">
+                Now {fmtCurrency(reorder.total)}
+              </span>
+            </div>
+
+            {pickupSlots.enabled && reorder.canOrder && (
+              <div className="mt-3">
+                <label className="text-xs text-slate-400">Pickup slot</label>
+                <select
+                  value={pickupSlot}
+                  onChange={(e) => setPickupSlot(e.target.value)}
+                  className="w-full mt-1 p-2 bg-slate-900 border border-slate-700 rounded-lg text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Choose a pickup time…</option>
+                  {pickupSlots.slots.map((sl) => (
+                    <option key={sl.start} value={sl.start} disabled={sl.full || sl.past}>
+                      {sl.label}
+                      {sl.past ? " (passed)" : sl.full ? " (full)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {(reorder.windowError || error) && (
+              <div className="mt-3 text-xs text-red-300">
+                {reorder.windowError || error}
+              </div>
+            )}
+
+            <div className="mt-5 flex justify-end gap-2">
+              <button
+                onClick={reorderToCart}
+                disabled={!reorder.lines.some((l) => l.orderable)}
+                className="px-3 py-2 rounded-lg border border-slate-700 text-slate-300 text-sm disabled:opacity-50"
+              >
+                Put in cart
+              </button>
+              <button
+                onClick={reorderNow}
+                disabled={!reorder.canOrder || placing}
+                className="px-3 py-2 rounded-lg text-sm bg-cyan-600 text-white hover:bg-cyan-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {placing ? "Placing…" : `Order now · ${fmtCurrency(reorder.total)}`}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {picking && (
+        <ModifierPicker
+          product={picking}
+          accentButton={accentButton}
+          onAdd={(options) => addWithOptions(picking, options)}
+          onCancel={() => setPicking(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1,7 +1,18 @@
 // app/(student)/page.jsx
 'use client';
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import Link from 'next/link';
+import useOrderEvents from '../components/useOrderEvents';
+import PickupQr from '../components/PickupQr';
+import { nextOpening, openWindows } from '@/lib/schedule';
+
+const ACTIVE_STATUSES = ['scheduled', 'placed', 'preparing', 'ready'];
+const STATUS_STYLES = {
+    scheduled: 'bg-indigo-500/20 text-indigo-300',
+    placed: 'bg-slate-700 text-slate-200',
+    preparing: 'bg-amber-500/20 text-amber-300',
+    ready: 'bg-emerald-500/20 text-emerald-300'
+};
 
 function fmtCurrency(n) {
     try {
@@ -14,10 +25,21 @@ function fmtCurrency(n) {
     }
 }
 
+// "ready in about N min" from a queue estimate (GET /api/student/orders -> queue)
+function queueText(q) {
+    if (!q) return null;
+    const minutes = Math.max(0, Math.ceil((new Date(q.readyAt).getTime() - Date.now()) / 60000));
+    const place = q.ahead > 0 ? `${q.ahead} order${q.ahead === 1 ? '' : 's'} ahead` : 'next in the kitchen';
+    return `${place} · ready in about ${minutes} min`;
+}
+
 export default function StudentHome() {
     const [profile, setProfile] = useState(null);
     const [windowInfo, setWindowInfo] = useState([]);
+    const [windowCalendar, setWindowCalendar] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [activeOrders, setActiveOrders] = useState([]);
+    const [qrOrder, setQrOrder] = useState(null);
 
     // dev login UI state
     const [showDevLogin, setShowDevLogin] = useState(false);
@@ -32,12 +54,63 @@ export default function StudentHome() {
             const wBody = await windowRes.json();
             if (!wBody.ok) throw new Error(wBody.error || 'Failed to load windows');
             setWindowInfo(wBody.windows || []);
+            setWindowCalendar(wBody.calendar || []);
         } catch (err) {
             console.error('Failed to load ordering windows', err);
             setWindowInfo([]);
         }
     }
 
+    async function fetchActiveOrders() {
+        try {
+            const res = await fetch('/api/student/orders?limit=20', { cache: 'no-store', credentials: 'same-origin' });
+            const body = await res.json();
+            if (!body.ok) return;
+            setActiveOrders((body.orders || []).filter(o => ACTIVE_STATUSES.includes(o.status)));
+        } catch (err) {
+            console.warn('Failed to load active orders', err);
+        }
+    }
+
+    // queue estimates move whenever any order is prepared: refetch at most every few seconds
+    const refreshTimer = useRef(null);
+    function refreshOrdersSoon() {
+        if (refreshTimer.current) return;
+        refreshTimer.current = setTimeout(() => {
+            refreshTimer.current = null;
+            fetchActiveOrders();
+        }, 3000);
+    }
+    useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+    // live order updates (the stream carries this student's orders plus anonymous queue.changed nudges)
+    const { connected: live } = useOrderEvents((event) => {
+        if (event?.type === 'queue.changed') {
+            refreshOrdersSoon();
+            return;
+        }
+        const o = event?.order;
+        if (!o?.id) return;
+        if (event.type === 'order.created') {
+            fetchActiveOrders();
+            return;
+        }
+        setActiveOrders(prev => prev
+            .map(x => (x.id === o.id ? { ...x, status: o.status } : x))
+            .filter(x => ACTIVE_STATUSES.includes(x.status)));
+        // collected at the counter -> the QR is spent
+        setQrOrder(prev => (prev && prev.id === o.id && !ACTIVE_STATUSES.includes(o.status) ? null : prev));
+        if (event.type === 'order.item_prepared' || event.type === 'order.item_unprepared') refreshOrdersSoon();
+    }, { enabled: !!profile });
+
+    // keep the countdown honest between events (and stand in for the stream when it is down)
+    const queued = activeOrders.some(o => o.queue);
+    useEffect(() => {
+        if (!queued) return undefined;
+        const timer = setInterval(fetchActiveOrders, live ? 60000 : 20000);
+        return () => clearInterval(timer);
+    }, [queued, live]);
+
     async function tryFetchMeWithReg(reg) {
         // helper to fetch /api/student/me?regNumber=...
         const encoded = encodeURIComponent(reg);
@@ -112,22 +185,11 @@ export default function StudentHome() {
     }
 
     useEffect(() => { load(); }, []);
+    useEffect(() => { if (profile) fetchActiveOrders(); }, [profile]);
 
-    const now = new Date();
-    function isWindowActive(w) {
-        try {
-            if (!w.active) return false;
-            const day = now.getDay();
-            if (w.daysOfWeek && w.daysOfWeek.length && !w.daysOfWeek.includes(day)) return false;
-            const pad = (n) => (n < 10 ? '0' + n : '' + n);
-            const hhmm = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
-            return (!w.startTime || w.startTime <= hhmm) && (!w.endTime || hhmm <= w.endTime);
-        } catch (e) {
-            return false;
-        }
-    }
-
-    const activeWindows = windowInfo.filter(isWindowActive);
+    // each window in its own timezone, with the school calendar (lib/schedule.js, same check as the order route)
+    const activeWindows = openWindows(windowInfo, { calendar: windowCalendar });
+    const nextWindow = activeWindows.length ? null : nextOpening(windowInfo, { calendar: windowCalendar });
 
     // dev-login submit handler
     async function handleDevLoginSubmit(e) {
@@ -199,11 +261,85 @@ export default function StudentHome() {
                     <div className="mt-3 text-sm text-slate-400">Quick favourites and top-ups will appear here.</div>
                 </div>
 
-                <div className="bg-slate-800 p-4 rounded col-span-2">
+                <div className="bg-slate-800 p-4 rounded">
+                    <div className="text-sm text-slate-300">Spending allowance</div>
+                    {profile?.spending && (profile.spending.daily.limit !== null || profile.spending.weekly.limit !== null) ? (
+                        <div className="mt-2 space-y-2 text-sm">
+                            {[['daily', 'Today'], ['weekly', 'This week']].map(([period, label]) => {
+                                const a = profile.spending[period];
+                                if (a.limit === null) return null;
+                                const pct = a.limit > 0 ? Math.min(100, Math.round((a.spent / a.limit) * 100)) : 100;
+                                return (
+                                    <div key={period}>
+                                        <div className="flex justify-between">
+                                            <span>{label}</span>
+                                            <span className="text-slate-300">{fmtCurrency(a.remaining)} left of {fmtCurrency(a.limit)}</span>
+                                        </div>
+                                        <div className="mt-1 h-1.5 rounded bg-slate-700">
+                                            <div className={`h-1.5 rounded ${pct >= 100 ? 'bg-red-400' : 'bg-cyan-400'}`} style={{ width: `${pct}%` }} />
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    ) : (
+                        <div className="mt-2 text-sm text-slate-400">{profile ? 'No spending limit set.' : (loading ? 'Loading…' : '—')}</div>
+                    )}
+                </div>
+
+                <div className="bg-slate-800 p-4 rounded md:col-span-3">
+                    <div className="flex items-center justify-between">
+                        <div className="text-sm text-slate-300">My orders</div>
+                        {live && <div className="text-xs text-emerald-400">● Live</div>}
+                    </div>
+                    {activeOrders.length === 0 ? (
+                        <div className="mt-2 text-sm text-slate-400">No orders in progress.</div>
+                    ) : (
+                        <ul className="mt-2 divide-y divide-slate-700">
+                            {activeOrders.map(o => (
+                                <li key={o.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+                                    <div className="min-w-0">
+                                        <div className="font-mono text-slate-200">{o.code}</div>
+                                        <div className="text-slate-400 truncate">{o.items.map(it => `${it.qty}× ${it.name}`).join(', ')}</div>
+                                        {o.queue && (
+                                            <div className="text-xs text-amber-300">{queueText(o.queue)}</div>
+                                        )}
+                                        {o.pickupSlot?.label && (
+                                            <div className="text-xs text-cyan-300">Pickup {o.pickupSlot.label}</div>
+                                        )}
+                                        {o.serviceDate && (
+                                            <div className="text-xs text-indigo-300">
+                                                Pre-order for {o.serviceDate}
+                                                {o.chargeStatus === 'pending' ? ' · charged when the window opens' : ''}
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div className="flex items-center gap-2 flex-shrink-0">
+                                        {o.pickupQr && (
+                                            <button onClick={() => setQrOrder(o)} className="px-2 py-1 rounded text-xs bg-cyan-600 hover:bg-cyan-500 text-white">
+                                                Show QR
+                                            </button>
+                                        )}
+                                        <span className={`px-2 py-1 rounded text-xs capitalize ${STATUS_STYLES[o.status] || STATUS_STYLES.placed}`}>
+                                            {o.status === 'ready' ? 'Ready for pickup' : o.status}
+                                        </span>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="bg-slate-800 p-4 rounded md:col-span-3">
                     <div className="flex items-center justify-between">
                         <div>
                             <div className="text-sm text-slate-300">Ordering Window</div>
                             <div className="mt-1 text-lg font-medium">{activeWindows.length ? `${activeWindows.map(w => w.name).join(', ')}` : 'No active ordering window'}</div>
+                            {nextWindow && (
+                                <div className="text-xs text-slate-400 mt-1">
+                                    {nextWindow.window.name} opens {nextWindow.opensAt.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+                                </div>
+                            )}
                         </div>
                         <div>
                             <Link href="/(student)/order" className="text-sm text-cyan-300">View menu & order →</Link>
@@ -211,6 +347,19 @@ export default function StudentHome() {
                     </div>
                 </div>
             </div>
+
+            {qrOrder && (
+                <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4" onClick={() => setQrOrder(null)}>
+                    <div className="bg-slate-800 border border-slate-700 rounded-xl p-6 text-center" onClick={e => e.stopPropagation()}>
+                        <div className="text-sm text-slate-400">Show this at the counter</div>
+                        <div className="font-mono text-2xl text-slate-100 my-2">{qrOrder.code}</div>
+                        <div className="flex justify-center">
+                            <PickupQr payload={qrOrder.pickupQr} />
+                        </div>
+                        <button onClick={() => setQrOrder(null)} className="mt-4 px-4 py-2 rounded bg-slate-700 text-slate-200">Close</button>
+                    </div>
+                </div>
+            )}
         </section>
     );
 }
@@ -0,0 +1,29 @@
+// app/student/subscriptions/page.jsx
+"use client";
+
+import React from "react";
+import Link from "next/link";
+import { FiArrowLeft, FiRepeat } from "react-icons/fi";
+import SubscriptionsPanel from "@/app/components/SubscriptionsPanel";
+
+export default function StudentSubscriptionsPage() {
+  return (
+    <section className="p-4 md:p-6 space-y-4 text-slate-100">
+      <div className="flex items-center gap-3">
+        <Link href="/student" className="p-2 rounded bg-slate-800 text-slate-300">
+          <FiArrowLeft />
+        </Link>
+        <h1 className="text-xl font-semibold inline-flex items-center gap-2">
+          <FiRepeat /> Recurring orders
+        </h1>
+      </div>
+      <p className="text-sm text-slate-400">
+        Orders are placed automatically ahead of the chosen window on the selected days and charged to your balance.
+        A subscription pauses when your balance is too low or an item runs out — resume it here once sorted.
+      </p>
+      <div className="bg-slate-800 rounded-xl p-4">
+        <SubscriptionsPanel apiBase="/api/student/subscriptions" productsUrl="/api/student/menu" />
+      </div>
+    </section>
+  );
+}
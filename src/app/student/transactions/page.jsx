@@ -148,6 +148,30 @@ export default function StudentTransactionsPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [status]);
 
+  // students may cancel placed orders until cancellableUntil (refund + restock server-side)
+  const [cancellingId, setCancellingId] = useState(null);
+  async function cancelOrder(order) {
+    if (!confirm(`Cancel order ${order.code}? The amount goes back to your balance.`)) return;
+    setCancellingId(order.id);
+    try {
+      const res = await fetch(`/api/student/orders/${order.id}/cancel`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.ok) {
+        alert(body.error || `Failed to cancel order (${res.status})`);
+        return;
+      }
+      await fetchAll({ force: true });
+    } catch (err) {
+      console.error("cancelOrder error", err);
+      alert("Network error while cancelling order");
+    } finally {
+      setCancellingId(null);
+    }
+  }
+
   const handleRefresh = async () => {
     // Force fetch even if unauthenticated (might be dev fallback)
     await fetchAll({ force: true });
@@ -335,10 +359,24 @@ export default function StudentTransactionsPage() {
                         <div className="mt-1 text-lg font-semibold">
                           {fmtCurrency(o.total)}
                         </div>
-                        <div className="mt-4">
+                        <div className="mt-4 flex flex-col items-end gap-2">
                           <button className="px-3 py-2 rounded border text-sm text-slate-200">
                             View details
                           </button>
+                          {o.cancellableUntil && (
+                            <button
+                              onClick={() => cancelOrder(o)}
+                              disabled={cancellingId === o.id}
+                              className="px-3 py-2 rounded bg-red-600/80 text-sm text-white disabled:opacity-60"
+                              title={`Possible until ${new Date(
+                                o.cancellableUntil
+                              ).toLocaleTimeString()}`}
+                            >
+                              {cancellingId === o.id
+                                ? "Cancelling…"
+                                : "Cancel order"}
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
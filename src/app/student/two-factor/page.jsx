@@ -0,0 +1,8 @@
+// app/student/two-factor/page.jsx
+"use client";
+
+import TwoFactorSettings from "../../components/TwoFactorSettings";
+
+export default function TwoFactorPage() {
+  return <TwoFactorSettings />;
+}
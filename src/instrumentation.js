@@ -0,0 +1,7 @@
+// instrumentation.js — runs once when the Next.js server starts
+export async function register() {
+    // background jobs need Node APIs and the database; skip the edge runtime
+    if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+    const { startScheduler } = await import('@/lib/scheduler.js');
+    startScheduler();
+}
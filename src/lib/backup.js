@@ -0,0 +1,348 @@
+/**
+ * Database backup / restore for River’Café
+ * - Dumps every model exported from allModels.js into a single gzip-compressed, versioned archive on local disk
+ * - Archives are EJSON so ObjectIds / Dates survive a round trip
+ * - Each archive gets a sidecar "<file>.sha256" checksum that is verified before any restore
+ *
+ * Storage directory: BACKUP_DIR env (defaults to "<cwd>/backups").
+ * Retention: Setting "backupRetention" = { keepLast, maxAgeDays } (env BACKUP_KEEP_LAST / BACKUP_MAX_AGE_DAYS as defaults).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import mongoose from 'mongoose';
+import Models, { connectToDatabase, Setting, AuditLog } from '@/models/allModels.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const { EJSON } = mongoose.mongo.BSON;
+
+export const BACKUP_FORMAT = 'rivercafe-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+const FILE_PREFIX = 'rivercafe-backup';
+const FILE_RE = /^rivercafe-backup-v(\d+)-([0-9TZ-]+)(?:-([a-z-]+))?\.json\.gz$/;
+
+const DEFAULT_RETENTION = {
+    keepLast: Number(process.env.BACKUP_KEEP_LAST) || 14,
+    maxAgeDays: Number(process.env.BACKUP_MAX_AGE_DAYS) || 30
+};
+
+export function getBackupDir() {
+    return path.resolve(process.env.BACKUP_DIR || path.join(process.cwd(), 'backups'));
+}
+
+/* every mongoose model exported by allModels.js (functions/helpers are skipped) */
+function getBackupModels() {
+    return Object.values(Models).filter(m => typeof m === 'function' && m.prototype instanceof mongoose.Model);
+}
+
+function resolveArchivePath(fileName) {
+    const name = path.basename(String(fileName || ''));
+    if (!FILE_RE.test(name)) throw new Error('Invalid backup file name');
+    return path.join(getBackupDir(), name);
+}
+
+function sha256(buf) {
+    return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+async function readChecksum(filePath) {
+    try {
+        const raw = await fs.readFile(`${filePath}.sha256`, 'utf8');
+        return raw.trim().split(/\s+/)[0] || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/* ---------------------------
+   Retention
+   --------------------------- */
+export async function getRetentionPolicy() {
+    await connectToDatabase();
+    const doc = await Setting.findOne({ key: 'backupRetention' }).lean();
+    const value = doc?.value || {};
+    const keepLast = Number(value.keepLast);
+    const maxAgeDays = Number(value.maxAgeDays);
+    return {
+        keepLast: keepLast > 0 ? Math.floor(keepLast) : DEFAULT_RETENTION.keepLast,
+        maxAgeDays: maxAgeDays > 0 ? maxAgeDays : DEFAULT_RETENTION.maxAgeDays
+    };
+}
+
+export async function setRetentionPolicy({ keepLast, maxAgeDays } = {}) {
+    const current = await getRetentionPolicy();
+    const next = {
+        keepLast: Number(keepLast) > 0 ? Math.floor(Number(keepLast)) : current.keepLast,
+        maxAgeDays: Number(maxAgeDays) > 0 ? Number(maxAgeDays) : current.maxAgeDays
+    };
+    await Setting.findOneAndUpdate(
+        { key: 'backupRetention' },
+        { $set: { value: next, description: 'Backup retention: keep the newest N archives and drop archives older than maxAgeDays' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return next;
+}
+
+/**
+ * applyRetention()
+ * - Deletes archives beyond keepLast (newest first) or older than maxAgeDays.
+ * - The newest archive is always kept.
+ */
+export async function applyRetention(policy = null) {
+    const { keepLast, maxAgeDays } = policy || await getRetentionPolicy();
+    const backups = await listBackups({ withChecksums: false });
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const removed = [];
+    for (let i = 1; i < backups.length; i++) {
+        const b = backups[i];
+        if (i < keepLast && new Date(b.createdAt).getTime() >= cutoff) continue;
+        const filePath = resolveArchivePath(b.file);
+        await fs.rm(filePath, { force: true });
+        await fs.rm(`${filePath}.sha256`, { force: true });
+        removed.push(b.file);
+    }
+    return removed;
+}
+
+/* ---------------------------
+   Create / list
+   --------------------------- */
+/**
+ * createBackup({ actorId, reason, retention })
+ * - Writes a gzip archive + checksum, records Setting "lastBackup", applies retention (unless retention: false)
+ *   and writes an AuditLog.
+ * - Returns { file, size, checksum, createdAt, counts, removed }
+ */
+export async function createBackup({ actorId = null, reason = 'manual', retention = true } = {}) {
+    await connectToDatabase();
+
+    const createdAt = new Date();
+    const collections = {};
+    const counts = {};
+    for (const Model of getBackupModels()) {
+        const name = Model.collection.collectionName;
+        const docs = await Model.collection.find({}).toArray();
+        collections[name] = docs;
+        counts[name] = docs.length;
+    }
+
+    const payload = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        createdAt,
+        reason,
+        counts,
+        collections
+    };
+    const compressed = await gzip(Buffer.from(EJSON.stringify(payload, { relaxed: false }), 'utf8'));
+    const checksum = sha256(compressed);
+
+    const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+    const safeReason = String(reason || 'manual').toLowerCase().replace(/[^a-z-]/g, '') || 'manual';
+    const file = `${FILE_PREFIX}-v${BACKUP_FORMAT_VERSION}-${stamp}-${safeReason}.json.gz`;
+
+    const dir = getBackupDir();
+    await fs.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, file);
+    await fs.writeFile(filePath, compressed);
+    await fs.writeFile(`${filePath}.sha256`, `${checksum}  ${file}\n`);
+
+    const info = { file, size: compressed.length, checksum, createdAt, counts };
+
+    try {
+        await Setting.findOneAndUpdate(
+            { key: 'lastBackup' },
+            { $set: { value: { at: createdAt, file, size: info.size, checksum } } },
+            { upsert: true }
+        );
+    } catch (e) {
+        console.warn('Could not write lastBackup setting:', e?.message || e);
+    }
+
+    let removed = [];
+    if (retention) {
+        try {
+            removed = await applyRetention();
+        } catch (e) {
+            console.warn('Backup retention failed:', e?.message || e);
+        }
+    }
+
+    try {
+        await AuditLog.create({
+            actor: actorId,
+            action: 'create_backup',
+            collectionName: 'system',
+            changes: { file, size: info.size, checksum, counts, reason },
+            meta: { removedByRetention: removed }
+        });
+    } catch (e) {
+        console.warn('Audit create failed for backup:', e?.message || e);
+    }
+
+    return { ...info, removed };
+}
+
+/**
+ * listBackups({ withChecksums })
+ * - Newest first: [{ file, version, createdAt, reason, size, checksum }]
+ */
+export async function listBackups({ withChecksums = true } = {}) {
+    const dir = getBackupDir();
+    let names = [];
+    try {
+        names = await fs.readdir(dir);
+    } catch (e) {
+        if (e?.code === 'ENOENT') return [];
+        throw e;
+    }
+
+    const out = [];
+    for (const name of names) {
+        const m = FILE_RE.exec(name);
+        if (!m) continue;
+        const filePath = path.join(dir, name);
+        const stat = await fs.stat(filePath);
+        // stamp was written as ISO with ":" and "." replaced by "-"
+        const iso = m[2].replace(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z');
+        const createdAt = Number.isNaN(Date.parse(iso)) ? stat.mtime : new Date(iso);
+        out.push({
+            file: name,
+            version: Number(m[1]),
+            createdAt,
+            reason: m[3] || null,
+            size: stat.size,
+            checksum: withChecksums ? await readChecksum(filePath) : undefined
+        });
+    }
+    out.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return out;
+}
+
+/* ---------------------------
+   Restore
+   --------------------------- */
+async function readArchive(fileName) {
+    const filePath = resolveArchivePath(fileName);
+    const compressed = await fs.readFile(filePath);
+    const expected = await readChecksum(filePath);
+    const actual = sha256(compressed);
+    if (expected && expected !== actual) {
+        throw new Error('Backup checksum mismatch — archive may be corrupted');
+    }
+    const payload = EJSON.parse((await gunzip(compressed)).toString('utf8'), { relaxed: false });
+    if (payload?.format !== BACKUP_FORMAT) throw new Error('Not a River’Café backup archive');
+    if (Number(payload.version) > BACKUP_FORMAT_VERSION) {
+        throw new Error(`Backup format v${payload.version} is newer than supported v${BACKUP_FORMAT_VERSION}`);
+    }
+    return { payload, checksum: actual, checksumVerified: !!expected };
+}
+
+/* Replaces each collection's documents with the archived ones (inside `session` when one is given) */
+async function replaceCollections(entries, session = null) {
+    for (const { Model, docs } of entries) {
+        await Model.collection.deleteMany({}, { session });
+        if (docs.length) await Model.collection.insertMany(docs, { ordered: false, session });
+    }
+}
+
+/**
+ * restoreBackup(fileName, { dryRun, actorId })
+ * - dryRun (default true): returns a per-collection preview of archived vs current document counts.
+ * - Otherwise: takes a "pre-restore" safety backup (without retention, so the archive being restored is never
+ *   pruned), then replaces every known collection with the archived docs in one transaction where the
+ *   deployment supports it. Collections in the archive without a matching model are reported as skipped.
+ */
+export async function restoreBackup(fileName, { dryRun = true, actorId = null } = {}) {
+    await connectToDatabase();
+    const { payload, checksum, checksumVerified } = await readArchive(fileName);
+
+    const modelsByCollection = new Map(getBackupModels().map(M => [M.collection.collectionName, M]));
+    const archived = payload.collections || {};
+
+    const preview = [];
+    for (const [name, docs] of Object.entries(archived)) {
+        const Model = modelsByCollection.get(name);
+        preview.push({
+            collection: name,
+            archived: Array.isArray(docs) ? docs.length : 0,
+            current: Model ? await Model.collection.countDocuments({}) : null,
+            skipped: !Model
+        });
+    }
+
+    const summary = {
+        file: path.basename(fileName),
+        version: payload.version,
+        createdAt: payload.createdAt,
+        checksum,
+        checksumVerified,
+        collections: preview
+    };
+    if (dryRun) return { dryRun: true, ...summary };
+
+    const safety = await createBackup({ actorId, reason: 'pre-restore', retention: false });
+
+    const entries = preview
+        .filter(entry => !entry.skipped)
+        .map(entry => ({ Model: modelsByCollection.get(entry.collection), docs: archived[entry.collection] || [] }));
+
+    let transactional = true;
+    let session = null;
+    try {
+        session = await mongoose.startSession();
+        session.startTransaction();
+        await replaceCollections(entries, session);
+        await session.commitTransaction();
+        session.endSession();
+    } catch (err) {
+        if (session) {
+            try {
+                await session.abortTransaction();
+                session.endSession();
+            } catch (e) { /* ignore */ }
+        }
+        const isTransactionNotSupported =
+            err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(String(err.message || '')));
+        if (!isTransactionNotSupported) throw err;
+
+        // Fallback (standalone mongod): collection by collection; the safety backup is the way back
+        transactional = false;
+        await replaceCollections(entries);
+    }
+
+    // the restored settings collection reflects the archive; point lastBackup back at the safety copy
+    try {
+        await Setting.findOneAndUpdate(
+            { key: 'lastBackup' },
+            { $set: { value: { at: safety.createdAt, file: safety.file, size: safety.size, checksum: safety.checksum } } },
+            { upsert: true }
+        );
+        await Setting.findOneAndUpdate(
+            { key: 'lastRestore' },
+            { $set: { value: { at: new Date(), file: summary.file, safetyBackup: safety.file } } },
+            { upsert: true }
+        );
+    } catch (e) {
+        console.warn('Could not write restore settings:', e?.message || e);
+    }
+
+    try {
+        await AuditLog.create({
+            actor: actorId,
+            action: 'restore_backup',
+            collectionName: 'system',
+            changes: { file: summary.file, checksum, collections: preview },
+            meta: { safetyBackup: safety.file, transactional }
+        });
+    } catch (e) {
+        console.warn('Audit create failed for restore:', e?.message || e);
+    }
+
+    return { dryRun: false, ...summary, safetyBackup: safety.file };
+}
@@ -0,0 +1,200 @@
+/**
+ * Combo meals / bundles
+ * - Product.bundle: { components: [{ product, qty }], slots: [{ _id, name, options: [{ _id, product, priceDelta }] }] }
+ *   components are always included; each slot is a pick-one choice ("Drink": Coke / Juice / Water).
+ * - An order line of a bundle sends bundleChoices: [{ slotId, productId }] and is stored with components:
+ *   [{ product, name, qty, amount, slot }] where amount is the share of one bundle's price allocated to that
+ *   component (in proportion to the components' own prices), so sales reports stay accurate per product.
+ * - Stock is taken from the components (stockLines), never from the bundle product itself.
+ */
+
+import { resolveModifiers } from './modifiers.js';
+
+export class BundleSelectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BundleSelectionError';
+        this.status = 400;
+    }
+}
+
+const MAX_COMPONENTS = 10;
+const MAX_SLOTS = 6;
+const MAX_SLOT_OPTIONS = 20;
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+export function isBundle(product) {
+    const b = product?.bundle;
+    return !!b && ((b.components || []).length > 0 || (b.slots || []).length > 0);
+}
+
+/* Every product id a bundle can draw on (components and slot options) */
+export function bundleProductIds(product) {
+    if (!isBundle(product)) return [];
+    const ids = [
+        ...(product.bundle.components || []).map(c => idOf(c.product)),
+        ...(product.bundle.slots || []).flatMap(s => (s.options || []).map(o => idOf(o.product)))
+    ];
+    return [...new Set(ids.filter(Boolean))];
+}
+
+/**
+ * normalizeBundle(input)
+ * - Admin payload -> schema shape ({ bundle: null } when empty). Keeps _id of slots / options.
+ * - Returns { bundle } or { error }; the route checks that the referenced products exist and are not bundles.
+ */
+export function normalizeBundle(input) {
+    if (input === undefined || input === null || input === false) return { bundle: null };
+    if (typeof input !== 'object') return { error: 'bundle must be an object' };
+    const isId = (v) => /^[0-9a-fA-F]{24}$/.test(idOf(v));
+
+    const components = [];
+    for (const c of Array.isArray(input.components) ? input.components : []) {
+        if (!isId(c?.product)) return { error: 'Every bundle component needs a product' };
+        const qty = parseInt(c?.qty ?? 1, 10);
+        if (!Number.isInteger(qty) || qty < 1) return { error: 'Component quantities must be whole numbers of at least 1' };
+        components.push({ product: idOf(c.product), qty });
+    }
+    if (components.length > MAX_COMPONENTS) return { error: `At most ${MAX_COMPONENTS} components per bundle` };
+
+    const slots = [];
+    for (const s of Array.isArray(input.slots) ? input.slots : []) {
+        const name = String(s?.name || '').trim();
+        if (!name) return { error: 'Every bundle slot needs a name' };
+        const options = [];
+        for (const o of Array.isArray(s?.options) ? s.options : []) {
+            if (!isId(o?.product)) return { error: `Every option in "${name}" needs a product` };
+            const priceDelta = Number(o?.priceDelta || 0);
+            if (!Number.isFinite(priceDelta)) return { error: `Invalid price change in "${name}"` };
+            options.push({ ...(o?._id ? { _id: o._id } : {}), product: idOf(o.product), priceDelta: Math.round(priceDelta * 100) / 100 });
+        }
+        if (!options.length) return { error: `Bundle slot "${name}" has no options` };
+        if (options.length > MAX_SLOT_OPTIONS) return { error: `At most ${MAX_SLOT_OPTIONS} options in "${name}"` };
+        slots.push({ ...(s?._id ? { _id: s._id } : {}), name, options });
+    }
+    if (slots.length > MAX_SLOTS) return { error: `At most ${MAX_SLOTS} slots per bundle` };
+
+    if (!components.length && !slots.length) return { bundle: null };
+    return { bundle: { components, slots } };
+}
+
+/**
+ * resolveBundle(product, choices, productMap)
+ * - choices: [{ slotId, productId }]; productMap: Map of product id string -> product (components and options)
+ * - Throws BundleSelectionError on a missing / unknown choice or an unavailable component.
+ * - Returns { components: [{ product, name, qty, listPrice, slot, allergens }], priceDelta, choiceNames }.
+ */
+export function resolveBundle(product, choices = [], productMap = new Map()) {
+    if (!isBundle(product)) return { components: [], priceDelta: 0, choiceNames: [] };
+    const picked = new Map();
+    for (const c of Array.isArray(choices) ? choices : []) {
+        if (c?.slotId && c?.productId) picked.set(String(c.slotId), String(c.productId));
+    }
+
+    const component = (productId, qty, slot) => {
+        const p = productMap.get(String(productId));
+        if (!p || p.available === false) {
+            throw new BundleSelectionError(`${p?.name || 'A component'} of "${product.name}" is not available`);
+        }
+        return {
+            product: p._id ?? productId,
+            name: p.name,
+            qty,
+            listPrice: Number(p.price || 0),
+            slot,
+            allergens: p.allergens || []
+        };
+    };
+
+    const components = (product.bundle.components || []).map(c => component(idOf(c.product), Number(c.qty || 1), null));
+    const choiceNames = [];
+    let cents = 0;
+    for (const slot of product.bundle.slots || []) {
+        const chosen = picked.get(idOf(slot));
+        if (!chosen) throw new BundleSelectionError(`Choose ${slot.name} for "${product.name}"`);
+        const option = (slot.options || []).find(o => idOf(o.product) === chosen);
+        if (!option) throw new BundleSelectionError(`Unknown ${slot.name} choice for "${product.name}"`);
+        const c = component(chosen, 1, slot.name);
+        components.push(c);
+        choiceNames.push(c.name);
+        cents += Math.round(Number(option.priceDelta || 0) * 100);
+    }
+    for (const slotId of picked.keys()) {
+        if (!(product.bundle.slots || []).some(s => idOf(s) === slotId)) {
+            throw new BundleSelectionError(`"${product.name}" has no such choice`);
+        }
+    }
+    return { components, priceDelta: cents / 100, choiceNames };
+}
+
+/**
+ * allocateBundlePrice(components, unitPrice)
+ * - Splits one bundle's price over its components in proportion to listPrice × qty (equally by qty when
+ *   every list price is 0). Works in cents; the rounding remainder goes to the largest share.
+ * - Returns the components with amount = revenue share of the component (all of its qty) in one bundle.
+ */
+export function allocateBundlePrice(components, unitPrice) {
+    if (!components.length) return [];
+    const totalCents = Math.round(Number(unitPrice || 0) * 100);
+    const weights = components.map(c => (Number(c.listPrice || 0) * c.qty));
+    const weightSum = weights.reduce((s, w) => s + w, 0);
+    const basis = weightSum > 0 ? weights : components.map(c => c.qty);
+    const basisSum = basis.reduce((s, w) => s + w, 0);
+
+    const shares = basis.map(w => Math.floor((totalCents * w) / basisSum));
+    let largest = 0;
+    shares.forEach((s, i) => { if (s > shares[largest]) largest = i; });
+    shares[largest] += totalCents - shares.reduce((s, v) => s + v, 0);
+
+    return components.map((c, i) => ({
+        product: c.product,
+        name: c.name,
+        qty: c.qty,
+        amount: shares[i] / 100,
+        slot: c.slot || null
+    }));
+}
+
+/**
+ * priceOrderLine(product, item, productMap)
+ * - Unit price and snapshot fields of one order line: product price + modifier deltas + bundle slot deltas.
+ * - item: { modifiers, bundleChoices } as sent by the cart. Throws ModifierSelectionError / BundleSelectionError.
+ * - Returns { price, modifiers, components, label, allergens }.
+ */
+export function priceOrderLine(product, item = {}, productMap = new Map()) {
+    const mods = resolveModifiers(product, item.modifiers);
+    const combo = resolveBundle(product, item.bundleChoices, productMap);
+    const price = Math.round((Number(product.price || 0) + mods.priceDelta + combo.priceDelta) * 100) / 100;
+    const parts = [...combo.choiceNames, ...mods.modifiers.map(m => m.option)];
+    const allergens = new Set([...(product.allergens || []), ...combo.components.flatMap(c => c.allergens)]);
+    return {
+        price,
+        modifiers: mods.modifiers,
+        components: allocateBundlePrice(combo.components, price),
+        label: parts.length ? `${product.name} (${parts.join(', ')})` : null,
+        allergens: [...allergens].filter(Boolean)
+    };
+}
+
+/* Stock lines of an order line: a bundle draws on its components, any other line on its own product */
+export function stockLines(item, qty = item?.qty) {
+    const units = Number(qty || 0);
+    const components = item?.components || [];
+    if (!components.length) return [{ product: item.product, name: item.name, qty: units }];
+    return components.map(c => ({ product: c.product, name: c.name, qty: Number(c.qty || 1) * units }));
+}
+
+/* Product map for priceOrderLine() from a menu product whose bundle entries carry name / price / available (GET /api/student/menu) */
+export function menuBundleMap(product) {
+    const map = new Map();
+    if (!isBundle(product)) return map;
+    const entries = [
+        ...(product.bundle.components || []),
+        ...(product.bundle.slots || []).flatMap(s => s.options || [])
+    ];
+    for (const e of entries) {
+        map.set(idOf(e.product), { _id: idOf(e.product), name: e.name, price: e.price, allergens: e.allergens || [], available: e.available !== false });
+    }
+    return map;
+}
@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BundleSelectionError, bundleProductIds, normalizeBundle, resolveBundle, allocateBundlePrice, priceOrderLine, stockLines
+} from './bundles.js';
+
+const id = (n) => String(n).padStart(24, '0');
+const burger = { _id: id(1), name: 'Burger', price: 4, allergens: ['gluten'] };
+const coke = { _id: id(2), name: 'Coke', price: 1.5 };
+const juice = { _id: id(3), name: 'Juice', price: 2, allergens: ['citrus'] };
+const products = new Map([burger, coke, juice].map(p => [p._id, p]));
+const mealDeal = {
+    _id: id(9),
+    name: 'Meal deal',
+    price: 5,
+    bundle: {
+        components: [{ product: burger._id, qty: 1 }],
+        slots: [{ _id: id(20), name: 'Drink', options: [{ product: coke._id, priceDelta: 0 }, { product: juice._id, priceDelta: 0.5 }] }]
+    }
+};
+const drink = (productId) => [{ slotId: id(20), productId }];
+
+describe('priceOrderLine', () => {
+    test('a bundle costs its own price plus the chosen slot delta, split over the components', () => {
+        const line = priceOrderLine(mealDeal, { bundleChoices: drink(juice._id) }, products);
+        assert.equal(line.price, 5.5);
+        assert.equal(line.label, 'Meal deal (Juice)');
+        assert.deepEqual(line.allergens, ['gluten', 'citrus']);
+        // 5.50 in proportion to 4 : 2 -> 3.666… / 1.833…; the odd cent goes to the largest share
+        assert.deepEqual(line.components.map(c => [c.name, c.amount, c.slot]), [['Burger', 3.67, null], ['Juice', 1.83, 'Drink']]);
+        assert.equal(line.components.reduce((s, c) => s + Math.round(c.amount * 100), 0), 550);
+    });
+
+    test('a plain product is priced as it is, without components or label', () => {
+        assert.deepEqual(priceOrderLine(juice, {}, products), { price: 2, modifiers: [], components: [], label: null, allergens: ['citrus'] });
+    });
+});
+
+describe('allocateBundlePrice', () => {
+    test('shares follow list price × qty and always add up to the price', () => {
+        const shares = allocateBundlePrice([
+            { product: 'a', name: 'Bun', qty: 2, listPrice: 1 },
+            { product: 'b', name: 'Soup', qty: 1, listPrice: 3 },
+            { product: 'c', name: 'Apple', qty: 1, listPrice: 1 }
+        ], 5);
+        // 500 × 2/6, 3/6, 1/6 -> 166, 250, 83 (499); the remaining cent goes to Soup
+        assert.deepEqual(shares.map(s => s.amount), [1.66, 2.51, 0.83]);
+    });
+
+    test('free components split the price equally by quantity', () => {
+        const shares = allocateBundlePrice([
+            { product: 'a', name: 'Water', qty: 1, listPrice: 0 },
+            { product: 'b', name: 'Napkin', qty: 2, listPrice: 0 }
+        ], 3);
+        assert.deepEqual(shares.map(s => s.amount), [1, 2]);
+        assert.deepEqual(allocateBundlePrice([], 3), []);
+    });
+});
+
+describe('resolveBundle', () => {
+    const fails = (fn, message) => assert.throws(fn, (err) => err instanceof BundleSelectionError && err.status === 400 && message.test(err.message));
+
+    test('every slot needs a known choice, and nothing beyond the slots is accepted', () => {
+        fails(() => resolveBundle(mealDeal, [], products), /Choose Drink for "Meal deal"/);
+        fails(() => resolveBundle(mealDeal, drink(burger._id), products), /Unknown Drink choice/);
+        fails(() => resolveBundle(mealDeal, [...drink(coke._id), { slotId: id(21), productId: coke._id }], products), /has no such choice/);
+    });
+
+    test('an unavailable or missing component refuses the bundle', () => {
+        const soldOut = new Map(products).set(burger._id, { ...burger, available: false });
+        fails(() => resolveBundle(mealDeal, drink(coke._id), soldOut), /Burger of "Meal deal" is not available/);
+        fails(() => resolveBundle(mealDeal, drink(coke._id), new Map()), /A component of "Meal deal" is not available/);
+    });
+
+    test('a product that is not a bundle resolves to nothing', () => {
+        assert.deepEqual(resolveBundle(juice, drink(coke._id), products), { components: [], priceDelta: 0, choiceNames: [] });
+    });
+});
+
+describe('stock and admin input', () => {
+    test('a bundle line takes stock from its components, any other line from its own product', () => {
+        const line = { product: mealDeal._id, name: 'Meal deal', qty: 3, ...priceOrderLine(mealDeal, { bundleChoices: drink(coke._id) }, products) };
+        assert.deepEqual(stockLines(line).map(s => [s.name, s.qty]), [['Burger', 3], ['Coke', 3]]);
+        assert.deepEqual(stockLines(line, 1).map(s => s.qty), [1, 1]);
+        assert.deepEqual(stockLines({ product: juice._id, name: 'Juice', qty: 2 }), [{ product: juice._id, name: 'Juice', qty: 2 }]);
+        assert.deepEqual(bundleProductIds(mealDeal), [burger._id, coke._id, juice._id]);
+    });
+
+    test('normalizeBundle rounds deltas, drops empty bundles and refuses incomplete ones', () => {
+        const { bundle } = normalizeBundle({
+            components: [{ product: burger._id }],
+            slots: [{ name: ' Drink ', options: [{ product: juice._id, priceDelta: '0.499' }] }]
+        });
+        assert.deepEqual(bundle, { components: [{ product: burger._id, qty: 1 }], slots: [{ name: 'Drink', options: [{ product: juice._id, priceDelta: 0.5 }] }] });
+        assert.deepEqual(normalizeBundle({ components: [], slots: [] }), { bundle: null });
+        assert.deepEqual(normalizeBundle({ components: [{ product: 'nope' }] }), { error: 'Every bundle component needs a product' });
+        assert.deepEqual(normalizeBundle({ slots: [{ name: 'Drink', options: [] }] }), { error: 'Bundle slot "Drink" has no options' });
+    });
+});
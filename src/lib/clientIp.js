@@ -0,0 +1,19 @@
+/**
+ * The client's IP address as far as it can be trusted
+ * - Each proxy in front of the app (nginx, a load balancer, Vercel) appends the address it saw to
+ *   X-Forwarded-For; everything to the left of that came from the client and can say anything.
+ * - TRUSTED_PROXY_HOPS (default 1) is how many of those proxies there are: the entry that many places from the
+ *   right is the client. With 0 the app is reached directly and the header is ignored (no address is known —
+ *   route handlers never see the socket).
+ */
+
+export const TRUSTED_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUSTED_PROXY_HOPS ?? '1', 10) || 0);
+
+/* Client address from request headers (a Headers object or NextAuth's plain object), or null */
+export function clientIp(headers = {}, { hops = TRUSTED_PROXY_HOPS } = {}) {
+    if (!hops) return null;
+    const raw = typeof headers?.get === 'function' ? headers.get('x-forwarded-for') : headers?.['x-forwarded-for'];
+    const chain = String(raw || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (chain.length < hops) return null;
+    return chain[chain.length - hops];
+}
@@ -0,0 +1,27 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { clientIp } from './clientIp.js';
+
+describe('clientIp', () => {
+    test('one proxy: the address it appended, not what the client sent before it', () => {
+        assert.equal(clientIp({ 'x-forwarded-for': '203.0.113.7' }, { hops: 1 }), '203.0.113.7');
+        assert.equal(clientIp(new Headers({ 'x-forwarded-for': '1.2.3.4, 203.0.113.7' }), { hops: 1 }), '203.0.113.7');
+    });
+
+    test('a spoofed header cannot change the address', () => {
+        for (const spoofed of ['10.0.0.1', '10.0.0.2, 10.0.0.3', 'anything at all']) {
+            assert.equal(clientIp({ 'x-forwarded-for': `${spoofed}, 203.0.113.7` }, { hops: 1 }), '203.0.113.7');
+        }
+    });
+
+    test('two proxies: the entry written by the outer one', () => {
+        assert.equal(clientIp({ 'x-forwarded-for': '9.9.9.9, 203.0.113.7, 10.0.0.2' }, { hops: 2 }), '203.0.113.7');
+        assert.equal(clientIp({ 'x-forwarded-for': '10.0.0.2' }, { hops: 2 }), null);
+    });
+
+    test('no trusted proxy or no header: unknown', () => {
+        assert.equal(clientIp({ 'x-forwarded-for': '203.0.113.7' }, { hops: 0 }), null);
+        assert.equal(clientIp({}, { hops: 1 }), null);
+        assert.equal(clientIp(undefined, { hops: 1 }), null);
+    });
+});
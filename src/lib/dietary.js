@@ -0,0 +1,128 @@
+/**
+ * Student allergen / dietary profiles
+ * - User.dietaryProfile: { allergens: ['peanuts', ...], restrictions: ['vegetarian', ...], hideConflicts, updatedBy, updatedAt }
+ *   set by IT / admins (PATCH /api/admin/students/[id]) or a linked guardian (PATCH /api/guardian/students/[id]).
+ * - An allergen conflicts with a product whose allergens list it (bundles: any component's allergens).
+ *   A restriction is a tag the product must carry ("vegetarian" needs the product tagged vegetarian; bundles: every component).
+ * - Conflicting lines are refused (DietaryConflictError) unless an admin override for that student and product is
+ *   recorded in the AuditLog (action 'dietary_override', see assertDietaryAllowed in allModels.js).
+ */
+
+export class DietaryConflictError extends Error {
+    constructor(message, conflicts = []) {
+        super(message);
+        this.name = 'DietaryConflictError';
+        this.status = 403;
+        this.conflicts = conflicts;
+    }
+}
+
+export const DIETARY_OVERRIDE_ACTION = 'dietary_override';
+export const DEFAULT_OVERRIDE_HOURS = 24;
+export const MAX_OVERRIDE_HOURS = 24 * 90;
+
+const MAX_ENTRIES = 30;
+
+const norm = (v) => String(v || '').trim().toLowerCase();
+
+function normalizeList(input, field) {
+    const raw = Array.isArray(input) ? input : String(input || '').split(/[,|]/);
+    const list = [...new Set(raw.map(norm).filter(Boolean))];
+    if (list.length > MAX_ENTRIES) return { error: `At most ${MAX_ENTRIES} ${field}` };
+    if (list.some(v => v.length > 60)) return { error: `${field} entries must be at most 60 characters` };
+    return { list };
+}
+
+/**
+ * normalizeDietaryProfile(input)
+ * - Payload -> { allergens, restrictions, hideConflicts } (lower-cased, de-duplicated; arrays or comma-separated strings).
+ * - Returns { profile } or { error }; null / false clears the profile.
+ */
+export function normalizeDietaryProfile(input) {
+    if (input === null || input === false) return { profile: { allergens: [], restrictions: [], hideConflicts: false } };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'dietaryProfile must be an object' };
+    const allergens = normalizeList(input.allergens, 'allergens');
+    if (allergens.error) return { error: allergens.error };
+    const restrictions = normalizeList(input.restrictions, 'restrictions');
+    if (restrictions.error) return { error: restrictions.error };
+    return { profile: { allergens: allergens.list, restrictions: restrictions.list, hideConflicts: !!input.hideConflicts } };
+}
+
+/* Plain { allergens, restrictions, hideConflicts, updatedAt } of a stored profile (API responses, audit before/after) */
+export function dietaryProfileSnapshot(profile) {
+    return {
+        allergens: [...(profile?.allergens || [])],
+        restrictions: [...(profile?.restrictions || [])],
+        hideConflicts: !!profile?.hideConflicts,
+        updatedAt: profile?.updatedAt || null
+    };
+}
+
+/* true when the profile restricts anything */
+export function hasDietaryProfile(profile) {
+    return !!((profile?.allergens || []).length || (profile?.restrictions || []).length);
+}
+
+/**
+ * dietaryConflicts(profile, { allergens, products })
+ * - allergens: everything the line contains (an order line's allergens snapshot, or a menu product's own list)
+ * - products: the products whose tags must satisfy the restrictions (the product itself, or a bundle's components)
+ * - Returns human-readable reasons ([] = fine), e.g. ['contains peanuts', 'Chips is not vegetarian'].
+ */
+export function dietaryConflicts(profile, { allergens = [], products = [] } = {}) {
+    if (!hasDietaryProfile(profile)) return [];
+    const reasons = [];
+    const contained = new Set(allergens.map(norm));
+    for (const a of profile.allergens || []) {
+        if (contained.has(norm(a))) reasons.push(`contains ${norm(a)}`);
+    }
+    for (const r of profile.restrictions || []) {
+        for (const p of products) {
+            const tags = new Set((p?.tags || []).map(norm));
+            if (!tags.has(norm(r))) reasons.push(products.length > 1 ? `${p?.name || 'an item'} is not ${norm(r)}` : `not ${norm(r)}`);
+        }
+    }
+    return reasons;
+}
+
+/**
+ * productDietaryConflicts(profile, product, productMap)
+ * - Conflicts of a menu / catalogue product; bundles are judged by their components (productMap: id -> product).
+ *   Pick-one slots only conflict when every option of the slot does.
+ */
+export function productDietaryConflicts(profile, product, productMap = new Map()) {
+    if (!hasDietaryProfile(profile) || !product) return [];
+    const components = (product.bundle?.components || []).map(c => productMap.get(String(c.product?._id ?? c.product))).filter(Boolean);
+    const slots = (product.bundle?.slots || []).map(s => (s.options || []).map(o => productMap.get(String(o.product?._id ?? o.product))).filter(Boolean));
+    const fixed = [product, ...components];
+    const reasons = dietaryConflicts(profile, {
+        allergens: fixed.flatMap(p => p.allergens || []),
+        products: components.length || slots.length ? components : [product]
+    });
+    for (const options of slots) {
+        if (options.length && options.every(o => dietaryConflicts(profile, { allergens: o.allergens || [], products: [o] }).length)) {
+            reasons.push(...dietaryConflicts(profile, { allergens: options[0].allergens || [], products: [options[0]] }));
+        }
+    }
+    return [...new Set(reasons)];
+}
+
+/**
+ * lineDietaryConflicts(profile, line, productMap)
+ * - Conflicts of a priced order line (allergens snapshot already includes bundle components and chosen options).
+ */
+export function lineDietaryConflicts(profile, line, productMap = new Map()) {
+    if (!hasDietaryProfile(profile)) return [];
+    const components = line?.components || [];
+    const products = (components.length ? components : [line])
+        .map(c => productMap.get(String(c.product)) || { name: c.name, tags: [] });
+    return dietaryConflicts(profile, { allergens: line?.allergens || [], products });
+}
+
+/* Override window in hours from the admin payload (default DEFAULT_OVERRIDE_HOURS); null when invalid */
+export function overrideHours(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_OVERRIDE_HOURS;
+    const h = Number(value);
+    if (!Number.isFinite(h) || h <= 0 || h > MAX_OVERRIDE_HOURS) return null;
+    return h;
+}
@@ -0,0 +1,70 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_OVERRIDE_HOURS, dietaryConflicts, hasDietaryProfile, lineDietaryConflicts, normalizeDietaryProfile, overrideHours, productDietaryConflicts
+} from './dietary.js';
+
+const id = (n) => String(n).padStart(24, '0');
+const profile = { allergens: ['peanuts'], restrictions: ['vegetarian'] };
+const salad = { _id: id(1), name: 'Salad', tags: ['vegetarian'] };
+const wrap = { _id: id(2), name: 'Chicken wrap', tags: ['halal'], allergens: ['gluten'] };
+const peanutBar = { _id: id(3), name: 'Peanut bar', tags: ['Vegetarian'], allergens: ['Peanuts'] };
+const apple = { _id: id(4), name: 'Apple', tags: ['vegetarian'] };
+const catalogue = new Map([salad, wrap, peanutBar, apple].map(p => [p._id, p]));
+const lunchBox = (components, snacks) => ({
+    _id: id(9),
+    name: 'Lunch box',
+    bundle: {
+        components: components.map(p => ({ product: p._id, qty: 1 })),
+        slots: [{ _id: id(20), name: 'Snack', options: snacks.map(p => ({ product: p._id, priceDelta: 0 })) }]
+    }
+});
+
+describe('conflict detection', () => {
+    test('allergens and restrictions are matched regardless of case', () => {
+        assert.deepEqual(dietaryConflicts(profile, { allergens: peanutBar.allergens, products: [peanutBar] }), ['contains peanuts']);
+        assert.deepEqual(dietaryConflicts(profile, { allergens: wrap.allergens, products: [wrap] }), ['not vegetarian']);
+        assert.deepEqual(dietaryConflicts(profile, { allergens: [], products: [salad] }), []);
+    });
+
+    test('an empty profile restricts nothing', () => {
+        assert.equal(hasDietaryProfile({ allergens: [], restrictions: [] }), false);
+        assert.equal(hasDietaryProfile(null), false);
+        assert.deepEqual(dietaryConflicts({ allergens: [] }, { allergens: ['peanuts'], products: [wrap] }), []);
+        assert.deepEqual(lineDietaryConflicts(undefined, { allergens: ['peanuts'] }), []);
+    });
+
+    test('a bundle is judged by its components; a pick-one slot only when every option conflicts', () => {
+        assert.deepEqual(productDietaryConflicts(profile, lunchBox([salad], [peanutBar, apple]), catalogue), []);
+        assert.deepEqual(productDietaryConflicts(profile, lunchBox([salad], [peanutBar]), catalogue), ['contains peanuts']);
+        assert.deepEqual(productDietaryConflicts(profile, lunchBox([salad, wrap], [apple]), catalogue), ['Chicken wrap is not vegetarian']);
+    });
+
+    test('an order line uses its allergens snapshot and the tags of its components', () => {
+        const line = { product: id(9), name: 'Lunch box', allergens: ['peanuts'], components: [{ product: salad._id, name: 'Salad' }, { product: peanutBar._id, name: 'Peanut bar' }] };
+        assert.deepEqual(lineDietaryConflicts(profile, line, catalogue), ['contains peanuts']);
+        // a component missing from the map has no tags to satisfy a restriction with
+        const unknown = { ...line, allergens: [], components: [{ product: id(8), name: 'Mystery pie' }, { product: apple._id, name: 'Apple' }] };
+        assert.deepEqual(lineDietaryConflicts(profile, unknown, catalogue), ['Mystery pie is not vegetarian']);
+        assert.deepEqual(lineDietaryConflicts(profile, { product: salad._id, name: 'Salad', allergens: [] }, catalogue), []);
+    });
+});
+
+describe('profile and override input', () => {
+    test('normalizeDietaryProfile lower-cases, de-duplicates and accepts comma-separated strings', () => {
+        assert.deepEqual(normalizeDietaryProfile({ allergens: 'Peanuts, peanuts ,Sesame', restrictions: ['Halal'], hideConflicts: 1 }),
+            { profile: { allergens: ['peanuts', 'sesame'], restrictions: ['halal'], hideConflicts: true } });
+        assert.deepEqual(normalizeDietaryProfile(null), { profile: { allergens: [], restrictions: [], hideConflicts: false } });
+        assert.deepEqual(normalizeDietaryProfile(['peanuts']), { error: 'dietaryProfile must be an object' });
+    });
+
+    test('overrideHours defaults to a day and refuses windows outside (0, MAX_OVERRIDE_HOURS]', () => {
+        assert.equal(overrideHours(undefined), 24);
+        assert.equal(overrideHours(''), 24);
+        assert.equal(overrideHours('48'), 48);
+        assert.equal(overrideHours(MAX_OVERRIDE_HOURS), MAX_OVERRIDE_HOURS);
+        assert.equal(overrideHours(0), null);
+        assert.equal(overrideHours(MAX_OVERRIDE_HOURS + 1), null);
+        assert.equal(overrideHours('soon'), null);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Guardian (parent) accounts
+ * - A guardian is a User with role "guardian"; User.guardianOf lists the linked students.
+ * - Helpers here resolve the signed-in guardian, scope every lookup to linked students,
+ *   and manage links (used by IT).
+ */
+
+import mongoose from 'mongoose';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import {
+    connectToDatabase,
+    User,
+    Order,
+    SpecialOrder,
+    AuditLog,
+    getSpendingAllowance
+} from '@/models/allModels.js';
+import { dietaryProfileSnapshot } from '@/lib/dietary.js';
+
+/**
+ * requireGuardian(req)
+ * - Returns { guardian } (lean User) or { error, status } (401 not signed in / 403 not a guardian).
+ */
+export async function requireGuardian(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName =
+        process.env.NODE_ENV === 'production'
+            ? '__Secure-next-auth.session-token'
+            : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch((e) => {
+        console.warn('getToken threw:', e?.message || e);
+        return null;
+    });
+    const sessionUser = token?.user || token;
+    if (!sessionUser) return { error: 'Not authenticated', status: 401 };
+    if (String(sessionUser.role || '').toLowerCase() !== 'guardian') return { error: 'Forbidden', status: 403 };
+
+    await connectToDatabase();
+    const id = sessionUser.id || sessionUser.sub;
+    const guardian = mongoose.Types.ObjectId.isValid(String(id))
+        ? await User.findOne({ _id: id, role: 'guardian', isActive: true }).lean()
+        : null;
+    if (!guardian) return { error: 'Forbidden', status: 403 };
+    return { guardian };
+}
+
+/* Linked student by id or reg number, or null when the student is not linked to this guardian */
+export async function findLinkedStudent(guardian, idOrReg) {
+    const linked = (guardian?.guardianOf || []).map(String);
+    if (!linked.length || !idOrReg) return null;
+    const query = mongoose.Types.ObjectId.isValid(String(idOrReg))
+        ? { _id: String(idOrReg) }
+        : { regNumber: String(idOrReg) };
+    const student = await User.findOne({ ...query, role: 'student' });
+    if (!student || !linked.includes(String(student._id))) return null;
+    return student;
+}
+
+/**
+ * recentOrders(studentId, { limit })
+ * - Ordinary and special orders, newest first, trimmed to what a guardian needs to see.
+ */
+export async function recentOrders(studentId, { limit = 10 } = {}) {
+    const fields = 'code status total items createdAt category';
+    const [orders, specials] = await Promise.all([
+        Order.find({ user: studentId }).sort({ createdAt: -1 }).limit(limit).select(fields).lean(),
+        SpecialOrder.find({ user: studentId }).sort({ createdAt: -1 }).limit(limit).select(fields).lean()
+    ]);
+    return [
+        ...orders.map(o => ({ ...o, isSpecial: false })),
+        ...specials.map(o => ({ ...o, isSpecial: true }))
+    ]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit)
+        .map(o => ({
+            id: String(o._id),
+            code: o.code,
+            status: o.status,
+            total: o.total,
+            isSpecial: o.isSpecial,
+            category: o.category || null,
+            createdAt: o.createdAt,
+            items: (o.items || []).map(it => ({ name: it.name, qty: it.qty, price: it.price }))
+        }));
+}
+
+/* The per-child summary shown on the guardian dashboard */
+export async function summarizeStudent(student, { orders = 5 } = {}) {
+    const [spending, latest] = await Promise.all([
+        getSpendingAllowance(student),
+        recentOrders(student._id, { limit: orders })
+    ]);
+    return {
+        id: String(student._id),
+        name: student.name,
+        regNumber: student.regNumber || null,
+        balance: Number(student.balance || 0),
+        spendingLimits: {
+            daily: student.spendingLimits?.daily ?? null,
+            weekly: student.spendingLimits?.weekly ?? null
+        },
+        blockedProducts: (student.blockedProducts || []).map(String),
+        dietaryProfile: dietaryProfileSnapshot(student.dietaryProfile),
+        spending,
+        recentOrders: latest
+    };
+}
+
+/**
+ * setGuardianLink(guardianIdOrEmail, studentRegOrId, { link, actorId })
+ * - Adds (link = true) or removes a student from a guardian's guardianOf list and writes an AuditLog.
+ * - Returns { guardian, student }; throws for unknown accounts.
+ */
+export async function setGuardianLink(guardianIdOrEmail, studentRegOrId, { link = true, actorId = null } = {}) {
+    await connectToDatabase();
+    const guardian = mongoose.Types.ObjectId.isValid(String(guardianIdOrEmail))
+        ? await User.findOne({ _id: String(guardianIdOrEmail), role: 'guardian' })
+        : await User.findOne({ email: String(guardianIdOrEmail || '').trim(), role: 'guardian' });
+    if (!guardian) throw new Error('Guardian not found');
+
+    const student = mongoose.Types.ObjectId.isValid(String(studentRegOrId))
+        ? await User.findOne({ _id: String(studentRegOrId), role: 'student' })
+        : await User.findOne({ regNumber: String(studentRegOrId || '').trim(), role: 'student' });
+    if (!student) throw new Error('Student not found');
+
+    await User.updateOne(
+        { _id: guardian._id },
+        link ? { $addToSet: { guardianOf: student._id } } : { $pull: { guardianOf: student._id } }
+    );
+
+    try {
+        await AuditLog.create({
+            actor: actorId,
+            action: link ? 'guardian_link' : 'guardian_unlink',
+            collectionName: 'users',
+            documentId: guardian._id,
+            changes: { student: student._id, regNumber: student.regNumber }
+        });
+    } catch (e) {
+        console.warn('AuditLog creation failed for guardian link:', e?.message || e);
+    }
+
+    return { guardian: await User.findById(guardian._id).lean(), student };
+}
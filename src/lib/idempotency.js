@@ -0,0 +1,89 @@
+/**
+ * Idempotency-Key helpers for money-moving routes
+ * - The key is stored on the resulting Transaction / Order / SpecialOrder (`idempotencyKey`, unique when set)
+ * - A request fingerprint is kept in `meta.idempotencyFingerprint` so a key reused with a different body is rejected
+ */
+
+import crypto from 'crypto';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENCY_REPLAY_HEADER = 'Idempotent-Replayed';
+
+const KEY_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * getIdempotencyKey(req)
+ * - Returns { key } (key null when the header is absent) or { error } when the header is malformed.
+ */
+export function getIdempotencyKey(req) {
+    let raw = null;
+    try {
+        raw = req.headers?.get?.(IDEMPOTENCY_HEADER) || null;
+    } catch (e) {
+        raw = null;
+    }
+    if (raw === null || raw === undefined || String(raw).trim() === '') return { key: null };
+    const key = String(raw).trim();
+    if (!KEY_RE.test(key)) {
+        return { key: null, error: `${IDEMPOTENCY_HEADER} must be 8-128 characters of letters, digits, ".", "_", ":" or "-"` };
+    }
+    return { key };
+}
+
+/* Stable hash of the fields that define "the same request" */
+export function requestFingerprint(parts) {
+    const stable = (v) => {
+        if (Array.isArray(v)) return v.map(stable);
+        if (v && typeof v === 'object') {
+            return Object.keys(v).sort().reduce((acc, k) => {
+                if (v[k] !== undefined) acc[k] = stable(v[k]);
+                return acc;
+            }, {});
+        }
+        return v;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(stable(parts ?? null))).digest('hex');
+}
+
+/**
+ * orderFingerprint(userIdOrReg, orderPayload)
+ * - requestFingerprint of a student order as placeOrderAtomic receives it (items, pre-order target, pickup slot);
+ *   every path that creates an order with an Idempotency-Key uses it, so a retry matches whichever path ran first.
+ */
+export function orderFingerprint(userIdOrReg, { items = [], schedule = null, orderingWindowId = null, pickupSlot = null } = {}) {
+    return requestFingerprint({
+        op: 'order',
+        userIdOrReg: userIdOrReg ? String(userIdOrReg) : null,
+        items: items.map(it => ({
+            productId: String(it.productId),
+            qty: Number(it.qty || 1),
+            notes: it.notes || '',
+            modifiers: it.modifiers || [],
+            bundleChoices: it.bundleChoices || []
+        })),
+        ...(schedule ? { serviceDate: schedule.serviceDate, orderingWindowId: String(orderingWindowId || '') } : {}),
+        ...(pickupSlot ? { pickupSlot: new Date(pickupSlot.start).toISOString() } : {})
+    });
+}
+
+export function isDuplicateKeyError(err) {
+    return !!err && (err.code === 11000 || /E11000 duplicate key/i.test(String(err.message || '')));
+}
+
+/**
+ * Error thrown when a key is replayed with a different request body.
+ * Routes map it to 422 Unprocessable Entity.
+ */
+export class IdempotencyMismatchError extends Error {
+    constructor(message = `${IDEMPOTENCY_HEADER} was already used for a different request`) {
+        super(message);
+        this.name = 'IdempotencyMismatchError';
+        this.status = 422;
+    }
+}
+
+/* Throws IdempotencyMismatchError when a stored doc was created from a different request */
+export function assertSameRequest(doc, fingerprint) {
+    const stored = doc?.meta?.idempotencyFingerprint;
+    if (stored && fingerprint && stored !== fingerprint) throw new IdempotencyMismatchError();
+}
@@ -0,0 +1,25 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderFingerprint } from './idempotency.js';
+
+describe('orderFingerprint', () => {
+    test('missing notes, modifiers and choices match their empty defaults', () => {
+        const bare = orderFingerprint('ST2025-001', { items: [{ productId: 'p1', qty: 2 }] });
+        const full = orderFingerprint('ST2025-001', {
+            items: [{ productId: 'p1', qty: '2', notes: '', modifiers: [], bundleChoices: [] }],
+            prepStationId: null
+        });
+        assert.equal(bare, full);
+    });
+
+    test('notes, the pickup slot and the pre-order day tell requests apart', () => {
+        const base = { items: [{ productId: 'p1', qty: 1 }] };
+        const plain = orderFingerprint('u1', base);
+        assert.notEqual(plain, orderFingerprint('u1', { items: [{ productId: 'p1', qty: 1, notes: 'no onions' }] }));
+        assert.notEqual(plain, orderFingerprint('u1', { ...base, pickupSlot: { start: '2026-03-02T10:00:00Z' } }));
+        assert.notEqual(
+            plain,
+            orderFingerprint('u1', { ...base, schedule: { serviceDate: '2026-03-03' }, orderingWindowId: 'w1' })
+        );
+    });
+});
@@ -0,0 +1,19 @@
+/**
+ * Idempotency-Key on the client side of money-moving forms (the server side is lib/idempotency.js)
+ * - One key per distinct submission: resending the same payload (double click, retry after a timeout) reuses the
+ *   key so the server answers with the original result; a changed payload gets a new key.
+ * - The form owns the key in a React ref and clears it (ref.current = null) once the request went through.
+ */
+
+function newKey() {
+    return typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/* keyRef: useRef(null) of the form; payload: what is being submitted */
+export function idempotencyKeyFor(keyRef, payload) {
+    const sig = JSON.stringify(payload);
+    if (!keyRef.current || keyRef.current.sig !== sig) keyRef.current = { sig, key: newKey() };
+    return keyRef.current.key;
+}
@@ -0,0 +1,18 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { idempotencyKeyFor } from './idempotencyKey.js';
+
+describe('idempotencyKeyFor', () => {
+    test('a resent payload keeps its key, a changed one or a cleared form gets a new key', () => {
+        const ref = { current: null };
+        const key = idempotencyKeyFor(ref, { amount: 20, userIdOrReg: 'S100' });
+        assert.match(key, /^[A-Za-z0-9._:-]{8,128}$/);
+        assert.equal(idempotencyKeyFor(ref, { amount: 20, userIdOrReg: 'S100' }), key);
+
+        const changed = idempotencyKeyFor(ref, { amount: 25, userIdOrReg: 'S100' });
+        assert.notEqual(changed, key);
+
+        ref.current = null;
+        assert.notEqual(idempotencyKeyFor(ref, { amount: 25, userIdOrReg: 'S100' }), changed);
+    });
+});
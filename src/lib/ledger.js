@@ -0,0 +1,231 @@
+/**
+ * Balance-integrity tooling for the double-entry ledger
+ * - replays every Transaction per user and compares the result with User.balance
+ * - compares the student_wallet journal balance with User.balance
+ * - posts correcting adjustments and backfills journal entries for historical transactions
+ */
+
+import mongoose from 'mongoose';
+import {
+    connectToDatabase,
+    User,
+    Transaction,
+    JournalEntry,
+    AuditLog,
+    LEDGER_ACCOUNTS,
+    buildJournalLines
+} from '@/models/allModels.js';
+
+const cents = (n) => Math.round(Number(n || 0) * 100);
+
+function toObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(String(id)) ? new mongoose.Types.ObjectId(String(id)) : null;
+}
+
+/**
+ * checkBalanceIntegrity({ userId, includeOk })
+ * - Returns { checkedAt, usersChecked, mismatches, unjournaled, rows: [{ userId, name, regNumber, balance, replayed, ledger, difference, ledgerDifference, txCount }] }
+ * - Without includeOk only users whose replayed or ledger balance disagrees with User.balance are returned.
+ */
+export async function checkBalanceIntegrity({ userId = null, includeOk = false } = {}) {
+    await connectToDatabase();
+
+    const userMatch = {};
+    if (userId) {
+        const oid = toObjectId(userId);
+        if (!oid) throw new Error('Invalid userId');
+        userMatch._id = oid;
+    }
+
+    const txMatch = { user: userId ? userMatch._id : { $ne: null } };
+    const [replayAgg, ledgerAgg, users, unjournaled] = await Promise.all([
+        Transaction.aggregate([
+            { $match: txMatch },
+            { $group: { _id: '$user', replayed: { $sum: '$amount' }, txCount: { $sum: 1 } } }
+        ]),
+        JournalEntry.aggregate([
+            { $unwind: '$lines' },
+            { $match: { 'lines.account': LEDGER_ACCOUNTS.STUDENT_WALLET, ...(userId ? { 'lines.user': userMatch._id } : {}) } },
+            { $group: { _id: '$lines.user', ledger: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+        ]),
+        User.find(userId ? userMatch : { $or: [{ role: 'student' }, { balance: { $ne: 0 } }] })
+            .select('name regNumber role balance')
+            .lean(),
+        countUnjournaledTransactions()
+    ]);
+
+    const replayMap = new Map(replayAgg.map(r => [String(r._id), r]));
+    const ledgerMap = new Map(ledgerAgg.map(r => [String(r._id), r.ledger]));
+
+    // users that have transactions but were not picked by the default user filter
+    const seen = new Set(users.map(u => String(u._id)));
+    const extraIds = replayAgg.map(r => r._id).filter(id => id && !seen.has(String(id)));
+    if (extraIds.length) {
+        const extra = await User.find({ _id: { $in: extraIds } }).select('name regNumber role balance').lean();
+        users.push(...extra);
+    }
+
+    const rows = [];
+    let mismatches = 0;
+    for (const u of users) {
+        const key = String(u._id);
+        const replay = replayMap.get(key);
+        const balance = Number(u.balance || 0);
+        const replayed = Number(replay?.replayed || 0);
+        const ledger = Number(ledgerMap.get(key) || 0);
+        const difference = (cents(balance) - cents(replayed)) / 100;
+        const ledgerDifference = (cents(balance) - cents(ledger)) / 100;
+        const ok = difference === 0 && ledgerDifference === 0;
+        if (!ok) mismatches++;
+        if (ok && !includeOk) continue;
+        rows.push({
+            userId: key,
+            name: u.name,
+            regNumber: u.regNumber || null,
+            role: u.role,
+            balance,
+            replayed,
+            ledger,
+            difference,
+            ledgerDifference,
+            txCount: replay?.txCount || 0,
+            ok
+        });
+    }
+
+    rows.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+    return { checkedAt: new Date(), usersChecked: users.length, mismatches, unjournaled, rows };
+}
+
+/**
+ * replayUserTransactions(userId)
+ * - Walks a user's transactions oldest-first and flags rows whose stored balanceBefore does not match the running total.
+ */
+export async function replayUserTransactions(userId) {
+    await connectToDatabase();
+    const oid = toObjectId(userId);
+    if (!oid) throw new Error('Invalid userId');
+
+    const txs = await Transaction.find({ user: oid }).sort({ createdAt: 1, _id: 1 }).lean();
+    let running = 0;
+    const timeline = txs.map(tx => {
+        const expectedBefore = running;
+        running = (cents(running) + cents(tx.amount)) / 100;
+        const storedBefore = typeof tx.balanceBefore === 'number' ? tx.balanceBefore : null;
+        return {
+            id: String(tx._id),
+            createdAt: tx.createdAt,
+            type: tx.type,
+            amount: tx.amount,
+            balanceBefore: storedBefore,
+            balanceAfter: typeof tx.balanceAfter === 'number' ? tx.balanceAfter : null,
+            expectedBefore,
+            expectedAfter: running,
+            chainBreak: storedBefore !== null && cents(storedBefore) !== cents(expectedBefore),
+            note: tx.note || ''
+        };
+    });
+    return { userId: String(oid), replayed: running, chainBreaks: timeline.filter(t => t.chainBreak).length, timeline };
+}
+
+/**
+ * postCorrectingAdjustment(userId, { actorId, note })
+ * - Treats User.balance as authoritative and posts an 'adjustment' Transaction (meta.kind = 'correction')
+ *   for the gap so that the replayed history (and the ledger) agree with it. User.balance itself is not changed.
+ */
+export async function postCorrectingAdjustment(userId, { actorId = null, note = '' } = {}) {
+    await connectToDatabase();
+    const oid = toObjectId(userId);
+    if (!oid) throw new Error('Invalid userId');
+
+    const user = await User.findById(oid).select('name regNumber balance').lean();
+    if (!user) throw new Error('User not found');
+
+    const [agg] = await Transaction.aggregate([
+        { $match: { user: oid } },
+        { $group: { _id: null, replayed: { $sum: '$amount' } } }
+    ]);
+    const replayed = Number(agg?.replayed || 0);
+    const balance = Number(user.balance || 0);
+    const diff = (cents(balance) - cents(replayed)) / 100;
+    if (diff === 0) throw new Error('No mismatch to correct');
+
+    const tx = await Transaction.create({
+        user: oid,
+        type: 'adjustment',
+        amount: diff,
+        balanceBefore: replayed,
+        balanceAfter: balance,
+        createdBy: actorId,
+        note: note || `Ledger correction: history ${replayed} vs balance ${balance}`,
+        meta: { kind: 'correction' }
+    });
+
+    try {
+        await AuditLog.create({
+            actor: actorId,
+            action: 'ledger_correction',
+            collectionName: 'transactions',
+            documentId: tx._id,
+            changes: { user: oid, replayed, balance, amount: diff, note }
+        });
+    } catch (e) {
+        console.warn('AuditLog creation failed for ledger correction:', e?.message || e);
+    }
+
+    return { tx, replayed, balance, amount: diff };
+}
+
+async function countUnjournaledTransactions() {
+    const [row] = await Transaction.aggregate([
+        { $match: { amount: { $ne: 0 } } },
+        { $lookup: { from: JournalEntry.collection.collectionName, localField: '_id', foreignField: 'transaction', as: 'je' } },
+        { $match: { je: { $size: 0 } } },
+        { $count: 'n' }
+    ]);
+    return row?.n || 0;
+}
+
+/**
+ * backfillJournalEntries({ actorId, limit })
+ * - Posts journal entries for transactions recorded before the ledger existed (or whose posting failed).
+ */
+export async function backfillJournalEntries({ actorId = null, limit = 5000 } = {}) {
+    await connectToDatabase();
+    const missing = await Transaction.aggregate([
+        { $match: { amount: { $ne: 0 } } },
+        { $lookup: { from: JournalEntry.collection.collectionName, localField: '_id', foreignField: 'transaction', as: 'je' } },
+        { $match: { je: { $size: 0 } } },
+        { $sort: { createdAt: 1 } },
+        { $limit: Math.max(1, Number(limit) || 5000) },
+        { $project: { je: 0 } }
+    ]);
+
+    let posted = 0;
+    for (const tx of missing) {
+        const lines = buildJournalLines(tx);
+        if (!lines.length) continue;
+        await JournalEntry.create({
+            transaction: tx._id,
+            transactionType: tx.type,
+            lines,
+            memo: tx.note,
+            createdBy: tx.createdBy || null,
+            meta: { backfilled: true }
+        });
+        posted++;
+    }
+
+    try {
+        await AuditLog.create({
+            actor: actorId,
+            action: 'ledger_backfill',
+            collectionName: 'journalentries',
+            changes: { posted }
+        });
+    } catch (e) {
+        console.warn('AuditLog creation failed for ledger backfill:', e?.message || e);
+    }
+
+    return { posted };
+}
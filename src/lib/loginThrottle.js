@@ -0,0 +1,100 @@
+/**
+ * Sign-in throttling policy: progressive delay and temporary lockout
+ * - Failures are counted per account (or per typed identifier when no account matches, so unknown reg numbers
+ *   behave exactly like known ones) and per client IP (lib/clientIp.js). A counter forgets its failures after FAILURE_WINDOW_MS
+ *   without a new one.
+ * - After `freeFailures` failures every further attempt must wait: 1s, 2s, 4s … up to MAX_DELAY_SECONDS after the
+ *   last failure. Attempts during the wait are refused without checking the password and do not count.
+ * - At `lockAfter` failures an account counter locks for LOCKOUT_MS, doubling with each lockout in a row (up to
+ *   MAX_LOCKOUT_MS); IT can unlock an account early. IP counters are never locked, only delayed.
+ * - A successful sign-in clears the account's counter and takes `forgivenPerSuccess` failures off the IP's.
+ */
+
+export const SIGN_IN_OUTCOMES = ['success', 'failed', 'two_factor_required', 'two_factor_failed', 'throttled', 'locked'];
+
+/* Outcomes that count towards throttling */
+export const FAILED_OUTCOMES = ['failed', 'two_factor_failed'];
+
+export const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+export const MAX_DELAY_SECONDS = 60;
+export const LOCKOUT_MS = 15 * 60 * 1000;
+export const MAX_LOCKOUT_MS = 4 * 60 * 60 * 1000;
+
+/*
+ * An IP is shared by a whole school behind NAT: it gets far more room than one account, is never locked (one
+ * student guessing must not lock out everyone else) and every sign-in that works from it earns a failure back.
+ * lockAfter / forgivenPerSuccess null = never / all of them.
+ */
+export const THROTTLE_POLICY = {
+    account: { freeFailures: 3, lockAfter: 10, forgivenPerSuccess: null },
+    ip: { freeFailures: 30, lockAfter: null, forgivenPerSuccess: 1 }
+};
+
+/* What every refused or failed sign-in tells the user — never whether the account exists */
+export const GENERIC_SIGN_IN_ERROR = 'Invalid email/regNumber or password';
+
+export const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase().slice(0, 200);
+
+/**
+ * throttleKeys({ userId, identifier, ip })
+ * - Counter keys for one attempt: [{ key, kind }] with kind 'account' or 'ip'.
+ */
+export function throttleKeys({ userId = null, identifier = '', ip = null } = {}) {
+    const keys = [];
+    if (userId) keys.push({ key: `account:${userId}`, kind: 'account' });
+    else if (normalizeIdentifier(identifier)) keys.push({ key: `identifier:${normalizeIdentifier(identifier)}`, kind: 'account' });
+    if (ip) keys.push({ key: `ip:${ip}`, kind: 'ip' });
+    return keys;
+}
+
+/* Seconds to wait after the last failure, once a counter has `failures` of them */
+export function failureDelaySeconds(kind, failures) {
+    const { freeFailures } = THROTTLE_POLICY[kind] || THROTTLE_POLICY.account;
+    const over = Number(failures || 0) - freeFailures;
+    if (over <= 0) return 0;
+    return Math.min(2 ** (over - 1), MAX_DELAY_SECONDS);
+}
+
+/* How long the n-th lockout in a row lasts */
+export const lockoutMs = (lockouts) => Math.min(LOCKOUT_MS * 2 ** Math.max(Number(lockouts || 1) - 1, 0), MAX_LOCKOUT_MS);
+
+/* Whether a counter at `failures` failures locks now */
+export function shouldLock(kind, failures) {
+    const { lockAfter } = THROTTLE_POLICY[kind] || THROTTLE_POLICY.account;
+    return lockAfter !== null && Number(failures || 0) >= lockAfter;
+}
+
+/* Failures that still count at `now` (older ones fall out of the window) */
+export function activeFailures(counter, now = new Date()) {
+    if (!counter?.lastFailureAt) return 0;
+    if (new Date(now) - new Date(counter.lastFailureAt) > FAILURE_WINDOW_MS) return 0;
+    return Number(counter.failures || 0);
+}
+
+/**
+ * throttleCheck(counter, kind, now)
+ * - { ok: true } or { ok: false, outcome: 'locked' | 'throttled', retryAfterSeconds } for one counter document
+ *   ({ failures, lastFailureAt, lockedUntil }, or null when there is none).
+ */
+export function throttleCheck(counter, kind, now = new Date()) {
+    const at = new Date(now).getTime();
+    const lockedUntil = counter?.lockedUntil ? new Date(counter.lockedUntil).getTime() : 0;
+    if (lockedUntil > at) {
+        return { ok: false, outcome: 'locked', retryAfterSeconds: Math.ceil((lockedUntil - at) / 1000) };
+    }
+    const delay = failureDelaySeconds(kind, activeFailures(counter, now));
+    if (delay > 0) {
+        const waitUntil = new Date(counter.lastFailureAt).getTime() + delay * 1000;
+        if (waitUntil > at) return { ok: false, outcome: 'throttled', retryAfterSeconds: Math.ceil((waitUntil - at) / 1000) };
+    }
+    return { ok: true };
+}
+
+/* The refusal message for a throttleCheck() result */
+export function throttleMessage({ outcome, retryAfterSeconds }) {
+    if (outcome === 'locked') {
+        const minutes = Math.max(Math.ceil(retryAfterSeconds / 60), 1);
+        return `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask IT to unlock your account.`;
+    }
+    return `Too many failed sign-in attempts. Wait ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'} and try again.`;
+}
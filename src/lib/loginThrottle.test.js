@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FAILURE_WINDOW_MS,
+    LOCKOUT_MS,
+    MAX_DELAY_SECONDS,
+    MAX_LOCKOUT_MS,
+    THROTTLE_POLICY,
+    activeFailures,
+    failureDelaySeconds,
+    lockoutMs,
+    shouldLock,
+    throttleCheck,
+    throttleKeys,
+    throttleMessage
+} from './loginThrottle.js';
+
+const now = new Date('2026-03-02T10:00:00Z');
+const secondsAgo = (s) => new Date(now.getTime() - s * 1000);
+
+describe('throttleKeys', () => {
+    test('counts an existing account by id and an unknown identifier by its text', () => {
+        assert.deepEqual(throttleKeys({ userId: 'u1', identifier: 'ST2025-001', ip: '10.0.0.5' }), [
+            { key: 'account:u1', kind: 'account' },
+            { key: 'ip:10.0.0.5', kind: 'ip' }
+        ]);
+        assert.deepEqual(throttleKeys({ identifier: '  ST2025-999 ' }), [{ key: 'identifier:st2025-999', kind: 'account' }]);
+        assert.deepEqual(throttleKeys({}), []);
+    });
+});
+
+describe('failureDelaySeconds / lockoutMs / shouldLock', () => {
+    test('free failures first, then doubling delays up to the cap', () => {
+        const free = THROTTLE_POLICY.account.freeFailures;
+        assert.equal(failureDelaySeconds('account', free), 0);
+        assert.equal(failureDelaySeconds('account', free + 1), 1);
+        assert.equal(failureDelaySeconds('account', free + 3), 4);
+        assert.equal(failureDelaySeconds('account', free + 30), MAX_DELAY_SECONDS);
+        assert.equal(failureDelaySeconds('ip', free + 1), 0);
+    });
+
+    test('lockouts double up to the maximum', () => {
+        assert.equal(lockoutMs(1), LOCKOUT_MS);
+        assert.equal(lockoutMs(2), LOCKOUT_MS * 2);
+        assert.equal(lockoutMs(50), MAX_LOCKOUT_MS);
+    });
+
+    test('locks at the policy threshold', () => {
+        assert.equal(shouldLock('account', THROTTLE_POLICY.account.lockAfter - 1), false);
+        assert.equal(shouldLock('account', THROTTLE_POLICY.account.lockAfter), true);
+        assert.equal(shouldLock('ip', THROTTLE_POLICY.account.lockAfter), false);
+    });
+});
+
+describe('IP counters (a school behind one NAT address)', () => {
+    test('a shared address is only ever delayed, never locked', () => {
+        assert.equal(shouldLock('ip', 10000), false);
+        const counter = { failures: 10000, lastFailureAt: secondsAgo(0) };
+        assert.deepEqual(throttleCheck(counter, 'ip', now), { ok: false, outcome: 'throttled', retryAfterSeconds: MAX_DELAY_SECONDS });
+        assert.deepEqual(throttleCheck({ ...counter, lastFailureAt: secondsAgo(MAX_DELAY_SECONDS) }, 'ip', now), { ok: true });
+    });
+
+    test('sign-ins that work earn failures back, so a morning of typos never slows the school down', () => {
+        const { forgivenPerSuccess } = THROTTLE_POLICY.ip;
+        let failures = 0;
+        // 300 students sign in one after another; every third mistypes twice first
+        for (let student = 0; student < 300; student++) {
+            if (student % 3 === 0) failures += 2;
+            assert.equal(failureDelaySeconds('ip', failures), 0);
+            if (failures >= forgivenPerSuccess) failures -= forgivenPerSuccess;
+        }
+        assert.equal(failures, 0);
+    });
+});
+
+describe('activeFailures', () => {
+    test('forgets failures older than the window', () => {
+        assert.equal(activeFailures({ failures: 5, lastFailureAt: secondsAgo(60) }, now), 5);
+        assert.equal(activeFailures({ failures: 5, lastFailureAt: secondsAgo(FAILURE_WINDOW_MS / 1000 + 1) }, now), 0);
+        assert.equal(activeFailures(null, now), 0);
+    });
+});
+
+describe('throttleCheck', () => {
+    test('no counter or few failures is fine', () => {
+        assert.deepEqual(throttleCheck(null, 'account', now), { ok: true });
+        assert.deepEqual(throttleCheck({ failures: 2, lastFailureAt: secondsAgo(0) }, 'account', now), { ok: true });
+    });
+
+    test('asks to wait out the delay after the last failure', () => {
+        const counter = { failures: THROTTLE_POLICY.account.freeFailures + 3, lastFailureAt: secondsAgo(1) };
+        assert.deepEqual(throttleCheck(counter, 'account', now), { ok: false, outcome: 'throttled', retryAfterSeconds: 3 });
+        assert.deepEqual(throttleCheck({ ...counter, lastFailureAt: secondsAgo(5) }, 'account', now), { ok: true });
+    });
+
+    test('refuses while locked, whatever the failures', () => {
+        const counter = { failures: 0, lockedUntil: new Date(now.getTime() + 90 * 1000) };
+        assert.deepEqual(throttleCheck(counter, 'account', now), { ok: false, outcome: 'locked', retryAfterSeconds: 90 });
+        assert.deepEqual(throttleCheck({ ...counter, lockedUntil: secondsAgo(1) }, 'account', now), { ok: true });
+    });
+});
+
+describe('throttleMessage', () => {
+    test('says how long to wait without naming the account', () => {
+        assert.match(throttleMessage({ outcome: 'locked', retryAfterSeconds: 90 }), /2 minutes/);
+        assert.match(throttleMessage({ outcome: 'locked', retryAfterSeconds: 10 }), /1 minute or/);
+        assert.match(throttleMessage({ outcome: 'throttled', retryAfterSeconds: 1 }), /Wait 1 second and/);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Product modifiers (sizes, extras, substitutions)
+ * - Product / SpecialProduct.modifierGroups: [{ _id, name, required, minSelect, maxSelect, options: [{ _id, name, priceDelta, available }] }]
+ * - An order line sends modifiers: [{ groupId, optionIds }]; resolveModifiers() checks the choice against the product
+ *   and returns the snapshot stored on the line plus the unit price delta (priced server-side, never by the client).
+ * - Lines with modifiers carry a label ("Burger (Large, Extra cheese)"). The canteen board and
+ *   /api/canteen/product/prepare group and match by itemLabel(), so differently made units are prepared apart.
+ */
+
+export class ModifierSelectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModifierSelectionError';
+        this.status = 400;
+    }
+}
+
+const MAX_GROUPS = 10;
+const MAX_OPTIONS = 20;
+
+/* Board / prepare key of an order line: its label when it has modifiers, else the product name */
+export function itemLabel(item) {
+    return item?.label || item?.name || '';
+}
+
+/* { min, max } selections for a group; required groups need at least one */
+export function groupLimits(group) {
+    const options = (group?.options || []).length;
+    const min = Math.max(group?.required ? 1 : 0, Number(group?.minSelect) || 0);
+    const rawMax = Number(group?.maxSelect);
+    const max = Number.isFinite(rawMax) && rawMax > 0 ? Math.min(rawMax, options || rawMax) : 1;
+    return { min: Math.min(min, max), max };
+}
+
+/**
+ * normalizeModifierGroups(input)
+ * - Admin payload -> schema shape. Keeps _id of existing groups / options so stored selections stay valid.
+ * - Returns { groups } or { error }.
+ */
+export function normalizeModifierGroups(input) {
+    if (input === undefined || input === null) return { groups: [] };
+    if (!Array.isArray(input)) return { error: 'modifierGroups must be an array' };
+    if (input.length > MAX_GROUPS) return { error: `At most ${MAX_GROUPS} modifier groups per product` };
+
+    const groups = [];
+    for (const raw of input) {
+        const name = String(raw?.name || '').trim();
+        if (!name) return { error: 'Every modifier group needs a name' };
+        const options = [];
+        for (const opt of Array.isArray(raw?.options) ? raw.options : []) {
+            const optName = String(opt?.name || '').trim();
+            if (!optName) return { error: `Every option in "${name}" needs a name` };
+            const priceDelta = Number(opt?.priceDelta || 0);
+            if (!Number.isFinite(priceDelta)) return { error: `Invalid price for "${optName}" in "${name}"` };
+            options.push({
+                ...(opt?._id ? { _id: opt._id } : {}),
+                name: optName,
+                priceDelta: Math.round(priceDelta * 100) / 100,
+                available: opt?.available !== false
+            });
+        }
+        if (!options.length) return { error: `Modifier group "${name}" has no options` };
+        if (options.length > MAX_OPTIONS) return { error: `At most ${MAX_OPTIONS} options in "${name}"` };
+
+        const group = {
+            ...(raw?._id ? { _id: raw._id } : {}),
+            name,
+            required: !!raw?.required,
+            minSelect: Math.max(0, parseInt(raw?.minSelect, 10) || 0),
+            maxSelect: Math.max(1, parseInt(raw?.maxSelect, 10) || 1),
+            options
+        };
+        const { min, max } = groupLimits(group);
+        if (group.minSelect > max) return { error: `"${name}": at least ${group.minSelect} but at most ${max} choices` };
+        if (min > options.length) return { error: `"${name}" needs more options than it has` };
+        groups.push(group);
+    }
+    return { groups };
+}
+
+/**
+ * resolveModifiers(product, selections)
+ * - selections: [{ groupId, optionIds }] as sent by the cart (missing groups count as nothing chosen)
+ * - Throws ModifierSelectionError on unknown / unavailable options or a group outside its min/max.
+ * - Returns { modifiers: [{ groupId, group, optionId, option, priceDelta }], priceDelta, label }.
+ */
+export function resolveModifiers(product, selections = []) {
+    const groups = product?.modifierGroups || [];
+    const chosen = new Map();
+    for (const sel of Array.isArray(selections) ? selections : []) {
+        const groupId = String(sel?.groupId || '');
+        const ids = (Array.isArray(sel?.optionIds) ? sel.optionIds : [sel?.optionIds]).filter(Boolean).map(String);
+        if (!groupId || !ids.length) continue;
+        chosen.set(groupId, [...new Set([...(chosen.get(groupId) || []), ...ids])]);
+    }
+    for (const groupId of chosen.keys()) {
+        if (!groups.some(g => String(g._id) === groupId)) {
+            throw new ModifierSelectionError(`"${product?.name}" has no such option group`);
+        }
+    }
+
+    const modifiers = [];
+    let cents = 0;
+    for (const group of groups) {
+        const ids = chosen.get(String(group._id)) || [];
+        const { min, max } = groupLimits(group);
+        if (ids.length < min) {
+            throw new ModifierSelectionError(min === 1
+                ? `Choose ${group.name} for "${product.name}"`
+                : `Choose at least ${min} × ${group.name} for "${product.name}"`);
+        }
+        if (ids.length > max) throw new ModifierSelectionError(`Choose at most ${max} × ${group.name} for "${product.name}"`);
+        for (const id of ids) {
+            const option = (group.options || []).find(o => String(o._id) === id);
+            if (!option) throw new ModifierSelectionError(`Unknown ${group.name} option for "${product.name}"`);
+            if (option.available === false) throw new ModifierSelectionError(`${option.name} is not available for "${product.name}"`);
+            const priceDelta = Number(option.priceDelta || 0);
+            cents += Math.round(priceDelta * 100);
+            modifiers.push({ groupId: group._id, group: group.name, optionId: option._id, option: option.name, priceDelta });
+        }
+    }
+
+    return {
+        modifiers,
+        priceDelta: cents / 100,
+        label: modifiers.length ? `${product.name} (${modifiers.map(m => m.option).join(', ')})` : null
+    };
+}
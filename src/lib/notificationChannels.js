@@ -0,0 +1,189 @@
+/**
+ * Notification channel adapters
+ * - An adapter is { name, send(message) } where message = { to: { name, email, phone }, type, title, body, meta }.
+ *   send() resolves with a short delivery note or throws; the caller records the outcome on the Notification.
+ * - "in-app" needs no adapter: the stored Notification is what the header drawer shows.
+ * - email: NOTIFY_EMAIL_TRANSPORT = "file" (default) | "smtp" | "console"
+ * - sms:   NOTIFY_SMS_TRANSPORT   = "file" (default) | "console"
+ * - registerChannelAdapter() swaps in a real provider (SES, Twilio, ...) without touching the callers.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import os from 'os';
+
+export const NOTIFICATION_CHANNELS = ['in-app', 'email', 'sms'];
+
+/* Directory the file sink writes to (one JSON line per message in <channel>.log) */
+export function notificationOutboxDir() {
+    return path.resolve(process.env.NOTIFY_FILE_DIR || path.join(process.cwd(), 'notifications-outbox'));
+}
+
+/* File sink: appends the message to <outbox>/<channel>.log so local setups can inspect what would be sent */
+export function fileSinkAdapter(channel) {
+    return {
+        name: `${channel}:file`,
+        async send(message) {
+            const dir = notificationOutboxDir();
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${channel}.log`);
+            await fs.appendFile(file, JSON.stringify({ at: new Date().toISOString(), channel, ...message }) + '\n', 'utf8');
+            return `written to ${file}`;
+        }
+    };
+}
+
+export function consoleAdapter(channel) {
+    return {
+        name: `${channel}:console`,
+        async send(message) {
+            console.log(`[notify:${channel}]`, message.to?.email || message.to?.phone || '-', '|', message.title, '|', message.body);
+            return 'logged';
+        }
+    };
+}
+
+/* reads SMTP replies; resolves with the final line of each (possibly multi-line) response */
+function smtpReader(socket) {
+    let buffer = '';
+    const waiting = [];
+    const lines = [];
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let idx;
+        while ((idx = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, idx);
+            buffer = buffer.slice(idx + 2);
+            // "250-..." continues, "250 ..." ends the reply
+            if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+                if (waiting.length) waiting.shift().resolve(line);
+                else lines.push(line);
+            }
+        }
+    });
+    const fail = (err) => { while (waiting.length) waiting.shift().reject(err); };
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP connection closed')));
+    return () => new Promise((resolve, reject) => {
+        if (lines.length) return resolve(lines.shift());
+        waiting.push({ resolve, reject });
+    });
+}
+
+/**
+ * smtpAdapter({ host, port, from, user, pass, timeoutMs })
+ * - Plain SMTP (no STARTTLS), meant for a local catcher such as Mailpit or MailHog (default localhost:1025).
+ * - AUTH PLAIN is sent when user/pass are given.
+ */
+export function smtpAdapter({
+    host = process.env.SMTP_HOST || 'localhost',
+    port = Number(process.env.SMTP_PORT) || 1025,
+    from = process.env.SMTP_FROM || 'rivercafe@localhost',
+    user = process.env.SMTP_USER || '',
+    pass = process.env.SMTP_PASS || '',
+    timeoutMs = 10000
+} = {}) {
+    return {
+        name: 'email:smtp',
+        async send(message) {
+            const to = message.to?.email;
+            if (!to) throw new Error('Recipient has no email address');
+
+            const socket = net.createConnection({ host, port });
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+            const next = smtpReader(socket);
+            const expect = async (code) => {
+                const line = await next();
+                if (!line.startsWith(String(code))) throw new Error(`SMTP: expected ${code}, got "${line}"`);
+                return line;
+            };
+            const cmd = async (text, code) => {
+                socket.write(text + '\r\n');
+                return expect(code);
+            };
+
+            try {
+                await expect(220);
+                await cmd(`EHLO ${os.hostname() || 'localhost'}`, 250);
+                if (user) await cmd(`AUTH PLAIN ${Buffer.from(`\u0000${user}\u0000${pass}`).toString('base64')}`, 235);
+                await cmd(`MAIL FROM:<${from}>`, 250);
+                await cmd(`RCPT TO:<${to}>`, 250);
+                await cmd('DATA', 354);
+                const subject = String(message.title || 'Notification').replace(/[\r\n]+/g, ' ');
+                const body = String(message.body || '')
+                    .replace(/\r?\n/g, '\r\n')
+                    .replace(/^\./gm, '..'); // dot-stuffing
+                const data = [
+                    `From: ${from}`,
+                    `To: ${to}`,
+                    `Subject: ${subject}`,
+                    `Date: ${new Date().toUTCString()}`,
+                    'MIME-Version: 1.0',
+                    'Content-Type: text/plain; charset=utf-8',
+                    '',
+                    body,
+                    '.'
+                ].join('\r\n');
+                const accepted = await cmd(data, 250);
+                await cmd('QUIT', 221).catch(() => null);
+                return accepted;
+            } finally {
+                socket.end();
+            }
+        }
+    };
+}
+
+function defaultAdapter(channel) {
+    if (channel === 'email') {
+        const transport = String(process.env.NOTIFY_EMAIL_TRANSPORT || 'file').toLowerCase();
+        if (transport === 'smtp') return smtpAdapter();
+        if (transport === 'console') return consoleAdapter('email');
+        return fileSinkAdapter('email');
+    }
+    if (channel === 'sms') {
+        const transport = String(process.env.NOTIFY_SMS_TRANSPORT || 'file').toLowerCase();
+        if (transport === 'console') return consoleAdapter('sms');
+        return fileSinkAdapter('sms');
+    }
+    return null;
+}
+
+const registry = new Map();
+
+/* Replace the adapter used for a channel (e.g. a real SMS provider); pass null to restore the default */
+export function registerChannelAdapter(channel, adapter) {
+    if (!NOTIFICATION_CHANNELS.includes(channel) || channel === 'in-app') {
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+    if (adapter === null) registry.delete(channel);
+    else if (typeof adapter?.send !== 'function') throw new Error('Adapter must implement send(message)');
+    else registry.set(channel, adapter);
+}
+
+export function getChannelAdapter(channel) {
+    return registry.get(channel) || defaultAdapter(channel);
+}
+
+/* Whether the recipient can be reached on the channel at all */
+export function canReach(channel, to = {}) {
+    if (channel === 'email') return !!to.email;
+    if (channel === 'sms') return !!to.phone;
+    return channel === 'in-app';
+}
+
+/**
+ * deliver(channel, message)
+ * - Returns { ok: true, note } or { ok: false, error }; never throws.
+ */
+export async function deliver(channel, message) {
+    const adapter = getChannelAdapter(channel);
+    if (!adapter) return { ok: false, error: `No adapter for channel ${channel}` };
+    try {
+        const note = await adapter.send(message);
+        return { ok: true, note: note ? String(note) : adapter.name };
+    } catch (err) {
+        return { ok: false, error: err?.message || String(err) };
+    }
+}
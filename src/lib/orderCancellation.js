@@ -0,0 +1,32 @@
+/**
+ * Student self-service cancellation
+ * - A student may cancel their own order while it is still 'placed' (the kitchen has not started) or a 'scheduled'
+ *   pre-order, for Setting "orders.cancelCutoffMinutes" minutes (default 10; 0 turns self-cancel off).
+ * - The clock starts when the order reached the board: placement, or releaseAt for pre-orders.
+ * - Refund, restock and audit trail are cancelOrderAtomic (allModels.js); admins keep /api/admin/refund.
+ */
+
+import { Setting } from '@/models/allModels.js';
+
+export const CANCELLATION_SETTING_KEYS = {
+    cutoffMinutes: 'orders.cancelCutoffMinutes'
+};
+
+export const DEFAULT_CANCEL_CUTOFF_MINUTES = 10;
+export const STUDENT_CANCELLABLE_STATUSES = ['placed', 'scheduled'];
+
+export async function getCancelCutoffMinutes() {
+    const doc = await Setting.findOne({ key: CANCELLATION_SETTING_KEYS.cutoffMinutes }).lean();
+    const n = Number(doc?.value);
+    return doc && Number.isFinite(n) && n >= 0 ? n : DEFAULT_CANCEL_CUTOFF_MINUTES;
+}
+
+/* Date until which the student may cancel, or null when they cannot (any more) */
+export function cancellableUntil(order, cutoffMinutes, now = new Date()) {
+    if (!order?.user || !cutoffMinutes || !STUDENT_CANCELLABLE_STATUSES.includes(order.status)) return null;
+    // a pre-order a release sweep is charging is not the student's to cancel
+    if (order.status === 'scheduled' && order.releaseClaimedAt) return null;
+    const start = Math.max(new Date(order.createdAt).getTime(), order.releaseAt ? new Date(order.releaseAt).getTime() : 0);
+    const deadline = new Date(start + cutoffMinutes * 60 * 1000);
+    return deadline > now ? deadline : null;
+}
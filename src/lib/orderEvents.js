@@ -0,0 +1,128 @@
+/**
+ * Order lifecycle events for the real-time kitchen / pickup views
+ * - In-process bus (cached on globalThis like the mongoose connection) feeding the SSE stream at /api/events/orders
+ * - The last RECENT_LIMIT events are kept so a reconnecting EventSource can catch up via Last-Event-ID
+ * - Multi-instance deployments only see events published on the same instance; pages keep a slow poll as backup
+ */
+
+import { EventEmitter } from 'events';
+import { itemLabel } from './modifiers.js';
+
+export const ORDER_EVENTS = {
+    created: 'order.created',
+    itemPrepared: 'order.item_prepared',
+    itemUnprepared: 'order.item_unprepared',
+    ready: 'order.ready',
+    collected: 'order.collected',
+    cancelled: 'order.cancelled',
+    queueChanged: 'queue.changed' // anonymous nudge to students: someone else's order moved, queue estimates changed
+};
+
+const RECENT_LIMIT = 200;
+const STAFF_ROLES = ['admin', 'canteen', 'it', 'inventory'];
+
+let state = globalThis.__rivercafeOrderEvents;
+if (!state) {
+    const bus = new EventEmitter();
+    bus.setMaxListeners(0); // one listener per open stream
+    state = globalThis.__rivercafeOrderEvents = { bus, seq: 0, recent: [] };
+}
+
+const idOf = (v) => {
+    const raw = v?._id ?? v;
+    return raw === null || raw === undefined ? null : String(raw);
+};
+
+/* The subset of an Order / SpecialOrder that subscribers need */
+function summarizeOrder(order, isSpecial) {
+    return {
+        id: idOf(order?._id),
+        code: order?.code || null,
+        status: order?.status || null,
+        isSpecial: !!isSpecial,
+        external: !isSpecial && !!order?.external,
+        userId: idOf(order?.user),
+        regNumber: order?.regNumber || null,
+        total: order?.total ?? null,
+        preparedCount: Number(order?.meta?.preparedCount || 0),
+        items: (order?.items || []).map(it => ({
+            name: it.name,
+            label: itemLabel(it),
+            qty: Number(it.qty || 0),
+            refundedQty: Number(it.refundedQty || 0),
+            preparedCount: Number(it.preparedCount || it.prepared || 0)
+        })),
+        createdAt: order?.createdAt || null
+    };
+}
+
+/**
+ * publishOrderEvent(type, order, { isSpecial, item })
+ * - type: one of ORDER_EVENTS; item: line label (lib/modifiers.js itemLabel) for item_prepared / item_unprepared
+ * - Best-effort: never throws. Returns the published event.
+ */
+export function publishOrderEvent(type, order, { isSpecial = false, item = null } = {}) {
+    try {
+        const event = {
+            id: ++state.seq,
+            type,
+            at: new Date().toISOString(),
+            order: summarizeOrder(order, isSpecial),
+            ...(item ? { item } : {})
+        };
+        state.recent.push(event);
+        if (state.recent.length > RECENT_LIMIT) state.recent.splice(0, state.recent.length - RECENT_LIMIT);
+        state.bus.emit('event', event);
+        return event;
+    } catch (e) {
+        console.warn('publishOrderEvent failed:', e?.message || e);
+        return null;
+    }
+}
+
+/* Calls listener(event) for every published event; returns the unsubscribe function */
+export function subscribeOrderEvents(listener) {
+    state.bus.on('event', listener);
+    return () => state.bus.off('event', listener);
+}
+
+/* Events published after lastEventId (for EventSource reconnects) */
+export function orderEventsSince(lastEventId) {
+    const since = Number(lastEventId);
+    if (!Number.isFinite(since) || since <= 0) return [];
+    return state.recent.filter(e => e.id > since);
+}
+
+/* Staff and students may open the stream; other roles (guardian, external) may not */
+export function canSubscribeOrderEvents(viewer) {
+    const role = String(viewer?.role || '').toLowerCase();
+    return STAFF_ROLES.includes(role) || role === 'student';
+}
+
+/**
+ * canSeeOrderEvent(viewer, event)
+ * - viewer: { id, role, regNumber }; staff see every order, students only their own.
+ */
+export function canSeeOrderEvent(viewer, event) {
+    const role = String(viewer?.role || '').toLowerCase();
+    if (STAFF_ROLES.includes(role)) return true;
+    if (role !== 'student') return false;
+    const o = event?.order || {};
+    return (!!viewer.id && o.userId === String(viewer.id)) || (!!viewer.regNumber && o.regNumber === viewer.regNumber);
+}
+
+/**
+ * queueChangeFor(viewer, event)
+ * - For a student, another order's progress becomes { id, type: 'queue.changed', at } without any order data, so the
+ *   student page can refresh its queue estimates (lib/queueEta.js). null for staff and for the student's own orders.
+ */
+export function queueChangeFor(viewer, event) {
+    if (String(viewer?.role || '').toLowerCase() !== 'student' || canSeeOrderEvent(viewer, event)) return null;
+    if (!event || event.type === ORDER_EVENTS.queueChanged) return null;
+    return { id: event.id, type: ORDER_EVENTS.queueChanged, at: event.at };
+}
+
+/* One SSE frame */
+export function formatSseEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
@@ -0,0 +1,102 @@
+/**
+ * Permission registry: what each staff role may do in the admin / IT / canteen APIs
+ * - PERMISSIONS lists every permission a route can require ('accounting.topup', 'menu.edit', ...).
+ * - DEFAULT_ROLE_PERMISSIONS maps the staff roles (User.role) to permissions; admins can change the mapping, which
+ *   is stored in Setting "permissions.roles" ({ role: [permission] }, roles missing there keep their defaults).
+ * - Admins always keep permissions.manage, so nobody can lock the school out of the permission editor.
+ * - Routes enforce permissions through withPermission() (lib/routeAuth.js).
+ */
+
+export const PERMISSION_ROLES_KEY = 'permissions.roles';
+
+export const PERMISSIONS = {
+    'accounting.view': { group: 'Accounting', label: 'View transactions, exports and integrity reports' },
+    'accounting.topup': { group: 'Accounting', label: 'Top up student balances' },
+    'accounting.withdraw': { group: 'Accounting', label: 'Withdraw from student balances' },
+    'accounting.reconcile': { group: 'Accounting', label: 'Reconcile balances and repair the ledger' },
+    'accounting.refund': { group: 'Accounting', label: 'Refund orders' },
+    'menu.edit': { group: 'Menu', label: 'Create, edit and import products and special products' },
+    'inventory.view': { group: 'Inventory', label: 'View stock levels' },
+    'inventory.adjust': { group: 'Inventory', label: 'Add, adjust and remove stock' },
+    'orders.manage': { group: 'Orders', label: 'View and change any order, place external orders' },
+    'orders.kitchen': { group: 'Orders', label: 'Work the canteen board: prepare, serve and print orders' },
+    'external_codes.manage': { group: 'Orders', label: 'View external order codes' },
+    'students.view': { group: 'Students', label: 'Look up students and their accounts' },
+    'students.edit': { group: 'Students', label: 'Change student limits, blocked products and dietary profiles' },
+    'dietary.override': { group: 'Students', label: 'Grant dietary overrides' },
+    'users.manage': { group: 'Users', label: 'Create, import, activate and deactivate users and guardians' },
+    'users.reset_password': { group: 'Users', label: 'Reset user passwords' },
+    'users.reset_two_factor': { group: 'Users', label: 'Reset two-factor authentication' },
+    'users.view_sign_ins': { group: 'Users', label: 'View sign-in attempts and locked accounts' },
+    'users.unlock': { group: 'Users', label: 'Unlock accounts locked after failed sign-ins' },
+    'settings.view': { group: 'Settings', label: 'View settings, ordering windows and the school calendar' },
+    'settings.edit': { group: 'Settings', label: 'Change settings, ordering windows and the school calendar' },
+    'stations.manage': { group: 'Settings', label: 'Manage prep stations and their printers' },
+    'reports.view': { group: 'Reports', label: 'View sales reports and dashboard statistics' },
+    'system.overview': { group: 'System', label: 'View the IT overview' },
+    'system.backup': { group: 'System', label: 'Run, schedule and restore backups' },
+    'permissions.manage': { group: 'System', label: 'Edit this permission mapping' }
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+/* Staff roles the mapping covers (students, guardians and external accounts use their own routes) */
+export const STAFF_ROLES = ['admin', 'it', 'canteen', 'inventory'];
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+    admin: PERMISSION_KEYS,
+    it: [
+        'accounting.view', 'accounting.topup', 'accounting.withdraw', 'accounting.reconcile',
+        'orders.kitchen', 'students.view', 'students.edit',
+        'users.manage', 'users.reset_password', 'users.reset_two_factor', 'users.view_sign_ins', 'users.unlock',
+        'settings.view', 'stations.manage', 'reports.view', 'system.overview', 'system.backup'
+    ],
+    canteen: ['orders.kitchen'],
+    inventory: ['inventory.view', 'inventory.adjust']
+};
+
+/* The permission every admin keeps */
+const ADMIN_LOCKED = ['permissions.manage'];
+
+/**
+ * resolveRolePermissions(stored)
+ * - The effective mapping { role: [permission] } for STAFF_ROLES: stored lists (unknown permissions dropped) over
+ *   the defaults. Admins always have permissions.manage.
+ */
+export function resolveRolePermissions(stored = null) {
+    const source = stored && typeof stored === 'object' ? stored : {};
+    const map = {};
+    for (const role of STAFF_ROLES) {
+        const list = Array.isArray(source[role]) ? source[role] : DEFAULT_ROLE_PERMISSIONS[role] || [];
+        map[role] = PERMISSION_KEYS.filter(p => list.includes(p));
+    }
+    map.admin = PERMISSION_KEYS.filter(p => map.admin.includes(p) || ADMIN_LOCKED.includes(p));
+    return map;
+}
+
+/**
+ * normalizeRolePermissions(input)
+ * - Admin payload { role: [permission] } -> { roles } for Setting "permissions.roles", or { error }.
+ */
+export function normalizeRolePermissions(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'roles must be an object of role -> permissions' };
+    const roles = {};
+    for (const [role, list] of Object.entries(input)) {
+        if (!STAFF_ROLES.includes(role)) return { error: `Unknown role: ${role}` };
+        if (!Array.isArray(list)) return { error: `Permissions for ${role} must be an array` };
+        const unknown = list.find(p => !PERMISSIONS[p]);
+        if (unknown) return { error: `Unknown permission: ${unknown}` };
+        roles[role] = PERMISSION_KEYS.filter(p => list.includes(p));
+    }
+    if (roles.admin && !ADMIN_LOCKED.every(p => roles.admin.includes(p))) {
+        return { error: 'Admins must keep permissions.manage' };
+    }
+    return { roles };
+}
+
+/* Whether a role has any of the permissions (a string or an array) in a resolved mapping */
+export function roleHasPermission(map, role, permission) {
+    const granted = map?.[String(role || '').toLowerCase()] || [];
+    const wanted = Array.isArray(permission) ? permission : [permission];
+    return wanted.some(p => granted.includes(p));
+}
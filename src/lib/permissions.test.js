@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PERMISSION_KEYS,
+    DEFAULT_ROLE_PERMISSIONS,
+    STAFF_ROLES,
+    resolveRolePermissions,
+    normalizeRolePermissions,
+    roleHasPermission
+} from './permissions.js';
+
+describe('resolveRolePermissions', () => {
+    test('no stored mapping gives the defaults for every staff role', () => {
+        const map = resolveRolePermissions(null);
+        assert.deepEqual(Object.keys(map).sort(), [...STAFF_ROLES].sort());
+        assert.deepEqual(map.admin, PERMISSION_KEYS);
+        assert.deepEqual(map.canteen, DEFAULT_ROLE_PERMISSIONS.canteen);
+    });
+
+    test('stored lists replace the defaults and unknown permissions are dropped', () => {
+        const map = resolveRolePermissions({ canteen: ['orders.kitchen', 'inventory.view', 'made.up'] });
+        assert.deepEqual(map.canteen, ['inventory.view', 'orders.kitchen']);
+        assert.deepEqual(map.inventory, DEFAULT_ROLE_PERMISSIONS.inventory);
+    });
+
+    test('admins always keep permissions.manage', () => {
+        const map = resolveRolePermissions({ admin: ['menu.edit'] });
+        assert.deepEqual(map.admin, ['menu.edit', 'permissions.manage']);
+    });
+});
+
+describe('normalizeRolePermissions', () => {
+    test('accepts known roles and permissions in registry order', () => {
+        const { roles, error } = normalizeRolePermissions({ it: ['system.backup', 'accounting.view'] });
+        assert.equal(error, undefined);
+        assert.deepEqual(roles, { it: ['accounting.view', 'system.backup'] });
+    });
+
+    test('rejects unknown roles, unknown permissions and non-arrays', () => {
+        assert.match(normalizeRolePermissions({ student: [] }).error, /Unknown role/);
+        assert.match(normalizeRolePermissions({ it: ['nope'] }).error, /Unknown permission: nope/);
+        assert.match(normalizeRolePermissions({ it: 'menu.edit' }).error, /must be an array/);
+        assert.match(normalizeRolePermissions([]).error, /must be an object/);
+    });
+
+    test('refuses to take permissions.manage away from admins', () => {
+        assert.match(normalizeRolePermissions({ admin: ['menu.edit'] }).error, /permissions\.manage/);
+    });
+});
+
+describe('roleHasPermission', () => {
+    const map = resolveRolePermissions(null);
+
+    test('checks a single permission', () => {
+        assert.equal(roleHasPermission(map, 'inventory', 'inventory.adjust'), true);
+        assert.equal(roleHasPermission(map, 'canteen', 'accounting.topup'), false);
+    });
+
+    test('any one of an array is enough', () => {
+        assert.equal(roleHasPermission(map, 'canteen', ['orders.manage', 'orders.kitchen']), true);
+        assert.equal(roleHasPermission(map, 'canteen', ['orders.manage', 'menu.edit']), false);
+    });
+
+    test('roles outside the mapping have nothing', () => {
+        assert.equal(roleHasPermission(map, 'student', 'orders.kitchen'), false);
+        assert.equal(roleHasPermission(map, undefined, 'orders.kitchen'), false);
+    });
+
+    test('role names are matched case-insensitively', () => {
+        assert.equal(roleHasPermission(map, 'ADMIN', 'permissions.manage'), true);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Signed pickup QR payloads
+ * - Format: RCQ1.<o|s>.<orderId>.<code>.<signature>  (o = ordinary Order, s = SpecialOrder)
+ * - signature = HMAC-SHA256 over the other fields, base64url, truncated to 128 bits to keep the QR small
+ * - Secret: PICKUP_QR_SECRET, falling back to NEXTAUTH_SECRET
+ *
+ * Only the server can sign or verify; the student dashboard receives ready-made payloads.
+ */
+
+import crypto from 'crypto';
+
+export const PICKUP_QR_PREFIX = 'RCQ1';
+
+const SIGNATURE_LENGTH = 22; // base64url chars (~128 bits)
+
+function secret() {
+    const s = process.env.PICKUP_QR_SECRET || process.env.NEXTAUTH_SECRET;
+    if (!s) throw new Error('PICKUP_QR_SECRET (or NEXTAUTH_SECRET) is not configured');
+    return s;
+}
+
+function signature(kind, id, code) {
+    return crypto
+        .createHmac('sha256', secret())
+        .update(`${PICKUP_QR_PREFIX}|${kind}|${id}|${code}`)
+        .digest('base64url')
+        .slice(0, SIGNATURE_LENGTH);
+}
+
+/* Payload for an order: signPickupQr({ id, code, isSpecial }) */
+export function signPickupQr({ id, code, isSpecial = false }) {
+    const kind = isSpecial ? 's' : 'o';
+    const orderId = String(id);
+    return `${PICKUP_QR_PREFIX}.${kind}.${orderId}.${code}.${signature(kind, orderId, code)}`;
+}
+
+export function looksLikePickupQr(text) {
+    return String(text || '').trim().startsWith(`${PICKUP_QR_PREFIX}.`);
+}
+
+/**
+ * verifyPickupQr(text)
+ * - Returns { ok: true, id, code, isSpecial } or { ok: false, reason } with a message fit for the operator.
+ */
+export function verifyPickupQr(text) {
+    const parts = String(text || '').trim().split('.');
+    if (parts.length !== 5 || parts[0] !== PICKUP_QR_PREFIX) {
+        return { ok: false, reason: "Not a River'Cafe pickup QR code" };
+    }
+    const [, kind, id, code, sig] = parts;
+    if (!['o', 's'].includes(kind) || !/^[0-9a-fA-F]{24}$/.test(id) || !code) {
+        return { ok: false, reason: 'Malformed pickup QR code' };
+    }
+
+    const expected = Buffer.from(signature(kind, id, code));
+    const given = Buffer.from(sig || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { ok: false, reason: 'QR signature is invalid (forged or altered code)' };
+    }
+    return { ok: true, id, code, isSpecial: kind === 's' };
+}
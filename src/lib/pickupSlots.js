@@ -0,0 +1,160 @@
+/**
+ * Pickup slots per ordering window
+ * - OrderingWindow.pickupSlots: { enabled, slotMinutes, maxOrders, maxPrepMinutes, startTime, endTime } splits the
+ *   pickup period (startTime–endTime, by default the window's own times) into slots of slotMinutes.
+ * - A slot is full at maxOrders orders or maxPrepMinutes of kitchen time (Product.prepTimeMinutes × qty summed over
+ *   the order); either cap may be null. placeOrderAtomic reserves the chosen slot on PickupSlotLoad with a
+ *   conditional $inc, so concurrent checkouts can never overfill it; cancelling an order gives the capacity back.
+ * - Students pick a slot at checkout (GET /api/student/pickup-slots lists them); the canteen board sorts by slot.
+ */
+
+import { localDateTime } from './spendingLimits.js';
+import { windowTimezone } from './schedule.js';
+
+export class PickupSlotError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'PickupSlotError';
+        this.status = status;
+    }
+}
+
+export const DEFAULT_SLOT_MINUTES = 10;
+const MAX_SLOTS_PER_DAY = 96;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const HHMM_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/* "HH:MM" -> minutes after midnight, or null */
+function toMinutes(hhmm) {
+    const m = HHMM_RE.exec(String(hhmm || '').trim());
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const hhmmOf = (minutes) => `${pad(Math.floor((minutes % (24 * 60)) / 60))}:${pad(minutes % 60)}`;
+const optionalCap = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+
+/* true when the window takes pickup slots */
+export function slotsEnabled(window) {
+    return !!window?.pickupSlots?.enabled;
+}
+
+/**
+ * normalizePickupSlots(input)
+ * - Admin payload -> schema shape. Returns { pickupSlots } or { error }; null / false turns slots off.
+ */
+export function normalizePickupSlots(input) {
+    if (input === undefined || input === null || input === false) return { pickupSlots: { enabled: false } };
+    if (typeof input !== 'object') return { error: 'pickupSlots must be an object' };
+    const slotMinutes = parseInt(input.slotMinutes ?? DEFAULT_SLOT_MINUTES, 10);
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 1 || slotMinutes > 240) {
+        return { error: 'slotMinutes must be a whole number between 1 and 240' };
+    }
+    const maxOrders = optionalCap(input.maxOrders);
+    if (maxOrders !== null && (!Number.isInteger(maxOrders) || maxOrders < 1)) return { error: 'maxOrders must be a whole number of at least 1' };
+    const maxPrepMinutes = optionalCap(input.maxPrepMinutes);
+    if (maxPrepMinutes !== null && (!Number.isFinite(maxPrepMinutes) || maxPrepMinutes <= 0)) return { error: 'maxPrepMinutes must be a positive number' };
+    const startTime = input.startTime ? String(input.startTime).trim() : null;
+    const endTime = input.endTime ? String(input.endTime).trim() : null;
+    if ((startTime && toMinutes(startTime) === null) || (endTime && toMinutes(endTime) === null)) {
+        return { error: 'Pickup start and end must be HH:MM' };
+    }
+    const enabled = input.enabled !== false;
+    if (enabled && maxOrders === null && maxPrepMinutes === null) {
+        return { error: 'Set maxOrders and/or maxPrepMinutes per pickup slot' };
+    }
+    return { pickupSlots: { enabled, slotMinutes, maxOrders, maxPrepMinutes, startTime, endTime } };
+}
+
+/**
+ * windowSlots(window, dateStr)
+ * - The pickup slots of the window on a local date: [{ start, end, label }] (Dates; label "HH:MM–HH:MM").
+ *   An overnight pickup period runs into the next day; the last slot is cut at the period end.
+ */
+export function windowSlots(window, dateStr) {
+    if (!slotsEnabled(window)) return [];
+    const m = DATE_RE.exec(String(dateStr || ''));
+    if (!m) return [];
+    const tz = windowTimezone(window);
+    const cfg = window.pickupSlots;
+    const from = toMinutes(cfg.startTime) ?? toMinutes(window.startTime) ?? 0;
+    let to = toMinutes(cfg.endTime) ?? toMinutes(window.endTime) ?? 24 * 60;
+    if (to <= from) to += 24 * 60;
+    const step = Math.max(1, Number(cfg.slotMinutes) || DEFAULT_SLOT_MINUTES);
+    const [year, monthIndex, day] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+
+    const slots = [];
+    for (let t = from; t < to && slots.length < MAX_SLOTS_PER_DAY; t += step) {
+        const end = Math.min(t + step, to);
+        slots.push({
+            start: localDateTime(year, monthIndex, day, t, tz),
+            end: localDateTime(year, monthIndex, day, end, tz),
+            label: `${hhmmOf(t)}–${hhmmOf(end)}`
+        });
+    }
+    return slots;
+}
+
+/* The slot of the window on dateStr starting at `start` (ISO instant or local "HH:MM"), or null */
+export function findSlot(window, dateStr, start) {
+    const raw = String(start || '').trim();
+    if (!raw) return null;
+    const slots = windowSlots(window, dateStr);
+    if (HHMM_RE.test(raw)) return slots.find(s => s.label.startsWith(`${hhmmOf(toMinutes(raw))}–`)) || null;
+    const at = new Date(raw).getTime();
+    return Number.isFinite(at) ? slots.find(s => s.start.getTime() === at) || null : null;
+}
+
+/* { maxOrders, maxPrepMinutes } of one slot of the window (null = no cap) */
+export function slotCapacity(window) {
+    const cfg = window?.pickupSlots || {};
+    return { maxOrders: optionalCap(cfg.maxOrders), maxPrepMinutes: optionalCap(cfg.maxPrepMinutes) };
+}
+
+/**
+ * orderPrepMinutes(lines, productMap)
+ * - Kitchen minutes of an order: prepTimeMinutes × qty per line; a bundle without its own prep time counts its components.
+ * - lines: [{ product | productId, qty, components? }]; productMap: id string -> product.
+ */
+export function orderPrepMinutes(lines = [], productMap = new Map()) {
+    let minutes = 0;
+    for (const line of lines) {
+        const qty = Number(line.qty || 1);
+        const product = productMap.get(String(line.product ?? line.productId));
+        const own = Number(product?.prepTimeMinutes || 0);
+        if (own > 0 || !(line.components || []).length) {
+            minutes += own * qty;
+            continue;
+        }
+        for (const c of line.components) {
+            minutes += Number(productMap.get(String(c.product))?.prepTimeMinutes || 0) * Number(c.qty || 1) * qty;
+        }
+    }
+    return Math.round(minutes * 100) / 100;
+}
+
+/**
+ * slotAvailability(slot, load, capacity, { now, prepMinutes })
+ * - load: PickupSlotLoad ({ orders, prepMinutes }) or null. prepMinutes (optional) = the order about to be placed.
+ * - Returns { start, end, label, orders, prepMinutes, remainingOrders, remainingPrepMinutes, full, past }.
+ *   A lone order larger than maxPrepMinutes still fits an empty slot (same rule as the reservation).
+ */
+export function slotAvailability(slot, load, capacity, { now = new Date(), prepMinutes = 0 } = {}) {
+    const orders = Number(load?.orders || 0);
+    const used = Number(load?.prepMinutes || 0);
+    const remainingOrders = capacity.maxOrders === null ? null : Math.max(0, capacity.maxOrders - orders);
+    const remainingPrepMinutes = capacity.maxPrepMinutes === null ? null : Math.max(0, capacity.maxPrepMinutes - used);
+    const full = remainingOrders === 0
+        || (remainingPrepMinutes !== null && orders > 0 && remainingPrepMinutes < Math.max(prepMinutes, Number.EPSILON));
+    return {
+        start: slot.start,
+        end: slot.end,
+        label: slot.label,
+        orders,
+        prepMinutes: used,
+        remainingOrders,
+        remainingPrepMinutes,
+        full,
+        past: slot.end <= now
+    };
+}
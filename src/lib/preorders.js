@@ -0,0 +1,307 @@
+/**
+ * Pre-orders: student orders for a later ordering window (today's or a future day's)
+ * - The target is { date: 'YYYY-MM-DD', orderingWindowId }; the date is read in the window's timezone.
+ *   The window must run that day (lib/schedule.js: daysOfWeek and the school calendar), must not have closed yet,
+ *   and every product's availablePeriods must overlap the window on that weekday.
+ * - Setting "preorders.chargeMode": 'placement' (default) charges like any order; 'window_open' holds the charge
+ *   until the window opens. Setting "preorders.maxDaysAhead" caps how far ahead students can order (default 7).
+ * - A pre-order stays 'scheduled' and off the canteen board until its release: local midnight of the target day
+ *   when already paid, the window opening when the charge is deferred. releaseDueScheduledOrders() charges and
+ *   releases due orders; the background scheduler (lib/scheduler.js) runs it every minute and the canteen board
+ *   and student order list trigger it too (releaseScheduledOrdersSoon).
+ * - A due order is charged while it is still 'scheduled' under a release claim (releaseClaimedAt); a sweep that
+ *   dies mid-release leaves it scheduled and the claim lapses after RELEASE_CLAIM_TTL_MS, so a later sweep retries.
+ *   The charge is keyed on the order's Transaction and never taken twice.
+ */
+
+import mongoose from 'mongoose';
+import {
+    User,
+    Order,
+    Setting,
+    Transaction,
+    AuditLog,
+    assertWithinSpendingLimits,
+    assertProductsAllowed,
+    restoreOrderInventory,
+    releasePickupSlot,
+    notify,
+    notifyLowBalance
+} from '@/models/allModels.js';
+import { DAY_NAMES, addDays, localDate, parseDate, toMinutes, windowOccurrence, windowRunsOn, windowTimezone } from '@/lib/schedule.js';
+import { ORDER_EVENTS, publishOrderEvent } from '@/lib/orderEvents.js';
+import { printOrderTickets } from '@/lib/printing.js';
+
+export const PREORDER_SETTING_KEYS = {
+    chargeMode: 'preorders.chargeMode',
+    maxDaysAhead: 'preorders.maxDaysAhead'
+};
+
+export const PREORDER_CHARGE_MODES = ['placement', 'window_open'];
+export const DEFAULT_MAX_DAYS_AHEAD = 7;
+
+const RELEASE_INTERVAL_MS = 60 * 1000;
+export const RELEASE_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+/* Whether a product's availablePeriods overlap the window on that weekday (no periods = always available) */
+export function productAvailableInWindow(product, window, weekday) {
+    const periods = product?.availablePeriods || [];
+    if (!periods.length) return true;
+    const winStart = toMinutes(window.startTime) ?? 0;
+    let winEnd = toMinutes(window.endTime) ?? 24 * 60 - 1;
+    if (winEnd < winStart) winEnd = 24 * 60 - 1; // overnight: the target day's part of the window
+    return periods.some(p => {
+        if (p.dayOfWeek !== undefined && p.dayOfWeek !== null && Number(p.dayOfWeek) !== weekday) return false;
+        const start = toMinutes(p.startTime) ?? 0;
+        const end = toMinutes(p.endTime) ?? 24 * 60 - 1;
+        return start <= winEnd && end >= winStart;
+    });
+}
+
+/**
+ * validatePreorderTarget({ window, date, products, now, maxDaysAhead, calendar })
+ * - calendar: getSchoolCalendar() entries (optional)
+ * - Returns { ok: true, serviceDate, dayStart, opensAt, closesAt, openNow } or { ok: false, error }.
+ */
+export function validatePreorderTarget({ window, date, products = [], now = new Date(), maxDaysAhead = DEFAULT_MAX_DAYS_AHEAD, calendar = [] }) {
+    if (!window || window.active === false) return { ok: false, error: 'Ordering window not found or inactive' };
+    const target = parseDate(date);
+    if (!target) return { ok: false, error: 'Invalid date (expected YYYY-MM-DD)' };
+
+    const today = localDate(now, windowTimezone(window));
+    if (date < today) return { ok: false, error: 'Cannot order for a past date' };
+    if (date > addDays(today, maxDaysAhead)) {
+        return { ok: false, error: `Pre-orders can be placed at most ${maxDaysAhead} day${maxDaysAhead === 1 ? '' : 's'} ahead` };
+    }
+
+    const runs = windowRunsOn(window, date, { calendar, scope: 'ordinary' });
+    if (!runs.runs) {
+        return {
+            ok: false,
+            error: runs.status === 'closed' ? `${window.name} is closed on ${date} (${runs.reason})` : `${window.name} ${runs.reason}`
+        };
+    }
+
+    const { dayStart, opensAt, closesAt } = windowOccurrence(window, date);
+    if (now > closesAt) return { ok: false, error: `${window.name} on ${date} has already closed` };
+
+    const allowed = (window.allowedProductIds || []).map(String);
+    for (const p of products) {
+        if (allowed.length && !allowed.includes(String(p._id))) {
+            return { ok: false, error: `${p.name} is not offered during ${window.name}` };
+        }
+        if (!productAvailableInWindow(p, window, target.weekday)) {
+            return { ok: false, error: `${p.name} is not available during ${window.name} on ${DAY_NAMES[target.weekday]}s` };
+        }
+    }
+
+    return { ok: true, serviceDate: date, dayStart, opensAt, closesAt, openNow: now >= opensAt };
+}
+
+/**
+ * preorderSchedule(check, { chargeMode })
+ * - The placeOrderAtomic `schedule` for a validated target, or null when its window is open now (an ordinary order).
+ */
+export function preorderSchedule(check, { chargeMode = 'placement' } = {}) {
+    if (!check?.ok || check.openNow) return null;
+    const deferCharge = chargeMode === 'window_open';
+    return {
+        scheduledFor: check.opensAt,
+        serviceDate: check.serviceDate,
+        releaseAt: deferCharge ? check.opensAt : check.dayStart,
+        deferCharge
+    };
+}
+
+/* { chargeMode, maxDaysAhead } from Settings, with defaults for missing / invalid values */
+export async function getPreorderSettings() {
+    const docs = await Setting.find({ key: { $in: Object.values(PREORDER_SETTING_KEYS) } }).lean();
+    const map = new Map(docs.map(d => [d.key, d.value]));
+    const mode = map.get(PREORDER_SETTING_KEYS.chargeMode);
+    const days = Number(map.get(PREORDER_SETTING_KEYS.maxDaysAhead));
+    return {
+        chargeMode: PREORDER_CHARGE_MODES.includes(mode) ? mode : 'placement',
+        maxDaysAhead: Number.isInteger(days) && days >= 0 ? days : DEFAULT_MAX_DAYS_AHEAD
+    };
+}
+
+/* Debits the student and records the order Transaction together (a transaction where supported) */
+async function debitForOrder(order, userId, total) {
+    const txFor = (balanceAfter) => ({
+        user: userId,
+        type: 'order',
+        amount: -Math.abs(total),
+        balanceBefore: balanceAfter + total,
+        balanceAfter,
+        relatedOrder: order._id,
+        createdBy: null,
+        note: `Order ${order.code} (pre-order)`
+    });
+
+    let session = null;
+    try {
+        session = await mongoose.startSession();
+        session.startTransaction();
+        const updated = await User.findOneAndUpdate(
+            { _id: userId, balance: { $gte: total } },
+            { $inc: { balance: -total } },
+            { new: true, session }
+        );
+        if (!updated) {
+            await session.abortTransaction();
+            session.endSession();
+            return { updated: null, tx: null };
+        }
+        const [tx] = await Transaction.create([txFor(updated.balance)], { session });
+        await session.commitTransaction();
+        session.endSession();
+        return { updated, tx };
+    } catch (err) {
+        if (session) {
+            try {
+                await session.abortTransaction();
+                session.endSession();
+            } catch (e) { /* ignore */ }
+        }
+        const isTransactionNotSupported =
+            err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(String(err.message || '')));
+        if (!isTransactionNotSupported) throw err;
+
+        // Fallback: the release claim keeps this to one sweep at a time
+        const updated = await User.findOneAndUpdate(
+            { _id: userId, balance: { $gte: total } },
+            { $inc: { balance: -total } },
+            { new: true }
+        );
+        if (!updated) return { updated: null, tx: null };
+        const tx = await Transaction.create(txFor(updated.balance));
+        return { updated, tx };
+    }
+}
+
+/**
+ * chargeScheduledOrder(order)
+ * - Deferred charge at window open: spending limits, blocked products and balance are checked now.
+ * - An order that already has its Transaction (a retried release) is not charged again.
+ * - Returns { ok: true, tx } or { ok: false, error }; the order document is updated but not saved on failure.
+ */
+async function chargeScheduledOrder(order) {
+    const existing = await Transaction.findOne({ relatedOrder: order._id, type: 'order' });
+    if (existing) return { ok: true, tx: existing };
+
+    const user = await User.findById(order.user);
+    if (!user) return { ok: false, error: 'Student account not found' };
+    const total = Number(order.total || 0);
+    try {
+        assertProductsAllowed(user, order.items || []);
+        await assertWithinSpendingLimits(user, total);
+    } catch (err) {
+        if (err?.name === 'SpendingLimitError' || err?.name === 'ProductBlockedError') return { ok: false, error: err.message };
+        throw err;
+    }
+
+    const { updated, tx } = await debitForOrder(order, user._id, total);
+    if (!updated) return { ok: false, error: 'Insufficient balance' };
+
+    await notifyLowBalance(updated, updated.balance + total, updated.balance);
+    return { ok: true, tx };
+}
+
+/**
+ * releaseDueScheduledOrders({ now, limit })
+ * - Moves 'scheduled' orders whose releaseAt has passed onto the board ('placed'), charging deferred ones first.
+ *   A failed charge cancels the order, returns its stock and notifies the student.
+ * - Returns { released, cancelled } counts.
+ */
+export async function releaseDueScheduledOrders({ now = new Date(), limit = 100 } = {}) {
+    const due = await Order.find({ status: 'scheduled', releaseAt: { $lte: now } })
+        .sort({ releaseAt: 1 })
+        .limit(limit)
+        .select('_id');
+    let released = 0;
+    let cancelled = 0;
+
+    for (const { _id } of due) {
+        // claim the order (it stays 'scheduled') so concurrent sweeps never charge it twice; a lapsed claim is retried
+        const order = await Order.findOneAndUpdate(
+            {
+                _id,
+                status: 'scheduled',
+                $or: [{ releaseClaimedAt: null }, { releaseClaimedAt: { $lt: new Date(Date.now() - RELEASE_CLAIM_TTL_MS) } }]
+            },
+            { $set: { releaseClaimedAt: new Date() } },
+            { new: true }
+        );
+        if (!order) continue;
+
+        let failure = null;
+        if (order.chargeStatus === 'pending') {
+            try {
+                const charged = await chargeScheduledOrder(order);
+                if (charged.ok) order.chargeStatus = 'charged';
+                else failure = charged.error;
+            } catch (err) {
+                failure = err?.message || 'Charge failed';
+            }
+        }
+
+        order.releaseClaimedAt = null;
+        if (failure) {
+            order.status = 'cancelled';
+            order.chargeStatus = 'failed';
+            order.remarks = `Pre-order cancelled: ${failure}`;
+            try {
+                await restoreOrderInventory(order);
+                await releasePickupSlot(order);
+            } catch (e) {
+                console.warn(`Restoring stock / pickup slot for pre-order ${order.code} failed:`, e?.message || e);
+            }
+            await order.save();
+            cancelled += 1;
+            await notify(order.user, {
+                type: 'order',
+                title: `Pre-order ${order.code} cancelled`,
+                body: `Your pre-order for ${order.serviceDate} could not be charged (${failure}) and was cancelled.`,
+                meta: { event: 'preorder_cancelled', orderId: order._id, code: order.code, reason: failure }
+            });
+        } else {
+            order.status = 'placed';
+            await order.save();
+            released += 1;
+            publishOrderEvent(ORDER_EVENTS.created, order);
+            printOrderTickets(order);
+        }
+
+        try {
+            await AuditLog.create({
+                actor: null,
+                action: failure ? 'preorder_cancelled' : 'preorder_released',
+                collectionName: 'orders',
+                documentId: order._id,
+                changes: { status: order.status, chargeStatus: order.chargeStatus },
+                meta: { serviceDate: order.serviceDate, reason: failure || null }
+            });
+        } catch (e) {
+            console.warn('Failed to write audit log:', e?.message || e);
+        }
+    }
+    return { released, cancelled };
+}
+
+/**
+ * releaseScheduledOrdersSoon()
+ * - Runs releaseDueScheduledOrders at most once a minute per server process; never throws.
+ */
+export async function releaseScheduledOrdersSoon() {
+    const state = globalThis.__rivercafePreorderRelease || (globalThis.__rivercafePreorderRelease = { last: 0, running: null });
+    if (state.running) return state.running;
+    if (Date.now() - state.last < RELEASE_INTERVAL_MS) return null;
+    state.last = Date.now();
+    state.running = releaseDueScheduledOrders()
+        .catch(err => {
+            console.warn('Releasing scheduled orders failed:', err?.message || err);
+            return null;
+        })
+        .finally(() => { state.running = null; });
+    return state.running;
+}
@@ -0,0 +1,164 @@
+/**
+ * Ticket printing: loads orders, builds tickets (lib/tickets.js) and sends them to printers
+ * - A printer is { host, port, autoPrint }. With a host the ESC/POS bytes go over raw TCP (port 9100 by default);
+ *   without one they are written to the print outbox (PRINT_OUTBOX_DIR, default ./print-outbox) so local setups can inspect them.
+ * - Kitchen printers live on each PrepStation (printer field); the counter printer is Setting "printing.counterPrinter".
+ * - printOrderTickets() runs on order placement: a kitchen ticket for every station whose printer has autoPrint,
+ *   and on the counter printer (autoPrint) the unassigned lines plus a receipt for external orders.
+ * - Receipt QRs carry the signed pickup payload (lib/pickupQr.js), the same one the student dashboard shows.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import mongoose from 'mongoose';
+import { Order, SpecialOrder, PrepStation, Setting, Transaction, UNASSIGNED_STATION, itemStationKey } from '@/models/allModels.js';
+import { DEFAULT_TIMEZONE, SPENDING_LIMIT_KEYS, isValidTimezone } from '@/lib/spendingLimits.js';
+import { buildTicket, renderEscPos } from '@/lib/tickets.js';
+import { signPickupQr } from '@/lib/pickupQr.js';
+
+export const PRINTING_SETTING_KEYS = {
+    counterPrinter: 'printing.counterPrinter'
+};
+
+const PRINT_TIMEOUT_MS = 5000;
+
+export function printOutboxDir() {
+    return path.resolve(process.env.PRINT_OUTBOX_DIR || path.join(process.cwd(), 'print-outbox'));
+}
+
+export function normalizePrinter(p = {}) {
+    return {
+        host: String(p?.host || '').trim(),
+        port: Number(p?.port) > 0 ? Number(p.port) : 9100,
+        autoPrint: !!p?.autoPrint
+    };
+}
+
+export async function getCounterPrinter() {
+    const doc = await Setting.findOne({ key: PRINTING_SETTING_KEYS.counterPrinter }).lean();
+    return normalizePrinter(doc?.value || {});
+}
+
+/**
+ * sendToPrinter(printer, bytes, { label })
+ * - Returns { ok: true, note } or { ok: false, error }; never throws.
+ */
+export async function sendToPrinter(printer, bytes, { label = 'ticket' } = {}) {
+    const { host, port } = normalizePrinter(printer);
+    try {
+        if (!host) {
+            const dir = printOutboxDir();
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${label.replace(/[^\w-]+/g, '_')}.bin`);
+            await fs.writeFile(file, bytes);
+            return { ok: true, note: `written to ${file}` };
+        }
+        await new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            socket.setTimeout(PRINT_TIMEOUT_MS, () => socket.destroy(new Error(`Printer ${host}:${port} timed out`)));
+            socket.on('error', reject);
+            socket.on('connect', () => socket.end(bytes));
+            socket.on('close', (hadError) => { if (!hadError) resolve(); });
+        });
+        return { ok: true, note: `sent to ${host}:${port}` };
+    } catch (err) {
+        return { ok: false, error: err?.message || String(err) };
+    }
+}
+
+/* Order or SpecialOrder by id -> { order, isSpecial } (order null when neither exists) */
+export async function findOrderById(id) {
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return { order: null, isSpecial: false };
+    const order = await Order.findById(id).lean();
+    if (order) return { order, isSpecial: false };
+    const special = await SpecialOrder.findById(id).lean();
+    return { order: special, isSpecial: !!special };
+}
+
+async function ticketContext(order, isSpecial) {
+    const [stations, tzSetting, tx] = await Promise.all([
+        PrepStation.find().lean(),
+        Setting.findOne({ key: SPENDING_LIMIT_KEYS.timezone }).lean(),
+        order?.user
+            ? Transaction.findOne(isSpecial
+                ? { type: 'order', 'meta.specialOrderId': order._id }
+                : { type: 'order', relatedOrder: order._id }).sort({ createdAt: 1 }).lean()
+            : null
+    ]);
+    const known = new Set(stations.map(st => String(st._id)));
+    return {
+        stations,
+        timezone: isValidTimezone(tzSetting?.value) ? tzSetting.value : DEFAULT_TIMEZONE,
+        balanceAfter: tx?.balanceAfter ?? null,
+        stationOf: (it) => itemStationKey(it, known)
+    };
+}
+
+/**
+ * orderTicket(order, { isSpecial, kind, stationId })
+ * - Builds the ticket for one order; stationId (or "unassigned") limits a kitchen ticket to that station's lines.
+ */
+export async function orderTicket(order, { isSpecial = false, kind = 'receipt', stationId = null } = {}) {
+    const ctx = await ticketContext(order, isSpecial);
+    let station = null;
+    if (stationId) {
+        const doc = ctx.stations.find(st => String(st._id) === String(stationId));
+        station = doc ? { id: String(doc._id), name: doc.name } : { id: UNASSIGNED_STATION, name: 'Unassigned' };
+    }
+    return buildTicket(order, {
+        kind,
+        isSpecial,
+        station,
+        stationOf: ctx.stationOf,
+        balanceAfter: ctx.balanceAfter,
+        timezone: ctx.timezone,
+        qrText: signPickupQr({ id: order._id, code: order.code, isSpecial })
+    });
+}
+
+/**
+ * printOrderTickets(order, { isSpecial })
+ * - Automatic printing on order placement. Best-effort: never throws; returns [{ target, ok, note|error }].
+ */
+export async function printOrderTickets(order, { isSpecial = false } = {}) {
+    const results = [];
+    try {
+        const plain = typeof order?.toObject === 'function' ? order.toObject() : order;
+        const ctx = await ticketContext(plain, isSpecial);
+        const counter = await getCounterPrinter();
+        const keys = new Set((plain?.items || []).map(ctx.stationOf));
+        const base = {
+            isSpecial,
+            stationOf: ctx.stationOf,
+            balanceAfter: ctx.balanceAfter,
+            timezone: ctx.timezone,
+            qrText: signPickupQr({ id: plain._id, code: plain.code, isSpecial })
+        };
+
+        const jobs = [];
+        for (const st of ctx.stations) {
+            const printer = normalizePrinter(st.printer);
+            if (st.active === false || !printer.autoPrint || !keys.has(String(st._id))) continue;
+            const ticket = buildTicket(plain, { ...base, kind: 'kitchen', station: { id: String(st._id), name: st.name } });
+            jobs.push({ target: st.name, printer, ticket });
+        }
+        if (counter.autoPrint) {
+            if (keys.has(UNASSIGNED_STATION)) {
+                const ticket = buildTicket(plain, { ...base, kind: 'kitchen', station: { id: UNASSIGNED_STATION, name: 'Counter' } });
+                jobs.push({ target: 'counter (kitchen)', printer: counter, ticket });
+            }
+            // external orders have no student dashboard: the receipt is their pickup code
+            if (!plain?.user) jobs.push({ target: 'counter (receipt)', printer: counter, ticket: buildTicket(plain, { ...base, kind: 'receipt' }) });
+        }
+
+        for (const job of jobs) {
+            const res = await sendToPrinter(job.printer, renderEscPos(job.ticket), { label: `${job.ticket.code}-${job.ticket.kind}-${job.target}` });
+            if (!res.ok) console.warn(`Printing ${job.ticket.code} on ${job.target} failed:`, res.error);
+            results.push({ target: job.target, ...res });
+        }
+    } catch (err) {
+        console.warn('printOrderTickets failed:', err?.message || err);
+    }
+    return results;
+}
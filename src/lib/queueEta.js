@@ -0,0 +1,87 @@
+/**
+ * Kitchen queue estimates (queue position and estimated ready time per order)
+ * - Outstanding orders (placed / preparing) are worked in board order: preparing first, then by pickup slot
+ *   (orders without a slot last), then oldest first — the order the canteen dashboard shows them in.
+ * - Each prep station works through its own lines one after another; stations work in parallel. The unprepared
+ *   units of a line cost Product.prepTimeMinutes each (bundles without their own prep time: their components).
+ * - Refunded units (items[].refundedQty) are off the board: they are never prepared and never hold an order back.
+ * - An order is ready once its slowest station has finished its part, so readyAt = now + that station's backlog
+ *   up to and including the order. Estimates change as soon as staff prepare items (preparedCount).
+ */
+
+import { orderPrepMinutes } from './pickupSlots.js';
+
+export const QUEUE_STATUSES = ['placed', 'preparing'];
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+
+/* Units of a line the kitchen still owes: ordered minus refunded */
+export const kitchenQty = (item) => Math.max(0, Number(item?.qty || 0) - Number(item?.refundedQty || 0));
+
+/* Prepared units of a line that still count (never more than kitchenQty) */
+export const preparedQty = (item) => Math.min(kitchenQty(item), Math.max(0, Number(item?.preparedCount || item?.prepared || 0)));
+
+/* Board status from line progress: 'ready' once every owed unit is prepared, 'preparing' once any is */
+export function kitchenStatus(items = []) {
+    const owed = items.reduce((s, it) => s + kitchenQty(it), 0);
+    const prepared = items.reduce((s, it) => s + preparedQty(it), 0);
+    if (prepared >= owed) return 'ready';
+    return prepared > 0 ? 'preparing' : 'placed';
+}
+const time = (v) => (v ? new Date(v).getTime() : Infinity);
+
+/* Board order of two outstanding orders (see header) */
+export function compareQueueOrder(a, b) {
+    const pa = a.status === 'preparing' ? 0 : 1;
+    const pb = b.status === 'preparing' ? 0 : 1;
+    if (pa !== pb) return pa - pb;
+    const sa = time(a.pickupSlot?.start);
+    const sb = time(b.pickupSlot?.start);
+    if (sa !== sb) return sa < sb ? -1 : 1;
+    return time(a.createdAt) - time(b.createdAt);
+}
+
+/**
+ * remainingStationMinutes(order, productMap, stationOf)
+ * - Minutes of unprepared work per station: Map station key -> minutes (stations with nothing left are omitted).
+ * - stationOf(item) -> station key of a line.
+ */
+export function remainingStationMinutes(order, productMap = new Map(), stationOf = (it) => idOf(it.prepStation) || 'unassigned') {
+    const byStation = new Map();
+    for (const it of order?.items || []) {
+        const left = kitchenQty(it) - preparedQty(it);
+        if (!left) continue;
+        const key = stationOf(it);
+        const minutes = orderPrepMinutes([{ product: it.product, qty: left, components: it.components }], productMap);
+        byStation.set(key, (byStation.get(key) || 0) + minutes);
+    }
+    return byStation;
+}
+
+/**
+ * estimateQueue(orders, productMap, { now, stationOf })
+ * - orders: outstanding orders (any order); productMap: id string -> { prepTimeMinutes } (products and bundle components)
+ * - Returns Map order id -> { position, ahead, etaMinutes, readyAt }: position is 1-based in the whole queue,
+ *   ahead = orders before it, etaMinutes rounded up to whole minutes (0 when nothing is left to prepare).
+ */
+export function estimateQueue(orders = [], productMap = new Map(), { now = new Date(), stationOf } = {}) {
+    const queue = orders.filter(o => QUEUE_STATUSES.includes(o.status)).sort(compareQueueOrder);
+    const backlog = new Map(); // station -> minutes of work queued so far
+    const estimates = new Map();
+    queue.forEach((o, index) => {
+        let minutes = 0;
+        for (const [station, own] of remainingStationMinutes(o, productMap, stationOf)) {
+            const done = (backlog.get(station) || 0) + own;
+            backlog.set(station, done);
+            minutes = Math.max(minutes, done);
+        }
+        const etaMinutes = Math.ceil(minutes);
+        estimates.set(idOf(o._id ?? o.id), {
+            position: index + 1,
+            ahead: index,
+            etaMinutes,
+            readyAt: new Date(now.getTime() + etaMinutes * 60000)
+        });
+    });
+    return estimates;
+}
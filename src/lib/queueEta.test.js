@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { kitchenQty, preparedQty, kitchenStatus, remainingStationMinutes, estimateQueue } from './queueEta.js';
+
+const products = new Map([['burger', { prepTimeMinutes: 4 }], ['chips', { prepTimeMinutes: 2 }]]);
+const now = new Date('2026-03-02T08:00:00Z');
+
+describe('kitchenQty / preparedQty', () => {
+    test('refunded units are not owed and prepared units never exceed what is owed', () => {
+        const line = { qty: 3, refundedQty: 1, preparedCount: 3 };
+        assert.equal(kitchenQty(line), 2);
+        assert.equal(preparedQty(line), 2);
+        assert.equal(kitchenQty({ qty: 2, refundedQty: 5 }), 0);
+        assert.equal(preparedQty({ qty: 2, prepared: 1 }), 1);
+    });
+});
+
+describe('kitchenStatus', () => {
+    test('a partly refunded order is ready once its remaining units are prepared', () => {
+        const items = [
+            { product: 'burger', qty: 2, refundedQty: 1, preparedCount: 1 },
+            { product: 'chips', qty: 1, refundedQty: 0, preparedCount: 1 }
+        ];
+        assert.equal(kitchenStatus(items), 'ready');
+        assert.equal(kitchenStatus([{ ...items[0], refundedQty: 0 }, items[1]]), 'preparing');
+        assert.equal(kitchenStatus([{ qty: 2, preparedCount: 0 }]), 'placed');
+    });
+});
+
+describe('estimateQueue', () => {
+    test('refunded units add no prep time', () => {
+        const order = {
+            _id: 'o1',
+            status: 'placed',
+            createdAt: now,
+            items: [{ product: 'burger', qty: 3, refundedQty: 2, preparedCount: 0 }]
+        };
+        assert.deepEqual([...remainingStationMinutes(order, products)], [['unassigned', 4]]);
+        assert.equal(estimateQueue([order], products, { now }).get('o1').etaMinutes, 4);
+
+        const allRefundedButOne = { ...order, items: [{ ...order.items[0], preparedCount: 1 }] };
+        assert.equal(estimateQueue([allRefundedButOne], products, { now }).get('o1').etaMinutes, 0);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Quick reorder: re-run a previous order against today's menu
+ * - Every line of the old order is rebuilt as a cart line ({ productId, qty, modifiers, bundleChoices }) and checked
+ *   against the product as it is now: still available, still sold in the open window, options still valid, enough
+ *   stock, and the current price (modifiers and combo choices priced again through priceOrderLine).
+ * - GET /api/student/orders/:id/reorder returns the lines with what changed; the student confirms and the cart
+ *   goes through POST /api/student/order like any other order (which checks everything again).
+ */
+
+import { priceOrderLine } from './bundles.js';
+
+export const REORDER_ISSUES = {
+    unavailable: 'unavailable',
+    outsideWindow: 'outside_window',
+    optionsChanged: 'options_changed',
+    outOfStock: 'out_of_stock',
+    lowStock: 'low_stock',
+    priceChanged: 'price_changed'
+};
+
+const idOf = (v) => String(v?._id ?? v ?? '');
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * reorderSelections(line, product)
+ * - The cart selections of an old order line: modifiers [{ groupId, optionIds }] from the snapshotted options, and
+ *   bundleChoices [{ slotId, productId }] by matching each picked component's slot name to the product's slots now.
+ */
+export function reorderSelections(line, product) {
+    const byGroup = new Map();
+    for (const m of line?.modifiers || []) {
+        const gid = idOf(m.groupId);
+        if (!gid || !m.optionId) continue;
+        byGroup.set(gid, [...(byGroup.get(gid) || []), idOf(m.optionId)]);
+    }
+    const modifiers = [...byGroup].map(([groupId, optionIds]) => ({ groupId, optionIds }));
+
+    const bundleChoices = [];
+    for (const c of line?.components || []) {
+        if (!c.slot) continue;
+        const slot = (product?.bundle?.slots || []).find(s => s.name === c.slot);
+        if (slot) bundleChoices.push({ slotId: idOf(slot), productId: idOf(c.product) });
+    }
+    return { modifiers, bundleChoices };
+}
+
+/**
+ * reorderLine(line, product, { productMap, stock, inWindow })
+ * - line: the old order line; product: the product now (null when deleted); productMap: bundle components / options
+ * - stock: units of this line that can be sold now (null = untracked); inWindow: product sold in the open window
+ * - Returns { productId, name, qty, requestedQty, previousPrice, price, modifiers, bundleChoices, issues, orderable }
+ *   where issues lists REORDER_ISSUES with a human-readable message each. qty is capped at the stock left.
+ */
+export function reorderLine(line, product, { productMap = new Map(), stock = null, inWindow = true } = {}) {
+    const requestedQty = Math.max(1, Number(line?.qty || 1) - Number(line?.refundedQty || 0));
+    const previousPrice = round2(line?.price);
+    const base = {
+        productId: idOf(line?.product),
+        name: line?.label || line?.name || product?.name || 'Item',
+        qty: requestedQty,
+        requestedQty,
+        previousPrice,
+        price: null,
+        modifiers: [],
+        bundleChoices: [],
+        issues: [],
+        orderable: false
+    };
+    const issue = (type, message) => base.issues.push({ type, message });
+
+    if (!product || product.available === false) {
+        issue(REORDER_ISSUES.unavailable, `${base.name} is no longer available`);
+        return base;
+    }
+    const selections = reorderSelections(line, product);
+    let priced;
+    try {
+        priced = priceOrderLine(product, selections, productMap);
+    } catch (err) {
+        issue(REORDER_ISSUES.optionsChanged, err.message);
+        return { ...base, ...selections };
+    }
+    const result = { ...base, ...selections, name: priced.label || product.name, price: priced.price };
+
+    if (!inWindow) {
+        result.issues.push({ type: REORDER_ISSUES.outsideWindow, message: `${result.name} is not sold in this ordering window` });
+        return result;
+    }
+    if (typeof stock === 'number' && stock <= 0) {
+        result.issues.push({ type: REORDER_ISSUES.outOfStock, message: `${result.name} is out of stock` });
+        return result;
+    }
+    if (typeof stock === 'number' && stock < requestedQty) {
+        result.qty = Math.floor(stock);
+        result.issues.push({ type: REORDER_ISSUES.lowStock, message: `Only ${result.qty} × ${result.name} left (you had ${requestedQty})` });
+    }
+    if (result.price !== previousPrice) {
+        result.issues.push({
+            type: REORDER_ISSUES.priceChanged,
+            message: `${result.name} now costs ${result.price.toFixed(2)} (was ${previousPrice.toFixed(2)})`
+        });
+    }
+    result.orderable = true;
+    return result;
+}
+
+/* Totals of a reorder preview: { previousTotal, total } — total counts the orderable lines at today's prices */
+export function reorderTotals(lines = []) {
+    return {
+        previousTotal: round2(lines.reduce((s, l) => s + l.previousPrice * l.requestedQty, 0)),
+        total: round2(lines.filter(l => l.orderable).reduce((s, l) => s + l.price * l.qty, 0))
+    };
+}
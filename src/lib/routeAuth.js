@@ -0,0 +1,167 @@
+/**
+ * Permission checks for staff API routes (the registry lives in lib/permissions.js)
+ * - withPermission(permission, handler) wraps a route handler: the signed-in user is loaded fresh (so a role change
+ *   or deactivation applies at once), then the role's permissions decide.
+ *   401 { ok: false, error: 'Not authenticated' } without an active signed-in user,
+ *   403 { ok: false, error: 'Forbidden', permission } when the role lacks it — also written to the audit log
+ *   as 'permission_denied'.
+ *   403 { ok: false, error, twoFactorSetup: true } for a role that needs two-factor sign-in (lib/twoFactor.js)
+ *   before it has been set up; 401 { ok: false, error, twoFactorSignIn: true } when it is set up but the session
+ *   was not signed in with a code (no twoFactorVerified claim in the JWT, see the NextAuth route).
+ * - The handler is called as handler(req, context, { user, permissions }); user is the lean User.
+ * - withSignedInUser(handler) is the same gate without a permission, for routes every role uses (order events,
+ *   notifications, changing one's own password); handler(req, context, { user }).
+ * - The role mapping (Setting "permissions.roles") is cached per server process for a short time;
+ *   saving it through the admin API clears the cache.
+ */
+
+import mongoose from 'mongoose';
+import { NextResponse } from 'next/server';
+import { getToken } from 'next-auth/jwt';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { connectToDatabase, User, Setting, AuditLog } from '@/models/allModels.js';
+import { PERMISSION_ROLES_KEY, resolveRolePermissions, roleHasPermission } from '@/lib/permissions.js';
+import { twoFactorRequired } from '@/lib/twoFactor.js';
+import { clientIp } from '@/lib/clientIp.js';
+
+const CACHE_MS = 30 * 1000;
+
+function permissionCache() {
+    return globalThis.__rivercafePermissions || (globalThis.__rivercafePermissions = { map: null, at: 0 });
+}
+
+/* The effective role -> permissions mapping (defaults merged with Setting "permissions.roles") */
+export async function getRolePermissions({ fresh = false } = {}) {
+    const cache = permissionCache();
+    if (!fresh && cache.map && Date.now() - cache.at < CACHE_MS) return cache.map;
+    await connectToDatabase();
+    const doc = await Setting.findOne({ key: PERMISSION_ROLES_KEY }).lean();
+    cache.map = resolveRolePermissions(doc?.value);
+    cache.at = Date.now();
+    return cache.map;
+}
+
+export function clearPermissionCache() {
+    const cache = permissionCache();
+    cache.map = null;
+    cache.at = 0;
+}
+
+/* { user, claims }: the signed-in, active user (lean) and the session's token.user claims, or nulls */
+async function requestSession(req) {
+    const secret = authOptions?.secret || process.env.NEXTAUTH_SECRET;
+    const cookieName =
+        process.env.NODE_ENV === 'production'
+            ? '__Secure-next-auth.session-token'
+            : 'next-auth.session-token';
+    const token = await getToken({
+        req,
+        secret,
+        secureCookie: process.env.NODE_ENV === 'production',
+        cookieName
+    }).catch((e) => {
+        console.warn('getToken threw:', e?.message || e);
+        return null;
+    });
+    const sessionUser = token?.user || token;
+    const id = sessionUser?.id || sessionUser?.sub;
+    if (!id || !mongoose.Types.ObjectId.isValid(String(id))) return { user: null, claims: null };
+    await connectToDatabase();
+    const user = await User.findOne({ _id: id, isActive: { $ne: false } }).select('_id name email role regNumber twoFactor.enabled').lean();
+    return { user, claims: user ? sessionUser : null };
+}
+
+/* The signed-in, active user of a request (lean: _id, name, email, role, regNumber, twoFactor.enabled), or null */
+export async function getRequestUser(req) {
+    return (await requestSession(req)).user;
+}
+
+/* Whether a user's role has the permission (or any of an array of permissions) */
+export async function userCan(user, permission) {
+    if (!user) return false;
+    return roleHasPermission(await getRolePermissions(), user.role, permission);
+}
+
+async function auditDenied(req, user, permission) {
+    try {
+        const url = new URL(req.url);
+        await AuditLog.create({
+            actor: user._id,
+            action: 'permission_denied',
+            collectionName: 'permissions',
+            changes: { permission, role: user.role, method: req.method, path: url.pathname },
+            ip: clientIp(req.headers),
+            userAgent: req.headers.get('user-agent') || null
+        });
+    } catch (e) {
+        console.warn('Audit log failed', e?.message || e);
+    }
+}
+
+/* The 403 / 401 answer for a role that needs two-factor sign-in (lib/twoFactor.js) and has not passed it, or null */
+function twoFactorRefusal(user, claims) {
+    if (!twoFactorRequired(user.role)) return null;
+    if (!user.twoFactor?.enabled) {
+        return NextResponse.json(
+            { ok: false, error: 'Set up two-factor authentication first', twoFactorSetup: true },
+            { status: 403 }
+        );
+    }
+    // 2FA is on in the database, but this session never passed it (signed in before it was required, or after IT reset it)
+    if (!claims?.twoFactorVerified) {
+        return NextResponse.json(
+            { ok: false, error: 'Sign in again with your authentication code', twoFactorSignIn: true },
+            { status: 401 }
+        );
+    }
+    return null;
+}
+
+/**
+ * withSignedInUser(handler)
+ * - Any active signed-in user; roles that need two-factor sign-in get the same answers as under withPermission.
+ */
+export function withSignedInUser(handler) {
+    return async function signInChecked(req, context) {
+        let user;
+        let claims;
+        try {
+            ({ user, claims } = await requestSession(req));
+        } catch (err) {
+            console.error('Sign-in check failed', err);
+            return NextResponse.json({ ok: false, error: 'Server error' }, { status: 500 });
+        }
+        if (!user) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const refused = twoFactorRefusal(user, claims);
+        if (refused) return refused;
+        return handler(req, context, { user });
+    };
+}
+
+/**
+ * withPermission(permission, handler)
+ * - permission: a key of PERMISSIONS, or an array where any one is enough.
+ */
+export function withPermission(permission, handler) {
+    return async function permissionChecked(req, context) {
+        let user;
+        let claims;
+        let permissions;
+        try {
+            ({ user, claims } = await requestSession(req));
+            if (user) permissions = await getRolePermissions();
+        } catch (err) {
+            console.error('Permission check failed', err);
+            return NextResponse.json({ ok: false, error: 'Server error' }, { status: 500 });
+        }
+        if (!user) return NextResponse.json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+        const refused = twoFactorRefusal(user, claims);
+        if (refused) return refused;
+
+        if (!roleHasPermission(permissions, user.role, permission)) {
+            await auditDenied(req, user, permission);
+            return NextResponse.json({ ok: false, error: 'Forbidden', permission }, { status: 403 });
+        }
+        return handler(req, context, { user, permissions: permissions[user.role] || [] });
+    };
+}
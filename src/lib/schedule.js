@@ -0,0 +1,219 @@
+/**
+ * Ordering window schedules, evaluated in each window's own timezone
+ * - A window (OrderingWindow / SpecialOrderingWindow) runs on its daysOfWeek (0 = Sunday, 7 is read as Sunday,
+ *   empty = every day) from startTime to endTime inclusive ("HH:MM"; missing = 00:00 / 23:59), wall-clock time
+ *   in window.timezone. A missing or unknown timezone is the schema default, DEFAULT_TIMEZONE.
+ * - endTime before startTime is an overnight window: it opens on one of its days and closes the next morning, so
+ *   a Monday 22:00–06:00 window is still open at 02:00 on Tuesday (even when Tuesday is not one of its days).
+ * - The school calendar (lib/schoolCalendar.js) decides per occurrence, by the local date the window opens on:
+ *   closed days skip it, extra days run it whatever daysOfWeek says.
+ * - windowStatus() gives { open, opensAt, closesAt, nextOpensAt, ... }; routes, models and the student pages all
+ *   use it (or isWindowOpen / openWindows), so a window is open or closed the same way everywhere.
+ * - Runs in the browser too: callers pass the windows and getSchoolCalendar() entries.
+ */
+
+import { DEFAULT_TIMEZONE, isValidTimezone, localDateTime } from './spendingLimits.js';
+import { calendarDay } from './schoolCalendar.js';
+
+export { DEFAULT_TIMEZONE };
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const HHMM_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DAY_MINUTES = 24 * 60;
+const DEFAULT_HORIZON_DAYS = 14;
+
+/* "HH:MM" -> minutes after midnight, or null */
+export function toMinutes(hhmm) {
+    const m = HHMM_RE.exec(String(hhmm || '').trim());
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/* { year, monthIndex, day, weekday } of a 'YYYY-MM-DD' date, or null when invalid */
+export function parseDate(dateStr) {
+    const m = DATE_RE.exec(String(dateStr || ''));
+    if (!m) return null;
+    const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    const d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+    return { year, monthIndex: month - 1, day, weekday: d.getUTCDay() };
+}
+
+/* 'YYYY-MM-DD' n days after dateStr */
+export function addDays(dateStr, n) {
+    const p = parseDate(dateStr);
+    return new Date(Date.UTC(p.year, p.monthIndex, p.day + n)).toISOString().slice(0, 10);
+}
+
+/* weekday (0 = Sunday) of a 'YYYY-MM-DD' date, or null when invalid */
+export function weekdayOf(dateStr) {
+    return parseDate(dateStr)?.weekday ?? null;
+}
+
+/* stored days may use 7 for Sunday; anything else outside 0..7 is dropped */
+export function normalizeDays(days) {
+    return [...new Set((Array.isArray(days) ? days : [])
+        .map(Number)
+        .filter(n => Number.isInteger(n) && n >= 0 && n <= 7)
+        .map(n => (n === 7 ? 0 : n)))];
+}
+
+export const windowTimezone = (w) => (isValidTimezone(w?.timezone) ? w.timezone : DEFAULT_TIMEZONE);
+
+/**
+ * zonedTime(now, timezone)
+ * - The wall clock of an instant in a timezone: { date: 'YYYY-MM-DD', weekday, minutes, hhmm }.
+ */
+export function zonedTime(now = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit'
+    }).formatToParts(now);
+    const get = (type) => parts.find(p => p.type === type)?.value || '00';
+    const date = `${get('year')}-${get('month')}-${get('day')}`;
+    const minutes = (Number(get('hour')) % 24) * 60 + Number(get('minute'));
+    return { date, weekday: weekdayOf(date), minutes, hhmm: `${get('hour')}:${get('minute')}` };
+}
+
+/* Local calendar date (YYYY-MM-DD) of an instant in a timezone */
+export function localDate(now = new Date(), timezone = DEFAULT_TIMEZONE) {
+    return zonedTime(now, timezone).date;
+}
+
+/* { start, end, overnight } of a window in minutes after midnight */
+function windowSpan(window) {
+    const start = toMinutes(window?.startTime) ?? 0;
+    const end = toMinutes(window?.endTime) ?? DAY_MINUTES - 1;
+    return { start, end, overnight: end < start };
+}
+
+/**
+ * windowOccurrence(window, dateStr)
+ * - { date, dayStart, opensAt, closesAt } for the window opening on that local date; an overnight window closes
+ *   the next day. closesAt is the start of the last open minute (endTime).
+ */
+export function windowOccurrence(window, dateStr) {
+    const tz = windowTimezone(window);
+    const { year, monthIndex, day } = parseDate(dateStr);
+    const { start, end, overnight } = windowSpan(window);
+    return {
+        date: dateStr,
+        dayStart: localDateTime(year, monthIndex, day, 0, tz),
+        opensAt: localDateTime(year, monthIndex, day, start, tz),
+        closesAt: localDateTime(year, monthIndex, day + (overnight ? 1 : 0), end, tz)
+    };
+}
+
+/**
+ * windowRunsOn(window, dateStr, { calendar, scope })
+ * - Whether the window opens on that local date: { runs, status: 'normal' | 'closed' | 'extra', reason }.
+ *   reason explains a day off: the calendar entry's name or "does not run on Tuesdays".
+ */
+export function windowRunsOn(window, dateStr, { calendar = [], scope = 'ordinary' } = {}) {
+    const day = calendarDay(calendar, dateStr, { scope, windowId: window?._id });
+    if (day.status === 'closed') return { runs: false, status: 'closed', reason: day.reason };
+    if (day.status === 'extra') return { runs: true, status: 'extra', reason: day.reason };
+    const days = normalizeDays(window?.daysOfWeek);
+    const weekday = weekdayOf(dateStr);
+    if (days.length && !days.includes(weekday)) {
+        return { runs: false, status: 'normal', reason: `does not run on ${DAY_NAMES[weekday]}s` };
+    }
+    return { runs: true, status: 'normal', reason: null };
+}
+
+/**
+ * windowCalendarToday(calendar, window, { scope, now })
+ * - What the school calendar says about the window's local date right now: { date, status, reason }.
+ */
+export function windowCalendarToday(calendar, window, { scope = 'ordinary', now = new Date() } = {}) {
+    const date = localDate(now, windowTimezone(window));
+    const day = calendarDay(calendar, date, { scope, windowId: window?._id });
+    return { date, status: day.status, reason: day.reason || null };
+}
+
+/**
+ * windowStatus(window, { now, calendar, scope, horizonDays })
+ * - { open, date, opensAt, closesAt, nextOpensAt, nextClosesAt, calendarToday }
+ *   open: the window is open at `now`; date / opensAt / closesAt: the occurrence open now (null when closed)
+ *   nextOpensAt / nextClosesAt: the next occurrence that has not opened yet within horizonDays (null when none)
+ *   calendarToday: windowCalendarToday() — why ordering is off today when the calendar closes the day
+ * - An inactive window (active: false) is never open and has no next opening.
+ */
+export function windowStatus(window, { now = new Date(), calendar = [], scope = 'ordinary', horizonDays = DEFAULT_HORIZON_DAYS } = {}) {
+    const tz = windowTimezone(window);
+    const local = zonedTime(now, tz);
+    const calendarToday = windowCalendarToday(calendar, window, { scope, now });
+    const status = { open: false, date: null, opensAt: null, closesAt: null, nextOpensAt: null, nextClosesAt: null, calendarToday };
+    if (!window || window.active === false) return status;
+
+    const { start, end, overnight } = windowSpan(window);
+    const runs = (date) => windowRunsOn(window, date, { calendar, scope }).runs;
+    // the occurrence open right now: today's, or yesterday's overnight one running into this morning
+    let openDate = null;
+    if (runs(local.date) && local.minutes >= start && (overnight || local.minutes <= end)) openDate = local.date;
+    else if (overnight && local.minutes <= end && runs(addDays(local.date, -1))) openDate = addDays(local.date, -1);
+
+    if (openDate) {
+        const occurrence = windowOccurrence(window, openDate);
+        Object.assign(status, { open: true, date: openDate, opensAt: occurrence.opensAt, closesAt: occurrence.closesAt });
+    }
+    for (let k = 0; k <= horizonDays; k += 1) {
+        const date = addDays(local.date, k);
+        if (!runs(date)) continue;
+        const occurrence = windowOccurrence(window, date);
+        if (occurrence.opensAt <= now) continue;
+        status.nextOpensAt = occurrence.opensAt;
+        status.nextClosesAt = occurrence.closesAt;
+        break;
+    }
+    return status;
+}
+
+/* Whether the window is open at `now` (same options as windowStatus) */
+export function isWindowOpen(window, options = {}) {
+    return windowStatus(window, { ...options, horizonDays: 0 }).open;
+}
+
+/**
+ * openWindows(windows, { now, calendar, scope })
+ * - The windows open at `now`, highest priority first; [0] is the window an ordinary order belongs to.
+ */
+export function openWindows(windows = [], options = {}) {
+    return (Array.isArray(windows) ? windows : [])
+        .filter(w => isWindowOpen(w, options))
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * nextOpening(windows, { now, calendar, scope, horizonDays })
+ * - The soonest coming opening among the windows: { window, opensAt, closesAt } or null.
+ */
+export function nextOpening(windows = [], options = {}) {
+    let best = null;
+    for (const w of Array.isArray(windows) ? windows : []) {
+        const s = windowStatus(w, options);
+        if (s.nextOpensAt && (!best || s.nextOpensAt < best.opensAt)) {
+            best = { window: w, opensAt: s.nextOpensAt, closesAt: s.nextClosesAt };
+        }
+    }
+    return best;
+}
+
+/**
+ * periodsAllowAt(periods, now, timezone)
+ * - Whether Product.availablePeriods ({ dayOfWeek?, startTime?, endTime? }) allow `now` in the timezone.
+ *   No periods = always; a period without dayOfWeek covers every day; overnight periods run into the next day.
+ */
+export function periodsAllowAt(periods = [], now = new Date(), timezone = DEFAULT_TIMEZONE) {
+    if (!Array.isArray(periods) || !periods.length) return true;
+    const local = zonedTime(now, timezone);
+    const yesterday = (local.weekday + 6) % 7;
+    return periods.some(p => {
+        const { start, end, overnight } = windowSpan(p);
+        const onDay = (weekday) => p.dayOfWeek === undefined || p.dayOfWeek === null || Number(p.dayOfWeek) === weekday;
+        if (onDay(local.weekday) && local.minutes >= start && (overnight || local.minutes <= end)) return true;
+        return overnight && local.minutes <= end && onDay(yesterday);
+    });
+}
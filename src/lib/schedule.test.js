@@ -0,0 +1,293 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_TIMEZONE,
+    toMinutes,
+    parseDate,
+    addDays,
+    weekdayOf,
+    normalizeDays,
+    windowTimezone,
+    zonedTime,
+    localDate,
+    windowOccurrence,
+    windowRunsOn,
+    windowCalendarToday,
+    windowStatus,
+    isWindowOpen,
+    openWindows,
+    nextOpening,
+    periodsAllowAt
+} from './schedule.js';
+
+// Harare is UTC+2 all year; 2026-10-19 is a Monday
+const at = (iso) => new Date(iso);
+const harare = (overrides = {}) => ({
+    _id: '64b000000000000000000001',
+    name: 'Breakfast',
+    daysOfWeek: [1, 2, 3, 4, 5],
+    startTime: '07:30',
+    endTime: '10:00',
+    active: true,
+    timezone: 'Africa/Harare',
+    ...overrides
+});
+const overnight = (overrides = {}) => harare({ name: 'Night shift', daysOfWeek: [1], startTime: '22:00', endTime: '06:00', ...overrides });
+const entry = (type, startDate, endDate = startDate, extra = {}) => ({ type, name: `${type} ${startDate}`, startDate, endDate, scope: 'all', windows: [], ...extra });
+
+describe('date and time helpers', () => {
+    test('toMinutes parses HH:MM and rejects anything else', () => {
+        assert.equal(toMinutes('07:30'), 450);
+        assert.equal(toMinutes('7:05'), 425);
+        assert.equal(toMinutes('23:59'), 1439);
+        assert.equal(toMinutes('24:00'), null);
+        assert.equal(toMinutes('10:60'), null);
+        assert.equal(toMinutes(''), null);
+        assert.equal(toMinutes(null), null);
+    });
+
+    test('parseDate validates real calendar dates', () => {
+        assert.deepEqual(parseDate('2026-10-19'), { year: 2026, monthIndex: 9, day: 19, weekday: 1 });
+        assert.equal(parseDate('2026-02-30'), null);
+        assert.equal(parseDate('2026-1-5'), null);
+        assert.equal(parseDate('nope'), null);
+    });
+
+    test('addDays crosses month and year ends', () => {
+        assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+        assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    });
+
+    test('weekdayOf is independent of the server timezone', () => {
+        assert.equal(weekdayOf('2026-10-18'), 0);
+        assert.equal(weekdayOf('2026-10-24'), 6);
+        assert.equal(weekdayOf('bad'), null);
+    });
+
+    test('normalizeDays maps 7 to Sunday and drops junk and duplicates', () => {
+        assert.deepEqual(normalizeDays([1, '2', 7, 0, 9, -1, 'x', 2]), [1, 2, 0]);
+        assert.deepEqual(normalizeDays(undefined), []);
+    });
+
+    test('windowTimezone falls back to the schema default', () => {
+        assert.equal(DEFAULT_TIMEZONE, 'Africa/Harare');
+        assert.equal(windowTimezone({ timezone: 'Europe/London' }), 'Europe/London');
+        assert.equal(windowTimezone({ timezone: 'Not/AZone' }), DEFAULT_TIMEZONE);
+        assert.equal(windowTimezone({}), DEFAULT_TIMEZONE);
+        assert.equal(windowTimezone(null), DEFAULT_TIMEZONE);
+    });
+
+    test('zonedTime reads the wall clock of the zone, not of the server', () => {
+        assert.deepEqual(zonedTime(at('2026-10-19T21:30:00Z'), 'Africa/Harare'), { date: '2026-10-19', weekday: 1, minutes: 23 * 60 + 30, hhmm: '23:30' });
+        // midnight is 00:00, never 24:00
+        assert.deepEqual(zonedTime(at('2026-10-19T22:00:00Z'), 'Africa/Harare'), { date: '2026-10-20', weekday: 2, minutes: 0, hhmm: '00:00' });
+        assert.equal(zonedTime(at('2026-10-19T02:00:00Z'), 'America/New_York').date, '2026-10-18');
+    });
+
+    test('localDate follows the zone across the date line', () => {
+        assert.equal(localDate(at('2026-10-19T11:00:00Z'), 'Pacific/Auckland'), '2026-10-20');
+        assert.equal(localDate(at('2026-10-19T11:00:00Z'), 'Pacific/Honolulu'), '2026-10-19');
+    });
+});
+
+describe('windowOccurrence', () => {
+    test('same-day window opens and closes on its date', () => {
+        const o = windowOccurrence(harare(), '2026-10-19');
+        assert.equal(o.dayStart.toISOString(), '2026-10-18T22:00:00.000Z');
+        assert.equal(o.opensAt.toISOString(), '2026-10-19T05:30:00.000Z');
+        assert.equal(o.closesAt.toISOString(), '2026-10-19T08:00:00.000Z');
+    });
+
+    test('overnight window closes the next day', () => {
+        const o = windowOccurrence(overnight(), '2026-10-19');
+        assert.equal(o.opensAt.toISOString(), '2026-10-19T20:00:00.000Z');
+        assert.equal(o.closesAt.toISOString(), '2026-10-20T04:00:00.000Z');
+    });
+
+    test('respects daylight saving in the window zone', () => {
+        const london = harare({ timezone: 'Europe/London', startTime: '12:00', endTime: '13:00' });
+        // BST (UTC+1) before 2026-10-25, GMT after
+        assert.equal(windowOccurrence(london, '2026-10-23').opensAt.toISOString(), '2026-10-23T11:00:00.000Z');
+        assert.equal(windowOccurrence(london, '2026-10-26').opensAt.toISOString(), '2026-10-26T12:00:00.000Z');
+    });
+
+    test('missing times cover the whole day', () => {
+        const o = windowOccurrence(harare({ startTime: null, endTime: undefined }), '2026-10-19');
+        assert.equal(o.opensAt.toISOString(), '2026-10-18T22:00:00.000Z');
+        assert.equal(o.closesAt.toISOString(), '2026-10-19T21:59:00.000Z');
+    });
+});
+
+describe('windowRunsOn', () => {
+    test('follows daysOfWeek, with 7 read as Sunday and empty meaning every day', () => {
+        assert.equal(windowRunsOn(harare(), '2026-10-19').runs, true);
+        const saturday = windowRunsOn(harare(), '2026-10-24');
+        assert.equal(saturday.runs, false);
+        assert.equal(saturday.reason, 'does not run on Saturdays');
+        assert.equal(windowRunsOn(harare({ daysOfWeek: [7] }), '2026-10-18').runs, true);
+        assert.equal(windowRunsOn(harare({ daysOfWeek: [] }), '2026-10-24').runs, true);
+    });
+
+    test('calendar closures and holidays win, extra days open any weekday', () => {
+        const holiday = windowRunsOn(harare(), '2026-10-19', { calendar: [entry('holiday', '2026-10-19')] });
+        assert.deepEqual(holiday, { runs: false, status: 'closed', reason: 'holiday 2026-10-19' });
+        const extra = windowRunsOn(harare(), '2026-10-24', { calendar: [entry('extra_day', '2026-10-24')] });
+        assert.equal(extra.runs, true);
+        assert.equal(extra.status, 'extra');
+        const both = [entry('extra_day', '2026-10-24'), entry('closure', '2026-10-24')];
+        assert.equal(windowRunsOn(harare(), '2026-10-24', { calendar: both }).runs, false);
+    });
+
+    test('calendar scope and window targeting', () => {
+        const specialOnly = [entry('closure', '2026-10-19', '2026-10-19', { scope: 'special' })];
+        assert.equal(windowRunsOn(harare(), '2026-10-19', { calendar: specialOnly, scope: 'ordinary' }).runs, true);
+        assert.equal(windowRunsOn(harare(), '2026-10-19', { calendar: specialOnly, scope: 'special' }).runs, false);
+        const otherWindow = [entry('closure', '2026-10-19', '2026-10-19', { windows: ['64b000000000000000000999'] })];
+        assert.equal(windowRunsOn(harare(), '2026-10-19', { calendar: otherWindow }).runs, true);
+    });
+
+    test('days outside every term are a break', () => {
+        const terms = [entry('term', '2026-09-01', '2026-12-04')];
+        assert.equal(windowRunsOn(harare(), '2026-10-19', { calendar: terms }).runs, true);
+        const december = windowRunsOn(harare(), '2026-12-07', { calendar: terms });
+        assert.equal(december.runs, false);
+        assert.equal(december.reason, 'School break');
+    });
+});
+
+describe('windowStatus / isWindowOpen', () => {
+    test('uses the window timezone rather than UTC', () => {
+        // 06:00 UTC = 08:00 in Harare: open, although 06:00 is before 07:30
+        assert.equal(isWindowOpen(harare(), { now: at('2026-10-19T06:00:00Z') }), true);
+        // 09:00 UTC = 11:00 in Harare: closed, although 09:00 is inside 07:30–10:00
+        assert.equal(isWindowOpen(harare(), { now: at('2026-10-19T09:00:00Z') }), false);
+    });
+
+    test('start and end minutes are inclusive', () => {
+        assert.equal(isWindowOpen(harare(), { now: at('2026-10-19T05:29:59Z') }), false);
+        assert.equal(isWindowOpen(harare(), { now: at('2026-10-19T05:30:00Z') }), true);
+        assert.equal(isWindowOpen(harare(), { now: at('2026-10-19T08:00:59Z') }), true);
+        assert.equal(isWindowOpen(harare(), { now: at('2026-10-19T08:01:00Z') }), false);
+    });
+
+    test('the weekday is the local one', () => {
+        // Sunday 23:30 UTC is Monday 01:30 in Harare, Monday 10:30 in Auckland
+        const sundayUtc = at('2026-10-18T23:30:00Z');
+        assert.equal(isWindowOpen(harare({ startTime: '00:00', endTime: '02:00' }), { now: sundayUtc }), true);
+        const auckland = harare({ timezone: 'Pacific/Auckland', daysOfWeek: [0], startTime: '10:00', endTime: '11:00' });
+        assert.equal(isWindowOpen(auckland, { now: sundayUtc }), false);
+    });
+
+    test('overnight windows stay open after midnight on the next day', () => {
+        const w = overnight(); // Mondays 22:00–06:00
+        assert.equal(isWindowOpen(w, { now: at('2026-10-19T19:59:00Z') }), false); // Mon 21:59
+        assert.equal(isWindowOpen(w, { now: at('2026-10-19T20:00:00Z') }), true); // Mon 22:00
+        const tuesdayMorning = windowStatus(w, { now: at('2026-10-20T00:00:00Z') }); // Tue 02:00
+        assert.equal(tuesdayMorning.open, true);
+        assert.equal(tuesdayMorning.date, '2026-10-19');
+        assert.equal(tuesdayMorning.closesAt.toISOString(), '2026-10-20T04:00:00.000Z');
+        assert.equal(isWindowOpen(w, { now: at('2026-10-20T04:01:00Z') }), false); // Tue 06:01
+        // Tuesday 22:00 is not an occurrence, and neither is Monday 02:00 (Sunday night did not run)
+        assert.equal(isWindowOpen(w, { now: at('2026-10-20T20:30:00Z') }), false);
+        assert.equal(isWindowOpen(w, { now: at('2026-10-19T00:00:00Z') }), false);
+    });
+
+    test('an overnight occurrence belongs to the day it opened on in the calendar', () => {
+        const w = overnight();
+        const mondayHoliday = [entry('holiday', '2026-10-19')];
+        assert.equal(isWindowOpen(w, { now: at('2026-10-20T00:00:00Z'), calendar: mondayHoliday }), false);
+        const tuesdayHoliday = [entry('holiday', '2026-10-20')];
+        assert.equal(isWindowOpen(w, { now: at('2026-10-20T00:00:00Z'), calendar: tuesdayHoliday }), true);
+    });
+
+    test('calendar closes and opens days', () => {
+        const monday = at('2026-10-19T06:00:00Z');
+        assert.equal(isWindowOpen(harare(), { now: monday, calendar: [entry('closure', '2026-10-19')] }), false);
+        const saturday = at('2026-10-24T06:00:00Z');
+        assert.equal(isWindowOpen(harare(), { now: saturday }), false);
+        assert.equal(isWindowOpen(harare(), { now: saturday, calendar: [entry('extra_day', '2026-10-24')] }), true);
+    });
+
+    test('inactive windows are never open', () => {
+        const s = windowStatus(harare({ active: false }), { now: at('2026-10-19T06:00:00Z') });
+        assert.equal(s.open, false);
+        assert.equal(s.nextOpensAt, null);
+    });
+
+    test('reports the current occurrence and the next opening', () => {
+        const open = windowStatus(harare(), { now: at('2026-10-19T06:00:00Z') });
+        assert.equal(open.open, true);
+        assert.equal(open.opensAt.toISOString(), '2026-10-19T05:30:00.000Z');
+        assert.equal(open.closesAt.toISOString(), '2026-10-19T08:00:00.000Z');
+        assert.equal(open.nextOpensAt.toISOString(), '2026-10-20T05:30:00.000Z');
+
+        const friday = windowStatus(harare(), { now: at('2026-10-23T09:00:00Z') });
+        assert.equal(friday.open, false);
+        assert.equal(friday.opensAt, null);
+        assert.equal(friday.nextOpensAt.toISOString(), '2026-10-26T05:30:00.000Z'); // skips the weekend
+        assert.equal(friday.nextClosesAt.toISOString(), '2026-10-26T08:00:00.000Z');
+    });
+
+    test('next opening skips calendar closures and gives up after the horizon', () => {
+        const week = [entry('holiday', '2026-10-26', '2026-10-30')];
+        const s = windowStatus(harare(), { now: at('2026-10-23T09:00:00Z'), calendar: week });
+        assert.equal(s.nextOpensAt.toISOString(), '2026-11-02T05:30:00.000Z');
+        const long = [entry('closure', '2026-10-24', '2026-12-31')];
+        assert.equal(windowStatus(harare(), { now: at('2026-10-23T09:00:00Z'), calendar: long }).nextOpensAt, null);
+    });
+
+    test('calendarToday explains a closed day', () => {
+        const s = windowStatus(harare(), { now: at('2026-10-19T06:00:00Z'), calendar: [entry('holiday', '2026-10-19')] });
+        assert.deepEqual(s.calendarToday, { date: '2026-10-19', status: 'closed', reason: 'holiday 2026-10-19' });
+        assert.deepEqual(
+            windowCalendarToday([], harare(), { now: at('2026-10-19T22:30:00Z') }),
+            { date: '2026-10-20', status: 'normal', reason: null }
+        );
+    });
+
+    test('works on mongoose-like documents with string times missing', () => {
+        const allDay = harare({ startTime: undefined, endTime: undefined, daysOfWeek: undefined });
+        assert.equal(isWindowOpen(allDay, { now: at('2026-10-24T21:58:00Z') }), true);
+    });
+});
+
+describe('openWindows / nextOpening', () => {
+    const breakfast = harare({ _id: 'a', priority: 0 });
+    const staff = harare({ _id: 'b', name: 'Staff', priority: 5 });
+    const lunch = harare({ _id: 'c', name: 'Lunch', startTime: '12:00', endTime: '14:00' });
+
+    test('open windows come highest priority first', () => {
+        const open = openWindows([breakfast, lunch, staff], { now: at('2026-10-19T06:00:00Z') });
+        assert.deepEqual(open.map(w => w._id), ['b', 'a']);
+        assert.deepEqual(openWindows(null), []);
+    });
+
+    test('nextOpening picks the soonest window', () => {
+        const next = nextOpening([breakfast, lunch], { now: at('2026-10-19T08:30:00Z') });
+        assert.equal(next.window._id, 'c');
+        assert.equal(next.opensAt.toISOString(), '2026-10-19T10:00:00.000Z');
+        assert.equal(nextOpening([], {}), null);
+    });
+});
+
+describe('periodsAllowAt', () => {
+    test('no periods means always available', () => {
+        assert.equal(periodsAllowAt([], at('2026-10-19T03:00:00Z')), true);
+        assert.equal(periodsAllowAt(undefined, at('2026-10-19T03:00:00Z')), true);
+    });
+
+    test('periods are school wall-clock times', () => {
+        const periods = [{ dayOfWeek: 1, startTime: '07:00', endTime: '09:00' }];
+        assert.equal(periodsAllowAt(periods, at('2026-10-19T05:30:00Z')), true); // Mon 07:30 Harare
+        assert.equal(periodsAllowAt(periods, at('2026-10-19T07:30:00Z')), false); // Mon 09:30 Harare
+        assert.equal(periodsAllowAt(periods, at('2026-10-19T07:30:00Z'), 'UTC'), true); // Mon 07:30 UTC
+    });
+
+    test('periods without a day cover every day; overnight periods run into the next day', () => {
+        assert.equal(periodsAllowAt([{ startTime: '10:00', endTime: '11:00' }], at('2026-10-24T08:30:00Z')), true);
+        const lateMonday = [{ dayOfWeek: 1, startTime: '22:00', endTime: '02:00' }];
+        assert.equal(periodsAllowAt(lateMonday, at('2026-10-19T23:00:00Z')), true); // Tue 01:00
+        assert.equal(periodsAllowAt(lateMonday, at('2026-10-20T23:00:00Z')), false); // Wed 01:00
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Background jobs for the Node.js server (started once per process from src/instrumentation.js)
+ * - Every minute: release due pre-orders (lib/preorders.js) and place due subscription orders (lib/subscriptions.js).
+ * - Runs never overlap within a process; the jobs themselves are safe to run on several instances at once.
+ * - DISABLE_SCHEDULER=1 turns it off (e.g. on extra instances or while running scripts).
+ */
+
+import { connectToDatabase } from '@/models/allModels.js';
+import { releaseDueScheduledOrders } from '@/lib/preorders.js';
+import { runDueSubscriptions } from '@/lib/subscriptions.js';
+
+const TICK_MS = 60 * 1000;
+
+const JOBS = [
+    ['pre-orders', () => releaseDueScheduledOrders()],
+    ['subscriptions', () => runDueSubscriptions()]
+];
+
+async function tick(state) {
+    if (state.running) return;
+    state.running = true;
+    try {
+        await connectToDatabase();
+        for (const [name, job] of JOBS) {
+            try {
+                await job();
+            } catch (err) {
+                console.warn(`Scheduled job "${name}" failed:`, err?.message || err);
+            }
+        }
+    } catch (err) {
+        console.warn('Scheduler tick failed:', err?.message || err);
+    } finally {
+        state.running = false;
+    }
+}
+
+export function startScheduler() {
+    if (process.env.DISABLE_SCHEDULER === '1' || process.env.DISABLE_SCHEDULER === 'true') return false;
+    // cached on globalThis so dev reloads do not start a second timer
+    if (globalThis.__rivercafeScheduler) return true;
+    const state = { running: false, timer: null };
+    state.timer = setInterval(() => tick(state), TICK_MS);
+    state.timer.unref?.();
+    globalThis.__rivercafeScheduler = state;
+    return true;
+}
@@ -0,0 +1,116 @@
+/**
+ * School calendar: terms, holidays, one-off closures and extra days on top of the weekly ordering windows
+ * - CalendarEntry (allModels.js): { type, name, startDate, endDate, scope, windows, notes } with local dates
+ *   'YYYY-MM-DD' (inclusive), read in each window's timezone.
+ *     term       the school is in session; once any term exists, days outside every term are a break (closed)
+ *     holiday    closed (public holidays, exam days, breaks inside a term)
+ *     closure    closed, beats everything (one-off: water outage, sports day); may target single windows
+ *     extra_day  open even on a weekday the window does not normally run (make-up Saturday); beats holidays
+ * - scope: 'all' | 'ordinary' (OrderingWindow) | 'special' (SpecialOrderingWindow); windows: [window ids] narrows
+ *   holidays / closures / extra days to those windows (empty = every window of the scope).
+ * - The legacy Setting "school.holidays" (array of YYYY-MM-DD) still counts: its dates become holiday entries.
+ */
+
+export const CALENDAR_ENTRY_TYPES = ['term', 'holiday', 'closure', 'extra_day'];
+export const CALENDAR_SCOPES = ['all', 'ordinary', 'special'];
+export const LEGACY_HOLIDAYS_KEY = 'school.holidays';
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_ENTRY_DAYS = 366;
+const UPCOMING_DAYS = 30;
+
+function validDate(value) {
+    const m = DATE_RE.exec(String(value || '').trim());
+    if (!m) return null;
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    return d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]) ? m[0] : null;
+}
+
+const daysBetween = (a, b) => Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+
+/**
+ * normalizeCalendarEntry(input)
+ * - Admin payload -> schema shape. endDate defaults to startDate; terms may be long, other entries span at most a year.
+ * - Returns { entry } or { error }.
+ */
+export function normalizeCalendarEntry(input) {
+    if (!input || typeof input !== 'object') return { error: 'Calendar entry must be an object' };
+    const type = String(input.type || '').trim();
+    if (!CALENDAR_ENTRY_TYPES.includes(type)) return { error: `type must be one of ${CALENDAR_ENTRY_TYPES.join(', ')}` };
+    const name = String(input.name || '').trim().slice(0, 80);
+    if (!name) return { error: 'name is required' };
+    const startDate = validDate(input.startDate);
+    if (!startDate) return { error: 'startDate must be a valid YYYY-MM-DD date' };
+    const endDate = input.endDate ? validDate(input.endDate) : startDate;
+    if (!endDate) return { error: 'endDate must be a valid YYYY-MM-DD date' };
+    if (endDate < startDate) return { error: 'endDate cannot be before startDate' };
+    if (type !== 'term' && daysBetween(startDate, endDate) >= MAX_ENTRY_DAYS) {
+        return { error: `A ${type.replace('_', ' ')} can span at most ${MAX_ENTRY_DAYS} days` };
+    }
+    const scope = input.scope ? String(input.scope) : 'all';
+    if (!CALENDAR_SCOPES.includes(scope)) return { error: `scope must be one of ${CALENDAR_SCOPES.join(', ')}` };
+    const windows = (Array.isArray(input.windows) ? input.windows : []).map(String).filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+    if (type === 'term' && windows.length) return { error: 'Terms apply to every window; leave windows empty' };
+    return {
+        entry: { type, name, startDate, endDate, scope, windows: [...new Set(windows)], notes: String(input.notes || '').trim().slice(0, 500) }
+    };
+}
+
+/* Holiday entries for the dates of the legacy Setting "school.holidays" */
+export function legacyHolidayEntries(value) {
+    return (Array.isArray(value) ? value : [])
+        .map(validDate)
+        .filter(Boolean)
+        .map(date => ({ type: 'holiday', name: 'Holiday', startDate: date, endDate: date, scope: 'all', windows: [], legacy: true }));
+}
+
+/* Whether an entry applies to a window of `scope` (and, when given, that window id) on date */
+function applies(entry, date, { scope, windowId }) {
+    if (entry.startDate > date || entry.endDate < date) return false;
+    if (entry.scope && entry.scope !== 'all' && scope && entry.scope !== scope) return false;
+    const windows = (entry.windows || []).map(String);
+    return !windows.length || !windowId || windows.includes(String(windowId));
+}
+
+/**
+ * calendarDay(entries, date, { scope, windowId })
+ * - What the calendar says about a window on a local date:
+ *   { status: 'closed', reason, entry } | { status: 'extra', reason, entry } | { status: 'normal' }
+ *   'extra' means open regardless of the window's daysOfWeek; 'normal' leaves the weekly rules in charge.
+ */
+export function calendarDay(entries = [], date, { scope = 'ordinary', windowId = null } = {}) {
+    const list = Array.isArray(entries) ? entries : [];
+    const match = (type) => list.find(e => e.type === type && applies(e, date, { scope, windowId }));
+    const closure = match('closure');
+    if (closure) return { status: 'closed', reason: closure.name, entry: closure };
+    const extra = match('extra_day');
+    if (extra) return { status: 'extra', reason: extra.name, entry: extra };
+    const holiday = match('holiday');
+    if (holiday) return { status: 'closed', reason: holiday.name, entry: holiday };
+    const terms = list.filter(e => e.type === 'term' && (!e.scope || e.scope === 'all' || !scope || e.scope === scope));
+    if (terms.length && !terms.some(t => t.startDate <= date && date <= t.endDate)) {
+        return { status: 'closed', reason: 'School break', entry: null };
+    }
+    return { status: 'normal' };
+}
+
+/**
+ * upcomingCalendar(entries, now)
+ * - Entries overlapping the next UPCOMING_DAYS days (from the UTC date, a day early to cover every timezone)
+ *   without notes / authors, for the public window feeds. Later terms are kept too so calendarDay() on the
+ *   client still sees a break between terms.
+ */
+export function upcomingCalendar(entries = [], now = new Date()) {
+    const from = new Date(now.getTime() - 86400000).toISOString().slice(0, 10);
+    const to = new Date(now.getTime() + UPCOMING_DAYS * 86400000).toISOString().slice(0, 10);
+    return entries
+        .filter(e => e.endDate >= from && (e.startDate <= to || e.type === 'term'))
+        .map(e => ({
+            type: e.type,
+            name: e.name,
+            startDate: e.startDate,
+            endDate: e.endDate,
+            scope: e.scope || 'all',
+            windows: (e.windows || []).map(String)
+        }));
+}
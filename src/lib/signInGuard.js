@@ -0,0 +1,173 @@
+/**
+ * Sign-in throttling and history around NextAuth's authorize() (policy in lib/loginThrottle.js)
+ * - checkSignIn() runs before the password is checked and refuses locked or throttled accounts / IPs.
+ * - recordSignIn() stores every attempt (LoginAttempt) and counts failures; a success clears the account's counter
+ *   and gives the IP back part of its failures.
+ * - The IT dashboard lists attempts and locked accounts, and unlockAccount() clears a lockout (AuditLog).
+ */
+
+import { connectToDatabase, User, LoginAttempt, LoginThrottle, AuditLog } from '@/models/allModels.js';
+import {
+    FAILED_OUTCOMES,
+    FAILURE_WINDOW_MS,
+    SIGN_IN_OUTCOMES,
+    THROTTLE_POLICY,
+    lockoutMs,
+    normalizeIdentifier,
+    shouldLock,
+    throttleCheck,
+    throttleKeys
+} from '@/lib/loginThrottle.js';
+
+const accountKey = (userId) => `account:${userId}`;
+
+/**
+ * checkSignIn({ userId, identifier, ip }, now)
+ * - { ok: true } or the strictest refusal of the account and IP counters:
+ *   { ok: false, outcome: 'locked' | 'throttled', retryAfterSeconds }.
+ */
+export async function checkSignIn(attempt, now = new Date()) {
+    const keys = throttleKeys(attempt);
+    if (!keys.length) return { ok: true };
+    const counters = await LoginThrottle.find({ key: { $in: keys.map(k => k.key) } }).lean();
+    const byKey = new Map(counters.map(c => [c.key, c]));
+
+    let refusal = null;
+    for (const { key, kind } of keys) {
+        const check = throttleCheck(byKey.get(key), kind, now);
+        if (check.ok) continue;
+        const stricter = !refusal
+            || (check.outcome === 'locked' && refusal.outcome !== 'locked')
+            || (check.outcome === refusal.outcome && check.retryAfterSeconds > refusal.retryAfterSeconds);
+        if (stricter) refusal = check;
+    }
+    return refusal || { ok: true };
+}
+
+/* One more failure on a counter; locks it when the policy says so */
+async function registerFailure(key, kind, now) {
+    await LoginThrottle.updateOne(
+        { key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+        { $set: { failures: 0 } }
+    );
+    const counter = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    if (!shouldLock(kind, counter.failures)) return;
+    const lockouts = Number(counter.lockouts || 0) + 1;
+    // matched on the failure count so parallel attempts lock (and escalate) only once
+    await LoginThrottle.updateOne(
+        { key, failures: counter.failures },
+        { $set: { failures: 0, lockouts, lockedUntil: new Date(now.getTime() + lockoutMs(lockouts)) } }
+    );
+}
+
+/* A successful sign-in: the account starts over, the IP loses forgivenPerSuccess failures */
+async function registerSuccess(key, kind) {
+    const { forgivenPerSuccess } = THROTTLE_POLICY[kind] || THROTTLE_POLICY.account;
+    if (forgivenPerSuccess === null) {
+        await LoginThrottle.deleteOne({ key });
+        return;
+    }
+    await LoginThrottle.updateOne({ key, failures: { $gte: forgivenPerSuccess } }, { $inc: { failures: -forgivenPerSuccess } });
+}
+
+/**
+ * recordSignIn({ userId, identifier, ip, userAgent, outcome, reason }, now)
+ * - Stores the attempt and updates the counters. Never throws: a broken history must not block sign-in.
+ */
+export async function recordSignIn({ userId = null, identifier = '', ip = null, userAgent = null, outcome, reason = null }, now = new Date()) {
+    try {
+        await LoginAttempt.create({
+            identifier: normalizeIdentifier(identifier),
+            user: userId,
+            outcome,
+            reason,
+            ip,
+            userAgent: userAgent ? String(userAgent).slice(0, 300) : null
+        });
+        if (FAILED_OUTCOMES.includes(outcome)) {
+            for (const { key, kind } of throttleKeys({ userId, identifier, ip })) {
+                await registerFailure(key, kind, now);
+            }
+        } else if (outcome === 'success' && userId) {
+            for (const { key, kind } of throttleKeys({ userId, ip })) {
+                await registerSuccess(key, kind);
+            }
+        }
+    } catch (e) {
+        console.warn('Sign-in record failed', e?.message || e);
+    }
+}
+
+/**
+ * listSignInAttempts({ outcome, q, limit, before })
+ * - Newest first with the account (name, email, regNumber, role); q matches the typed identifier or the IP.
+ */
+export async function listSignInAttempts({ outcome = null, q = '', limit = 50, before = null } = {}) {
+    await connectToDatabase();
+    const filter = {};
+    if (outcome && SIGN_IN_OUTCOMES.includes(outcome)) filter.outcome = outcome;
+    const text = String(q || '').trim();
+    if (text) {
+        const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [{ identifier: { $regex: escaped, $options: 'i' } }, { ip: { $regex: `^${escaped}` } }];
+    }
+    if (before && !Number.isNaN(new Date(before).getTime())) filter.createdAt = { $lt: new Date(before) };
+    return LoginAttempt.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(200, Math.max(1, Number(limit) || 50)))
+        .populate('user', 'name email regNumber role')
+        .lean();
+}
+
+/* Accounts locked right now: [{ user, lockedUntil, lockouts }] */
+export async function lockedAccounts(now = new Date()) {
+    await connectToDatabase();
+    const counters = await LoginThrottle.find({ key: /^account:/, lockedUntil: { $gt: now } })
+        .sort({ lockedUntil: -1 })
+        .lean();
+    const ids = counters.map(c => c.key.slice('account:'.length));
+    const users = await User.find({ _id: { $in: ids } }).select('name email regNumber role').lean();
+    const byId = new Map(users.map(u => [String(u._id), u]));
+    return counters
+        .map(c => ({ user: byId.get(c.key.slice('account:'.length)) || null, lockedUntil: c.lockedUntil, lockouts: c.lockouts }))
+        .filter(l => l.user);
+}
+
+/* { userId: lockedUntil } for the given users that are locked right now */
+export async function accountLockMap(userIds = [], now = new Date()) {
+    if (!userIds.length) return {};
+    const counters = await LoginThrottle.find({ key: { $in: userIds.map(id => accountKey(id)) }, lockedUntil: { $gt: now } })
+        .select('key lockedUntil')
+        .lean();
+    return Object.fromEntries(counters.map(c => [c.key.slice('account:'.length), c.lockedUntil]));
+}
+
+/**
+ * unlockAccount(userId, { actorId, ip, userAgent })
+ * - Clears the account's failures and lockout; returns { wasLocked }. Written to the AuditLog as 'sign_in_unlock'.
+ */
+export async function unlockAccount(userId, { actorId = null, ip = null, userAgent = null } = {}) {
+    await connectToDatabase();
+    const user = await User.findById(userId).select('_id role').lean();
+    if (!user) return null;
+    const counter = await LoginThrottle.findOneAndDelete({ key: accountKey(user._id) }).lean();
+    const wasLocked = !!(counter?.lockedUntil && new Date(counter.lockedUntil) > new Date());
+    try {
+        await AuditLog.create({
+            actor: actorId,
+            action: 'sign_in_unlock',
+            collectionName: 'users',
+            documentId: user._id,
+            changes: { wasLocked, failures: counter?.failures || 0, lockouts: counter?.lockouts || 0 },
+            ip,
+            userAgent
+        });
+    } catch (e) {
+        console.warn('Audit log failed', e?.message || e);
+    }
+    return { wasLocked };
+}
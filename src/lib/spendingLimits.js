@@ -0,0 +1,168 @@
+/**
+ * Daily / weekly spending caps for students
+ * - Per-student caps live on User.spendingLimits ({ daily, weekly }; null = use the school default)
+ * - School defaults live in Settings "spendingLimits.daily" / "spendingLimits.weekly" (null or empty = no cap)
+ * - Days start at local midnight and weeks on Monday, in the "school.timezone" setting (DEFAULT_TIMEZONE when unset,
+ *   the same default as ordering windows)
+ *
+ * Pure helpers only — the spend totals are read from transactions in allModels.js (getSpendingAllowance).
+ */
+
+/* The school's zone when none is configured; lib/schedule.js re-exports it for ordering windows */
+export const DEFAULT_TIMEZONE = 'Africa/Harare';
+
+export const SPENDING_LIMIT_KEYS = {
+    daily: 'spendingLimits.daily',
+    weekly: 'spendingLimits.weekly',
+    timezone: 'school.timezone'
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/* null / '' / negative / non-numeric -> null (no cap); otherwise the cap rounded to cents */
+export function normalizeLimit(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) return null;
+    return round2(n);
+}
+
+export function isValidTimezone(tz) {
+    if (!tz || typeof tz !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/* minutes the zone is ahead of UTC at the given instant */
+function zoneOffsetMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find(p => p.type === type)?.value || 0);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/* the UTC instant of a local wall-clock time (minutes after midnight) on the given local calendar date */
+export function localDateTime(year, monthIndex, day, minutes, timezone) {
+    const guess = Date.UTC(year, monthIndex, day, 0, minutes);
+    let instant = guess - zoneOffsetMinutes(new Date(guess), timezone) * 60000;
+    // a DST change between the guess and the real time shifts the offset once more
+    instant = guess - zoneOffsetMinutes(new Date(instant), timezone) * 60000;
+    return new Date(instant);
+}
+
+/* the UTC instant of local midnight on the given local calendar date */
+function localMidnight(year, monthIndex, day, timezone) {
+    return localDateTime(year, monthIndex, day, 0, timezone);
+}
+
+/**
+ * spendingPeriodStarts(now, timezone)
+ * - Returns { dayStart, weekStart } as Dates; weeks start on Monday.
+ */
+export function spendingPeriodStarts(now = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short'
+    }).formatToParts(now);
+    const get = (type) => parts.find(p => p.type === type)?.value;
+    const year = Number(get('year'));
+    const monthIndex = Number(get('month')) - 1;
+    const day = Number(get('day'));
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+    const daysSinceMonday = (weekday + 6) % 7;
+
+    return {
+        dayStart: localMidnight(year, monthIndex, day, tz),
+        weekStart: localMidnight(year, monthIndex, day - daysSinceMonday, tz)
+    };
+}
+
+/**
+ * resolveSpendingLimits(userLimits, schoolDefaults, role)
+ * - A per-student value wins; otherwise students fall back to the school default.
+ * - Returns { daily: { limit, source }, weekly: { limit, source } } with source 'student' | 'school' | null.
+ */
+export function resolveSpendingLimits(userLimits = {}, schoolDefaults = {}, role = 'student') {
+    const pick = (period) => {
+        const own = normalizeLimit(userLimits?.[period]);
+        if (own !== null) return { limit: own, source: 'student' };
+        const school = role === 'student' ? normalizeLimit(schoolDefaults?.[period]) : null;
+        if (school !== null) return { limit: school, source: 'school' };
+        return { limit: null, source: null };
+    };
+    return { daily: pick('daily'), weekly: pick('weekly') };
+}
+
+/**
+ * Thrown when an order would exceed a daily or weekly cap.
+ * Routes map it to 403 and return err.allowance so the client can show what is left.
+ */
+export class SpendingLimitError extends Error {
+    constructor(message, allowance = null) {
+        super(message);
+        this.name = 'SpendingLimitError';
+        this.status = 403;
+        this.allowance = allowance;
+    }
+}
+
+/* Throws SpendingLimitError when `amount` does not fit in the remaining daily or weekly allowance */
+export function assertWithinAllowance(allowance, amount) {
+    const total = round2(amount);
+    for (const [period, label, when] of [['daily', 'Daily', 'today'], ['weekly', 'Weekly', 'this week']]) {
+        const a = allowance?.[period];
+        if (!a || a.limit === null || a.remaining === null) continue;
+        if (total > a.remaining) {
+            throw new SpendingLimitError(
+                `${label} spending limit reached: ${a.remaining.toFixed(2)} of ${a.limit.toFixed(2)} left ${when} (order total ${total.toFixed(2)})`,
+                allowance
+            );
+        }
+    }
+}
+
+/* Builds the { limit, spent, remaining, since, source } summary for one period */
+export function periodAllowance({ limit, source }, spent, since) {
+    const spentRounded = Math.max(0, round2(spent));
+    return {
+        limit,
+        source,
+        spent: spentRounded,
+        remaining: limit === null ? null : Math.max(0, round2(limit - spentRounded)),
+        since
+    };
+}
+
+/**
+ * applySpendingLimitsPatch(current, patch)
+ * - Merges { daily?, weekly? } into the current limits; null or "" clears a cap.
+ * - Returns { limits } or { error } for invalid input (negative / non-numeric, daily above weekly).
+ */
+export function applySpendingLimitsPatch(current = {}, patch = {}) {
+    const limits = {
+        daily: current?.daily ?? null,
+        weekly: current?.weekly ?? null
+    };
+    for (const period of ['daily', 'weekly']) {
+        if (!(period in patch)) continue;
+        const raw = patch[period];
+        const value = normalizeLimit(raw);
+        if (value === null && raw !== null && raw !== '' && raw !== undefined) {
+            return { error: `${period} limit must be a non-negative number` };
+        }
+        limits[period] = value;
+    }
+    if (limits.daily !== null && limits.weekly !== null && limits.daily > limits.weekly) {
+        return { error: 'Daily limit cannot exceed the weekly limit' };
+    }
+    return { limits };
+}
@@ -0,0 +1,33 @@
+/**
+ * Which days a recurring order subscription orders for (runDueSubscriptions in lib/subscriptions.js places them)
+ * - A day is due from `leadHours` before its window opens until the window closes, on the subscription's
+ *   weekdays that are also the window's; days up to lastRunDate are done.
+ * - A due day the school calendar closes is skipped, not ordered.
+ */
+
+import { windowOccurrence, windowTimezone, normalizeDays, localDate, addDays, weekdayOf } from './schedule.js';
+import { calendarDay } from './schoolCalendar.js';
+
+/* Target days (YYYY-MM-DD) whose order is due now: inside the lead time, window not closed, not yet handled */
+export function dueDates(sub, window, { now, leadHours }) {
+    const today = localDate(now, windowTimezone(window));
+    const windowDays = normalizeDays(window.daysOfWeek);
+    const dates = [];
+    for (let k = 0; k <= Math.ceil(leadHours / 24) + 1; k += 1) {
+        const date = addDays(today, k);
+        if (sub.lastRunDate && date <= sub.lastRunDate) continue;
+        const weekday = weekdayOf(date);
+        if (!(sub.daysOfWeek || []).includes(weekday)) continue;
+        if (windowDays.length && !windowDays.includes(weekday)) continue;
+        const { opensAt, closesAt } = windowOccurrence(window, date);
+        if (now < new Date(opensAt.getTime() - leadHours * 3600 * 1000) || now > closesAt) continue;
+        dates.push(date);
+    }
+    return dates;
+}
+
+/* The calendar entry name (or "School break") closing the window on date, or null when it is not closed */
+export function closedReason(calendar, window, date) {
+    const day = calendarDay(calendar, date, { scope: 'ordinary', windowId: window._id });
+    return day.status === 'closed' ? day.reason : null;
+}
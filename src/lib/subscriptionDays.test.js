@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { dueDates, closedReason } from './subscriptionDays.js';
+
+// Harare is UTC+2 all year; 2026-10-19 is a Monday. Breakfast opens 07:30 local (05:30Z).
+const at = (iso) => new Date(iso);
+const breakfast = {
+    _id: '64b000000000000000000001',
+    name: 'Breakfast',
+    daysOfWeek: [1, 2, 3, 4, 5],
+    startTime: '07:30',
+    endTime: '10:00',
+    timezone: 'Africa/Harare'
+};
+const weekdays = { daysOfWeek: [1, 2, 3, 4, 5], lastRunDate: null };
+
+describe('dueDates', () => {
+    test('the lead time reaches back over midnight into the evening before', () => {
+        // Tuesday 07:30 local - 12h = Monday 19:30 local (17:30Z)
+        assert.deepEqual(dueDates(weekdays, breakfast, { now: at('2026-10-19T17:00:00Z'), leadHours: 12 }), []);
+        assert.deepEqual(dueDates(weekdays, breakfast, { now: at('2026-10-19T18:00:00Z'), leadHours: 12 }), ['2026-10-20']);
+        // 01:30 local on Tuesday: the local date has moved on, the day is still due
+        assert.deepEqual(dueDates(weekdays, breakfast, { now: at('2026-10-19T23:30:00Z'), leadHours: 12 }), ['2026-10-20']);
+    });
+
+    test('a lead time over a day makes more than one day due; handled days drop out', () => {
+        const now = at('2026-10-18T20:00:00Z'); // Sunday 22:00 local
+        assert.deepEqual(dueDates(weekdays, breakfast, { now, leadHours: 36 }), ['2026-10-19', '2026-10-20']);
+        assert.deepEqual(dueDates({ ...weekdays, lastRunDate: '2026-10-19' }, breakfast, { now, leadHours: 36 }), ['2026-10-20']);
+    });
+
+    test('only days of both the subscription and the window, and not after the window closed', () => {
+        const now = at('2026-10-19T18:00:00Z');
+        assert.deepEqual(dueDates({ daysOfWeek: [1, 3] }, breakfast, { now, leadHours: 12 }), []);
+        // Friday evening: Saturday is not a breakfast day
+        assert.deepEqual(dueDates({ daysOfWeek: [0, 1, 2, 3, 4, 5, 6] }, breakfast, { now: at('2026-10-23T18:00:00Z'), leadHours: 12 }), []);
+        // Monday 11:00 local: today's breakfast is over, tomorrow's is not due yet
+        assert.deepEqual(dueDates(weekdays, breakfast, { now: at('2026-10-19T09:00:00Z'), leadHours: 12 }), []);
+    });
+});
+
+describe('closedReason', () => {
+    const holiday = { type: 'holiday', name: 'Heroes Day', startDate: '2026-10-20', endDate: '2026-10-20', scope: 'all', windows: [] };
+
+    test('a due day the calendar closes is named, so the run skips it instead of ordering', () => {
+        const due = dueDates(weekdays, breakfast, { now: at('2026-10-19T18:00:00Z'), leadHours: 12 });
+        assert.deepEqual(due.map(date => closedReason([holiday], breakfast, date)), ['Heroes Day']);
+        assert.equal(closedReason([holiday], breakfast, '2026-10-21'), null);
+        assert.equal(closedReason([], breakfast, '2026-10-20'), null);
+    });
+
+    test('breaks between terms close; closures of other windows or of special windows do not', () => {
+        const term = { type: 'term', name: 'Term 3', startDate: '2026-09-07', endDate: '2026-10-16', scope: 'all' };
+        assert.equal(closedReason([term], breakfast, '2026-10-20'), 'School break');
+        assert.equal(closedReason([{ ...holiday, windows: ['64b000000000000000000002'] }], breakfast, '2026-10-20'), null);
+        assert.equal(closedReason([{ ...holiday, scope: 'special' }], breakfast, '2026-10-20'), null);
+    });
+});
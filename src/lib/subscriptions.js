@@ -0,0 +1,354 @@
+/**
+ * Recurring order subscriptions
+ * - A Subscription (allModels.js) repeats the same items on chosen weekdays in one OrderingWindow.
+ *   Students manage their own; guardians manage their linked students' (same helpers, actor differs).
+ * - runDueSubscriptions() places each order through placeOrderAtomic `subscriptions.leadHours` hours
+ *   (Setting, default 12) before its window opens, as a pre-order (lib/preorders.js) when the window is still closed.
+ *   The Idempotency-Key "subscription:<id>:<date>" keeps a day from ever being ordered twice.
+ * - Days the school calendar closes (holidays, closures, breaks; lib/schoolCalendar.js) are skipped. The calendar
+ *   supersedes Setting "school.holidays", whose dates it still reads as holidays. Due days: lib/subscriptionDays.js.
+ * - Insufficient balance, out-of-stock / unavailable items, spending caps and blocked products pause the
+ *   subscription and notify the student (and the guardian who set it up).
+ * - Every generated order, skip and pause is written to AuditLog.
+ */
+
+import mongoose from 'mongoose';
+import {
+    User,
+    Product,
+    OrderingWindow,
+    Inventory,
+    Setting,
+    Subscription,
+    AuditLog,
+    placeOrderAtomic,
+    getSchoolCalendar,
+    notify
+} from '@/models/allModels.js';
+import { getPreorderSettings, validatePreorderTarget, preorderSchedule } from '@/lib/preorders.js';
+import { normalizeDays } from '@/lib/schedule.js';
+import { printOrderTickets } from '@/lib/printing.js';
+import { dueDates, closedReason } from '@/lib/subscriptionDays.js';
+import { bundleProductIds, priceOrderLine } from '@/lib/bundles.js';
+
+export const SUBSCRIPTION_SETTING_KEYS = {
+    leadHours: 'subscriptions.leadHours'
+};
+
+export const DEFAULT_LEAD_HOURS = 12;
+export const MAX_SUBSCRIPTIONS_PER_STUDENT = 10;
+
+const PAUSE_ERRORS = ['SpendingLimitError', 'ProductBlockedError', 'DietaryConflictError', 'ModifierSelectionError', 'BundleSelectionError'];
+
+/* { leadHours } from Settings */
+export async function getSubscriptionSettings() {
+    const docs = await Setting.find({ key: { $in: Object.values(SUBSCRIPTION_SETTING_KEYS) } }).lean();
+    const map = new Map(docs.map(d => [d.key, d.value]));
+    const lead = Number(map.get(SUBSCRIPTION_SETTING_KEYS.leadHours));
+    return {
+        leadHours: Number.isFinite(lead) && lead >= 0 ? lead : DEFAULT_LEAD_HOURS
+    };
+}
+
+/**
+ * parseSubscriptionInput(body, { partial })
+ * - body: { name?, items: [{ productId, qty, notes? }], daysOfWeek: [0..6], orderingWindowId, status? }
+ * - Returns { value } with model fields, or { error }. With partial only the given fields are checked.
+ */
+export async function parseSubscriptionInput(body = {}, { partial = false } = {}) {
+    const value = {};
+
+    if ('name' in body) value.name = String(body.name || '').trim().slice(0, 80);
+
+    if (!partial || 'items' in body) {
+        const items = Array.isArray(body.items) ? body.items : [];
+        if (!items.length) return { error: 'Add at least one item' };
+        const ids = items.map(it => String(it.productId || ''));
+        if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid product id' };
+        const products = await Product.find({ _id: { $in: ids } }).select('_id').lean();
+        const known = new Set(products.map(p => String(p._id)));
+        const unknown = ids.filter(id => !known.has(id));
+        if (unknown.length) return { error: `Unknown product(s): ${unknown.join(', ')}` };
+        value.items = items.map(it => ({
+            product: String(it.productId),
+            qty: Math.max(1, parseInt(it.qty || 1, 10) || 1),
+            notes: String(it.notes || '').slice(0, 200)
+        }));
+    }
+
+    if (!partial || 'daysOfWeek' in body) {
+        const days = [...new Set(normalizeDays(body.daysOfWeek))].sort();
+        if (!days.length) return { error: 'Choose at least one day of the week' };
+        value.daysOfWeek = days;
+    }
+
+    if (!partial || 'orderingWindowId' in body) {
+        const id = String(body.orderingWindowId || '');
+        const window = mongoose.Types.ObjectId.isValid(id) ? await OrderingWindow.findById(id).lean() : null;
+        if (!window) return { error: 'Ordering window not found' };
+        value.orderingWindow = window._id;
+    }
+
+    if ('status' in body) {
+        if (!['active', 'paused'].includes(body.status)) return { error: 'status must be active or paused' };
+        value.status = body.status;
+    }
+
+    return { value };
+}
+
+/* API shape: items carry product names and prices, the window its name and times */
+export function serializeSubscription(sub) {
+    const window = sub.orderingWindow && sub.orderingWindow.name !== undefined ? sub.orderingWindow : null;
+    return {
+        id: String(sub._id),
+        name: sub.name || '',
+        status: sub.status,
+        pausedReason: sub.pausedReason || null,
+        pausedAt: sub.pausedAt || null,
+        daysOfWeek: sub.daysOfWeek || [],
+        orderingWindow: window
+            ? { id: String(window._id), name: window.name, startTime: window.startTime, endTime: window.endTime }
+            : { id: String(sub.orderingWindow) },
+        items: (sub.items || []).map(it => ({
+            productId: String(it.product?._id || it.product),
+            name: it.product?.name || null,
+            price: it.product?.price ?? null,
+            qty: it.qty,
+            notes: it.notes || ''
+        })),
+        lastRunDate: sub.lastRunDate || null,
+        createdAt: sub.createdAt
+    };
+}
+
+export async function listSubscriptions(studentId) {
+    const subs = await Subscription.find({ user: studentId })
+        .sort({ createdAt: 1 })
+        .populate({ path: 'orderingWindow', select: 'name startTime endTime' })
+        .populate({ path: 'items.product', select: 'name price' })
+        .lean();
+    return subs.map(serializeSubscription);
+}
+
+/* One subscription of this student, as a document (null when not theirs) */
+export async function findStudentSubscription(studentId, id) {
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return null;
+    return Subscription.findOne({ _id: id, user: studentId });
+}
+
+async function auditSubscription(actor, action, sub, changes = {}, meta = {}) {
+    try {
+        await AuditLog.create({
+            actor: actor || null,
+            action,
+            collectionName: 'subscriptions',
+            documentId: sub._id,
+            changes,
+            meta
+        });
+    } catch (e) {
+        console.warn('Failed to write audit log:', e?.message || e);
+    }
+}
+
+/**
+ * saveSubscription({ student, actor, body, subscription })
+ * - Creates (no subscription) or updates one. Resuming (status 'active') clears the pause reason.
+ * - Returns { subscription } (serialized) or { error, status }.
+ */
+export async function saveSubscription({ student, actor, body, subscription = null }) {
+    const { value, error } = await parseSubscriptionInput(body, { partial: !!subscription });
+    if (error) return { error, status: 400 };
+
+    let doc = subscription;
+    if (!doc) {
+        const count = await Subscription.countDocuments({ user: student._id });
+        if (count >= MAX_SUBSCRIPTIONS_PER_STUDENT) {
+            return { error: `At most ${MAX_SUBSCRIPTIONS_PER_STUDENT} subscriptions per student`, status: 400 };
+        }
+        doc = new Subscription({ user: student._id, createdBy: actor?._id || null, status: 'active' });
+    }
+    const before = subscription ? serializeSubscription(subscription.toObject()) : null;
+
+    Object.assign(doc, value);
+    if (value.status === 'active') {
+        doc.pausedReason = undefined;
+        doc.pausedAt = undefined;
+    } else if (value.status === 'paused' && !doc.pausedAt) {
+        doc.pausedReason = 'Paused by user';
+        doc.pausedAt = new Date();
+    }
+    await doc.save();
+
+    await auditSubscription(actor?._id, subscription ? 'subscription_update' : 'subscription_create', doc, {
+        before,
+        after: serializeSubscription(doc.toObject())
+    }, { student: student._id });
+
+    const [fresh] = await Subscription.find({ _id: doc._id })
+        .populate({ path: 'orderingWindow', select: 'name startTime endTime' })
+        .populate({ path: 'items.product', select: 'name price' })
+        .lean();
+    return { subscription: serializeSubscription(fresh) };
+}
+
+export async function deleteSubscription(sub, actor) {
+    await Subscription.deleteOne({ _id: sub._id });
+    await auditSubscription(actor?._id, 'subscription_delete', sub, { before: serializeSubscription(sub.toObject()) });
+}
+
+/* Pause, remember the day as handled and tell the student (and the guardian who created it) */
+async function pauseSubscription(sub, date, reason) {
+    sub.status = 'paused';
+    sub.pausedReason = reason;
+    sub.pausedAt = new Date();
+    sub.lastRunDate = date;
+    await sub.save();
+    await auditSubscription(null, 'subscription_paused', sub, { status: 'paused' }, { serviceDate: date, reason });
+
+    const message = {
+        type: 'order',
+        title: `Subscription paused${sub.name ? `: ${sub.name}` : ''}`,
+        body: `The order for ${date} was not placed: ${reason}. Resume the subscription once this is sorted out.`,
+        meta: { event: 'subscription_paused', subscriptionId: sub._id, serviceDate: date, reason }
+    };
+    await notify(sub.user, message);
+    if (sub.createdBy && String(sub.createdBy) !== String(sub.user)) await notify(sub.createdBy, message);
+}
+
+/* The placeOrderAtomic items of one day's order */
+const orderItems = (sub) => sub.items.map(it => ({ productId: String(it.product), qty: it.qty, notes: it.notes || '' }));
+
+/* Why this day's order cannot be placed (unavailable / out of stock / balance), or null */
+async function blockingReason(sub, products, student) {
+    const byId = new Map(products.map(p => [String(p._id), p]));
+    // lines are priced like placeOrderAtomic prices them: modifier and bundle surcharges included
+    const priceMap = new Map(byId);
+    const componentIds = products.flatMap(bundleProductIds).filter(id => !priceMap.has(id));
+    if (componentIds.length) {
+        for (const c of await Product.find({ _id: { $in: componentIds } }).lean()) priceMap.set(String(c._id), c);
+    }
+
+    let total = 0;
+    for (const it of orderItems(sub)) {
+        const p = byId.get(it.productId);
+        if (!p || p.available === false) return `${p?.name || 'An item'} is no longer available`;
+        const stocked = await Inventory.countDocuments({ product: p._id, active: true });
+        if (stocked > 0 && (await Inventory.getTotalForProduct(p._id)) < it.qty) return `${p.name} is out of stock`;
+        try {
+            total += priceOrderLine(p, it, priceMap).price * it.qty;
+        } catch (err) {
+            if (PAUSE_ERRORS.includes(err?.name)) return err.message;
+            throw err;
+        }
+    }
+    if (Number(student.balance || 0) < total) return `Insufficient balance (${total.toFixed(2)} needed)`;
+    return null;
+}
+
+async function runForDate(sub, window, date, { preorderSettings, calendar, leadHours }) {
+    const closed = closedReason(calendar, window, date);
+    if (closed !== null) {
+        sub.lastRunDate = date;
+        await sub.save();
+        await auditSubscription(null, 'subscription_skipped', sub, {}, { serviceDate: date, reason: 'calendar', calendar: closed });
+        return 'skipped';
+    }
+
+    const [student, products] = await Promise.all([
+        User.findById(sub.user),
+        Product.find({ _id: { $in: sub.items.map(it => it.product) } }).lean()
+    ]);
+    if (!student || student.isActive === false) {
+        await pauseSubscription(sub, date, 'Student account is inactive');
+        return 'paused';
+    }
+
+    // the lead time, not the students' pre-order horizon, decides how far ahead a subscription orders
+    const maxDaysAhead = Math.max(preorderSettings.maxDaysAhead, Math.ceil(leadHours / 24) + 1);
+    const check = validatePreorderTarget({ window, date, products, maxDaysAhead, calendar });
+    if (!check.ok) {
+        await pauseSubscription(sub, date, check.error);
+        return 'paused';
+    }
+    const reason = await blockingReason(sub, products, student);
+    if (reason) {
+        await pauseSubscription(sub, date, reason);
+        return 'paused';
+    }
+
+    let result;
+    try {
+        result = await placeOrderAtomic(student._id, {
+            items: orderItems(sub),
+            orderingWindowId: window._id,
+            external: false,
+            issuedByAdminId: null,
+            idempotencyKey: `subscription:${sub._id}:${date}`,
+            schedule: preorderSchedule(check, preorderSettings)
+        });
+    } catch (err) {
+        const msg = err?.message || '';
+        if (PAUSE_ERRORS.includes(err?.name) || /Insufficient (balance|stock)/i.test(msg)) {
+            await pauseSubscription(sub, date, msg);
+            return 'paused';
+        }
+        if (err?.name === 'IdempotencyMismatchError') {
+            // this day was ordered before the subscription was edited
+            sub.lastRunDate = date;
+            await sub.save();
+            return 'skipped';
+        }
+        throw err;
+    }
+
+    const order = result.order;
+    sub.lastRunDate = date;
+    sub.lastOrder = order._id;
+    await sub.save();
+    if (!result.replayed && order.status !== 'scheduled') printOrderTickets(order);
+    await auditSubscription(null, 'subscription_order', sub, {
+        order: order._id,
+        code: order.code,
+        total: order.total,
+        status: order.status
+    }, { serviceDate: date, student: sub.user, replayed: !!result.replayed });
+    return 'ordered';
+}
+
+/**
+ * runDueSubscriptions({ now })
+ * - Places every due subscription order; one failing subscription never stops the others.
+ * - Returns { ordered, skipped, paused, failed } counts.
+ */
+export async function runDueSubscriptions({ now = new Date() } = {}) {
+    const counts = { ordered: 0, skipped: 0, paused: 0, failed: 0 };
+    const subs = await Subscription.find({ status: 'active' });
+    if (!subs.length) return counts;
+
+    const [{ leadHours }, preorderSettings, calendar] = await Promise.all([
+        getSubscriptionSettings(),
+        getPreorderSettings(),
+        getSchoolCalendar()
+    ]);
+    const windows = new Map((await OrderingWindow.find({ _id: { $in: subs.map(s => s.orderingWindow) } }).lean())
+        .map(w => [String(w._id), w]));
+
+    for (const sub of subs) {
+        const window = windows.get(String(sub.orderingWindow));
+        if (!window || window.active === false) continue;
+        for (const date of dueDates(sub, window, { now, leadHours })) {
+            try {
+                const outcome = await runForDate(sub, window, date, { preorderSettings, calendar, leadHours });
+                counts[outcome] += 1;
+                if (outcome === 'paused') break;
+            } catch (err) {
+                counts.failed += 1;
+                console.warn(`Subscription ${sub._id} (${date}) failed:`, err?.message || err);
+                break;
+            }
+        }
+    }
+    return counts;
+}
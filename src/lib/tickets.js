@@ -0,0 +1,330 @@
+/**
+ * Kitchen tickets and customer receipts
+ * - buildTicket() turns an Order / SpecialOrder into a plain ticket object; the renderers below never touch the database
+ * - renderEscPos(): byte stream for 80mm thermal printers (the QR is drawn by the printer via GS ( k)
+ * - renderPdf():    single-page 80mm PDF using the built-in Courier fonts, same layout as the thermal ticket
+ * - renderHtml():   printable HTML page (inline SVG QR), optionally calling window.print() on load
+ */
+
+import QRCode from 'qrcode';
+
+export const TICKET_KINDS = ['receipt', 'kitchen'];
+export const TICKET_FORMATS = ['pdf', 'html', 'escpos'];
+
+const SHOP_NAME = "River'Cafe";
+const DEFAULT_COLUMNS = 42; // Font A on 80mm paper
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+/* Thermal printers and the PDF base fonts only cover ASCII safely */
+const ascii = (s) => String(s ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+function formatWhen(date, timezone) {
+    const d = date ? new Date(date) : new Date();
+    try {
+        return new Intl.DateTimeFormat('en-GB', { timeZone: timezone || 'UTC', dateStyle: 'short', timeStyle: 'short' }).format(d);
+    } catch (e) {
+        return d.toISOString().slice(0, 16).replace('T', ' ');
+    }
+}
+
+const defaultStationOf = (it) => (it?.prepStation ? String(it.prepStation) : 'unassigned');
+
+/**
+ * buildTicket(order, { kind, isSpecial, station, stationOf, balanceAfter, timezone, qrText })
+ * - kind: 'receipt' (customer copy: prices, total, balance, QR) or 'kitchen' (lines to prepare, no prices)
+ * - station: { id, name } -> only the lines whose stationOf(item) is station.id (kitchen tickets)
+ * - qrText: what the QR encodes; defaults to the pickup code
+ */
+export function buildTicket(order, {
+    kind = 'receipt',
+    isSpecial = false,
+    station = null,
+    stationOf = defaultStationOf,
+    balanceAfter = null,
+    timezone = 'UTC',
+    qrText = null
+} = {}) {
+    if (!TICKET_KINDS.includes(kind)) throw new Error(`Unknown ticket kind: ${kind}`);
+
+    const stationId = station?.id ? String(station.id) : null;
+    const items = (order?.items || [])
+        .filter(it => !stationId || stationOf(it) === stationId)
+        .map(it => ({
+            name: it.name || 'Item',
+            qty: Number(it.qty || 0),
+            price: Number(it.price || 0),
+            // combo components, then chosen modifier options
+            details: [
+                ...(it.components || []).map(c => (Number(c.qty || 1) > 1 ? `${c.qty} x ${c.name}` : c.name)),
+                ...(it.modifiers || []).map(m => m.option)
+            ].filter(Boolean),
+            notes: it.notes || '',
+            allergens: Array.isArray(it.allergens) ? it.allergens.filter(Boolean) : []
+        }));
+
+    return {
+        kind,
+        code: order?.code || '',
+        isSpecial: !!isSpecial,
+        external: !isSpecial && !!order?.external,
+        regNumber: order?.regNumber || null,
+        station: station ? { id: stationId, name: station.name || 'Station' } : null,
+        placedAt: formatWhen(order?.createdAt, timezone),
+        items,
+        total: Number(order?.total || 0),
+        balanceAfter: balanceAfter === null || balanceAfter === undefined ? null : Number(balanceAfter),
+        remarks: order?.remarks || '',
+        qrText: qrText || order?.code || ''
+    };
+}
+
+const pad = (left, right, columns) => {
+    const l = ascii(left);
+    const r = ascii(right);
+    const space = columns - r.length;
+    if (space <= 1) return [l, r.padStart(columns)];
+    return [(l.length >= space ? l.slice(0, space - 1) : l).padEnd(space) + r];
+};
+
+function wrap(text, columns, indent = '') {
+    const words = ascii(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let cur = indent;
+    for (const w of words) {
+        if (cur.trim() && (cur + ' ' + w).length > columns) {
+            lines.push(cur);
+            cur = indent + w;
+        } else {
+            cur = cur.trim() ? `${cur} ${w}` : indent + w;
+        }
+    }
+    if (cur.trim()) lines.push(cur);
+    return lines;
+}
+
+/**
+ * ticketLines(ticket, columns)
+ * - The shared monospace layout: [{ text, bold, large, align, qr }] used by the ESC/POS and PDF renderers.
+ */
+export function ticketLines(ticket, columns = DEFAULT_COLUMNS) {
+    const out = [];
+    const push = (text, opts = {}) => out.push({ text: ascii(text), bold: false, large: false, align: 'left', ...opts });
+    const rule = () => push('-'.repeat(columns));
+    const receipt = ticket.kind === 'receipt';
+
+    push(SHOP_NAME, { align: 'center', bold: true });
+    push(receipt ? 'RECEIPT' : `KITCHEN${ticket.station ? ` - ${ticket.station.name}` : ''}`, { align: 'center' });
+    push(ticket.code, { align: 'center', bold: true, large: true });
+    if (ticket.isSpecial) push('SPECIAL ORDER', { align: 'center', bold: true });
+    push(ticket.placedAt, { align: 'center' });
+    if (ticket.regNumber) push(`Student: ${ticket.regNumber}`, { align: 'center' });
+    else if (ticket.external) push('External order', { align: 'center' });
+    rule();
+
+    for (const it of ticket.items) {
+        const label = `${it.qty} x ${it.name}`;
+        if (receipt) pad(label, money(it.price * it.qty), columns).forEach(t => push(t, { bold: false }));
+        else wrap(label, columns).forEach(t => push(t, { bold: true }));
+        it.details.forEach(m => wrap(`+ ${m}`, columns, '   ').forEach(t => push(t, { bold: !receipt })));
+        if (it.notes) wrap(`Note: ${it.notes}`, columns, '   ').forEach(t => push(t));
+        if (it.allergens.length) wrap(`Allergens: ${it.allergens.join(', ')}`, columns, '   ').forEach(t => push(t));
+    }
+    if (!ticket.items.length) push('(no lines for this station)');
+    rule();
+
+    if (receipt) {
+        pad('TOTAL', money(ticket.total), columns).forEach(t => push(t, { bold: true }));
+        if (ticket.balanceAfter !== null) pad('Balance after', money(ticket.balanceAfter), columns).forEach(t => push(t));
+        if (ticket.remarks) wrap(ticket.remarks, columns).forEach(t => push(t));
+        if (ticket.qrText) out.push({ qr: ticket.qrText, align: 'center' });
+        push('Show this code at the counter', { align: 'center' });
+    } else if (ticket.remarks) {
+        wrap(`Remarks: ${ticket.remarks}`, columns).forEach(t => push(t));
+    }
+    return out;
+}
+
+/* ---------------------------
+   ESC/POS
+   --------------------------- */
+const ESC = 0x1b;
+const GS = 0x1d;
+
+function escPosQr(data) {
+    const bytes = Buffer.from(ascii(data), 'ascii');
+    const len = bytes.length + 3;
+    return Buffer.concat([
+        Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // model 2
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06]),       // module size 6
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),       // error correction M
+        Buffer.from([GS, 0x28, 0x6b, len & 0xff, (len >> 8) & 0xff, 0x31, 0x50, 0x30]),
+        bytes,
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30])        // print
+    ]);
+}
+
+/**
+ * renderEscPos(ticket, { columns, cut })
+ * - Returns a Buffer ready to be written to a raw printer port (e.g. TCP 9100).
+ */
+export function renderEscPos(ticket, { columns = DEFAULT_COLUMNS, cut = true } = {}) {
+    const parts = [Buffer.from([ESC, 0x40])]; // initialize
+    const align = { left: 0, center: 1, right: 2 };
+    for (const line of ticketLines(ticket, columns)) {
+        parts.push(Buffer.from([ESC, 0x61, align[line.align] ?? 0]));
+        if (line.qr) {
+            parts.push(escPosQr(line.qr), Buffer.from([0x0a]));
+            continue;
+        }
+        parts.push(
+            Buffer.from([ESC, 0x45, line.bold ? 1 : 0, GS, 0x21, line.large ? 0x11 : 0x00]),
+            Buffer.from(line.text + '\n', 'ascii')
+        );
+    }
+    parts.push(Buffer.from([ESC, 0x45, 0, GS, 0x21, 0, ESC, 0x61, 0]));
+    if (cut) parts.push(Buffer.from([GS, 0x56, 0x42, 0x03])); // feed 3 lines, partial cut
+    return Buffer.concat(parts);
+}
+
+/* ---------------------------
+   PDF (hand-written, no dependencies besides the QR matrix)
+   --------------------------- */
+const pdfText = (s) => ascii(s).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+/**
+ * renderPdf(ticket, { columns })
+ * - Returns a Buffer with a one-page 80mm-wide PDF whose height fits the ticket.
+ */
+export function renderPdf(ticket, { columns = DEFAULT_COLUMNS } = {}) {
+    const lines = ticketLines(ticket, columns);
+    const fontSize = 8;
+    const charWidth = fontSize * 0.6; // Courier advance width
+    const lineHeight = 11;
+    const margin = 12;
+    const width = Math.ceil(columns * charWidth + margin * 2);
+    const qrModule = 3;
+
+    const qrs = lines.filter(l => l.qr).map(l => QRCode.create(ascii(l.qr), { errorCorrectionLevel: 'M' }));
+    const qrHeight = (m) => (m.modules.size + 8) * qrModule; // 4-module quiet zone on each side
+    const height = Math.ceil(margin * 2 + lines.filter(l => !l.qr).reduce((h, l) => h + (l.large ? lineHeight * 2 : lineHeight), 0) + qrs.reduce((h, m) => h + qrHeight(m), 0));
+
+    const ops = [];
+    let y = height - margin;
+    let qrIndex = 0;
+    for (const line of lines) {
+        if (line.qr) {
+            const matrix = qrs[qrIndex++];
+            const size = matrix.modules.size;
+            const full = (size + 8) * qrModule;
+            const x0 = (width - full) / 2 + 4 * qrModule;
+            const top = y - 4 * qrModule;
+            ops.push('0 g');
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) {
+                    if (matrix.modules.get(r, c)) ops.push(`${x0 + c * qrModule} ${top - (r + 1) * qrModule} ${qrModule} ${qrModule} re`);
+                }
+            }
+            ops.push('f');
+            y -= full;
+            continue;
+        }
+        const size = line.large ? fontSize * 2 : fontSize;
+        const lh = line.large ? lineHeight * 2 : lineHeight;
+        y -= lh;
+        const textWidth = line.text.length * size * 0.6;
+        const x = line.align === 'center' ? (width - textWidth) / 2 : line.align === 'right' ? width - margin - textWidth : margin;
+        ops.push(`BT /${line.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${(y + 3).toFixed(2)} Td (${pdfText(line.text)}) Tj ET`);
+    }
+
+    const content = ops.join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+/* ---------------------------
+   HTML
+   --------------------------- */
+const esc = (s) => String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * renderHtml(ticket, { autoPrint })
+ * - Resolves with a standalone HTML page sized for 80mm paper (browsers can also "Save as PDF").
+ */
+export async function renderHtml(ticket, { autoPrint = false } = {}) {
+    const receipt = ticket.kind === 'receipt';
+    const qr = receipt && ticket.qrText
+        ? await QRCode.toString(ticket.qrText, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 })
+        : '';
+    const rows = ticket.items.map(it => `
+      <tr>
+        <td>${it.qty} &times; ${esc(it.name)}${it.details.map(m => `<div class="sub">+ ${esc(m)}</div>`).join('')}${it.notes ? `<div class="sub">Note: ${esc(it.notes)}</div>` : ''}${it.allergens.length ? `<div class="sub allergen">Allergens: ${esc(it.allergens.join(', '))}</div>` : ''}</td>
+        ${receipt ? `<td class="num">${money(it.price * it.qty)}</td>` : ''}
+      </tr>`).join('');
+    const title = receipt ? 'Receipt' : `Kitchen ticket${ticket.station ? ` - ${ticket.station.name}` : ''}`;
+
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${esc(title)} ${esc(ticket.code)}</title>
+<style>
+  @page { size: 80mm auto; margin: 4mm; }
+  body { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; width: 72mm; margin: 0 auto; color: #000; }
+  .center { text-align: center; }
+  .code { font-size: 26px; font-weight: bold; letter-spacing: 2px; margin: 4px 0; }
+  table { width: 100%; border-collapse: collapse; border-top: 1px dashed #000; border-bottom: 1px dashed #000; margin: 6px 0; }
+  td { padding: 3px 0; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; padding-left: 8px; }
+  .sub { font-size: 11px; padding-left: 12px; }
+  .allergen { font-weight: bold; }
+  .total td { font-weight: bold; border-top: 1px solid #000; }
+  .qr svg { width: 40mm; height: 40mm; }
+  @media print { .noprint { display: none; } }
+</style>
+</head>
+<body>
+  <div class="center"><strong>${esc(SHOP_NAME)}</strong><br>${esc(receipt ? 'RECEIPT' : title.toUpperCase())}</div>
+  <div class="center code">${esc(ticket.code)}</div>
+  ${ticket.isSpecial ? '<div class="center"><strong>SPECIAL ORDER</strong></div>' : ''}
+  <div class="center">${esc(ticket.placedAt)}${ticket.regNumber ? `<br>Student: ${esc(ticket.regNumber)}` : ticket.external ? '<br>External order' : ''}</div>
+  <table>
+    ${rows || `<tr><td>(no lines for this station)</td></tr>`}
+    ${receipt ? `<tr class="total"><td>TOTAL</td><td class="num">${money(ticket.total)}</td></tr>` : ''}
+    ${receipt && ticket.balanceAfter !== null ? `<tr><td>Balance after</td><td class="num">${money(ticket.balanceAfter)}</td></tr>` : ''}
+  </table>
+  ${ticket.remarks ? `<div>${esc(ticket.remarks)}</div>` : ''}
+  ${qr ? `<div class="center qr">${qr}</div><div class="center">Show this code at the counter</div>` : ''}
+  <div class="center noprint" style="margin-top:12px"><button onclick="window.print()">Print</button></div>
+  ${autoPrint ? '<script>window.addEventListener("load", function () { window.print(); });</script>' : ''}
+</body>
+</html>`;
+}
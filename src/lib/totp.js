@@ -0,0 +1,155 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor sign-in
+ * - Secrets are 20 random bytes, shown to the user base32-encoded (what authenticator apps expect) and stored
+ *   sealed with AES-256-GCM (TWO_FACTOR_SECRET, falling back to NEXTAUTH_SECRET).
+ * - Codes are 6 digits over 30 second steps (HMAC-SHA1, the authenticator app default); verifyTotp() accepts one
+ *   step of clock drift either way and returns the matched step so callers can refuse a replayed code.
+ * - Recovery codes are single-use "xxxxx-xxxxx" strings; only their SHA-256 hashes are stored.
+ */
+
+import crypto from 'crypto';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_ISSUER = 'RiverCafe';
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DRIFT_STEPS = 1;
+const SEAL_PREFIX = 'v1';
+
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+/* base32 (case, spaces and padding ignored) -> Buffer, or null when it has other characters */
+export function base32Decode(text) {
+    const clean = String(text || '').toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const ch of clean) {
+        const idx = BASE32_ALPHABET.indexOf(ch);
+        if (idx === -1) return null;
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/* A new base32 secret for an authenticator app */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/* The code of a time step (HOTP, RFC 4226) */
+function hotp(key, counter) {
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', key).update(msg).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+export const totpStep = (now = new Date()) => Math.floor(new Date(now).getTime() / 1000 / TOTP_STEP_SECONDS);
+
+/* The code an authenticator app shows for the secret at `now` */
+export function totpCode(secret, now = new Date()) {
+    const key = base32Decode(secret);
+    if (!key || !key.length) throw new Error('Invalid TOTP secret');
+    return hotp(key, totpStep(now));
+}
+
+/**
+ * verifyTotp(secret, code, { now, afterStep })
+ * - The time step the code belongs to (now ± one step), or null when it does not match.
+ * - afterStep: the last step already used; codes of that step or earlier are refused (no replays).
+ */
+export function verifyTotp(secret, code, { now = new Date(), afterStep = null } = {}) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) return null;
+    const key = base32Decode(secret);
+    if (!key || !key.length) return null;
+    const current = totpStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step += 1) {
+        if (afterStep !== null && afterStep !== undefined && step <= afterStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(digits))) return step;
+    }
+    return null;
+}
+
+/* otpauth:// URI for the enrollment QR code */
+export function otpauthUrl({ secret, account, issuer = TOTP_ISSUER }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/* Whether the text looks like a TOTP code rather than a recovery code */
+export const isTotpCode = (text) => /^\d{6}$/.test(String(text || '').replace(/\s/g, ''));
+
+/* Recovery codes as shown to the user: "xxxxx-xxxxx" (lowercase letters and digits) */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    return Array.from({ length: count }, () => {
+        const chars = Array.from(crypto.randomBytes(10), b => alphabet[b % alphabet.length]).join('');
+        return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+}
+
+/* Stored form of a recovery code; case, spaces and dashes do not matter */
+export function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function sealKey() {
+    const s = process.env.TWO_FACTOR_SECRET || process.env.NEXTAUTH_SECRET;
+    if (!s) throw new Error('TWO_FACTOR_SECRET (or NEXTAUTH_SECRET) is not configured');
+    return crypto.createHash('sha256').update(`rivercafe-2fa|${s}`).digest();
+}
+
+/* Encrypt a TOTP secret for storage: "v1.<iv>.<tag>.<ciphertext>" (base64url) */
+export function sealSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(), iv);
+    const data = Buffer.concat([cipher.update(String(secret), 'utf8'), cipher.final()]);
+    return [SEAL_PREFIX, iv, cipher.getAuthTag(), data].map(p => (typeof p === 'string' ? p : p.toString('base64url'))).join('.');
+}
+
+/* The secret of sealSecret(), or null when it was sealed with another key or tampered with */
+export function openSecret(sealed) {
+    const [prefix, iv, tag, data] = String(sealed || '').split('.');
+    if (prefix !== SEAL_PREFIX || !iv || !tag || !data) return null;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(), Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+    } catch {
+        return null;
+    }
+}
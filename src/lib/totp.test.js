@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    base32Encode,
+    base32Decode,
+    totpCode,
+    totpStep,
+    verifyTotp,
+    otpauthUrl,
+    isTotpCode,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    sealSecret,
+    openSecret
+} from './totp.js';
+
+// RFC 6238 appendix B (SHA-1): the ASCII key "12345678901234567890", last 6 digits of the 8-digit codes
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const at = (seconds) => new Date(seconds * 1000);
+
+describe('base32', () => {
+    test('round-trips bytes and ignores case, spaces and padding', () => {
+        const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 42]);
+        const text = base32Encode(bytes);
+        assert.deepEqual(base32Decode(text), bytes);
+        assert.deepEqual(base32Decode(` ${text.toLowerCase()}== `), bytes);
+    });
+
+    test('invalid characters give null', () => {
+        assert.equal(base32Decode('ABC1'), null);
+    });
+});
+
+describe('totpCode', () => {
+    test('matches the RFC 6238 SHA-1 test vectors', () => {
+        assert.equal(totpCode(RFC_SECRET, at(59)), '287082');
+        assert.equal(totpCode(RFC_SECRET, at(1111111109)), '081804');
+        assert.equal(totpCode(RFC_SECRET, at(1234567890)), '005924');
+    });
+});
+
+describe('verifyTotp', () => {
+    const now = at(1234567890);
+    const step = totpStep(now);
+
+    test('accepts the current code and one step of drift either way', () => {
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, now), { now }), step);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, at(1234567860)), { now }), step - 1);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, at(1234567920)), { now }), step + 1);
+        assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, at(1234567800)), { now }), null);
+    });
+
+    test('refuses a step already used', () => {
+        const code = totpCode(RFC_SECRET, now);
+        assert.equal(verifyTotp(RFC_SECRET, code, { now, afterStep: step - 1 }), step);
+        assert.equal(verifyTotp(RFC_SECRET, code, { now, afterStep: step }), null);
+    });
+
+    test('refuses malformed codes', () => {
+        assert.equal(verifyTotp(RFC_SECRET, '12345', { now }), null);
+        assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+        assert.equal(verifyTotp('not base32!', '123456', { now }), null);
+    });
+});
+
+describe('otpauthUrl', () => {
+    test('carries the secret, issuer and code settings', () => {
+        const [label, query] = otpauthUrl({ secret: 'ABCDEF', account: 'it@rivercafe.local' }).split('?');
+        assert.equal(decodeURIComponent(label), 'otpauth://totp/RiverCafe:it@rivercafe.local');
+        const params = new URLSearchParams(query);
+        assert.equal(params.get('secret'), 'ABCDEF');
+        assert.equal(params.get('issuer'), 'RiverCafe');
+        assert.equal(params.get('digits'), '6');
+        assert.equal(params.get('period'), '30');
+    });
+});
+
+describe('recovery codes', () => {
+    test('are unique "xxxxx-xxxxx" codes that are not mistaken for TOTP codes', () => {
+        const codes = generateRecoveryCodes();
+        assert.equal(codes.length, 10);
+        assert.equal(new Set(codes).size, 10);
+        for (const c of codes) {
+            assert.match(c, /^[a-z0-9]{5}-[a-z0-9]{5}$/);
+            assert.equal(isTotpCode(c), false);
+        }
+        assert.equal(isTotpCode('123 456'), true);
+    });
+
+    test('hash ignores case, spaces and dashes', () => {
+        assert.equal(hashRecoveryCode('abcde-fghjk'), hashRecoveryCode(' ABCDE FGHJK '));
+        assert.notEqual(hashRecoveryCode('abcde-fghjk'), hashRecoveryCode('abcde-fghjm'));
+    });
+});
+
+describe('sealSecret / openSecret', () => {
+    test('round-trips and refuses tampered or foreign values', () => {
+        process.env.TWO_FACTOR_SECRET = 'test-two-factor-key';
+        const sealed = sealSecret(RFC_SECRET);
+        assert.notEqual(sealed, sealSecret(RFC_SECRET));
+        assert.equal(openSecret(sealed), RFC_SECRET);
+
+        const parts = sealed.split('.');
+        parts[3] = parts[3].slice(0, -2) + (parts[3].endsWith('AA') ? 'BB' : 'AA');
+        assert.equal(openSecret(parts.join('.')), null);
+        assert.equal(openSecret('plain-secret'), null);
+
+        process.env.TWO_FACTOR_SECRET = 'another-key';
+        assert.equal(openSecret(sealed), null);
+        delete process.env.TWO_FACTOR_SECRET;
+    });
+});
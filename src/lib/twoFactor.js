@@ -0,0 +1,186 @@
+/**
+ * Two-factor sign-in (TOTP) for User accounts
+ * - Mandatory for TWO_FACTOR_ROLES (staff who can move money or stock), optional for everyone else.
+ *   Staff routes refuse a required role until it is set up (withPermission in lib/routeAuth.js).
+ * - Enrollment: beginEnrollment() stores a pending secret and returns it with an otpauth QR code;
+ *   confirmEnrollment() turns it on once the user types a valid code and hands out recovery codes (shown once).
+ * - Sign-in: after the password, verifySecondFactor() accepts a TOTP code (never the same time step twice) or an
+ *   unused recovery code, which is then spent.
+ * - IT can reset a user's 2FA (resetTwoFactor); every change is written to the AuditLog.
+ */
+
+import QRCode from 'qrcode';
+import { connectToDatabase, User, AuditLog } from '@/models/allModels.js';
+import {
+    generateTotpSecret,
+    verifyTotp,
+    otpauthUrl,
+    isTotpCode,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    sealSecret,
+    openSecret
+} from '@/lib/totp.js';
+
+export const TWO_FACTOR_ROLES = ['admin', 'it', 'inventory'];
+
+/* Errors authorize() throws so the login page can ask for the second step (NextAuth passes the message through) */
+export const TWO_FACTOR_REQUIRED = 'TwoFactorRequired';
+export const TWO_FACTOR_INVALID = 'TwoFactorInvalid';
+
+const TWO_FACTOR_OFF = { enabled: false, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedStep: null, enabledAt: null };
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+export const twoFactorRequired = (role) => TWO_FACTOR_ROLES.includes(String(role || '').toLowerCase());
+
+/* Thrown by the enrollment helpers; routes map err.status */
+export class TwoFactorError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.status = status;
+    }
+}
+
+async function loadUser(userId) {
+    await connectToDatabase();
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) throw new TwoFactorError('User not found', 404);
+    return user;
+}
+
+async function audit(action, user, { actorId = null, ip = null, userAgent = null, changes = {} } = {}) {
+    try {
+        await AuditLog.create({
+            actor: actorId || user._id,
+            action,
+            collectionName: 'users',
+            documentId: user._id,
+            changes,
+            ip,
+            userAgent
+        });
+    } catch (e) {
+        console.warn('Audit log failed', e?.message || e);
+    }
+}
+
+/* { enabled, required, enabledAt, pending, recoveryCodesLeft } for the settings page */
+export async function twoFactorStatus(userId) {
+    const user = await loadUser(userId);
+    const tf = user.twoFactor || {};
+    return {
+        enabled: !!tf.enabled,
+        required: twoFactorRequired(user.role),
+        enabledAt: tf.enabledAt || null,
+        pending: !tf.enabled && !!tf.pendingSecret,
+        recoveryCodesLeft: tf.enabled ? (tf.recoveryCodes || []).length : 0
+    };
+}
+
+/**
+ * beginEnrollment(userId)
+ * - A new pending secret: { secret, otpauthUrl, qr } (qr is a PNG data URL). Starting again replaces it.
+ */
+export async function beginEnrollment(userId) {
+    const user = await loadUser(userId);
+    if (user.twoFactor?.enabled) throw new TwoFactorError('Two-factor authentication is already on', 409);
+    const secret = generateTotpSecret();
+    user.set('twoFactor.pendingSecret', sealSecret(secret));
+    await user.save();
+    const url = otpauthUrl({ secret, account: user.email || user.regNumber || user.name });
+    return { secret, otpauthUrl: url, qr: await QRCode.toDataURL(url, { margin: 1, width: 220 }) };
+}
+
+/**
+ * confirmEnrollment(userId, code, { ip, userAgent })
+ * - Turns 2FA on when the code matches the pending secret; returns { recoveryCodes } (plain, shown once).
+ */
+export async function confirmEnrollment(userId, code, meta = {}) {
+    const user = await loadUser(userId);
+    if (user.twoFactor?.enabled) throw new TwoFactorError('Two-factor authentication is already on', 409);
+    const secret = openSecret(user.twoFactor?.pendingSecret);
+    if (!secret) throw new TwoFactorError('Start the setup again', 409);
+    const step = verifyTotp(secret, code);
+    if (step === null) throw new TwoFactorError('That code is not valid — check the time on your phone and try again');
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.set('twoFactor', {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: null,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        lastUsedStep: step,
+        enabledAt: new Date()
+    });
+    await user.save();
+    await audit('two_factor_enable', user, meta);
+    return { recoveryCodes };
+}
+
+/**
+ * verifySecondFactor(userId, code, { ip, userAgent })
+ * - { ok: true, method: 'totp' | 'recovery', recoveryCodesLeft } or { ok: false }.
+ * - The step / recovery code is claimed atomically, so a code works once even with parallel sign-ins.
+ */
+export async function verifySecondFactor(userId, code, meta = {}) {
+    const user = await loadUser(userId);
+    const tf = user.twoFactor || {};
+    if (!tf.enabled) return { ok: false };
+
+    if (isTotpCode(code)) {
+        const secret = openSecret(tf.secret);
+        const step = secret ? verifyTotp(secret, code, { afterStep: tf.lastUsedStep }) : null;
+        if (step === null) return { ok: false };
+        const claimed = await User.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return claimed.modifiedCount ? { ok: true, method: 'totp', recoveryCodesLeft: (tf.recoveryCodes || []).length } : { ok: false };
+    }
+
+    const hash = hashRecoveryCode(code);
+    const spent = await User.updateOne(
+        { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (!spent.modifiedCount) return { ok: false };
+    const recoveryCodesLeft = (tf.recoveryCodes || []).filter(h => h !== hash).length;
+    await audit('two_factor_recovery_used', user, { ...meta, changes: { recoveryCodesLeft } });
+    return { ok: true, method: 'recovery', recoveryCodesLeft };
+}
+
+/* New recovery codes (the old ones stop working); needs a current code. Returns { recoveryCodes } */
+export async function regenerateRecoveryCodes(userId, code, meta = {}) {
+    const check = await verifySecondFactor(userId, code, meta);
+    if (!check.ok) throw new TwoFactorError('That code is not valid', 403);
+    const user = await loadUser(userId);
+    const recoveryCodes = generateRecoveryCodes();
+    user.set('twoFactor.recoveryCodes', recoveryCodes.map(hashRecoveryCode));
+    await user.save();
+    await audit('two_factor_recovery_regenerate', user, meta);
+    return { recoveryCodes };
+}
+
+/* Turns 2FA off for a role that may go without it; needs a current or recovery code */
+export async function disableTwoFactor(userId, code, meta = {}) {
+    const user = await loadUser(userId);
+    if (twoFactorRequired(user.role)) throw new TwoFactorError('Two-factor authentication is required for your role', 403);
+    const check = await verifySecondFactor(userId, code, meta);
+    if (!check.ok) throw new TwoFactorError('That code is not valid', 403);
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: TWO_FACTOR_OFF } });
+    await audit('two_factor_disable', user, meta);
+}
+
+/**
+ * resetTwoFactor(userId, { actorId, ip, userAgent, reason })
+ * - IT reset for a lost phone: clears the secret and recovery codes. Required roles must set it up again
+ *   before their next staff request; returns { wasEnabled }.
+ */
+export async function resetTwoFactor(userId, { actorId, ip = null, userAgent = null, reason = '' } = {}) {
+    const user = await loadUser(userId);
+    const wasEnabled = !!user.twoFactor?.enabled;
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: TWO_FACTOR_OFF } });
+    await audit('two_factor_reset', user, { actorId, ip, userAgent, changes: { wasEnabled, reason, role: user.role } });
+    return { wasEnabled };
+}
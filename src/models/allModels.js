@@ -1,13 +1,31 @@
 /**
  * Single-file Mongoose models for River’Café
  * - Includes: connection helper, all schemas + models, and helpful methods
- * - Use: import { connectToDatabase, User, Product, Order, Transaction, ExternalCode, AuditLog, OrderingWindow, PrepStation, Setting, Notification, Inventory } from './models/allModels';
+ * - Use: import { connectToDatabase, User, Product, Order, Transaction, JournalEntry, ExternalCode, AuditLog, OrderingWindow, PrepStation, Setting, Notification, Inventory } from './models/allModels';
  *
  * NOTE: For transactions (atomic writes) you must use a MongoDB replica set (Atlas supports this).
  */
 
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { requestFingerprint, orderFingerprint, isDuplicateKeyError, assertSameRequest } from '../lib/idempotency.js';
+import {
+    SPENDING_LIMIT_KEYS,
+    isValidTimezone,
+    spendingPeriodStarts,
+    resolveSpendingLimits,
+    periodAllowance,
+    assertWithinAllowance
+} from '../lib/spendingLimits.js';
+import { NOTIFICATION_CHANNELS, canReach, deliver } from '../lib/notificationChannels.js';
+import { ORDER_EVENTS, publishOrderEvent } from '../lib/orderEvents.js';
+import { bundleProductIds, priceOrderLine, stockLines } from '../lib/bundles.js';
+import { DietaryConflictError, DIETARY_OVERRIDE_ACTION, hasDietaryProfile, lineDietaryConflicts } from '../lib/dietary.js';
+import { PickupSlotError, orderPrepMinutes } from '../lib/pickupSlots.js';
+import { QUEUE_STATUSES, estimateQueue, kitchenQty, kitchenStatus, preparedQty } from '../lib/queueEta.js';
+import { CALENDAR_ENTRY_TYPES, CALENDAR_SCOPES, LEGACY_HOLIDAYS_KEY, legacyHolidayEntries } from '../lib/schoolCalendar.js';
+import { DEFAULT_TIMEZONE, isWindowOpen, periodsAllowAt } from '../lib/schedule.js';
+import { SIGN_IN_OUTCOMES } from '../lib/loginThrottle.js';
 
 /* ---------------------------
    DB connection helper (cached)
@@ -57,17 +75,44 @@ const UserSchema = new mongoose.Schema({
     passwordHash: { type: String }, // optional if using NextAuth or SSO
     role: {
         type: String,
-        enum: ['student', 'admin', 'canteen', 'it', 'inventory', 'external'],
+        enum: ['student', 'admin', 'canteen', 'it', 'inventory', 'external', 'guardian'],
         default: 'student',
         index: true
     },
     balance: { type: Number, default: 0 }, // use smallest currency unit or decimals consistently
     favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }], // quick order
     metadata: { type: mongoose.Schema.Types.Mixed }, // class, year, notes, etc.
+    // per-student caps on order spending; null = use the school default (Settings spendingLimits.daily / .weekly)
+    spendingLimits: {
+        daily: { type: Number, min: 0, default: null },
+        weekly: { type: Number, min: 0, default: null }
+    },
+    // Product / SpecialProduct ids this student may not order (set by a guardian or admin)
+    blockedProducts: [{ type: mongoose.Schema.Types.ObjectId }],
+    // allergens the student must avoid and tags every product must carry (lib/dietary.js); set by IT, admins or guardians
+    dietaryProfile: {
+        allergens: [{ type: String, trim: true, lowercase: true }],
+        restrictions: [{ type: String, trim: true, lowercase: true }],
+        hideConflicts: { type: Boolean, default: false }, // hide conflicting products on the menu instead of flagging them
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        updatedAt: { type: Date, default: null }
+    },
+    // guardian accounts only: linked students and the balance below which they are notified
+    guardianOf: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }],
+    lowBalanceThreshold: { type: Number, min: 0, default: null },
     provider: String, // auth provider
     providerId: String,
     isActive: { type: Boolean, default: true },
-    requirePasswordReset: { type: Boolean, default: false }
+    requirePasswordReset: { type: Boolean, default: false },
+    // TOTP second sign-in step (lib/twoFactor.js); secrets are sealed (lib/totp.js) and never selected by default
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, default: null, select: false },
+        pendingSecret: { type: String, default: null, select: false }, // enrollment started, not confirmed yet
+        recoveryCodes: { type: [String], default: [], select: false }, // SHA-256 hashes of unused codes
+        lastUsedStep: { type: Number, default: null, select: false }, // TOTP step of the last accepted code
+        enabledAt: { type: Date, default: null }
+    }
 }, { timestamps: true });
 
 /* Instance method: adjust balance (positive or negative) - returns the saved doc */
@@ -92,6 +137,42 @@ const AvailabilityPeriodSchema = new mongoose.Schema({
     endTime: String,   // "10:30"
 }, { _id: false });
 
+/* Modifier groups (sizes, extras, substitutions) — selection rules and pricing live in lib/modifiers.js */
+const ModifierOptionSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 }, // added to the unit price when chosen (may be negative)
+    available: { type: Boolean, default: true }
+});
+
+const ModifierGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true }, // e.g. "Size", "Extras", "Bread"
+    required: { type: Boolean, default: false },
+    minSelect: { type: Number, default: 0, min: 0 },
+    maxSelect: { type: Number, default: 1, min: 1 },
+    options: [ModifierOptionSchema]
+});
+
+/* Combo / bundle contents — fixed components plus pick-one slots; pricing and stock rules live in lib/bundles.js */
+const BundleComponentSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    qty: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
+const BundleSlotOptionSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    priceDelta: { type: Number, default: 0 } // e.g. +0.50 to upgrade the drink
+});
+
+const BundleSlotSchema = new mongoose.Schema({
+    name: { type: String, required: true }, // e.g. "Drink", "Snack"
+    options: [BundleSlotOptionSchema]
+});
+
+const BundleSchema = new mongoose.Schema({
+    components: [BundleComponentSchema],
+    slots: [BundleSlotSchema]
+}, { _id: false });
+
 const ProductSchema = new mongoose.Schema({
     name: { type: String, required: true, index: true },
     sku: { type: String, sparse: true, index: true },
@@ -104,6 +185,8 @@ const ProductSchema = new mongoose.Schema({
     imageUrl: String,
     tags: [String],
     allergens: [String],
+    modifierGroups: [ModifierGroupSchema],
+    bundle: { type: BundleSchema, default: null }, // set for combo meals; the price is the bundle price
     notes: String,
     metadata: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
@@ -115,18 +198,11 @@ ProductSchema.index({ name: 1, category: 1 });
   can check the Inventory model. Keep this placeholder in case older code expects a sync method,
   but the final implementation below will be async and preferred.
 */
-ProductSchema.methods.isAvailableAt = function (date = new Date()) {
+ProductSchema.methods.isAvailableAt = function (date = new Date(), timezone = DEFAULT_TIMEZONE) {
     // original behaviour (kept for compatibility) - this will be replaced with an async version later
     if (!this.available) return false;
-    if (!this.availablePeriods || this.availablePeriods.length === 0) return true;
-    const day = date.getDay(); // 0..6
-    const pad = (n) => (n < 10 ? '0' + n : '' + n);
-    const hhmm = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
-    // basic check against any available period for the day
-    return this.availablePeriods.some(p => (p.dayOfWeek === undefined || p.dayOfWeek === day) &&
-        (!p.startTime || p.startTime <= hhmm) &&
-        (!p.endTime || p.endTime >= hhmm)
-    );
+    // availablePeriods are school wall-clock times (lib/schedule.js)
+    return periodsAllowAt(this.availablePeriods, date, timezone);
 };
 
 /* ---------------------------
@@ -137,6 +213,12 @@ const PrepStationSchema = new mongoose.Schema({
     description: String,
     location: String,
     active: { type: Boolean, default: true },
+    // kitchen ticket printer (raw ESC/POS over TCP); without a host tickets go to the print outbox (lib/printing.js)
+    printer: {
+        host: { type: String, default: '' },
+        port: { type: Number, default: 9100 },
+        autoPrint: { type: Boolean, default: false }
+    },
     metadata: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
@@ -153,28 +235,56 @@ const OrderingWindowSchema = new mongoose.Schema({
     priority: { type: Number, default: 0 },
     timezone: { type: String, default: 'Africa/Harare' },
     description: String,
+    // pickup slots (lib/pickupSlots.js): the pickup period is split into slots capped by orders and/or prep minutes
+    pickupSlots: {
+        enabled: { type: Boolean, default: false },
+        slotMinutes: { type: Number, min: 1, default: 10 },
+        maxOrders: { type: Number, min: 1, default: null },
+        maxPrepMinutes: { type: Number, min: 0, default: null },
+        startTime: { type: String, default: null }, // "10:00"; null = the window's startTime
+        endTime: { type: String, default: null }    // null = the window's endTime
+    }
 }, { timestamps: true });
 
-OrderingWindowSchema.methods.includes = function (date = new Date()) {
-    if (!this.active) return false;
-    const day = date.getDay();
-    if (this.daysOfWeek && this.daysOfWeek.length && !this.daysOfWeek.includes(day)) return false;
-    const pad = (n) => (n < 10 ? '0' + n : '' + n);
-    const hhmm = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
-    return this.startTime <= hhmm && hhmm <= this.endTime;
+/* Whether the window is open at `date` in its own timezone; pass getSchoolCalendar() entries to honour the calendar */
+OrderingWindowSchema.methods.includes = function (date = new Date(), calendar = []) {
+    return isWindowOpen(this, { now: date, calendar, scope: 'ordinary' });
 };
 
 /* ---------------------------
    Order
    --------------------------- */
+/* Chosen modifier, snapshotted on the order line */
+const OrderItemModifierSchema = new mongoose.Schema({
+    groupId: mongoose.Schema.Types.ObjectId,
+    group: String,
+    optionId: mongoose.Schema.Types.ObjectId,
+    option: String,
+    priceDelta: { type: Number, default: 0 }
+}, { _id: false });
+
+/* Component of a bundle line with its share of the line's revenue (per bundle unit) */
+const OrderItemComponentSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    qty: { type: Number, default: 1 }, // units per bundle
+    amount: Number, // revenue share of one bundle
+    slot: String // slot name for picked components, null for fixed ones
+}, { _id: false });
+
 const OrderItemSchema = new mongoose.Schema({
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
     name: String,
-    price: Number,
+    price: Number, // unit price including modifier deltas
     qty: { type: Number, default: 1 },
+    modifiers: [OrderItemModifierSchema],
+    components: [OrderItemComponentSchema], // bundle lines only; stock is taken from these
+    label: String, // "Name (option, option)" when modifiers or bundle choices were made; the canteen board groups by it
     notes: String,
     allergens: [String],
+    prepStation: { type: mongoose.Schema.Types.ObjectId, ref: 'PrepStation', default: null }, // copied from the product; routes the line to a kitchen display
     preparedCount: { type: Number, default: 0 },
+    refundedQty: { type: Number, default: 0 }, // units refunded through refundOrderLinesAtomic
 }, { _id: false });
 
 const OrderSchema = new mongoose.Schema({
@@ -183,18 +293,42 @@ const OrderSchema = new mongoose.Schema({
     regNumber: { type: String, sparse: true, index: true },
     items: [OrderItemSchema],
     total: { type: Number, required: true },
-    status: { type: String, enum: ['placed', 'preparing', 'ready', 'collected', 'cancelled', 'refunded'], default: 'placed', index: true },
+    status: { type: String, enum: ['scheduled', 'placed', 'preparing', 'ready', 'collected', 'cancelled', 'refunded'], default: 'placed', index: true },
     orderingWindow: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderingWindow' },
+    // pre-orders (lib/preorders.js): 'scheduled' until releaseAt, then 'placed' and on the canteen board
+    scheduledFor: { type: Date, default: null, index: true }, // opening of the target ordering window
+    serviceDate: String, // target day, YYYY-MM-DD in the window's timezone
+    releaseAt: Date,
+    chargeStatus: { type: String, enum: ['charged', 'pending', 'failed'], default: 'charged' }, // pending = charged at window open
+    releaseClaimedAt: { type: Date, default: null }, // set while a release sweep is charging / releasing the order
+    // chosen pickup slot (lib/pickupSlots.js); prepMinutes is what the order holds of the slot's capacity
+    pickupSlot: {
+        type: new mongoose.Schema({
+            window: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderingWindow' },
+            serviceDate: String,
+            start: Date,
+            end: Date,
+            label: String,
+            prepMinutes: { type: Number, default: 0 }
+        }, { _id: false }),
+        default: null
+    },
     prepStation: { type: mongoose.Schema.Types.ObjectId, ref: 'PrepStation' },
     prepBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // operator who prepared
     collectedByRegNumber: String,
+    collectedAt: Date,
+    collectedByOperator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     external: { type: Boolean, default: false },
     expiresAt: Date, // optional expiry for pickup codes
     remarks: String,
+    idempotencyKey: String, // client Idempotency-Key that created this order (retries return this order)
     meta: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
 OrderSchema.index({ createdAt: -1, status: 1 });
+OrderSchema.index({ status: 1, releaseAt: 1 });
+OrderSchema.index({ 'pickupSlot.start': 1, status: 1 });
+OrderSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
 
 /* Static: generate a unique-ish order code with optional prefix */
 /* Static: generate a short 4-character order code (prefix optional) */
@@ -226,10 +360,120 @@ const TransactionSchema = new mongoose.Schema({
     relatedOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // admin/operator
     note: String,
+    idempotencyKey: String, // client Idempotency-Key for top-ups / refunds / withdrawals
     meta: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
 TransactionSchema.index({ user: 1, createdAt: -1 });
+TransactionSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
+/* ---------------------------
+   JournalEntry (double-entry ledger)
+   - one balanced entry per Transaction, posted automatically by the Transaction save hooks below
+   - student_wallet lines carry the user; a wallet balance is sum(credit - debit) of that user's wallet lines
+   --------------------------- */
+export const LEDGER_ACCOUNTS = {
+    STUDENT_WALLET: 'student_wallet', // liability: money held for students
+    CASH_DRAWER: 'cash_drawer',       // asset: cash taken / paid out at the counter
+    CANTEEN_REVENUE: 'canteen_revenue',
+    REFUNDS: 'refunds',               // contra-revenue
+    ADJUSTMENTS: 'adjustments'        // manual corrections, edits and reconciliations
+};
+
+const JournalLineSchema = new mongoose.Schema({
+    account: { type: String, enum: Object.values(LEDGER_ACCOUNTS), required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const JournalEntrySchema = new mongoose.Schema({
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    transactionType: String,
+    lines: [JournalLineSchema],
+    memo: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    meta: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+JournalEntrySchema.index({ transaction: 1 }, { unique: true, partialFilterExpression: { transaction: { $type: 'objectId' } } });
+JournalEntrySchema.index({ 'lines.account': 1, 'lines.user': 1 });
+
+/* Reject unbalanced entries (compared in cents to avoid float noise) */
+JournalEntrySchema.pre('validate', function (next) {
+    const lines = this.lines || [];
+    if (lines.length < 2) return next(new Error('Journal entry needs at least two lines'));
+    const cents = (n) => Math.round(Number(n || 0) * 100);
+    const debits = lines.reduce((s, l) => s + cents(l.debit), 0);
+    const credits = lines.reduce((s, l) => s + cents(l.credit), 0);
+    if (debits !== credits) return next(new Error(`Unbalanced journal entry (debits ${debits / 100} != credits ${credits / 100})`));
+    next();
+});
+
+/**
+ * buildJournalLines(tx)
+ * - Maps a Transaction onto balanced journal lines.
+ *   topup         Dr cash_drawer        Cr student_wallet
+ *   order         Dr student_wallet     Cr canteen_revenue
+ *   refund        Dr refunds            Cr student_wallet
+ *   external      Dr cash_drawer        Cr canteen_revenue
+ *   adjustment /  (+) Dr adjustments    Cr student_wallet
+ *   reconciliation (-) Dr student_wallet Cr adjustments
+ *   meta.kind === 'withdrawal' swaps adjustments for cash_drawer (cash handed back to the student).
+ * - Returns [] for zero-amount transactions.
+ */
+export function buildJournalLines(tx) {
+    const amount = Math.abs(Number(tx?.amount || 0));
+    if (!amount) return [];
+    const user = tx.user?._id || tx.user || null;
+    const A = LEDGER_ACCOUNTS;
+    const credit = Number(tx.amount) > 0;
+    const wallet = (side) => ({ account: A.STUDENT_WALLET, user, debit: side === 'debit' ? amount : 0, credit: side === 'credit' ? amount : 0 });
+    const other = (account, side) => ({ account, user: null, debit: side === 'debit' ? amount : 0, credit: side === 'credit' ? amount : 0 });
+
+    switch (tx.type) {
+        case 'topup':
+            return credit ? [other(A.CASH_DRAWER, 'debit'), wallet('credit')] : [wallet('debit'), other(A.CASH_DRAWER, 'credit')];
+        case 'order':
+            return credit ? [other(A.CANTEEN_REVENUE, 'debit'), wallet('credit')] : [wallet('debit'), other(A.CANTEEN_REVENUE, 'credit')];
+        case 'refund':
+            return credit ? [other(A.REFUNDS, 'debit'), wallet('credit')] : [wallet('debit'), other(A.REFUNDS, 'credit')];
+        case 'external':
+            return credit ? [other(A.CASH_DRAWER, 'debit'), other(A.CANTEEN_REVENUE, 'credit')] : [other(A.CANTEEN_REVENUE, 'debit'), other(A.CASH_DRAWER, 'credit')];
+        default: {
+            const contra = tx.meta?.kind === 'withdrawal' ? A.CASH_DRAWER : A.ADJUSTMENTS;
+            if (!user) return credit ? [other(A.CASH_DRAWER, 'debit'), other(contra, 'credit')] : [other(contra, 'debit'), other(A.CASH_DRAWER, 'credit')];
+            return credit ? [other(contra, 'debit'), wallet('credit')] : [wallet('debit'), other(contra, 'credit')];
+        }
+    }
+}
+
+/* Post the matching journal entry whenever a Transaction is first saved (inside its session if it has one) */
+TransactionSchema.pre('save', function (next) {
+    this.$locals.postJournal = this.isNew;
+    next();
+});
+
+TransactionSchema.post('save', async function (doc) {
+    if (!doc.$locals?.postJournal) return;
+    const lines = buildJournalLines(doc);
+    if (!lines.length) return;
+    const session = doc.$session() || null;
+    const JournalEntryModel = mongoose.models.JournalEntry;
+    try {
+        await JournalEntryModel.create([{
+            transaction: doc._id,
+            transactionType: doc.type,
+            lines,
+            memo: doc.note,
+            createdBy: doc.createdBy || null
+        }], { session });
+    } catch (e) {
+        // inside a session the failure aborts the whole transaction; standalone mongod keeps the Transaction (best-effort)
+        if (session) throw e;
+        console.warn('Journal entry posting failed (non-transactional):', e?.message || e);
+    }
+});
 
 /* ---------------------------
    ExternalCode
@@ -277,6 +521,40 @@ const AuditLogSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, documentId: 1, createdAt: -1 }); // dietary override lookups
+
+/* ---------------------------
+   LoginAttempt
+   - every sign-in attempt with its outcome, shown on the IT dashboard (lib/signInGuard.js); kept for 90 days
+   --------------------------- */
+const LoginAttemptSchema = new mongoose.Schema({
+    identifier: String, // what was typed, lowercased
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when no account matched
+    outcome: { type: String, enum: SIGN_IN_OUTCOMES, required: true },
+    reason: String, // e.g. "unknown_identifier", "wrong_password", "recovery_code"
+    ip: String,
+    userAgent: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+LoginAttemptSchema.index({ createdAt: -1 });
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/* ---------------------------
+   LoginThrottle
+   - failure counter per account / typed identifier / IP (lib/loginThrottle.js); idle counters expire after a day
+   --------------------------- */
+const LoginThrottleSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // "account:<userId>", "identifier:<text>" or "ip:<address>"
+    failures: { type: Number, default: 0 },
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    lockouts: { type: Number, default: 0 } // lockouts in a row; each one lasts twice as long
+}, { timestamps: true });
+
+LoginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+LoginThrottleSchema.index({ lockedUntil: 1 });
 
 /* ---------------------------
    Setting (key-value)
@@ -289,19 +567,26 @@ const SettingSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 /* ---------------------------
-   Notification (optional)
+   Notification
+   - one document per channel delivery; 'in-app' documents back the header drawer (read / readAt)
+   - email / sms documents record the adapter outcome (sent, sentAt, error)
    --------------------------- */
 const NotificationSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, default: null },
-    type: { type: String, enum: ['order', 'topup', 'system', 'reminder'], required: true },
-    channel: { type: String, enum: ['in-app', 'email', 'sms'], default: 'in-app' },
+    type: { type: String, enum: ['order', 'topup', 'refund', 'system', 'reminder', 'low_balance'], required: true },
+    channel: { type: String, enum: NOTIFICATION_CHANNELS, default: 'in-app' },
     title: String,
     body: String,
     sent: { type: Boolean, default: false },
     sentAt: Date,
+    error: String,
+    read: { type: Boolean, default: false },
+    readAt: Date,
     meta: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
+NotificationSchema.index({ user: 1, channel: 1, read: 1, createdAt: -1 });
+
 /* ---------------------------
    Inventory (new)
    - stores available quantities for products (supports locations, thresholds)
@@ -321,6 +606,39 @@ InventorySchema.statics.getTotalForProduct = async function (productId) {
     return docs.reduce((s, d) => s + (Number(d.quantity || 0)), 0);
 };
 
+/* ---------------------------
+   PickupSlotLoad
+   - orders and prep minutes booked into one pickup slot of an ordering window (lib/pickupSlots.js)
+   --------------------------- */
+const PickupSlotLoadSchema = new mongoose.Schema({
+    window: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderingWindow', required: true },
+    serviceDate: String, // YYYY-MM-DD in the window's timezone
+    start: { type: Date, required: true },
+    end: Date,
+    orders: { type: Number, default: 0 },
+    prepMinutes: { type: Number, default: 0 }
+}, { timestamps: true });
+
+PickupSlotLoadSchema.index({ window: 1, start: 1 }, { unique: true });
+PickupSlotLoadSchema.index({ window: 1, serviceDate: 1 });
+
+/* ---------------------------
+   CalendarEntry
+   - school calendar: terms, holidays, closures and extra days checked wherever windows open (lib/schoolCalendar.js)
+   --------------------------- */
+const CalendarEntrySchema = new mongoose.Schema({
+    type: { type: String, enum: CALENDAR_ENTRY_TYPES, required: true },
+    name: { type: String, required: true },
+    startDate: { type: String, required: true }, // YYYY-MM-DD, inclusive, in each window's timezone
+    endDate: { type: String, required: true },
+    scope: { type: String, enum: CALENDAR_SCOPES, default: 'all' },
+    windows: [{ type: mongoose.Schema.Types.ObjectId }], // OrderingWindow / SpecialOrderingWindow ids; empty = all
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+CalendarEntrySchema.index({ startDate: 1, endDate: 1 });
+
 /* ---------------------------
    Now override ProductSchema.methods.isAvailableAt to consider inventory
    - This method is async: returns Promise<boolean>
@@ -331,27 +649,12 @@ InventorySchema.statics.getTotalForProduct = async function (productId) {
  *      If there are no inventory docs, fall back to time-window only (legacy behaviour).
    --------------------------- */
 
-ProductSchema.methods.isAvailableAt = async function (date = new Date()) {
+ProductSchema.methods.isAvailableAt = async function (date = new Date(), timezone = DEFAULT_TIMEZONE) {
     // 1) availability flag
     if (!this.available) return false;
 
-    // 2) time-window check
-    let timeOk = true;
-    if (this.availablePeriods && this.availablePeriods.length > 0) {
-        timeOk = false;
-        const day = date.getDay(); // 0..6
-        const pad = (n) => (n < 10 ? '0' + n : '' + n);
-        const hhmm = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
-        for (const p of this.availablePeriods) {
-            const dayMatches = (p.dayOfWeek === undefined) || (p.dayOfWeek === day);
-            const startOk = !p.startTime || p.startTime <= hhmm;
-            const endOk = !p.endTime || p.endTime >= hhmm;
-            if (dayMatches && startOk && endOk) {
-                timeOk = true;
-                break;
-            }
-        }
-    }
+    // 2) time-window check, in school wall-clock time (lib/schedule.js)
+    const timeOk = periodsAllowAt(this.availablePeriods, date, timezone);
 
     if (!timeOk) return false;
 
@@ -388,6 +691,7 @@ const SpecialProductSchema = new mongoose.Schema({
     imageUrl: String,
     tags: [String],
     allergens: [String],
+    modifierGroups: [ModifierGroupSchema],
     notes: String,
     metadata: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
@@ -411,11 +715,15 @@ SpecialOrderingWindowSchema.index({ category: 1, priority: -1, startTime: 1 });
 const SpecialOrderItemSchema = new mongoose.Schema({
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'SpecialProduct' },
     name: String,
-    price: Number,
+    price: Number, // unit price including modifier deltas
     qty: { type: Number, default: 1 },
+    modifiers: [OrderItemModifierSchema],
+    label: String, // "Name (option, option)" when modifiers were chosen; the canteen board groups by it
     notes: String,
     allergens: [String],
+    prepStation: { type: mongoose.Schema.Types.ObjectId, ref: 'PrepStation', default: null },
     preparedCount: { type: Number, default: 0 },
+    refundedQty: { type: Number, default: 0 }, // units refunded through refundOrderLinesAtomic
 }, { _id: false });
 
 const SpecialOrderSchema = new mongoose.Schema({
@@ -430,18 +738,47 @@ const SpecialOrderSchema = new mongoose.Schema({
     prepStation: { type: mongoose.Schema.Types.ObjectId, ref: 'PrepStation' },
     prepBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     collectedByRegNumber: String,
+    collectedAt: Date,
+    collectedByOperator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     expiresAt: Date,
     remarks: String,
+    idempotencyKey: String,
     meta: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
 SpecialOrderSchema.index({ createdAt: -1, status: 1, category: 1 });
+SpecialOrderSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
 
 SpecialOrderSchema.statics.generateCode = function (prefix = 'SP-') {
     const tail = generateAlphanumericCode('', 4);
     return `${prefix}${tail}`;
 };
 
+/* ---------------------------
+   Subscription (recurring orders)
+   - lib/subscriptions.js places the orders through placeOrderAtomic ahead of each target window
+   --------------------------- */
+const SubscriptionItemSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    qty: { type: Number, default: 1, min: 1 },
+    notes: String
+}, { _id: false });
+
+const SubscriptionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true }, // the student who is charged
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // the student or a linked guardian
+    name: String,
+    items: [SubscriptionItemSchema],
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    orderingWindow: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderingWindow', required: true },
+    status: { type: String, enum: ['active', 'paused'], default: 'active', index: true },
+    pausedReason: String, // set when the scheduler pauses it (insufficient balance, out of stock, ...)
+    pausedAt: Date,
+    lastRunDate: String, // last target day handled (YYYY-MM-DD): ordered, skipped or failed
+    lastOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    meta: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
 /* ---------------------------
    Model exports (single-file)
    --------------------------- */
@@ -454,23 +791,504 @@ export const SpecialOrderingWindow = mongoose.models.SpecialOrderingWindow || mo
 export const Order = mongoose.models.Order || mongoose.model('Order', OrderSchema);
 export const SpecialOrder = mongoose.models.SpecialOrder || mongoose.model('SpecialOrder', SpecialOrderSchema);
 export const Transaction = mongoose.models.Transaction || mongoose.model('Transaction', TransactionSchema);
+export const JournalEntry = mongoose.models.JournalEntry || mongoose.model('JournalEntry', JournalEntrySchema);
 export const ExternalCode = mongoose.models.ExternalCode || mongoose.model('ExternalCode', ExternalCodeSchema);
 export const AuditLog = mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
+export const LoginAttempt = mongoose.models.LoginAttempt || mongoose.model('LoginAttempt', LoginAttemptSchema);
+export const LoginThrottle = mongoose.models.LoginThrottle || mongoose.model('LoginThrottle', LoginThrottleSchema);
 export const Setting = mongoose.models.Setting || mongoose.model('Setting', SettingSchema);
 export const Notification = mongoose.models.Notification || mongoose.model('Notification', NotificationSchema);
 export const Inventory = mongoose.models.Inventory || mongoose.model('Inventory', InventorySchema);
+export const PickupSlotLoad = mongoose.models.PickupSlotLoad || mongoose.model('PickupSlotLoad', PickupSlotLoadSchema);
+export const Subscription = mongoose.models.Subscription || mongoose.model('Subscription', SubscriptionSchema);
+export const CalendarEntry = mongoose.models.CalendarEntry || mongoose.model('CalendarEntry', CalendarEntrySchema);
+
+/* ---------------------------
+   School calendar
+   --------------------------- */
+/**
+ * getSchoolCalendar({ from })
+ * - Calendar entries ending on or after `from` (YYYY-MM-DD, default: all) plus the legacy Setting "school.holidays"
+ *   dates as holiday entries; pass the result to calendarDay() (lib/schoolCalendar.js) or the window checks in lib/schedule.js.
+ *   Terms are always loaded in full: a break is "outside every term".
+ */
+export async function getSchoolCalendar({ from = null } = {}) {
+    const query = from ? { $or: [{ endDate: { $gte: from } }, { type: 'term' }] } : {};
+    const [entries, legacy] = await Promise.all([
+        CalendarEntry.find(query).sort({ startDate: 1 }).lean(),
+        Setting.findOne({ key: LEGACY_HOLIDAYS_KEY }).lean()
+    ]);
+    return [...entries, ...legacyHolidayEntries(legacy?.value)];
+}
+
+/* ---------------------------
+   Spending limits (daily / weekly caps)
+   --------------------------- */
+/**
+ * getSpendingAllowance(user, { session, now })
+ * - user: a User doc (or lean object) with _id, role and spendingLimits
+ * - Spend = order debits (ordinary + special) minus refunds linked to an order, since the start of the period.
+ * - Returns { timezone, daily: { limit, spent, remaining, since, source }, weekly: { ... } }; remaining is null when uncapped.
+ */
+export async function getSpendingAllowance(user, { session = null, now = new Date() } = {}) {
+    const settingsQuery = Setting.find({ key: { $in: Object.values(SPENDING_LIMIT_KEYS) } }).lean();
+    if (session) settingsQuery.session(session);
+    const settings = await settingsQuery;
+    const settingMap = new Map(settings.map(s => [s.key, s.value]));
+
+    const configuredTimezone = settingMap.get(SPENDING_LIMIT_KEYS.timezone);
+    const timezone = isValidTimezone(configuredTimezone) ? configuredTimezone : DEFAULT_TIMEZONE;
+    const limits = resolveSpendingLimits(
+        user?.spendingLimits || {},
+        { daily: settingMap.get(SPENDING_LIMIT_KEYS.daily), weekly: settingMap.get(SPENDING_LIMIT_KEYS.weekly) },
+        user?.role || 'student'
+    );
+    const { dayStart, weekStart } = spendingPeriodStarts(now, timezone);
+
+    let spentToday = 0;
+    let spentThisWeek = 0;
+    if (user?._id) {
+        const agg = Transaction.aggregate([
+            {
+                $match: {
+                    user: new mongoose.Types.ObjectId(String(user._id)),
+                    createdAt: { $gte: weekStart < dayStart ? weekStart : dayStart },
+                    $or: [
+                        { type: 'order' },
+                        { type: 'refund', $or: [{ relatedOrder: { $ne: null } }, { 'meta.specialOrderId': { $exists: true } }] }
+                    ]
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    week: { $sum: { $cond: [{ $gte: ['$createdAt', weekStart] }, '$amount', 0] } },
+                    day: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$amount', 0] } }
+                }
+            }
+        ]);
+        if (session) agg.session(session);
+        const [row] = await agg;
+        // order debits are negative amounts, refunds positive
+        spentToday = -Number(row?.day || 0);
+        spentThisWeek = -Number(row?.week || 0);
+    }
+
+    return {
+        timezone,
+        daily: periodAllowance(limits.daily, spentToday, dayStart),
+        weekly: periodAllowance(limits.weekly, spentThisWeek, weekStart)
+    };
+}
+
+/**
+ * assertWithinSpendingLimits(user, amount, { session })
+ * - Throws SpendingLimitError (status 403, err.allowance) when amount would exceed the daily or weekly cap.
+ * - Returns the allowance otherwise.
+ */
+export async function assertWithinSpendingLimits(user, amount, { session = null } = {}) {
+    const allowance = await getSpendingAllowance(user, { session });
+    assertWithinAllowance(allowance, amount);
+    return allowance;
+}
+
+/* ---------------------------
+   Guardian controls (blocked products)
+   --------------------------- */
+/* Thrown when an order contains a product blocked for the student; routes map it to 403 */
+export class ProductBlockedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProductBlockedError';
+        this.status = 403;
+    }
+}
+
+/**
+ * assertProductsAllowed(user, items)
+ * - items: [{ product, name, components? }] (Product or SpecialProduct ids)
+ * - Throws ProductBlockedError for the first item (or bundle component) listed in user.blockedProducts.
+ */
+export function assertProductsAllowed(user, items = []) {
+    const blocked = new Set((user?.blockedProducts || []).map(String));
+    if (!blocked.size) return;
+    const hit = items.flatMap(it => [it, ...(it.components || [])]).find(it => blocked.has(String(it.product)));
+    if (hit) throw new ProductBlockedError(`"${hit.name || String(hit.product)}" is blocked for this student`);
+}
+
+/* ---------------------------
+   Dietary profile (allergens / restrictions)
+   --------------------------- */
+/**
+ * activeDietaryOverrides(userId, productIds, { session })
+ * - AuditLog 'dietary_override' entries for the student that are still valid (changes.expiresAt in the future,
+ *   not revoked). Returns a Map of product id string -> audit entry.
+ */
+export async function activeDietaryOverrides(userId, productIds = null, { session = null } = {}) {
+    const filter = {
+        action: DIETARY_OVERRIDE_ACTION,
+        documentId: userId,
+        'changes.expiresAt': { $gt: new Date() },
+        'changes.revokedAt': null
+    };
+    if (productIds) filter['changes.product'] = { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+    const q = AuditLog.find(filter).sort({ createdAt: -1 }).lean();
+    if (session) q.session(session);
+    const map = new Map();
+    for (const entry of await q) {
+        const key = String(entry.changes?.product);
+        if (!map.has(key)) map.set(key, entry);
+    }
+    return map;
+}
+
+/**
+ * assertDietaryAllowed(user, items, productMap, { session })
+ * - items: priced order lines ({ product, name, allergens, components? }); productMap supplies tags for restrictions.
+ * - Throws DietaryConflictError (status 403, err.conflicts) for lines conflicting with user.dietaryProfile that
+ *   have no admin override in the AuditLog. Returns the ids of the overrides relied on (for order meta).
+ */
+export async function assertDietaryAllowed(user, items = [], productMap = new Map(), { session = null } = {}) {
+    const profile = user?.dietaryProfile;
+    if (!hasDietaryProfile(profile)) return [];
+    const conflicting = items
+        .map(it => ({ item: it, reasons: lineDietaryConflicts(profile, it, productMap) }))
+        .filter(c => c.reasons.length);
+    if (!conflicting.length) return [];
+
+    const overrides = await activeDietaryOverrides(user._id, conflicting.map(c => c.item.product), { session });
+    const blocked = conflicting.filter(c => !overrides.has(String(c.item.product)));
+    if (blocked.length) {
+        const [first] = blocked;
+        throw new DietaryConflictError(
+            `"${first.item.name || String(first.item.product)}" conflicts with this student's dietary profile (${first.reasons.join(', ')})`,
+            blocked.map(c => ({ product: c.item.product, name: c.item.name, reasons: c.reasons }))
+        );
+    }
+    return conflicting.map(c => overrides.get(String(c.item.product))._id);
+}
+
+/* ---------------------------
+   Pickup slots (capacity per slot of an ordering window)
+   --------------------------- */
+/**
+ * reservePickupSlot(slot, prepMinutes, { session })
+ * - slot: { window, serviceDate, start, end, label, maxOrders, maxPrepMinutes } as built by the order route.
+ * - Books one order and prepMinutes into the slot with a conditional $inc — the check and the booking are one
+ *   write, so two checkouts can never both take the last place. A lone order larger than maxPrepMinutes still
+ *   fits an empty slot. Throws PickupSlotError (409) when the slot is full.
+ * - Returns the Order.pickupSlot snapshot.
+ */
+export async function reservePickupSlot(slot, prepMinutes = 0, { session = null } = {}) {
+    const key = { window: slot.window, start: new Date(slot.start) };
+    try {
+        await PickupSlotLoad.updateOne(
+            key,
+            { $setOnInsert: { serviceDate: slot.serviceDate, end: slot.end, orders: 0, prepMinutes: 0 } },
+            { upsert: true, session }
+        );
+    } catch (err) {
+        // a concurrent checkout created the load document first
+        if (!isDuplicateKeyError(err)) throw err;
+    }
+
+    const conditions = { ...key };
+    if (slot.maxOrders !== null && slot.maxOrders !== undefined) conditions.orders = { $lt: Number(slot.maxOrders) };
+    if (slot.maxPrepMinutes !== null && slot.maxPrepMinutes !== undefined) {
+        conditions.$or = [{ orders: 0 }, { prepMinutes: { $lte: Number(slot.maxPrepMinutes) - prepMinutes } }];
+    }
+    const booked = await PickupSlotLoad.findOneAndUpdate(
+        conditions,
+        { $inc: { orders: 1, prepMinutes } },
+        { new: true, session }
+    );
+    if (!booked) {
+        throw new PickupSlotError(`${slot.label ? `The ${slot.label}` : 'That'} pickup slot is full, please choose another`);
+    }
+
+    return {
+        window: slot.window,
+        serviceDate: slot.serviceDate,
+        start: new Date(slot.start),
+        end: slot.end ? new Date(slot.end) : null,
+        label: slot.label || null,
+        prepMinutes
+    };
+}
+
+/**
+ * releasePickupSlot(orderDoc, { session })
+ * - Gives a cancelled order's place in its pickup slot back (flags meta.pickupSlotReleased; safe to call twice).
+ *   The caller saves the order.
+ */
+export async function releasePickupSlot(orderDoc, { session = null } = {}) {
+    const slot = orderDoc?.pickupSlot;
+    const meta = orderDoc?.meta || {};
+    if (!slot?.start || !slot?.window || meta.pickupSlotReleased) return false;
+    await PickupSlotLoad.updateOne(
+        { window: slot.window, start: slot.start, orders: { $gt: 0 } },
+        { $inc: { orders: -1, prepMinutes: -Number(slot.prepMinutes || 0) } },
+        { session }
+    );
+    orderDoc.meta = { ...meta, pickupSlotReleased: true };
+    if (typeof orderDoc.markModified === 'function') orderDoc.markModified('meta');
+    return true;
+}
+
+/* ---------------------------
+   Prep stations (per-station kitchen display)
+   - every order line carries the prepStation of its product; null lines belong to no station ("unassigned")
+   - an order is ready once every line is prepared, i.e. once every station has finished its part
+   - refunded units (refundedQty) are not owed to the kitchen (kitchenQty in lib/queueEta.js)
+   --------------------------- */
+export const UNASSIGNED_STATION = 'unassigned';
+
+/**
+ * itemStationKey(item, knownStations)
+ * - The station id of an order line as a string, or UNASSIGNED_STATION.
+ * - knownStations (optional Set of id strings): lines pointing at a deleted station count as unassigned.
+ */
+export function itemStationKey(item, knownStations = null) {
+    const raw = item?.prepStation?._id ?? item?.prepStation;
+    if (!raw) return UNASSIGNED_STATION;
+    const key = String(raw);
+    return knownStations && !knownStations.has(key) ? UNASSIGNED_STATION : key;
+}
+
+/**
+ * stationProgress(order, knownStations)
+ * - Returns [{ station, total, prepared, done }] with one entry per station that has lines on the order.
+ */
+export function stationProgress(order, knownStations = null) {
+    const byStation = new Map();
+    for (const it of order?.items || []) {
+        const key = itemStationKey(it, knownStations);
+        const entry = byStation.get(key) || { station: key, total: 0, prepared: 0, done: false };
+        entry.total += kitchenQty(it);
+        entry.prepared += preparedQty(it);
+        byStation.set(key, entry);
+    }
+    return [...byStation.values()].map(e => ({ ...e, done: e.prepared >= e.total }));
+}
+
+/**
+ * getQueueEstimates({ now })
+ * - Queue position and estimated ready time of every outstanding order and special order (lib/queueEta.js).
+ * - Returns Map order id string -> { position, ahead, etaMinutes, readyAt }; computed from preparedCount on every
+ *   call, so estimates move as soon as the canteen prepares items.
+ */
+export async function getQueueEstimates({ now = new Date() } = {}) {
+    const select = 'status items.product items.qty items.refundedQty items.preparedCount items.prepStation items.components createdAt pickupSlot';
+    const [orders, specialOrders, products, specialProducts, stations] = await Promise.all([
+        Order.find({ status: { $in: QUEUE_STATUSES } }).select(select).lean(),
+        SpecialOrder.find({ status: { $in: QUEUE_STATUSES } }).select(select).lean(),
+        Product.find().select('prepTimeMinutes').lean(),
+        SpecialProduct.find().select('prepTimeMinutes').lean(),
+        PrepStation.find().select('_id').lean()
+    ]);
+    const productMap = new Map([...products, ...specialProducts].map(p => [String(p._id), p]));
+    const known = new Set(stations.map(st => String(st._id)));
+    return estimateQueue([...orders, ...specialOrders], productMap, {
+        now,
+        stationOf: (it) => itemStationKey(it, known)
+    });
+}
+
+/* ---------------------------
+   Notifications
+   - notify() stores the in-app notification and delivers it on the channels enabled in
+     Setting "notifications.channels" (e.g. ["email"]) through lib/notificationChannels.js; external delivery runs in
+     the background so a slow mail server never holds up the request that caused it
+   - the event helpers below are best-effort: they never throw, call them after the write has committed
+   --------------------------- */
+export const NOTIFICATION_SETTING_KEYS = {
+    channels: 'notifications.channels',
+    lowBalanceThreshold: 'notifications.lowBalanceThreshold',
+    legacyLowBalanceThreshold: 'guardian.lowBalanceThreshold' // school threshold before notifications existed
+};
+
+export const DEFAULT_LOW_BALANCE_THRESHOLD = Number(process.env.LOW_BALANCE_THRESHOLD) || 5;
+
+const fmtAmount = (n) => Number(n || 0).toFixed(2);
+
+/**
+ * getLowBalanceThreshold()
+ * - Setting "notifications.lowBalanceThreshold", else the older "guardian.lowBalanceThreshold", else
+ *   DEFAULT_LOW_BALANCE_THRESHOLD (only non-negative numbers count).
+ */
+export async function getLowBalanceThreshold() {
+    const keys = [NOTIFICATION_SETTING_KEYS.lowBalanceThreshold, NOTIFICATION_SETTING_KEYS.legacyLowBalanceThreshold];
+    const docs = await Setting.find({ key: { $in: keys } }).lean();
+    const byKey = new Map(docs.map(d => [d.key, d.value]));
+    for (const key of keys) {
+        const raw = byKey.get(key);
+        const n = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+        if (Number.isFinite(n) && n >= 0) return n;
+    }
+    return DEFAULT_LOW_BALANCE_THRESHOLD;
+}
+
+/* External channels switched on by admin (in-app is always on) */
+async function enabledExternalChannels() {
+    const setting = await Setting.findOne({ key: NOTIFICATION_SETTING_KEYS.channels }).lean();
+    const list = Array.isArray(setting?.value) ? setting.value : [];
+    return list.filter(c => c !== 'in-app' && NOTIFICATION_CHANNELS.includes(c));
+}
+
+/* Sends one recorded external Notification and stores the outcome; never throws */
+async function deliverNotification(doc, to) {
+    try {
+        const { channel, type, title, body, meta } = doc;
+        const result = await deliver(channel, { to, type, title, body, meta });
+        await Notification.updateOne(
+            { _id: doc._id },
+            result.ok
+                ? { $set: { sent: true, sentAt: new Date(), 'meta.delivery': result.note } }
+                : { $set: { sent: false, error: result.error } }
+        );
+        if (!result.ok) console.warn(`Notification delivery failed (${channel}):`, result.error);
+    } catch (e) {
+        console.warn('Notification delivery failed:', e?.message || e);
+    }
+}
+
+/**
+ * notify(userOrId, { type, title, body, meta })
+ * - Creates the in-app Notification and one Notification per enabled external channel the user can be reached on.
+ * - External documents start unsent and are delivered without being awaited; they record sent / error when done.
+ * - Returns the in-app document, or null when the user is unknown / inactive or anything fails.
+ */
+export async function notify(userOrId, { type, title, body, meta = {} } = {}) {
+    try {
+        const user = userOrId?._id && userOrId?.name !== undefined
+            ? userOrId
+            : await User.findById(userOrId?._id || userOrId).select('name email phone isActive').lean();
+        if (!user || user.isActive === false) return null;
+
+        const inApp = await Notification.create({
+            user: user._id,
+            type,
+            channel: 'in-app',
+            title,
+            body,
+            sent: true,
+            sentAt: new Date(),
+            meta
+        });
+
+        const to = { name: user.name, email: user.email || null, phone: user.phone || null };
+        for (const channel of await enabledExternalChannels()) {
+            if (!canReach(channel, to)) continue;
+            const doc = await Notification.create({ user: user._id, type, channel, title, body, meta });
+            deliverNotification(doc, to); // not awaited
+        }
+        return inApp;
+    } catch (e) {
+        console.warn('notify failed:', e?.message || e);
+        return null;
+    }
+}
+
+/**
+ * notifyLowBalance(student, balanceBefore, balanceAfter)
+ * - Notifies the student when the balance crosses the school threshold (Setting "notifications.lowBalanceThreshold"),
+ *   and each active linked guardian when it crosses theirs (guardian.lowBalanceThreshold, else the school threshold).
+ * - Only the debit that crosses a threshold notifies, not every later order.
+ */
+export async function notifyLowBalance(student, balanceBefore, balanceAfter) {
+    try {
+        if (!student?._id || typeof balanceAfter !== 'number') return [];
+        const crossed = (threshold) => balanceAfter < threshold && Number(balanceBefore) >= threshold;
+        const schoolThreshold = await getLowBalanceThreshold();
+        const who = student.name || student.regNumber || 'student';
+        const created = [];
+
+        if (student.role === undefined || student.role === 'student') {
+            if (crossed(schoolThreshold)) {
+                created.push(await notify(student._id, {
+                    type: 'low_balance',
+                    title: 'Low balance',
+                    body: `Your balance is ${fmtAmount(balanceAfter)}, below ${fmtAmount(schoolThreshold)}. Please top up.`,
+                    meta: { balance: balanceAfter, threshold: schoolThreshold }
+                }));
+            }
+        }
+
+        const guardians = await User.find({ role: 'guardian', guardianOf: student._id, isActive: true })
+            .select('name email phone isActive lowBalanceThreshold')
+            .lean();
+        for (const g of guardians) {
+            const threshold = typeof g.lowBalanceThreshold === 'number' ? g.lowBalanceThreshold : schoolThreshold;
+            if (!crossed(threshold)) continue;
+            created.push(await notify(g, {
+                type: 'low_balance',
+                title: `Low balance: ${who}`,
+                body: `${who} now has ${fmtAmount(balanceAfter)} left (alert threshold ${fmtAmount(threshold)}).`,
+                meta: { student: student._id, regNumber: student.regNumber || null, balance: balanceAfter, threshold }
+            }));
+        }
+        return created.filter(Boolean);
+    } catch (e) {
+        console.warn('Low-balance notification failed:', e?.message || e);
+        return [];
+    }
+}
+
+/* "Order ready" for the order's student (external / walk-in orders have no user and are skipped) */
+export async function notifyOrderReady(order, { isSpecial = false } = {}) {
+    if (!order?.user) return null;
+    return notify(order.user?._id || order.user, {
+        type: 'order',
+        title: `Order ${order.code} is ready`,
+        body: `Your ${isSpecial ? 'special ' : ''}order ${order.code} is ready for collection.`,
+        meta: { event: 'order_ready', orderId: order._id, code: order.code, isSpecial }
+    });
+}
+
+/**
+ * notifyBalancePosted(user, tx)
+ * - "Top-up received" / "Refund posted" for topup and refund transactions (other types are ignored).
+ */
+export async function notifyBalancePosted(user, tx) {
+    if (!user?._id || !tx || !['topup', 'refund'].includes(tx.type)) return null;
+    const amount = Math.abs(Number(tx.amount || 0));
+    const isRefund = tx.type === 'refund';
+    return notify(user, {
+        type: isRefund ? 'refund' : 'topup',
+        title: isRefund ? 'Refund posted' : 'Top-up received',
+        body: isRefund
+            ? `${fmtAmount(amount)} was refunded to your account. New balance: ${fmtAmount(tx.balanceAfter)}.`
+            : `${fmtAmount(amount)} was added to your account. New balance: ${fmtAmount(tx.balanceAfter)}.`,
+        meta: { event: tx.type, transactionId: tx._id, amount, balance: tx.balanceAfter ?? null }
+    });
+}
 
 /* ---------------------------
    Convenience: atomic top-up and place-order helpers
    --------------------------- */
 /**
- * topUpUserAtomic(adminId, userIdOrReg, amount, note)
+ * topUpUserAtomic(adminId, userIdOrReg, amount, note, { idempotencyKey })
  * - credits user balance and writes a Transaction and AuditLog in a MongoDB session
+ * - with idempotencyKey a repeated call returns the original { user, tx } with replayed: true instead of crediting again
  */
-export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
+export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '', { idempotencyKey = null } = {}) {
     if (!amount || amount <= 0) throw new Error('Amount must be positive');
     await connectToDatabase();
 
+    const fingerprint = idempotencyKey ? requestFingerprint({ op: 'topup', userIdOrReg: String(userIdOrReg), amount: Number(amount) }) : null;
+    const findReplay = async () => {
+        if (!idempotencyKey) return null;
+        const prior = await Transaction.findOne({ idempotencyKey });
+        if (!prior) return null;
+        assertSameRequest(prior, fingerprint);
+        const user = await User.findById(prior.user);
+        return { ok: true, user, tx: prior, replayed: true };
+    };
+    const idem = idempotencyKey ? { idempotencyKey, meta: { idempotencyFingerprint: fingerprint } } : {};
+
+    const replay = await findReplay();
+    if (replay) return replay;
+
     // Try transactional path first (works on replica set / Atlas)
     let session = null;
     try {
@@ -497,7 +1315,8 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
             balanceBefore: before,
             balanceAfter: after,
             createdBy: adminId,
-            note
+            note,
+            ...idem
         }], { session });
 
         await AuditLog.create([{
@@ -511,6 +1330,8 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
         await session.commitTransaction();
         session.endSession();
 
+        await notifyBalancePosted(user, txArr[0]);
+
         return { ok: true, user, tx: txArr[0] };
     } catch (err) {
         // clean up session if started
@@ -521,6 +1342,12 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
             } catch (e) { /* ignore */ }
         }
 
+        // a concurrent request with the same Idempotency-Key won the race; the session rolled back our credit
+        if (idempotencyKey && isDuplicateKeyError(err)) {
+            const replayAfterRace = await findReplay();
+            if (replayAfterRace) return replayAfterRace;
+        }
+
         // Detect standalone mongod which doesn't support transactions
         const isTransactionNotSupported =
             err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(String(err.message || '')));
@@ -544,6 +1371,27 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
 
             const before = Number(user.balance || 0);
 
+            // Create the transaction record first so a duplicate Idempotency-Key fails before any money moves
+            let txDoc;
+            try {
+                txDoc = await Transaction.create({
+                    user: user._id,
+                    type: 'topup',
+                    amount: amount,
+                    balanceBefore: before,
+                    balanceAfter: before + amount,
+                    createdBy: adminId,
+                    note,
+                    ...idem
+                });
+            } catch (createErr) {
+                if (idempotencyKey && isDuplicateKeyError(createErr)) {
+                    const replayAfterRace = await findReplay();
+                    if (replayAfterRace) return replayAfterRace;
+                }
+                throw createErr;
+            }
+
             // Atomically increment balance to reduce race windows
             const updated = await User.findOneAndUpdate(
                 { _id: user._id },
@@ -551,16 +1399,10 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
                 { new: true }
             );
 
-            // Create transaction record (best-effort, no session)
-            const txDoc = await Transaction.create({
-                user: updated._id,
-                type: 'topup',
-                amount: amount,
-                balanceBefore: before,
-                balanceAfter: updated.balance,
-                createdBy: adminId,
-                note
-            });
+            // record the balances actually observed around the $inc
+            txDoc.balanceBefore = Number(updated.balance) - amount;
+            txDoc.balanceAfter = Number(updated.balance);
+            await Transaction.updateOne({ _id: txDoc._id }, { $set: { balanceBefore: txDoc.balanceBefore, balanceAfter: txDoc.balanceAfter } });
 
             // Audit log (best-effort)
             try {
@@ -569,12 +1411,14 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
                     action: 'topup_user',
                     collectionName: 'users',
                     documentId: updated._id,
-                    changes: { amount, before, after: updated.balance, note }
+                    changes: { amount, before: txDoc.balanceBefore, after: updated.balance, note }
                 });
             } catch (e) {
                 console.warn('AuditLog creation failed in topUpUserAtomic fallback:', e?.message || e);
             }
 
+            await notifyBalancePosted(updated, txDoc);
+
             return { ok: true, user: updated, tx: txDoc };
         } catch (fallbackErr) {
             // If fallback fails, surface the fallback error
@@ -587,20 +1431,57 @@ export async function topUpUserAtomic(adminId, userIdOrReg, amount, note = '') {
 /**
  * placeOrderAtomic(userIdOrReg, orderPayload)
  * - Creates Order, deducts balance, writes Transaction and AuditLog atomically.
- * - orderPayload: { items: [{ productId, qty, notes }], prepStationId, orderingWindowId, external: boolean, issuedByAdminId? }
+ * - orderPayload: { items: [{ productId, qty, notes }], prepStationId, orderingWindowId, external: boolean, issuedByAdminId?, idempotencyKey?, schedule? }
+ * - With idempotencyKey a repeated call returns the original { order, tx } with replayed: true (no second charge).
+ * - schedule = { scheduledFor, serviceDate, releaseAt, deferCharge } makes a pre-order: it stays 'scheduled' (off the
+ *   canteen board, no auto-prepare, no order event) until releaseAt; with deferCharge there is no balance check,
+ *   spending-limit check or Transaction yet (tx is null) — lib/preorders.js charges it when the window opens.
+ * - Student daily/weekly spending caps are enforced (SpendingLimitError) unless enforceSpendingLimits is false.
+ * - pickupSlot = { window, serviceDate, start, end, label, maxOrders, maxPrepMinutes } books the order into that slot
+ *   (reservePickupSlot, PickupSlotError when full) together with the order.
+ * - Products on the student's blockedProducts list are rejected (ProductBlockedError), and so are lines conflicting
+ *   with the student's dietaryProfile unless an admin override is on record (DietaryConflictError).
  *
  * NOTE: Updated to record external orders in the transactions collection with user: null
  *       AND deduct inventory quantities for ordered items.
  */
-export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBalanceCheck = true } = {}) {
+export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBalanceCheck = true, enforceSpendingLimits = true } = {}) {
     await connectToDatabase();
 
+    const idempotencyKey = orderPayload.idempotencyKey || null;
+    const fingerprint = idempotencyKey ? orderFingerprint(userIdOrReg, orderPayload) : null;
+    const findReplay = async () => {
+        if (!idempotencyKey) return null;
+        const prior = await Order.findOne({ idempotencyKey });
+        if (!prior) return null;
+        assertSameRequest(prior, fingerprint);
+        const tx = await Transaction.findOne({ relatedOrder: prior._id, type: { $in: ['order', 'external'] } });
+        return { ok: true, order: prior, tx, replayed: true };
+    };
+    const idem = idempotencyKey ? { idempotencyKey } : {};
+    const idemMeta = idempotencyKey ? { idempotencyFingerprint: fingerprint } : {};
+
+    const schedule = orderPayload.schedule || null;
+    const held = !!schedule && new Date(schedule.releaseAt) > new Date();
+    const deferCharge = held && !!schedule.deferCharge && !orderPayload.external;
+    const scheduleFields = schedule
+        ? {
+            scheduledFor: schedule.scheduledFor,
+            serviceDate: schedule.serviceDate,
+            releaseAt: schedule.releaseAt,
+            chargeStatus: deferCharge ? 'pending' : 'charged'
+        }
+        : {};
+
+    const replay = await findReplay();
+    if (replay) return replay;
+
     // helper: transactional inventory deduction (inside session)
     async function deductInventoryTransactional(orderItems, session) {
         // use Inventory model exported above
         const InventoryModel = Inventory;
         const inventoryChanges = []; // for audit: { inventoryId, product, before, after, qtyTaken }
-        for (const it of orderItems) {
+        for (const it of orderItems.flatMap(line => stockLines(line))) {
             const needed = Number(it.qty || 0);
             if (!needed) continue;
             // load active inventory docs for this product, prefer larger quantities first (so we deplete larger bins first)
@@ -631,7 +1512,7 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
     async function deductInventoryNonTransactional(orderItems) {
         const InventoryModel = Inventory;
         const inventoryChanges = [];
-        for (const it of orderItems) {
+        for (const it of orderItems.flatMap(line => stockLines(line))) {
             const needed = Number(it.qty || 0);
             if (!needed) continue;
             // check total first
@@ -693,30 +1574,54 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
         const products = await Product.find({ _id: { $in: productIds } }).session(session);
         // map products
         const productMap = new Map(products.map(p => [p._id.toString(), p]));
+        // bundle components / slot options, priced and stocked through lib/bundles.js
+        const componentIds = products.flatMap(bundleProductIds).filter(id => !productMap.has(id));
+        if (componentIds.length) {
+            for (const c of await Product.find({ _id: { $in: componentIds } }).session(session)) productMap.set(c._id.toString(), c);
+        }
 
         let total = 0;
         const orderItems = items.map(it => {
             const p = productMap.get(it.productId);
             if (!p) throw new Error(`Product not found: ${it.productId}`);
             const qty = Math.max(1, Number(it.qty || 1));
-            const price = p.price;
+            const line = priceOrderLine(p, it, productMap);
+            const price = line.price;
             total += price * qty;
             return {
                 product: p._id,
                 name: p.name,
                 price,
                 qty,
+                modifiers: line.modifiers,
+                ...(line.components.length ? { components: line.components } : {}),
+                ...(line.label ? { label: line.label } : {}),
                 notes: it.notes || '',
-                allergens: p.allergens || [],
+                allergens: line.allergens,
+
+                prepStation: p.prepStation || null,
                 // preparedCount left to default 0; we'll set it after creation if needed
             };
         });
 
         // balance check
-        if (!external && trustBalanceCheck) {
+        if (!external && !deferCharge && trustBalanceCheck) {
             if (user.balance < total) throw new Error('Insufficient balance');
         }
 
+        if (!external) assertProductsAllowed(user, orderItems);
+        const dietaryOverrides = external ? [] : await assertDietaryAllowed(user, orderItems, productMap, { session });
+
+        // daily / weekly spending caps
+        if (!external && !deferCharge && enforceSpendingLimits) {
+            await assertWithinSpendingLimits(user, total, { session });
+        }
+
+        // pickup slot capacity (booked in the same transaction as the order)
+        const pickupSlot = orderPayload.pickupSlot
+            ? await reservePickupSlot(orderPayload.pickupSlot, orderPrepMinutes(orderItems, productMap), { session })
+            : null;
+
         // create order
         const code = Order.generateCode('RC-');
         const orderDocArr = await Order.create([{
@@ -725,11 +1630,14 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
             regNumber: user ? user.regNumber : null,
             items: orderItems,
             total,
-            status: 'placed',
+            status: held ? 'scheduled' : 'placed',
             orderingWindow: orderingWindowId,
+            ...scheduleFields,
+            pickupSlot,
             prepStation: prepStationId,
             external: !!external,
-            meta: { issuedByAdminId }
+            ...idem,
+            meta: { issuedByAdminId, ...idemMeta, ...(dietaryOverrides.length ? { dietaryOverrides } : {}) }
         }], { session });
 
         const orderDoc = orderDocArr[0];
@@ -745,7 +1653,7 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
         // Mark individual items prepared if their product category is auto-prepare.
         // Only mark the whole order 'ready' if ALL items in the order are auto-preparable.
         const autoPreparedItems = [];
-        if (orderDoc.items && orderDoc.items.length) {
+        if (!held && orderDoc.items && orderDoc.items.length) {
             for (const sub of orderDoc.items) {
                 const prod = productMap.get(String(sub.product));
                 const category = prod?.category;
@@ -776,13 +1684,17 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
         if (autoPreparedItems.length) {
             orderDoc.meta.autoPrepared = autoPreparedItems;
         }
+        // meta is Mixed: without this the inventoryChanges cancel / refund restock from are never written
+        orderDoc.markModified('meta');
 
         // save updates to order (meta + prepared counts + status if changed)
         await orderDoc.save({ session });
 
         // deduct balance & create transaction
         let txDoc = null;
-        if (!external) {
+        if (deferCharge) {
+            // pre-order charged when its window opens (lib/preorders.js)
+        } else if (!external) {
             const before = user.balance || 0;
             const after = before - total;
             user.balance = after;
@@ -820,16 +1732,32 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
             collectionName: 'orders',
             documentId: orderDoc._id,
             changes: { total, items: orderItems.map(i => ({ name: i.name, qty: i.qty, price: i.price })) },
-            meta: { external: !!external, inventoryChanges, autoPrepared: orderDoc.meta?.autoPrepared || [] }
+            meta: { external: !!external, inventoryChanges, autoPrepared: orderDoc.meta?.autoPrepared || [], ...(schedule ? { schedule: scheduleFields } : {}) }
         }], { session });
 
         await session.commitTransaction();
         session.endSession();
 
+        // held pre-orders reach the board (and its event stream) when lib/preorders.js releases them
+        if (!held) publishOrderEvent(ORDER_EVENTS.created, orderDoc);
+        if (orderDoc.status === 'ready') publishOrderEvent(ORDER_EVENTS.ready, orderDoc);
+        if (!external && txDoc) {
+            await notifyLowBalance(user, txDoc.balanceBefore, txDoc.balanceAfter);
+            // drinks-only style orders are auto-prepared and ready at placement
+            if (orderDoc.status === 'ready') await notifyOrderReady(orderDoc);
+        }
+
         return { ok: true, order: orderDoc, tx: txDoc };
     } catch (err) {
         await session.abortTransaction();
         session.endSession();
+
+        // a concurrent request with the same Idempotency-Key already created the order; ours was rolled back
+        if (idempotencyKey && isDuplicateKeyError(err)) {
+            const replayAfterRace = await findReplay();
+            if (replayAfterRace) return replayAfterRace;
+        }
+
         // Detect "no transactions" / standalone mongod errors
         const isTransactionNotSupported =
             err && (
@@ -862,43 +1790,80 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
             const productIds = items.map(it => it.productId);
             const products = await Product.find({ _id: { $in: productIds } });
             const productMap = new Map(products.map(p => [p._id.toString(), p]));
+            // bundle components / slot options, priced and stocked through lib/bundles.js
+            const componentIds = products.flatMap(bundleProductIds).filter(id => !productMap.has(id));
+            if (componentIds.length) {
+                for (const c of await Product.find({ _id: { $in: componentIds } })) productMap.set(c._id.toString(), c);
+            }
 
             let total = 0;
             const orderItems = items.map(it => {
                 const p = productMap.get(it.productId);
                 if (!p) throw new Error(`Product not found: ${it.productId}`);
                 const qty = Math.max(1, Number(it.qty || 1));
-                const price = Number(p.price || 0);
+                const line = priceOrderLine(p, it, productMap);
+                const price = line.price;
                 total += price * qty;
                 return {
                     product: p._id,
                     name: p.name,
                     price,
                     qty,
+                    modifiers: line.modifiers,
+                    ...(line.components.length ? { components: line.components } : {}),
+                    ...(line.label ? { label: line.label } : {}),
                     notes: it.notes || '',
-                    allergens: p.allergens || []
+                    allergens: line.allergens,
+
+                    prepStation: p.prepStation || null
                 };
             });
 
             // balance check
-            if (!external && trustBalanceCheck) {
+            if (!external && !deferCharge && trustBalanceCheck) {
                 if ((user.balance || 0) < total) throw new Error('Insufficient balance');
             }
 
-            // create order (non-transactional)
+            if (!external) assertProductsAllowed(user, orderItems);
+            const dietaryOverrides = external ? [] : await assertDietaryAllowed(user, orderItems, productMap);
+
+            // daily / weekly spending caps
+            if (!external && !deferCharge && enforceSpendingLimits) {
+                await assertWithinSpendingLimits(user, total);
+            }
+
+            // pickup slot capacity: booked before the order, given back if the order cannot be created
+            const pickupSlot = orderPayload.pickupSlot
+                ? await reservePickupSlot(orderPayload.pickupSlot, orderPrepMinutes(orderItems, productMap))
+                : null;
+
+            // create order (non-transactional) - first write, so a duplicate Idempotency-Key stops here
             const code = Order.generateCode('RC-');
-            const orderDoc = await Order.create({
-                code,
-                user: user ? user._id : null,
-                regNumber: user ? user.regNumber : null,
-                items: orderItems,
-                total,
-                status: 'placed',
-                orderingWindow: orderingWindowId,
-                prepStation: prepStationId,
-                external: !!external,
-                meta: { issuedByAdminId }
-            });
+            let orderDoc;
+            try {
+                orderDoc = await Order.create({
+                    code,
+                    user: user ? user._id : null,
+                    regNumber: user ? user.regNumber : null,
+                    items: orderItems,
+                    total,
+                    status: held ? 'scheduled' : 'placed',
+                    orderingWindow: orderingWindowId,
+                    ...scheduleFields,
+                    pickupSlot,
+                    prepStation: prepStationId,
+                    external: !!external,
+                    ...idem,
+                    meta: { issuedByAdminId, ...idemMeta, ...(dietaryOverrides.length ? { dietaryOverrides } : {}) }
+                });
+            } catch (createErr) {
+                if (pickupSlot) await releasePickupSlot({ pickupSlot, meta: {} }).catch(() => {});
+                if (idempotencyKey && isDuplicateKeyError(createErr)) {
+                    const replayAfterRace = await findReplay();
+                    if (replayAfterRace) return replayAfterRace;
+                }
+                throw createErr;
+            }
 
             // DEDUCT INVENTORY (non-transactional; best-effort atomic updates)
             let inventoryChanges = [];
@@ -916,7 +1881,7 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
                     // Mark individual items prepared if their product category is auto-prepare.
                     // Only mark the whole order 'ready' if ALL items in the order are auto-preparable.
                     const autoPreparedItems = [];
-                    if (orderDoc.items && orderDoc.items.length) {
+                    if (!held && orderDoc.items && orderDoc.items.length) {
                         for (const sub of orderDoc.items) {
                             const prod = productMap.get(String(sub.product));
                             const category = prod?.category;
@@ -945,6 +1910,7 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
                         }
                     }
 
+                    orderDoc.markModified('meta');
                     await orderDoc.save();
                 } catch (e) {
                     // non-critical: we already deducted inventory; but best-effort attach meta
@@ -952,6 +1918,7 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
                 }
             } catch (deductErr) {
                 // If inventory deduction fails after order created, try to remove the created order to avoid inconsistent state
+                if (pickupSlot) await releasePickupSlot({ pickupSlot, meta: {} }).catch(() => {});
                 try {
                     await Order.deleteOne({ _id: orderDoc._id });
                 } catch (cleanupErr) {
@@ -961,7 +1928,21 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
             }
 
             let txDoc = null;
-            if (!external) {
+            if (deferCharge) {
+                // pre-order charged when its window opens (lib/preorders.js)
+                try {
+                    await AuditLog.create({
+                        actor: issuedByAdminId || user._id,
+                        action: 'place_order',
+                        collectionName: 'orders',
+                        documentId: orderDoc._id,
+                        changes: { total, items: orderItems.map(i => ({ name: i.name, qty: i.qty, price: i.price })) },
+                        meta: { fallback: true, inventoryChanges, schedule: scheduleFields }
+                    });
+                } catch (e) {
+                    console.warn('AuditLog creation failed in placeOrderAtomic fallback:', e?.message || e);
+                }
+            } else if (!external) {
                 // Attempt atomic balance decrement using $inc to reduce race windows
                 const before = Number(user.balance || 0);
                 const updated = await User.findOneAndUpdate(
@@ -990,11 +1971,14 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
                         collectionName: 'orders',
                         documentId: orderDoc._id,
                         changes: { total, items: orderItems.map(i => ({ name: i.name, qty: i.qty, price: i.price })) },
-                        meta: { fallback: true, inventoryChanges, autoPrepared: orderDoc.meta?.autoPrepared || [] }
+                        meta: { fallback: true, inventoryChanges, autoPrepared: orderDoc.meta?.autoPrepared || [], ...(schedule ? { schedule: scheduleFields } : {}) }
                     });
                 } catch (e) {
                     console.warn('AuditLog creation failed in placeOrderAtomic fallback:', e?.message || e);
                 }
+
+                await notifyLowBalance(user, before, Number(updated.balance));
+                if (orderDoc.status === 'ready') await notifyOrderReady(orderDoc);
             } else {
                 // external -> create transaction without linked user (best-effort)
                 txDoc = await Transaction.create({
@@ -1022,6 +2006,9 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
                 }
             }
 
+            if (!held) publishOrderEvent(ORDER_EVENTS.created, orderDoc);
+            if (orderDoc.status === 'ready') publishOrderEvent(ORDER_EVENTS.ready, orderDoc);
+
             return { ok: true, order: orderDoc, tx: txDoc };
         } catch (fallbackErr) {
             // If fallback fails, surface the fallback error
@@ -1030,6 +2017,432 @@ export async function placeOrderAtomic(userIdOrReg, orderPayload = {}, { trustBa
     }
 }
 
+/**
+ * restoreOrderInventory(orderDoc, { session })
+ * - Puts back the stock recorded in order.meta.inventoryChanges at placement and flags meta.inventoryRestored.
+ * - Units already returned by a partial refund (change.qtyRestored) are skipped.
+ * - Safe to call twice; returns [{ inventoryId, product, qtyRestored, ok }]. The caller saves the order.
+ */
+export async function restoreOrderInventory(orderDoc, { session = null } = {}) {
+    const meta = orderDoc.meta || {};
+    if (meta.inventoryRestored) return [];
+    const restored = [];
+    const changes = Array.isArray(meta.inventoryChanges) ? meta.inventoryChanges : [];
+    for (const ch of changes) {
+        const qty = Number(ch?.qtyTaken || 0) - Number(ch?.qtyRestored || 0);
+        if (!ch?.inventoryId || qty <= 0) continue;
+        const updated = await Inventory.findOneAndUpdate(
+            { _id: ch.inventoryId, active: true },
+            { $inc: { quantity: qty } },
+            { new: true, session }
+        );
+        ch.qtyRestored = Number(ch.qtyTaken);
+        restored.push({ inventoryId: ch.inventoryId, product: ch.product, qtyRestored: qty, ok: !!updated });
+    }
+    orderDoc.meta = { ...meta, inventoryChanges: changes, inventoryRestored: true };
+    if (typeof orderDoc.markModified === 'function') orderDoc.markModified('meta');
+    return restored;
+}
+
+/* Amount already refunded line by line (price × refundedQty), in currency units */
+function refundedLinesAmount(order) {
+    const cents = (order?.items || []).reduce((sum, it) => sum + Math.round(Number(it.price || 0) * 100) * Number(it.refundedQty || 0), 0);
+    return cents / 100;
+}
+
+/* Thrown by cancelOrderAtomic when the order is missing or past cancelling; routes map err.status */
+export class OrderCancelError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'OrderCancelError';
+        this.status = status;
+    }
+}
+
+/**
+ * cancelOrderAtomic(orderId, { isSpecial, userId, actorId, reason, statuses })
+ * - Cancels an Order (or SpecialOrder with isSpecial) still in one of `statuses`, credits the charged total back to
+ *   the wallet with a 'refund' Transaction linked to the order, restores meta.inventoryChanges and writes AuditLog.
+ * - userId restricts the lookup to that student's orders. Deferred pre-orders that were never charged refund nothing;
+ *   lines already refunded by refundOrderLinesAtomic are not refunded again.
+ * - The status flip is the claim: a concurrent cancel, release or kitchen pick-up can never refund twice.
+ * - Throws OrderCancelError (404 / 409); returns { ok, order, tx, refunded, inventoryRestored }.
+ */
+export async function cancelOrderAtomic(orderId, { isSpecial = false, userId = null, actorId = null, reason = '', statuses = ['placed', 'scheduled'] } = {}) {
+    await connectToDatabase();
+    if (!mongoose.Types.ObjectId.isValid(String(orderId))) throw new OrderCancelError('Order not found', 404);
+
+    const OrderModel = isSpecial ? SpecialOrder : Order;
+    const collectionName = isSpecial ? 'specialorders' : 'orders';
+    const filter = { _id: String(orderId), ...(userId ? { user: userId } : {}) };
+    const remarks = reason || 'Cancelled';
+
+    // a pre-order a release sweep is charging (scheduled + releaseClaimedAt) is left to lib/preorders.js
+    const claim = (session) => OrderModel.findOneAndUpdate(
+        { ...filter, status: { $in: statuses }, $nor: [{ status: 'scheduled', releaseClaimedAt: { $ne: null } }] },
+        { $set: { status: 'cancelled', remarks } },
+        { new: true, session }
+    );
+    const refusal = async () => {
+        const existing = await OrderModel.findOne(filter).select('status releaseClaimedAt').lean();
+        if (!existing) return new OrderCancelError('Order not found', 404);
+        if (existing.status === 'scheduled' && existing.releaseClaimedAt) {
+            return new OrderCancelError('Order is being released to the kitchen, try again in a moment');
+        }
+        return new OrderCancelError(`Order is ${existing.status} and can no longer be cancelled`);
+    };
+    const refundOf = (order) => (order.user && order.chargeStatus !== 'pending' ? Math.max(0, Number(order.total || 0) - refundedLinesAmount(order)) : 0);
+    const refundTx = (order, amount, before, after, restored) => ({
+        user: order.user,
+        type: 'refund',
+        amount,
+        balanceBefore: before,
+        balanceAfter: after,
+        relatedOrder: isSpecial ? null : order._id,
+        createdBy: actorId || null,
+        note: `Cancelled ${isSpecial ? 'special order' : 'order'} ${order.code}`,
+        meta: {
+            cancellation: true,
+            ...(isSpecial ? { special: true, specialOrderId: order._id } : {}),
+            ...(restored.length ? { inventoryRestored: restored } : {})
+        }
+    });
+    const auditEntry = (order, amount, restored, extra = {}) => ({
+        actor: actorId || null,
+        action: 'cancel_order',
+        collectionName,
+        documentId: order._id,
+        changes: { code: order.code, refunded: amount, reason: remarks, inventoryRestored: restored, ...extra }
+    });
+    const finish = async (order, user, tx, amount, restored) => {
+        if (tx) await notifyBalancePosted(user, tx);
+        publishOrderEvent(ORDER_EVENTS.cancelled, order, { isSpecial });
+        return { ok: true, order, tx, refunded: amount, inventoryRestored: restored };
+    };
+
+    let session = null;
+    try {
+        session = await mongoose.startSession();
+        session.startTransaction();
+
+        const order = await claim(session);
+        if (!order) throw await refusal();
+
+        const restored = await restoreOrderInventory(order, { session });
+        await releasePickupSlot(order, { session });
+        await order.save({ session });
+
+        const amount = refundOf(order);
+        let user = null;
+        let tx = null;
+        if (amount > 0) {
+            user = await User.findByIdAndUpdate(order.user, { $inc: { balance: amount } }, { new: true, session });
+            if (!user) throw new Error('User not found');
+            [tx] = await Transaction.create([refundTx(order, amount, user.balance - amount, user.balance, restored)], { session });
+        }
+
+        await AuditLog.create([auditEntry(order, amount, restored)], { session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return finish(order, user, tx, amount, restored);
+    } catch (err) {
+        if (session) {
+            try {
+                await session.abortTransaction();
+                session.endSession();
+            } catch (e) { /* ignore */ }
+        }
+        if (err instanceof OrderCancelError) throw err;
+
+        const isTransactionNotSupported =
+            err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(String(err.message || '')));
+        if (!isTransactionNotSupported) throw err;
+
+        // Fallback: the status claim still guarantees a single refund; the rest is best-effort
+        const order = await claim(null);
+        if (!order) throw await refusal();
+
+        const restored = await restoreOrderInventory(order);
+        await releasePickupSlot(order);
+        await order.save();
+
+        const amount = refundOf(order);
+        let user = null;
+        let tx = null;
+        if (amount > 0) {
+            user = await User.findByIdAndUpdate(order.user, { $inc: { balance: amount } }, { new: true });
+            if (!user) throw new Error('User not found');
+            tx = await Transaction.create(refundTx(order, amount, Number(user.balance) - amount, Number(user.balance), restored));
+        }
+
+        try {
+            await AuditLog.create(auditEntry(order, amount, restored, { fallback: true }));
+        } catch (e) {
+            console.warn('AuditLog creation failed in cancelOrderAtomic fallback:', e?.message || e);
+        }
+
+        return finish(order, user, tx, amount, restored);
+    }
+}
+
+/* Thrown by refundOrderLinesAtomic for unknown orders or lines and over-refunds; routes map err.status */
+export class OrderRefundError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OrderRefundError';
+        this.status = status;
+    }
+}
+
+const LINE_REFUND_BLOCKED_STATUSES = ['scheduled', 'cancelled', 'refunded'];
+
+/**
+ * refundOrderLinesAtomic(orderIdOrCode, lines, { actorId, note, userIdOrReg, idempotencyKey })
+ * - lines: [{ index, qty }] — positions in order.items and how many of their units to refund.
+ * - The amount is the stored line price × qty; each line's refundedQty grows so a unit is never refunded twice,
+ *   and only those units are restocked from meta.inventoryChanges. The order turns 'refunded' once every line is.
+ * - Works for Order and SpecialOrder (id or code). userIdOrReg, when given, must be the order's student.
+ * - With idempotencyKey a repeated call returns the original { order, tx } with replayed: true.
+ * - Throws OrderRefundError (400 / 404 / 409); returns { ok, order, tx, amount, lines, inventoryRestored, isSpecial }.
+ */
+export async function refundOrderLinesAtomic(orderIdOrCode, lines = [], { actorId = null, note = '', userIdOrReg = null, idempotencyKey = null } = {}) {
+    await connectToDatabase();
+
+    const wanted = new Map(); // item index -> qty (duplicates merged)
+    for (const line of Array.isArray(lines) ? lines : []) {
+        const index = Number(line?.index);
+        const qty = Number(line?.qty);
+        if (!Number.isInteger(index) || index < 0 || !Number.isInteger(qty) || qty <= 0) {
+            throw new OrderRefundError('Each refund line needs an item index and a positive whole qty');
+        }
+        wanted.set(index, (wanted.get(index) || 0) + qty);
+    }
+    if (!wanted.size) throw new OrderRefundError('Select at least one order line to refund');
+    const key = String(orderIdOrCode || '').trim();
+    if (!key) throw new OrderRefundError('relatedOrderId is required for a line refund');
+
+    const fingerprint = idempotencyKey
+        ? requestFingerprint({ op: 'refund-lines', order: key, lines: [...wanted].sort((a, b) => a[0] - b[0]) })
+        : null;
+    const findReplay = async () => {
+        if (!idempotencyKey) return null;
+        const prior = await Transaction.findOne({ idempotencyKey });
+        if (!prior) return null;
+        assertSameRequest(prior, fingerprint);
+        const isSpecial = !!prior.meta?.specialOrderId;
+        const order = isSpecial ? await SpecialOrder.findById(prior.meta.specialOrderId) : await Order.findById(prior.relatedOrder);
+        return { ok: true, order, tx: prior, amount: prior.amount, lines: prior.meta?.lines || [], inventoryRestored: prior.meta?.inventoryRestored || [], isSpecial, replayed: true };
+    };
+    const idem = idempotencyKey ? { idempotencyKey } : {};
+
+    const replay = await findReplay();
+    if (replay) return replay;
+
+    const resolveOrder = async (session) => {
+        const query = mongoose.Types.ObjectId.isValid(key) ? { $or: [{ _id: key }, { code: key }] } : { code: key };
+        for (const [Model, isSpecial] of [[Order, false], [SpecialOrder, true]]) {
+            const order = await Model.findOne(query).session(session);
+            if (order) return { Model, order, isSpecial };
+        }
+        throw new OrderRefundError('Order not found', 404);
+    };
+
+    const plan = async (order, session) => {
+        if (!order.user) throw new OrderRefundError('External orders have no wallet to refund to');
+        if (LINE_REFUND_BLOCKED_STATUSES.includes(order.status) || order.chargeStatus === 'pending') {
+            throw new OrderRefundError(`Order is ${order.status} and cannot be refunded line by line`, 409);
+        }
+        if (userIdOrReg) {
+            const owner = mongoose.Types.ObjectId.isValid(String(userIdOrReg))
+                ? await User.findById(String(userIdOrReg)).select('_id').session(session)
+                : await User.findOne({ regNumber: userIdOrReg }).select('_id').session(session);
+            if (!owner || String(owner._id) !== String(order.user)) throw new OrderRefundError('Order belongs to a different student');
+        }
+        const picked = [];
+        let amountCents = 0;
+        for (const [index, qty] of wanted) {
+            const it = order.items[index];
+            if (!it) throw new OrderRefundError(`Order ${order.code} has no line ${index}`);
+            const refundedBefore = Number(it.refundedQty || 0);
+            const left = Number(it.qty || 0) - refundedBefore;
+            if (qty > left) throw new OrderRefundError(`Only ${left} × ${it.name} left to refund`, 409);
+            const lineCents = Math.round(Number(it.price || 0) * 100) * qty;
+            amountCents += lineCents;
+            picked.push({ index, product: it.product, name: it.name, price: it.price, qty, refundedBefore, amount: lineCents / 100 });
+        }
+        return { picked, amount: amountCents / 100 };
+    };
+
+    // guarded $inc: fails when another refund touched these lines since we read them
+    const claim = async (Model, order, picked, session, sign = 1) => {
+        const guard = {};
+        const inc = {};
+        for (const p of picked) {
+            const current = sign > 0 ? p.refundedBefore : p.refundedBefore + p.qty;
+            guard[`items.${p.index}.refundedQty`] = current === 0 ? { $in: [0, null] } : current;
+            inc[`items.${p.index}.refundedQty`] = sign * p.qty;
+        }
+        const res = await Model.updateOne({ _id: order._id, ...guard }, { $inc: inc }, { session });
+        return res.modifiedCount === 1;
+    };
+
+    const restock = async (order, picked, session) => {
+        const meta = order.meta || {};
+        if (meta.inventoryRestored) return [];
+        const changes = Array.isArray(meta.inventoryChanges) ? meta.inventoryChanges : [];
+        const restored = [];
+        for (const p of picked.flatMap(pk => stockLines(order.items[pk.index], pk.qty))) {
+            let needed = p.qty;
+            for (const ch of changes) {
+                if (needed <= 0) break;
+                if (!ch?.inventoryId || String(ch.product) !== String(p.product)) continue;
+                const take = Math.min(needed, Number(ch.qtyTaken || 0) - Number(ch.qtyRestored || 0));
+                if (take <= 0) continue;
+                const updated = await Inventory.findOneAndUpdate(
+                    { _id: ch.inventoryId, active: true },
+                    { $inc: { quantity: take } },
+                    { new: true, session }
+                );
+                ch.qtyRestored = Number(ch.qtyRestored || 0) + take;
+                needed -= take;
+                restored.push({ inventoryId: ch.inventoryId, product: ch.product, qtyRestored: take, ok: !!updated });
+            }
+        }
+        const allBack = changes.length > 0 && changes.every(ch => Number(ch.qtyRestored || 0) >= Number(ch.qtyTaken || 0));
+        order.meta = { ...meta, inventoryChanges: changes, ...(allBack ? { inventoryRestored: true } : {}) };
+        order.markModified('meta');
+        return restored;
+    };
+
+    // fully refunded -> 'refunded'; a queued order whose remaining units are all prepared is now ready
+    const settle = (order) => {
+        if (order.items.every(it => Number(it.refundedQty || 0) >= Number(it.qty || 0))) order.status = 'refunded';
+        else if (QUEUE_STATUSES.includes(order.status) && kitchenStatus(order.items) === 'ready') order.status = 'ready';
+    };
+    const announceReady = async (order, isSpecial, statusBefore) => {
+        if (order.status !== 'ready' || statusBefore === 'ready') return;
+        publishOrderEvent(ORDER_EVENTS.ready, order, { isSpecial });
+        await notifyOrderReady(order, { isSpecial });
+    };
+
+    const txPayload = (order, isSpecial, amount, before, after, picked, restored) => ({
+        user: order.user,
+        type: 'refund',
+        amount,
+        balanceBefore: before,
+        balanceAfter: after,
+        relatedOrder: isSpecial ? null : order._id,
+        createdBy: actorId || null,
+        note: note || `Refund - ${picked.map(p => `${p.qty}× ${p.name}`).join(', ')} (order ${order.code})`,
+        ...idem,
+        meta: {
+            lines: picked.map(({ index, name, price, qty, amount: lineAmount }) => ({ index, name, price, qty, amount: lineAmount })),
+            ...(isSpecial ? { special: true, specialOrderId: order._id } : {}),
+            ...(restored.length ? { inventoryRestored: restored } : {}),
+            ...(idempotencyKey ? { idempotencyFingerprint: fingerprint } : {})
+        }
+    });
+    const auditEntry = (order, isSpecial, amount, picked, restored, extra = {}) => ({
+        actor: actorId || null,
+        action: 'refund_order_lines',
+        collectionName: isSpecial ? 'specialorders' : 'orders',
+        documentId: order._id,
+        changes: { code: order.code, amount, note, lines: picked, inventoryRestored: restored, status: order.status, ...extra }
+    });
+
+    let session = null;
+    try {
+        session = await mongoose.startSession();
+        session.startTransaction();
+
+        const { Model, order: current, isSpecial } = await resolveOrder(session);
+        const { picked, amount } = await plan(current, session);
+        if (!(await claim(Model, current, picked, session))) throw new OrderRefundError('Order changed while refunding, try again', 409);
+
+        const order = await Model.findById(current._id).session(session);
+        const statusBefore = order.status;
+        const restored = await restock(order, picked, session);
+        settle(order);
+        await order.save({ session });
+
+        const user = await User.findByIdAndUpdate(order.user, { $inc: { balance: amount } }, { new: true, session });
+        if (!user) throw new Error('User not found');
+        const [tx] = await Transaction.create([txPayload(order, isSpecial, amount, user.balance - amount, user.balance, picked, restored)], { session });
+
+        await AuditLog.create([auditEntry(order, isSpecial, amount, picked, restored)], { session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        await notifyBalancePosted(user, tx);
+        await announceReady(order, isSpecial, statusBefore);
+        return { ok: true, order, tx, amount, lines: tx.meta.lines, inventoryRestored: restored, isSpecial };
+    } catch (err) {
+        if (session) {
+            try {
+                await session.abortTransaction();
+                session.endSession();
+            } catch (e) { /* ignore */ }
+        }
+        if (err instanceof OrderRefundError || err?.name === 'IdempotencyMismatchError') throw err;
+
+        // a concurrent retry with the same Idempotency-Key committed first; ours was rolled back
+        if (idempotencyKey && isDuplicateKeyError(err)) {
+            const raced = await findReplay();
+            if (raced) return raced;
+        }
+
+        const isTransactionNotSupported =
+            err && (err.codeName === 'IllegalOperation' || /Transaction numbers are only allowed/i.test(String(err.message || '')));
+        if (!isTransactionNotSupported) throw err;
+
+        // Fallback: the guarded $inc on refundedQty is the claim; everything after it is best-effort
+        const { Model, order: current, isSpecial } = await resolveOrder(null);
+        const { picked, amount } = await plan(current, null);
+        if (!(await claim(Model, current, picked, null))) throw new OrderRefundError('Order changed while refunding, try again', 409);
+
+        let txDoc;
+        try {
+            txDoc = await Transaction.create(txPayload(current, isSpecial, amount, null, null, picked, []));
+        } catch (createErr) {
+            // hand the claimed units back before replaying (or surfacing) the error
+            await claim(Model, current, picked, null, -1).catch(() => {});
+            if (idempotencyKey && isDuplicateKeyError(createErr)) {
+                const raced = await findReplay();
+                if (raced) return raced;
+            }
+            throw createErr;
+        }
+
+        const order = await Model.findById(current._id);
+        const statusBefore = order.status;
+        const restored = await restock(order, picked, null);
+        settle(order);
+        await order.save();
+
+        const user = await User.findByIdAndUpdate(order.user, { $inc: { balance: amount } }, { new: true });
+        txDoc.balanceBefore = Number(user?.balance || 0) - amount;
+        txDoc.balanceAfter = Number(user?.balance || 0);
+        if (restored.length) txDoc.meta = { ...(txDoc.meta || {}), inventoryRestored: restored };
+        await Transaction.updateOne(
+            { _id: txDoc._id },
+            { $set: { balanceBefore: txDoc.balanceBefore, balanceAfter: txDoc.balanceAfter, meta: txDoc.meta } }
+        );
+
+        try {
+            await AuditLog.create(auditEntry(order, isSpecial, amount, picked, restored, { fallback: true }));
+        } catch (e) {
+            console.warn('AuditLog creation failed in refundOrderLinesAtomic fallback:', e?.message || e);
+        }
+
+        if (user) await notifyBalancePosted(user, txDoc);
+        await announceReady(order, isSpecial, statusBefore);
+        return { ok: true, order, tx: txDoc, amount, lines: txDoc.meta.lines, inventoryRestored: restored, isSpecial };
+    }
+}
+
 /* ---------------------------
    Default export (optional)
    --------------------------- */
@@ -1044,13 +2457,37 @@ const Models = {
     Order,
     SpecialOrder,
     Transaction,
+    JournalEntry,
     ExternalCode,
     AuditLog,
+    LoginAttempt,
+    LoginThrottle,
     Setting,
     Notification,
     Inventory,
+    Subscription,
+    PickupSlotLoad,
+    CalendarEntry,
+    getSchoolCalendar,
     topUpUserAtomic,
-    placeOrderAtomic
+    placeOrderAtomic,
+    restoreOrderInventory,
+    cancelOrderAtomic,
+    refundOrderLinesAtomic,
+    reservePickupSlot,
+    releasePickupSlot,
+    getSpendingAllowance,
+    assertWithinSpendingLimits,
+    assertProductsAllowed,
+    activeDietaryOverrides,
+    assertDietaryAllowed,
+    stationProgress,
+    getQueueEstimates,
+    notify,
+    notifyLowBalance,
+    notifyOrderReady,
+    notifyBalancePosted,
+    getLowBalanceThreshold
 };
 
 export default Models;
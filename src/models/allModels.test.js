@@ -0,0 +1,408 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// allModels.js refuses to load without a URI; the cached connection below means it is never dialled
+process.env.MONGODB_URI ||= 'mongodb://127.0.0.1:27017/canteen-test';
+globalThis.mongoose = { conn: mongoose, promise: null };
+// a query the in-memory store does not answer fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const {
+    AuditLog,
+    Inventory,
+    Order,
+    PickupSlotLoad,
+    Product,
+    Transaction,
+    User,
+    cancelOrderAtomic,
+    placeOrderAtomic,
+    refundOrderLinesAtomic,
+    topUpUserAtomic
+} = await import('./allModels.js');
+
+/* ---------------------------
+   In-memory store standing in for MongoDB
+   - the Model statics the order flows use answer from plain records
+   - save() writes only what mongoose's change tracking reports, as the real update would
+   --------------------------- */
+const records = new Map(); // modelName -> Map(id -> record)
+const table = (Model) => {
+    if (!records.has(Model.modelName)) records.set(Model.modelName, new Map());
+    return records.get(Model.modelName);
+};
+
+function copy(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof mongoose.Types.ObjectId || value instanceof Date) return value;
+    if (typeof value.toObject === 'function') return copy(value.toObject({ depopulate: true }));
+    if (Array.isArray(value)) return value.map(copy);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, copy(v)]));
+}
+
+const getPath = (obj, path) => path.split('.').reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), obj);
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, k) => (o[k] ??= {}), obj);
+    if (value === undefined) delete parent[last];
+    else parent[last] = value;
+}
+
+const same = (a, b) => String(a ?? null) === String(b ?? null);
+const isOperatorObject = (cond) => cond && typeof cond === 'object' && !Array.isArray(cond)
+    && !(cond instanceof mongoose.Types.ObjectId) && !(cond instanceof Date) && Object.keys(cond).some(k => k.startsWith('$'));
+
+function matches(record, filter = {}) {
+    return Object.entries(filter).every(([path, cond]) => {
+        if (path === '$or') return cond.some(f => matches(record, f));
+        if (path === '$nor') return !cond.some(f => matches(record, f));
+        const value = getPath(record, path);
+        if (!isOperatorObject(cond)) return same(value, cond);
+        return Object.entries(cond).every(([op, arg]) => {
+            switch (op) {
+                case '$in': return arg.some(a => same(value, a));
+                case '$ne': return !same(value, arg);
+                case '$gt': return value > arg;
+                case '$gte': return value >= arg;
+                case '$lt': return value < arg;
+                case '$lte': return value <= arg;
+                default: throw new Error(`in-memory store: ${op} is not supported`);
+            }
+        });
+    });
+}
+
+function applyUpdate(record, update) {
+    const ops = Object.keys(update).some(k => k.startsWith('$')) ? update : { $set: update };
+    for (const [op, fields] of Object.entries(ops)) {
+        for (const [path, value] of Object.entries(fields)) {
+            if (op === '$set') setPath(record, path, copy(value));
+            else if (op === '$inc') setPath(record, path, Number(getPath(record, path) || 0) + value);
+            else if (op === '$unset') setPath(record, path, undefined);
+            else if (op === '$setOnInsert') continue; // applied by updateFirst on upsert
+            else throw new Error(`in-memory store: ${op} is not supported`);
+        }
+    }
+}
+
+/* Thenable query: session / select / populate are no-ops, sort orders by one key, lean skips hydration */
+class StoreQuery {
+    constructor(Model, run) {
+        this.Model = Model;
+        this.run = run;
+        this.plain = false;
+        this.order = null;
+    }
+    session() { return this; }
+    select() { return this; }
+    populate() { return this; }
+    lean() { this.plain = true; return this; }
+    sort(spec) { this.order = spec; return this; }
+    async exec() {
+        let result = this.run();
+        if (!Array.isArray(result)) return result ? this.wrap(result) : null;
+        if (this.order) {
+            const [[key, dir]] = Object.entries(this.order);
+            result = [...result].sort((a, b) => (Number(getPath(a, key)) - Number(getPath(b, key))) * dir);
+        }
+        return result.map(r => this.wrap(r));
+    }
+    wrap(record) {
+        return this.plain ? copy(record) : this.Model.hydrate(copy(record));
+    }
+    then(resolve, reject) { return this.exec().then(resolve, reject); }
+}
+
+/* Direct result (no hydration), still chainable with .session() */
+const raw = (Model, run) => Object.assign(new StoreQuery(Model, run), { wrap: (r) => r });
+
+function insert(Model, data) {
+    const doc = data instanceof mongoose.Model ? data : new Model(data);
+    const record = copy(doc.toObject({ depopulate: true }));
+    table(Model).set(String(record._id), record);
+    return record;
+}
+
+const seed = (Model, data) => Model.hydrate(copy(insert(Model, data)));
+const stored = (Model, id) => table(Model).get(String(id));
+
+function findRecords(Model, filter) {
+    return [...table(Model).values()].filter(r => matches(r, filter));
+}
+
+function updateFirst(Model, filter, update, { new: returnNew = false, upsert = false } = {}) {
+    let record = findRecords(Model, filter)[0];
+    if (!record && !upsert) return null;
+    const before = record ? copy(record) : null;
+    if (!record) {
+        const fields = Object.entries(filter).filter(([path, cond]) => !path.startsWith('$') && !isOperatorObject(cond));
+        record = insert(Model, { ...Object.fromEntries(fields), ...(update.$setOnInsert || {}) });
+    }
+    applyUpdate(record, update);
+    return returnNew ? record : before;
+}
+
+const fakeSession = {
+    startTransaction() {},
+    async commitTransaction() {},
+    async abortTransaction() {},
+    endSession() {}
+};
+
+before(() => {
+    mock.method(mongoose, 'startSession', async () => fakeSession);
+    mock.method(mongoose.Model, 'find', function (filter) {
+        return new StoreQuery(this, () => findRecords(this, filter));
+    });
+    mock.method(mongoose.Model, 'findOne', function (filter) {
+        return new StoreQuery(this, () => findRecords(this, filter)[0] || null);
+    });
+    mock.method(mongoose.Model, 'findById', function (id) {
+        return new StoreQuery(this, () => stored(this, id) || null);
+    });
+    mock.method(mongoose.Model, 'findOneAndUpdate', function (filter, update, opts) {
+        return new StoreQuery(this, () => updateFirst(this, filter, update, opts));
+    });
+    mock.method(mongoose.Model, 'findByIdAndUpdate', function (id, update, opts) {
+        return new StoreQuery(this, () => updateFirst(this, { _id: id }, update, opts));
+    });
+    mock.method(mongoose.Model, 'updateOne', function (filter, update, opts) {
+        return raw(this, () => {
+            const hit = updateFirst(this, filter, update, opts);
+            return { acknowledged: true, matchedCount: hit ? 1 : 0, modifiedCount: hit ? 1 : 0 };
+        });
+    });
+    mock.method(mongoose.Model, 'deleteOne', function (filter) {
+        return raw(this, () => {
+            const [record] = findRecords(this, filter);
+            if (record) table(this).delete(String(record._id));
+            return { acknowledged: true, deletedCount: record ? 1 : 0 };
+        });
+    });
+    mock.method(mongoose.Model, 'create', async function (docs) {
+        const created = (Array.isArray(docs) ? docs : [docs]).map(d => this.hydrate(copy(insert(this, d))));
+        return Array.isArray(docs) ? created : created[0];
+    });
+    mock.method(mongoose.Model.prototype, 'save', async function () {
+        if (this.isNew) {
+            insert(this.constructor, this);
+            this.isNew = false;
+        } else {
+            applyUpdate(stored(this.constructor, this._id), this.getChanges());
+        }
+        return this;
+    });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => records.clear());
+
+function canteen() {
+    const student = seed(User, { name: 'Ada', regNumber: 'S100', role: 'student', balance: 50 });
+    const bun = seed(Product, { name: 'Bun', price: 2, category: 'bakery' });
+    const juice = seed(Product, { name: 'Juice', price: 1.5, category: 'tuck shop' });
+    const bunBin = seed(Inventory, { product: bun._id, quantity: 10, active: true });
+    const juiceBin = seed(Inventory, { product: juice._id, quantity: 4, active: true });
+    return { student, bun, juice, bunBin, juiceBin };
+}
+
+describe('placeOrderAtomic / cancelOrderAtomic', () => {
+    test('cancelling an order puts back the stock it took', async () => {
+        const { student, bun, juice, bunBin, juiceBin } = canteen();
+        const { order } = await placeOrderAtomic(String(student._id), {
+            items: [{ productId: String(bun._id), qty: 3 }, { productId: String(juice._id), qty: 2 }]
+        }, { enforceSpendingLimits: false });
+
+        assert.equal(stored(Inventory, bunBin._id).quantity, 7);
+        assert.equal(stored(Inventory, juiceBin._id).quantity, 2);
+        assert.equal(stored(User, student._id).balance, 41);
+        assert.deepEqual(stored(Order, order._id).meta.inventoryChanges.map(ch => ch.qtyTaken), [3, 2]);
+
+        const res = await cancelOrderAtomic(order._id);
+        assert.equal(res.refunded, 9);
+        assert.equal(stored(Inventory, bunBin._id).quantity, 10);
+        assert.equal(stored(Inventory, juiceBin._id).quantity, 4);
+        assert.equal(stored(User, student._id).balance, 50);
+        assert.equal(stored(Order, order._id).status, 'cancelled');
+        assert.equal(stored(Order, order._id).meta.inventoryRestored, true);
+    });
+
+    test('auto-prepared lines are kept on the stored order', async () => {
+        const { student, juice } = canteen();
+        const { order } = await placeOrderAtomic(String(student._id), {
+            items: [{ productId: String(juice._id), qty: 1 }]
+        }, { enforceSpendingLimits: false });
+
+        const saved = stored(Order, order._id);
+        assert.equal(saved.status, 'ready');
+        assert.equal(saved.items[0].preparedCount, 1);
+        assert.deepEqual(saved.meta.autoPrepared.map(a => a.name), ['Juice']);
+    });
+});
+
+describe('Idempotency-Key replays (what the top-up and order routes answer)', () => {
+    test('a repeated top-up returns the first one and credits once; a changed amount is refused', async () => {
+        const { student } = canteen();
+        const adminId = new mongoose.Types.ObjectId();
+        const first = await topUpUserAtomic(adminId, 'S100', 20, '', { idempotencyKey: 'topup-key-0001' });
+        const again = await topUpUserAtomic(adminId, 'S100', 20, '', { idempotencyKey: 'topup-key-0001' });
+
+        assert.equal(again.replayed, true);
+        assert.equal(String(again.tx._id), String(first.tx._id));
+        assert.equal(again.tx.balanceAfter, 70);
+        assert.equal(stored(User, student._id).balance, 70);
+        assert.equal(table(Transaction).size, 1);
+
+        await assert.rejects(
+            topUpUserAtomic(adminId, 'S100', 25, '', { idempotencyKey: 'topup-key-0001' }),
+            { name: 'IdempotencyMismatchError', status: 422 }
+        );
+        assert.equal(stored(User, student._id).balance, 70);
+    });
+
+    test('a repeated order returns the first one and charges and stocks once; a changed cart is refused', async () => {
+        const { student, bun, bunBin } = canteen();
+        const payload = { items: [{ productId: String(bun._id), qty: 3 }], idempotencyKey: 'order-key-0001' };
+        const first = await placeOrderAtomic(String(student._id), payload, { enforceSpendingLimits: false });
+        const again = await placeOrderAtomic(String(student._id), payload, { enforceSpendingLimits: false });
+
+        assert.equal(again.replayed, true);
+        assert.equal(String(again.order._id), String(first.order._id));
+        assert.equal(String(again.tx._id), String(first.tx._id));
+        assert.equal(table(Order).size, 1);
+        assert.equal(stored(User, student._id).balance, 44);
+        assert.equal(stored(Inventory, bunBin._id).quantity, 7);
+
+        await assert.rejects(
+            placeOrderAtomic(String(student._id), { ...payload, items: [{ productId: String(bun._id), qty: 4 }] }, { enforceSpendingLimits: false }),
+            { name: 'IdempotencyMismatchError', status: 422 }
+        );
+        assert.equal(table(Order).size, 1);
+    });
+});
+
+describe('refundOrderLinesAtomic', () => {
+    async function mealOrder() {
+        const shop = canteen();
+        const meal = seed(Product, {
+            name: 'Meal deal',
+            price: 3,
+            category: 'hot food',
+            bundle: { components: [{ product: shop.bun._id, qty: 1 }], slots: [{ name: 'Drink', options: [{ product: shop.juice._id }] }] }
+        });
+        const { order } = await placeOrderAtomic(String(shop.student._id), {
+            items: [
+                { productId: String(meal._id), qty: 2, bundleChoices: [{ slotId: String(meal.bundle.slots[0]._id), productId: String(shop.juice._id) }] },
+                { productId: String(shop.bun._id), qty: 2 }
+            ]
+        }, { enforceSpendingLimits: false });
+        return { ...shop, order };
+    }
+
+    test('a partial refund restocks only the refunded units, bundle components included', async () => {
+        const { student, bunBin, juiceBin, order } = await mealOrder();
+        assert.equal(stored(Inventory, bunBin._id).quantity, 6);
+        assert.equal(stored(Inventory, juiceBin._id).quantity, 2);
+        assert.equal(stored(User, student._id).balance, 40);
+
+        const res = await refundOrderLinesAtomic(String(order._id), [{ index: 0, qty: 1 }, { index: 1, qty: 1 }]);
+        assert.equal(res.amount, 5);
+        assert.equal(stored(Inventory, bunBin._id).quantity, 8);
+        assert.equal(stored(Inventory, juiceBin._id).quantity, 3);
+        assert.equal(stored(User, student._id).balance, 45);
+        assert.deepEqual(stored(Order, order._id).items.map(it => it.refundedQty), [1, 1]);
+
+        await assert.rejects(
+            refundOrderLinesAtomic(String(order._id), [{ index: 1, qty: 2 }]),
+            { name: 'OrderRefundError', status: 409 }
+        );
+    });
+
+    test('cancelling after a partial refund restocks and refunds only what is left', async () => {
+        const { student, bunBin, juiceBin, order } = await mealOrder();
+        await refundOrderLinesAtomic(String(order._id), [{ index: 0, qty: 1 }]);
+
+        const res = await cancelOrderAtomic(order._id);
+        assert.equal(res.refunded, 7);
+        assert.equal(stored(Inventory, bunBin._id).quantity, 10);
+        assert.equal(stored(Inventory, juiceBin._id).quantity, 4);
+        assert.equal(stored(User, student._id).balance, 50);
+    });
+});
+
+describe('dietary profiles at checkout', () => {
+    function allergicStudent() {
+        const shop = canteen();
+        const satay = seed(Product, { name: 'Satay', price: 3, category: 'hot food', allergens: ['peanuts'] });
+        seed(Inventory, { product: satay._id, quantity: 5, active: true });
+        stored(User, shop.student._id).dietaryProfile = { allergens: ['peanuts'], restrictions: [] };
+        return { ...shop, satay };
+    }
+    const override = (student, product, changes = {}) => seed(AuditLog, {
+        action: 'dietary_override',
+        documentId: student._id,
+        changes: { product: product._id, expiresAt: new Date(Date.now() + 3600 * 1000), revokedAt: null, ...changes },
+        createdAt: new Date()
+    });
+    const order = (student, product) => placeOrderAtomic(String(student._id), {
+        items: [{ productId: String(product._id), qty: 1 }]
+    }, { enforceSpendingLimits: false });
+
+    test('a conflicting line is refused without charging, other lines are fine', async () => {
+        const { student, satay, bun } = allergicStudent();
+        await assert.rejects(order(student, satay), (err) => err.name === 'DietaryConflictError' && err.status === 403
+            && err.conflicts.length === 1 && err.conflicts[0].reasons[0] === 'contains peanuts');
+        assert.equal(stored(User, student._id).balance, 50);
+        assert.equal(table(Order).size, 0);
+
+        await order(student, bun);
+        assert.equal(stored(User, student._id).balance, 48);
+    });
+
+    test('an active override lets the line through and is recorded on the order', async () => {
+        const { student, satay } = allergicStudent();
+        const entry = override(student, satay);
+        const placed = await order(student, satay);
+        assert.deepEqual(stored(Order, placed.order._id).meta.dietaryOverrides.map(String), [String(entry._id)]);
+    });
+
+    test('an expired or revoked override, or one for another product, does not', async () => {
+        const { student, satay, bun } = allergicStudent();
+        override(student, satay, { expiresAt: new Date(Date.now() - 1000) });
+        override(student, satay, { revokedAt: new Date() });
+        override(student, bun);
+        await assert.rejects(order(student, satay), { name: 'DietaryConflictError' });
+        assert.equal(table(Order).size, 0);
+    });
+});
+
+describe('placeOrderAtomic without transactions (standalone mongod)', () => {
+    const noTransactions = () => {
+        throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { codeName: 'IllegalOperation' });
+    };
+
+    test('an order that cannot be stocked gives its pickup slot back', async (t) => {
+        t.mock.method(fakeSession, 'startTransaction', noTransactions);
+        const { student, bun } = canteen();
+        const pickupSlot = {
+            window: new mongoose.Types.ObjectId(),
+            serviceDate: '2026-03-02',
+            start: new Date('2026-03-02T10:00:00Z'),
+            end: new Date('2026-03-02T10:15:00Z'),
+            label: '10:00',
+            maxOrders: 5
+        };
+
+        await assert.rejects(
+            placeOrderAtomic(String(student._id), { items: [{ productId: String(bun._id), qty: 11 }], pickupSlot }, { enforceSpendingLimits: false }),
+            /Insufficient stock/
+        );
+        const [load] = table(PickupSlotLoad).values();
+        assert.equal(load.orders, 0);
+        assert.equal(load.prepMinutes, 0);
+        assert.equal(table(Order).size, 0);
+    });
+});